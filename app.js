@@ -63,6 +63,7 @@ import {
 import { authenticateJWT } from "./backend/middleware/auth.middleware.js";
 import { authenticateJWT as authenticateJWTEnhanced } from "./backend/middleware/auth-enhanced.middleware.js";
 import * as authUtils from "./backend/utilities/auth-enhanced.util.js";
+import { countryContext } from "./backend/middleware/country.middleware.js";
 
 // 2.4. Enhanced logging and error handling
 import logger from "./backend/utilities/logger-console.util.js";
@@ -71,6 +72,11 @@ import {
   APIError,
   ValidationError,
 } from "./backend/utilities/error-handler.util.js";
+import { startTrashPurgeSchedule } from "./backend/utilities/soft-delete.util.js";
+import { purgeTrashedTenant } from "./backend/modules/internal/tenant.offboarding/tenant.offboarding.service.js";
+import { purgePersonById } from "./backend/modules/internal/person/person.firestore.js";
+import { purgePersonById as purgeTenantPersonById } from "./backend/modules/external/tenant/person/person.firestore.js";
+import { startImportFileExpirySchedule } from "./backend/modules/internal/person.import/person.import.service.js";
 
 // 2.5. Modular route handlers
 import internalAdminRouter from "./backend/modules/internal/admin/admin.route.js";
@@ -81,17 +87,40 @@ import internalRoleRouter from "./backend/modules/internal/role/role.route.js";
 import roleMappingRoutes from "./backend/modules/internal/role.mapping/role.mapping.route.js";
 import serviceRequestRouter from "./backend/modules/internal/service.request/service.request.route.js";
 import serviceInfoRouter from "./backend/modules/general/service.info/service.info.route.js";
+import addressRouter from "./backend/modules/general/address/address.route.js";
 import internalTenantRouter from "./backend/modules/internal/tenant/tenant.route.js";
+import tenantOffboardingRouter from "./backend/modules/internal/tenant.offboarding/tenant.offboarding.route.js";
+import tenantBundleRouter from "./backend/modules/internal/tenant.bundle/tenant.bundle.route.js";
+import auditEventRouter from "./backend/modules/internal/audit.event/audit.event.route.js";
+import dataSubjectRequestRouter from "./backend/modules/internal/data.subject.request/data.subject.request.route.js";
 import cultivarTemplateRouter from "./backend/modules/internal/cultivar.template/cultivar.template.route.js";
+import personDuplicateRouter from "./backend/modules/internal/person.duplicate/person.duplicate.route.js";
+import personDocumentRouter from "./backend/modules/internal/person.document/person.document.route.js";
+import personImportRouter from "./backend/modules/internal/person.import/person.import.route.js";
+import personHistoryRouter from "./backend/modules/internal/person.history/person.history.route.js";
 import personRouter from "./backend/modules/internal/person/person.route.js";
 import { default as internalPermissionRouter } from "./backend/modules/internal/permission/permission.route.js";
 import todoRouter from "./backend/modules/internal/todo/todo.route.js";
+import sessionRouter from "./backend/modules/internal/session/session.route.js";
+import twoFactorRouter from "./backend/modules/internal/two.factor/two.factor.route.js";
+import accountLinkRouter from "./backend/modules/internal/account.link/account.link.route.js";
+import loginSecurityRouter from "./backend/modules/internal/login.security/login.security.route.js";
 
 // External tenant-scoped routes
+import externalTenantPersonDuplicateRouter from "./backend/modules/external/tenant/person.duplicate/person.duplicate.route.js";
+import externalTenantPersonDocumentRouter from "./backend/modules/external/tenant/person.document/person.document.route.js";
+import externalTenantPersonImportRouter from "./backend/modules/external/tenant/person.import/person.import.route.js";
+import externalTenantPersonHistoryRouter from "./backend/modules/external/tenant/person.history/person.history.route.js";
 import externalTenantPersonRouter from "./backend/modules/external/tenant/person/person.route.js";
+import externalTenantConsentRouter from "./backend/modules/external/tenant/consent/consent.route.js";
+import externalTenantPersonRelationshipRouter from "./backend/modules/external/tenant/person.relationship/person.relationship.route.js";
 import externalTenantAdminRouter from "./backend/modules/external/tenant/admin/admin.route.js";
 import externalTenantPermissionRouter from "./backend/modules/external/tenant/permission/permission.route.js";
 import externalTenantRoleRouter from "./backend/modules/external/tenant/role/role.route.js";
+import externalTenantSessionRouter from "./backend/modules/external/tenant/session/session.route.js";
+import externalTenantTwoFactorRouter from "./backend/modules/external/tenant/two.factor/two.factor.route.js";
+import externalTenantAccountLinkRouter from "./backend/modules/external/tenant/account.link/account.link.route.js";
+import externalTenantLoginSecurityRouter from "./backend/modules/external/tenant/login.security/login.security.route.js";
 
 // Standard module routes (tenant-agnostic)
 import standardPermissionRouter from "./backend/modules/external/tenant/standard.permission/standard.permission.route.js";
@@ -159,8 +188,10 @@ const corsOptions = {
     "Authorization",
     "X-Requested-With",
     "X-CSRF-Token",
+    "X-Country",
+    "If-Match",
   ],
-  exposedHeaders: ["X-Total-Count", "X-Page-Count"],
+  exposedHeaders: ["X-Total-Count", "X-Page-Count", "ETag"],
 };
 app.use(cors(corsOptions));
 
@@ -207,8 +238,14 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "x-tenant-id"],
-    exposedHeaders: ["Set-Cookie"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "x-tenant-id",
+      "x-country",
+      "if-match",
+    ],
+    exposedHeaders: ["Set-Cookie", "ETag"],
     optionsSuccessStatus: 200,
   })
 );
@@ -216,6 +253,9 @@ app.use(
 // 5.8 No-Cache Headers
 app.use(nocache());
 
+// 5.9 Country context (X-Country header -> Firestore partition + validation pack)
+app.use(countryContext);
+
 // PRIORITY ROUTES (before any other middleware that might interfere)
 // Lightweight health check (no auth)
 app.get("/internal/health", (_req, res) => {
@@ -248,13 +288,28 @@ app.use(API_PREFIX, roleMappingRoutes);
 app.use(API_PREFIX, internalPermissionRouter);
 app.use(API_PREFIX, serviceRequestRouter);
 app.use(API_PREFIX, serviceInfoRouter);
+app.use(API_PREFIX, addressRouter);
 app.use(API_PREFIX, internalTenantRouter);
+app.use(API_PREFIX, tenantOffboardingRouter);
+app.use(API_PREFIX, tenantBundleRouter);
+app.use(API_PREFIX, auditEventRouter);
+app.use(API_PREFIX, dataSubjectRequestRouter);
 app.use(API_PREFIX, cultivarTemplateRouter);
+app.use(API_PREFIX, personDuplicateRouter); // before persons/:id
+app.use(API_PREFIX, personDocumentRouter); // before persons/:id
+app.use(API_PREFIX, personImportRouter); // before persons/:id
+app.use(API_PREFIX, personHistoryRouter);
 app.use(API_PREFIX, personRouter);
 app.use(API_PREFIX, todoRouter);
 
 // External tenant-scoped routes
+app.use(API_PREFIX, externalTenantPersonDuplicateRouter); // before persons/:id
+app.use(API_PREFIX, externalTenantPersonDocumentRouter); // before persons/:id
+app.use(API_PREFIX, externalTenantPersonImportRouter); // before persons/:id
+app.use(API_PREFIX, externalTenantPersonHistoryRouter);
 app.use(API_PREFIX, externalTenantPersonRouter);
+app.use(API_PREFIX, externalTenantConsentRouter);
+app.use(API_PREFIX, externalTenantPersonRelationshipRouter);
 app.use(API_PREFIX, externalTenantAdminRouter);
 app.use(API_PREFIX, externalTenantPermissionRouter);
 app.use(API_PREFIX, externalTenantRoleRouter);
@@ -265,6 +320,18 @@ app.use(`${API_PREFIX}/standard-roles`, standardRoleRouter);
 app.use(`${API_PREFIX}/standard-role-mappings`, standardRoleMappingRouter);
 
 // 6.1 ENHANCED AUTHENTICATION ROUTES -------------------------------------------
+// Token refresh, logout and sessions (platform and tenant admins)
+app.use(API_PREFIX, sessionRouter);
+app.use(API_PREFIX, externalTenantSessionRouter);
+// Two-factor login step and settings (platform and tenant admins)
+app.use(API_PREFIX, twoFactorRouter);
+app.use(API_PREFIX, externalTenantTwoFactorRouter);
+// Admin invitations and password resets (platform and tenant admins)
+app.use(API_PREFIX, accountLinkRouter);
+app.use(API_PREFIX, externalTenantAccountLinkRouter);
+// Lockouts and login history (platform and tenant admins)
+app.use(API_PREFIX, loginSecurityRouter);
+app.use(API_PREFIX, externalTenantLoginSecurityRouter);
 
 // 7. STATIC ASSETS --------------------------------------------------------------
 // Serve .well-known directory for Chrome DevTools and other discovery protocols
@@ -425,4 +492,16 @@ server = app.listen(PORT, "127.0.0.1", () => {
     pid: process.pid,
     timestamp: new Date().toISOString(),
   });
+
+  // Purge records that have been in the trash longer than TRASH_RETENTION_DAYS,
+  // the way a manual purge does where it removes more than the record
+  if (process.env.NODE_ENV !== "test") {
+    startTrashPurgeSchedule(logger, {
+      peopleTrash: ({ id, tenantId }) =>
+        tenantId ? purgeTenantPersonById(id, tenantId) : purgePersonById(id),
+      tenantsTrash: ({ id }) => purgeTrashedTenant(id),
+    });
+    // Delete import spreadsheets IMPORT_FILE_RETENTION_DAYS after preview
+    startImportFileExpirySchedule(logger);
+  }
 });
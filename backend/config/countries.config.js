@@ -0,0 +1,97 @@
+/**
+ * Country Configuration
+ * Registry of country packs for multi-country deployments.
+ *
+ * Each pack selects a Firestore partition (`touchAfrica/{serviceId}`) and
+ * carries the country-specific validation rules (provinces/regions, postal
+ * code, phone and national ID formats) and, optionally, a gazetteer of
+ * postal codes for address checks. Add a country by dropping a new
+ * `countries/<name>.country.js` pack in and registering it below.
+ */
+
+import southAfrica from "./countries/south-africa.country.js";
+import botswana from "./countries/botswana.country.js";
+import namibia from "./countries/namibia.country.js";
+
+export const COUNTRY_PACKS = Object.freeze({
+  [southAfrica.key]: southAfrica,
+  [botswana.key]: botswana,
+  [namibia.key]: namibia,
+});
+
+// Partition that holds platform-wide collections (internal admins, roles,
+// lookups, standard templates) and every tenant created before multi-country
+// support. Fixed so existing data keeps working no matter which country is
+// the default for requests.
+export const PLATFORM_COUNTRY = southAfrica.key;
+export const PLATFORM_SERVICE_ID = southAfrica.serviceId;
+
+/**
+ * Resolve a country key from a key ("botswana") or ISO code ("BW")
+ * @param {string} value
+ * @returns {string|null} Country key or null when unsupported
+ */
+export function resolveCountryKey(value) {
+  if (!value || typeof value !== "string") return null;
+  const needle = value.trim().toLowerCase();
+  const pack = Object.values(COUNTRY_PACKS).find(
+    (p) => p.key.toLowerCase() === needle || p.isoCode.toLowerCase() === needle
+  );
+  return pack ? pack.key : null;
+}
+
+export function isSupportedCountry(value) {
+  return resolveCountryKey(value) !== null;
+}
+
+/**
+ * Country used when a request names none (DEFAULT_COUNTRY env, read lazily so
+ * it is honoured however early this module is imported)
+ * @returns {string} Country key
+ */
+export function getDefaultCountry() {
+  return resolveCountryKey(process.env.DEFAULT_COUNTRY) || PLATFORM_COUNTRY;
+}
+
+/**
+ * Get the pack for a country
+ * @param {string} value - Country key or ISO code (defaults to the default country)
+ * @returns {Object} Country pack
+ */
+export function getCountryPack(value = getDefaultCountry()) {
+  const key = resolveCountryKey(value);
+  if (!key) {
+    throw new Error(`Unsupported country: ${value}`);
+  }
+  return COUNTRY_PACKS[key];
+}
+
+/**
+ * Public summary of supported countries (for selectors and API clients)
+ */
+export function listCountries() {
+  return Object.values(COUNTRY_PACKS).map((pack) => ({
+    key: pack.key,
+    isoCode: pack.isoCode,
+    name: pack.name,
+    dialCode: pack.dialCode,
+    currency: pack.currency,
+    regionLabel: pack.regionLabel,
+    provinces: [...pack.provinces],
+    postalCodeRequired: pack.postalCode.required,
+    nationalIdLabel: pack.nationalId.label,
+    citizenshipStatuses: [...pack.citizenshipStatuses],
+    isDefault: pack.key === getDefaultCountry(),
+  }));
+}
+
+export default {
+  COUNTRY_PACKS,
+  PLATFORM_COUNTRY,
+  PLATFORM_SERVICE_ID,
+  getDefaultCountry,
+  resolveCountryKey,
+  isSupportedCountry,
+  getCountryPack,
+  listCountries,
+};
@@ -0,0 +1,42 @@
+/**
+ * Botswana country pack
+ * Botswana has no postal code system, so postal codes are optional.
+ */
+export default {
+  key: "botswana",
+  serviceId: "botswana",
+  isoCode: "BW",
+  name: "Botswana",
+  dialCode: "+267",
+  currency: "BWP",
+  regionLabel: "district",
+  provinces: [
+    "Central",
+    "Chobe",
+    "Ghanzi",
+    "Kgalagadi",
+    "Kgatleng",
+    "Kweneng",
+    "North-East",
+    "North-West",
+    "South-East",
+    "Southern",
+  ],
+  postalCode: {
+    pattern: /^[A-Za-z0-9 ]{0,10}$/,
+    required: false,
+    message: "Postal code may contain up to 10 letters or digits",
+  },
+  phone: {
+    // 7-digit landlines, 8-digit mobiles (7x)
+    pattern: /^(\+267|267)?\d{7,8}$/,
+    message: "Phone number must be in format +267xxxxxxxx or xxxxxxxx",
+  },
+  nationalId: {
+    // Omang: 9 digits, 5th digit encodes gender (1 male, 2 female)
+    label: "Omang number",
+    pattern: /^\d{4}[12]\d{4}$/,
+    message: "Omang number must be 9 digits with 1 or 2 as the 5th digit",
+  },
+  citizenshipStatuses: ["Motswana", "Permanent Resident", "Foreigner"],
+};
@@ -0,0 +1,44 @@
+/**
+ * Namibia country pack
+ */
+export default {
+  key: "namibia",
+  serviceId: "namibia",
+  isoCode: "NA",
+  name: "Namibia",
+  dialCode: "+264",
+  currency: "NAD",
+  regionLabel: "region",
+  provinces: [
+    "Erongo",
+    "Hardap",
+    "//Kharas",
+    "Kavango East",
+    "Kavango West",
+    "Khomas",
+    "Kunene",
+    "Ohangwena",
+    "Omaheke",
+    "Omusati",
+    "Oshana",
+    "Oshikoto",
+    "Otjozondjupa",
+    "Zambezi",
+  ],
+  postalCode: {
+    pattern: /^\d{5}$/,
+    required: false,
+    message: "Namibian postal code must be 5 digits",
+  },
+  phone: {
+    pattern: /^(\+264|264|0)\d{8,9}$/,
+    message: "Phone number must be in format +264xxxxxxxxx or 0xxxxxxxxx",
+  },
+  nationalId: {
+    // YYMMDD followed by 5 digits
+    label: "Namibian ID number",
+    pattern: /^\d{11}$/,
+    message: "Namibian ID number must be 11 digits",
+  },
+  citizenshipStatuses: ["Namibian", "Permanent Resident", "Foreigner"],
+};
@@ -0,0 +1,57 @@
+import { SA_PHONE_REGEX } from "../../utilities/validation-patterns.js";
+import gazetteer from "./south-africa.gazetteer.js";
+
+/**
+ * South Africa country pack
+ * Original deployment - its Firestore partition also hosts platform-wide
+ * collections (internal admins, roles, lookups, standard templates).
+ */
+export default {
+  key: "southAfrica",
+  serviceId: "southAfrica",
+  isoCode: "ZA",
+  name: "South Africa",
+  dialCode: "+27",
+  currency: "ZAR",
+  regionLabel: "province",
+  provinces: [
+    "Eastern Cape",
+    "Free State",
+    "Gauteng",
+    "KwaZulu-Natal",
+    "Limpopo",
+    "Mpumalanga",
+    "Northern Cape",
+    "North West",
+    "Western Cape",
+  ],
+  // Common abbreviations, accepted when addresses are normalised
+  regionCodes: {
+    EC: "Eastern Cape",
+    FS: "Free State",
+    GP: "Gauteng",
+    KZN: "KwaZulu-Natal",
+    LP: "Limpopo",
+    MP: "Mpumalanga",
+    NC: "Northern Cape",
+    NW: "North West",
+    WC: "Western Cape",
+  },
+  postalCode: {
+    pattern: /^\d{4}$/,
+    required: true,
+    message: "South African postal code must be 4 digits",
+  },
+  phone: {
+    pattern: SA_PHONE_REGEX,
+    message: "Phone number must be in format +27xxxxxxxxx or 0xxxxxxxxx",
+  },
+  nationalId: {
+    label: "South African ID number",
+    pattern: /^\d{13}$/,
+    message: "South African ID number must be 13 digits",
+  },
+  citizenshipStatuses: ["South African", "Permanent Resident", "Foreigner"],
+  // Postal codes, suburbs and municipalities (see address.service)
+  gazetteer,
+};
@@ -0,0 +1,206 @@
+/**
+ * South Africa gazetteer
+ * Street postal codes of the main towns and suburbs per province, with
+ * their local municipality and an approximate centre. Used offline by the
+ * address service to check postal code / province consistency, fill in
+ * municipalities and coordinates, and for address autocomplete. Not every
+ * suburb is listed: an address that isn't found is simply not checked.
+ *
+ * Rows: [postalCode, suburb, city, municipality, province, lat, long]
+ */
+
+const ROWS = [
+  // Gauteng
+  ["0002", "Pretoria Central", "Pretoria", "City of Tshwane", "Gauteng", -25.7461, 28.1881],
+  ["0002", "Sunnyside", "Pretoria", "City of Tshwane", "Gauteng", -25.753, 28.205],
+  ["0008", "Atteridgeville", "Pretoria", "City of Tshwane", "Gauteng", -25.772, 28.069],
+  ["0083", "Arcadia", "Pretoria", "City of Tshwane", "Gauteng", -25.7449, 28.208],
+  ["0083", "Hatfield", "Pretoria", "City of Tshwane", "Gauteng", -25.7487, 28.238],
+  ["0122", "Mamelodi", "Pretoria", "City of Tshwane", "Gauteng", -25.7127, 28.393],
+  ["0152", "Soshanguve", "Pretoria", "City of Tshwane", "Gauteng", -25.528, 28.098],
+  ["0157", "Centurion", "Centurion", "City of Tshwane", "Gauteng", -25.8603, 28.1894],
+  ["0181", "Brooklyn", "Pretoria", "City of Tshwane", "Gauteng", -25.771, 28.238],
+  ["0184", "Silverton", "Pretoria", "City of Tshwane", "Gauteng", -25.733, 28.299],
+  ["1401", "Germiston", "Germiston", "City of Ekurhuleni", "Gauteng", -26.219, 28.167],
+  ["1426", "Thokoza", "Alberton", "City of Ekurhuleni", "Gauteng", -26.354, 28.135],
+  ["1431", "Katlehong", "Germiston", "City of Ekurhuleni", "Gauteng", -26.333, 28.15],
+  ["1449", "Alberton", "Alberton", "City of Ekurhuleni", "Gauteng", -26.267, 28.122],
+  ["1459", "Boksburg", "Boksburg", "City of Ekurhuleni", "Gauteng", -26.212, 28.262],
+  ["1501", "Benoni", "Benoni", "City of Ekurhuleni", "Gauteng", -26.188, 28.32],
+  ["1559", "Springs", "Springs", "City of Ekurhuleni", "Gauteng", -26.254, 28.442],
+  ["1619", "Kempton Park", "Kempton Park", "City of Ekurhuleni", "Gauteng", -26.1, 28.23],
+  ["1632", "Tembisa", "Kempton Park", "City of Ekurhuleni", "Gauteng", -25.996, 28.227],
+  ["1685", "Midrand", "Midrand", "City of Johannesburg", "Gauteng", -25.989, 28.128],
+  ["1724", "Roodepoort", "Roodepoort", "City of Johannesburg", "Gauteng", -26.1625, 27.8725],
+  ["1739", "Krugersdorp", "Krugersdorp", "Mogale City", "Gauteng", -26.085, 27.775],
+  ["1760", "Randfontein", "Randfontein", "Rand West City", "Gauteng", -26.184, 27.702],
+  ["1804", "Orlando", "Soweto", "City of Johannesburg", "Gauteng", -26.235, 27.914],
+  ["1809", "Pimville", "Soweto", "City of Johannesburg", "Gauteng", -26.27, 27.9],
+  ["1819", "Protea Glen", "Soweto", "City of Johannesburg", "Gauteng", -26.277, 27.819],
+  ["1852", "Meadowlands", "Soweto", "City of Johannesburg", "Gauteng", -26.218, 27.896],
+  ["1863", "Dobsonville", "Soweto", "City of Johannesburg", "Gauteng", -26.22, 27.857],
+  ["1864", "Diepkloof", "Soweto", "City of Johannesburg", "Gauteng", -26.245, 27.949],
+  ["1911", "Vanderbijlpark", "Vanderbijlpark", "Emfuleni", "Gauteng", -26.7, 27.835],
+  ["1939", "Vereeniging", "Vereeniging", "Emfuleni", "Gauteng", -26.673, 27.926],
+  ["2001", "Johannesburg Central", "Johannesburg", "City of Johannesburg", "Gauteng", -26.2041, 28.0473],
+  ["2001", "Braamfontein", "Johannesburg", "City of Johannesburg", "Gauteng", -26.1929, 28.0305],
+  ["2001", "Hillbrow", "Johannesburg", "City of Johannesburg", "Gauteng", -26.1885, 28.049],
+  ["2090", "Alexandra", "Johannesburg", "City of Johannesburg", "Gauteng", -26.103, 28.097],
+  ["2092", "Auckland Park", "Johannesburg", "City of Johannesburg", "Gauteng", -26.183, 28.0],
+  ["2092", "Melville", "Johannesburg", "City of Johannesburg", "Gauteng", -26.176, 28.009],
+  ["2193", "Parktown", "Johannesburg", "City of Johannesburg", "Gauteng", -26.178, 28.04],
+  ["2194", "Randburg", "Randburg", "City of Johannesburg", "Gauteng", -26.0936, 28.0064],
+  ["2196", "Rosebank", "Johannesburg", "City of Johannesburg", "Gauteng", -26.145, 28.044],
+  ["2196", "Sandton", "Sandton", "City of Johannesburg", "Gauteng", -26.1076, 28.0567],
+
+  // Western Cape
+  ["6506", "Mossel Bay", "Mossel Bay", "Mossel Bay", "Western Cape", -34.183, 22.146],
+  ["6529", "George", "George", "George", "Western Cape", -33.963, 22.4617],
+  ["6570", "Knysna", "Knysna", "Knysna", "Western Cape", -34.036, 23.047],
+  ["6625", "Oudtshoorn", "Oudtshoorn", "Oudtshoorn", "Western Cape", -33.59, 22.201],
+  ["6850", "Worcester", "Worcester", "Breede Valley", "Western Cape", -33.646, 19.448],
+  ["6970", "Beaufort West", "Beaufort West", "Beaufort West", "Western Cape", -32.356, 22.583],
+  ["7130", "Somerset West", "Cape Town", "City of Cape Town", "Western Cape", -34.078, 18.843],
+  ["7140", "Strand", "Cape Town", "City of Cape Town", "Western Cape", -34.11, 18.826],
+  ["7200", "Hermanus", "Hermanus", "Overstrand", "Western Cape", -34.419, 19.234],
+  ["7380", "Vredenburg", "Vredenburg", "Saldanha Bay", "Western Cape", -32.907, 17.99],
+  ["7441", "Milnerton", "Cape Town", "City of Cape Town", "Western Cape", -33.877, 18.496],
+  ["7441", "Table View", "Cape Town", "City of Cape Town", "Western Cape", -33.822, 18.49],
+  ["7455", "Langa", "Cape Town", "City of Cape Town", "Western Cape", -33.943, 18.526],
+  ["7460", "Goodwood", "Cape Town", "City of Cape Town", "Western Cape", -33.912, 18.557],
+  ["7500", "Parow", "Cape Town", "City of Cape Town", "Western Cape", -33.9, 18.596],
+  ["7530", "Bellville", "Cape Town", "City of Cape Town", "Western Cape", -33.9, 18.629],
+  ["7550", "Durbanville", "Cape Town", "City of Cape Town", "Western Cape", -33.832, 18.648],
+  ["7600", "Stellenbosch", "Stellenbosch", "Stellenbosch", "Western Cape", -33.9321, 18.8602],
+  ["7646", "Paarl", "Paarl", "Drakenstein", "Western Cape", -33.734, 18.962],
+  ["7700", "Rondebosch", "Cape Town", "City of Cape Town", "Western Cape", -33.96, 18.476],
+  ["7708", "Claremont", "Cape Town", "City of Cape Town", "Western Cape", -33.98, 18.465],
+  ["7750", "Gugulethu", "Cape Town", "City of Cape Town", "Western Cape", -33.977, 18.568],
+  ["7784", "Khayelitsha", "Cape Town", "City of Cape Town", "Western Cape", -34.04, 18.678],
+  ["7785", "Mitchells Plain", "Cape Town", "City of Cape Town", "Western Cape", -34.05, 18.618],
+  ["7800", "Wynberg", "Cape Town", "City of Cape Town", "Western Cape", -34.001, 18.468],
+  ["7925", "Observatory", "Cape Town", "City of Cape Town", "Western Cape", -33.938, 18.469],
+  ["7925", "Woodstock", "Cape Town", "City of Cape Town", "Western Cape", -33.928, 18.448],
+  ["7945", "Muizenberg", "Cape Town", "City of Cape Town", "Western Cape", -34.108, 18.469],
+  ["8001", "Cape Town City Centre", "Cape Town", "City of Cape Town", "Western Cape", -33.9249, 18.4241],
+  ["8001", "Gardens", "Cape Town", "City of Cape Town", "Western Cape", -33.935, 18.412],
+  ["8005", "Green Point", "Cape Town", "City of Cape Town", "Western Cape", -33.907, 18.404],
+  ["8005", "Sea Point", "Cape Town", "City of Cape Town", "Western Cape", -33.915, 18.388],
+
+  // KwaZulu-Natal
+  ["2940", "Newcastle", "Newcastle", "Newcastle", "KwaZulu-Natal", -27.758, 29.932],
+  ["3100", "Vryheid", "Vryheid", "Abaqulusi", "KwaZulu-Natal", -27.77, 30.79],
+  ["3201", "Pietermaritzburg", "Pietermaritzburg", "Msunduzi", "KwaZulu-Natal", -29.6006, 30.3794],
+  ["3370", "Ladysmith", "Ladysmith", "Alfred Duma", "KwaZulu-Natal", -28.56, 29.78],
+  ["3610", "Pinetown", "Durban", "eThekwini", "KwaZulu-Natal", -29.817, 30.857],
+  ["3629", "Westville", "Durban", "eThekwini", "KwaZulu-Natal", -29.831, 30.93],
+  ["3880", "Empangeni", "Empangeni", "uMhlathuze", "KwaZulu-Natal", -28.762, 31.893],
+  ["3900", "Richards Bay", "Richards Bay", "uMhlathuze", "KwaZulu-Natal", -28.783, 32.038],
+  ["4001", "Durban Central", "Durban", "eThekwini", "KwaZulu-Natal", -29.8587, 31.0218],
+  ["4001", "Berea", "Durban", "eThekwini", "KwaZulu-Natal", -29.85, 31.005],
+  ["4001", "Glenwood", "Durban", "eThekwini", "KwaZulu-Natal", -29.871, 30.992],
+  ["4001", "Morningside", "Durban", "eThekwini", "KwaZulu-Natal", -29.829, 31.014],
+  ["4031", "Umlazi", "Durban", "eThekwini", "KwaZulu-Natal", -29.97, 30.886],
+  ["4068", "Phoenix", "Durban", "eThekwini", "KwaZulu-Natal", -29.7, 30.978],
+  ["4092", "Chatsworth", "Durban", "eThekwini", "KwaZulu-Natal", -29.91, 30.88],
+  ["4126", "Amanzimtoti", "Durban", "eThekwini", "KwaZulu-Natal", -30.056, 30.88],
+  ["4240", "Port Shepstone", "Port Shepstone", "Ray Nkonyeni", "KwaZulu-Natal", -30.741, 30.455],
+  ["4319", "Umhlanga", "Durban", "eThekwini", "KwaZulu-Natal", -29.726, 31.085],
+  ["4360", "KwaMashu", "Durban", "eThekwini", "KwaZulu-Natal", -29.747, 30.98],
+  ["4420", "Ballito", "Ballito", "KwaDukuza", "KwaZulu-Natal", -29.539, 31.214],
+  ["4450", "KwaDukuza", "KwaDukuza", "KwaDukuza", "KwaZulu-Natal", -29.339, 31.29],
+  ["4700", "Kokstad", "Kokstad", "Greater Kokstad", "KwaZulu-Natal", -30.547, 29.424],
+
+  // Eastern Cape
+  ["4960", "Butterworth", "Butterworth", "Mnquma", "Eastern Cape", -32.33, 28.15],
+  ["5099", "Mthatha", "Mthatha", "King Sabata Dalindyebo", "Eastern Cape", -31.5889, 28.7844],
+  ["5201", "East London", "East London", "Buffalo City", "Eastern Cape", -33.0153, 27.9116],
+  ["5219", "Mdantsane", "East London", "Buffalo City", "Eastern Cape", -32.95, 27.74],
+  ["5247", "Vincent", "East London", "Buffalo City", "Eastern Cape", -32.99, 27.9],
+  ["5320", "Komani", "Komani", "Enoch Mgijima", "Eastern Cape", -31.897, 26.875],
+  ["5601", "Qonce", "Qonce", "Buffalo City", "Eastern Cape", -32.883, 27.4],
+  ["5605", "Bhisho", "Bhisho", "Buffalo City", "Eastern Cape", -32.847, 27.442],
+  ["6001", "Gqeberha Central", "Gqeberha", "Nelson Mandela Bay", "Eastern Cape", -33.9608, 25.6022],
+  ["6001", "Summerstrand", "Gqeberha", "Nelson Mandela Bay", "Eastern Cape", -34.0, 25.67],
+  ["6070", "Walmer", "Gqeberha", "Nelson Mandela Bay", "Eastern Cape", -33.98, 25.586],
+  ["6139", "Makhanda", "Makhanda", "Makana", "Eastern Cape", -33.31, 26.526],
+  ["6211", "Motherwell", "Gqeberha", "Nelson Mandela Bay", "Eastern Cape", -33.8, 25.59],
+  ["6220", "Despatch", "Despatch", "Nelson Mandela Bay", "Eastern Cape", -33.802, 25.469],
+  ["6229", "Kariega", "Kariega", "Nelson Mandela Bay", "Eastern Cape", -33.758, 25.397],
+  ["6280", "Graaff-Reinet", "Graaff-Reinet", "Dr Beyers Naudé", "Eastern Cape", -32.252, 24.53],
+  ["6330", "Jeffreys Bay", "Jeffreys Bay", "Kouga", "Eastern Cape", -34.05, 24.92],
+
+  // Free State
+  ["1947", "Sasolburg", "Sasolburg", "Metsimaholo", "Free State", -26.814, 27.816],
+  ["9301", "Bloemfontein", "Bloemfontein", "Mangaung", "Free State", -29.0852, 26.1596],
+  ["9459", "Welkom", "Welkom", "Matjhabeng", "Free State", -27.977, 26.735],
+  ["9480", "Odendaalsrus", "Odendaalsrus", "Matjhabeng", "Free State", -27.87, 26.69],
+  ["9499", "Kroonstad", "Kroonstad", "Moqhaka", "Free State", -27.65, 27.23],
+  ["9585", "Parys", "Parys", "Ngwathe", "Free State", -26.9, 27.46],
+  ["9701", "Bethlehem", "Bethlehem", "Dihlabeng", "Free State", -28.23, 28.31],
+  ["9780", "Thaba Nchu", "Thaba Nchu", "Mangaung", "Free State", -29.21, 26.84],
+  ["9781", "Botshabelo", "Botshabelo", "Mangaung", "Free State", -29.23, 26.71],
+  ["9866", "Phuthaditjhaba", "Phuthaditjhaba", "Maluti-a-Phofung", "Free State", -28.53, 28.82],
+  ["9880", "Harrismith", "Harrismith", "Maluti-a-Phofung", "Free State", -28.272, 29.129],
+
+  // Limpopo
+  ["0480", "Bela-Bela", "Bela-Bela", "Bela-Bela", "Limpopo", -24.885, 28.29],
+  ["0555", "Lephalale", "Lephalale", "Lephalale", "Limpopo", -23.68, 27.7],
+  ["0600", "Mokopane", "Mokopane", "Mogalakwena", "Limpopo", -24.194, 29.01],
+  ["0700", "Polokwane", "Polokwane", "Polokwane", "Limpopo", -23.9045, 29.4689],
+  ["0727", "Mankweng", "Polokwane", "Polokwane", "Limpopo", -23.88, 29.72],
+  ["0742", "Seshego", "Polokwane", "Polokwane", "Limpopo", -23.85, 29.38],
+  ["0826", "Giyani", "Giyani", "Greater Giyani", "Limpopo", -23.3, 30.72],
+  ["0850", "Tzaneen", "Tzaneen", "Greater Tzaneen", "Limpopo", -23.833, 30.163],
+  ["0900", "Musina", "Musina", "Musina", "Limpopo", -22.35, 30.04],
+  ["0920", "Makhado", "Makhado", "Makhado", "Limpopo", -23.043, 29.904],
+  ["0950", "Thohoyandou", "Thohoyandou", "Thulamela", "Limpopo", -22.95, 30.48],
+  ["1390", "Phalaborwa", "Phalaborwa", "Ba-Phalaborwa", "Limpopo", -23.943, 31.141],
+
+  // Mpumalanga
+  ["1022", "KwaMhlanga", "KwaMhlanga", "Thembisile Hani", "Mpumalanga", -25.43, 28.71],
+  ["1035", "eMalahleni", "eMalahleni", "Emalahleni", "Mpumalanga", -25.871, 29.233],
+  ["1050", "Middelburg", "Middelburg", "Steve Tshwete", "Mpumalanga", -25.775, 29.464],
+  ["1120", "Mashishing", "Mashishing", "Thaba Chweu", "Mpumalanga", -25.1, 30.46],
+  ["1200", "Mbombela", "Mbombela", "City of Mbombela", "Mpumalanga", -25.4753, 30.9694],
+  ["1240", "White River", "White River", "City of Mbombela", "Mpumalanga", -25.331, 31.011],
+  ["1242", "Hazyview", "Hazyview", "City of Mbombela", "Mpumalanga", -25.05, 31.13],
+  ["1280", "Bushbuckridge", "Bushbuckridge", "Bushbuckridge", "Mpumalanga", -24.84, 31.07],
+  ["1300", "Barberton", "Barberton", "City of Mbombela", "Mpumalanga", -25.787, 31.053],
+  ["2302", "Secunda", "Secunda", "Govan Mbeki", "Mpumalanga", -26.55, 29.17],
+  ["2350", "Ermelo", "Ermelo", "Msukaligwa", "Mpumalanga", -26.533, 29.983],
+  ["2430", "Standerton", "Standerton", "Lekwa", "Mpumalanga", -26.933, 29.241],
+
+  // North West
+  ["0250", "Brits", "Brits", "Madibeng", "North West", -25.635, 27.78],
+  ["0299", "Rustenburg", "Rustenburg", "Rustenburg", "North West", -25.6676, 27.2421],
+  ["0314", "Mogwase", "Mogwase", "Moses Kotane", "North West", -25.28, 27.23],
+  ["2531", "Potchefstroom", "Potchefstroom", "JB Marks", "North West", -26.7145, 27.097],
+  ["2571", "Klerksdorp", "Klerksdorp", "City of Matlosana", "North West", -26.852, 26.667],
+  ["2735", "Mmabatho", "Mahikeng", "Mahikeng", "North West", -25.84, 25.61],
+  ["2740", "Lichtenburg", "Lichtenburg", "Ditsobotla", "North West", -26.15, 26.16],
+  ["2745", "Mahikeng", "Mahikeng", "Mahikeng", "North West", -25.865, 25.644],
+  ["8601", "Vryburg", "Vryburg", "Naledi", "North West", -26.957, 24.728],
+
+  // Northern Cape
+  ["7000", "De Aar", "De Aar", "Emthanjeni", "Northern Cape", -30.65, 24.01],
+  ["8240", "Springbok", "Springbok", "Nama Khoi", "Northern Cape", -29.664, 17.886],
+  ["8301", "Kimberley", "Kimberley", "Sol Plaatje", "Northern Cape", -28.7282, 24.7499],
+  ["8330", "Galeshewe", "Kimberley", "Sol Plaatje", "Northern Cape", -28.71, 24.73],
+  ["8420", "Postmasburg", "Postmasburg", "Tsantsabane", "Northern Cape", -28.33, 23.07],
+  ["8446", "Kathu", "Kathu", "Gamagara", "Northern Cape", -27.7, 23.05],
+  ["8460", "Kuruman", "Kuruman", "Ga-Segonyana", "Northern Cape", -27.452, 23.433],
+  ["8801", "Upington", "Upington", "Dawid Kruiper", "Northern Cape", -28.4478, 21.2561],
+];
+
+export default ROWS.map(
+  ([postalCode, suburb, city, municipality, province, latitude, longitude]) =>
+    Object.freeze({
+      postalCode,
+      suburb,
+      city,
+      municipality,
+      province,
+      geo: { latitude, longitude },
+    })
+);
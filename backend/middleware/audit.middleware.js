@@ -0,0 +1,165 @@
+import { runWithCountry } from "../utilities/country-context.util.js";
+import {
+  AUDIT_OUTCOMES,
+  auditActor,
+  diffRecords,
+  recordAuditEvent,
+  trackAuditEvent,
+} from "../utilities/audit.util.js";
+
+const METHOD_ACTIONS = {
+  POST: "create",
+  PUT: "update",
+  PATCH: "update",
+  DELETE: "delete",
+};
+
+// Actions after which the resource is gone (nothing to reload)
+const REMOVING_ACTIONS = new Set(["delete", "purge"]);
+
+// What a bulk request asked for (the individual records are not diffed)
+function bulkDetails(req) {
+  const { operation, data } = req.body || {};
+  return {
+    operation: operation || null,
+    count: Array.isArray(data) ? data.length : null,
+  };
+}
+
+function isRecord(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+async function loadQuietly(load, id, req) {
+  if (!load || !id) return null;
+  try {
+    const record = await load(id, req);
+    return isRecord(record) ? record : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record an audit event for the route it is attached to
+ * The record is loaded before the handler runs and again once the response
+ * has been sent, and the field-level difference is stored with the event.
+ * Nothing is recorded for failed requests unless `failures` is set.
+ *
+ * Usage:
+ *   router.put("/internal/roles/:id", authenticateJWT,
+ *     audit("role", { load: (id) => getInternalRoleById(id) }), handler);
+ *
+ * @param {string} resourceType - e.g. "role", "person", "tenant"
+ * @param {Object} options
+ * @param {string} options.action - Defaults from the method (POST create,
+ *   PUT/PATCH update, DELETE delete)
+ * @param {Function} options.load - async (id, req) => record, for the diff
+ * @param {string|Function} options.id - Fixed id (singletons), or
+ *   (req, body) => id when the id is not a route param
+ * @param {string} options.idParam - Route param holding the id (default "id")
+ * @param {string} options.idField - Response field holding a new record's id
+ * @param {boolean} options.failures - Also record failed requests
+ * @param {Function} options.actor - (req, body) => principal, when the
+ *   actor is not the authenticated user (e.g. logins)
+ * @param {Function} options.details - (req, body) => extra event context
+ */
+export function audit(resourceType, options = {}) {
+  const {
+    load,
+    idParam = "id",
+    idField = "id",
+    failures = false,
+    actor: actorOf,
+    details,
+  } = options;
+
+  return async function auditTrail(req, res, next) {
+    const action = options.action || METHOD_ACTIONS[req.method];
+    const resolveId = (body) =>
+      typeof options.id === "function"
+        ? options.id(req, body)
+        : options.id || req.params[idParam] || null;
+    const paramId = resolveId(undefined);
+    const before =
+      action === "create" ? null : await loadQuietly(load, paramId, req);
+
+    let body;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      body = payload;
+      return json(payload);
+    };
+
+    res.on("finish", () => {
+      const succeeded = res.statusCode < 400;
+      if (!succeeded && !failures) return;
+
+      trackAuditEvent(async () => {
+        const data = isRecord(body?.data) ? body.data : null;
+        const id =
+          paramId || resolveId(body) || data?.[idField] || data?.id || null;
+
+        // Without a loader only a created record's response is diffable
+        let after = null;
+        if (succeeded && !REMOVING_ACTIONS.has(action)) {
+          after =
+            (await runWithCountry(req.country, () =>
+              loadQuietly(load, id, req)
+            )) || (load || action === "create" ? data : null);
+        }
+
+        await recordAuditEvent({
+          action,
+          outcome: succeeded ? AUDIT_OUTCOMES.SUCCESS : AUDIT_OUTCOMES.FAILURE,
+          resource: { type: resourceType, id },
+          tenantId:
+            req.params.tenantId ||
+            req.get("x-tenant-id") ||
+            (resourceType === "tenant" ? id : null) ||
+            req.user?.tenantId ||
+            data?.tenantId ||
+            null,
+          country: req.country || null,
+          actor: auditActor(
+            actorOf ? actorOf(req, body) : req.admin || req.user
+          ),
+          request: {
+            method: req.method,
+            path: req.originalUrl.split("?")[0],
+            ip: req.ip || null,
+            userAgent: req.get("user-agent") || null,
+            statusCode: res.statusCode,
+          },
+          changes: succeeded ? diffRecords(before, after) : [],
+          details: details
+            ? details(req, body)
+            : action === "bulk"
+            ? bulkDetails(req)
+            : null,
+        });
+      });
+    });
+
+    next();
+  };
+}
+
+/**
+ * Audit a login endpoint, failed attempts included
+ * @param {string} resourceType - "admin", "tenantUser", ...
+ * @param {string} principalKey - Key of the signed-in record in the
+ *   response data (e.g. "admin" for { data: { admin, token } })
+ */
+export function auditLogin(resourceType, principalKey) {
+  return audit(resourceType, {
+    action: "login",
+    failures: true,
+    id: (req, body) => body?.data?.[principalKey]?.id || null,
+    actor: (req, body) =>
+      body?.data?.[principalKey] || { email: req.body?.email || null },
+    details: (req) => ({
+      attempted: req.body?.email || req.body?.phoneNumber || null,
+    }),
+  });
+}
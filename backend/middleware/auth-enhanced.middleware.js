@@ -143,8 +143,46 @@ export function requireTenantContext(req, res, next) {
   next();
 }
 
+/**
+ * Permission that lets an internal admin act inside any tenant.
+ * Only honoured on internal admin tokens - tenant-issued tokens are always
+ * pinned to the tenant embedded at login.
+ */
+export const CROSS_TENANT_PERMISSION = "tenant.cross.access";
+
+const INTERNAL_TOKEN_TYPES = ["admin", "internal_admin"];
+const INTERNAL_CROSS_TENANT_ROLES = ["internalRootAdmin", "internalSuperAdmin"];
+
+function hasCrossTenantAccess(principal) {
+  if (INTERNAL_CROSS_TENANT_ROLES.includes(principal.role)) return true;
+  const permissions = Array.isArray(principal.permissions)
+    ? principal.permissions
+    : [];
+  return permissions.some(
+    (p) => p === CROSS_TENANT_PERMISSION || p === "all.access" || p === "*"
+  );
+}
+
+function denyTenantAccess(req, res, details) {
+  console.warn("🚫 Tenant access denied", {
+    ...details,
+    method: req.method,
+    path: req.originalUrl || req.url,
+    ip: req.ip,
+    at: new Date().toISOString(),
+  });
+  return res.status(403).json({
+    success: false,
+    error: "Access denied to this tenant",
+    code: "TENANT_ACCESS_DENIED",
+  });
+}
+
 /**
  * Middleware to check tenant ownership
+ * Must run after authentication. Works with tokens from both auth.middleware
+ * (req.admin / req.user with `type`, `permissions`, `tenantId`) and this module
+ * (req.user with `role`, `tenantId`).
  */
 export function requireTenantOwnership(req, res, next) {
   const tenantIdFromParams = req.params.tenantId;
@@ -162,23 +200,42 @@ export function requireTenantOwnership(req, res, next) {
     });
   }
 
-  // Root admins can access any tenant
-  if (
-    req.user.role === "internalRootAdmin" ||
-    req.user.role === "internalSuperAdmin"
-  ) {
-    return next();
+  const principal = req.admin || req.user;
+  if (!principal) {
+    return res.status(401).json({
+      success: false,
+      error: "Authentication required",
+      code: "NO_USER",
+    });
+  }
+
+  const principalId = principal.id || principal.userId || principal.email;
+  const isInternal =
+    !!req.admin ||
+    INTERNAL_TOKEN_TYPES.includes(principal.type) ||
+    INTERNAL_CROSS_TENANT_ROLES.includes(principal.role);
+
+  // Internal admins need the explicit cross-tenant permission
+  if (isInternal) {
+    if (hasCrossTenantAccess(principal)) {
+      return next();
+    }
+    return denyTenantAccess(req, res, {
+      reason: "missing_cross_tenant_permission",
+      principal: principalId,
+      tokenType: principal.type,
+      requestedTenant: requestedTenantId,
+    });
   }
 
   // Other users can only access their own tenant
-  if (req.user.tenantId !== requestedTenantId) {
-    console.warn(
-      `Tenant access denied - User: ${req.user.userId}, UserTenant: ${req.user.tenantId}, RequestedTenant: ${requestedTenantId}`
-    );
-    return res.status(403).json({
-      success: false,
-      error: "Access denied to this tenant",
-      code: "TENANT_ACCESS_DENIED",
+  if (!principal.tenantId || principal.tenantId !== requestedTenantId) {
+    return denyTenantAccess(req, res, {
+      reason: principal.tenantId ? "tenant_mismatch" : "token_without_tenant",
+      principal: principalId,
+      tokenType: principal.type,
+      principalTenant: principal.tenantId || null,
+      requestedTenant: requestedTenantId,
     });
   }
 
@@ -1,10 +1,12 @@
 import { verifyToken } from "../utilities/auth.util.js";
+import { isSessionActive } from "../modules/internal/session/session.service.js";
+import { resolvePrincipalPermissions } from "../utilities/permissions.util.js";
 import {
   sendValidationError,
   sendUnauthorized,
 } from "../utilities/response.util.js";
 
-export function authenticateJWT(req, res, next) {
+export async function authenticateJWT(req, res, next) {
   // Debug logging
   console.log("Auth middleware - URL:", req.url);
   console.log("Auth middleware - Raw cookie header:", req.headers.cookie);
@@ -55,6 +57,19 @@ export function authenticateJWT(req, res, next) {
     } catch {}
     const decoded = verifyToken(token);
 
+    // Tokens issued for a session stop working once it is revoked (logout,
+    // sign out everywhere, deactivation), not only when they expire
+    if (
+      decoded.sid &&
+      !(await isSessionActive(decoded.tenantId || null, decoded.sid))
+    ) {
+      console.log("Auth middleware - Session ended:", decoded.sid);
+      return sendUnauthorized(
+        res,
+        "Authentication failed: Your session has ended. Please log in again."
+      );
+    }
+
     // Handle different user types
     if (decoded.type === "admin" || decoded.type === "internal_admin") {
       req.admin = decoded;
@@ -62,8 +77,9 @@ export function authenticateJWT(req, res, next) {
       req.user = decoded;
     }
 
-    // Ensure permissions claim is propagated for downstream permission checks
-    const perms = Array.isArray(decoded.permissions) ? decoded.permissions : [];
+    // Permissions come from the token's roles as they are defined now (see
+    // permissions.util), for downstream permission checks
+    const perms = await resolvePrincipalPermissions(decoded);
     if (req.admin) req.admin.permissions = perms;
     if (req.user) req.user.permissions = perms;
 
@@ -0,0 +1,47 @@
+import { resolveCountryKey } from "../config/countries.config.js";
+import {
+  runWithCountry,
+  setCurrentCountry,
+  getCurrentCountry,
+} from "../utilities/country-context.util.js";
+import { getTenantCountry } from "../modules/internal/tenant/tenant.firestore.js";
+import { sendValidationError } from "../utilities/response.util.js";
+
+/**
+ * Establish the country context for a request
+ * Reads the optional `X-Country` header (country key or ISO code) and runs
+ * the rest of the request inside that country's context. Without the header
+ * the DEFAULT_COUNTRY applies.
+ */
+export function countryContext(req, res, next) {
+  const requested = req.get("X-Country");
+  const country = requested ? resolveCountryKey(requested) : null;
+
+  if (requested && !country) {
+    return sendValidationError(res, `Unsupported country: ${requested}`, {
+      header: "X-Country",
+    });
+  }
+
+  return runWithCountry(country, () => {
+    req.country = getCurrentCountry();
+    next();
+  });
+}
+
+/**
+ * router.param handler for tenant IDs
+ * Switches the request to the country the tenant was created in, so
+ * tenant-scoped collections resolve to the right partition regardless of
+ * the X-Country header.
+ *
+ * Usage: router.param("tenantId", tenantCountryParam);
+ */
+export async function tenantCountryParam(req, res, next, tenantId) {
+  try {
+    req.country = setCurrentCountry(await getTenantCountry(tenantId));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
@@ -177,7 +177,18 @@ export function checkAllPermissions(...required) {
   };
 }
 
+/**
+ * Does the request carry a permission? For decisions inside a handler (e.g.
+ * whether to decrypt sensitive fields) rather than access to the route
+ */
+export function hasPermission(req, permission) {
+  return collectUserPermissions(req).some((granted) =>
+    matchPermission(permission, granted)
+  );
+}
+
 export default {
   checkPermissions,
   checkAllPermissions,
+  hasPermission,
 };
@@ -0,0 +1,18 @@
+import {
+  nestDemographics,
+  flattenDemographics,
+  reshapePeople,
+} from "./lib/person-demographics.js";
+
+export const description =
+  "Move top-level idNumber, dateOfBirth, gender, ... of internal persons " +
+  "into demographics";
+export const scope = "platform";
+
+export async function up(ctx) {
+  await reshapePeople(ctx, ctx.path("people"), nestDemographics);
+}
+
+export async function down(ctx) {
+  await reshapePeople(ctx, ctx.path("people"), flattenDemographics);
+}
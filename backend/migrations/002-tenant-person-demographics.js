@@ -0,0 +1,18 @@
+import {
+  nestDemographics,
+  flattenDemographics,
+  reshapePeople,
+} from "./lib/person-demographics.js";
+
+export const description =
+  "Move top-level idNumber, dateOfBirth, gender, ... of tenant persons " +
+  "into demographics";
+export const scope = "tenant";
+
+export async function up(ctx) {
+  await reshapePeople(ctx, ctx.path("people"), nestDemographics);
+}
+
+export async function down(ctx) {
+  await reshapePeople(ctx, ctx.path("people"), flattenDemographics);
+}
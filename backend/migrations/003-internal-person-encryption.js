@@ -0,0 +1,14 @@
+import { encryptPeople, decryptPeople } from "./lib/person-encryption.js";
+
+export const description =
+  "Encrypt idNumber, passportNumber, tax, UIF and medical aid numbers and " +
+  "income of internal persons, with blind indexes";
+export const scope = "platform";
+
+export async function up(ctx) {
+  await encryptPeople(ctx);
+}
+
+export async function down(ctx) {
+  await decryptPeople(ctx);
+}
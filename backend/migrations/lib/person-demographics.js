@@ -0,0 +1,65 @@
+/**
+ * Person demographics reshape (shared by the platform and tenant migrations)
+ * Older person documents keep identity fields at the top level; the current
+ * schema nests them under `demographics`.
+ */
+
+export const DEMOGRAPHIC_FIELDS = [
+  "idNumber",
+  "passportNumber",
+  "dateOfBirth",
+  "gender",
+  "citizenshipStatus",
+  "nationality",
+  "homeLanguage",
+  "race",
+];
+
+/**
+ * Move top-level demographic fields into `demographics`
+ * Values already under `demographics` win over top-level copies.
+ * @returns {Object|null} Reshaped document, or null when nothing moves
+ */
+export function nestDemographics(data) {
+  const moved = DEMOGRAPHIC_FIELDS.filter((field) => field in data);
+  if (moved.length === 0) return null;
+
+  const out = { ...data, demographics: { ...(data.demographics || {}) } };
+  for (const field of moved) {
+    if (out.demographics[field] === undefined) {
+      out.demographics[field] = data[field];
+    }
+    delete out[field];
+  }
+  return out;
+}
+
+/**
+ * Reverse of nestDemographics: back to the flat, top-level shape
+ * @returns {Object|null} Reshaped document, or null when nothing moves
+ */
+export function flattenDemographics(data) {
+  const nested = data.demographics || {};
+  const moved = DEMOGRAPHIC_FIELDS.filter((field) => field in nested);
+  if (moved.length === 0) return null;
+
+  const out = { ...data, demographics: { ...nested } };
+  for (const field of moved) {
+    out[field] = nested[field];
+    delete out.demographics[field];
+  }
+  if (Object.keys(out.demographics).length === 0) delete out.demographics;
+  return out;
+}
+
+// Rewrite every person in a collection with the given reshape
+export async function reshapePeople(ctx, collectionPath, reshape) {
+  let changed = 0;
+  for await (const doc of ctx.documents(collectionPath)) {
+    const next = reshape(doc.data());
+    if (!next) continue;
+    await ctx.set(doc.ref, next);
+    changed++;
+  }
+  ctx.log(`${changed} person document(s) reshaped`);
+}
@@ -0,0 +1,51 @@
+/**
+ * Person field encryption (shared by the platform and tenant migrations)
+ * Encrypts the sensitive fields of existing person documents, live and
+ * trashed, and backfills their blind indexes; down restores the plaintext.
+ */
+
+import {
+  encryptFields,
+  revealFields,
+  keyScope,
+} from "../../utilities/field-encryption.util.js";
+
+export const PERSON_COLLECTIONS = ["people", "peopleTrash"];
+
+/**
+ * Encrypt plaintext sensitive fields under the target's key
+ * @returns {Object|null} Encrypted document, or null when nothing changes
+ */
+export function encryptPerson(data, scope) {
+  const { record, blindIndex } = encryptFields(data, scope);
+  if (record === data && Object.keys(blindIndex).length === 0) return null;
+  return { ...record, blindIndex: { ...data.blindIndex, ...blindIndex } };
+}
+
+/**
+ * Back to plaintext, without blind indexes
+ * @returns {Object|null} Decrypted document, or null when nothing changes
+ */
+export function decryptPerson(data) {
+  const next = revealFields(data, true);
+  return JSON.stringify(next) === JSON.stringify(data) ? null : next;
+}
+
+// Rewrite every person of the target (live and trashed)
+export async function transformPeople(ctx, transform) {
+  let changed = 0;
+  for (const collection of PERSON_COLLECTIONS) {
+    for await (const doc of ctx.documents(ctx.path(collection))) {
+      const next = transform(doc.data());
+      if (!next) continue;
+      await ctx.set(doc.ref, next);
+      changed++;
+    }
+  }
+  ctx.log(`${changed} person document(s) rewritten`);
+}
+
+export const encryptPeople = (ctx) =>
+  transformPeople(ctx, (data) => encryptPerson(data, keyScope(ctx.tenantId)));
+
+export const decryptPeople = (ctx) => transformPeople(ctx, decryptPerson);
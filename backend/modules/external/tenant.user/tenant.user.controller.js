@@ -1,5 +1,4 @@
 import { z } from "zod";
-import { generateToken } from "../../../utilities/auth.util.js";
 import { derivePermissionsFromRoles } from "../../../utilities/permissions.util.js";
 import {
   checkPermissions,
@@ -18,6 +17,15 @@ import {
   getTenantUsersStatsService,
 } from "./tenant.user.service.js";
 import { serviceListTenants } from "../../internal/tenant/tenant.service.js";
+import {
+  startSession,
+  endSession,
+} from "../../internal/session/session.service.js";
+import {
+  extractTokenFromRequest,
+  extractRefreshTokenFromRequest,
+  clearSessionCookies,
+} from "../../../utilities/auth-enhanced.util.js";
 
 // Permissions defined in route handlers directly
 
@@ -133,19 +141,25 @@ export async function loginTenantUserHandler(req, res) {
 
     console.log("🔑 Authenticated tenant user data:", tenantUserData);
 
-    // Derive permissions from roles and include in JWT
+    // Permissions are resolved from the roles on every request; these are
+    // for the client only
     const derivedPermissions = await derivePermissionsFromRoles(
-      tenantUserData.roles
+      tenantUserData.roles,
+      tenant.id
     );
-    // Generate JWT token with real user ID
-    const token = generateToken({
-      id: finalMatchingUser.id, // Use real Firestore user ID
-      phoneNumber: finalMatchingUser.activationDetails.phoneNumber,
+    // Start a session with the real user ID (access + refresh token)
+    const tokens = await startSession({
       tenantId: tenant.id,
-      roles: tenantUserData.roles,
-      permissions: derivedPermissions,
-      type: "tenantUser",
+      claims: {
+        id: finalMatchingUser.id, // Use real Firestore user ID
+        phoneNumber: finalMatchingUser.activationDetails.phoneNumber,
+        tenantId: tenant.id,
+        roles: tenantUserData.roles,
+        type: "tenantUser",
+      },
+      client: { ip: req.ip, userAgent: req.get("user-agent") },
     });
+    const token = tokens.accessToken;
 
     console.log("🎟️ Generated token length:", token.length);
 
@@ -154,6 +168,8 @@ export async function loginTenantUserHandler(req, res) {
       data: {
         user: { ...tenantUserData, permissions: derivedPermissions },
         token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
         tenantId: tenant.id,
       },
     };
@@ -179,6 +195,20 @@ export async function loginTenantUserHandler(req, res) {
   }
 }
 
+// Logout handler for tenant user: revokes the session
+export async function logoutTenantUserHandler(req, res) {
+  try {
+    await endSession({
+      refreshToken: extractRefreshTokenFromRequest(req),
+      accessToken: extractTokenFromRequest(req),
+    });
+  } catch (error) {
+    console.error("❌ Tenant user logout error:", error);
+  }
+  clearSessionCookies(res);
+  res.json({ success: true });
+}
+
 // Permissions defined in route handlers directly
 
 function actorFrom(req) {
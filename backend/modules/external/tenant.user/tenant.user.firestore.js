@@ -1,9 +1,8 @@
 import { db } from "../../../services/firestore.client.js";
-
-const serviceId = "southAfrica";
+import { tenantPath } from "../../../utilities/country-context.util.js";
 
 function usersCol(tenantId) {
-  return db.collection(`touchAfrica/${serviceId}/tenants/${tenantId}/users`);
+  return db.collection(tenantPath(tenantId, "users"));
 }
 
 export async function createTenantUser(tenantId, model) {
@@ -11,26 +11,38 @@ import {
   updateTenantUserHandler,
   deleteTenantUserHandler,
   loginTenantUserHandler,
+  logoutTenantUserHandler,
   patchTenantUserHandler,
   searchTenantUsersHandler,
   bulkTenantUsersHandler,
   exportTenantUsersHandler,
   getTenantUsersStatsHandler,
 } from "./tenant.user.controller.js";
+import { audit, auditLogin } from "../../../middleware/audit.middleware.js";
+import { getTenantUserById } from "./tenant.user.firestore.js";
 
 const router = express.Router();
 
+const auditTenantUser = (action) =>
+  audit("tenantUser", {
+    action,
+    load: (id, req) => getTenantUserById(req.get("x-tenant-id"), id),
+  });
+
 // Not protected (per prompt for tenantUser): login/logout
-router.post("/external/tenant-users/login", loginTenantUserHandler);
-router.post("/external/tenant-users/logout", (_req, res) =>
-  res.json({ success: true })
+router.post(
+  "/external/tenant-users/login",
+  auditLogin("tenantUser", "user"),
+  loginTenantUserHandler
 );
+router.post("/external/tenant-users/logout", logoutTenantUserHandler);
 
 // Protected
 router.post(
   "/external/tenant-users",
   authenticateJWT,
   checkPermissions("tenant.user.create"),
+  auditTenantUser(),
   createTenantUserHandler
 );
 router.get(
@@ -53,6 +65,7 @@ router.post(
   "/external/tenant-users/bulk",
   authenticateJWT,
   checkPermissions("tenant.user.update"),
+  auditTenantUser("bulk"),
   bulkTenantUsersHandler
 );
 
@@ -81,30 +94,35 @@ router.put(
   "/external/tenant-users/:id",
   authenticateJWT,
   checkPermissions("tenant.user.update"),
+  auditTenantUser(),
   updateTenantUserHandler
 );
 router.patch(
   "/external/tenant-users/:id",
   authenticateJWT,
   checkPermissions("tenant.user.update"),
+  auditTenantUser(),
   patchTenantUserHandler
 );
 router.put(
   "/external/tenant-users/:id/activate",
   authenticateJWT,
   checkPermissions("tenant.user.update"),
+  auditTenantUser("activate"),
   updateTenantUserHandler
 );
 router.put(
   "/external/tenant-users/:id/deactivate",
   authenticateJWT,
   checkPermissions("tenant.user.update"),
+  auditTenantUser("deactivate"),
   updateTenantUserHandler
 );
 router.delete(
   "/external/tenant-users/:id",
   authenticateJWT,
   checkPermissions("tenant.user.delete"),
+  auditTenantUser(),
   deleteTenantUserHandler
 );
 
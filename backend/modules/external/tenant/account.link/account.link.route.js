@@ -0,0 +1,75 @@
+import express from "express";
+import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
+import { checkPermissions } from "../../../../middleware/permission.middleware.js";
+import {
+  inviteAdminHandler,
+  resendInvitationHandler,
+  forgotPasswordHandler,
+  resetPasswordHandler,
+  acceptInvitationHandler,
+} from "../../../internal/account.link/account.link.controller.js";
+import { getExternalAdminById } from "../admin/admin.firestore.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+
+/**
+ * Tenant Account Link Router
+ * Invitations and password resets of the tenant's admins; the handlers
+ * are shared with the platform routes (see internal/account.link)
+ */
+
+const router = express.Router();
+
+const loadAdmin = (id, req) => getExternalAdminById(id, req.params.tenantId);
+
+// The account a link was for, once it has been used
+const linkAudit = (action) =>
+  audit("admin", {
+    action,
+    failures: true,
+    id: (req, body) => body?.data?.id || null,
+    actor: (req, body) => body?.data || { id: "anonymous" },
+  });
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
+// Not protected: the link's token is the credential
+router.post("/:tenantId/admins/password/forgot", forgotPasswordHandler);
+router.post(
+  "/:tenantId/admins/password/reset",
+  linkAudit("reset-password"),
+  resetPasswordHandler
+);
+router.post(
+  "/:tenantId/admins/invitations/accept",
+  linkAudit("accept-invitation"),
+  acceptInvitationHandler
+);
+
+// POST /:tenantId/admins/invitations - Invite an admin
+router.post(
+  "/:tenantId/admins/invitations",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.admin.create", "all.access"),
+  audit("admin", {
+    action: "invite",
+    id: (req, body) => body?.data?.admin?.id || null,
+    load: loadAdmin,
+  }),
+  inviteAdminHandler
+);
+
+// POST /:tenantId/admins/:id/invitation - Send the invitation again
+router.post(
+  "/:tenantId/admins/:id/invitation",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.admin.update", "all.access"),
+  audit("admin", { action: "resend-invitation", load: loadAdmin }),
+  resendInvitationHandler
+);
+
+export default router;
@@ -1,4 +1,3 @@
-import jwt from "jsonwebtoken";
 import {
   ExternalAdminSchema,
   ExternalAdminUpdateSchema,
@@ -35,7 +34,22 @@ import {
   createExportResponse,
 } from "../../../../utilities/query.util.js";
 import { derivePermissionsFromRoles } from "../../../../utilities/permissions.util.js";
+import {
+  expectedVersionFrom,
+  setETag,
+} from "../../../../utilities/concurrency.util.js";
 import { getPersonRecord } from "../person/person.service.js";
+import {
+  startSession,
+  endSession,
+} from "../../../internal/session/session.service.js";
+import { beginTwoFactorLogin } from "../../../internal/two.factor/two.factor.service.js";
+import {
+  extractTokenFromRequest,
+  extractRefreshTokenFromRequest,
+  setSessionCookies,
+  clearSessionCookies,
+} from "../../../../utilities/auth-enhanced.util.js";
 
 // Define authorization roles
 // Permissions defined in route handlers directly
@@ -144,6 +158,7 @@ export const getExternalAdminByIdHandler = async (req, res, next) => {
       return sendNotFound(res, "Admin", id);
     }
 
+    setETag(res, admin);
     return sendSuccess(res, admin, "Admin retrieved successfully");
   } catch (error) {
     next(error);
@@ -167,8 +182,10 @@ export const updateExternalAdminByIdHandler = async (req, res, next) => {
       id,
       validatedData,
       actor,
-      tenantId
+      tenantId,
+      expectedVersionFrom(req)
     );
+    setETag(res, updatedAdmin);
 
     return sendSuccess(res, updatedAdmin, "Admin updated successfully");
   } catch (error) {
@@ -330,39 +347,57 @@ export const loginExternalAdminHandler = async (req, res, next) => {
     // Validate request body
     const { email, password } = ExternalAdminLoginSchema.parse(req.body);
 
-    // Authenticate admin
-    const admin = await loginExternalAdminService(email, password, tenantId);
+    // Authenticate admin (the client is kept in the login history)
+    const client = { ip: req.ip, userAgent: req.get("user-agent") };
+    const admin = await loginExternalAdminService(
+      email,
+      password,
+      tenantId,
+      client
+    );
 
-    // Strict RBAC: roles are only containers -> derive concrete permissions now
+    // Strict RBAC: roles are only containers. The token carries the roles;
+    // permissions are resolved per request, these are for the client only
     const roleList = Array.isArray(admin.roles) ? admin.roles : [];
-    const derivedPermissions = await derivePermissionsFromRoles(roleList);
-
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        id: admin.id,
-        email: admin.accessDetails.email,
-        roles: admin.roles,
-        permissions: derivedPermissions,
-        type: "External_admin",
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
+    const derivedPermissions = await derivePermissionsFromRoles(
+      roleList,
+      tenantId
     );
 
+    // Session claims (tenantId pins the tokens to this tenant's routes;
+    // country is informational for clients - routing uses the tenant directory)
+    const claims = {
+      id: admin.id,
+      email: admin.accessDetails.email,
+      roles: roleList,
+      type: "External_admin",
+      tenantId,
+      country: req.country,
+    };
+    const profile = { ...admin, permissions: derivedPermissions };
+
+    // Accounts using two-factor authentication get a challenge to pass
+    // (see internal/two.factor) before the session starts
+    const challenge = await beginTwoFactorLogin({ tenantId, claims, profile });
+    if (challenge) {
+      return sendSuccess(res, challenge, "Two-factor authentication required");
+    }
+
+    // Start a session: short-lived access token plus a refresh token
+    const tokens = await startSession({ tenantId, claims, client });
+
     // Note: Attempting server-side cookie setting (currently not working due to Express middleware issue)
     // Client-side fallback implemented in frontend
-    res.cookie("authToken", token, {
-      httpOnly: false, // Temporarily set to false for debugging
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      maxAge: 24 * 60 * 60 * 1000,
-      path: "/",
-    });
+    setSessionCookies(res, tokens);
 
     return sendSuccess(
       res,
-      { admin: { ...admin, permissions: derivedPermissions }, token },
+      {
+        admin: profile,
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+      },
       "Login successful"
     );
   } catch (error) {
@@ -382,18 +417,22 @@ export const loginExternalAdminHandler = async (req, res, next) => {
 };
 
 // Logout External admin
-export const logoutExternalAdminHandler = async (req, res) => {
-  // Clear authentication cookie
-  res.clearCookie("authToken", {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: "strict",
-    path: "/",
-  });
-
-  // For JWT tokens, logout is also handled client-side
-  // by removing the token from storage
-  return sendSuccess(res, null, "Logged out successfully");
+export const logoutExternalAdminHandler = async (req, res, next) => {
+  try {
+    // Revoke the session so its tokens stop working straight away
+    await endSession({
+      refreshToken: extractRefreshTokenFromRequest(req),
+      accessToken: extractTokenFromRequest(req),
+    });
+
+    // Clear authentication cookies
+    clearSessionCookies(res);
+
+    // The client also removes the tokens from storage
+    return sendSuccess(res, null, "Logged out successfully");
+  } catch (error) {
+    next(error);
+  }
 };
 
 // Activate External admin
@@ -455,8 +494,10 @@ export const patchExternalAdminByIdHandler = async (req, res, next) => {
       id,
       validatedData,
       actor,
-      tenantId
+      tenantId,
+      expectedVersionFrom(req)
     );
+    setETag(res, updatedAdmin);
 
     return sendSuccess(
       res,
@@ -1,6 +1,8 @@
 import { db } from "../../../../services/firestore.client.js";
+import { tenantPath } from "../../../../utilities/country-context.util.js";
+import { updateWithVersion } from "../../../../utilities/concurrency.util.js";
 
-// Multi-tenant path: /touchAfrica/southAfrica/tenants/{TENANT_ID}/admins/{ADMIN_ID}
+// Multi-tenant path: /touchAfrica/{country}/tenants/{TENANT_ID}/admins/{ADMIN_ID}
 // Tenant ID will be provided dynamically from frontend routes
 
 /**
@@ -12,7 +14,7 @@ export const getAdminCollectionPath = (tenantId) => {
   if (!tenantId) {
     throw new Error("Tenant ID is required for admin operations");
   }
-  return `touchAfrica/southAfrica/tenants/${tenantId}/admins`;
+  return tenantPath(tenantId, "admins");
 };
 
 // Create External admin
@@ -44,6 +46,24 @@ export const updateExternalAdminById = async (id, updateData, tenantId) => {
   return updateData;
 };
 
+// Update External admin by ID, honouring If-Match and bumping recordVersion
+// (system writes such as login bookkeeping use updateExternalAdminById)
+export const updateExternalAdminWithVersion = async (
+  id,
+  updateData,
+  tenantId,
+  expectedVersion = null
+) => {
+  const collectionPath = getAdminCollectionPath(tenantId);
+  const docRef = db.doc(`${collectionPath}/${id}`);
+  const { version } = await updateWithVersion(docRef, updateData, {
+    expected: expectedVersion,
+    method: "set",
+    resource: "Admin",
+  });
+  return { ...updateData, recordVersion: version };
+};
+
 // Delete External admin by ID
 export const deleteExternalAdminById = async (id, tenantId) => {
   const collectionPath = getAdminCollectionPath(tenantId);
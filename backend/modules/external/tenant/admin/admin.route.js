@@ -1,5 +1,7 @@
 import express from "express";
 import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
 import {
   advancedListQuery,
   searchQuery,
@@ -26,24 +28,42 @@ import {
   activateExternalAdminHandler,
   deactivateExternalAdminHandler,
 } from "./admin.controller.js";
+import { audit, auditLogin } from "../../../../middleware/audit.middleware.js";
+import { getExternalAdminById } from "./admin.firestore.js";
 
 const router = express.Router();
 
+const auditAdmin = (action) =>
+  audit("admin", {
+    action,
+    load: (id, req) => getExternalAdminById(id, req.params.tenantId),
+  });
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
 // Not protected routes
-router.post("/:tenantId/admins/login", loginExternalAdminHandler);
+router.post(
+  "/:tenantId/admins/login",
+  auditLogin("admin", "admin"),
+  loginExternalAdminHandler
+);
 router.post("/:tenantId/admins/logout", logoutExternalAdminHandler);
 
 // Protected routes
 router.post(
   "/:tenantId/admins",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.admin.create", "all.access"),
+  auditAdmin(),
   createExternalAdminHandler
 );
 
 router.get(
   "/:tenantId/admins/me",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.admin.read", "all.access"),
   getCurrentAdminHandler
 );
@@ -51,6 +71,7 @@ router.get(
 router.get(
   "/:tenantId/admins/search",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.admin.read", "all.access"),
   searchQuery([
     "personalInfo.firstName",
@@ -67,6 +88,7 @@ router.get(
 router.get(
   "/:tenantId/admins/export",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.admin.read", "all.access"),
   exportQuery({
     sortFields: [
@@ -84,6 +106,7 @@ router.get(
 router.get(
   "/:tenantId/admins/stats",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.admin.read", "all.access"),
   getExternalAdminsStatsHandler
 );
@@ -91,18 +114,21 @@ router.get(
 router.post(
   "/:tenantId/admins/bulk",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions(
     "tenant.admin.create",
     "tenant.admin.update",
     "tenant.admin.delete",
     "all.access"
   ),
+  auditAdmin("bulk"),
   bulkExternalAdminsHandler
 );
 
 router.get(
   "/:tenantId/admins",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.admin.read", "all.access"),
   advancedListQuery({
     sortFields: [
@@ -127,6 +153,7 @@ router.get(
 router.get(
   "/:tenantId/admins/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.admin.read", "all.access"),
   getExternalAdminByIdHandler
 );
@@ -134,35 +161,45 @@ router.get(
 router.put(
   "/:tenantId/admins/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.admin.update", "all.access"),
+  auditAdmin(),
   updateExternalAdminByIdHandler
 );
 
 router.patch(
   "/:tenantId/admins/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.admin.update", "all.access"),
+  auditAdmin(),
   patchExternalAdminByIdHandler
 );
 
 router.delete(
   "/:tenantId/admins/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.admin.delete", "all.access"),
+  auditAdmin(),
   deleteExternalAdminByIdHandler
 );
 
 router.put(
   "/:tenantId/admins/:id/activate",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.admin.update", "all.access"),
+  auditAdmin("activate"),
   activateExternalAdminHandler
 );
 
 router.put(
   "/:tenantId/admins/:id/deactivate",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.admin.update", "all.access"),
+  auditAdmin("deactivate"),
   deactivateExternalAdminHandler
 );
 
@@ -3,6 +3,7 @@ import {
   createExternalAdmin,
   getExternalAdminById,
   updateExternalAdminById,
+  updateExternalAdminWithVersion,
   deleteExternalAdminById,
   activateExternalAdminById,
   deactivateExternalAdminById,
@@ -11,7 +12,10 @@ import {
   getAdminCollectionPath,
 } from "./admin.firestore.js";
 import { newExternalAdminId } from "./admin.validation.js";
-import { db } from "../../../../services/firestore.client.js";
+import {
+  validatePasswordFormat,
+  PASSWORD_POLICY_MESSAGE,
+} from "../../../../utilities/password-policy.util.js";
 import { getPersonById } from "../person/person.firestore.js";
 import {
   buildFirestoreQuery,
@@ -21,6 +25,20 @@ import {
   convertToCSV,
   convertToJSON,
 } from "../../../../utilities/query.util.js";
+import {
+  reassignAccountRoles,
+  revokeAccountSessions,
+} from "../../../internal/session/session.service.js";
+import { REVOKE_REASONS } from "../../../internal/session/session.validation.js";
+import {
+  assertNotLocked,
+  loginFailure,
+  recordLoginSuccess,
+} from "../../../internal/login.security/login.security.service.js";
+import {
+  LOGIN_OUTCOMES,
+  LAST_LOGINS_KEPT,
+} from "../../../internal/login.security/login.security.validation.js";
 
 // Helper function to hash passwords using PBKDF2
 const hashPassword = (password) => {
@@ -52,47 +70,31 @@ const verifyPassword = (password, hashedPassword) => {
   return hash === verifyHash;
 };
 
-// Helper function to validate password against Firestore regex (no local fallbacks)
-const validatePasswordFormat = async (password) => {
-  const formatDoc = await db
-    .doc("touchAfrica/southAfrica/formats/passwords")
-    .get();
-
-  if (!formatDoc.exists) {
-    throw new Error(
-      "Password policy lookup not found at touchAfrica/southAfrica/formats/passwords"
-    );
-  }
-
-  const data = formatDoc.data() || {};
-  if (!data.regex) {
-    throw new Error(
-      "Password policy 'regex' not defined in formats/passwords lookup"
-    );
-  }
-
-  const passwordRegex = new RegExp(data.regex);
-  return passwordRegex.test(password);
-};
-
-// Create External admin service
+/**
+ * Create External admin service
+ * @param {Object} adminData
+ * @param {string} actor
+ * @param {string} tenantId
+ * @param {Object} options - { invited: true for an admin without a
+ *   password yet, inactive until the invitation is accepted }
+ */
 export const createExternalAdminService = async (
   adminData,
   actor,
-  tenantId
+  tenantId,
+  { invited = false } = {}
 ) => {
   if (!tenantId) {
     throw new Error("Tenant ID is required for admin operations");
   }
 
-  // Validate password format using Firestore policy
-  const isValidPassword = await validatePasswordFormat(
-    adminData.accessDetails.password
-  );
-  if (!isValidPassword) {
-    throw new Error(
-      "Password does not meet organization policy (per formats/passwords lookup)"
-    );
+  // Validate password format using Firestore policy (an invited admin
+  // sets their own, see account.link)
+  if (
+    !invited &&
+    !(await validatePasswordFormat(adminData.accessDetails.password))
+  ) {
+    throw new Error(PASSWORD_POLICY_MESSAGE);
   }
 
   // Check for email uniqueness - ensure no other admin has this email
@@ -124,7 +126,9 @@ export const createExternalAdminService = async (
   const id = newExternalAdminId();
 
   // Hash password
-  const hashedPassword = hashPassword(adminData.accessDetails.password);
+  const hashedPassword = invited
+    ? null
+    : hashPassword(adminData.accessDetails.password);
 
   // Set defaults and prepare admin data
   const adminWithDefaults = {
@@ -134,10 +138,12 @@ export const createExternalAdminService = async (
       ...adminData.accessDetails,
       password: hashedPassword,
       lastLogin: [],
+      ...(invited && { invitedAt: new Date().toISOString() }),
     },
+    // Invited admins can't sign in until they accept
     account: {
       isActive: {
-        value: true,
+        value: !invited,
         changes: [],
       },
     },
@@ -219,12 +225,17 @@ export const getExternalAdminByIdService = async (id, tenantId) => {
   };
 };
 
-// Update External admin service
+// Whether an update changed an admin's roles
+const rolesChanged = (before, after) =>
+  JSON.stringify(before || []) !== JSON.stringify(after || []);
+
+// Update External admin service (expectedVersion = If-Match versions, or null)
 export const updateExternalAdminByIdService = async (
   id,
   updateData,
   actor,
-  tenantId
+  tenantId,
+  expectedVersion = null
 ) => {
   const existingAdmin = await getExternalAdminById(id, tenantId);
   if (!existingAdmin) {
@@ -279,13 +290,23 @@ export const updateExternalAdminByIdService = async (
     },
   };
 
-  await updateExternalAdminById(id, updatedAdmin, tenantId);
+  const savedAdmin = await updateExternalAdminWithVersion(
+    id,
+    updatedAdmin,
+    tenantId,
+    expectedVersion
+  );
+
+  // New roles apply to the admin's signed-in sessions straight away
+  if (rolesChanged(existingAdmin.roles, savedAdmin.roles)) {
+    await reassignAccountRoles(tenantId, id, savedAdmin.roles || []);
+  }
 
   // Remove password from response
   const {
     accessDetails: { password, ...accessWithoutPassword },
     ...adminResponse
-  } = updatedAdmin;
+  } = savedAdmin;
   return {
     ...adminResponse,
     accessDetails: accessWithoutPassword,
@@ -706,15 +727,31 @@ export const getExternalAdminsStatsService = async (
 };
 
 // Login service
-export const loginExternalAdminService = async (email, password, tenantId) => {
-  let admin = await getExternalAdminByEmail(email, tenantId);
+/**
+ * Login External admin service: checks the password, with lockout and
+ * login history (see internal/login.security)
+ * @param {string} email
+ * @param {string} password
+ * @param {string} tenantId
+ * @param {Object} client - { ip, userAgent }
+ */
+export const loginExternalAdminService = async (
+  email,
+  password,
+  tenantId,
+  client
+) => {
+  const admin = await getExternalAdminByEmail(email, tenantId);
+  const attempt = { tenantId, email, account: admin, client };
 
   if (!admin) {
-    throw new Error("Invalid credentials");
+    throw await loginFailure(attempt, LOGIN_OUTCOMES.UNKNOWN_ACCOUNT);
   }
 
+  await assertNotLocked(attempt);
+
   if (!admin.account.isActive.value) {
-    throw new Error("Account is not active");
+    throw await loginFailure(attempt, LOGIN_OUTCOMES.INACTIVE);
   }
 
   const isValidPassword = verifyPassword(
@@ -723,12 +760,18 @@ export const loginExternalAdminService = async (email, password, tenantId) => {
   );
 
   if (!isValidPassword) {
-    throw new Error("Invalid credentials");
+    throw await loginFailure(attempt, LOGIN_OUTCOMES.INVALID_PASSWORD);
   }
 
-  // Update last login
+  await recordLoginSuccess(attempt);
+
+  // Update last login (recent ones only; the full history is kept by
+  // login.security)
   const loginTime = new Date().toISOString();
-  admin.accessDetails.lastLogin.push(loginTime);
+  admin.accessDetails.lastLogin = [
+    ...(admin.accessDetails.lastLogin || []),
+    loginTime,
+  ].slice(-LAST_LOGINS_KEPT);
 
   await updateExternalAdminById(admin.id, admin, tenantId);
 
@@ -791,6 +834,14 @@ export const deactivateExternalAdminService = async (id, actor, tenantId) => {
     tenantId
   );
 
+  // Signed-in sessions end now, not when their tokens expire
+  await revokeAccountSessions(
+    tenantId,
+    id,
+    actor,
+    REVOKE_REASONS.DEACTIVATED
+  );
+
   // Remove password from response
   const {
     accessDetails: { password, ...accessWithoutPassword },
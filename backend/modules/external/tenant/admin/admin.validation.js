@@ -47,6 +47,14 @@ export const ExternalAdminSchema = z.object({
 // Update schema (partial of creation schema)
 export const ExternalAdminUpdateSchema = ExternalAdminSchema.partial();
 
+// Invitation: no password, the invitee sets their own (see account.link)
+export const ExternalAdminInviteSchema = ExternalAdminSchema.pick({
+  roles: true,
+  personId: true,
+}).extend({
+  accessDetails: ExternalAdminSchema.shape.accessDetails.pick({ email: true }),
+});
+
 // Login schema
 export const ExternalAdminLoginSchema = z.object({
   email: z
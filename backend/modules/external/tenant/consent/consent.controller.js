@@ -0,0 +1,131 @@
+import { z } from "zod";
+import {
+  CreateConsentPurposeSchema,
+  UpdateConsentPurposeSchema,
+  RecordConsentSchema,
+} from "./consent.validation.js";
+import {
+  createConsentPurposeRecord,
+  getConsentPurposeRecord,
+  listConsentPurposeRecords,
+  updateConsentPurposeRecord,
+  recordConsent,
+  getPersonConsents,
+  getPurposeAudience,
+} from "./consent.service.js";
+import { hasPermission } from "../../../../middleware/permission.middleware.js";
+import {
+  SENSITIVE_READ_PERMISSION,
+} from "../../../../utilities/field-encryption.util.js";
+import {
+  sendSuccess,
+  sendList,
+  handleZodError,
+} from "../../../../utilities/response.util.js";
+
+function actorFrom(req) {
+  const p = req.admin || req.user || {};
+  return p.id || p.email || "anonymous";
+}
+
+// POST /:tenantId/consent-purposes
+export async function createConsentPurposeHandler(req, res, next) {
+  try {
+    const data = CreateConsentPurposeSchema.parse(req.body || {});
+    const purpose = await createConsentPurposeRecord(
+      req.params.tenantId,
+      data,
+      actorFrom(req)
+    );
+    return sendSuccess(res, purpose, "Consent purpose created", 201);
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET /:tenantId/consent-purposes
+export async function listConsentPurposesHandler(req, res, next) {
+  try {
+    const purposes = await listConsentPurposeRecords(req.params.tenantId);
+    return sendList(
+      res,
+      purposes,
+      { total: purposes.length },
+      "Consent purposes retrieved successfully"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /:tenantId/consent-purposes/:purposeId
+export async function getConsentPurposeHandler(req, res, next) {
+  try {
+    const { tenantId, purposeId } = req.params;
+    const purpose = await getConsentPurposeRecord(tenantId, purposeId);
+    return sendSuccess(res, purpose, "Consent purpose retrieved");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PATCH /:tenantId/consent-purposes/:purposeId
+export async function updateConsentPurposeHandler(req, res, next) {
+  try {
+    const { tenantId, purposeId } = req.params;
+    const data = UpdateConsentPurposeSchema.parse(req.body || {});
+    const purpose = await updateConsentPurposeRecord(
+      tenantId,
+      purposeId,
+      data,
+      actorFrom(req)
+    );
+    return sendSuccess(res, purpose, "Consent purpose updated");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET /:tenantId/consent-purposes/:purposeId/audience - who it may reach
+export async function getPurposeAudienceHandler(req, res, next) {
+  try {
+    const { tenantId, purposeId } = req.params;
+    const audience = await getPurposeAudience(tenantId, purposeId, {
+      reveal: hasPermission(req, SENSITIVE_READ_PERMISSION),
+    });
+    return sendList(
+      res,
+      audience,
+      { total: audience.length },
+      "Consent purpose audience retrieved"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /:tenantId/persons/:id/consents - current state and history
+export async function getPersonConsentsHandler(req, res, next) {
+  try {
+    const { tenantId, id } = req.params;
+    const consents = await getPersonConsents(tenantId, id);
+    return sendSuccess(res, consents, "Consent history retrieved");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /:tenantId/persons/:id/consents - consent given or withdrawn
+export async function recordConsentHandler(req, res, next) {
+  try {
+    const { tenantId, id } = req.params;
+    const data = RecordConsentSchema.parse(req.body || {});
+    const event = await recordConsent(tenantId, id, data, actorFrom(req));
+    return sendSuccess(res, event, "Consent recorded", 201);
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
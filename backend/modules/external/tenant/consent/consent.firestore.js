@@ -0,0 +1,70 @@
+import { db } from "../../../../services/firestore.client.js";
+import { tenantPath } from "../../../../utilities/country-context.util.js";
+import {
+  iterateCollection,
+} from "../../../../utilities/collection-tree.util.js";
+import { getPeopleCollectionPath } from "../person/person.firestore.js";
+
+function purposesCol(tenantId) {
+  return db.collection(tenantPath(tenantId, "consentPurposes"));
+}
+
+// Append-only log of consent given and withdrawn
+function eventsCol(tenantId) {
+  return db.collection(tenantPath(tenantId, "consentEvents"));
+}
+
+export async function createConsentPurpose(tenantId, model) {
+  await purposesCol(tenantId).doc(model.id).create(model);
+  return model;
+}
+
+export async function getConsentPurposeById(tenantId, id) {
+  const snap = await purposesCol(tenantId).doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
+
+export async function updateConsentPurposeById(tenantId, id, data) {
+  await purposesCol(tenantId).doc(id).update(data);
+}
+
+export async function listConsentPurposes(tenantId) {
+  const snapshot = await purposesCol(tenantId).orderBy("name", "asc").get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+/**
+ * Store a consent event and the person's current state for its purpose
+ * (consents.<purposeId>) in one batch
+ * @param {string} tenantId
+ * @param {Object} event - The consent event
+ * @param {Object} state - { status, at, channel, eventId }
+ */
+export async function recordConsentEvent(tenantId, event, state) {
+  const batch = db.batch();
+  batch.set(eventsCol(tenantId).doc(event.id), event);
+  batch.update(
+    db.collection(getPeopleCollectionPath(tenantId)).doc(event.personId),
+    { [`consents.${event.purposeId}`]: state }
+  );
+  await batch.commit();
+  return event;
+}
+
+/**
+ * A person's consent events, newest first
+ */
+export async function listConsentEventsForPerson(tenantId, personId) {
+  const snapshot = await eventsCol(tenantId)
+    .where("personId", "==", personId)
+    .orderBy("recordedAt", "desc")
+    .get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+/**
+ * Every live person of a tenant, read in pages
+ */
+export function iteratePersons(tenantId) {
+  return iterateCollection(db.collection(getPeopleCollectionPath(tenantId)));
+}
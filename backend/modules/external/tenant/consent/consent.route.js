@@ -0,0 +1,109 @@
+import express from "express";
+import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
+import { checkPermissions } from "../../../../middleware/permission.middleware.js";
+import {
+  createConsentPurposeHandler,
+  listConsentPurposesHandler,
+  getConsentPurposeHandler,
+  updateConsentPurposeHandler,
+  getPurposeAudienceHandler,
+  getPersonConsentsHandler,
+  recordConsentHandler,
+} from "./consent.controller.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+import { getConsentPurposeById } from "./consent.firestore.js";
+import { getPersonById } from "../person/person.firestore.js";
+
+/**
+ * Consent Router
+ * Tenant consent purposes and the consent recorded against persons
+ */
+
+const router = express.Router();
+
+const auditPurpose = (action) =>
+  audit("consentPurpose", {
+    action,
+    idParam: "purposeId",
+    load: (id, req) => getConsentPurposeById(req.params.tenantId, id),
+  });
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
+// POST /:tenantId/consent-purposes - Define a purpose
+router.post(
+  "/:tenantId/consent-purposes",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.consent.manage"),
+  auditPurpose("create"),
+  createConsentPurposeHandler
+);
+
+// GET /:tenantId/consent-purposes - List purposes
+router.get(
+  "/:tenantId/consent-purposes",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  listConsentPurposesHandler
+);
+
+// GET /:tenantId/consent-purposes/:purposeId/audience - People it may reach
+router.get(
+  "/:tenantId/consent-purposes/:purposeId/audience",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  getPurposeAudienceHandler
+);
+
+// GET /:tenantId/consent-purposes/:purposeId - Get a purpose
+router.get(
+  "/:tenantId/consent-purposes/:purposeId",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  getConsentPurposeHandler
+);
+
+// PATCH /:tenantId/consent-purposes/:purposeId - Update or deactivate
+router.patch(
+  "/:tenantId/consent-purposes/:purposeId",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.consent.manage"),
+  auditPurpose(),
+  updateConsentPurposeHandler
+);
+
+// GET /:tenantId/persons/:id/consents - Current consent and history
+router.get(
+  "/:tenantId/persons/:id/consents",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  getPersonConsentsHandler
+);
+
+// POST /:tenantId/persons/:id/consents - Record consent given or withdrawn
+router.post(
+  "/:tenantId/persons/:id/consents",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.consent.record"),
+  audit("person", {
+    action: "consent",
+    load: (id, req) => getPersonById(id, req.params.tenantId),
+    details: (req) => ({
+      purposeId: req.body?.purposeId || null,
+      consent: req.body?.action || null,
+    }),
+  }),
+  recordConsentHandler
+);
+
+export default router;
@@ -0,0 +1,173 @@
+import crypto from "crypto";
+import {
+  createConsentPurpose,
+  getConsentPurposeById,
+  updateConsentPurposeById,
+  listConsentPurposes,
+  recordConsentEvent,
+  listConsentEventsForPerson,
+  iteratePersons,
+} from "./consent.firestore.js";
+import { CONSENT_ACTIONS, CONSENT_BASES } from "./consent.validation.js";
+import { getPersonById } from "../person/person.firestore.js";
+import { sanitizePersonResponse } from "../person/person.validation.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../../../../utilities/error-handler.util.js";
+
+/**
+ * Consent Management
+ * Each tenant defines the purposes it processes personal information for
+ * (marketing SMS, sharing with programme partners, ...). Consent given or
+ * withdrawn is recorded as an append-only event with its channel and
+ * evidence; the latest state per purpose is kept on the person record
+ * (consents.<purposeId>) so lists can filter on it.
+ *
+ * Enforcement: exports for a purpose and purpose audiences (the recipients
+ * of a broadcast) only include people the purpose may reach - see
+ * isConsentPermitted.
+ */
+
+function newConsentEventId() {
+  return `CONSENT${Date.now()}${crypto.randomBytes(3).toString("hex")}`;
+}
+
+/**
+ * Whether a purpose may use a person's data
+ * opt_in purposes need consent given; opt_out purposes exclude only people
+ * who withdrew it.
+ * @param {Object} person - Person record (with its consents map)
+ * @param {Object} purpose - Consent purpose
+ * @returns {boolean}
+ */
+export function isConsentPermitted(person, purpose) {
+  const status = person?.consents?.[purpose.id]?.status;
+  if (purpose.basis === CONSENT_BASES.OPT_OUT) {
+    return status !== CONSENT_ACTIONS.WITHDRAWN;
+  }
+  return status === CONSENT_ACTIONS.GIVEN;
+}
+
+/**
+ * Define a consent purpose for a tenant
+ * @param {string} tenantId
+ * @param {Object} data - See CreateConsentPurposeSchema
+ * @param {string} actor - ID of user defining it
+ */
+export async function createConsentPurposeRecord(tenantId, data, actor) {
+  if (await getConsentPurposeById(tenantId, data.id)) {
+    throw new ConflictError(`Consent purpose ${data.id} already exists`);
+  }
+  const now = new Date().toISOString();
+  return createConsentPurpose(tenantId, {
+    ...data,
+    description: data.description || null,
+    created: { by: actor, when: now },
+    updated: { by: actor, when: now },
+  });
+}
+
+export async function getConsentPurposeRecord(tenantId, id) {
+  const purpose = await getConsentPurposeById(tenantId, id);
+  if (!purpose) throw new NotFoundError("Consent purpose");
+  return purpose;
+}
+
+export async function listConsentPurposeRecords(tenantId) {
+  return listConsentPurposes(tenantId);
+}
+
+/**
+ * Rename, re-describe, change the basis of or deactivate a purpose
+ * Purposes are never deleted: recorded consent keeps pointing at them.
+ */
+export async function updateConsentPurposeRecord(tenantId, id, data, actor) {
+  const purpose = await getConsentPurposeRecord(tenantId, id);
+  const patch = {
+    ...data,
+    updated: { by: actor, when: new Date().toISOString() },
+  };
+  await updateConsentPurposeById(tenantId, id, patch);
+  return { ...purpose, ...patch };
+}
+
+/**
+ * Record consent given or withdrawn by a person
+ * @param {string} tenantId
+ * @param {string} personId
+ * @param {Object} data - See RecordConsentSchema
+ * @param {string} actor - ID of user recording it
+ * @returns {Promise<Object>} The stored event
+ */
+export async function recordConsent(tenantId, personId, data, actor) {
+  const person = await getPersonById(personId, tenantId);
+  if (!person) throw new NotFoundError("Person");
+  const purpose = await getConsentPurposeRecord(tenantId, data.purposeId);
+  if (!purpose.isActive && data.action === CONSENT_ACTIONS.GIVEN) {
+    throw new ValidationError(
+      `Consent purpose ${purpose.id} is inactive`,
+      "purposeId",
+      purpose.id
+    );
+  }
+
+  const recordedAt = new Date().toISOString();
+  const event = {
+    id: newConsentEventId(),
+    personId,
+    purposeId: purpose.id,
+    action: data.action,
+    at: data.at ? new Date(data.at).toISOString() : recordedAt,
+    channel: data.channel,
+    evidence: data.evidence || null,
+    note: data.note || null,
+    recordedBy: actor,
+    recordedAt,
+  };
+  return recordConsentEvent(tenantId, event, {
+    status: event.action,
+    at: event.at,
+    channel: event.channel,
+    eventId: event.id,
+  });
+}
+
+/**
+ * A person's consent: current state per purpose and the full history
+ * @returns {Promise<{current: Object, history: Array}>}
+ */
+export async function getPersonConsents(tenantId, personId) {
+  const person = await getPersonById(personId, tenantId);
+  if (!person) throw new NotFoundError("Person");
+  return {
+    current: person.consents || {},
+    history: await listConsentEventsForPerson(tenantId, personId),
+  };
+}
+
+/**
+ * Everyone a purpose may reach (e.g. the recipients of a broadcast)
+ * @param {string} tenantId
+ * @param {string} purposeId
+ * @param {Object} options - { reveal: decrypt sensitive fields }
+ * @returns {Promise<Array<Object>>} Sanitized person records
+ */
+export async function getPurposeAudience(
+  tenantId,
+  purposeId,
+  { reveal = false } = {}
+) {
+  const purpose = await getConsentPurposeRecord(tenantId, purposeId);
+  if (!purpose.isActive) return [];
+
+  const audience = [];
+  for await (const doc of iteratePersons(tenantId)) {
+    const person = { id: doc.id, ...doc.data() };
+    if (isConsentPermitted(person, purpose)) {
+      audience.push(sanitizePersonResponse(person, { reveal }));
+    }
+  }
+  return audience;
+}
@@ -0,0 +1,87 @@
+import { z } from "zod";
+
+export const CONSENT_ACTIONS = { GIVEN: "given", WITHDRAWN: "withdrawn" };
+
+/**
+ * How a purpose treats people who never answered:
+ *   opt_in  - only people who gave consent (e.g. direct marketing, POPIA s69)
+ *   opt_out - everyone except people who withdrew it
+ */
+export const CONSENT_BASES = { OPT_IN: "opt_in", OPT_OUT: "opt_out" };
+
+export const CONSENT_CHANNELS = [
+  "web",
+  "sms",
+  "ussd",
+  "email",
+  "phone",
+  "paper",
+  "in_person",
+  "other",
+];
+
+// Purpose ids are used as field names on person records (consents.<id>)
+const PurposeIdSchema = z
+  .string()
+  .regex(
+    /^[a-z][a-z0-9_]{1,49}$/,
+    "Purpose ID must be 2-50 lowercase letters, digits or underscores"
+  );
+
+/**
+ * Schema for defining a consent purpose
+ */
+export const CreateConsentPurposeSchema = z.object({
+  id: PurposeIdSchema,
+  name: z.string().min(2).max(100),
+  description: z.string().max(1000).optional(),
+  basis: z
+    .enum([CONSENT_BASES.OPT_IN, CONSENT_BASES.OPT_OUT])
+    .default(CONSENT_BASES.OPT_IN),
+  isActive: z.boolean().default(true),
+});
+
+export const UpdateConsentPurposeSchema = CreateConsentPurposeSchema.omit({
+  id: true,
+})
+  .partial()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "Nothing to update",
+  });
+
+/**
+ * Schema for recording consent given or withdrawn
+ */
+export const RecordConsentSchema = z.object({
+  purposeId: PurposeIdSchema,
+  action: z.enum([CONSENT_ACTIONS.GIVEN, CONSENT_ACTIONS.WITHDRAWN]),
+  channel: z.enum(CONSENT_CHANNELS),
+  // When the person gave or withdrew consent (defaults to now)
+  at: z
+    .string()
+    .datetime({ offset: true, message: "Must be an ISO timestamp" })
+    .optional(),
+  // What proves it: a signed form, a recorded call, an SMS reply, ...
+  evidence: z
+    .object({
+      type: z.string().min(1).max(50),
+      reference: z.string().min(1).max(500),
+    })
+    .optional(),
+  note: z.string().max(1000).optional(),
+});
+
+/**
+ * ?consent=<purposeId>:<given|withdrawn> on person list, search and export
+ */
+export const ConsentFilterSchema = z
+  .string()
+  .regex(
+    /^[a-z][a-z0-9_]{1,49}:(given|withdrawn)$/,
+    'Consent filter must look like "<purposeId>:given" or ' +
+      '"<purposeId>:withdrawn"'
+  )
+  .transform((value) => {
+    const [purposeId, status] = value.split(":");
+    return { purposeId, status };
+  });
@@ -0,0 +1,56 @@
+import express from "express";
+import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
+import { checkPermissions } from "../../../../middleware/permission.middleware.js";
+import {
+  getLoginSecurityHandler,
+  listLoginHistoryHandler,
+  unlockAccountHandler,
+} from "../../../internal/login.security/login.security.controller.js";
+import { getExternalAdminById } from "../admin/admin.firestore.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+
+/**
+ * Tenant Login Security Router
+ * Lockout status, login history and unlocking of the tenant's admins; the
+ * handlers are shared with the platform routes (see internal/login.security)
+ */
+
+const router = express.Router();
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
+// GET /:tenantId/admins/:id/login-security - An admin's lockout status
+router.get(
+  "/:tenantId/admins/:id/login-security",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.admin.read", "all.access"),
+  getLoginSecurityHandler
+);
+
+// GET /:tenantId/admins/:id/logins - An admin's login history
+router.get(
+  "/:tenantId/admins/:id/logins",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.admin.read", "all.access"),
+  listLoginHistoryHandler
+);
+
+// POST /:tenantId/admins/:id/unlock - Unlock an admin locked out
+router.post(
+  "/:tenantId/admins/:id/unlock",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.admin.update", "all.access"),
+  audit("admin", {
+    action: "unlock",
+    load: (id, req) => getExternalAdminById(id, req.params.tenantId),
+  }),
+  unlockAccountHandler
+);
+
+export default router;
@@ -1,7 +1,13 @@
 import { db } from "../../../../services/firestore.client.js";
+import { tenantPath } from "../../../../utilities/country-context.util.js";
 
-const COLLECTION_PATH =
-  "touchAfrica/southAfrica/tenants/{tenantId}/permissions";
+/**
+ * Get collection path for a specific tenant (in the tenant's country partition)
+ * @param {string} tenantId - The tenant ID
+ * @returns {string} Collection path
+ */
+const getPermissionCollectionPath = (tenantId) =>
+  tenantPath(tenantId, "permissions");
 
 /**
  * Create a new external permission in Firestore
@@ -15,7 +21,7 @@ export const createExternalPermission = async (
       throw new Error("No tenant ID provided for permission creation");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getPermissionCollectionPath(tenantId);
     const docRef = db.doc(
       `${collectionPath}/${externalPermissionData.permissionId}`
     );
@@ -38,7 +44,7 @@ export const getExternalPermissionById = async (permissionId, tenantId) => {
       throw new Error("No tenant ID provided for permission lookup");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getPermissionCollectionPath(tenantId);
     const docRef = db.doc(`${collectionPath}/${permissionId}`);
     const doc = await docRef.get();
 
@@ -66,7 +72,7 @@ export const updateExternalPermissionById = async (
       throw new Error("No tenant ID provided for permission update");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getPermissionCollectionPath(tenantId);
     const docRef = db.doc(`${collectionPath}/${permissionId}`);
 
     // Check if document exists
@@ -95,7 +101,7 @@ export const deleteExternalPermissionById = async (permissionId, tenantId) => {
       throw new Error("No tenant ID provided for permission deletion");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getPermissionCollectionPath(tenantId);
     const docRef = db.doc(`${collectionPath}/${permissionId}`);
 
     // Check if document exists
@@ -121,7 +127,7 @@ export const getAllExternalPermissions = async (tenantId) => {
       throw new Error("No tenant ID provided for permissions lookup");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getPermissionCollectionPath(tenantId);
     const collectionRef = db.collection(collectionPath);
     const snapshot = await collectionRef.get();
 
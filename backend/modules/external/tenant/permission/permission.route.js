@@ -1,5 +1,7 @@
 import express from "express";
 import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
 import {
   checkPermissions,
   checkAllPermissions,
@@ -16,9 +18,21 @@ import {
   exportExternalPermissionsController,
   getExternalPermissionsStatsController,
 } from "./permission.controller.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+import { getExternalPermissionById } from "./permission.firestore.js";
 
 const router = express.Router();
 
+const auditPermission = (action) =>
+  audit("permission", {
+    action,
+    idField: "permissionId",
+    load: (id, req) => getExternalPermissionById(id, req.params.tenantId),
+  });
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
 // Authorization roles for external permission operations
 // Permissions defined in route handlers directly
 
@@ -26,7 +40,9 @@ const router = express.Router();
 router.post(
   "/:tenantId/permissions",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.permission.create"),
+  auditPermission(),
   createExternalPermissionController
 );
 
@@ -34,6 +50,7 @@ router.post(
 router.get(
   "/:tenantId/permissions",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.permission.read"),
   getAllExternalPermissionsController
 );
@@ -42,6 +59,7 @@ router.get(
 router.get(
   "/:tenantId/permissions/search",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.permission.read"),
   searchExternalPermissionsController
 );
@@ -50,7 +68,9 @@ router.get(
 router.post(
   "/:tenantId/permissions/bulk",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.permission.update"),
+  auditPermission("bulk"),
   bulkExternalPermissionsController
 );
 
@@ -58,6 +78,7 @@ router.post(
 router.get(
   "/:tenantId/permissions/export",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.permission.read"),
   exportExternalPermissionsController
 );
@@ -66,6 +87,7 @@ router.get(
 router.get(
   "/:tenantId/permissions/stats",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.permission.read"),
   getExternalPermissionsStatsController
 );
@@ -74,6 +96,7 @@ router.get(
 router.get(
   "/:tenantId/permissions/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.permission.read"),
   getExternalPermissionController
 );
@@ -82,7 +105,9 @@ router.get(
 router.put(
   "/:tenantId/permissions/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.permission.update"),
+  auditPermission(),
   updateExternalPermissionController
 );
 
@@ -90,7 +115,9 @@ router.put(
 router.patch(
   "/:tenantId/permissions/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.permission.update"),
+  auditPermission(),
   patchExternalPermissionController
 );
 
@@ -98,7 +125,9 @@ router.patch(
 router.delete(
   "/:tenantId/permissions/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.permission.delete"),
+  auditPermission(),
   deleteExternalPermissionController
 );
 
@@ -0,0 +1,105 @@
+import express from "express";
+import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
+import { checkPermissions } from "../../../../middleware/permission.middleware.js";
+import {
+  listDocumentTypesHandler,
+  listExpiringDocumentsHandler,
+  uploadDocumentHandler,
+  listDocumentsHandler,
+  getDocumentHandler,
+  downloadDocumentHandler,
+  deleteDocumentHandler,
+} from "../../../internal/person.document/person.document.controller.js";
+import { getPersonDocumentById } from "../../../internal/person.document/person.document.firestore.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+
+/**
+ * Tenant Person Documents Router
+ * The tenant's document vault; the handlers are shared with the platform
+ * routes (see internal/person.document)
+ */
+
+const router = express.Router();
+
+const auditDocument = (options) =>
+  audit("personDocument", {
+    idParam: "documentId",
+    load: (id, req) => getPersonDocumentById(req.params.tenantId, id),
+    ...options,
+  });
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
+// GET /:tenantId/persons/documents/types - Types from the lookup
+router.get(
+  "/:tenantId/persons/documents/types",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  listDocumentTypesHandler
+);
+
+// GET /:tenantId/persons/documents/expiring - Expiry report (?withinDays)
+router.get(
+  "/:tenantId/persons/documents/expiring",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  listExpiringDocumentsHandler
+);
+
+// GET /:tenantId/persons/:id/documents - A person's documents
+router.get(
+  "/:tenantId/persons/:id/documents",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  listDocumentsHandler
+);
+
+// POST /:tenantId/persons/:id/documents - Upload a document
+router.post(
+  "/:tenantId/persons/:id/documents",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("person.documents.manage"),
+  auditDocument({
+    action: "create",
+    id: (req, body) => body?.data?.id || null,
+  }),
+  uploadDocumentHandler
+);
+
+// GET /:tenantId/persons/:id/documents/:documentId - Document details
+router.get(
+  "/:tenantId/persons/:id/documents/:documentId",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  getDocumentHandler
+);
+
+// GET /:tenantId/persons/:id/documents/:documentId/download - The file
+router.get(
+  "/:tenantId/persons/:id/documents/:documentId/download",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("person.documents.read"),
+  auditDocument({ action: "download" }),
+  downloadDocumentHandler
+);
+
+// DELETE /:tenantId/persons/:id/documents/:documentId - Delete with its file
+router.delete(
+  "/:tenantId/persons/:id/documents/:documentId",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("person.documents.manage"),
+  auditDocument(),
+  deleteDocumentHandler
+);
+
+export default router;
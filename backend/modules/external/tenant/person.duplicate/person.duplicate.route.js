@@ -0,0 +1,88 @@
+import express from "express";
+import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
+import { checkPermissions } from "../../../../middleware/permission.middleware.js";
+import {
+  scanDuplicatesHandler,
+  listDuplicatesHandler,
+  getDuplicateHandler,
+  dismissDuplicateHandler,
+  mergeDuplicateHandler,
+} from "../../../internal/person.duplicate/person.duplicate.controller.js";
+import { getDuplicateCandidateById } from "../../../internal/person.duplicate/person.duplicate.firestore.js";
+import { getPersonById } from "../person/person.firestore.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+
+/**
+ * Tenant Person Duplicates Router
+ * The tenant's duplicate review queue and merges; the handlers are shared
+ * with the platform routes (see internal/person.duplicate)
+ */
+
+const router = express.Router();
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
+// POST /:tenantId/persons/duplicates/scan - Score pairs into the queue
+router.post(
+  "/:tenantId/persons/duplicates/scan",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.merge"),
+  scanDuplicatesHandler
+);
+
+// GET /:tenantId/persons/duplicates - Review queue (?status, ?minScore)
+router.get(
+  "/:tenantId/persons/duplicates",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  listDuplicatesHandler
+);
+
+// GET /:tenantId/persons/duplicates/:candidateId - Both persons
+router.get(
+  "/:tenantId/persons/duplicates/:candidateId",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  getDuplicateHandler
+);
+
+// POST /:tenantId/persons/duplicates/:candidateId/dismiss - Not a duplicate
+router.post(
+  "/:tenantId/persons/duplicates/:candidateId/dismiss",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.merge"),
+  audit("personDuplicate", {
+    action: "dismiss",
+    idParam: "candidateId",
+    load: (id, req) => getDuplicateCandidateById(req.params.tenantId, id),
+  }),
+  dismissDuplicateHandler
+);
+
+// POST /:tenantId/persons/duplicates/:candidateId/merge - Merge the pair
+router.post(
+  "/:tenantId/persons/duplicates/:candidateId/merge",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.merge"),
+  audit("person", {
+    action: "merge",
+    id: (req) => req.body?.survivorId || null,
+    load: (id, req) => getPersonById(id, req.params.tenantId),
+    details: (req, body) => ({
+      candidateId: req.params.candidateId,
+      duplicateId: body?.data?.duplicateId || null,
+      repointed: body?.data?.repointed || null,
+    }),
+  }),
+  mergeDuplicateHandler
+);
+
+export default router;
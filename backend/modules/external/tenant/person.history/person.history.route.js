@@ -0,0 +1,66 @@
+import express from "express";
+import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
+import { checkPermissions } from "../../../../middleware/permission.middleware.js";
+import {
+  listHistoryHandler,
+  diffVersionsHandler,
+  getVersionHandler,
+  revertVersionHandler,
+} from "../../../internal/person.history/person.history.controller.js";
+import { getStoredPerson } from "../../../internal/person.history/person.history.firestore.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+
+/**
+ * Tenant Person History Router
+ * Version history of the tenant's people; the handlers are shared with the
+ * platform routes (see internal/person.history)
+ */
+
+const router = express.Router();
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
+// GET /:tenantId/persons/:id/history - Versions (who, when, what changed)
+router.get(
+  "/:tenantId/persons/:id/history",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  listHistoryHandler
+);
+
+// GET /:tenantId/persons/:id/history/diff - Compare versions (?from&to)
+router.get(
+  "/:tenantId/persons/:id/history/diff",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  diffVersionsHandler
+);
+
+// GET /:tenantId/persons/:id/history/:version - The person at a version
+router.get(
+  "/:tenantId/persons/:id/history/:version",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  getVersionHandler
+);
+
+// POST /:tenantId/persons/:id/history/:version/revert - Go back to a version
+router.post(
+  "/:tenantId/persons/:id/history/:version/revert",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.update"),
+  audit("person", {
+    action: "revert",
+    load: (id, req) => getStoredPerson(req.params.tenantId, id),
+  }),
+  revertVersionHandler
+);
+
+export default router;
@@ -0,0 +1,137 @@
+import express from "express";
+import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
+import { checkPermissions } from "../../../../middleware/permission.middleware.js";
+import {
+  listImportFieldsHandler,
+  getMappingHandler,
+  saveMappingHandler,
+  previewImportHandler,
+  commitImportHandler,
+  listImportsHandler,
+  getImportHandler,
+  downloadErrorFileHandler,
+  deleteImportFilesHandler,
+} from "../../../internal/person.import/person.import.controller.js";
+import {
+  getPersonImportById,
+  getImportMapping,
+} from "../../../internal/person.import/person.import.firestore.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+
+/**
+ * Tenant Person Import Router
+ * Spreadsheet imports of the tenant's people; the handlers are shared with
+ * the platform routes (see internal/person.import)
+ */
+
+const router = express.Router();
+
+const auditImport = (options) =>
+  audit("personImport", {
+    idParam: "importId",
+    load: (id, req) => getPersonImportById(req.params.tenantId, id),
+    ...options,
+  });
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
+// GET /:tenantId/persons/imports/fields - Fields columns can map to
+router.get(
+  "/:tenantId/persons/imports/fields",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  listImportFieldsHandler
+);
+
+// GET /:tenantId/persons/imports/mapping - Saved column mapping
+router.get(
+  "/:tenantId/persons/imports/mapping",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  getMappingHandler
+);
+
+// PUT /:tenantId/persons/imports/mapping - Save the column mapping
+router.put(
+  "/:tenantId/persons/imports/mapping",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.create"),
+  audit("personImportMapping", {
+    id: "mapping",
+    load: (id, req) => getImportMapping(req.params.tenantId),
+  }),
+  saveMappingHandler
+);
+
+// POST /:tenantId/persons/imports/preview - Dry run of a CSV/XLSX file
+router.post(
+  "/:tenantId/persons/imports/preview",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.create"),
+  auditImport({
+    action: "create",
+    id: (req, body) => body?.data?.import?.id || null,
+  }),
+  previewImportHandler
+);
+
+// GET /:tenantId/persons/imports - Recent imports
+router.get(
+  "/:tenantId/persons/imports",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  listImportsHandler
+);
+
+// GET /:tenantId/persons/imports/:importId - Import details
+router.get(
+  "/:tenantId/persons/imports/:importId",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  getImportHandler
+);
+
+// POST /:tenantId/persons/imports/:importId/commit - Create the valid rows
+router.post(
+  "/:tenantId/persons/imports/:importId/commit",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.create"),
+  auditImport({
+    action: "commit",
+    details: (req, body) => body?.data?.import?.totals || null,
+  }),
+  commitImportHandler
+);
+
+// GET /:tenantId/persons/imports/:importId/errors - Rows not imported (CSV)
+router.get(
+  "/:tenantId/persons/imports/:importId/errors",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.create"),
+  auditImport({ action: "download" }),
+  downloadErrorFileHandler
+);
+
+// DELETE /:tenantId/persons/imports/:importId/files - Delete the upload of
+// a preview or the error file of an import
+router.delete(
+  "/:tenantId/persons/imports/:importId/files",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.create"),
+  auditImport(),
+  deleteImportFilesHandler
+);
+
+export default router;
@@ -0,0 +1,200 @@
+import { z } from "zod";
+import {
+  CreateRelationshipSchema,
+  CreateHouseholdSchema,
+  UpdateHouseholdSchema,
+  HouseholdMemberSchema,
+  HouseholdQuerySchema,
+} from "./person.relationship.validation.js";
+import {
+  createRelationship,
+  listPersonRelationships,
+  deleteRelationship,
+  getHouseholdRecord,
+  getPersonHousehold,
+  searchHouseholds,
+  createHouseholdRecord,
+  updateHouseholdRecord,
+  addHouseholdMember,
+  removeHouseholdMember,
+} from "./person.relationship.service.js";
+import { hasPermission } from "../../../../middleware/permission.middleware.js";
+import {
+  SENSITIVE_READ_PERMISSION,
+} from "../../../../utilities/field-encryption.util.js";
+import {
+  sendSuccess,
+  sendList,
+  handleZodError,
+} from "../../../../utilities/response.util.js";
+
+function actorFrom(req) {
+  const p = req.admin || req.user || {};
+  return p.id || p.email || "anonymous";
+}
+
+// GET /:tenantId/persons/:id/relationships
+export async function listRelationshipsHandler(req, res, next) {
+  try {
+    const { tenantId, id } = req.params;
+    const relationships = await listPersonRelationships(tenantId, id);
+    return sendList(
+      res,
+      relationships,
+      { total: relationships.length },
+      "Relationships retrieved successfully"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /:tenantId/persons/:id/relationships - link with reciprocal
+export async function createRelationshipHandler(req, res, next) {
+  try {
+    const { tenantId, id } = req.params;
+    const data = CreateRelationshipSchema.parse(req.body || {});
+    const result = await createRelationship(
+      tenantId,
+      id,
+      data,
+      actorFrom(req)
+    );
+    return sendSuccess(res, result, "Relationship created", 201);
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// DELETE /:tenantId/persons/:id/relationships/:relationshipId
+export async function deleteRelationshipHandler(req, res, next) {
+  try {
+    const { tenantId, id, relationshipId } = req.params;
+    const removed = await deleteRelationship(tenantId, id, relationshipId);
+    return sendSuccess(res, removed, "Relationship removed");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /:tenantId/persons/:id/household - household, members and links
+export async function getPersonHouseholdHandler(req, res, next) {
+  try {
+    const { tenantId, id } = req.params;
+    const household = await getPersonHousehold(tenantId, id, {
+      reveal: hasPermission(req, SENSITIVE_READ_PERMISSION),
+    });
+    return sendSuccess(
+      res,
+      household,
+      household ? "Household retrieved" : "Person is not in a household"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /:tenantId/households?q=&memberId=&minMembers=&limit=
+export async function searchHouseholdsHandler(req, res, next) {
+  try {
+    const filters = HouseholdQuerySchema.parse(req.query || {});
+    const households = await searchHouseholds(req.params.tenantId, filters);
+    return sendList(
+      res,
+      households,
+      { total: households.length },
+      "Households retrieved successfully"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET /:tenantId/households/:householdId
+export async function getHouseholdHandler(req, res, next) {
+  try {
+    const { tenantId, householdId } = req.params;
+    const household = await getHouseholdRecord(tenantId, householdId, {
+      reveal: hasPermission(req, SENSITIVE_READ_PERMISSION),
+    });
+    return sendSuccess(res, household, "Household retrieved");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /:tenantId/households
+export async function createHouseholdHandler(req, res, next) {
+  try {
+    const data = CreateHouseholdSchema.parse(req.body || {});
+    const household = await createHouseholdRecord(
+      req.params.tenantId,
+      data,
+      actorFrom(req)
+    );
+    return sendSuccess(res, household, "Household created", 201);
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// PATCH /:tenantId/households/:householdId - rename or change the head
+export async function updateHouseholdHandler(req, res, next) {
+  try {
+    const { tenantId, householdId } = req.params;
+    const data = UpdateHouseholdSchema.parse(req.body || {});
+    const household = await updateHouseholdRecord(
+      tenantId,
+      householdId,
+      data,
+      actorFrom(req)
+    );
+    return sendSuccess(res, household, "Household updated");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST /:tenantId/households/:householdId/members
+export async function addHouseholdMemberHandler(req, res, next) {
+  try {
+    const { tenantId, householdId } = req.params;
+    const { personId } = HouseholdMemberSchema.parse(req.body || {});
+    const household = await addHouseholdMember(
+      tenantId,
+      householdId,
+      personId,
+      actorFrom(req)
+    );
+    return sendSuccess(res, household, "Household member added");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// DELETE /:tenantId/households/:householdId/members/:personId
+export async function removeHouseholdMemberHandler(req, res, next) {
+  try {
+    const { tenantId, householdId, personId } = req.params;
+    const household = await removeHouseholdMember(
+      tenantId,
+      householdId,
+      personId,
+      actorFrom(req)
+    );
+    return sendSuccess(
+      res,
+      household,
+      household
+        ? "Household member removed"
+        : "Household member removed; the household was empty and is deleted"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,237 @@
+import { db } from "../../../../services/firestore.client.js";
+import { tenantPath } from "../../../../utilities/country-context.util.js";
+import { getPeopleCollectionPath } from "../person/person.firestore.js";
+import { DEPENDANT_TYPES } from "./person.relationship.validation.js";
+import {
+  ConflictError,
+  NotFoundError,
+} from "../../../../utilities/error-handler.util.js";
+
+function relationshipsCol(tenantId) {
+  return db.collection(tenantPath(tenantId, "personRelationships"));
+}
+
+function householdsCol(tenantId) {
+  return db.collection(tenantPath(tenantId, "households"));
+}
+
+function peopleCol(tenantId) {
+  return db.collection(getPeopleCollectionPath(tenantId));
+}
+
+export async function getRelationshipById(tenantId, id) {
+  const snap = await relationshipsCol(tenantId).doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
+
+/**
+ * A person's relationships, read from their side
+ */
+export async function listRelationshipsForPerson(tenantId, personId) {
+  const snapshot = await relationshipsCol(tenantId)
+    .where("personId", "==", personId)
+    .get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+/**
+ * Store a relationship and its reciprocal, once both persons are known to
+ * exist and the link isn't recorded yet
+ * @param {string} tenantId
+ * @param {Object} forward - The relationship from the person's side
+ * @param {Object} reverse - Its reciprocal
+ * @returns {Promise<Array<Object>>} Both persons, as stored
+ */
+export async function commitRelationship(tenantId, forward, reverse) {
+  const people = peopleCol(tenantId);
+  const forwardRef = relationshipsCol(tenantId).doc(forward.id);
+  const reverseRef = relationshipsCol(tenantId).doc(reverse.id);
+
+  return db.runTransaction(async (tx) => {
+    const persons = [];
+    for (const id of [forward.personId, forward.relatedPersonId]) {
+      const snap = await tx.get(people.doc(id));
+      if (!snap.exists) throw new NotFoundError(`Person with ID ${id}`);
+      persons.push({ id: snap.id, ...snap.data() });
+    }
+    if ((await tx.get(forwardRef)).exists) {
+      throw new ConflictError(
+        `${forward.relatedPersonId} is already recorded as ` +
+          `${forward.type} of ${forward.personId}`
+      );
+    }
+    tx.set(forwardRef, forward);
+    tx.set(reverseRef, reverse);
+    return persons;
+  });
+}
+
+export async function deleteRelationshipPair(tenantId, id, reciprocalId) {
+  const batch = db.batch();
+  batch.delete(relationshipsCol(tenantId).doc(id));
+  batch.delete(relationshipsCol(tenantId).doc(reciprocalId));
+  await batch.commit();
+}
+
+/**
+ * Store the dependants counted from a person's relationships
+ */
+export async function setDependentsCount(tenantId, personId, count) {
+  const ref = peopleCol(tenantId).doc(personId);
+  if (!(await ref.get()).exists) return;
+  await ref.update({ "demographics.dependentsCount": count });
+}
+
+/**
+ * Count a person's child and ward relationships into dependentsCount
+ * @returns {Promise<number>} The count stored
+ */
+export async function recountDependents(tenantId, personId) {
+  const relationships = await listRelationshipsForPerson(tenantId, personId);
+  const count = relationships.filter((r) =>
+    DEPENDANT_TYPES.includes(r.type)
+  ).length;
+  await setDependentsCount(tenantId, personId, count);
+  return count;
+}
+
+/**
+ * Remove a person's relationships (both sides) and household memberships,
+ * the person being purged; a household left without members is deleted,
+ * one that loses its head gets the next member as head, and the persons
+ * they were related to get their dependants recounted
+ * @returns {Promise<Array<string>>} IDs of the related persons
+ */
+export async function deletePersonRelationships(tenantId, personId) {
+  const related = new Set();
+  for (const field of ["personId", "relatedPersonId"]) {
+    const snapshot = await relationshipsCol(tenantId)
+      .where(field, "==", personId)
+      .get();
+    for (const doc of snapshot.docs) {
+      const r = doc.data();
+      related.add(r.personId === personId ? r.relatedPersonId : r.personId);
+      await doc.ref.delete();
+    }
+  }
+
+  const households = await householdsCol(tenantId)
+    .where("memberIds", "array-contains", personId)
+    .get();
+  for (const doc of households.docs) {
+    const household = doc.data();
+    const memberIds = household.memberIds.filter((id) => id !== personId);
+    if (memberIds.length === 0) {
+      await doc.ref.delete();
+      continue;
+    }
+    const headPersonId =
+      household.headPersonId === personId
+        ? memberIds[0]
+        : household.headPersonId;
+    await doc.ref.update({ memberIds, headPersonId });
+  }
+
+  for (const id of related) await recountDependents(tenantId, id);
+  return [...related];
+}
+
+export async function getHouseholdById(tenantId, id) {
+  const snap = await householdsCol(tenantId).doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
+
+export async function updateHouseholdById(tenantId, id, data) {
+  await householdsCol(tenantId).doc(id).update(data);
+}
+
+/**
+ * Households by name prefix (case-insensitive) or member
+ * @param {string} tenantId
+ * @param {Object} filters - { q, memberId, limit }
+ */
+export async function listHouseholds(tenantId, filters = {}) {
+  let query = householdsCol(tenantId);
+  if (filters.memberId) {
+    query = query.where("memberIds", "array-contains", filters.memberId);
+  }
+  if (filters.q) {
+    const prefix = filters.q.toLowerCase();
+    query = query
+      .where("nameLower", ">=", prefix)
+      .where("nameLower", "<", `${prefix}`);
+  }
+  const snapshot = await query.orderBy("nameLower", "asc").get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+/**
+ * Move persons between households in one transaction
+ * Each person leaves the household they were in (a household left without
+ * members is deleted, one that loses its head gets the next member as
+ * head) and joins the target; `create` is a new household to add first.
+ * @param {string} tenantId
+ * @param {Object} change
+ * @param {Object} change.create - New household (memberIds empty), or null
+ * @param {Array<{personId: string, to: ?string}>} change.moves - Target
+ *   household ID, or null to leave
+ * @param {Object} change.updated - { by, when } for the households changed
+ * @returns {Promise<Array<string>>} IDs of the households deleted
+ */
+export async function commitHouseholdMoves(tenantId, change) {
+  const people = peopleCol(tenantId);
+  const households = householdsCol(tenantId);
+
+  return db.runTransaction(async (tx) => {
+    // Reads first: the persons, then every household involved
+    const personById = new Map();
+    for (const { personId } of change.moves) {
+      const snap = await tx.get(people.doc(personId));
+      if (!snap.exists) throw new NotFoundError(`Person with ID ${personId}`);
+      personById.set(personId, snap.data());
+    }
+    const touched = new Map();
+    if (change.create) touched.set(change.create.id, { ...change.create });
+    const ids = new Set([
+      ...change.moves.map((m) => m.to),
+      ...[...personById.values()].map((p) => p.householdId),
+    ]);
+    for (const id of ids) {
+      if (!id || touched.has(id)) continue;
+      const snap = await tx.get(households.doc(id));
+      if (snap.exists) touched.set(id, snap.data());
+      else if (change.moves.some((m) => m.to === id)) {
+        throw new NotFoundError(`Household with ID ${id}`);
+      }
+    }
+
+    for (const { personId, to } of change.moves) {
+      const from = personById.get(personId).householdId;
+      if (from && from !== to && touched.has(from)) {
+        const left = touched.get(from);
+        left.memberIds = left.memberIds.filter((id) => id !== personId);
+        if (left.headPersonId === personId) {
+          left.headPersonId = left.memberIds[0] || null;
+        }
+      }
+      if (to) {
+        const joined = touched.get(to);
+        if (!joined.memberIds.includes(personId)) {
+          joined.memberIds = [...joined.memberIds, personId];
+        }
+      }
+      tx.update(people.doc(personId), { householdId: to || null });
+    }
+
+    const deleted = [];
+    for (const [id, household] of touched) {
+      if (household.memberIds.length === 0) {
+        if (id !== change.create?.id) tx.delete(households.doc(id));
+        deleted.push(id);
+      } else {
+        tx.set(households.doc(id), { ...household, updated: change.updated });
+      }
+    }
+    return deleted;
+  });
+}
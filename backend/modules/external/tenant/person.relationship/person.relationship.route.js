@@ -0,0 +1,152 @@
+import express from "express";
+import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
+import { checkPermissions } from "../../../../middleware/permission.middleware.js";
+import {
+  listRelationshipsHandler,
+  createRelationshipHandler,
+  deleteRelationshipHandler,
+  getPersonHouseholdHandler,
+  searchHouseholdsHandler,
+  getHouseholdHandler,
+  createHouseholdHandler,
+  updateHouseholdHandler,
+  addHouseholdMemberHandler,
+  removeHouseholdMemberHandler,
+} from "./person.relationship.controller.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+import {
+  getRelationshipById,
+  getHouseholdById,
+} from "./person.relationship.firestore.js";
+
+/**
+ * Person Relationships Router
+ * Typed links between a tenant's persons and the households they form
+ */
+
+const router = express.Router();
+
+const auditRelationship = (options) =>
+  audit("personRelationship", {
+    load: (id, req) => getRelationshipById(req.params.tenantId, id),
+    ...options,
+  });
+
+const auditHousehold = (options) =>
+  audit("household", {
+    idParam: "householdId",
+    load: (id, req) => getHouseholdById(req.params.tenantId, id),
+    ...options,
+  });
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
+// GET /:tenantId/persons/:id/relationships - Links with related names
+router.get(
+  "/:tenantId/persons/:id/relationships",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  listRelationshipsHandler
+);
+
+// POST /:tenantId/persons/:id/relationships - Link two persons
+router.post(
+  "/:tenantId/persons/:id/relationships",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.update"),
+  auditRelationship({
+    action: "create",
+    id: (req, body) => body?.data?.relationship?.id || null,
+  }),
+  createRelationshipHandler
+);
+
+// DELETE /:tenantId/persons/:id/relationships/:relationshipId - Unlink
+router.delete(
+  "/:tenantId/persons/:id/relationships/:relationshipId",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.update"),
+  auditRelationship({ idParam: "relationshipId" }),
+  deleteRelationshipHandler
+);
+
+// GET /:tenantId/persons/:id/household - The person's household
+router.get(
+  "/:tenantId/persons/:id/household",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  getPersonHouseholdHandler
+);
+
+// GET /:tenantId/households - Search (?q, ?memberId, ?minMembers, ?limit)
+router.get(
+  "/:tenantId/households",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  searchHouseholdsHandler
+);
+
+// POST /:tenantId/households - Create a household with its members
+router.post(
+  "/:tenantId/households",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.update"),
+  auditHousehold({ action: "create" }),
+  createHouseholdHandler
+);
+
+// GET /:tenantId/households/:householdId - Members and their links
+router.get(
+  "/:tenantId/households/:householdId",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.read"),
+  getHouseholdHandler
+);
+
+// PATCH /:tenantId/households/:householdId - Rename or change the head
+router.patch(
+  "/:tenantId/households/:householdId",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.update"),
+  auditHousehold(),
+  updateHouseholdHandler
+);
+
+// POST /:tenantId/households/:householdId/members - Move a person in
+router.post(
+  "/:tenantId/households/:householdId/members",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.update"),
+  auditHousehold({
+    action: "addMember",
+    details: (req) => ({ personId: req.body?.personId || null }),
+  }),
+  addHouseholdMemberHandler
+);
+
+// DELETE /:tenantId/households/:householdId/members/:personId - Move out
+router.delete(
+  "/:tenantId/households/:householdId/members/:personId",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.update"),
+  auditHousehold({
+    action: "removeMember",
+    details: (req) => ({ personId: req.params.personId }),
+  }),
+  removeHouseholdMemberHandler
+);
+
+export default router;
@@ -0,0 +1,310 @@
+import {
+  RELATIONSHIP_TYPES,
+  HOUSEHOLD_TYPES,
+  DEPENDANT_TYPES,
+  newHouseholdId,
+  relationshipId,
+} from "./person.relationship.validation.js";
+import {
+  getRelationshipById,
+  listRelationshipsForPerson,
+  commitRelationship,
+  deleteRelationshipPair,
+  recountDependents,
+  getHouseholdById,
+  updateHouseholdById,
+  listHouseholds,
+  commitHouseholdMoves,
+} from "./person.relationship.firestore.js";
+import { getPersonById } from "../person/person.firestore.js";
+import { sanitizePersonResponse } from "../person/person.validation.js";
+import {
+  NotFoundError,
+  ValidationError,
+} from "../../../../utilities/error-handler.util.js";
+
+/**
+ * Person Relationships and Households
+ * Relationships are typed links between two persons of a tenant, stored
+ * once per direction ("B is A's child" with "A is B's parent") so either
+ * person's relationships are one query. Parent, child, spouse, guardian
+ * and ward links also group both persons into a household; households can
+ * be managed directly as well.
+ *
+ * demographics.dependentsCount is derived: the number of the person's
+ * child and ward relationships, recounted whenever one is added or removed.
+ */
+
+async function requirePerson(tenantId, id) {
+  const person = await getPersonById(id, tenantId);
+  if (!person) throw new NotFoundError(`Person with ID ${id}`);
+  return person;
+}
+
+function householdModel(name, headPersonId, actor) {
+  const now = new Date().toISOString();
+  return {
+    id: newHouseholdId(),
+    name,
+    nameLower: name.toLowerCase(),
+    headPersonId,
+    memberIds: [],
+    created: { by: actor, when: now },
+    updated: { by: actor, when: now },
+  };
+}
+
+/**
+ * Put two related persons in one household
+ * The person without a household joins the other's; if neither has one a
+ * household is created, headed by the person the link was recorded for.
+ * Persons already in different households are left where they are.
+ * @returns {Promise<Object>} { householdId, created, conflict }
+ */
+async function groupIntoHousehold(tenantId, person, related, actor) {
+  const a = person.householdId || null;
+  const b = related.householdId || null;
+  if (a && b) {
+    const conflict = a !== b;
+    return { householdId: conflict ? null : a, created: false, conflict };
+  }
+  const updated = { by: actor, when: new Date().toISOString() };
+  if (a || b) {
+    const moves = [{ personId: a ? related.id : person.id, to: a || b }];
+    await commitHouseholdMoves(tenantId, { moves, updated });
+    return { householdId: a || b, created: false, conflict: false };
+  }
+  const surname = person.surname || person.firstName;
+  const create = householdModel(`${surname} household`, person.id, actor);
+  await commitHouseholdMoves(tenantId, {
+    create,
+    moves: [
+      { personId: person.id, to: create.id },
+      { personId: related.id, to: create.id },
+    ],
+    updated,
+  });
+  return { householdId: create.id, created: true, conflict: false };
+}
+
+/**
+ * Link two persons of a tenant
+ * @param {string} tenantId
+ * @param {string} personId - The person the relationship is read from
+ * @param {Object} data - See CreateRelationshipSchema
+ * @param {string} actor - ID of user linking them
+ * @returns {Promise<Object>} { relationship, reciprocal, household,
+ *   dependentsCount }
+ */
+export async function createRelationship(tenantId, personId, data, actor) {
+  const { relatedPersonId, type } = data;
+  if (relatedPersonId === personId) {
+    throw new ValidationError(
+      "A person can't be related to themselves",
+      "relatedPersonId",
+      relatedPersonId
+    );
+  }
+
+  const reciprocalType = RELATIONSHIP_TYPES[type];
+  const id = relationshipId(personId, type, relatedPersonId);
+  const reciprocalId = relationshipId(
+    relatedPersonId,
+    reciprocalType,
+    personId
+  );
+  const createdAt = new Date().toISOString();
+  const base = { note: data.note || null, createdAt, createdBy: actor };
+  const relationship = {
+    id,
+    personId,
+    relatedPersonId,
+    type,
+    reciprocalId,
+    ...base,
+  };
+  const reciprocal = {
+    id: reciprocalId,
+    personId: relatedPersonId,
+    relatedPersonId: personId,
+    type: reciprocalType,
+    reciprocalId: id,
+    ...base,
+  };
+  const [person, related] = await commitRelationship(
+    tenantId,
+    relationship,
+    reciprocal
+  );
+
+  let household = null;
+  if (data.household && HOUSEHOLD_TYPES.includes(type)) {
+    household = await groupIntoHousehold(tenantId, person, related, actor);
+  }
+
+  // The dependant side of the link is whichever person has the child/ward
+  const dependentsCount = {};
+  for (const r of [relationship, reciprocal]) {
+    if (DEPENDANT_TYPES.includes(r.type)) {
+      dependentsCount[r.personId] = await recountDependents(
+        tenantId,
+        r.personId
+      );
+    }
+  }
+
+  return { relationship, reciprocal, household, dependentsCount };
+}
+
+/**
+ * A person's relationships with the related persons' names
+ */
+export async function listPersonRelationships(tenantId, personId) {
+  await requirePerson(tenantId, personId);
+  const relationships = await listRelationshipsForPerson(tenantId, personId);
+  const result = [];
+  for (const r of relationships) {
+    const related = await getPersonById(r.relatedPersonId, tenantId);
+    result.push({
+      ...r,
+      relatedPerson: related && {
+        id: related.id,
+        firstName: related.firstName || null,
+        surname: related.surname || null,
+      },
+    });
+  }
+  return result;
+}
+
+/**
+ * Remove a relationship and its reciprocal
+ * Households stay as they are; members are removed explicitly.
+ */
+export async function deleteRelationship(tenantId, personId, id) {
+  const relationship = await getRelationshipById(tenantId, id);
+  if (!relationship || relationship.personId !== personId) {
+    throw new NotFoundError("Relationship");
+  }
+  await deleteRelationshipPair(tenantId, id, relationship.reciprocalId);
+  await recountDependents(tenantId, relationship.personId);
+  await recountDependents(tenantId, relationship.relatedPersonId);
+  return relationship;
+}
+
+async function requireHousehold(tenantId, id) {
+  const household = await getHouseholdById(tenantId, id);
+  if (!household) throw new NotFoundError("Household");
+  return household;
+}
+
+/**
+ * A household with its members and the relationships among them
+ * @param {Object} options - { reveal: decrypt sensitive fields }
+ */
+export async function getHouseholdRecord(
+  tenantId,
+  id,
+  { reveal = false } = {}
+) {
+  const household = await requireHousehold(tenantId, id);
+  const members = [];
+  const relationships = [];
+  for (const memberId of household.memberIds) {
+    const person = await getPersonById(memberId, tenantId);
+    if (!person) continue;
+    members.push(sanitizePersonResponse(person, { reveal }));
+    const links = await listRelationshipsForPerson(tenantId, memberId);
+    relationships.push(
+      ...links.filter((r) => household.memberIds.includes(r.relatedPersonId))
+    );
+  }
+  return { ...household, members, relationships };
+}
+
+/**
+ * The household a person belongs to, or null
+ */
+export async function getPersonHousehold(tenantId, personId, options) {
+  const person = await requirePerson(tenantId, personId);
+  if (!person.householdId) return null;
+  return getHouseholdRecord(tenantId, person.householdId, options);
+}
+
+/**
+ * Search households by name prefix, member or size
+ * @param {Object} filters - See HouseholdQuerySchema
+ */
+export async function searchHouseholds(tenantId, filters = {}) {
+  const households = await listHouseholds(tenantId, filters);
+  return households
+    .filter((h) => h.memberIds.length >= (filters.minMembers || 1))
+    .slice(0, filters.limit || 50);
+}
+
+/**
+ * Create a household; its members leave any household they were in
+ * @param {Object} data - See CreateHouseholdSchema
+ */
+export async function createHouseholdRecord(tenantId, data, actor) {
+  const create = householdModel(data.name, data.headPersonId, actor);
+  const memberIds = [...new Set([data.headPersonId, ...data.memberIds])];
+  await commitHouseholdMoves(tenantId, {
+    create,
+    moves: memberIds.map((personId) => ({ personId, to: create.id })),
+    updated: create.updated,
+  });
+  return getHouseholdRecord(tenantId, create.id);
+}
+
+/**
+ * Rename a household or change its head (who must be a member)
+ * @param {Object} data - See UpdateHouseholdSchema
+ */
+export async function updateHouseholdRecord(tenantId, id, data, actor) {
+  const household = await requireHousehold(tenantId, id);
+  if (
+    data.headPersonId &&
+    !household.memberIds.includes(data.headPersonId)
+  ) {
+    throw new ValidationError(
+      "The head of a household must be one of its members",
+      "headPersonId",
+      data.headPersonId
+    );
+  }
+  await updateHouseholdById(tenantId, id, {
+    ...data,
+    ...(data.name && { nameLower: data.name.toLowerCase() }),
+    updated: { by: actor, when: new Date().toISOString() },
+  });
+  return getHouseholdRecord(tenantId, id);
+}
+
+/**
+ * Move a person into a household
+ */
+export async function addHouseholdMember(tenantId, id, personId, actor) {
+  await requireHousehold(tenantId, id);
+  await commitHouseholdMoves(tenantId, {
+    moves: [{ personId, to: id }],
+    updated: { by: actor, when: new Date().toISOString() },
+  });
+  return getHouseholdRecord(tenantId, id);
+}
+
+/**
+ * Take a person out of a household; a household left empty is deleted
+ * @returns {Promise<Object|null>} The household, or null once deleted
+ */
+export async function removeHouseholdMember(tenantId, id, personId, actor) {
+  const household = await requireHousehold(tenantId, id);
+  if (!household.memberIds.includes(personId)) {
+    throw new NotFoundError("Household member");
+  }
+  const deleted = await commitHouseholdMoves(tenantId, {
+    moves: [{ personId, to: null }],
+    updated: { by: actor, when: new Date().toISOString() },
+  });
+  return deleted.includes(id) ? null : getHouseholdRecord(tenantId, id);
+}
@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import { z } from "zod";
+
+/**
+ * Relationship types and their reciprocal. A relationship reads from the
+ * person's side: { personId: A, relatedPersonId: B, type: "child" } is
+ * "B is A's child", stored with its reciprocal "A is B's parent".
+ */
+export const RELATIONSHIP_TYPES = Object.freeze({
+  parent: "child",
+  child: "parent",
+  spouse: "spouse",
+  guardian: "ward",
+  ward: "guardian",
+  next_of_kin: "next_of_kin_of",
+  next_of_kin_of: "next_of_kin",
+  emergency_contact: "emergency_contact_of",
+  emergency_contact_of: "emergency_contact",
+  employer: "employee",
+  employee: "employer",
+});
+
+// Relationships that put both persons in the same household
+export const HOUSEHOLD_TYPES = [
+  "parent",
+  "child",
+  "spouse",
+  "guardian",
+  "ward",
+];
+
+// The related person counts towards the person's dependentsCount
+export const DEPENDANT_TYPES = ["child", "ward"];
+
+export function newHouseholdId() {
+  return `HOUSEHOLD${Date.now()}${crypto.randomBytes(3).toString("hex")}`;
+}
+
+/**
+ * One id per direction, so the same link can't be recorded twice
+ */
+export function relationshipId(personId, type, relatedPersonId) {
+  return `${personId}__${type}__${relatedPersonId}`;
+}
+
+const PersonIdSchema = z.string().trim().min(1).max(100);
+
+/**
+ * Schema for linking two persons
+ */
+export const CreateRelationshipSchema = z.object({
+  relatedPersonId: PersonIdSchema,
+  type: z.enum(Object.keys(RELATIONSHIP_TYPES)),
+  note: z.string().max(500).optional(),
+  // Household relationships also group both persons into one household
+  household: z.boolean().default(true),
+});
+
+/**
+ * Schema for creating a household
+ */
+export const CreateHouseholdSchema = z.object({
+  name: z.string().trim().min(2).max(100),
+  headPersonId: PersonIdSchema,
+  memberIds: z.array(PersonIdSchema).max(100).default([]),
+});
+
+/**
+ * Schema for renaming a household or changing its head
+ */
+export const UpdateHouseholdSchema = z
+  .object({
+    name: z.string().trim().min(2).max(100).optional(),
+    headPersonId: PersonIdSchema.optional(),
+  })
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "Nothing to update",
+  });
+
+export const HouseholdMemberSchema = z.object({
+  personId: PersonIdSchema,
+});
+
+/**
+ * Household search: name prefix, a member, a minimum size
+ */
+export const HouseholdQuerySchema = z.object({
+  q: z.string().trim().min(1).max(100).optional(),
+  memberId: PersonIdSchema.optional(),
+  minMembers: z.coerce.number().int().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+});
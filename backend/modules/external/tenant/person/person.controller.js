@@ -2,12 +2,15 @@ import { z } from "zod";
 import {
   PersonSchema,
   PersonUpdateSchema,
-  // generateValidSAId, // Commented out due to simplified SA ID validation
 } from "./person.validation.js";
 import {
   checkPermissions,
   checkAllPermissions,
+  hasPermission,
 } from "../../../../middleware/permission.middleware.js";
+import {
+  SENSITIVE_READ_PERMISSION,
+} from "../../../../utilities/field-encryption.util.js";
 import {
   createPersonRecord,
   getPersonRecord,
@@ -19,6 +22,10 @@ import {
   exportPersonRecords,
   getPersonStatistics,
   validatePersonDataConsistency,
+  getSAIdValidationMode,
+  listTrashedPersonRecords,
+  restorePersonRecord,
+  purgePersonRecord,
 } from "./person.service.js";
 import {
   sendSuccess,
@@ -27,8 +34,19 @@ import {
   sendValidationError,
   sendNotFound,
   sendConflict,
+  sendPreconditionFailed,
   handleZodError,
 } from "../../../../utilities/response.util.js";
+import {
+  expectedVersionFrom,
+  setETag,
+} from "../../../../utilities/concurrency.util.js";
+import {
+  PreconditionFailedError,
+  ValidationError,
+} from "../../../../utilities/error-handler.util.js";
+import { ConsentFilterSchema } from "../consent/consent.validation.js";
+import { PERSON_VERSION_FIELD } from "./person.firestore.js";
 import {
   formatPaginatedResponse,
   createExportResponse,
@@ -54,6 +72,39 @@ function actorFrom(req) {
   return p.id || p.email || "anonymous";
 }
 
+/**
+ * Sensitive fields are only decrypted for holders of person.sensitive.read
+ * @param {Object} req - Express request object
+ * @returns {{reveal: boolean}} Service options
+ */
+function sensitiveAccess(req) {
+  return { reveal: hasPermission(req, SENSITIVE_READ_PERMISSION) };
+}
+
+/**
+ * List options with the consent filter (?consent=<purposeId>:<state>) and,
+ * for exports, the consent purpose the export is for (?purpose=<purposeId>)
+ * @param {Object} req - Express request object
+ * @returns {Object} Service options
+ */
+function listAccess(req) {
+  const options = sensitiveAccess(req);
+  const { consent, purpose } = req.query || {};
+  if (consent) {
+    const parsed = ConsentFilterSchema.safeParse(consent);
+    if (!parsed.success) {
+      throw new ValidationError(
+        parsed.error.issues[0].message,
+        "consent",
+        consent
+      );
+    }
+    options.consent = parsed.data;
+  }
+  if (purpose) options.purposeId = String(purpose);
+  return options;
+}
+
 /**
  * Transform Zod validation errors into user-friendly messages
  * @param {Object} zodError - Zod validation error object
@@ -144,10 +195,6 @@ function formatValidationErrors(zodError) {
       invalid_enum_value:
         "Marital status must be one of: Single, Married, Divorced, Widowed, Separated, Customary Union, Life Partner, Unknown",
     },
-    "demographics.dependentsCount": {
-      invalid_type: "Number of dependents must be a number",
-      too_small: "Number of dependents cannot be negative",
-    },
     // POPIA compliance
     "popia.consent": {
       custom: "Consent to process personal information is required",
@@ -222,7 +269,9 @@ export async function createPersonHandler(req, res, next) {
     const validatedData = PersonSchema.parse(req.body);
 
     // Additional business validation
-    const consistencyCheck = validatePersonDataConsistency(validatedData);
+    const consistencyCheck = validatePersonDataConsistency(validatedData, {
+      mode: await getSAIdValidationMode(tenantId),
+    });
     if (!consistencyCheck.isValid) {
       console.error(
         "❌ Person consistency validation failed:",
@@ -232,9 +281,17 @@ export async function createPersonHandler(req, res, next) {
       // Format business validation errors with descriptive messages
       const businessErrors = {};
       consistencyCheck.errors.forEach((error, index) => {
-        if (error.includes("SA ID number check digit")) {
+        if (error.includes("check digit")) {
           businessErrors[`idNumber`] =
             "SA ID number check digit is invalid. Please verify the ID number is correct.";
+        } else if (error.startsWith("SA ID number")) {
+          businessErrors[`idNumber`] = error;
+        } else if (error.includes("Gender does not match")) {
+          businessErrors[`gender`] =
+            "Gender does not match the SA ID number. Please check both fields.";
+        } else if (error.includes("Citizenship status does not match")) {
+          businessErrors[`citizenshipStatus`] =
+            "Citizenship status does not match the SA ID number. Please check both fields.";
         } else if (error.includes("Date of birth does not match")) {
           businessErrors[`dateOfBirth`] =
             "Date of birth does not match the SA ID number. Please check both fields.";
@@ -257,7 +314,12 @@ export async function createPersonHandler(req, res, next) {
     }
 
     const actor = actorFrom(req);
-    const data = await createPersonRecord(tenantId, validatedData, actor);
+    const data = await createPersonRecord(
+      tenantId,
+      validatedData,
+      actor,
+      sensitiveAccess(req)
+    );
 
     return sendSuccess(res, data, "Person created successfully", 201);
   } catch (err) {
@@ -326,12 +388,18 @@ export async function getPersonByIdHandler(req, res, next) {
     }
 
     const actor = actorFrom(req);
-    const data = await getPersonRecord(tenantId, id, actor);
+    const data = await getPersonRecord(
+      tenantId,
+      id,
+      actor,
+      sensitiveAccess(req)
+    );
 
     if (!data) {
       return sendNotFound(res, `Person with ID ${id} not found`);
     }
 
+    setETag(res, data, PERSON_VERSION_FIELD);
     return sendSuccess(res, data, "Person retrieved successfully");
   } catch (err) {
     next(err);
@@ -343,8 +411,8 @@ export async function getPersonByIdHandler(req, res, next) {
  * PUT /internal/person/:id
  */
 export async function updatePersonHandler(req, res, next) {
+  const { tenantId, id } = req.params;
   try {
-    const { tenantId, id } = req.params;
 
     if (!id) {
       return sendValidationError(
@@ -360,7 +428,9 @@ export async function updatePersonHandler(req, res, next) {
     const validatedData = PersonUpdateSchema.parse(req.body);
 
     // Additional business validation if data provided
-    const consistencyCheck = validatePersonDataConsistency(validatedData);
+    const consistencyCheck = validatePersonDataConsistency(validatedData, {
+      mode: await getSAIdValidationMode(tenantId),
+    });
     if (!consistencyCheck.isValid) {
       // Format business validation errors with descriptive messages
       const businessErrors = {};
@@ -387,10 +457,23 @@ export async function updatePersonHandler(req, res, next) {
     }
 
     const actor = actorFrom(req);
-    const data = await updatePersonRecord(tenantId, id, validatedData, actor);
+    const data = await updatePersonRecord(
+      tenantId,
+      id,
+      validatedData,
+      actor,
+      expectedVersionFrom(req),
+      sensitiveAccess(req)
+    );
 
+    setETag(res, data, PERSON_VERSION_FIELD);
     return sendSuccess(res, data, "Person updated successfully");
   } catch (err) {
+    // Someone else saved first (stale If-Match)
+    if (err instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, err.message, err.details);
+    }
+
     if (err instanceof z.ZodError) {
       const formattedErrors = formatValidationErrors(err);
       return sendValidationError(
@@ -445,13 +528,69 @@ export async function updatePersonHandler(req, res, next) {
   }
 }
 
+/**
+ * List trashed persons
+ * GET /external/tenants/:tenantId/persons/trash
+ */
+export async function listTrashedPersonsHandler(req, res, next) {
+  try {
+    const { items, nextCursor } = await listTrashedPersonRecords(
+      req.params.tenantId,
+      req.query,
+      sensitiveAccess(req)
+    );
+    return sendList(
+      res,
+      items,
+      { limit: items.length, nextCursor },
+      "Trashed persons retrieved successfully"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Restore a trashed person
+ * POST /external/tenants/:tenantId/persons/:id/restore
+ */
+export async function restorePersonHandler(req, res, next) {
+  try {
+    const { tenantId, id } = req.params;
+    const person = await restorePersonRecord(
+      tenantId,
+      id,
+      actorFrom(req),
+      sensitiveAccess(req)
+    );
+    setETag(res, person, PERSON_VERSION_FIELD);
+    return sendSuccess(res, person, "Person restored successfully");
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Permanently delete a trashed person
+ * DELETE /external/tenants/:tenantId/persons/trash/:id
+ */
+export async function purgePersonHandler(req, res, next) {
+  try {
+    const { tenantId, id } = req.params;
+    await purgePersonRecord(tenantId, id, actorFrom(req));
+    return sendSuccess(res, { id }, "Person permanently deleted");
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * Delete person by ID
  * DELETE /internal/person/:id
  */
 export async function deletePersonHandler(req, res, next) {
+  const { tenantId, id } = req.params;
   try {
-    const { tenantId, id } = req.params;
 
     if (!id) {
       return sendValidationError(
@@ -540,8 +679,8 @@ export async function deletePersonHandler(req, res, next) {
  * PATCH /internal/person/:id
  */
 export async function patchPersonHandler(req, res, next) {
+  const { tenantId, id } = req.params;
   try {
-    const { tenantId, id } = req.params;
 
     if (!id) {
       return sendValidationError(
@@ -557,14 +696,26 @@ export async function patchPersonHandler(req, res, next) {
     const parsed = PersonUpdateSchema.partial().parse(req.body);
     const actor = actorFrom(req);
 
-    const updatedPerson = await updatePersonRecord(tenantId, id, parsed, actor);
+    const updatedPerson = await updatePersonRecord(
+      tenantId,
+      id,
+      parsed,
+      actor,
+      expectedVersionFrom(req),
+      sensitiveAccess(req)
+    );
 
+    setETag(res, updatedPerson, PERSON_VERSION_FIELD);
     return sendSuccess(
       res,
       updatedPerson,
       "Person partially updated successfully"
     );
   } catch (err) {
+    if (err instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, err.message, err.details);
+    }
+
     if (err instanceof z.ZodError) {
       const formattedErrors = formatValidationErrors(err);
       return sendValidationError(
@@ -628,7 +779,12 @@ export async function listPersonsHandler(req, res, next) {
     const { tenantId } = req.params;
 
     const actor = actorFrom(req);
-    const result = await getAllPersonRecords(tenantId, req.parsedQuery, actor);
+    const result = await getAllPersonRecords(
+      tenantId,
+      req.parsedQuery,
+      actor,
+      listAccess(req)
+    );
 
     // Return flat list response (data array + pagination)
     return sendList(
@@ -651,7 +807,12 @@ export async function searchPersonsHandler(req, res, next) {
     const { tenantId } = req.params;
 
     const actor = actorFrom(req);
-    const result = await searchPersonRecords(tenantId, req.parsedQuery, actor);
+    const result = await searchPersonRecords(
+      tenantId,
+      req.parsedQuery,
+      actor,
+      listAccess(req)
+    );
 
     // Return flat list response (data array + pagination)
     return sendList(
@@ -819,7 +980,8 @@ export async function exportPersonsHandler(req, res, next) {
       tenantId,
       req.parsedQuery,
       format,
-      actor
+      actor,
+      listAccess(req)
     );
 
     // Create export response
@@ -983,14 +1145,17 @@ export async function validatePersonHandler(req, res, next) {
     const validatedData = PersonSchema.parse(req.body);
 
     // Then check business consistency
-    const consistencyCheck = validatePersonDataConsistency(validatedData);
+    const consistencyCheck = validatePersonDataConsistency(validatedData, {
+      mode: await getSAIdValidationMode(req.params.tenantId),
+    });
 
     res.status(200).json({
       success: true,
       data: {
         isValid: consistencyCheck.isValid,
         errors: consistencyCheck.errors,
-        warnings: [],
+        warnings: consistencyCheck.warnings,
+        derived: consistencyCheck.derived,
       },
     });
   } catch (err) {
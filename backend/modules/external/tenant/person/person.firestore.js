@@ -1,7 +1,30 @@
 import { db } from "../../../../services/firestore.client.js";
+import { tenantPath } from "../../../../utilities/country-context.util.js";
+import { updateWithVersion } from "../../../../utilities/concurrency.util.js";
+import {
+  moveToTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  listTrash,
+} from "../../../../utilities/soft-delete.util.js";
+import {
+  encryptFields,
+  blindIndex,
+  keyScope,
+} from "../../../../utilities/field-encryption.util.js";
+import {
+  recordPersonVersion,
+  applyPatch,
+  deletePersonVersions,
+} from "../../../internal/person.history/person.history.firestore.js";
+import { deletePersonDocuments } from "../../../internal/person.document/person.document.firestore.js";
+import { deletePersonRelationships } from "../person.relationship/person.relationship.firestore.js";
+import { VERSION_ACTIONS } from "../../../internal/person.history/person.history.validation.js";
+import { ConflictError } from "../../../../utilities/error-handler.util.js";
 import crypto from "crypto";
 
-const serviceId = "southAfrica";
+// Optimistic concurrency version (exposed as the ETag)
+export const PERSON_VERSION_FIELD = "audit.recordVersion";
 
 /**
  * Generate dynamic people collection path based on tenant ID
@@ -12,7 +35,7 @@ export function getPeopleCollectionPath(tenantId) {
   if (!tenantId) {
     throw new Error("Tenant ID is required for people collection path");
   }
-  return `touchAfrica/${serviceId}/tenants/${tenantId}/people`;
+  return tenantPath(tenantId, "people");
 }
 
 /**
@@ -24,7 +47,7 @@ export function getCountersPath(tenantId) {
   if (!tenantId) {
     throw new Error("Tenant ID is required for counters path");
   }
-  return `touchAfrica/${serviceId}/tenants/${tenantId}/counters/person`;
+  return tenantPath(tenantId, "counters", "person");
 }
 
 /**
@@ -45,6 +68,32 @@ function countersDoc(tenantId) {
   return db.doc(getCountersPath(tenantId));
 }
 
+/**
+ * Throw DUPLICATE_PERSON when another person in the tenant has the same SA ID
+ * number (looked up through the blind index, the number itself is encrypted)
+ * @param {string} tenantId - The tenant identifier
+ * @param {string} index - Blind index of the ID number
+ * @param {string} idNumber - Plaintext ID number (for the error)
+ * @param {string} [exceptId] - Person being updated
+ */
+async function assertUniqueIdNumber(tenantId, index, idNumber, exceptId) {
+  const duplicateQuery = await peopleCol(tenantId)
+    .where("blindIndex.idNumber", "==", index)
+    .limit(2) // Get up to 2 to check if any other than current
+    .get();
+
+  const duplicates = duplicateQuery.docs.filter((doc) => doc.id !== exceptId);
+  if (duplicates.length > 0) {
+    const error = new Error(
+      `Person with SA ID number ${idNumber} already exists`
+    );
+    error.code = "DUPLICATE_PERSON";
+    error.status = 409;
+    error.details = { field: "idNumber", value: idNumber };
+    throw error;
+  }
+}
+
 /**
  * Generate next person sequence number for a specific tenant
  * @param {string} tenantId - The tenant identifier
@@ -67,29 +116,28 @@ async function nextPersonSequence(tenantId) {
 
 /**
  * Create a new person record for a specific tenant
+ * Sensitive fields are encrypted with the tenant's key before the write
  * @param {Object} model - Person data model
  * @param {string} tenantId - The tenant identifier
- * @returns {Promise<Object>} Created person with ID
+ * @param {string} [actor] - ID of user creating the person (for the history)
+ * @returns {Promise<Object>} Created person with ID (as stored)
  */
-export async function createPerson(model, tenantId) {
+export async function createPerson(model, tenantId, actor = null) {
   try {
-    // Check for duplicate SA ID number if provided
-    if (model.idNumber) {
-      const duplicateQuery = await peopleCol(tenantId)
-        .where("idNumber", "==", model.idNumber)
-        .limit(1)
-        .get();
+    const { record, blindIndex: index } = encryptFields(
+      model,
+      keyScope(tenantId)
+    );
 
-      if (!duplicateQuery.empty) {
-        const error = new Error(
-          `Person with SA ID number ${model.idNumber} already exists`
-        );
-        error.code = "DUPLICATE_PERSON";
-        error.status = 409;
-        error.details = { field: "idNumber", value: model.idNumber };
-        throw error;
-      }
+    // Check for duplicate SA ID number if provided
+    if (index.idNumber) {
+      await assertUniqueIdNumber(
+        tenantId,
+        index.idNumber,
+        model.demographics?.idNumber || model.idNumber
+      );
     }
+    model = { ...record, blindIndex: index };
 
     // Passport number removed
 
@@ -107,9 +155,20 @@ export async function createPerson(model, tenantId) {
       recordVersion: 1,
     };
 
-    // Create document with generated ID
+    // Create document with generated ID, and its first version
     const docRef = peopleCol(tenantId).doc(model.id);
-    await docRef.set(model, { merge: true });
+    await db.runTransaction(async (tx) => {
+      // Never merge into someone already stored under the same id
+      if ((await tx.get(docRef)).exists) {
+        throw new ConflictError(`Person ${model.id} already exists`);
+      }
+      await recordPersonVersion(tx, tenantId, model.id, {
+        after: model,
+        action: VERSION_ACTIONS.CREATE,
+        actor,
+      });
+      tx.set(docRef, model);
+    });
 
     console.log(`✅ Person created: ${model.id}`);
     return model;
@@ -145,9 +204,17 @@ export async function getPersonById(id, tenantId) {
  * @param {string} id - Person ID
  * @param {Object} data - Updated person data
  * @param {string} tenantId - The tenant identifier
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
+ * @param {string} [actor] - ID of user updating the person (for the history)
  * @returns {Promise<Object>} Updated person data
  */
-export async function updatePersonById(id, data, tenantId) {
+export async function updatePersonById(
+  id,
+  data,
+  tenantId,
+  expectedVersion = null,
+  actor = null
+) {
   try {
     const docRef = peopleCol(tenantId).doc(id);
 
@@ -157,40 +224,50 @@ export async function updatePersonById(id, data, tenantId) {
       throw new Error(`Person with ID ${id} not found`);
     }
 
-    // Check for duplicate SA ID number if being updated
-    if (data.idNumber) {
-      const duplicateQuery = await peopleCol(tenantId)
-        .where("idNumber", "==", data.idNumber)
-        .limit(2) // Get up to 2 to check if any other than current
-        .get();
+    const { record, blindIndex: index } = encryptFields(
+      data,
+      keyScope(tenantId)
+    );
 
-      const duplicates = duplicateQuery.docs.filter((doc) => doc.id !== id);
-      if (duplicates.length > 0) {
-        const error = new Error(
-          `Person with SA ID number ${data.idNumber} already exists`
-        );
-        error.code = "DUPLICATE_PERSON";
-        error.status = 409;
-        error.details = { field: "idNumber", value: data.idNumber };
-        throw error;
-      }
+    // Check for duplicate SA ID number if being updated
+    if (index.idNumber) {
+      await assertUniqueIdNumber(
+        tenantId,
+        index.idNumber,
+        data.demographics?.idNumber || data.idNumber,
+        id
+      );
     }
 
     // Passport number removed
 
-    // Update audit information
-    const existingData = doc.data();
-    const currentVersion = existingData.audit?.recordVersion || 1;
-
-    data.audit = {
-      ...existingData.audit,
-      ...data.audit,
-      updatedAt: new Date().toISOString(),
-      recordVersion: currentVersion + 1,
-    };
-
-    // Update document
-    await docRef.update(data);
+    // Version check (If-Match), audit stamp and write in one transaction
+    await updateWithVersion(
+      docRef,
+      (existingData) => ({
+        ...record,
+        ...(Object.keys(index).length > 0 && {
+          blindIndex: { ...existingData.blindIndex, ...index },
+        }),
+        audit: {
+          ...existingData.audit,
+          ...data.audit,
+          updatedAt: new Date().toISOString(),
+        },
+      }),
+      {
+        expected: expectedVersion,
+        versionField: PERSON_VERSION_FIELD,
+        resource: "Person",
+        onWrite: (tx, { before, patch }) =>
+          recordPersonVersion(tx, tenantId, id, {
+            before,
+            after: applyPatch(before, patch),
+            action: VERSION_ACTIONS.UPDATE,
+            actor,
+          }),
+      }
+    );
 
     // Return updated document
     const updatedDoc = await docRef.get();
@@ -205,25 +282,20 @@ export async function updatePersonById(id, data, tenantId) {
 }
 
 /**
- * Delete person by ID for a specific tenant
+ * Delete person by ID for a specific tenant (soft delete - moves the person
+ * to the tenant's trash)
  * @param {string} id - Person ID
  * @param {string} tenantId - The tenant identifier
+ * @param {string} actor - ID of user deleting the person
  * @returns {Promise<boolean>} True if deleted successfully
  */
-export async function deletePersonById(id, tenantId) {
+export async function deletePersonById(id, tenantId, actor) {
   try {
-    const docRef = peopleCol(tenantId).doc(id);
+    await moveToTrash(getPeopleCollectionPath(tenantId), id, actor, {
+      resource: `Person with ID ${id}`,
+    });
 
-    // Check if document exists
-    const doc = await docRef.get();
-    if (!doc.exists) {
-      throw new Error(`Person with ID ${id} not found`);
-    }
-
-    // Delete the document
-    await docRef.delete();
-
-    console.log(`✅ Person deleted: ${id}`);
+    console.log(`✅ Person moved to trash: ${id}`);
     return true;
   } catch (error) {
     console.error(`❌ Failed to delete person ${id}:`, error);
@@ -231,6 +303,46 @@ export async function deletePersonById(id, tenantId) {
   }
 }
 
+/**
+ * List trashed persons for a specific tenant, most recently deleted first
+ * @param {string} tenantId - The tenant identifier
+ * @param {Object} options - { limit, cursor }
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export async function listTrashedPersons(tenantId, options = {}) {
+  return listTrash(getPeopleCollectionPath(tenantId), options);
+}
+
+/**
+ * Restore a trashed person for a specific tenant
+ * @param {string} id - Person ID
+ * @param {string} tenantId - The tenant identifier
+ * @param {string} actor - ID of user restoring the person
+ * @returns {Promise<Object>} Restored person
+ */
+export async function restorePersonById(id, tenantId, actor) {
+  return restoreFromTrash(getPeopleCollectionPath(tenantId), id, actor, {
+    resource: `Person with ID ${id}`,
+  });
+}
+
+/**
+ * Permanently delete a trashed person for a specific tenant, with its
+ * version history, documents, relationships and household memberships
+ * @param {string} id - Person ID
+ * @param {string} tenantId - The tenant identifier
+ * @returns {Promise<Object>} Purged person
+ */
+export async function purgePersonById(id, tenantId) {
+  const purged = await purgeFromTrash(getPeopleCollectionPath(tenantId), id, {
+    resource: `Person with ID ${id}`,
+  });
+  await deletePersonVersions(tenantId, id);
+  await deletePersonDocuments(tenantId, id);
+  await deletePersonRelationships(tenantId, id);
+  return purged;
+}
+
 /**
  * Get all persons with pagination for a specific tenant
  * @param {Object} options - Query options
@@ -304,10 +416,14 @@ export async function searchPersons(criteria, tenantId) {
   try {
     const results = [];
 
-    // Search by SA ID number
+    // Search by SA ID number (blind index)
     if (criteria.idNumber) {
       const snapshot = await peopleCol(tenantId)
-        .where("idNumber", "==", criteria.idNumber)
+        .where(
+          "blindIndex.idNumber",
+          "==",
+          blindIndex(keyScope(tenantId), "idNumber", criteria.idNumber)
+        )
         .get();
 
       snapshot.docs.forEach((doc) => {
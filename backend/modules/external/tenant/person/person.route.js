@@ -1,5 +1,7 @@
 import express from "express";
 import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
 import {
   advancedListQuery,
   searchQuery,
@@ -21,7 +23,12 @@ import {
   getPersonStatsHandler,
   validatePersonHandler,
   patchPersonHandler,
+  listTrashedPersonsHandler,
+  restorePersonHandler,
+  purgePersonHandler,
 } from "./person.controller.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+import { getPersonById } from "./person.firestore.js";
 
 /**
  * Person Router
@@ -30,11 +37,22 @@ import {
 
 const router = express.Router();
 
+const auditPerson = (action) =>
+  audit("person", {
+    action,
+    load: (id, req) => getPersonById(id, req.params.tenantId),
+  });
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
 // POST /:tenantId/persons - Create new person
 router.post(
   "/:tenantId/persons",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.person.create"),
+  auditPerson(),
   createPersonHandler
 );
 
@@ -42,6 +60,7 @@ router.post(
 router.get(
   "/:tenantId/persons/search",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.person.read"),
   advancedListQuery({
     sortFields: [
@@ -54,7 +73,6 @@ router.get(
       "contactInfo.mobile",
       "address.city",
       "address.province",
-      "idNumber",
       // flat sorts
       "firstName",
       "lastName",
@@ -70,7 +88,6 @@ router.get(
       "personalInfo.fullName",
       "contactInfo.email",
       "contactInfo.mobile",
-      "idNumber",
       "address.province",
       "address.city",
       // flat shapes used by current data
@@ -90,6 +107,7 @@ router.get(
 router.get(
   "/:tenantId/persons/export",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.person.read"),
   exportQuery({
     sortFields: [
@@ -103,6 +121,7 @@ router.get(
       "address.province",
       "contactInfo.email",
       "idNumber",
+      "passportNumber",
     ],
   }),
   exportPersonsHandler
@@ -112,6 +131,7 @@ router.get(
 router.get(
   "/:tenantId/persons/stats",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.person.read"),
   getPersonStatsHandler
 );
@@ -120,11 +140,13 @@ router.get(
 router.post(
   "/:tenantId/persons/bulk",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions(
     "tenant.person.create",
     "tenant.person.update",
     "tenant.person.delete"
   ),
+  auditPerson("bulk"),
   bulkPersonsHandler
 );
 
@@ -132,6 +154,7 @@ router.post(
 router.post(
   "/:tenantId/persons/validate",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.person.create"),
   validatePersonHandler
 );
@@ -140,6 +163,7 @@ router.post(
 router.get(
   "/:tenantId/persons",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.person.read"),
   advancedListQuery({
     sortFields: [
@@ -152,7 +176,6 @@ router.get(
       "contactInfo.mobile",
       "address.city",
       "address.province",
-      "idNumber",
       // flat sorts
       "firstName",
       "lastName",
@@ -166,6 +189,7 @@ router.get(
       "address.province",
       "contactInfo.email",
       "idNumber",
+      "passportNumber",
     ],
     searchFields: [
       // nested shapes
@@ -174,7 +198,6 @@ router.get(
       "personalInfo.fullName",
       "contactInfo.email",
       "contactInfo.mobile",
-      "idNumber",
       "address.province",
       "address.city",
       // flat shapes used by current data
@@ -191,10 +214,40 @@ router.get(
   listPersonsHandler
 );
 
+// GET /:tenantId/persons/trash - List soft-deleted persons
+router.get(
+  "/:tenantId/persons/trash",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.restore"),
+  listTrashedPersonsHandler
+);
+
+// DELETE /:tenantId/persons/trash/:id - Permanently delete a trashed person
+router.delete(
+  "/:tenantId/persons/trash/:id",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.purge"),
+  auditPerson("purge"),
+  purgePersonHandler
+);
+
+// POST /:tenantId/persons/:id/restore - Restore a soft-deleted person
+router.post(
+  "/:tenantId/persons/:id/restore",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.person.restore"),
+  auditPerson("restore"),
+  restorePersonHandler
+);
+
 // GET /:tenantId/persons/:id - Get person by ID
 router.get(
   "/:tenantId/persons/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.person.read"),
   getPersonByIdHandler
 );
@@ -203,7 +256,9 @@ router.get(
 router.put(
   "/:tenantId/persons/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.person.update"),
+  auditPerson(),
   updatePersonHandler
 );
 
@@ -211,15 +266,19 @@ router.put(
 router.patch(
   "/:tenantId/persons/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.person.update"),
+  auditPerson(),
   patchPersonHandler
 );
 
-// DELETE /:tenantId/persons/:id - Delete person by ID
+// DELETE /:tenantId/persons/:id - Delete person by ID (moves it to the trash)
 router.delete(
   "/:tenantId/persons/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.person.delete"),
+  auditPerson(),
   deletePersonHandler
 );
 
@@ -1,8 +1,6 @@
 import crypto from "crypto";
 import {
   newPersonId,
-  // validateSAIdCheckDigit, // Commented out due to simplified SA ID validation
-  extractDateFromSAId,
   sanitizePersonResponse,
 } from "./person.validation.js";
 import {
@@ -13,16 +11,76 @@ import {
   getAllPersons,
   searchPersons,
   getPeopleCollectionPath,
+  listTrashedPersons,
+  restorePersonById,
+  purgePersonById,
 } from "./person.firestore.js";
 import { db } from "../../../../services/firestore.client.js";
 import {
-  buildFirestoreQuery,
-  applySearch,
-  applySorting,
+  applyFieldSelection,
   formatPaginatedResponse,
   createExportResponse,
-  createPaginationMeta,
+  convertToCSV,
+  convertToJSON,
 } from "../../../../utilities/query.util.js";
+import { executeQuery } from "../../../../utilities/query-planner.util.js";
+import { getCurrentCountryPack } from "../../../../utilities/country-context.util.js";
+import {
+  getConsentPurposeRecord,
+  isConsentPermitted,
+} from "../consent/consent.service.js";
+import {
+  isValidNationalId,
+  isValidPhone,
+  isValidProvince,
+  isValidPostalCode,
+} from "../../../../utilities/country-validation.util.js";
+import {
+  blindIndexQuery,
+  keyScope,
+  revealFields,
+} from "../../../../utilities/field-encryption.util.js";
+import {
+  ADDRESS_ISSUE_SEVERITY,
+  checkAddress,
+  normalizePersonAddresses,
+} from "../../../general/address/address.service.js";
+import {
+  applySAIdCheck,
+  checkSAIdNumber,
+  defaultSAIdValidationMode,
+} from "../../../../utilities/sa-id.util.js";
+import { getTenantById } from "../../../internal/tenant/tenant.firestore.js";
+
+// Query planner configuration for person lists
+const PERSON_QUERY_FIELD_MAP = {
+  createdAt: "audit.createdAt",
+  updatedAt: "audit.updatedAt",
+};
+const PERSON_NATIVE_SORT_FIELDS = [
+  "audit.createdAt",
+  "audit.updatedAt",
+  "firstName",
+  "surname",
+];
+const PERSON_SEARCH_FIELDS = [
+  // nested
+  "personalInfo.firstName",
+  "personalInfo.lastName",
+  "personalInfo.fullName",
+  "contactInfo.email",
+  "contactInfo.mobile",
+  "address.province",
+  "address.city",
+  // flat
+  "firstName",
+  "surname",
+  "email",
+  "contact.email",
+  "contact.mobile",
+  "addresses.residential.city",
+  "addresses.residential.province",
+];
 
 /**
  * Enhanced validation for editable fields in person updates
@@ -31,6 +89,7 @@ import {
  */
 function validateEditableFields(data) {
   const errors = [];
+  const country = getCurrentCountryPack();
 
   // Validate first name
   if (data.firstName !== undefined) {
@@ -131,12 +190,10 @@ function validateEditableFields(data) {
       // Validate mobile phone
       if (data.contact.mobile !== undefined) {
         if (data.contact.mobile !== null && data.contact.mobile !== "") {
-          const phoneRegex = /^(\+27|0)\d{9}$/;
-          if (!phoneRegex.test(data.contact.mobile)) {
+          if (!isValidPhone(data.contact.mobile, country)) {
             errors.push({
               field: "contact.mobile",
-              message:
-                "Mobile number must be in format +27xxxxxxxxx or 0xxxxxxxxx",
+              message: `Mobile number: ${country.phone.message}`,
             });
           }
         }
@@ -145,12 +202,10 @@ function validateEditableFields(data) {
       // Validate home phone
       if (data.contact.home !== undefined) {
         if (data.contact.home !== null && data.contact.home !== "") {
-          const phoneRegex = /^(\+27|0)\d{9}$/;
-          if (!phoneRegex.test(data.contact.home)) {
+          if (!isValidPhone(data.contact.home, country)) {
             errors.push({
               field: "contact.home",
-              message:
-                "Home number must be in format +27xxxxxxxxx or 0xxxxxxxxx",
+              message: `Home number: ${country.phone.message}`,
             });
           }
         }
@@ -159,12 +214,10 @@ function validateEditableFields(data) {
       // Validate work phone
       if (data.contact.work !== undefined) {
         if (data.contact.work !== null && data.contact.work !== "") {
-          const phoneRegex = /^(\+27|0)\d{9}$/;
-          if (!phoneRegex.test(data.contact.work)) {
+          if (!isValidPhone(data.contact.work, country)) {
             errors.push({
               field: "contact.work",
-              message:
-                "Work number must be in format +27xxxxxxxxx or 0xxxxxxxxx",
+              message: `Work number: ${country.phone.message}`,
             });
           }
         }
@@ -207,29 +260,16 @@ function validateEditableFields(data) {
               message: "City is required",
             });
           }
-          if (
-            addr.province &&
-            ![
-              "Eastern Cape",
-              "Free State",
-              "Gauteng",
-              "KwaZulu-Natal",
-              "Limpopo",
-              "Mpumalanga",
-              "Northern Cape",
-              "North West",
-              "Western Cape",
-            ].includes(addr.province)
-          ) {
+          if (addr.province && !isValidProvince(addr.province, country)) {
             errors.push({
               field: "addresses.residential.province",
-              message: "Invalid South African province",
+              message: `Invalid ${country.name} ${country.regionLabel}`,
             });
           }
-          if (addr.postalCode && !/^\d{4}$/.test(addr.postalCode)) {
+          if (addr.postalCode && !isValidPostalCode(addr.postalCode, country)) {
             errors.push({
               field: "addresses.residential.postalCode",
-              message: "Postal code must be 4 digits",
+              message: country.postalCode.message,
             });
           }
         }
@@ -240,6 +280,38 @@ function validateEditableFields(data) {
   return errors;
 }
 
+/**
+ * Whether the tenant's country issues SA ID numbers
+ */
+function usesSAIdNumbers() {
+  return getCurrentCountryPack().key === "southAfrica";
+}
+
+/**
+ * SA ID validation mode of a tenant: its settings.saIdValidation, or the
+ * platform default (SA_ID_VALIDATION_MODE)
+ * @param {string} tenantId
+ * @returns {Promise<string>} See SA_ID_VALIDATION_MODES
+ */
+export async function getSAIdValidationMode(tenantId) {
+  const tenant = await getTenantById(tenantId);
+  return tenant?.settings?.saIdValidation || defaultSAIdValidationMode();
+}
+
+/**
+ * Re-check a stored person's SA ID number against updated demographics
+ * @param {Object} existing - The person as stored
+ * @param {Object} demographics - Demographics being updated, if any
+ * @param {string} mode - See SA_ID_VALIDATION_MODES
+ * @returns {Object|null} The new idNumberCheck, null when nothing to check
+ * @throws {ValidationError} Strict mode and the demographics conflict
+ */
+function checkUpdatedDemographics(existing, demographics, mode) {
+  const idNumber = revealFields(existing, true).demographics?.idNumber;
+  if (!demographics || !idNumber) return null;
+  return applySAIdCheck({ ...demographics, idNumber }, mode).idNumberCheck;
+}
+
 /**
  * Person Service Layer
  * Handles business logic and data transformation for person management
@@ -250,34 +322,36 @@ function validateEditableFields(data) {
  * @param {string} tenantId - The tenant identifier
  * @param {Object} data - Person data
  * @param {string} actor - ID of user creating the person
+ * @param {Object} options - { reveal: decrypt sensitive fields }
  * @returns {Promise<Object>} Created person record
  */
-export async function createPersonRecord(tenantId, data, actor) {
+export async function createPersonRecord(
+  tenantId,
+  data,
+  actor,
+  { reveal = false } = {}
+) {
   try {
     // Generate server-side ID
     const personId = newPersonId();
 
-    // SA ID validation simplified to format-only - check digit validation removed
-    // if (data.demographics?.idNumber && !validateSAIdCheckDigit(data.demographics.idNumber)) {
-    //   throw new Error("Invalid SA ID number check digit");
-    // }
-
-    // Auto-extract date of birth from SA ID if not provided (now in demographics)
-    if (data.demographics?.idNumber && !data.demographics?.dateOfBirth) {
-      const extractedDate = extractDateFromSAId(data.demographics.idNumber);
-      if (extractedDate) {
-        if (!data.demographics) data.demographics = {};
-        data.demographics.dateOfBirth = extractedDate;
-        console.log(`📅 Auto-extracted DOB from SA ID: ${extractedDate}`);
+    // Check the SA ID number and fill in what it encodes (date of birth,
+    // gender, citizenship status)
+    let idNumberCheck = null;
+    if (usesSAIdNumbers()) {
+      const checked = applySAIdCheck(
+        data.demographics,
+        await getSAIdValidationMode(tenantId)
+      );
+      idNumberCheck = checked.idNumberCheck;
+      if (data.demographics) {
+        data = { ...data, demographics: checked.demographics };
       }
     }
 
-    // Validate date consistency (now in demographics)
-    if (data.demographics?.idNumber && data.demographics?.dateOfBirth) {
-      const extractedDate = extractDateFromSAId(data.demographics.idNumber);
-      if (extractedDate && extractedDate !== data.demographics.dateOfBirth) {
-        throw new Error("Date of birth does not match SA ID number");
-      }
+    // Normalise addresses against the gazetteer (see address.service)
+    if (data.addresses) {
+      data = { ...data, addresses: normalizePersonAddresses(data.addresses) };
     }
 
     // Set audit metadata
@@ -293,6 +367,14 @@ export async function createPersonRecord(tenantId, data, actor) {
     const personModel = {
       id: personId,
       ...data,
+      ...(idNumberCheck && { idNumberCheck }),
+      // Filled by recorded consent events only
+      consents: {},
+      // Set by relationships and households only
+      householdId: null,
+      ...(data.demographics && {
+        demographics: { ...data.demographics, dependentsCount: 0 },
+      }),
       audit: {
         ...data.audit,
         ...auditData,
@@ -300,9 +382,9 @@ export async function createPersonRecord(tenantId, data, actor) {
     };
 
     console.log(`🏗️ Creating person: ${personId} by ${actor}`);
-    const created = await createPerson(personModel, tenantId);
+    const created = await createPerson(personModel, tenantId, actor);
 
-    return sanitizePersonResponse(created);
+    return sanitizePersonResponse(created, { reveal });
   } catch (error) {
     console.error(`❌ Service error creating person:`, error);
     throw error;
@@ -314,18 +396,24 @@ export async function createPersonRecord(tenantId, data, actor) {
  * @param {string} tenantId - The tenant identifier
  * @param {string} id - Person ID
  * @param {string} actor - ID of user requesting the person
+ * @param {Object} options - { reveal: decrypt sensitive fields }
  * @returns {Promise<Object|null>} Person record or null if not found
  */
-export async function getPersonRecord(tenantId, id, actor) {
+export async function getPersonRecord(
+  tenantId,
+  id,
+  actor,
+  { reveal = false } = {}
+) {
   try {
     console.log(`🔍 Getting person: ${id} for ${actor}`);
-    const person = await getPersonById(tenantId, id);
+    const person = await getPersonById(id, tenantId);
 
     if (!person) {
       return null;
     }
 
-    return sanitizePersonResponse(person);
+    return sanitizePersonResponse(person, { reveal });
   } catch (error) {
     console.error(`❌ Service error getting person ${id}:`, error);
     throw error;
@@ -337,12 +425,21 @@ export async function getPersonRecord(tenantId, id, actor) {
  * @param {string} id - Person ID
  * @param {Object} data - Updated person data
  * @param {string} actor - ID of user updating the person
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
+ * @param {Object} options - { reveal: decrypt sensitive fields }
  * @returns {Promise<Object>} Updated person record
  */
-export async function updatePersonRecord(tenantId, id, data, actor) {
+export async function updatePersonRecord(
+  tenantId,
+  id,
+  data,
+  actor,
+  expectedVersion = null,
+  { reveal = false } = {}
+) {
   try {
     // Get existing person to check current data FIRST
-    const existing = await getPersonById(tenantId, id);
+    const existing = await getPersonById(id, tenantId);
     if (!existing) {
       throw new Error(`Person with ID ${id} not found`);
     }
@@ -382,47 +479,33 @@ export async function updatePersonRecord(tenantId, id, data, actor) {
       }
     }
 
-    // SA ID validation simplified to format-only - check digit validation removed
-    // if (
-    //   sanitizedData.idNumber &&
-    //   !validateSAIdCheckDigit(sanitizedData.idNumber)
-    // ) {
-    //   throw new Error("Invalid SA ID number check digit");
-    // }
-
-    // Validate date consistency if both ID and DOB are being updated
-    if (sanitizedData.idNumber && sanitizedData.dateOfBirth) {
-      const extractedDate = extractDateFromSAId(sanitizedData.idNumber);
-      if (extractedDate && extractedDate !== sanitizedData.dateOfBirth) {
-        throw new Error("Date of birth does not match SA ID number");
-      }
+    // Consent only changes through recorded consent events
+    delete sanitizedData.consents;
+
+    // The household and dependentsCount follow the person's relationships
+    // (see person.relationship)
+    delete sanitizedData.householdId;
+    if (sanitizedData.demographics) {
+      sanitizedData.demographics = {
+        ...sanitizedData.demographics,
+        dependentsCount: existing.demographics?.dependentsCount ?? 0,
+      };
     }
 
-    // Legacy validation logic (should not be needed after sanitization but kept for safety)
-    if (
-      sanitizedData.idNumber &&
-      existing.dateOfBirth &&
-      !sanitizedData.dateOfBirth
-    ) {
-      const extractedDate = extractDateFromSAId(sanitizedData.idNumber);
-      if (extractedDate && extractedDate !== existing.dateOfBirth) {
-        throw new Error(
-          "New SA ID number does not match existing date of birth"
-        );
-      }
+    // The SA ID number can't change, but the demographics it encodes can
+    if (usesSAIdNumbers()) {
+      const idNumberCheck = checkUpdatedDemographics(
+        existing,
+        sanitizedData.demographics,
+        await getSAIdValidationMode(tenantId)
+      );
+      if (idNumberCheck) sanitizedData.idNumberCheck = idNumberCheck;
     }
 
-    // Auto-extract DOB if new SA ID provided and no DOB exists (should not happen after sanitization)
-    if (
-      sanitizedData.idNumber &&
-      !existing.dateOfBirth &&
-      !sanitizedData.dateOfBirth
-    ) {
-      const extractedDate = extractDateFromSAId(sanitizedData.idNumber);
-      if (extractedDate) {
-        sanitizedData.dateOfBirth = extractedDate;
-        console.log(`📅 Auto-extracted DOB from new SA ID: ${extractedDate}`);
-      }
+    if (sanitizedData.addresses) {
+      sanitizedData.addresses = normalizePersonAddresses(
+        sanitizedData.addresses
+      );
     }
 
     console.log(
@@ -438,9 +521,15 @@ export async function updatePersonRecord(tenantId, id, data, actor) {
       throw error;
     }
 
-    const updated = await updatePersonById(tenantId, id, sanitizedData);
+    const updated = await updatePersonById(
+      id,
+      sanitizedData,
+      tenantId,
+      expectedVersion,
+      actor
+    );
 
-    return sanitizePersonResponse(updated);
+    return sanitizePersonResponse(updated, { reveal });
   } catch (error) {
     console.error(`❌ Service error updating person ${id}:`, error);
     throw error;
@@ -448,7 +537,7 @@ export async function updatePersonRecord(tenantId, id, data, actor) {
 }
 
 /**
- * Delete person record
+ * Delete person record (soft delete - the person can be restored from the trash)
  * @param {string} id - Person ID
  * @param {string} actor - ID of user deleting the person
  * @returns {Promise<boolean>} True if deleted successfully
@@ -456,64 +545,126 @@ export async function updatePersonRecord(tenantId, id, data, actor) {
 export async function deletePersonRecord(tenantId, id, actor) {
   try {
     console.log(`🗑️ Deleting person: ${id} by ${actor}`);
-    return await deletePersonById(tenantId, id);
+    return await deletePersonById(id, tenantId, actor);
   } catch (error) {
     console.error(`❌ Service error deleting person ${id}:`, error);
     throw error;
   }
 }
 
+/**
+ * List trashed person records for a tenant
+ * @param {string} tenantId - The tenant identifier
+ * @param {Object} queryParams - { limit, cursor }
+ * @param {Object} options - { reveal: decrypt sensitive fields }
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export async function listTrashedPersonRecords(
+  tenantId,
+  queryParams = {},
+  { reveal = false } = {}
+) {
+  const { items, nextCursor } = await listTrashedPersons(tenantId, {
+    limit: queryParams.limit,
+    cursor: queryParams.cursor,
+  });
+  return {
+    items: items.map((person) => sanitizePersonResponse(person, { reveal })),
+    nextCursor,
+  };
+}
+
+/**
+ * Restore a person record from the tenant's trash
+ * @param {string} tenantId - The tenant identifier
+ * @param {string} id - Person ID
+ * @param {string} actor - ID of user restoring the person
+ * @param {Object} options - { reveal: decrypt sensitive fields }
+ * @returns {Promise<Object>} Restored person record
+ */
+export async function restorePersonRecord(
+  tenantId,
+  id,
+  actor,
+  { reveal = false } = {}
+) {
+  console.log(`♻️ Restoring person: ${id} by ${actor}`);
+  return sanitizePersonResponse(await restorePersonById(id, tenantId, actor), {
+    reveal,
+  });
+}
+
+/**
+ * Permanently delete a trashed person record
+ * @param {string} tenantId - The tenant identifier
+ * @param {string} id - Person ID
+ * @param {string} actor - ID of user purging the person
+ * @returns {Promise<boolean>} True if purged
+ */
+export async function purgePersonRecord(tenantId, id, actor) {
+  console.log(`🔥 Purging person: ${id} by ${actor}`);
+  await purgePersonById(id, tenantId);
+  return true;
+}
+
 /**
  * Get all person records with comprehensive query support
  * @param {Object} queryParams - Query parameters from request
  * @param {string} actor - ID of user requesting the list
+ * @param {Object} options - { reveal: decrypt sensitive fields,
+ *   consent: { purposeId, status } filter, purpose: only people the
+ *   consent purpose may use }
  * @returns {Promise<Object>} Object with persons array and pagination info
  */
-export async function getAllPersonRecords(tenantId, queryParams = {}, actor) {
+export async function getAllPersonRecords(
+  tenantId,
+  queryParams = {},
+  actor,
+  { reveal = false, consent = null, purpose = null } = {}
+) {
   try {
     console.log(`📋 Getting all persons for ${actor} with query:`, queryParams);
-    console.log(`🔍 Sort parameters:`, {
-      sort: queryParams.sort,
-      sortBy: queryParams.sortBy,
-      order: queryParams.order,
-    });
 
-    // Build Firestore query against correct Firestore path
-    const firestoreQuery = buildFirestoreQuery(
-      getPeopleCollectionPath(tenantId),
-      queryParams
+    // ID and passport numbers are encrypted: look them up by blind index
+    const indexedQuery = blindIndexQuery(
+      queryParams,
+      keyScope(tenantId),
+      isValidNationalId
     );
 
-    // Execute query
-    const snapshot = await firestoreQuery.get();
-    let persons = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-
-    // Apply search if specified
-    if (queryParams.search || queryParams.q) {
-      const searchObj = queryParams.search || {
-        query: String(queryParams.q || ""),
-        fields: [
-          // nested
-          "personalInfo.firstName",
-          "personalInfo.lastName",
-          "personalInfo.fullName",
-          "contactInfo.email",
-          "contactInfo.mobile",
-          "address.province",
-          "address.city",
-          // flat
-          "firstName",
-          "surname",
-          "email",
-          "contact.email",
-          "contact.mobile",
-          "addresses.residential.city",
-          "addresses.residential.province",
-          // identifiers
-          "idNumber",
-        ],
-      };
-      persons = applySearch(persons, searchObj);
+    // Consent state is kept on the person (consents.<purposeId>.status)
+    const plannedQuery = consent
+      ? {
+          ...indexedQuery,
+          filters: {
+            ...indexedQuery.filters,
+            [`consents.${consent.purposeId}.status`]: consent.status,
+          },
+        }
+      : indexedQuery;
+
+    // Plan the query: equality/range filters, sort and pagination are pushed
+    // down to Firestore; text search and unsupported filters run in memory.
+    const result = await executeQuery(
+      db.collection(getPeopleCollectionPath(tenantId)),
+      plannedQuery,
+      {
+        fieldMap: PERSON_QUERY_FIELD_MAP,
+        nativeSortFields: PERSON_NATIVE_SORT_FIELDS,
+        searchFields: PERSON_SEARCH_FIELDS,
+      }
+    );
+    console.log(
+      `📊 Query plan: ${result.plan.mode}${
+        result.plan.reasons.length ? ` (${result.plan.reasons.join("; ")})` : ""
+      }`
+    );
+
+    let persons = result.data;
+
+    // Withdrawn (or, for opt-in purposes, never given) consent excludes
+    if (purpose) {
+      persons = persons.filter((person) => isConsentPermitted(person, purpose));
     }
 
     // Apply field selection when provided (parsed as { include, exclude })
@@ -521,47 +672,9 @@ export async function getAllPersonRecords(tenantId, queryParams = {}, actor) {
       persons = applyFieldSelection(persons, queryParams.fields);
     }
 
-    // Sanitize all person records
-    let sanitizedPersons = persons.map((person) =>
-      sanitizePersonResponse(person)
-    );
-
-    // Apply sorting (supports nested fields). parseQueryParams provides `sort`.
-    if (queryParams.sort) {
-      console.log(
-        `🔄 Applying sorting with parsed sort object:`,
-        queryParams.sort
-      );
-      sanitizedPersons = applySorting(sanitizedPersons, queryParams.sort);
-    } else if (queryParams.sortBy) {
-      console.log(
-        `🔄 Applying client-side sorting with sortBy:`,
-        queryParams.sortBy,
-        "order:",
-        queryParams.order
-      );
-      // Fallback: create sort object from sortBy/order
-      const sortObj = {
-        field: queryParams.sortBy,
-        order: queryParams.order || "asc",
-      };
-      sanitizedPersons = applySorting(sanitizedPersons, sortObj);
-    }
-
-    // Create pagination metadata using parsed query (expects { pagination: { page, limit } })
-    const pagination = createPaginationMeta(
-      sanitizedPersons.length,
-      queryParams
-    );
-
-    // Apply pagination to results
-    const startIndex = (pagination.page - 1) * pagination.limit;
-    const endIndex = startIndex + pagination.limit;
-    const paginatedPersons = sanitizedPersons.slice(startIndex, endIndex);
-
     return {
-      data: paginatedPersons,
-      pagination,
+      data: persons.map((person) => sanitizePersonResponse(person, { reveal })),
+      pagination: result.pagination,
     };
   } catch (error) {
     console.error(`❌ Service error getting all persons:`, error);
@@ -573,42 +686,31 @@ export async function getAllPersonRecords(tenantId, queryParams = {}, actor) {
  * Search for persons by various criteria with comprehensive query support
  * @param {Object} queryParams - Query parameters including search criteria
  * @param {string} actor - ID of user performing the search
+ * @param {Object} options - { reveal: decrypt sensitive fields }
  * @returns {Promise<Object>} Object with search results and pagination
  */
-export async function searchPersonRecords(tenantId, queryParams = {}, actor) {
+export async function searchPersonRecords(
+  tenantId,
+  queryParams = {},
+  actor,
+  options = {}
+) {
   try {
     console.log(`🔍 Searching persons for ${actor} with params:`, queryParams);
 
     // Ensure a proper search object exists for downstream processing
     const q = queryParams.q || queryParams.search?.query || "";
-    const fields = queryParams.search?.fields ||
-      queryParams.searchFields || [
-        // nested
-        "personalInfo.firstName",
-        "personalInfo.lastName",
-        "personalInfo.fullName",
-        "contactInfo.email",
-        "contactInfo.mobile",
-        "address.province",
-        "address.city",
-        // flat
-        "firstName",
-        "surname",
-        "email",
-        "contact.email",
-        "contact.mobile",
-        "addresses.residential.city",
-        "addresses.residential.province",
-        // identifiers
-        "idNumber",
-      ];
+    const fields =
+      queryParams.search?.fields ||
+      queryParams.searchFields ||
+      PERSON_SEARCH_FIELDS;
 
     const nextParams = {
       ...queryParams,
       search: q ? { query: q, fields } : null,
     };
 
-    return await getAllPersonRecords(tenantId, nextParams, actor);
+    return await getAllPersonRecords(tenantId, nextParams, actor, options);
   } catch (error) {
     console.error(`❌ Service error searching persons:`, error);
     throw error;
@@ -702,13 +804,17 @@ export async function bulkPersonRecords(
  * @param {Object} queryParams - Query parameters for export
  * @param {string} format - Export format (csv, json)
  * @param {string} actor - ID of user requesting export
+ * @param {Object} options - { reveal: decrypt sensitive fields,
+ *   consent: { purposeId, status } filter, purposeId: export for this
+ *   consent purpose (people it may not use are left out) }
  * @returns {Promise<Object>} Export data and metadata
  */
 export async function exportPersonRecords(
   tenantId,
   queryParams = {},
   format = "csv",
-  actor
+  actor,
+  options = {}
 ) {
   try {
     console.log(`📤 Exporting persons in ${format} format for ${actor}`);
@@ -720,7 +826,13 @@ export async function exportPersonRecords(
       page: 1,
     };
 
-    const result = await getAllPersonRecords(tenantId, exportParams, actor);
+    const { purposeId, ...listOptions } = options;
+    const result = await getAllPersonRecords(tenantId, exportParams, actor, {
+      ...listOptions,
+      purpose: purposeId
+        ? await getConsentPurposeRecord(tenantId, purposeId)
+        : null,
+    });
 
     // Convert based on format
     let content;
@@ -759,30 +871,35 @@ export async function exportPersonRecords(
 /**
  * Validate person data consistency
  * @param {Object} data - Person data to validate
- * @returns {Object} Validation result with errors if any
+ * @param {Object} options - { mode: SA ID validation mode }
+ * @returns {Object} Validation result with errors, warnings (SA ID problems
+ *   in warn mode) and the values derived from the SA ID number
  */
-export function validatePersonDataConsistency(data) {
+export function validatePersonDataConsistency(
+  data,
+  { mode = defaultSAIdValidationMode() } = {}
+) {
   const errors = [];
+  const warnings = [];
+  let derived = null;
+  const demographics = data.demographics || data;
 
   try {
-    // Check SA ID consistency
-    if (data.idNumber) {
-      // SA ID validation simplified to format-only - check digit validation removed
-      // if (!validateSAIdCheckDigit(data.idNumber)) {
-      //   errors.push("SA ID number check digit is invalid");
-      // }
-
-      if (data.dateOfBirth) {
-        const extractedDate = extractDateFromSAId(data.idNumber);
-        if (extractedDate && extractedDate !== data.dateOfBirth) {
-          errors.push("Date of birth does not match SA ID number");
-        }
-      }
+    // Check SA ID: check digit, date of birth, gender and citizenship
+    if (demographics.idNumber && usesSAIdNumbers()) {
+      const check = checkSAIdNumber(
+        demographics.idNumber,
+        demographics,
+        mode
+      );
+      errors.push(...check.errors);
+      warnings.push(...check.warnings);
+      derived = check.derived;
     }
 
     // Check age consistency
-    if (data.dateOfBirth) {
-      const dob = new Date(data.dateOfBirth);
+    if (demographics.dateOfBirth) {
+      const dob = new Date(demographics.dateOfBirth);
       const today = new Date();
       const age = Math.floor((today - dob) / (365.25 * 24 * 60 * 60 * 1000));
 
@@ -795,16 +912,32 @@ export function validatePersonDataConsistency(data) {
       }
     }
 
+    // Postal code / province consistency and suggested corrections
+    for (const [kind, address] of Object.entries(data.addresses || {})) {
+      for (const found of checkAddress(address).issues) {
+        const message = `${kind} address: ${found.message}`;
+        if (found.severity === ADDRESS_ISSUE_SEVERITY.ERROR) {
+          errors.push(message);
+        } else {
+          warnings.push(message);
+        }
+      }
+    }
+
     // Nationality-based checks removed
 
     return {
       isValid: errors.length === 0,
       errors,
+      warnings,
+      derived,
     };
   } catch (error) {
     return {
       isValid: false,
       errors: [`Validation error: ${error.message}`],
+      warnings,
+      derived,
     };
   }
 }
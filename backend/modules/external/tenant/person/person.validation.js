@@ -1,19 +1,29 @@
+import crypto from "crypto";
 import { z } from "zod";
+import { revealFields } from "../../../../utilities/field-encryption.util.js";
+import { birthDateFrom } from "../../../../utilities/sa-id.util.js";
 import {
   EMAIL_REGEX,
-  SA_PHONE_REGEX,
   VALIDATION_MESSAGES,
 } from "../../../../utilities/validation-patterns.js";
+import {
+  countryPhoneSchema,
+  countryProvinceSchema,
+  countryPostalCodeSchema,
+  countryIsoCodeSchema,
+  countryNationalIdSchema,
+  countryCitizenshipSchema,
+} from "../../../../utilities/country-validation.util.js";
 
 /**
- * Person Validation Schema for South African Context
- * Comprehensive validation for person records including POPIA compliance
+ * Person Validation Schema
+ * Comprehensive validation for person records including POPIA compliance.
+ * Phone, address and ID rules come from the tenant's country pack
+ * (South Africa by default).
  */
 
-// Phone number validation for South Africa
-const PhoneSchema = z
-  .string()
-  .regex(SA_PHONE_REGEX, VALIDATION_MESSAGES.SA_PHONE);
+// Phone number validation for the tenant's country
+const PhoneSchema = countryPhoneSchema();
 
 // Contact information schema
 const ContactSchema = z.object({
@@ -31,7 +41,7 @@ const ContactUpdateSchema = z.object({
   email: z.string().regex(EMAIL_REGEX, VALIDATION_MESSAGES.EMAIL), // Required for updates too
 });
 
-// Address schema with required South African fields
+// Address schema with country-specific region and postal code rules
 const AddressSchema = z.object({
   line1: z.string().min(1, "Address line 1 is required"),
   line2: z.string().min(1, "Address line 2 is required"),
@@ -42,28 +52,9 @@ const AddressSchema = z.object({
   suburb: z.string().min(1, "Suburb is required"),
   city: z.string().min(1, "City is required"),
   municipality: z.string().optional(),
-  province: z.enum(
-    [
-      "Eastern Cape",
-      "Free State",
-      "Gauteng",
-      "KwaZulu-Natal",
-      "Limpopo",
-      "Mpumalanga",
-      "Northern Cape",
-      "North West",
-      "Western Cape",
-    ],
-    { required_error: "Valid South African province is required" }
-  ),
-  postalCode: z
-    .string()
-    .regex(/^\d{4}$/, "South African postal code must be 4 digits"),
-  countryCode: z
-    .string()
-    .regex(/^[A-Z]{2}$/, "Country code must be 2 letter ISO code")
-    .optional()
-    .default("ZA"),
+  province: countryProvinceSchema(),
+  postalCode: countryPostalCodeSchema(),
+  countryCode: countryIsoCodeSchema(),
   geo: z
     .object({
       latitude: z.number().min(-90).max(90).optional(),
@@ -117,19 +108,14 @@ const SocioEconomicSchema = z
 
 // Demographics
 const DemographicsSchema = z.object({
-  idNumber: z
-    .string()
-    .min(13, "South African ID number is required")
-    .regex(/^\d{13}$/, "South African ID number must be 13 digits"), // Made required
+  idNumber: countryNationalIdSchema(), // Required
   passportNumber: z.string().optional(),
   birthDate: z.string().optional(),
   dateOfBirth: z.string().date("Date of birth must be in YYYY-MM-DD format"),
   gender: z.enum(["Male", "Female", "Other", "Prefer not to say"], {
     required_error: "Gender is required",
   }), // Already required
-  citizenshipStatus: z
-    .enum(["South African", "Permanent Resident", "Foreigner"])
-    .optional(),
+  citizenshipStatus: countryCitizenshipSchema().optional(),
   nationality: z.string().min(1, "Nationality is required"), // Already required
   homeLanguage: z.string().min(1, "Home language is required"), // Already required
   race: z.enum(
@@ -160,7 +146,6 @@ const DemographicsSchema = z.object({
       required_error: "Marital status is required",
     }
   ),
-  dependentsCount: z.number().int().min(0).optional(),
   employment: z.object({
     status: z.enum(
       [
@@ -294,49 +279,14 @@ export const PersonUpdateSchema = BasePersonSchema.extend({
 
 /**
  * Generate new person ID
- * @returns {string} New person ID in format PERSON{timestamp}
+ * @returns {string} New person ID in format PERSON{timestamp}{random}
  */
 export function newPersonId() {
-  return `PERSON${Date.now()}`;
+  return `PERSON${Date.now()}${crypto.randomBytes(8).toString("hex")}`;
 }
 
 /**
- * SA ID Validation simplified to format-only (13 digits)
- * Previous implementation with Luhn algorithm check digit validation
- * has been commented out per user requirements for simplified validation.
- *
- * OLD IMPLEMENTATION (Commented out):
- * Validate SA ID number check digit (Luhn algorithm)
- * @param {string} idNumber - 13 digit SA ID number
- * @returns {boolean} True if check digit is valid
- */
-/*
-export function validateSAIdCheckDigit(idNumber) {
-  if (!idNumber || idNumber.length !== 13) {
-    return false;
-  }
-
-  const digits = idNumber.split("").map((d) => parseInt(d));
-  const checkDigit = digits[12];
-
-  // Luhn algorithm for SA ID numbers
-  let sum = 0;
-  for (let i = 0; i < 12; i++) {
-    if (i % 2 === 0) {
-      sum += digits[i];
-    } else {
-      const doubled = digits[i] * 2;
-      sum += doubled > 9 ? doubled - 9 : doubled;
-    }
-  }
-
-  const calculatedCheckDigit = (10 - (sum % 10)) % 10;
-  return calculatedCheckDigit === checkDigit;
-}
-*/
-
-/**
- * Extract date of birth from SA ID number
+ * Extract date of birth from SA ID number (see sa-id.util for the century)
  * @param {string} idNumber - 13 digit SA ID number
  * @returns {string|null} Date in YYYY-MM-DD format or null if invalid
  */
@@ -344,43 +294,22 @@ export function extractDateFromSAId(idNumber) {
   if (!idNumber || idNumber.length !== 13) {
     return null;
   }
-
-  const year = parseInt(idNumber.substring(0, 2));
-  const month = parseInt(idNumber.substring(2, 4));
-  const day = parseInt(idNumber.substring(4, 6));
-
-  // Determine century - use a more reasonable cutoff
-  // Years 00-30 are 2000s, years 31-99 are 1900s
-  const fullYear = year <= 30 ? 2000 + year : 1900 + year;
-
-  // Validate date using UTC to avoid timezone issues
-  const date = new Date(Date.UTC(fullYear, month - 1, day));
-  if (
-    date.getUTCFullYear() !== fullYear ||
-    date.getUTCMonth() !== month - 1 ||
-    date.getUTCDate() !== day
-  ) {
-    return null;
-  }
-
-  return date.toISOString().split("T")[0];
+  return birthDateFrom(idNumber);
 }
 
 /**
- * Sanitize person data for response (remove sensitive fields)
- * @param {Object} person - Person object
+ * Sanitize person data for response
+ * Sensitive fields (ID, passport, tax, UIF and medical aid numbers, income)
+ * are decrypted only for callers holding person.sensitive.read and masked
+ * for everyone else.
+ * @param {Object} person - Person object (as stored)
+ * @param {Object} options - { reveal: caller holds person.sensitive.read }
  * @returns {Object} Sanitized person object
  */
-export function sanitizePersonResponse(person) {
+export function sanitizePersonResponse(person, { reveal = false } = {}) {
   if (!person) return null;
 
-  // Remove sensitive fields but preserve ID numbers without masking
-  const sanitized = { ...person };
-
-  // ID numbers are now displayed without masking as requested
-  // Keep idNumber as-is for display purposes
-
-  // passportNumber removed
+  const sanitized = revealFields(person, reveal);
 
   // Remove system internal fields that shouldn't be exposed
   delete sanitized.audit?.sourceSystem;
@@ -1,7 +1,13 @@
 import { db } from "../../../../services/firestore.client.js";
+import { tenantPath } from "../../../../utilities/country-context.util.js";
 
-const COLLECTION_PATH =
-  "touchAfrica/southAfrica/tenants/{tenantId}/roleMappings";
+/**
+ * Get collection path for a specific tenant (in the tenant's country partition)
+ * @param {string} tenantId - The tenant ID
+ * @returns {string} Collection path
+ */
+const getRoleMappingCollectionPath = (tenantId) =>
+  tenantPath(tenantId, "roleMappings");
 
 /**
  * Create a new role mapping in Firestore
@@ -12,7 +18,7 @@ export const createRoleMapping = async (roleMappingData, tenantId) => {
       throw new Error("No tenant ID provided for role mapping creation");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleMappingCollectionPath(tenantId);
     const docRef = db.doc(`${collectionPath}/${roleMappingData.mappingId}`);
 
     await docRef.set(roleMappingData, { merge: true });
@@ -33,7 +39,7 @@ export const getRoleMappingById = async (mappingId, tenantId) => {
       throw new Error("No tenant ID provided for role mapping lookup");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleMappingCollectionPath(tenantId);
     const docRef = db.doc(`${collectionPath}/${mappingId}`);
     const doc = await docRef.get();
 
@@ -57,7 +63,7 @@ export const getRoleMappingByName = async (roleName, tenantId) => {
       throw new Error("No tenant ID provided for role mapping lookup by name");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleMappingCollectionPath(tenantId);
     const collectionRef = db.collection(collectionPath);
     const snapshot = await collectionRef
       .where("roleName", "==", roleName)
@@ -89,7 +95,7 @@ export const updateRoleMappingById = async (
       throw new Error("No tenant ID provided for role mapping update");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleMappingCollectionPath(tenantId);
     const docRef = db.doc(`${collectionPath}/${mappingId}`);
 
     // Check if document exists
@@ -118,7 +124,7 @@ export const deleteRoleMappingById = async (mappingId, tenantId) => {
       throw new Error("No tenant ID provided for role mapping deletion");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleMappingCollectionPath(tenantId);
     const docRef = db.doc(`${collectionPath}/${mappingId}`);
 
     // Check if document exists
@@ -144,7 +150,7 @@ export const getAllRoleMappings = async (tenantId) => {
       throw new Error("No tenant ID provided for role mappings lookup");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleMappingCollectionPath(tenantId);
     const collectionRef = db.collection(collectionPath);
     const snapshot = await collectionRef.orderBy("roleName").get();
 
@@ -171,7 +177,7 @@ export const getRoleMappingsWithFilters = async (filters = {}, tenantId) => {
       );
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleMappingCollectionPath(tenantId);
     let query = db.collection(collectionPath);
 
     // Apply filters
@@ -217,7 +223,7 @@ export const roleMappingExistsByName = async (roleName, tenantId) => {
       throw new Error("No tenant ID provided for role mapping existence check");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleMappingCollectionPath(tenantId);
     const collectionRef = db.collection(collectionPath);
     const snapshot = await collectionRef
       .where("roleName", "==", roleName)
@@ -240,7 +246,7 @@ export const getRoleMappingsCount = async (tenantId) => {
       throw new Error("No tenant ID provided for role mappings count");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleMappingCollectionPath(tenantId);
     const collectionRef = db.collection(collectionPath);
     const snapshot = await collectionRef.get();
     return snapshot.size;
@@ -259,7 +265,7 @@ export const bulkDeleteRoleMappings = async (mappingIds, tenantId) => {
       throw new Error("No tenant ID provided for bulk role mappings deletion");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleMappingCollectionPath(tenantId);
     const batch = db.batch();
 
     mappingIds.forEach((mappingId) => {
@@ -1,6 +1,8 @@
 import express from "express";
-import { authenticateJWT } from "../../../middleware/auth.middleware.js";
-import { checkPermissions } from "../../../middleware/permission.middleware.js";
+import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
+import { checkPermissions } from "../../../../middleware/permission.middleware.js";
 import {
   getRoleMappings,
   searchRoleMappings,
@@ -15,13 +17,28 @@ import {
   updateRoleMappingById,
   patchRoleMappingById,
 } from "./role.mapping.controller.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+import {
+  getRoleMappingById as loadRoleMapping,
+} from "./role.mapping.firestore.js";
 
 const router = express.Router();
 
+const auditRoleMapping = (action) =>
+  audit("roleMapping", {
+    action,
+    idField: "mappingId",
+    load: (id, req) => loadRoleMapping(id, req.params.tenantId),
+  });
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
 // Get current role mappings
 router.get(
   "/:tenantId/role-mappings",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.mapping.read"),
   getRoleMappings
 );
@@ -30,6 +47,7 @@ router.get(
 router.get(
   "/:tenantId/role-mappings/search",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.mapping.read"),
   searchRoleMappings
 );
@@ -38,7 +56,9 @@ router.get(
 router.post(
   "/:tenantId/role-mappings/bulk",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.mapping.update", "system.manage"),
+  auditRoleMapping("bulk"),
   bulkRoleMappings
 );
 
@@ -46,6 +66,7 @@ router.post(
 router.get(
   "/:tenantId/role-mappings/export",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.mapping.read"),
   exportRoleMappings
 );
@@ -54,6 +75,7 @@ router.get(
 router.get(
   "/:tenantId/role-mappings/stats",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.mapping.read"),
   getRoleMappingsStats
 );
@@ -62,7 +84,9 @@ router.get(
 router.put(
   "/:tenantId/role-mappings",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.mapping.update", "system.manage"),
+  auditRoleMapping("update"),
   updateRoleMappings
 );
 
@@ -70,7 +94,9 @@ router.put(
 router.post(
   "/:tenantId/role-mappings/reload",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.mapping.update", "system.manage"),
+  auditRoleMapping("reload"),
   reloadRoleMappings
 );
 
@@ -78,7 +104,9 @@ router.post(
 router.post(
   "/:tenantId/role-mapping",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.mapping.create"),
+  auditRoleMapping(),
   addRoleMapping
 );
 
@@ -86,6 +114,7 @@ router.post(
 router.get(
   "/:tenantId/role-mapping/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.mapping.read"),
   getRoleMappingById
 );
@@ -94,7 +123,9 @@ router.get(
 router.put(
   "/:tenantId/role-mapping/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.mapping.update"),
+  auditRoleMapping(),
   updateRoleMappingById
 );
 
@@ -102,7 +133,9 @@ router.put(
 router.patch(
   "/:tenantId/role-mapping/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.mapping.update"),
+  auditRoleMapping(),
   patchRoleMappingById
 );
 
@@ -110,7 +143,9 @@ router.patch(
 router.delete(
   "/:tenantId/role-mapping/:roleName",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.mapping.delete"),
+  audit("roleMapping", { idParam: "roleName" }),
   removeRoleMapping
 );
 
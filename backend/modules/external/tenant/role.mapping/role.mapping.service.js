@@ -8,6 +8,7 @@ import {
 } from "./role.mapping.firestore.js";
 import { newRoleMappingId } from "./role.mapping.validation.js";
 import roleMappingConfig from "../../../config/role-mappings.config.js";
+import { invalidateRolePermissions } from "../../../../utilities/permissions.util.js";
 import {
   paginateArray,
   sortArray,
@@ -47,7 +48,9 @@ export const createRoleMappingService = async (
   );
   await roleMappingConfig.saveToFile();
 
-  return await createRoleMapping(roleMappingWithMetadata, tenantId);
+  const created = await createRoleMapping(roleMappingWithMetadata, tenantId);
+  invalidateRolePermissions(tenantId);
+  return created;
 };
 
 /**
@@ -95,6 +98,7 @@ export const updateRoleMappingByIdService = async (
       await roleMappingConfig.saveToFile();
     }
   }
+  invalidateRolePermissions(tenantId);
 
   return result;
 };
@@ -113,6 +117,7 @@ export const deleteRoleMappingByIdService = async (mappingId, tenantId) => {
     roleMappingConfig.removeMapping(mapping.roleName);
     await roleMappingConfig.saveToFile();
   }
+  invalidateRolePermissions(tenantId);
 
   return result;
 };
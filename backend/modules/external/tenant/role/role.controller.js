@@ -41,6 +41,10 @@ import {
   formatPaginatedResponse,
   createExportResponse,
 } from "../../../../utilities/query.util.js";
+import {
+  expectedVersionFrom,
+  setETag,
+} from "../../../../utilities/concurrency.util.js";
 
 // Define authorization roles
 // Permissions defined in route handlers directly
@@ -77,8 +81,10 @@ export async function createExternalRoleHandler(req, res, next) {
     const createdRole = await createExternalRoleService(
       validatedData,
       actor,
-      tenantId
+      tenantId,
+      expectedVersionFrom(req)
     );
+    setETag(res, updatedRole);
     const normalized = normalizeRolePermissions(createdRole);
 
     return sendSuccess(
@@ -181,6 +187,7 @@ export async function getExternalRoleByIdHandler(req, res, next) {
     }
 
     const role = await getExternalRoleByIdService(id, tenantId);
+    setETag(res, role);
     const normalized = normalizeRolePermissions(role);
     return sendSuccess(res, normalized, "External role retrieved successfully");
   } catch (error) {
@@ -225,8 +232,8 @@ export async function getExternalRoleByIdHandler(req, res, next) {
  * Update external role handler
  */
 export async function updateExternalRoleByIdHandler(req, res, next) {
+  const { id, tenantId } = req.params;
   try {
-    const { id, tenantId } = req.params;
 
     if (!id) {
       return sendValidationError(res, "Role ID is required to update a role.", {
@@ -541,8 +548,8 @@ export async function getExternalRolesStatsHandler(req, res, next) {
  * Partially update external role by ID handler
  */
 export async function patchExternalRoleHandler(req, res, next) {
+  const { id, tenantId } = req.params;
   try {
-    const { id, tenantId } = req.params;
 
     if (!id) {
       return sendValidationError(res, "Role ID is required to patch a role.", {
@@ -579,8 +586,10 @@ export async function patchExternalRoleHandler(req, res, next) {
       id,
       parsed,
       actor,
-      tenantId
+      tenantId,
+      expectedVersionFrom(req)
     );
+    setETag(res, updatedRole);
     const normalized = normalizeRolePermissions(updatedRole);
     return sendSuccess(
       res,
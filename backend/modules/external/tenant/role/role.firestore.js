@@ -4,9 +4,16 @@
  */
 
 import { db } from "../../../../services/firestore.client.js";
+import { tenantPath } from "../../../../utilities/country-context.util.js";
+import { updateWithVersion } from "../../../../utilities/concurrency.util.js";
+import { APIError } from "../../../../utilities/error-handler.util.js";
 
-export const COLLECTION_PATH =
-  "touchAfrica/southAfrica/tenants/{tenantId}/roles";
+/**
+ * Get collection path for a specific tenant (in the tenant's country partition)
+ * @param {string} tenantId - The tenant ID
+ * @returns {string} Collection path
+ */
+export const getRoleCollectionPath = (tenantId) => tenantPath(tenantId, "roles");
 
 /**
  * Create a new external role in Firestore
@@ -26,7 +33,7 @@ export async function createExternalRole(roleData, customId = null, tenantId) {
       throw new Error("No tenant ID provided for external role");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleCollectionPath(tenantId);
     const docRef = db.doc(`${collectionPath}/${documentId}`);
     await docRef.set(roleData, { merge: true });
     return { ...roleData, roleId: documentId };
@@ -48,7 +55,7 @@ export async function getExternalRoleById(roleId, tenantId) {
       throw new Error("No tenant ID provided for external role lookup");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleCollectionPath(tenantId);
     const docRef = db.doc(`${collectionPath}/${roleId}`);
     const doc = await docRef.get();
 
@@ -68,31 +75,35 @@ export async function getExternalRoleById(roleId, tenantId) {
  * @param {string} roleId - External role ID to update
  * @param {Object} updateData - Data to update
  * @param {string} tenantId - Tenant ID for the role
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
  * @returns {Promise<Object>} Updated external role data
  */
-export async function updateExternalRoleById(roleId, updateData, tenantId) {
+export async function updateExternalRoleById(
+  roleId,
+  updateData,
+  tenantId,
+  expectedVersion = null
+) {
   try {
     if (!tenantId) {
       throw new Error("No tenant ID provided for external role update");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleCollectionPath(tenantId);
     const docRef = db.doc(`${collectionPath}/${roleId}`);
 
-    // Check if role exists first
-    const doc = await docRef.get();
-    if (!doc.exists) {
-      throw new Error("External role not found");
-    }
-
-    // Update with merge to preserve existing data
-    await docRef.update(updateData);
+    // Version check + bump happen in one transaction
+    await updateWithVersion(docRef, updateData, {
+      expected: expectedVersion,
+      resource: "External role",
+    });
 
     // Return updated role data
     const updatedDoc = await docRef.get();
     return { roleId: updatedDoc.id, ...updatedDoc.data() };
   } catch (error) {
     console.error("Error updating external role:", error);
+    if (error instanceof APIError) throw error;
     throw new Error(`Failed to update external role: ${error.message}`);
   }
 }
@@ -109,7 +120,7 @@ export async function deleteExternalRoleById(roleId, tenantId) {
       throw new Error("No tenant ID provided for external role deletion");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleCollectionPath(tenantId);
     const docRef = db.doc(`${collectionPath}/${roleId}`);
 
     // Check if role exists first
@@ -137,7 +148,7 @@ export async function getAllExternalRoles(tenantId) {
       throw new Error("No tenant ID provided for external roles lookup");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleCollectionPath(tenantId);
     const collectionRef = db.collection(collectionPath);
     const snapshot = await collectionRef.get();
 
@@ -165,7 +176,7 @@ export async function roleCodeExists(roleCode, excludeRoleId = null, tenantId) {
       throw new Error("No tenant ID provided for role code existence check");
     }
 
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleCollectionPath(tenantId);
     const collectionRef = db.collection(collectionPath);
     const snapshot = await collectionRef
       .where("roleCode", "==", roleCode)
@@ -1,5 +1,7 @@
 import express from "express";
 import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
 import {
   checkPermissions,
   checkAllPermissions,
@@ -23,13 +25,26 @@ import {
   exportExternalRolesHandler,
   getExternalRolesStatsHandler,
 } from "./role.controller.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+import { getExternalRoleById } from "./role.firestore.js";
 
 const router = express.Router();
 
+const auditRole = (action) =>
+  audit("role", {
+    action,
+    idField: "roleId",
+    load: (id, req) => getExternalRoleById(id, req.params.tenantId),
+  });
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
 // Read operations - require authentication and role.read permission
 router.get(
   "/:tenantId/roles",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.read"),
   advancedListQuery({
     sortFields: ["roleName", "roleCode", "isSystem", "isActive"],
@@ -41,6 +56,7 @@ router.get(
 router.get(
   "/:tenantId/roles/search",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.read"),
   advancedListQuery({
     sortFields: ["roleName", "roleCode", "isSystem", "isActive"],
@@ -52,6 +68,7 @@ router.get(
 router.get(
   "/:tenantId/roles/export",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.read"),
   validateExport,
   exportExternalRolesHandler
@@ -60,6 +77,7 @@ router.get(
 router.get(
   "/:tenantId/roles/stats",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.read"),
   getExternalRolesStatsHandler
 );
@@ -67,6 +85,7 @@ router.get(
 router.get(
   "/:tenantId/roles/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.read"),
   getExternalRoleByIdHandler
 );
@@ -75,15 +94,19 @@ router.get(
 router.post(
   "/:tenantId/roles",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.create"),
+  auditRole(),
   createExternalRoleHandler
 );
 
 router.post(
   "/:tenantId/roles/bulk",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.create"),
   validateBulkOperation,
+  auditRole("bulk"),
   bulkExternalRolesHandler
 );
 
@@ -91,7 +114,9 @@ router.post(
 router.put(
   "/:tenantId/roles/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.update"),
+  auditRole(),
   updateExternalRoleByIdHandler
 );
 
@@ -99,7 +124,9 @@ router.put(
 router.patch(
   "/:tenantId/roles/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.update"),
+  auditRole(),
   patchExternalRoleHandler
 );
 
@@ -107,7 +134,9 @@ router.patch(
 router.delete(
   "/:tenantId/roles/:id",
   authenticateJWT,
+  requireTenantOwnership,
   checkPermissions("tenant.role.delete"),
+  auditRole(),
   deleteExternalRoleByIdHandler
 );
 
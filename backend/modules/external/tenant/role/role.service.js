@@ -10,7 +10,7 @@ import {
   deleteExternalRoleById,
   getAllExternalRoles,
   roleCodeExists,
-  COLLECTION_PATH,
+  getRoleCollectionPath,
 } from "./role.firestore.js";
 import { newExternalRoleId } from "./role.validation.js";
 import { db } from "../../../../services/firestore.client.js";
@@ -23,6 +23,10 @@ import {
   convertToCSV,
   convertToJSON,
 } from "../../../../utilities/query.util.js";
+import {
+  getCachedRolePermissions,
+  invalidateRolePermissions,
+} from "../../../../utilities/permissions.util.js";
 
 /**
  * Create external role service
@@ -43,7 +47,9 @@ export async function createExternalRoleService(roleData, actor, tenantId) {
     roleId,
   };
 
-  return await createExternalRole(roleWithDefaults, roleId, tenantId);
+  const created = await createExternalRole(roleWithDefaults, roleId, tenantId);
+  invalidateRolePermissions(tenantId);
+  return created;
 }
 
 /**
@@ -64,7 +70,8 @@ export async function updateExternalRoleByIdService(
   roleId,
   updateData,
   actor,
-  tenantId
+  tenantId,
+  expectedVersion = null
 ) {
   const existingRole = await getExternalRoleById(roleId, tenantId);
   if (!existingRole) {
@@ -84,7 +91,16 @@ export async function updateExternalRoleByIdService(
     isSystem: existingRole.isSystem === true, // always preserve system flag
   };
 
-  return await updateExternalRoleById(roleId, updateWithMetadata, tenantId);
+  const updated = await updateExternalRoleById(
+    roleId,
+    updateWithMetadata,
+    tenantId,
+    expectedVersion
+  );
+  // Tokens carry role codes, so the new permissions apply from the next
+  // request
+  invalidateRolePermissions(tenantId);
+  return updated;
 }
 
 /**
@@ -100,7 +116,9 @@ export async function deleteExternalRoleByIdService(roleId, tenantId) {
     throw new Error("System roles cannot be deleted");
   }
 
-  return await deleteExternalRoleById(roleId, tenantId);
+  const deleted = await deleteExternalRoleById(roleId, tenantId);
+  invalidateRolePermissions(tenantId);
+  return deleted;
 }
 
 /**
@@ -120,7 +138,7 @@ export async function listExternalRolesService(queryParams = {}, tenantId) {
   } = queryParams;
 
   // Use tenant-specific collection path
-  const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+  const collectionPath = getRoleCollectionPath(tenantId);
 
   // Get base query
   const query = buildFirestoreQuery(collectionPath, {
@@ -188,7 +206,7 @@ export async function searchExternalRolesService(queryParams = {}, tenantId) {
   }
 
   // Use tenant-specific collection path
-  const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+  const collectionPath = getRoleCollectionPath(tenantId);
 
   // Get all roles for search
   const snapshot = await db.collection(collectionPath).get();
@@ -389,7 +407,7 @@ export async function getExternalRolesStatsService(queryParams = {}, tenantId) {
     }
 
     // Use tenant-specific collection path
-    const collectionPath = COLLECTION_PATH.replace("{tenantId}", tenantId);
+    const collectionPath = getRoleCollectionPath(tenantId);
     const snapshot = await db.collection(collectionPath).get();
     const roles = snapshot.docs.map((doc) => ({
       id: doc.id,
@@ -449,9 +467,7 @@ export async function getExternalRolesStatsService(queryParams = {}, tenantId) {
  * Get permissions for a role
  */
 export async function getRolePermissionsService(roleCode, tenantId) {
-  const roles = await getAllExternalRoles(tenantId);
-  const role = roles.find((r) => r.roleCode === roleCode);
-  return role ? role.permissions : [];
+  return getCachedRolePermissions(roleCode, tenantId);
 }
 
 /**
@@ -76,6 +76,12 @@ export const ExternalRoleSchema = z.object({
     .min(0, "Priority cannot be negative")
     .max(100, "Priority cannot exceed 100")
     .default(50),
+  // Admins holding the role must use two-factor authentication
+  twoFactorRequired: z
+    .boolean({
+      invalid_type_error: "Two-factor requirement must be true or false",
+    })
+    .default(false),
 });
 
 // Update schema (partial)
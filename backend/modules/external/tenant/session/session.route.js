@@ -0,0 +1,59 @@
+import express from "express";
+import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
+import { checkPermissions } from "../../../../middleware/permission.middleware.js";
+import {
+  listAdminSessionsHandler,
+  revokeAdminSessionHandler,
+  revokeAdminSessionsHandler,
+} from "../../../internal/session/session.controller.js";
+import { getExternalAdminById } from "../admin/admin.firestore.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+
+/**
+ * Tenant Session Router
+ * Sessions of the tenant's admins; the handlers are shared with the
+ * platform routes (see internal/session)
+ */
+
+const router = express.Router();
+
+const auditSessions = audit("admin", {
+  action: "revoke-sessions",
+  load: (id, req) => getExternalAdminById(id, req.params.tenantId),
+});
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
+// GET /:tenantId/admins/:id/sessions - An admin's sessions
+router.get(
+  "/:tenantId/admins/:id/sessions",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.admin.read", "all.access"),
+  listAdminSessionsHandler
+);
+
+// DELETE /:tenantId/admins/:id/sessions - Revoke all of an admin's sessions
+router.delete(
+  "/:tenantId/admins/:id/sessions",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.admin.update", "all.access"),
+  auditSessions,
+  revokeAdminSessionsHandler
+);
+
+// DELETE /:tenantId/admins/:id/sessions/:sessionId - Revoke one session
+router.delete(
+  "/:tenantId/admins/:id/sessions/:sessionId",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.admin.update", "all.access"),
+  auditSessions,
+  revokeAdminSessionHandler
+);
+
+export default router;
@@ -1,6 +1,7 @@
 import { db } from "../../../../services/firestore.client.js";
+import { platformPath } from "../../../../utilities/country-context.util.js";
 
-const COLLECTION_PATH = "touchAfrica/southAfrica/standardPermissions";
+const COLLECTION_PATH = platformPath("standardPermissions");
 
 /**
  * Create a new standard permission in Firestore
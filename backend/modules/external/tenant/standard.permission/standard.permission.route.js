@@ -16,9 +16,18 @@ import {
   exportStandardPermissionsController,
   getStandardPermissionsStatsController,
 } from "./standard.permission.controller.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+import { getStandardPermissionById } from "./standard.permission.firestore.js";
 
 const router = express.Router();
 
+const auditStandardPermission = (action) =>
+  audit("standardPermission", {
+    action,
+    idField: "permissionId",
+    load: (id) => getStandardPermissionById(id),
+  });
+
 // Authorization roles for standard permission operations
 // Permissions defined in route handlers directly
 
@@ -27,6 +36,7 @@ router.post(
   "/",
   authenticateJWT,
   checkPermissions("standard.permission.create"),
+  auditStandardPermission(),
   createStandardPermissionController
 );
 
@@ -51,6 +61,7 @@ router.post(
   "/bulk",
   authenticateJWT,
   checkPermissions("standard.permission.update"),
+  auditStandardPermission("bulk"),
   bulkStandardPermissionsController
 );
 
@@ -83,6 +94,7 @@ router.put(
   "/:id",
   authenticateJWT,
   checkPermissions("standard.permission.update"),
+  auditStandardPermission(),
   updateStandardPermissionController
 );
 
@@ -91,6 +103,7 @@ router.patch(
   "/:id",
   authenticateJWT,
   checkPermissions("standard.permission.update"),
+  auditStandardPermission(),
   patchStandardPermissionController
 );
 
@@ -99,6 +112,7 @@ router.delete(
   "/:id",
   authenticateJWT,
   checkPermissions("standard.permission.delete"),
+  auditStandardPermission(),
   deleteStandardPermissionController
 );
 
@@ -1,6 +1,7 @@
 import { db } from "../../../../services/firestore.client.js";
+import { platformPath } from "../../../../utilities/country-context.util.js";
 
-const COLLECTION_PATH = "touchAfrica/southAfrica/standardRoleMappings";
+const COLLECTION_PATH = platformPath("standardRoleMappings");
 
 /**
  * Create a new standard role mapping in Firestore
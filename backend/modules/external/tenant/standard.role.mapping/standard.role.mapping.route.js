@@ -15,9 +15,20 @@ import {
   updateStandardRoleMappingById,
   patchStandardRoleMappingById,
 } from "./standard.role.mapping.controller.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+import {
+  getStandardRoleMappingById as loadStandardRoleMapping,
+} from "./standard.role.mapping.firestore.js";
 
 const router = express.Router();
 
+const auditStandardRoleMapping = (action) =>
+  audit("standardRoleMapping", {
+    action,
+    idField: "mappingId",
+    load: (id) => loadStandardRoleMapping(id),
+  });
+
 // Get current standard role mappings
 router.get(
   "/",
@@ -39,6 +50,7 @@ router.post(
   "/bulk",
   authenticateJWT,
   checkPermissions("standard.role.mapping.update"),
+  auditStandardRoleMapping("bulk"),
   bulkStandardRoleMappings
 );
 
@@ -63,6 +75,7 @@ router.put(
   "/update",
   authenticateJWT,
   checkPermissions("standard.role.mapping.update"),
+  auditStandardRoleMapping("update"),
   updateStandardRoleMappings
 );
 
@@ -71,6 +84,7 @@ router.post(
   "/reload",
   authenticateJWT,
   checkPermissions("standard.role.mapping.update"),
+  auditStandardRoleMapping("reload"),
   reloadStandardRoleMappings
 );
 
@@ -79,6 +93,7 @@ router.post(
   "/single",
   authenticateJWT,
   checkPermissions("standard.role.mapping.create"),
+  auditStandardRoleMapping(),
   addStandardRoleMapping
 );
 
@@ -95,6 +110,7 @@ router.put(
   "/:id",
   authenticateJWT,
   checkPermissions("standard.role.mapping.update"),
+  auditStandardRoleMapping(),
   updateStandardRoleMappingById
 );
 
@@ -103,6 +119,7 @@ router.patch(
   "/:id",
   authenticateJWT,
   checkPermissions("standard.role.mapping.update"),
+  auditStandardRoleMapping(),
   patchStandardRoleMappingById
 );
 
@@ -111,6 +128,7 @@ router.delete(
   "/by-role/:roleName",
   authenticateJWT,
   checkPermissions("standard.role.mapping.delete"),
+  audit("standardRoleMapping", { idParam: "roleName" }),
   removeStandardRoleMapping
 );
 
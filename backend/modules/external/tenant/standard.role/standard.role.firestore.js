@@ -4,8 +4,9 @@
  */
 
 import { db } from "../../../../services/firestore.client.js";
+import { platformPath } from "../../../../utilities/country-context.util.js";
 
-export const COLLECTION_PATH = "touchAfrica/southAfrica/standardRoles";
+export const COLLECTION_PATH = platformPath("standardRoles");
 
 /**
  * Create a new standard role in Firestore
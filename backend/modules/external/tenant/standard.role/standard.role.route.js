@@ -23,9 +23,18 @@ import {
   exportStandardRolesHandler,
   getStandardRolesStatsHandler,
 } from "./standard.role.controller.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+import { getStandardRoleById } from "./standard.role.firestore.js";
 
 const router = express.Router();
 
+const auditStandardRole = (action) =>
+  audit("standardRole", {
+    action,
+    idField: "roleId",
+    load: (id) => getStandardRoleById(id),
+  });
+
 // Read operations - require authentication and standard role.read permission
 router.get(
   "/",
@@ -76,6 +85,7 @@ router.post(
   "/",
   authenticateJWT,
   checkPermissions("standard.role.create"),
+  auditStandardRole(),
   createStandardRoleHandler
 );
 
@@ -84,6 +94,7 @@ router.post(
   authenticateJWT,
   checkPermissions("standard.role.create"),
   validateBulkOperation,
+  auditStandardRole("bulk"),
   bulkStandardRolesHandler
 );
 
@@ -92,6 +103,7 @@ router.put(
   "/:id",
   authenticateJWT,
   checkPermissions("standard.role.update"),
+  auditStandardRole(),
   updateStandardRoleByIdHandler
 );
 
@@ -100,6 +112,7 @@ router.patch(
   "/:id",
   authenticateJWT,
   checkPermissions("standard.role.update"),
+  auditStandardRole(),
   patchStandardRoleHandler
 );
 
@@ -108,6 +121,7 @@ router.delete(
   "/:id",
   authenticateJWT,
   checkPermissions("standard.role.delete"),
+  auditStandardRole(),
   deleteStandardRoleByIdHandler
 );
 
@@ -0,0 +1,34 @@
+import express from "express";
+import { authenticateJWT } from "../../../../middleware/auth.middleware.js";
+import { requireTenantOwnership } from "../../../../middleware/auth-enhanced.middleware.js";
+import { tenantCountryParam } from "../../../../middleware/country.middleware.js";
+import { checkPermissions } from "../../../../middleware/permission.middleware.js";
+import { resetTwoFactorHandler } from "../../../internal/two.factor/two.factor.controller.js";
+import { getExternalAdminById } from "../admin/admin.firestore.js";
+import { audit } from "../../../../middleware/audit.middleware.js";
+
+/**
+ * Tenant Two-Factor Router
+ * Resetting a tenant admin's two-factor; the handler is shared with the
+ * platform route (see internal/two.factor)
+ */
+
+const router = express.Router();
+
+// Resolve the tenant's country partition before any handler runs
+router.param("tenantId", tenantCountryParam);
+
+// DELETE /:tenantId/admins/:id/2fa - Reset an admin's two-factor
+router.delete(
+  "/:tenantId/admins/:id/2fa",
+  authenticateJWT,
+  requireTenantOwnership,
+  checkPermissions("tenant.admin.update", "all.access"),
+  audit("admin", {
+    action: "reset-2fa",
+    load: (id, req) => getExternalAdminById(id, req.params.tenantId),
+  }),
+  resetTwoFactorHandler
+);
+
+export default router;
@@ -0,0 +1,44 @@
+import { z } from "zod";
+import {
+  AddressSuggestQuerySchema,
+  AddressCheckSchema,
+} from "./address.validation.js";
+import { checkAddress, suggestAddresses } from "./address.service.js";
+import {
+  sendSuccess,
+  sendList,
+  handleZodError,
+} from "../../../utilities/response.util.js";
+
+// GET /general/addresses/suggest - autocomplete for suburb/city/postal code
+export async function suggestAddressesHandler(req, res, next) {
+  try {
+    const { q, ...filters } = AddressSuggestQuerySchema.parse(req.query || {});
+    const suggestions = suggestAddresses(q, filters);
+    return sendList(
+      res,
+      suggestions,
+      { total: suggestions.length },
+      "Address suggestions retrieved successfully"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST /general/addresses/normalize - normalised address and its issues
+export async function normalizeAddressHandler(req, res, next) {
+  try {
+    const address = AddressCheckSchema.parse(req.body || {});
+    const { address: normalized, issues, match } = checkAddress(address);
+    return sendSuccess(
+      res,
+      { address: normalized, issues, matched: !!match },
+      "Address checked"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
@@ -0,0 +1,27 @@
+import express from "express";
+import { authenticateJWT } from "../../../middleware/auth.middleware.js";
+import {
+  suggestAddressesHandler,
+  normalizeAddressHandler,
+} from "./address.controller.js";
+
+const router = express.Router();
+
+// Address lookups for any signed-in user (person modals, imports); the
+// gazetteer is the request's country's (X-Country)
+
+// GET /general/addresses/suggest?q=&province=&postalCode=&limit=
+router.get(
+  "/general/addresses/suggest",
+  authenticateJWT,
+  suggestAddressesHandler
+);
+
+// POST /general/addresses/normalize - check an address before saving it
+router.post(
+  "/general/addresses/normalize",
+  authenticateJWT,
+  normalizeAddressHandler
+);
+
+export default router;
@@ -0,0 +1,299 @@
+import { getCurrentCountryPack } from "../../../utilities/country-context.util.js";
+import { jaroWinkler } from "../../../utilities/person-match.util.js";
+import { ValidationError } from "../../../utilities/error-handler.util.js";
+
+/**
+ * Addresses
+ * Offline checks against the country pack's gazetteer (postal codes,
+ * suburbs, municipalities, provinces - see south-africa.gazetteer.js):
+ *   - capitalisation and province spelling are normalised
+ *   - a postal code in another province is a conflict, a suburb with
+ *     another postal code (or a near miss of a known suburb) a suggestion
+ *   - municipality and approximate coordinates are filled in when missing
+ * Countries without a gazetteer only get their capitalisation normalised.
+ */
+
+// Suburb names this close (Jaro-Winkler) are taken as typos of each other
+const NEAR_MATCH = 0.9;
+const SUGGEST_FUZZY = 0.85;
+
+// Lower case inside names ("Van der Bijl Park", "Umhlanga Rocks")
+const PARTICLES = new Set(["van", "der", "den", "de", "du", "le", "la", "von"]);
+
+// Fields whose capitalisation is normalised
+const NAME_FIELDS = ["streetName", "suburb", "city", "municipality"];
+
+export const ADDRESS_ISSUE_SEVERITY = { ERROR: "error", WARNING: "warning" };
+
+function key(value) {
+  return String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s\-']+/g, " ");
+}
+
+/**
+ * Title case a place name: "NORTH  riding" -> "North Riding",
+ * "KWA-THEMA" -> "Kwa-Thema"
+ * @param {string} value
+ * @returns {string}
+ */
+export function titleCase(value) {
+  if (typeof value !== "string") return value;
+  return value
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase()
+    .split(" ")
+    .map((word, i) =>
+      i > 0 && PARTICLES.has(word)
+        ? word
+        : word.replace(/(^|[-'])(\p{L})/gu, (m, sep, c) =>
+            `${sep}${c.toUpperCase()}`
+          )
+    )
+    .join(" ");
+}
+
+/**
+ * The pack's spelling of a province or region, from any capitalisation,
+ * spacing or abbreviation ("kwazulu natal", "KZN" -> "KwaZulu-Natal")
+ * @returns {string|null} null when not one of the pack's provinces
+ */
+export function normalizeProvince(value, pack = getCurrentCountryPack()) {
+  if (!value) return null;
+  const code = String(value).trim().toUpperCase();
+  if (pack.regionCodes?.[code]) return pack.regionCodes[code];
+  return pack.provinces.find((p) => key(p) === key(value)) || null;
+}
+
+// Excel and CSV exports drop leading zeros ("0002" -> 2)
+function normalizePostalCode(value, pack) {
+  if (value === undefined || value === null || value === "") return value;
+  const code = String(value).trim();
+  return pack.gazetteer && /^\d{1,3}$/.test(code)
+    ? code.padStart(4, "0")
+    : code;
+}
+
+function entriesFor(pack, postalCode) {
+  return (pack.gazetteer || []).filter((e) => e.postalCode === postalCode);
+}
+
+// Best gazetteer entry for a suburb name: exact, else the nearest typo
+function findSuburb(entries, suburb) {
+  const wanted = key(suburb);
+  if (!wanted) return null;
+  const exact = entries.find((e) => key(e.suburb) === wanted);
+  if (exact) return { entry: exact, exact: true };
+
+  let best = null;
+  for (const entry of entries) {
+    const score = jaroWinkler(key(entry.suburb), wanted);
+    if (score >= NEAR_MATCH && (!best || score > best.score)) {
+      best = { entry, exact: false, score };
+    }
+  }
+  return best;
+}
+
+function centreOf(entries) {
+  const sum = entries.reduce(
+    (acc, e) => ({
+      latitude: acc.latitude + e.geo.latitude,
+      longitude: acc.longitude + e.geo.longitude,
+    }),
+    { latitude: 0, longitude: 0 }
+  );
+  const round = (n) => Math.round((n / entries.length) * 10000) / 10000;
+  return { latitude: round(sum.latitude), longitude: round(sum.longitude) };
+}
+
+function issue(severity, field, message, suggestion) {
+  return { severity, field, message, suggestion };
+}
+
+/**
+ * Normalise an address and check it against the gazetteer
+ * @param {Object} address - Person address (see AddressSchema)
+ * @param {Object} pack - Country pack (default: the request's)
+ * @returns {{address: Object, issues: Array<Object>, match: ?Object}}
+ *   `issues` are { severity, field, message, suggestion }; `match` is the
+ *   gazetteer entry the address was matched to
+ */
+export function checkAddress(address = {}, pack = getCurrentCountryPack()) {
+  const out = { ...address };
+  for (const field of NAME_FIELDS) {
+    if (typeof out[field] === "string") out[field] = titleCase(out[field]);
+  }
+  if (out.province) {
+    out.province = normalizeProvince(out.province, pack) || out.province;
+  }
+  out.postalCode = normalizePostalCode(out.postalCode, pack);
+  if (out.postalCode === undefined) delete out.postalCode;
+
+  const issues = [];
+  if (!pack.gazetteer) return { address: out, issues, match: null };
+
+  const { ERROR, WARNING } = ADDRESS_ISSUE_SEVERITY;
+  const byCode = out.postalCode ? entriesFor(pack, out.postalCode) : [];
+  let match = null;
+
+  if (byCode.length > 0) {
+    const provinces = [...new Set(byCode.map((e) => e.province))];
+    if (out.province && !provinces.includes(out.province)) {
+      issues.push(
+        issue(
+          ERROR,
+          "province",
+          `Postal code ${out.postalCode} is in ${provinces.join(" / ")}, ` +
+            `not ${out.province}`,
+          provinces[0]
+        )
+      );
+    }
+
+    const inCode = findSuburb(byCode, out.suburb);
+    if (inCode?.exact) {
+      match = inCode.entry;
+    } else if (inCode) {
+      issues.push(
+        issue(
+          WARNING,
+          "suburb",
+          `Suburb ${out.suburb} not found for postal code ` +
+            `${out.postalCode}, did you mean ${inCode.entry.suburb}?`,
+          inCode.entry.suburb
+        )
+      );
+    } else {
+      const elsewhere = findSuburb(pack.gazetteer, out.suburb);
+      if (elsewhere?.exact) {
+        issues.push(
+          issue(
+            WARNING,
+            "postalCode",
+            `${elsewhere.entry.suburb} has postal code ` +
+              `${elsewhere.entry.postalCode}, not ${out.postalCode}`,
+            elsewhere.entry.postalCode
+          )
+        );
+      }
+    }
+  } else {
+    // Unknown postal code: check what the suburb tells us
+    const bySuburb = findSuburb(pack.gazetteer, out.suburb);
+    const found = bySuburb?.exact ? bySuburb.entry : null;
+    if (found && out.postalCode) {
+      issues.push(
+        issue(
+          WARNING,
+          "postalCode",
+          `${found.suburb} has postal code ${found.postalCode}, ` +
+            `not ${out.postalCode}`,
+          found.postalCode
+        )
+      );
+    }
+    if (found && out.province && out.province !== found.province) {
+      issues.push(
+        issue(
+          WARNING,
+          "province",
+          `${found.suburb} is in ${found.province}, not ${out.province}`,
+          found.province
+        )
+      );
+    }
+    // Suburb names repeat across towns: only trusted when nothing disagrees
+    if (found && issues.length === 0) match = found;
+  }
+
+  // Fill the gaps from the match, or from a postal code in one municipality
+  const municipalities = [...new Set(byCode.map((e) => e.municipality))];
+  if (match) {
+    out.suburb = match.suburb;
+    if (key(out.city) === key(match.city)) out.city = match.city;
+    out.municipality = out.municipality || match.municipality;
+    out.province = out.province || match.province;
+    if (out.geo?.latitude === undefined) out.geo = { ...match.geo };
+  } else if (municipalities.length === 1) {
+    out.municipality = out.municipality || municipalities[0];
+    out.province = out.province || byCode[0].province;
+    if (out.geo?.latitude === undefined) out.geo = centreOf(byCode);
+  }
+
+  return { address: out, issues, match };
+}
+
+/**
+ * Normalise a person's addresses (residential, postal) before they are
+ * stored
+ * @param {Object} addresses - { residential, postal }
+ * @returns {Object} The normalised addresses
+ * @throws {ValidationError} A postal code and province that don't match
+ */
+export function normalizePersonAddresses(
+  addresses,
+  pack = getCurrentCountryPack()
+) {
+  if (!addresses) return addresses;
+  const out = { ...addresses };
+  for (const [kind, address] of Object.entries(addresses)) {
+    if (!address || typeof address !== "object") continue;
+    const checked = checkAddress(address, pack);
+    const conflict = checked.issues.find(
+      (i) => i.severity === ADDRESS_ISSUE_SEVERITY.ERROR
+    );
+    if (conflict) {
+      throw new ValidationError(
+        conflict.message,
+        `addresses.${kind}.${conflict.field}`,
+        checked.address[conflict.field]
+      );
+    }
+    out[kind] = checked.address;
+  }
+  return out;
+}
+
+/**
+ * Autocomplete: gazetteer entries matching what was typed (suburb, city or
+ * postal code), best first
+ * @param {string} q
+ * @param {Object} filters - { province, postalCode, limit }
+ * @returns {Array<Object>} Gazetteer entries
+ */
+export function suggestAddresses(
+  q,
+  { province, postalCode, limit = 10 } = {},
+  pack = getCurrentCountryPack()
+) {
+  const wanted = key(q);
+  const inProvince = province && normalizeProvince(province, pack);
+  const scored = [];
+
+  for (const entry of pack.gazetteer || []) {
+    if (inProvince && entry.province !== inProvince) continue;
+    if (postalCode && entry.postalCode !== postalCode) continue;
+
+    const names = [key(entry.suburb), key(entry.city)];
+    let score = 0;
+    if (entry.postalCode.startsWith(wanted)) score = 1;
+    else if (names.some((n) => n.startsWith(wanted))) score = 0.95;
+    else if (names.some((n) => n.includes(wanted))) score = 0.9;
+    else {
+      const fuzzy = Math.max(...names.map((n) => jaroWinkler(n, wanted)));
+      if (fuzzy >= SUGGEST_FUZZY) score = fuzzy * 0.9;
+    }
+    if (score > 0) scored.push({ entry, score });
+  }
+
+  return scored
+    .sort(
+      (a, b) =>
+        b.score - a.score || a.entry.suburb.localeCompare(b.entry.suburb)
+    )
+    .slice(0, limit)
+    .map(({ entry }) => ({ ...entry, geo: { ...entry.geo } }));
+}
@@ -0,0 +1,38 @@
+import { z } from "zod";
+
+/**
+ * Query for GET /general/addresses/suggest
+ */
+export const AddressSuggestQuerySchema = z.object({
+  q: z.string().trim().min(2, "Type at least 2 characters").max(60),
+  province: z.string().trim().optional(),
+  postalCode: z.string().trim().optional(),
+  limit: z.coerce.number().int().min(1).max(25).default(10),
+});
+
+/**
+ * Address to check for POST /general/addresses/normalize
+ * Every field is optional: whatever was captured so far is checked.
+ */
+export const AddressCheckSchema = z
+  .object({
+    line1: z.string().optional(),
+    line2: z.string().optional(),
+    unit: z.string().optional(),
+    complex: z.string().optional(),
+    streetNumber: z.string().optional(),
+    streetName: z.string().optional(),
+    suburb: z.string().optional(),
+    city: z.string().optional(),
+    municipality: z.string().optional(),
+    province: z.string().optional(),
+    postalCode: z.union([z.string(), z.number()]).optional(),
+    countryCode: z.string().optional(),
+    geo: z
+      .object({
+        latitude: z.number().min(-90).max(90).optional(),
+        longitude: z.number().min(-180).max(180).optional(),
+      })
+      .optional(),
+  })
+  .strict();
@@ -1,14 +1,17 @@
 import { db } from "../../../services/firestore.client.js";
+import { servicePath } from "../../../utilities/country-context.util.js";
 
-const serviceId = "southAfrica";
-const docRef = db.doc(`touchAfrica/${serviceId}`);
+// Service info lives on the country partition document itself
+function serviceDoc() {
+  return db.doc(servicePath());
+}
 
 export async function getServiceInfo() {
-  const snap = await docRef.get();
+  const snap = await serviceDoc().get();
   return snap.exists ? snap.data() : null;
 }
 
 export async function updateServiceInfo(data) {
-  await docRef.set(data, { merge: true });
+  await serviceDoc().set(data, { merge: true });
   return await getServiceInfo();
 }
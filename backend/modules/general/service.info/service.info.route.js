@@ -13,9 +13,20 @@ import {
   exportServiceInfoHandler,
   getServiceInfoStatsHandler,
 } from "./service.info.controller.js";
+import { servicePath } from "../../../utilities/country-context.util.js";
+import { listCountries } from "../../../config/countries.config.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+import { getServiceInfo } from "./service.info.firestore.js";
 
 const router = express.Router();
 
+const auditServiceInfo = (action) =>
+  audit("serviceInfo", {
+    action,
+    id: "serviceInfo",
+    load: () => getServiceInfo(),
+  });
+
 router.get("/general/service-info", getServiceInfoHandler);
 router.put(
   "/general/service-info",
@@ -36,6 +47,7 @@ router.put(
     console.log("🔍 Service Info Route - After authorize, before controller");
     next();
   },
+  auditServiceInfo(),
   updateServiceInfoHandler
 );
 
@@ -60,6 +72,7 @@ router.patch(
     );
     next();
   },
+  auditServiceInfo(),
   patchServiceInfoHandler
 );
 
@@ -71,6 +84,7 @@ router.post(
   "/general/service-info/bulk",
   authenticateJWT,
   checkPermissions("service.update"),
+  auditServiceInfo("bulk"),
   bulkServiceInfoHandler
 );
 
@@ -82,20 +96,23 @@ router.get("/general/service-info/stats", getServiceInfoStatsHandler);
 
 router.get("/general/service-info/ping", (_req, res) => res.json({ ok: true }));
 
+// PUBLIC ENDPOINT: Supported countries (send one as the X-Country header)
+router.get("/general/countries", (req, res) => {
+  res.json({ success: true, data: listCountries(), current: req.country });
+});
+
 // PUBLIC ENDPOINT: Get news from Firebase
-// Uses Firebase path: /touchAfrica/southAfrica/news
+// Uses Firebase path: /touchAfrica/{country}/news
 // Returns array of news items with title, content, date, priority
 router.get("/general/service-info/news", async (req, res) => {
   try {
-    console.log(
-      "📰 Loading news from Firebase path: /touchAfrica/southAfrica/news"
-    );
+    console.log(`📰 Loading news from Firebase path: /${servicePath("news")}`);
 
     // Import Firestore client directly
     const { db } = await import("../../../services/firestore.client.js");
 
-    // Access the Firebase path: /touchAfrica/southAfrica/news
-    const newsCollection = db.doc("touchAfrica/southAfrica").collection("news");
+    // Access the Firebase path: /touchAfrica/{country}/news
+    const newsCollection = db.collection(servicePath("news"));
 
     // Get news items (without composite index requirement)
     // Note: Removed .where() and .orderBy() to avoid composite index requirement
@@ -212,21 +229,19 @@ router.get("/general/service-info/news", async (req, res) => {
 });
 
 // PUBLIC ENDPOINT: Get tenant activation response block names
-// Uses Firebase path: /touchAfrica/southAfrica/tenants
+// Uses Firebase path: /touchAfrica/{country}/tenants
 // Returns array of activationResponseBlockName values
 router.get("/general/tenants", async (req, res) => {
   try {
     console.log(
-      "🏘️ Loading tenants from Firebase path: /touchAfrica/southAfrica/tenants"
+      `🏘️ Loading tenants from Firebase path: /${servicePath("tenants")}`
     );
 
     // Import Firestore client directly
     const { db } = await import("../../../services/firestore.client.js");
 
-    // Access the exact Firebase path specified: /touchAfrica/southAfrica/tenants
-    const tenantsCollection = db
-      .doc("touchAfrica/southAfrica")
-      .collection("tenants");
+    // Access the tenants of the request's country: /touchAfrica/{country}/tenants
+    const tenantsCollection = db.collection(servicePath("tenants"));
 
     const snapshot = await tenantsCollection.get();
     console.log(`📊 Retrieved ${snapshot.size} tenant documents`);
@@ -273,19 +288,17 @@ router.get("/general/tenants", async (req, res) => {
 });
 
 // PUBLIC ENDPOINT: Get features from Firebase
-// Uses Firebase path: /touchAfrica/southAfrica
+// Uses Firebase path: /touchAfrica/{country}
 // Returns features array with title and text from the serviceInfo document
 router.get("/general/service-info/features", async (req, res) => {
   try {
-    console.log(
-      "🔧 Loading features from Firebase path: /touchAfrica/southAfrica"
-    );
+    console.log(`🔧 Loading features from Firebase path: /${servicePath()}`);
 
     // Import Firestore client directly
     const { db } = await import("../../../services/firestore.client.js");
 
-    // Access the Firebase path: /touchAfrica/southAfrica
-    const serviceDoc = db.doc("touchAfrica/southAfrica");
+    // Access the Firebase path: /touchAfrica/{country}
+    const serviceDoc = db.doc(servicePath());
 
     const snapshot = await serviceDoc.get();
 
@@ -0,0 +1,107 @@
+import { z } from "zod";
+import {
+  ForgotPasswordSchema,
+  SetPasswordSchema,
+} from "./account.link.validation.js";
+import {
+  inviteAdmin,
+  resendInvitation,
+  requestPasswordReset,
+  acceptInvitation,
+  resetPassword,
+} from "./account.link.service.js";
+import { InternalAdminInviteSchema } from "../admin/admin.validation.js";
+import { ExternalAdminInviteSchema } from "../../external/tenant/admin/admin.validation.js";
+import {
+  sendSuccess,
+  handleZodError,
+} from "../../../utilities/response.util.js";
+
+/**
+ * Handlers for inviting admins and for the links in invitation and
+ * password reset emails, the platform's (/internal/admins/...) or a
+ * tenant's (/:tenantId/admins/...)
+ */
+
+function actorFrom(req) {
+  const p = req.admin || req.user || {};
+  return p.id || p.email || "anonymous";
+}
+
+// Platform routes have no tenantId param
+function scopeOf(req) {
+  return req.params.tenantId || null;
+}
+
+// POST .../admins/invitations - create an admin and email an invitation
+export async function inviteAdminHandler(req, res, next) {
+  try {
+    const tenantId = scopeOf(req);
+    const schema = tenantId
+      ? ExternalAdminInviteSchema
+      : InternalAdminInviteSchema;
+    const result = await inviteAdmin(
+      tenantId,
+      schema.parse(req.body || {}),
+      actorFrom(req)
+    );
+    return sendSuccess(res, result, "Invitation sent", 201);
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST .../admins/:id/invitation - send the invitation again
+export async function resendInvitationHandler(req, res, next) {
+  try {
+    const invitation = await resendInvitation(
+      scopeOf(req),
+      req.params.id,
+      actorFrom(req)
+    );
+    return sendSuccess(res, invitation, "Invitation sent");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST .../admins/password/forgot - email a reset link
+export async function forgotPasswordHandler(req, res, next) {
+  try {
+    const { email } = ForgotPasswordSchema.parse(req.body || {});
+    await requestPasswordReset(scopeOf(req), email);
+    return sendSuccess(
+      res,
+      null,
+      "If an account exists for that email, a reset link has been sent"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST .../admins/password/reset - set a new password with a reset link
+export async function resetPasswordHandler(req, res, next) {
+  try {
+    const { token, password } = SetPasswordSchema.parse(req.body || {});
+    const result = await resetPassword(scopeOf(req), token, password);
+    return sendSuccess(res, result, "Password reset; please log in");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST .../admins/invitations/accept - set the first password
+export async function acceptInvitationHandler(req, res, next) {
+  try {
+    const { token, password } = SetPasswordSchema.parse(req.body || {});
+    const result = await acceptInvitation(scopeOf(req), token, password);
+    return sendSuccess(res, result, "Invitation accepted; please log in");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
@@ -0,0 +1,72 @@
+import { db } from "../../../services/firestore.client.js";
+import {
+  platformPath,
+  tenantPath,
+} from "../../../utilities/country-context.util.js";
+
+/**
+ * One-time links (invitations, password resets) live with the accounts
+ * they belong to, the platform's (internal admins, tenantId null) or a
+ * tenant's, in `accountLinks`. The document ID is the hash of the token
+ * in the link; the token itself is never stored.
+ */
+
+function scopedPath(tenantId, collection) {
+  return tenantId ? tenantPath(tenantId, collection) : platformPath(collection);
+}
+
+function linksCol(tenantId) {
+  return db.collection(scopedPath(tenantId, "accountLinks"));
+}
+
+export async function createLink(tenantId, link) {
+  await linksCol(tenantId).doc(link.id).set(link);
+  return link;
+}
+
+export async function getLink(tenantId, id) {
+  const snap = await linksCol(tenantId).doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
+
+/**
+ * Withdraw an account's unused links for a purpose (a new one replaces
+ * them)
+ * @returns {Promise<number>} How many were withdrawn
+ */
+export async function revokeOpenLinks(tenantId, subjectId, purpose, stamp) {
+  const snapshot = await linksCol(tenantId)
+    .where("subjectId", "==", subjectId)
+    .get();
+  const open = snapshot.docs
+    .map((doc) => doc.data())
+    .filter(
+      (link) => link.purpose === purpose && !link.usedAt && !link.revokedAt
+    );
+  for (const link of open) {
+    await linksCol(tenantId).doc(link.id).update({ revokedAt: stamp });
+  }
+  return open.length;
+}
+
+/**
+ * Use up a link
+ * @returns {Promise<Object>} { outcome: "ok" | "missing" | "used" |
+ *   "revoked" | "expired", link }
+ */
+export async function consumeLink(tenantId, id, purpose) {
+  const ref = linksCol(tenantId).doc(id);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().purpose !== purpose) {
+      return { outcome: "missing", link: null };
+    }
+    const link = snap.data();
+    const now = new Date();
+    if (link.usedAt) return { outcome: "used", link };
+    if (link.revokedAt) return { outcome: "revoked", link };
+    if (new Date(link.expiresAt) <= now) return { outcome: "expired", link };
+    tx.update(ref, { usedAt: now.toISOString() });
+    return { outcome: "ok", link };
+  });
+}
@@ -0,0 +1,68 @@
+import express from "express";
+import { authenticateJWT } from "../../../middleware/auth.middleware.js";
+import { checkPermissions } from "../../../middleware/permission.middleware.js";
+import {
+  inviteAdminHandler,
+  resendInvitationHandler,
+  forgotPasswordHandler,
+  resetPasswordHandler,
+  acceptInvitationHandler,
+} from "./account.link.controller.js";
+import { getInternalAdminById } from "../admin/admin.firestore.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+
+/**
+ * Account Link Router
+ * Invitations and password resets of the platform's admins (the tenant
+ * admin routes live in external/tenant/account.link)
+ */
+
+const router = express.Router();
+
+const loadAdmin = (id) => getInternalAdminById(id);
+
+// The account a link was for, once it has been used
+const linkAudit = (action) =>
+  audit("admin", {
+    action,
+    failures: true,
+    id: (req, body) => body?.data?.id || null,
+    actor: (req, body) => body?.data || { id: "anonymous" },
+  });
+
+// Not protected: the link's token is the credential
+router.post("/internal/admins/password/forgot", forgotPasswordHandler);
+router.post(
+  "/internal/admins/password/reset",
+  linkAudit("reset-password"),
+  resetPasswordHandler
+);
+router.post(
+  "/internal/admins/invitations/accept",
+  linkAudit("accept-invitation"),
+  acceptInvitationHandler
+);
+
+// POST /internal/admins/invitations - Invite an admin
+router.post(
+  "/internal/admins/invitations",
+  authenticateJWT,
+  checkPermissions("admin.create", "all.access"),
+  audit("admin", {
+    action: "invite",
+    id: (req, body) => body?.data?.admin?.id || null,
+    load: loadAdmin,
+  }),
+  inviteAdminHandler
+);
+
+// POST /internal/admins/:id/invitation - Send the invitation again
+router.post(
+  "/internal/admins/:id/invitation",
+  authenticateJWT,
+  checkPermissions("admin.update", "all.access"),
+  audit("admin", { action: "resend-invitation", load: loadAdmin }),
+  resendInvitationHandler
+);
+
+export default router;
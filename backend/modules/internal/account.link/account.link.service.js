@@ -0,0 +1,323 @@
+import {
+  createLink,
+  getLink,
+  revokeOpenLinks,
+  consumeLink,
+} from "./account.link.firestore.js";
+import {
+  LINK_PURPOSES,
+  INVITE_TTL_HOURS,
+  RESET_TTL_MINUTES,
+  APP_BASE_URL,
+  newLinkToken,
+  hashLinkToken,
+} from "./account.link.validation.js";
+import {
+  getInternalAdminById,
+  getInternalAdminByEmail,
+  updateInternalAdminById,
+} from "../admin/admin.firestore.js";
+import { createInternalAdminService } from "../admin/admin.service.js";
+import {
+  getExternalAdminById,
+  getExternalAdminByEmail,
+  updateExternalAdminById,
+} from "../../external/tenant/admin/admin.firestore.js";
+import { createExternalAdminService } from "../../external/tenant/admin/admin.service.js";
+import { revokeAccountSessions } from "../session/session.service.js";
+import { REVOKE_REASONS } from "../session/session.validation.js";
+import { unlockAccount } from "../login.security/login.security.service.js";
+import { sendMail } from "../../../services/mail.client.js";
+import { hashPassword } from "../../../utilities/auth-enhanced.util.js";
+import {
+  validatePasswordFormat,
+  PASSWORD_POLICY_MESSAGE,
+} from "../../../utilities/password-policy.util.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../../../utilities/error-handler.util.js";
+
+/**
+ * Account Link Service
+ * Invitations and password resets for admins, the platform's (tenantId
+ * null) or a tenant's, by email. A link carries a random token that works
+ * once and expires (ACCOUNT_INVITE_TTL_HOURS, PASSWORD_RESET_TTL_MINUTES);
+ * issuing a new one withdraws the account's earlier links of that kind.
+ * Passwords set through a link must meet the formats/passwords policy.
+ */
+
+const INVALID_LINK = "This link is invalid or has expired; ask for a new one";
+
+// The admin records of the platform (tenantId null) or of a tenant
+function adminsOf(tenantId) {
+  if (!tenantId) {
+    return {
+      getById: getInternalAdminById,
+      getByEmail: getInternalAdminByEmail,
+      update: updateInternalAdminById,
+      invite: (data, actor) =>
+        createInternalAdminService(data, actor, { invited: true }),
+    };
+  }
+  return {
+    getById: (id) => getExternalAdminById(id, tenantId),
+    getByEmail: (email) => getExternalAdminByEmail(email, tenantId),
+    update: (id, data) => updateExternalAdminById(id, data, tenantId),
+    invite: (data, actor) =>
+      createExternalAdminService(data, actor, tenantId, { invited: true }),
+  };
+}
+
+function linkUrl(tenantId, purpose, token) {
+  const params = new URLSearchParams({ account: purpose, token });
+  if (tenantId) params.set("tenant", tenantId);
+  return `${APP_BASE_URL}/?${params}`;
+}
+
+function isOpen(link, purpose) {
+  return (
+    link?.purpose === purpose &&
+    !link.usedAt &&
+    !link.revokedAt &&
+    new Date(link.expiresAt) > new Date()
+  );
+}
+
+async function issueLink(tenantId, purpose, admin, actor) {
+  const now = new Date();
+  await revokeOpenLinks(tenantId, admin.id, purpose, now.toISOString());
+
+  const ttl =
+    purpose === LINK_PURPOSES.INVITE
+      ? INVITE_TTL_HOURS * 60 * 60 * 1000
+      : RESET_TTL_MINUTES * 60 * 1000;
+  const token = newLinkToken();
+  const link = await createLink(tenantId, {
+    id: hashLinkToken(token),
+    purpose,
+    tenantId,
+    subjectId: admin.id,
+    email: admin.accessDetails.email,
+    createdBy: actor || "system",
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttl).toISOString(),
+    usedAt: null,
+    revokedAt: null,
+  });
+  return { url: linkUrl(tenantId, purpose, token), expiresAt: link.expiresAt };
+}
+
+// --- Messages ---
+
+const when = (iso) => new Date(iso).toUTCString();
+
+function invitationMail(email, { url, expiresAt }) {
+  return {
+    to: email,
+    subject: "You're invited to TouchAfrica",
+    text: [
+      "You have been invited to sign in to TouchAfrica as an administrator.",
+      "",
+      "Choose your password here:",
+      url,
+      "",
+      `The link works once and expires on ${when(expiresAt)}.`,
+      "If you weren't expecting this, you can ignore this email.",
+    ].join("\n"),
+  };
+}
+
+function resetMail(email, { url, expiresAt }) {
+  return {
+    to: email,
+    subject: "Reset your TouchAfrica password",
+    text: [
+      "Someone asked to reset the password of your TouchAfrica account.",
+      "",
+      "Choose a new password here:",
+      url,
+      "",
+      `The link works once and expires on ${when(expiresAt)}.`,
+      "If it wasn't you, ignore this email: your password stays the same.",
+    ].join("\n"),
+  };
+}
+
+function passwordChangedMail(email) {
+  return {
+    to: email,
+    subject: "Your TouchAfrica password was changed",
+    text: [
+      `The password of your TouchAfrica account was changed on ${when(
+        new Date().toISOString()
+      )}, and you were signed out everywhere.`,
+      "",
+      "If it wasn't you, contact your administrator straight away.",
+    ].join("\n"),
+  };
+}
+
+// --- Invitations ---
+
+async function sendInvitation(tenantId, admin, actor) {
+  const email = admin.accessDetails.email;
+  const link = await issueLink(tenantId, LINK_PURPOSES.INVITE, admin, actor);
+  await sendMail(invitationMail(email, link));
+  console.log(`✉️ Invitation sent to ${email} by ${actor}`);
+  return { sentTo: email, expiresAt: link.expiresAt };
+}
+
+/**
+ * Create an admin without a password and email them an invitation; the
+ * account stays inactive until they accept it
+ * @param {string|null} tenantId
+ * @param {Object} adminData - Validated invite (roles, personId, email)
+ * @param {string} actor
+ * @returns {Promise<Object>} { admin, invitation: { sentTo, expiresAt } }
+ */
+export async function inviteAdmin(tenantId, adminData, actor) {
+  let admin;
+  try {
+    admin = await adminsOf(tenantId).invite(adminData, actor);
+  } catch (error) {
+    // Same checks as creating an admin (email and person not taken)
+    if (error.message?.includes("already assigned")) {
+      throw new ValidationError(error.message);
+    }
+    throw error;
+  }
+  const invitation = await sendInvitation(tenantId, admin, actor);
+  return { admin, invitation };
+}
+
+/**
+ * Send an invitation again (the earlier link stops working)
+ * @returns {Promise<Object>} { sentTo, expiresAt }
+ */
+export async function resendInvitation(tenantId, id, actor) {
+  const admin = await adminsOf(tenantId).getById(id);
+  if (!admin) throw new NotFoundError("Admin not found");
+  if (admin.accessDetails?.password) {
+    throw new ConflictError("Admin has already set a password");
+  }
+  return sendInvitation(tenantId, admin, actor);
+}
+
+// --- Passwords ---
+
+/**
+ * Forgot password: email a reset link if the address belongs to an active
+ * admin. Resolves the same way whether or not it does, so the caller can't
+ * learn which addresses have accounts.
+ * @param {string|null} tenantId
+ * @param {string} email
+ */
+export async function requestPasswordReset(tenantId, email) {
+  const admin = await adminsOf(tenantId).getByEmail(email);
+  if (
+    !admin ||
+    !admin.account?.isActive?.value ||
+    !admin.accessDetails?.password
+  ) {
+    console.log(`🔑 Password reset requested for unknown account ${email}`);
+    return;
+  }
+  const link = await issueLink(tenantId, LINK_PURPOSES.RESET, admin, "self");
+  await sendMail(resetMail(admin.accessDetails.email, link));
+  console.log(`🔑 Password reset link sent to ${email}`);
+}
+
+// Check the link and the password, then use the link up
+async function redeemLink(tenantId, purpose, token, password) {
+  const id = hashLinkToken(token);
+  // The link is checked first so a password the policy refuses doesn't
+  // use it up
+  if (!isOpen(await getLink(tenantId, id), purpose)) {
+    throw new ValidationError(INVALID_LINK, "token");
+  }
+  if (!(await validatePasswordFormat(password))) {
+    throw new ValidationError(PASSWORD_POLICY_MESSAGE, "password");
+  }
+  const { outcome, link } = await consumeLink(tenantId, id, purpose);
+  const admins = adminsOf(tenantId);
+  const admin = outcome === "ok" ? await admins.getById(link.subjectId) : null;
+  if (!admin) throw new ValidationError(INVALID_LINK, "token");
+  return { admins, admin };
+}
+
+/**
+ * Accept an invitation: set the first password and activate the account
+ * (unless an admin deactivated it in the meantime)
+ * @returns {Promise<Object>} { id, email }
+ */
+export async function acceptInvitation(tenantId, token, password) {
+  const { admins, admin } = await redeemLink(
+    tenantId,
+    LINK_PURPOSES.INVITE,
+    token,
+    password
+  );
+  if (admin.accessDetails?.password) {
+    throw new ValidationError(INVALID_LINK, "token");
+  }
+
+  const now = new Date().toISOString();
+  const isActive = admin.account?.isActive || { value: false, changes: [] };
+  const deactivated = isActive.changes.at(-1)?.action === "deactivated";
+  await admins.update(admin.id, {
+    accessDetails: {
+      ...admin.accessDetails,
+      password: hashPassword(password),
+      passwordChangedAt: now,
+      invitationAcceptedAt: now,
+    },
+    account: {
+      ...admin.account,
+      isActive: deactivated
+        ? isActive
+        : {
+            value: true,
+            changes: [
+              ...isActive.changes,
+              { by: admin.id, when: now, action: "activated" },
+            ],
+          },
+    },
+  });
+  console.log(`✅ Invitation accepted by ${admin.accessDetails.email}`);
+  return { id: admin.id, email: admin.accessDetails.email };
+}
+
+/**
+ * Reset a password with a link from requestPasswordReset; the account's
+ * sessions end, a lockout is lifted and the owner is told by email
+ * @returns {Promise<Object>} { id, email, sessionsRevoked }
+ */
+export async function resetPassword(tenantId, token, password) {
+  const { admins, admin } = await redeemLink(
+    tenantId,
+    LINK_PURPOSES.RESET,
+    token,
+    password
+  );
+  await admins.update(admin.id, {
+    accessDetails: {
+      ...admin.accessDetails,
+      password: hashPassword(password),
+      passwordChangedAt: new Date().toISOString(),
+    },
+  });
+  const sessionsRevoked = await revokeAccountSessions(
+    tenantId,
+    admin.id,
+    admin.id,
+    REVOKE_REASONS.PASSWORD_RESET
+  );
+  // Whoever guessed at the old password locked the owner out
+  await unlockAccount(tenantId, admin.id, admin.id);
+  await sendMail(passwordChangedMail(admin.accessDetails.email));
+  console.log(`🔑 Password reset by ${admin.accessDetails.email}`);
+  return { id: admin.id, email: admin.accessDetails.email, sessionsRevoked };
+}
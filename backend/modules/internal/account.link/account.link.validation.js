@@ -0,0 +1,46 @@
+import crypto from "crypto";
+import { z } from "zod";
+import { EMAIL_REGEX } from "../../../utilities/validation-patterns.js";
+
+export const LINK_PURPOSES = {
+  INVITE: "invite", // a new admin sets their first password
+  RESET: "reset", // forgot password
+};
+
+// How long a link works (hours for invitations, minutes for resets)
+export const INVITE_TTL_HOURS = Number(
+  process.env.ACCOUNT_INVITE_TTL_HOURS || 72
+);
+export const RESET_TTL_MINUTES = Number(
+  process.env.PASSWORD_RESET_TTL_MINUTES || 60
+);
+
+// Where the links in emails point (the home page opens the login modal on
+// its set-password screen)
+export const APP_BASE_URL = (
+  process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 5000}`
+).replace(/\/+$/, "");
+
+// 256 random bits; only the hash is stored (and is the record's ID)
+export function newLinkToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+export function hashLinkToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Forgot password: the reply never says whether the email is known
+export const ForgotPasswordSchema = z.object({
+  email: z
+    .string()
+    .trim()
+    .regex(EMAIL_REGEX, "Please enter a valid email address"),
+});
+
+// Accepting an invitation or resetting a password; the password is
+// checked against the formats/passwords policy by the service
+export const SetPasswordSchema = z.object({
+  token: z.string().trim().min(1, "Link token is required"),
+  password: z.string().min(8, "Password must be at least 8 characters"),
+});
@@ -1,4 +1,3 @@
-import jwt from "jsonwebtoken";
 import {
   InternalAdminSchema,
   InternalAdminUpdateSchema,
@@ -13,6 +12,9 @@ import {
   getInternalAdminByIdService,
   updateInternalAdminByIdService,
   deleteInternalAdminByIdService,
+  listTrashedInternalAdminsService,
+  restoreInternalAdminByIdService,
+  purgeInternalAdminByIdService,
   listInternalAdminsService,
   searchInternalAdminsService,
   bulkInternalAdminsService,
@@ -24,6 +26,7 @@ import {
 } from "./admin.service.js";
 import {
   sendSuccess,
+  sendList,
   sendError,
   sendValidationError,
   sendNotFound,
@@ -35,7 +38,22 @@ import {
   createExportResponse,
 } from "../../../utilities/query.util.js";
 import { derivePermissionsFromRoles } from "../../../utilities/permissions.util.js";
+import {
+  expectedVersionFrom,
+  setETag,
+} from "../../../utilities/concurrency.util.js";
 import { getPersonRecord } from "../person/person.service.js";
+import {
+  startSession,
+  endSession,
+} from "../session/session.service.js";
+import { beginTwoFactorLogin } from "../two.factor/two.factor.service.js";
+import {
+  extractTokenFromRequest,
+  extractRefreshTokenFromRequest,
+  setSessionCookies,
+  clearSessionCookies,
+} from "../../../utilities/auth-enhanced.util.js";
 
 // Define authorization roles
 // Permissions defined in route handlers directly
@@ -136,6 +154,7 @@ export const getInternalAdminByIdHandler = async (req, res, next) => {
       return sendNotFound(res, "Admin", id);
     }
 
+    setETag(res, admin);
     return sendSuccess(res, admin, "Admin retrieved successfully");
   } catch (error) {
     next(error);
@@ -158,8 +177,10 @@ export const updateInternalAdminByIdHandler = async (req, res, next) => {
     const updatedAdmin = await updateInternalAdminByIdService(
       id,
       validatedData,
-      actor
+      actor,
+      expectedVersionFrom(req)
     );
+    setETag(res, updatedAdmin);
 
     return sendSuccess(res, updatedAdmin, "Admin updated successfully");
   } catch (error) {
@@ -207,6 +228,49 @@ export const deleteInternalAdminByIdHandler = async (req, res, next) => {
   }
 };
 
+// List trashed internal admins
+export const listTrashedInternalAdminsHandler = async (req, res, next) => {
+  try {
+    const { items, nextCursor } = await listTrashedInternalAdminsService(
+      req.query
+    );
+    return sendList(
+      res,
+      items,
+      { limit: items.length, nextCursor },
+      "Trashed admins retrieved successfully"
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restore internal admin from the trash
+export const restoreInternalAdminByIdHandler = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const actor =
+      req.admin?.id || req.user?.id || req.user?.email || "anonymous";
+
+    const admin = await restoreInternalAdminByIdService(id, actor);
+    setETag(res, admin);
+    return sendSuccess(res, admin, "Admin restored successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Permanently delete a trashed internal admin
+export const purgeInternalAdminByIdHandler = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await purgeInternalAdminByIdService(id);
+    return sendSuccess(res, { id }, "Admin permanently deleted");
+  } catch (error) {
+    next(error);
+  }
+};
+
 // List all internal admins
 export const listInternalAdminsHandler = async (req, res, next) => {
   try {
@@ -302,55 +366,48 @@ export const getInternalAdminsStatsHandler = async (req, res, next) => {
 // Login internal admin
 export const loginInternalAdminHandler = async (req, res, next) => {
   try {
-    // Enhanced debugging: log incoming request details
-    console.log("🔍 DEBUG: Login attempt received:", {
-      timestamp: new Date().toISOString(),
-      contentType: req.headers["content-type"],
-      userAgent: req.headers["user-agent"],
-      origin: req.headers["origin"],
-      referer: req.headers["referer"],
-      bodyType: typeof req.body,
-      bodyKeys: req.body ? Object.keys(req.body) : [],
-      bodyContent: JSON.stringify(req.body),
-      rawBodyLength: JSON.stringify(req.body).length,
-    });
-
     // Validate request body
     const { email, password } = InternalAdminLoginSchema.parse(req.body);
 
-    // Authenticate admin
-    const admin = await loginInternalAdminService(email, password);
+    // Authenticate admin (the client is kept in the login history)
+    const client = { ip: req.ip, userAgent: req.get("user-agent") };
+    const admin = await loginInternalAdminService(email, password, client);
 
-    // Strict RBAC: roles are only containers -> derive concrete permissions now
+    // Strict RBAC: roles are only containers. The token carries the roles;
+    // permissions are resolved per request, these are for the client only
     const roleList = Array.isArray(admin.roles) ? admin.roles : [];
     const derivedPermissions = await derivePermissionsFromRoles(roleList);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        id: admin.id,
-        email: admin.accessDetails.email,
-        roles: admin.roles,
-        permissions: derivedPermissions,
-        type: "internal_admin",
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    const claims = {
+      id: admin.id,
+      email: admin.accessDetails.email,
+      roles: roleList,
+      type: "internal_admin",
+    };
+    const profile = { ...admin, permissions: derivedPermissions };
+
+    // Accounts using two-factor authentication get a challenge to pass
+    // (see two.factor) before the session starts
+    const challenge = await beginTwoFactorLogin({ claims, profile });
+    if (challenge) {
+      return sendSuccess(res, challenge, "Two-factor authentication required");
+    }
+
+    // Start a session: short-lived access token plus a refresh token
+    const tokens = await startSession({ claims, client });
 
     // Note: Attempting server-side cookie setting (currently not working due to Express middleware issue)
     // Client-side fallback implemented in frontend
-    res.cookie("authToken", token, {
-      httpOnly: false, // Temporarily set to false for debugging
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      maxAge: 24 * 60 * 60 * 1000,
-      path: "/",
-    });
+    setSessionCookies(res, tokens);
 
     return sendSuccess(
       res,
-      { admin: { ...admin, permissions: derivedPermissions }, token },
+      {
+        admin: profile,
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+      },
       "Login successful"
     );
   } catch (error) {
@@ -370,18 +427,22 @@ export const loginInternalAdminHandler = async (req, res, next) => {
 };
 
 // Logout internal admin
-export const logoutInternalAdminHandler = async (req, res) => {
-  // Clear authentication cookie
-  res.clearCookie("authToken", {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: "strict",
-    path: "/",
-  });
-
-  // For JWT tokens, logout is also handled client-side
-  // by removing the token from storage
-  return sendSuccess(res, null, "Logged out successfully");
+export const logoutInternalAdminHandler = async (req, res, next) => {
+  try {
+    // Revoke the session so its tokens stop working straight away
+    await endSession({
+      refreshToken: extractRefreshTokenFromRequest(req),
+      accessToken: extractTokenFromRequest(req),
+    });
+
+    // Clear authentication cookies
+    clearSessionCookies(res);
+
+    // The client also removes the tokens from storage
+    return sendSuccess(res, null, "Logged out successfully");
+  } catch (error) {
+    next(error);
+  }
 };
 
 // Activate internal admin
@@ -434,8 +495,10 @@ export const patchInternalAdminByIdHandler = async (req, res, next) => {
     const updatedAdmin = await updateInternalAdminByIdService(
       id,
       validatedData,
-      actor
+      actor,
+      expectedVersionFrom(req)
     );
+    setETag(res, updatedAdmin);
 
     return sendSuccess(
       res,
@@ -1,6 +1,14 @@
 import { db } from "../../../services/firestore.client.js";
+import { platformPath } from "../../../utilities/country-context.util.js";
+import { updateWithVersion } from "../../../utilities/concurrency.util.js";
+import {
+  moveToTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  listTrash,
+} from "../../../utilities/soft-delete.util.js";
 
-const COLLECTION_PATH = "touchAfrica/southAfrica/admins";
+const COLLECTION_PATH = platformPath("admins");
 
 // Create internal admin
 export const createInternalAdmin = async (adminData) => {
@@ -28,19 +36,43 @@ export const updateInternalAdminById = async (id, updateData) => {
   return updateData;
 };
 
-// Delete internal admin by ID
-export const deleteInternalAdminById = async (id) => {
+// Update internal admin by ID, honouring If-Match and bumping recordVersion
+// (system writes such as login bookkeeping use updateInternalAdminById)
+export const updateInternalAdminWithVersion = async (
+  id,
+  updateData,
+  expectedVersion = null
+) => {
   const docRef = db.doc(`${COLLECTION_PATH}/${id}`);
-  const doc = await docRef.get();
-
-  if (!doc.exists) {
-    throw new Error("Admin not found");
-  }
+  const { version } = await updateWithVersion(docRef, updateData, {
+    expected: expectedVersion,
+    method: "set",
+    resource: "Admin",
+  });
+  return { ...updateData, recordVersion: version };
+};
 
-  await docRef.delete();
+// Delete internal admin by ID (soft delete - moves the admin to the trash)
+export const deleteInternalAdminById = async (id, actor) => {
+  await moveToTrash(COLLECTION_PATH, id, actor, { resource: "Admin" });
   return true;
 };
 
+// List trashed internal admins, most recently deleted first
+export const listTrashedInternalAdmins = async (options = {}) => {
+  return listTrash(COLLECTION_PATH, options);
+};
+
+// Restore a trashed internal admin
+export const restoreInternalAdminById = async (id, actor) => {
+  return restoreFromTrash(COLLECTION_PATH, id, actor, { resource: "Admin" });
+};
+
+// Permanently delete a trashed internal admin
+export const purgeInternalAdminById = async (id) => {
+  return purgeFromTrash(COLLECTION_PATH, id, { resource: "Admin" });
+};
+
 // Activate internal admin by ID
 export const activateInternalAdminById = async (id, change) => {
   const docRef = db.doc(`${COLLECTION_PATH}/${id}`);
@@ -16,6 +16,9 @@ import {
   updateInternalAdminByIdHandler,
   patchInternalAdminByIdHandler,
   deleteInternalAdminByIdHandler,
+  listTrashedInternalAdminsHandler,
+  restoreInternalAdminByIdHandler,
+  purgeInternalAdminByIdHandler,
   listInternalAdminsHandler,
   searchInternalAdminsHandler,
   bulkInternalAdminsHandler,
@@ -26,11 +29,23 @@ import {
   activateInternalAdminHandler,
   deactivateInternalAdminHandler,
 } from "./admin.controller.js";
+import { audit, auditLogin } from "../../../middleware/audit.middleware.js";
+import { getInternalAdminById } from "./admin.firestore.js";
 
 const router = express.Router();
 
+const auditAdmin = (action) =>
+  audit("admin", {
+    action,
+    load: (id) => getInternalAdminById(id),
+  });
+
 // Not protected routes
-router.post("/internal/admins/login", loginInternalAdminHandler);
+router.post(
+  "/internal/admins/login",
+  auditLogin("admin", "admin"),
+  loginInternalAdminHandler
+);
 router.post("/internal/admins/logout", logoutInternalAdminHandler);
 
 // Protected routes
@@ -38,6 +53,7 @@ router.post(
   "/internal/admins",
   authenticateJWT,
   checkPermissions("admin.create", "all.access"),
+  auditAdmin(),
   createInternalAdminHandler
 );
 
@@ -97,6 +113,7 @@ router.post(
     "admin.delete",
     "all.access"
   ),
+  auditAdmin("bulk"),
   bulkInternalAdminsHandler
 );
 
@@ -124,6 +141,29 @@ router.get(
   listInternalAdminsHandler
 );
 
+router.get(
+  "/internal/admins/trash",
+  authenticateJWT,
+  checkPermissions("admin.restore", "all.access"),
+  listTrashedInternalAdminsHandler
+);
+
+router.delete(
+  "/internal/admins/trash/:id",
+  authenticateJWT,
+  checkPermissions("admin.purge", "all.access"),
+  auditAdmin("purge"),
+  purgeInternalAdminByIdHandler
+);
+
+router.post(
+  "/internal/admins/:id/restore",
+  authenticateJWT,
+  checkPermissions("admin.restore", "all.access"),
+  auditAdmin("restore"),
+  restoreInternalAdminByIdHandler
+);
+
 router.get(
   "/internal/admins/:id",
   authenticateJWT,
@@ -135,6 +175,7 @@ router.put(
   "/internal/admins/:id",
   authenticateJWT,
   checkPermissions("admin.update", "all.access"),
+  auditAdmin(),
   updateInternalAdminByIdHandler
 );
 
@@ -142,6 +183,7 @@ router.patch(
   "/internal/admins/:id",
   authenticateJWT,
   checkPermissions("admin.update", "all.access"),
+  auditAdmin(),
   patchInternalAdminByIdHandler
 );
 
@@ -149,6 +191,7 @@ router.delete(
   "/internal/admins/:id",
   authenticateJWT,
   checkPermissions("admin.delete", "all.access"),
+  auditAdmin(),
   deleteInternalAdminByIdHandler
 );
 
@@ -156,6 +199,7 @@ router.put(
   "/internal/admins/:id/activate",
   authenticateJWT,
   checkPermissions("admin.update", "all.access"),
+  auditAdmin("activate"),
   activateInternalAdminHandler
 );
 
@@ -163,6 +207,7 @@ router.put(
   "/internal/admins/:id/deactivate",
   authenticateJWT,
   checkPermissions("admin.update", "all.access"),
+  auditAdmin("deactivate"),
   deactivateInternalAdminHandler
 );
 
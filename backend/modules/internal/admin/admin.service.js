@@ -3,7 +3,11 @@ import {
   createInternalAdmin,
   getInternalAdminById,
   updateInternalAdminById,
+  updateInternalAdminWithVersion,
   deleteInternalAdminById,
+  listTrashedInternalAdmins,
+  restoreInternalAdminById,
+  purgeInternalAdminById,
   activateInternalAdminById,
   deactivateInternalAdminById,
   getAllInternalAdmins,
@@ -11,15 +15,32 @@ import {
 } from "./admin.firestore.js";
 import { newInternalAdminId } from "./admin.validation.js";
 import { db } from "../../../services/firestore.client.js";
+import { platformPath } from "../../../utilities/country-context.util.js";
+import {
+  validatePasswordFormat,
+  PASSWORD_POLICY_MESSAGE,
+} from "../../../utilities/password-policy.util.js";
 import { getPersonById } from "../person/person.firestore.js";
 import {
-  buildFirestoreQuery,
-  applySearch,
   applyFieldSelection,
-  createPaginationMeta,
   convertToCSV,
   convertToJSON,
 } from "../../../utilities/query.util.js";
+import { executeQuery } from "../../../utilities/query-planner.util.js";
+import {
+  reassignAccountRoles,
+  revokeAccountSessions,
+} from "../session/session.service.js";
+import { REVOKE_REASONS } from "../session/session.validation.js";
+import {
+  assertNotLocked,
+  loginFailure,
+  recordLoginSuccess,
+} from "../login.security/login.security.service.js";
+import {
+  LOGIN_OUTCOMES,
+  LAST_LOGINS_KEPT,
+} from "../login.security/login.security.validation.js";
 
 // Helper function to hash passwords using PBKDF2
 const hashPassword = (password) => {
@@ -33,24 +54,15 @@ const hashPassword = (password) => {
 // Helper function to verify passwords
 const verifyPassword = (password, hashedPassword) => {
   if (!hashedPassword || typeof hashedPassword !== "string") {
-    console.log("❌ Invalid hashedPassword:", {
-      hashedPassword,
-      type: typeof hashedPassword,
-    });
     return false;
   }
 
   if (!hashedPassword.includes(":")) {
-    console.log(
-      "❌ hashedPassword does not contain separator:",
-      hashedPassword
-    );
     return false;
   }
 
   const [salt, hash] = hashedPassword.split(":");
   if (!salt || !hash) {
-    console.log("❌ Invalid salt or hash:", { salt, hash });
     return false;
   }
 
@@ -60,39 +72,25 @@ const verifyPassword = (password, hashedPassword) => {
   return hash === verifyHash;
 };
 
-// Helper function to validate password against Firestore regex (no local fallbacks)
-const validatePasswordFormat = async (password) => {
-  const formatDoc = await db
-    .doc("touchAfrica/southAfrica/formats/passwords")
-    .get();
-
-  if (!formatDoc.exists) {
-    throw new Error(
-      "Password policy lookup not found at touchAfrica/southAfrica/formats/passwords"
-    );
-  }
-
-  const data = formatDoc.data() || {};
-  if (!data.regex) {
-    throw new Error(
-      "Password policy 'regex' not defined in formats/passwords lookup"
-    );
-  }
-
-  const passwordRegex = new RegExp(data.regex);
-  return passwordRegex.test(password);
-};
-
-// Create internal admin service
-export const createInternalAdminService = async (adminData, actor) => {
-  // Validate password format using Firestore policy
-  const isValidPassword = await validatePasswordFormat(
-    adminData.accessDetails.password
-  );
-  if (!isValidPassword) {
-    throw new Error(
-      "Password does not meet organization policy (per formats/passwords lookup)"
-    );
+/**
+ * Create internal admin service
+ * @param {Object} adminData
+ * @param {string} actor
+ * @param {Object} options - { invited: true for an admin without a
+ *   password yet, inactive until the invitation is accepted }
+ */
+export const createInternalAdminService = async (
+  adminData,
+  actor,
+  { invited = false } = {}
+) => {
+  // Validate password format using Firestore policy (an invited admin
+  // sets their own, see account.link)
+  if (
+    !invited &&
+    !(await validatePasswordFormat(adminData.accessDetails.password))
+  ) {
+    throw new Error(PASSWORD_POLICY_MESSAGE);
   }
 
   // Check for email uniqueness - ensure no other admin has this email
@@ -123,7 +121,9 @@ export const createInternalAdminService = async (adminData, actor) => {
   const id = newInternalAdminId();
 
   // Hash password
-  const hashedPassword = hashPassword(adminData.accessDetails.password);
+  const hashedPassword = invited
+    ? null
+    : hashPassword(adminData.accessDetails.password);
 
   // Set defaults and prepare admin data
   const adminWithDefaults = {
@@ -133,10 +133,12 @@ export const createInternalAdminService = async (adminData, actor) => {
       ...adminData.accessDetails,
       password: hashedPassword,
       lastLogin: [],
+      ...(invited && { invitedAt: new Date().toISOString() }),
     },
+    // Invited admins can't sign in until they accept
     account: {
       isActive: {
-        value: true,
+        value: !invited,
         changes: [],
       },
     },
@@ -218,8 +220,17 @@ export const getInternalAdminByIdService = async (id) => {
   };
 };
 
-// Update internal admin service
-export const updateInternalAdminByIdService = async (id, updateData, actor) => {
+// Whether an update changed an admin's roles
+const rolesChanged = (before, after) =>
+  JSON.stringify(before || []) !== JSON.stringify(after || []);
+
+// Update internal admin service (expectedVersion = If-Match versions, or null)
+export const updateInternalAdminByIdService = async (
+  id,
+  updateData,
+  actor,
+  expectedVersion = null
+) => {
   const existingAdmin = await getInternalAdminById(id);
   if (!existingAdmin) {
     throw new Error("Admin not found");
@@ -273,13 +284,22 @@ export const updateInternalAdminByIdService = async (id, updateData, actor) => {
     },
   };
 
-  await updateInternalAdminById(id, updatedAdmin);
+  const savedAdmin = await updateInternalAdminWithVersion(
+    id,
+    updatedAdmin,
+    expectedVersion
+  );
+
+  // New roles apply to the admin's signed-in sessions straight away
+  if (rolesChanged(existingAdmin.roles, savedAdmin.roles)) {
+    await reassignAccountRoles(null, id, savedAdmin.roles || []);
+  }
 
   // Remove password from response
   const {
     accessDetails: { password, ...accessWithoutPassword },
     ...adminResponse
-  } = updatedAdmin;
+  } = savedAdmin;
   return {
     ...adminResponse,
     accessDetails: accessWithoutPassword,
@@ -301,92 +321,120 @@ export const deleteInternalAdminByIdService = async (id, actor) => {
     throw new Error("Root admin cannot be deleted");
   }
 
-  await deleteInternalAdminById(id);
+  await deleteInternalAdminById(id, actor);
   return true;
 };
 
-// List all internal admins service
-export const listInternalAdminsService = async (queryParams = {}) => {
-  try {
-    // Fix sort field - admin documents use 'created.when' not 'createdAt'
-    const correctedParams = {
-      ...queryParams,
-      sort: queryParams.sort || queryParams.sortBy || "created.when",
-      order: queryParams.order || "desc",
-    };
+// Strip the password hash from an admin record
+const withoutPassword = (admin) => {
+  const { password: _, ...accessWithoutPassword } = admin.accessDetails || {};
+  return { ...admin, accessDetails: accessWithoutPassword };
+};
 
-    // Build Firestore query (use collection path string for compatibility)
-    const firestoreQuery = buildFirestoreQuery(
-      "touchAfrica/southAfrica/admins",
-      correctedParams
-    );
+// List trashed internal admins service
+export const listTrashedInternalAdminsService = async (queryParams = {}) => {
+  const { items, nextCursor } = await listTrashedInternalAdmins({
+    limit: queryParams.limit,
+    cursor: queryParams.cursor,
+  });
+  return { items: items.map(withoutPassword), nextCursor };
+};
 
-    // Execute query
-    const snapshot = await firestoreQuery.get();
-    let admins = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+// Restore internal admin from the trash service
+export const restoreInternalAdminByIdService = async (id, actor) => {
+  const restored = await restoreInternalAdminById(id, actor);
+  return withoutPassword(restored);
+};
 
-    // Populate person data for each admin
-    const adminsWithPersonData = await Promise.all(
-      admins.map(async (admin) => {
-        if (admin.personId) {
-          try {
-            const person = await getPersonById(admin.personId);
-            if (person) {
-              // Add person data to admin object for frontend compatibility
-              admin.firstName = person.firstName;
-              admin.lastName = person.surname;
-              admin.fullName = `${person.firstName} ${person.surname}`.trim();
-              admin.name = admin.fullName;
-              admin.email = person.email || admin.accessDetails?.email;
-              // Keep original person data in personalInfo for search compatibility
-              admin.personalInfo = {
-                firstName: person.firstName,
-                lastName: person.surname,
-                fullName: admin.fullName,
-                email: person.email || admin.accessDetails?.email,
-              };
-            }
-          } catch (error) {
-            console.warn(
-              `Failed to load person data for admin ${admin.id}, personId: ${admin.personId}`,
-              error
-            );
-            // Fallback to using email from accessDetails if person lookup fails
-            admin.email = admin.accessDetails?.email;
-            admin.name = admin.email || "Unknown";
+// Permanently delete a trashed internal admin service
+export const purgeInternalAdminByIdService = async (id) => {
+  await purgeInternalAdminById(id);
+  return true;
+};
+
+// Query planner configuration for internal admin lists
+const ADMIN_QUERY_FIELD_MAP = {
+  createdAt: "created.when",
+  updatedAt: "updated.when",
+};
+const ADMIN_NATIVE_SORT_FIELDS = ["created.when", "updated.when"];
+const ADMIN_SEARCH_FIELDS = [
+  "personalInfo.firstName",
+  "personalInfo.lastName",
+  "personalInfo.fullName",
+  "personalInfo.email",
+  "firstName",
+  "lastName",
+  "fullName",
+  "name",
+  "email",
+  "roles",
+];
+
+// Populate person data for each admin (frontend and search compatibility)
+const populateAdminPersonData = (admins) =>
+  Promise.all(
+    admins.map(async (admin) => {
+      if (admin.personId) {
+        try {
+          const person = await getPersonById(admin.personId);
+          if (person) {
+            // Add person data to admin object for frontend compatibility
+            admin.firstName = person.firstName;
+            admin.lastName = person.surname;
+            admin.fullName = `${person.firstName} ${person.surname}`.trim();
+            admin.name = admin.fullName;
+            admin.email = person.email || admin.accessDetails?.email;
+            // Keep original person data in personalInfo for search compatibility
+            admin.personalInfo = {
+              firstName: person.firstName,
+              lastName: person.surname,
+              fullName: admin.fullName,
+              email: person.email || admin.accessDetails?.email,
+            };
           }
-        } else {
-          // Fallback for admins without personId
+        } catch (error) {
+          console.warn(
+            `Failed to load person data for admin ${admin.id}, personId: ${admin.personId}`,
+            error
+          );
+          // Fallback to using email from accessDetails if person lookup fails
           admin.email = admin.accessDetails?.email;
           admin.name = admin.email || "Unknown";
         }
-        return admin;
-      })
-    );
+      } else {
+        // Fallback for admins without personId
+        admin.email = admin.accessDetails?.email;
+        admin.name = admin.email || "Unknown";
+      }
+      return admin;
+    })
+  );
 
-    // Update admins array with populated data
-    admins = adminsWithPersonData;
+// List all internal admins service
+export const listInternalAdminsService = async (queryParams = {}) => {
+  try {
+    // Admin documents use 'created.when' not 'createdAt'; the planner maps
+    // the field and runs filters/sort/pagination natively where possible.
+    // Person data is only populated for the returned page unless a text
+    // search forces in-memory processing.
+    const result = await executeQuery(
+      db.collection(platformPath("admins")),
+      queryParams,
+      {
+        fieldMap: ADMIN_QUERY_FIELD_MAP,
+        nativeSortFields: ADMIN_NATIVE_SORT_FIELDS,
+        defaultSort: { field: "created.when", order: "desc" },
+        searchFields: ADMIN_SEARCH_FIELDS,
+        hydrate: populateAdminPersonData,
+      }
+    );
 
-    // Apply search if specified
-    if (queryParams.q) {
-      const searchFields = queryParams.searchFields || [
-        "personalInfo.firstName",
-        "personalInfo.lastName",
-        "personalInfo.fullName",
-        "personalInfo.email",
-        "firstName",
-        "lastName",
-        "fullName",
-        "name",
-        "email",
-        "roles",
-      ];
-      admins = applySearch(admins, queryParams.q, searchFields);
-    }
+    let admins = result.data;
 
     // Apply field selection
-    if (queryParams.fields || queryParams.exclude) {
-      admins = applyFieldSelection(admins, queryParams);
+    if (queryParams.fields) {
+      admins = applyFieldSelection(admins, queryParams.fields);
     }
 
     // Remove passwords from all responses
@@ -404,20 +452,9 @@ export const listInternalAdminsService = async (queryParams = {}) => {
       };
     });
 
-    // Create pagination metadata
-    const page = queryParams.page || 1;
-    const limit = queryParams.limit || 20;
-    const total = admins.length;
-    const pagination = createPaginationMeta(page, limit, total);
-
-    // Apply pagination to results
-    const startIndex = (pagination.page - 1) * pagination.limit;
-    const endIndex = startIndex + pagination.limit;
-    const paginatedAdmins = admins.slice(startIndex, endIndex);
-
     return {
-      data: paginatedAdmins,
-      pagination,
+      data: admins,
+      pagination: result.pagination,
     };
   } catch (error) {
     console.error("Error in listInternalAdminsService:", error);
@@ -693,53 +730,45 @@ export const getInternalAdminsStatsService = async (queryParams = {}) => {
 };
 
 // Login service
-export const loginInternalAdminService = async (email, password) => {
-  console.log("🔐 Internal Admin Login attempt:", {
-    email,
-    passwordLength: password?.length,
-  });
-  console.log("🌍 Environment check:", {
-    NODE_ENV: process.env.NODE_ENV,
-    trimmed: (process.env.NODE_ENV || "").trim(),
-  });
-
-  let admin = await getInternalAdminByEmail(email);
-  console.log("👤 Admin lookup result:", { found: !!admin, email });
+/**
+ * Login internal admin service: checks the password, with lockout and
+ * login history (see login.security)
+ * @param {string} email
+ * @param {string} password
+ * @param {Object} client - { ip, userAgent }
+ */
+export const loginInternalAdminService = async (email, password, client) => {
+  const admin = await getInternalAdminByEmail(email);
+  const attempt = { tenantId: null, email, account: admin, client };
 
   if (!admin) {
-    console.log("❌ Admin not found");
-    throw new Error("Invalid credentials");
+    throw await loginFailure(attempt, LOGIN_OUTCOMES.UNKNOWN_ACCOUNT);
   }
 
-  console.log("🔍 Admin found, checking active status:", {
-    isActive: admin.account?.isActive?.value,
-  });
+  await assertNotLocked(attempt);
+
   if (!admin.account.isActive.value) {
-    console.log("❌ Account is not active");
-    throw new Error("Account is not active");
+    throw await loginFailure(attempt, LOGIN_OUTCOMES.INACTIVE);
   }
 
-  console.log("🔒 Verifying password...");
-  console.log("🔍 Admin password field:", {
-    hasPassword: !!admin.accessDetails?.password,
-    passwordType: typeof admin.accessDetails?.password,
-    passwordSample: admin.accessDetails?.password?.substring(0, 10) + "...",
-  });
-
   const isValidPassword = verifyPassword(
     password,
     admin.accessDetails.password
   );
-  console.log("🔐 Password verification result:", { isValid: isValidPassword });
 
   if (!isValidPassword) {
-    console.log("❌ Password verification failed");
-    throw new Error("Invalid credentials");
+    throw await loginFailure(attempt, LOGIN_OUTCOMES.INVALID_PASSWORD);
   }
 
-  // Update last login
+  await recordLoginSuccess(attempt);
+
+  // Update last login (recent ones only; the full history is kept by
+  // login.security)
   const loginTime = new Date().toISOString();
-  admin.accessDetails.lastLogin.push(loginTime);
+  admin.accessDetails.lastLogin = [
+    ...(admin.accessDetails.lastLogin || []),
+    loginTime,
+  ].slice(-LAST_LOGINS_KEPT);
 
   await updateInternalAdminById(admin.id, admin);
 
@@ -798,6 +827,9 @@ export const deactivateInternalAdminService = async (id, actor) => {
 
   const deactivatedAdmin = await deactivateInternalAdminById(id, change);
 
+  // Signed-in sessions end now, not when their tokens expire
+  await revokeAccountSessions(null, id, actor, REVOKE_REASONS.DEACTIVATED);
+
   // Remove password from response
   const {
     accessDetails: { password, ...accessWithoutPassword },
@@ -44,6 +44,14 @@ export const InternalAdminSchema = z.object({
 // Update schema (partial of creation schema)
 export const InternalAdminUpdateSchema = InternalAdminSchema.partial();
 
+// Invitation: no password, the invitee sets their own (see account.link)
+export const InternalAdminInviteSchema = InternalAdminSchema.pick({
+  roles: true,
+  personId: true,
+}).extend({
+  accessDetails: InternalAdminSchema.shape.accessDetails.pick({ email: true }),
+});
+
 // Login schema
 export const InternalAdminLoginSchema = z.object({
   email: z
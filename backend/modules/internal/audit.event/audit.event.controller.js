@@ -0,0 +1,67 @@
+import { z } from "zod";
+import {
+  AuditEventQuerySchema,
+  AuditEventExportSchema,
+} from "./audit.event.validation.js";
+import {
+  listAuditEvents,
+  getAuditEvent,
+  exportAuditEvents,
+  toExportRow,
+} from "./audit.event.service.js";
+import {
+  sendSuccess,
+  sendList,
+  handleZodError,
+} from "../../../utilities/response.util.js";
+import { createExportResponse } from "../../../utilities/query.util.js";
+
+// GET /internal/audit-events - filtered, newest first
+export async function listAuditEventsHandler(req, res, next) {
+  try {
+    const filters = AuditEventQuerySchema.parse(req.query || {});
+    const { items, nextCursor } = await listAuditEvents(filters);
+    return sendList(
+      res,
+      items,
+      { limit: filters.limit, nextCursor, hasMore: !!nextCursor },
+      "Audit events retrieved successfully"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET /internal/audit-events/export - CSV or JSON download
+export async function exportAuditEventsHandler(req, res, next) {
+  try {
+    const { format, ...filters } = AuditEventExportSchema.parse(
+      req.query || {}
+    );
+    const { events, truncated } = await exportAuditEvents(filters);
+    const exportResponse = createExportResponse(
+      format === "csv" ? events.map(toExportRow) : events,
+      format,
+      "audit-events"
+    );
+
+    res.setHeader("Content-Type", exportResponse.contentType);
+    res.setHeader("Content-Disposition", exportResponse.disposition);
+    if (truncated) res.setHeader("X-Export-Truncated", "true");
+    return res.send(exportResponse.content);
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET /internal/audit-events/:id - one event with its full diff
+export async function getAuditEventHandler(req, res, next) {
+  try {
+    const event = await getAuditEvent(req.params.id);
+    return sendSuccess(res, event, "Audit event retrieved successfully");
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,50 @@
+import { db } from "../../../services/firestore.client.js";
+import { platformPath } from "../../../utilities/country-context.util.js";
+
+// Written by utilities/audit.util.js; this module only reads
+function auditCol() {
+  return db.collection(platformPath("auditEvents"));
+}
+
+// Query field for each equality filter
+const EQUALITY_FILTERS = {
+  actor: "actorId",
+  resourceType: "resourceType",
+  resourceId: "resourceId",
+  tenantId: "tenantId",
+  action: "action",
+  outcome: "outcome",
+};
+
+/**
+ * One page of audit events, newest first
+ * @param {Object} filters - See AuditEventQuerySchema
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export async function queryAuditEvents(filters = {}) {
+  let query = auditCol();
+  for (const [param, field] of Object.entries(EQUALITY_FILTERS)) {
+    if (filters[param]) query = query.where(field, "==", filters[param]);
+  }
+  if (filters.from) query = query.where("at", ">=", filters.from);
+  if (filters.to) query = query.where("at", "<=", filters.to);
+  query = query.orderBy("at", "desc");
+
+  if (filters.cursor) {
+    const last = await auditCol().doc(filters.cursor).get();
+    if (last.exists) query = query.startAfter(last);
+  }
+
+  const limit = filters.limit || 50;
+  const snapshot = await query.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+  return {
+    items: docs.map((doc) => doc.data()),
+    nextCursor: snapshot.size > limit ? docs[docs.length - 1].id : null,
+  };
+}
+
+export async function getAuditEventById(id) {
+  const snap = await auditCol().doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
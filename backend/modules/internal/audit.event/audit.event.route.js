@@ -0,0 +1,36 @@
+import express from "express";
+import { authenticateJWT } from "../../../middleware/auth.middleware.js";
+import { checkPermissions } from "../../../middleware/permission.middleware.js";
+import {
+  listAuditEventsHandler,
+  exportAuditEventsHandler,
+  getAuditEventHandler,
+} from "./audit.event.controller.js";
+
+const router = express.Router();
+
+// Filter by actor, resourceType, resourceId, tenantId, action, outcome and
+// a from/to date range; cursor pagination
+router.get(
+  "/internal/audit-events",
+  authenticateJWT,
+  checkPermissions("audit.read", "all.access"),
+  listAuditEventsHandler
+);
+
+// Same filters, as a CSV (one row per event) or JSON download
+router.get(
+  "/internal/audit-events/export",
+  authenticateJWT,
+  checkPermissions("audit.export", "all.access"),
+  exportAuditEventsHandler
+);
+
+router.get(
+  "/internal/audit-events/:id",
+  authenticateJWT,
+  checkPermissions("audit.read", "all.access"),
+  getAuditEventHandler
+);
+
+export default router;
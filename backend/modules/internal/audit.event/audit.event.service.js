@@ -0,0 +1,81 @@
+import {
+  queryAuditEvents,
+  getAuditEventById,
+} from "./audit.event.firestore.js";
+import { NotFoundError } from "../../../utilities/error-handler.util.js";
+
+// Upper bound for one export; narrow the filters for more
+const MAX_EXPORT_EVENTS = 10000;
+const EXPORT_PAGE_SIZE = 200;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Events store ISO timestamps; a bare `to` date includes that whole day
+function normalizeRange(filters) {
+  const out = { ...filters };
+  if (filters.from) out.from = new Date(filters.from).toISOString();
+  if (filters.to) {
+    const to = new Date(filters.to);
+    if (DATE_ONLY.test(filters.to)) to.setUTCHours(23, 59, 59, 999);
+    out.to = to.toISOString();
+  }
+  return out;
+}
+
+/**
+ * List audit events, newest first, with cursor pagination
+ * @param {Object} filters - actor, resourceType, resourceId, tenantId, action,
+ *   outcome, from, to, limit, cursor
+ */
+export async function listAuditEvents(filters = {}) {
+  return queryAuditEvents(normalizeRange(filters));
+}
+
+export async function getAuditEvent(id) {
+  const event = await getAuditEventById(id);
+  if (!event) throw new NotFoundError("Audit event");
+  return event;
+}
+
+/**
+ * Every event matching the filters (up to MAX_EXPORT_EVENTS)
+ * @returns {Promise<{events: Array, truncated: boolean}>}
+ */
+export async function exportAuditEvents(filters = {}) {
+  const events = [];
+  let cursor;
+  do {
+    const page = await queryAuditEvents({
+      ...normalizeRange(filters),
+      limit: EXPORT_PAGE_SIZE,
+      cursor,
+    });
+    events.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor && events.length < MAX_EXPORT_EVENTS);
+
+  return {
+    events: events.slice(0, MAX_EXPORT_EVENTS),
+    truncated: !!cursor || events.length > MAX_EXPORT_EVENTS,
+  };
+}
+
+/**
+ * Flat CSV row for an event (one row per event, changed fields listed)
+ */
+export function toExportRow(event) {
+  return {
+    id: event.id,
+    at: event.at,
+    action: event.action,
+    outcome: event.outcome,
+    resourceType: event.resource?.type || "",
+    resourceId: event.resource?.id || "",
+    tenantId: event.tenantId || "",
+    actorId: event.actor?.id || "",
+    actorEmail: event.actor?.email || "",
+    ip: event.request?.ip || "",
+    userAgent: event.request?.userAgent || "",
+    changedFields: (event.changes || []).map((c) => c.field).join("; "),
+  };
+}
@@ -0,0 +1,31 @@
+import { z } from "zod";
+
+// Accepts a date (2025-01-31) or a full ISO timestamp
+const dateBound = z
+  .string()
+  .refine((value) => !Number.isNaN(Date.parse(value)), {
+    message: "Must be an ISO date or timestamp",
+  });
+
+/**
+ * Filters for listing and exporting audit events
+ */
+export const AuditEventQuerySchema = z.object({
+  actor: z.string().min(1).optional(),
+  resourceType: z.string().min(1).optional(),
+  resourceId: z.string().min(1).optional(),
+  tenantId: z.string().min(1).optional(),
+  action: z.string().min(1).optional(),
+  outcome: z.enum(["success", "failure"]).optional(),
+  from: dateBound.optional(),
+  to: dateBound.optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  cursor: z.string().min(1).optional(),
+});
+
+export const AuditEventExportSchema = AuditEventQuerySchema.omit({
+  limit: true,
+  cursor: true,
+}).extend({
+  format: z.enum(["csv", "json"]).default("csv"),
+});
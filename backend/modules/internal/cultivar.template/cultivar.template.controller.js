@@ -8,6 +8,9 @@ import {
   getTemplateById,
   updateTemplateById,
   deleteTemplateById,
+  listTrashedTemplates,
+  restoreTemplateById,
+  purgeTemplateById,
   getAllTemplates,
   listTemplatesService,
   searchTemplatesService,
@@ -17,11 +20,16 @@ import {
 } from "./cultivar.template.service.js";
 import {
   sendSuccess,
+  sendList,
   sendError,
   sendValidationError,
   sendNotFound,
   handleZodError,
 } from "../../../utilities/response.util.js";
+import {
+  expectedVersionFrom,
+  setETag,
+} from "../../../utilities/concurrency.util.js";
 
 /**
  * Create a new cultivar template
@@ -64,6 +72,7 @@ export const getCultivarTemplate = async (req, res, next) => {
       return sendNotFound(res, "Template not found");
     }
 
+    setETag(res, template);
     return sendSuccess(
       res,
       template,
@@ -88,7 +97,13 @@ export const updateCultivarTemplate = async (req, res, next) => {
     const actor = validateActor(req);
 
     // Update template
-    const template = await updateTemplateById(id, validatedData, actor);
+    const template = await updateTemplateById(
+      id,
+      validatedData,
+      actor,
+      expectedVersionFrom(req)
+    );
+    setETag(res, template);
 
     return sendSuccess(res, template, "Cultivar template updated successfully");
   } catch (error) {
@@ -108,8 +123,9 @@ export const updateCultivarTemplate = async (req, res, next) => {
 export const deleteCultivarTemplate = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const actor = validateActor(req);
 
-    await deleteTemplateById(id);
+    await deleteTemplateById(id, actor);
 
     return sendSuccess(
       res,
@@ -124,6 +140,50 @@ export const deleteCultivarTemplate = async (req, res, next) => {
   }
 };
 
+/**
+ * List trashed cultivar templates
+ */
+export const getTrashedCultivarTemplates = async (req, res, next) => {
+  try {
+    const { items, nextCursor } = await listTrashedTemplates(req.query);
+    return sendList(
+      res,
+      items,
+      { limit: items.length, nextCursor },
+      "Trashed templates retrieved successfully"
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore cultivar template from the trash
+ */
+export const restoreCultivarTemplate = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const template = await restoreTemplateById(id, validateActor(req));
+    setETag(res, template);
+    return sendSuccess(res, template, "Template restored successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Permanently delete a trashed cultivar template
+ */
+export const purgeCultivarTemplate = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await purgeTemplateById(id);
+    return sendSuccess(res, { id }, "Template permanently deleted");
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all cultivar templates with comprehensive query support
  */
@@ -267,7 +327,13 @@ export const patchCultivarTemplate = async (req, res, next) => {
     const actor = req.admin?.id || req.user?.id || req.user?.email || "system";
 
     // Update template
-    const updatedTemplate = await updateTemplate(id, validatedData, actor);
+    const updatedTemplate = await updateTemplateById(
+      id,
+      validatedData,
+      actor,
+      expectedVersionFrom(req)
+    );
+    setETag(res, updatedTemplate);
 
     return sendSuccess(
       res,
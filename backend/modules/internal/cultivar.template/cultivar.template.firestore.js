@@ -1,8 +1,25 @@
 import { db } from "../../../services/firestore.client.js";
+import { updateWithVersion } from "../../../utilities/concurrency.util.js";
+import {
+  APIError,
+  NotFoundError,
+  ConflictError,
+} from "../../../utilities/error-handler.util.js";
+import {
+  deletionStamp,
+  listTrash,
+  purgeFromTrash,
+  trashCollectionPath,
+} from "../../../utilities/soft-delete.util.js";
 
 const COLLECTION_PATH = "touchAfrica";
 const DOCUMENT_PATH = "templates";
 
+// Templates are map entries of one document, so trashed templates go to a
+// subcollection of it: touchAfrica/templates/templatesTrash/{id}
+const TEMPLATES_PATH = `${COLLECTION_PATH}/${DOCUMENT_PATH}/templates`;
+const TRASH_PATH = trashCollectionPath(TEMPLATES_PATH);
+
 /**
  * Create a new cultivar template
  * @param {Object} model - The cultivar template data
@@ -58,9 +75,14 @@ export const getCultivarTemplateById = async (id) => {
  * Update cultivar template by ID
  * @param {string} id - Template ID
  * @param {Object} updateData - Data to update
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
  * @returns {Promise<Object>} Updated template
  */
-export const updateCultivarTemplateById = async (id, updateData) => {
+export const updateCultivarTemplateById = async (
+  id,
+  updateData,
+  expectedVersion = null
+) => {
   try {
     const docRef = db.doc(`${COLLECTION_PATH}/${DOCUMENT_PATH}`);
     const doc = await docRef.get();
@@ -74,55 +96,103 @@ export const updateCultivarTemplateById = async (id, updateData) => {
       throw new Error("Template not found");
     }
 
-    // Merge the update data with existing template
-    const updatedTemplate = {
-      ...data[id],
-      ...updateData,
-    };
-
-    const updatedData = {
-      ...data,
-      [id]: updatedTemplate,
-    };
-
-    await docRef.set(updatedData, { merge: true });
-    return updatedTemplate;
+    // Templates share one document, so each keeps its own version under
+    // `<id>.recordVersion`; merge the update data with the existing template
+    const { patch } = await updateWithVersion(
+      docRef,
+      (current) => ({ [id]: { ...current[id], ...updateData } }),
+      {
+        expected: expectedVersion,
+        versionField: `${id}.recordVersion`,
+        method: "set",
+        resource: "Templates document",
+      }
+    );
+    return patch[id];
   } catch (error) {
     console.error("Error updating cultivar template:", error);
+    if (error instanceof APIError) throw error;
     throw new Error(`Failed to update cultivar template: ${error.message}`);
   }
 };
 
 /**
- * Delete cultivar template by ID
+ * Delete cultivar template by ID (soft delete - moves it to the trash)
  * @param {string} id - Template ID
+ * @param {string} actor - User deleting the template
  * @returns {Promise<boolean>} Success status
  */
-export const deleteCultivarTemplateById = async (id) => {
+export const deleteCultivarTemplateById = async (id, actor) => {
   try {
     const docRef = db.doc(`${COLLECTION_PATH}/${DOCUMENT_PATH}`);
-    const doc = await docRef.get();
+    const trashRef = db.collection(TRASH_PATH).doc(id);
 
-    if (!doc.exists) {
-      throw new Error("Templates document not found");
-    }
-
-    const data = doc.data();
-    if (!data[id]) {
-      throw new Error("Template not found");
-    }
+    await db.runTransaction(async (tx) => {
+      const doc = await tx.get(docRef);
+      const data = doc.exists ? doc.data() : {};
+      if (!data[id]) {
+        throw new NotFoundError("Template");
+      }
 
-    // Remove the template from the data
-    const { [id]: removed, ...remainingData } = data;
+      // Remove the template from the data
+      const { [id]: removed, ...remainingData } = data;
 
-    await docRef.set(remainingData, { merge: false });
+      tx.set(trashRef, { ...removed, deleted: deletionStamp(actor) });
+      tx.set(docRef, remainingData, { merge: false });
+    });
     return true;
   } catch (error) {
     console.error("Error deleting cultivar template:", error);
+    if (error instanceof APIError) throw error;
     throw new Error(`Failed to delete cultivar template: ${error.message}`);
   }
 };
 
+/**
+ * List trashed cultivar templates, most recently deleted first
+ * @param {Object} options - { limit, cursor }
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export const listTrashedCultivarTemplates = async (options = {}) => {
+  return listTrash(TEMPLATES_PATH, options);
+};
+
+/**
+ * Restore a trashed cultivar template
+ * @param {string} id - Template ID
+ * @param {string} actor - User restoring the template
+ * @returns {Promise<Object>} Restored template
+ */
+export const restoreCultivarTemplateById = async (id, actor) => {
+  const docRef = db.doc(`${COLLECTION_PATH}/${DOCUMENT_PATH}`);
+  const trashRef = db.collection(TRASH_PATH).doc(id);
+
+  return db.runTransaction(async (tx) => {
+    const trashSnap = await tx.get(trashRef);
+    if (!trashSnap.exists) throw new NotFoundError("Template in trash");
+
+    const doc = await tx.get(docRef);
+    if (doc.exists && doc.data()[id]) {
+      throw new ConflictError(`Template with ID ${id} already exists`);
+    }
+
+    const { deleted: _deleted, ...template } = trashSnap.data();
+    const restored = { ...template, restored: deletionStamp(actor) };
+    tx.set(docRef, { [id]: restored }, { merge: true });
+    tx.delete(trashRef);
+    return restored;
+  });
+};
+
+/**
+ * Permanently delete a trashed cultivar template
+ * @param {string} id - Template ID
+ * @returns {Promise<Object>} Purged template
+ */
+export const purgeCultivarTemplateById = async (id) => {
+  return purgeFromTrash(TEMPLATES_PATH, id, { resource: "Template" });
+};
+
 /**
  * Get all cultivar templates
  * @returns {Promise<Array>} Array of all templates
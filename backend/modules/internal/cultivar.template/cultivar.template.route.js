@@ -14,15 +14,26 @@ import {
   updateCultivarTemplate,
   patchCultivarTemplate,
   deleteCultivarTemplate,
+  getTrashedCultivarTemplates,
+  restoreCultivarTemplate,
+  purgeCultivarTemplate,
   getAllCultivarTemplates,
   searchCultivarTemplates,
   bulkCultivarTemplates,
   exportCultivarTemplates,
   getCultivarTemplatesStats,
 } from "./cultivar.template.controller.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+import { getCultivarTemplateById } from "./cultivar.template.firestore.js";
 
 const router = express.Router();
 
+const auditTemplate = (action) =>
+  audit("cultivarTemplate", {
+    action,
+    load: (id) => getCultivarTemplateById(id),
+  });
+
 // Authorization roles for cultivar template operations
 // Permissions defined in route handlers directly
 
@@ -31,9 +42,36 @@ router.post(
   "/internal/cultivar-templates",
   authenticateJWT,
   checkPermissions("admin.create"),
+  auditTemplate(),
   createCultivarTemplate
 );
 
+// GET /internal/cultivar-templates/trash - List soft-deleted templates
+router.get(
+  "/internal/cultivar-templates/trash",
+  authenticateJWT,
+  checkPermissions("admin.restore"),
+  getTrashedCultivarTemplates
+);
+
+// DELETE /internal/cultivar-templates/trash/:id - Permanently delete a trashed template
+router.delete(
+  "/internal/cultivar-templates/trash/:id",
+  authenticateJWT,
+  checkPermissions("admin.purge"),
+  auditTemplate("purge"),
+  purgeCultivarTemplate
+);
+
+// POST /internal/cultivar-templates/:id/restore - Restore a soft-deleted template
+router.post(
+  "/internal/cultivar-templates/:id/restore",
+  authenticateJWT,
+  checkPermissions("admin.restore"),
+  auditTemplate("restore"),
+  restoreCultivarTemplate
+);
+
 // GET /internal/cultivar-templates/:id - Get template by ID
 router.get(
   "/internal/cultivar-templates/:id",
@@ -47,6 +85,7 @@ router.put(
   "/internal/cultivar-templates/:id",
   authenticateJWT,
   checkPermissions("admin.update"),
+  auditTemplate(),
   updateCultivarTemplate
 );
 
@@ -55,6 +94,7 @@ router.patch(
   "/internal/cultivar-templates/:id",
   authenticateJWT,
   checkPermissions("admin.update"),
+  auditTemplate(),
   patchCultivarTemplate
 );
 
@@ -63,6 +103,7 @@ router.delete(
   "/internal/cultivar-templates/:id",
   authenticateJWT,
   checkPermissions("admin.delete"),
+  auditTemplate(),
   deleteCultivarTemplate
 );
 
@@ -116,6 +157,7 @@ router.post(
   "/internal/cultivar-templates/bulk",
   authenticateJWT,
   checkPermissions("admin.update"),
+  auditTemplate("bulk"),
   bulkCultivarTemplates
 );
 
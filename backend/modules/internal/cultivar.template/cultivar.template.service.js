@@ -3,6 +3,9 @@ import {
   getCultivarTemplateById,
   updateCultivarTemplateById,
   deleteCultivarTemplateById,
+  listTrashedCultivarTemplates,
+  restoreCultivarTemplateById,
+  purgeCultivarTemplateById,
   getAllCultivarTemplates,
 } from "./cultivar.template.firestore.js";
 import { newCultivarTemplateId } from "./cultivar.template.validation.js";
@@ -57,9 +60,15 @@ export const getTemplateById = async (id) => {
  * @param {string} id - Template ID
  * @param {Object} updateData - Data to update
  * @param {string} actor - User performing the action
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
  * @returns {Promise<Object>} Updated template
  */
-export const updateTemplateById = async (id, updateData, actor) => {
+export const updateTemplateById = async (
+  id,
+  updateData,
+  actor,
+  expectedVersion = null
+) => {
   const timestamp = new Date().toISOString();
 
   const dataWithMetadata = {
@@ -70,16 +79,52 @@ export const updateTemplateById = async (id, updateData, actor) => {
     },
   };
 
-  return await updateCultivarTemplateById(id, dataWithMetadata);
+  return await updateCultivarTemplateById(
+    id,
+    dataWithMetadata,
+    expectedVersion
+  );
 };
 
 /**
- * Delete template by ID
+ * Delete template by ID (soft delete)
  * @param {string} id - Template ID
+ * @param {string} actor - User deleting the template
  * @returns {Promise<boolean>} Success status
  */
-export const deleteTemplateById = async (id) => {
-  return await deleteCultivarTemplateById(id);
+export const deleteTemplateById = async (id, actor) => {
+  return await deleteCultivarTemplateById(id, actor);
+};
+
+/**
+ * List trashed templates
+ * @param {Object} queryParams - { limit, cursor }
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export const listTrashedTemplates = async (queryParams = {}) => {
+  return await listTrashedCultivarTemplates({
+    limit: queryParams.limit,
+    cursor: queryParams.cursor,
+  });
+};
+
+/**
+ * Restore template from the trash
+ * @param {string} id - Template ID
+ * @param {string} actor - User restoring the template
+ * @returns {Promise<Object>} Restored template
+ */
+export const restoreTemplateById = async (id, actor) => {
+  return await restoreCultivarTemplateById(id, actor);
+};
+
+/**
+ * Permanently delete a trashed template
+ * @param {string} id - Template ID
+ * @returns {Promise<Object>} Purged template
+ */
+export const purgeTemplateById = async (id) => {
+  return await purgeCultivarTemplateById(id);
 };
 
 /**
@@ -243,7 +288,7 @@ export async function bulkTemplatesService(operation, data) {
       case "delete":
         for (const templateId of data) {
           try {
-            await deleteTemplateById(templateId);
+            await deleteTemplateById(templateId, "bulk_operation");
             results.push({
               operation: "delete",
               success: true,
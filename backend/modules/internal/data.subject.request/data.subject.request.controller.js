@@ -0,0 +1,149 @@
+import { z } from "zod";
+import {
+  CreateDataSubjectRequestSchema,
+  DataSubjectRequestDecisionSchema,
+  DataSubjectRequestQuerySchema,
+  ExecuteErasureSchema,
+} from "./data.subject.request.validation.js";
+import {
+  createDataSubjectRequestRecord,
+  listDataSubjectRequestRecords,
+  getDataSubjectRequestRecord,
+  approveDataSubjectRequest,
+  rejectDataSubjectRequest,
+  buildAccessReport,
+  executeErasure,
+  getErasureCertificate,
+} from "./data.subject.request.service.js";
+import { auditActor } from "../../../utilities/audit.util.js";
+import {
+  sendSuccess,
+  sendList,
+  sendValidationError,
+  handleZodError,
+} from "../../../utilities/response.util.js";
+
+function actorFrom(req) {
+  const { id, email, type } = auditActor(req.admin || req.user);
+  return { id, email, type };
+}
+
+// POST /internal/data-subject-requests - log a request
+export async function createDataSubjectRequestHandler(req, res, next) {
+  try {
+    const data = CreateDataSubjectRequestSchema.parse(req.body || {});
+    const request = await createDataSubjectRequestRecord(data, actorFrom(req));
+    return sendSuccess(res, request, "Data subject request logged", 201);
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET /internal/data-subject-requests - soonest deadline first
+export async function listDataSubjectRequestsHandler(req, res, next) {
+  try {
+    const filters = DataSubjectRequestQuerySchema.parse(req.query || {});
+    const requests = await listDataSubjectRequestRecords(filters);
+    return sendList(
+      res,
+      requests,
+      { total: requests.length },
+      "Data subject requests retrieved successfully"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET /internal/data-subject-requests/:id - request with its history
+export async function getDataSubjectRequestHandler(req, res, next) {
+  try {
+    const request = await getDataSubjectRequestRecord(req.params.id);
+    return sendSuccess(res, request, "Data subject request retrieved");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /internal/data-subject-requests/:id/approve
+export async function approveDataSubjectRequestHandler(req, res, next) {
+  try {
+    const { note } = DataSubjectRequestDecisionSchema.parse(req.body || {});
+    const request = await approveDataSubjectRequest(
+      req.params.id,
+      actorFrom(req),
+      note
+    );
+    return sendSuccess(res, request, "Data subject request approved");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST /internal/data-subject-requests/:id/reject
+export async function rejectDataSubjectRequestHandler(req, res, next) {
+  try {
+    const { note } = DataSubjectRequestDecisionSchema.parse(req.body || {});
+    const request = await rejectDataSubjectRequest(
+      req.params.id,
+      actorFrom(req),
+      note
+    );
+    return sendSuccess(res, request, "Data subject request rejected");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET /internal/data-subject-requests/:id/report - access report download
+export async function downloadAccessReportHandler(req, res, next) {
+  try {
+    const { filename, report } = await buildAccessReport(
+      req.params.id,
+      actorFrom(req)
+    );
+    res.setHeader("Content-Type", "application/json");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename}"`
+    );
+    return res.send(JSON.stringify(report, null, 2));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /internal/data-subject-requests/:id/erasure - run an approved erasure
+export async function executeErasureHandler(req, res, next) {
+  try {
+    const { id } = req.params;
+    const parsed = ExecuteErasureSchema.parse(req.body || {});
+    if (parsed.confirm !== id) {
+      return sendValidationError(
+        res,
+        "Confirmation does not match the request ID",
+        { confirm: `Send "confirm": "${id}" to erase this subject's data` }
+      );
+    }
+
+    const request = await executeErasure(id, actorFrom(req));
+    return sendSuccess(res, request, "Erasure completed");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET /internal/data-subject-requests/:id/certificate
+export async function getErasureCertificateHandler(req, res, next) {
+  try {
+    const certificate = await getErasureCertificate(req.params.id);
+    return sendSuccess(res, certificate, "Erasure certificate retrieved");
+  } catch (err) {
+    next(err);
+  }
+}
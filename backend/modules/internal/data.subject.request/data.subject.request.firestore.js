@@ -0,0 +1,105 @@
+import { db } from "../../../services/firestore.client.js";
+import { platformPath } from "../../../utilities/country-context.util.js";
+import { iterateCollection } from "../../../utilities/collection-tree.util.js";
+
+// Firestore caps "in" filters at 30 values
+const IN_LIMIT = 30;
+
+// Platform-wide: requests and the certificates issued for erasures
+function requestsCol() {
+  return db.collection(platformPath("dataSubjectRequests"));
+}
+
+function certificatesCol() {
+  return db.collection(platformPath("erasureCertificates"));
+}
+
+export async function createDataSubjectRequest(model) {
+  await requestsCol().doc(model.id).set(model);
+  return model;
+}
+
+export async function getDataSubjectRequestById(id) {
+  const snap = await requestsCol().doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
+
+// update(), not a merge: fields given (e.g. the subject) are replaced whole
+export async function updateDataSubjectRequestById(id, data) {
+  await requestsCol().doc(id).update(data);
+}
+
+/**
+ * Requests, oldest deadline first
+ * @param {Object} filters - { status, type }
+ */
+export async function listDataSubjectRequests(filters = {}) {
+  let query = requestsCol();
+  if (filters.status) query = query.where("status", "==", filters.status);
+  if (filters.type) query = query.where("type", "==", filters.type);
+  const snapshot = await query.orderBy("dueAt", "asc").get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+// Certificates are write-once: create() fails if the id already exists
+export async function createErasureCertificate(certificate) {
+  await certificatesCol().doc(certificate.id).create(certificate);
+  return certificate;
+}
+
+export async function getErasureCertificateById(id) {
+  const snap = await certificatesCol().doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
+
+/**
+ * Documents of a collection whose field matches any of the values
+ * @param {string} collectionPath
+ * @param {string} field
+ * @param {Array} values - Empty values are ignored
+ * @returns {Promise<Array<FirebaseFirestore.DocumentSnapshot>>}
+ */
+export async function findDocumentsByField(collectionPath, field, values) {
+  const wanted = [...new Set(values.filter(Boolean))];
+  const docs = [];
+  for (let i = 0; i < wanted.length; i += IN_LIMIT) {
+    const snapshot = await db
+      .collection(collectionPath)
+      .where(field, "in", wanted.slice(i, i + IN_LIMIT))
+      .get();
+    docs.push(...snapshot.docs);
+  }
+  return docs;
+}
+
+export async function getDocumentSnapshot(collectionPath, id) {
+  const snap = await db.collection(collectionPath).doc(id).get();
+  return snap.exists ? snap : null;
+}
+
+/**
+ * Documents of a collection whose text field equals the value, ignoring
+ * case and surrounding spaces. Stored values (emails) aren't normalised,
+ * so an equality query can't find them all: the collection is read page
+ * by page instead
+ * @param {string} collectionPath
+ * @param {string} field
+ * @param {string} value - Nothing is returned when empty
+ * @returns {Promise<Array<FirebaseFirestore.DocumentSnapshot>>}
+ */
+export async function findDocumentsByFieldIgnoringCase(
+  collectionPath,
+  field,
+  value
+) {
+  if (!value) return [];
+  const wanted = value.trim().toLowerCase();
+  const docs = [];
+  for await (const doc of iterateCollection(db.collection(collectionPath))) {
+    const stored = doc.get(field);
+    if (typeof stored === "string" && stored.trim().toLowerCase() === wanted) {
+      docs.push(doc);
+    }
+  }
+  return docs;
+}
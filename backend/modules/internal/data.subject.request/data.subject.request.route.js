@@ -0,0 +1,93 @@
+import express from "express";
+import { authenticateJWT } from "../../../middleware/auth.middleware.js";
+import { checkPermissions } from "../../../middleware/permission.middleware.js";
+import {
+  createDataSubjectRequestHandler,
+  listDataSubjectRequestsHandler,
+  getDataSubjectRequestHandler,
+  approveDataSubjectRequestHandler,
+  rejectDataSubjectRequestHandler,
+  downloadAccessReportHandler,
+  executeErasureHandler,
+  getErasureCertificateHandler,
+} from "./data.subject.request.controller.js";
+import { getDataSubjectRequestById } from "./data.subject.request.firestore.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+
+const router = express.Router();
+
+// Audited without the subject's identifiers, which must not outlive an
+// erasure in the audit trail
+async function loadForAudit(id) {
+  const request = await getDataSubjectRequestById(id);
+  if (!request) return null;
+  const { subject, history, ...rest } = request;
+  return rest;
+}
+
+// Log an access or erasure request (deadline runs from receivedAt)
+router.post(
+  "/internal/data-subject-requests",
+  authenticateJWT,
+  checkPermissions("dsr.create", "all.access"),
+  audit("dataSubjectRequest", { action: "create", load: loadForAudit }),
+  createDataSubjectRequestHandler
+);
+
+// Filter by status, type and overdue
+router.get(
+  "/internal/data-subject-requests",
+  authenticateJWT,
+  checkPermissions("dsr.read", "all.access"),
+  listDataSubjectRequestsHandler
+);
+
+router.get(
+  "/internal/data-subject-requests/:id",
+  authenticateJWT,
+  checkPermissions("dsr.read", "all.access"),
+  getDataSubjectRequestHandler
+);
+
+// Approval and rejection: by someone other than the admin who logged it
+router.post(
+  "/internal/data-subject-requests/:id/approve",
+  authenticateJWT,
+  checkPermissions("dsr.approve", "all.access"),
+  audit("dataSubjectRequest", { action: "approve", load: loadForAudit }),
+  approveDataSubjectRequestHandler
+);
+
+router.post(
+  "/internal/data-subject-requests/:id/reject",
+  authenticateJWT,
+  checkPermissions("dsr.approve", "all.access"),
+  audit("dataSubjectRequest", { action: "reject", load: loadForAudit }),
+  rejectDataSubjectRequestHandler
+);
+
+// Access report (JSON download); completes an approved access request
+router.get(
+  "/internal/data-subject-requests/:id/report",
+  authenticateJWT,
+  checkPermissions("dsr.execute", "all.access"),
+  audit("dataSubjectRequest", { action: "report", load: loadForAudit }),
+  downloadAccessReportHandler
+);
+
+// Erasure: anonymise the subject's records and issue a certificate
+router.post(
+  "/internal/data-subject-requests/:id/erasure",
+  authenticateJWT,
+  checkPermissions("dsr.execute", "all.access"),
+  executeErasureHandler
+);
+
+router.get(
+  "/internal/data-subject-requests/:id/certificate",
+  authenticateJWT,
+  checkPermissions("dsr.read", "all.access"),
+  getErasureCertificateHandler
+);
+
+export default router;
@@ -0,0 +1,816 @@
+import crypto from "crypto";
+import {
+  createDataSubjectRequest,
+  getDataSubjectRequestById,
+  updateDataSubjectRequestById,
+  listDataSubjectRequests,
+  createErasureCertificate,
+  getErasureCertificateById,
+  findDocumentsByField,
+  findDocumentsByFieldIgnoringCase,
+  getDocumentSnapshot,
+} from "./data.subject.request.firestore.js";
+import {
+  DSR_TYPES,
+  DSR_STATUS,
+  newDataSubjectRequestId,
+  newErasureCertificateId,
+} from "./data.subject.request.validation.js";
+import {
+  COUNTRY_PACKS,
+  getCountryPack,
+} from "../../../config/countries.config.js";
+import {
+  runWithCountry,
+  getCurrentCountry,
+  servicePath,
+  tenantPath,
+  platformPath,
+} from "../../../utilities/country-context.util.js";
+import {
+  listMigrationTargets,
+  MIGRATION_SCOPES,
+} from "../../../utilities/migration.util.js";
+import {
+  blindIndex,
+  keyScope,
+  revealFields,
+} from "../../../utilities/field-encryption.util.js";
+import { isValidPhone } from "../../../utilities/country-validation.util.js";
+import {
+  recordAuditEvent,
+  redactSecrets,
+} from "../../../utilities/audit.util.js";
+import {
+  PERSON_COLLECTIONS,
+} from "../../../migrations/lib/person-encryption.js";
+import {
+  findPersonImportsMentioning,
+  removePersonImportFiles,
+} from "../person.import/person.import.service.js";
+import { blobStore } from "../../../services/blob.client.js";
+import {
+  AuthorizationError,
+  ConflictError,
+  NotFoundError,
+} from "../../../utilities/error-handler.util.js";
+
+/**
+ * POPIA Data Subject Requests
+ * Tracks requests from people for a copy of their data (access, s23) or for
+ * its deletion (erasure, s24), from logging through approval to completion:
+ *   1. log      - type, subject identifiers, deadline from receivedAt
+ *   2. approve  - by a second admin (never the one who logged it)
+ *   3. complete - access: report compiled and downloaded
+ *                 erasure: records anonymised, certificate issued
+ *
+ * The subject is located across the platform and every tenant of every
+ * country: person records (live and trashed), linked admin and user
+ * accounts, consent events, documents, import spreadsheets, service
+ * requests and audit events.
+ */
+
+const { PENDING_APPROVAL, APPROVED, REJECTED, COMPLETED, FAILED } =
+  DSR_STATUS;
+const OPEN_STATUSES = [PENDING_APPROVAL, APPROVED, FAILED];
+
+// Placeholder for erased personal values
+export const ERASED = "[erased]";
+
+// Kept on erased person records: identification and tax numbers must be
+// retained for five years under FICA (s22-s23) and the Tax Administration
+// Act (s29), and POPIA s14 allows retention a law requires. Everything else
+// is removed.
+export const RETAINED_PERSON_FIELDS = [
+  "id",
+  "personId",
+  "idNumber",
+  "demographics.idNumber",
+  "demographics.passportNumber",
+  "socioEconomic.taxNumber",
+  "blindIndex",
+  "audit.createdAt",
+  "audit.createdBy",
+  "audit.sourceSystem",
+];
+
+// Erasures running in this process (guards against double starts)
+const runningErasures = new Set();
+
+function responseDays() {
+  const days = parseInt(process.env.DSR_RESPONSE_DAYS, 10);
+  return days > 0 ? days : 30;
+}
+
+function step(action, actor, detail = {}) {
+  return {
+    action,
+    by: actor?.id || "system",
+    ...detail,
+    when: new Date().toISOString(),
+  };
+}
+
+function withOverdue(request) {
+  return {
+    ...request,
+    overdue:
+      OPEN_STATUSES.includes(request.status) &&
+      request.dueAt < new Date().toISOString(),
+  };
+}
+
+function normalizeSubject(subject) {
+  const out = {};
+  if (subject.personId) out.personId = subject.personId.trim();
+  if (subject.idNumber) out.idNumber = subject.idNumber.replace(/\s+/g, "");
+  if (subject.email) out.email = subject.email.trim().toLowerCase();
+  if (subject.phone) {
+    out.phone = subject.phone.replace(/\s+/g, "");
+    // The phone's country, for its dialling code
+    out.country = getCountryPack(subject.country || getCurrentCountry()).key;
+  }
+  return out;
+}
+
+// The subject's phone as stored: with the dialling code of its country
+// (27821234567, +27821234567) anywhere, and in the local format (0821234567)
+// only in that country's partition, where it can't be another country's
+// number
+function phoneVariants(subject) {
+  if (!subject.phone) return [];
+  const pack = getCountryPack(subject.country);
+  const code = pack.dialCode.replace("+", "");
+  const prefix = new RegExp(`^(\\+${code}|${code}|0)`);
+  const local = subject.phone.replace(prefix, "");
+  const variants = [`${code}${local}`, `+${code}${local}`];
+  if (getCurrentCountry() !== pack.key) return variants;
+  return [
+    ...variants,
+    ...[local, `0${local}`].filter((phone) => isValidPhone(phone, pack)),
+  ];
+}
+
+// Keyed hash of the subject's identifiers: proves which subject a
+// certificate covers without storing who they are
+function subjectFingerprint(subject) {
+  const canonical = Object.keys(subject)
+    .sort()
+    .map((key) => `${key}=${subject[key]}`)
+    .join("&");
+  return blindIndex(keyScope(), "dataSubject", canonical);
+}
+
+async function loadRequest(id) {
+  const request = await getDataSubjectRequestById(id);
+  if (!request) throw new NotFoundError("Data subject request");
+  return request;
+}
+
+async function saveRequest(request, entry, patch) {
+  const history = [...(request.history || []), entry];
+  const next = { ...patch, history, updatedAt: entry.when };
+  await updateDataSubjectRequestById(request.id, next);
+  return withOverdue({ ...request, ...next });
+}
+
+/**
+ * Log a new data subject request
+ * @param {Object} data - See CreateDataSubjectRequestSchema
+ * @param {Object} actor - { id, email, type } of the admin logging it
+ * @returns {Promise<Object>} The request, awaiting approval
+ */
+export async function createDataSubjectRequestRecord(data, actor) {
+  const now = new Date();
+  const receivedAt = data.receivedAt ? new Date(data.receivedAt) : now;
+  const dueAt = new Date(
+    receivedAt.getTime() + responseDays() * 24 * 60 * 60 * 1000
+  );
+
+  const request = {
+    id: newDataSubjectRequestId(),
+    type: data.type,
+    status: PENDING_APPROVAL,
+    subject: normalizeSubject(data.subject),
+    notes: data.notes || null,
+    receivedAt: receivedAt.toISOString(),
+    dueAt: dueAt.toISOString(),
+    requestedBy: actor,
+    approval: null,
+    completedAt: null,
+    certificateId: null,
+    history: [step("logged", actor)],
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+  await createDataSubjectRequest(request);
+  return withOverdue(request);
+}
+
+/**
+ * Requests, soonest deadline first
+ * @param {Object} filters - See DataSubjectRequestQuerySchema
+ */
+export async function listDataSubjectRequestRecords(filters = {}) {
+  const requests = (await listDataSubjectRequests(filters)).map(withOverdue);
+  if (filters.overdue === undefined) return requests;
+  return requests.filter((request) => request.overdue === filters.overdue);
+}
+
+export async function getDataSubjectRequestRecord(id) {
+  return withOverdue(await loadRequest(id));
+}
+
+async function decide(id, actor, decision, note) {
+  const request = await loadRequest(id);
+  if (request.status !== PENDING_APPROVAL) {
+    throw new ConflictError(
+      `Request ${id} is ${request.status}, not awaiting approval`
+    );
+  }
+  if (actor?.id && actor.id === request.requestedBy?.id) {
+    throw new AuthorizationError(
+      "A request must be approved by someone other than the admin who " +
+        "logged it"
+    );
+  }
+
+  const approval = {
+    decision,
+    by: actor,
+    note: note || null,
+    when: new Date().toISOString(),
+  };
+  return saveRequest(request, step(decision, actor), {
+    status: decision === "approved" ? APPROVED : REJECTED,
+    approval,
+    ...(decision === "rejected" ? { completedAt: approval.when } : {}),
+  });
+}
+
+/**
+ * Approve a pending request (four eyes: not by its requester)
+ */
+export async function approveDataSubjectRequest(id, actor, note) {
+  return decide(id, actor, "approved", note);
+}
+
+/**
+ * Reject a pending request, e.g. identity could not be verified
+ */
+export async function rejectDataSubjectRequest(id, actor, note) {
+  return decide(id, actor, "rejected", note);
+}
+
+// Every place a person's records can live: platform, then each tenant
+async function subjectTargets() {
+  return [
+    ...(await listMigrationTargets(MIGRATION_SCOPES.PLATFORM)),
+    ...(await listMigrationTargets(MIGRATION_SCOPES.TENANT)),
+  ];
+}
+
+function found(kind, source, doc, extra = {}) {
+  return {
+    kind,
+    source: source.key,
+    country: source.country,
+    tenantId: source.tenantId || null,
+    path: doc.ref.path,
+    ref: doc.ref,
+    data: doc.data(),
+    ...extra,
+  };
+}
+
+async function findPeople(target, subject) {
+  const scope = keyScope(target.tenantId);
+  const people = new Map();
+  for (const collection of PERSON_COLLECTIONS) {
+    const path = target.tenantId
+      ? tenantPath(target.tenantId, collection)
+      : platformPath(collection);
+    const docs = [
+      ...(await findDocumentsByField(path, "blindIndex.idNumber", [
+        subject.idNumber && blindIndex(scope, "idNumber", subject.idNumber),
+      ])),
+      ...(await findDocumentsByFieldIgnoringCase(
+        path,
+        "contact.email",
+        subject.email
+      )),
+      ...(await findDocumentsByField(
+        path,
+        "contact.mobile",
+        phoneVariants(subject)
+      )),
+    ];
+    if (subject.personId) {
+      const doc = await getDocumentSnapshot(path, subject.personId);
+      if (doc) docs.push(doc);
+    }
+    for (const doc of docs) {
+      people.set(
+        doc.ref.path,
+        found("person", target, doc, {
+          trashed: collection !== PERSON_COLLECTIONS[0],
+        })
+      );
+    }
+  }
+  return [...people.values()];
+}
+
+async function findAccounts(target, subject, personIds) {
+  const accounts = new Map();
+  const adminsPath = target.tenantId
+    ? tenantPath(target.tenantId, "admins")
+    : platformPath("admins");
+  const admins = [
+    ...(await findDocumentsByField(adminsPath, "personId", personIds)),
+    ...(await findDocumentsByFieldIgnoringCase(
+      adminsPath,
+      "accessDetails.email",
+      subject.email
+    )),
+  ];
+  for (const doc of admins) {
+    accounts.set(doc.ref.path, found("admin", target, doc));
+  }
+
+  if (target.tenantId) {
+    const users = await findDocumentsByField(
+      tenantPath(target.tenantId, "users"),
+      "activationDetails.phoneNumber",
+      phoneVariants(subject)
+    );
+    for (const doc of users) {
+      accounts.set(doc.ref.path, found("user", target, doc));
+    }
+  }
+  return [...accounts.values()];
+}
+
+// Consent given and withdrawn by the tenant's matching people
+async function findConsentEvents(target, personIds) {
+  if (!target.tenantId) return [];
+  const docs = await findDocumentsByField(
+    tenantPath(target.tenantId, "consentEvents"),
+    "personId",
+    personIds
+  );
+  return docs.map((doc) => found("consentEvent", target, doc));
+}
+
+// Documents (ID copies, proof of address, ...) of the matching people
+async function findPersonDocuments(target, personIds) {
+  const path = target.tenantId
+    ? tenantPath(target.tenantId, "personDocuments")
+    : platformPath("personDocuments");
+  const docs = await findDocumentsByField(path, "personId", personIds);
+  return docs.map((doc) => found("personDocument", target, doc));
+}
+
+// Version snapshots of the matching people (see person.history)
+async function findPersonVersions(target, personIds) {
+  const path = target.tenantId
+    ? tenantPath(target.tenantId, "personVersions")
+    : platformPath("personVersions");
+  const docs = await findDocumentsByField(path, "personId", personIds);
+  return docs.map((doc) => found("personVersion", target, doc));
+}
+
+// Imports whose uploaded or error file has a row with the subject's ID
+// number, email or phone
+async function findPersonImports(target, subject) {
+  const phones = new Set(phoneVariants(subject));
+  const matches = (cell) =>
+    (!!subject.idNumber && cell.replace(/\s+/g, "") === subject.idNumber) ||
+    (!!subject.email && cell.toLowerCase() === subject.email) ||
+    phones.has(cell.replace(/\s+/g, ""));
+  const docs = await findPersonImportsMentioning(target.tenantId, matches);
+  return docs.map((doc) => found("personImport", target, doc));
+}
+
+async function findServiceRequests(subject) {
+  const requests = new Map();
+  for (const country of Object.keys(COUNTRY_PACKS)) {
+    await runWithCountry(country, async () => {
+      const path = servicePath("serviceRequests");
+      const source = { key: `country:${country}`, country, tenantId: null };
+      const docs = [
+        ...(await findDocumentsByFieldIgnoringCase(
+          path,
+          "contactInfo.email",
+          subject.email
+        )),
+        ...(await findDocumentsByField(
+          path,
+          "contactInfo.phoneNumber",
+          phoneVariants(subject)
+        )),
+      ];
+      for (const doc of docs) {
+        requests.set(doc.ref.path, found("serviceRequest", source, doc));
+      }
+    });
+  }
+  return [...requests.values()];
+}
+
+async function findAuditEvents(records) {
+  const path = platformPath("auditEvents");
+  const source = { key: "platform", country: null, tenantId: null };
+  const ids = records.map((record) => record.ref.id);
+  const accountIds = records
+    .filter((record) => record.kind === "admin" || record.kind === "user")
+    .map((record) => record.ref.id);
+
+  const events = new Map();
+  const docs = [
+    ...(await findDocumentsByField(path, "resourceId", ids)),
+    ...(await findDocumentsByField(path, "actorId", accountIds)),
+  ];
+  for (const doc of docs) {
+    events.set(doc.ref.path, found("auditEvent", source, doc));
+  }
+  return [...events.values()];
+}
+
+/**
+ * Everything held about a subject, across the platform and all tenants
+ * @param {Object} subject - { personId, idNumber, email, phone }
+ * @returns {Promise<Array<Object>>} { kind, source, path, ref, data, ... }
+ */
+export async function locateSubjectRecords(subject) {
+  const records = [];
+  for (const target of await subjectTargets()) {
+    await runWithCountry(target.country, async () => {
+      const people = await findPeople(target, subject);
+      const personIds = people.map((person) => person.ref.id);
+      records.push(...people);
+      records.push(...(await findAccounts(target, subject, personIds)));
+      records.push(...(await findConsentEvents(target, personIds)));
+      records.push(...(await findPersonDocuments(target, personIds)));
+      records.push(...(await findPersonVersions(target, personIds)));
+      records.push(...(await findPersonImports(target, subject)));
+    });
+  }
+  records.push(...(await findServiceRequests(subject)));
+  records.push(...(await findAuditEvents(records)));
+  return records;
+}
+
+function countByKind(records) {
+  const counts = {
+    person: 0,
+    admin: 0,
+    user: 0,
+    serviceRequest: 0,
+    consentEvent: 0,
+    personDocument: 0,
+    personVersion: 0,
+    personImport: 0,
+    auditEvent: 0,
+  };
+  for (const record of records) counts[record.kind]++;
+  return counts;
+}
+
+function reportData(record) {
+  switch (record.kind) {
+    case "person":
+      return revealFields(record.data, true);
+    case "personVersion":
+      return {
+        ...record.data,
+        record: revealFields(record.data.record, true),
+      };
+    default:
+      return redactSecrets(record.data);
+  }
+}
+
+function reportEntry(record) {
+  return {
+    source: record.source,
+    path: record.path,
+    ...(record.kind === "person" ? { trashed: record.trashed } : {}),
+    record: reportData(record),
+  };
+}
+
+/**
+ * Compile the access report for an approved access request
+ * The first download completes the request; later downloads recompile it.
+ * @param {string} id - Request ID
+ * @param {Object} actor - Admin downloading the report
+ * @returns {Promise<{filename: string, report: Object}>}
+ */
+export async function buildAccessReport(id, actor) {
+  const request = await loadRequest(id);
+  if (request.type !== DSR_TYPES.ACCESS) {
+    throw new ConflictError(`Request ${id} is not an access request`);
+  }
+  if (![APPROVED, COMPLETED].includes(request.status)) {
+    throw new ConflictError(`Request ${id} must be approved first`);
+  }
+
+  const records = await locateSubjectRecords(request.subject);
+  const of = (kind) =>
+    records.filter((record) => record.kind === kind).map(reportEntry);
+  const generatedAt = new Date().toISOString();
+  const counts = countByKind(records);
+  const report = {
+    requestId: request.id,
+    subject: request.subject,
+    receivedAt: request.receivedAt,
+    generatedAt,
+    counts,
+    people: of("person"),
+    accounts: [...of("admin"), ...of("user")],
+    serviceRequests: of("serviceRequest"),
+    consentEvents: of("consentEvent"),
+    // The records; the files themselves are handed over separately
+    documents: of("personDocument"),
+    // Earlier versions of the people records
+    history: of("personVersion"),
+    // Import records whose spreadsheets have the subject in them
+    imports: of("personImport"),
+    auditEvents: of("auditEvent"),
+  };
+
+  await saveRequest(request, step("report_generated", actor, { counts }), {
+    status: COMPLETED,
+    completedAt: request.completedAt || generatedAt,
+    report: { generatedAt, generatedBy: actor, counts },
+  });
+  return { filename: `${request.id}-access-report.json`, report };
+}
+
+function getField(record, field) {
+  return field
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+function setField(record, field, value) {
+  const keys = field.split(".");
+  let node = record;
+  for (const key of keys.slice(0, -1)) node = node[key] = node[key] || {};
+  node[keys[keys.length - 1]] = value;
+}
+
+// Only the retained fields survive, plus placeholders and the erasure stamp
+function anonymisedPerson(data, stamp) {
+  const out = {};
+  for (const field of RETAINED_PERSON_FIELDS) {
+    const value = getField(data, field);
+    if (value !== undefined) setField(out, field, value);
+  }
+  out.firstName = ERASED;
+  out.surname = ERASED;
+  out.audit = {
+    ...out.audit,
+    updatedAt: stamp.erasedAt,
+    updatedBy: stamp.erasedBy,
+    recordVersion: (data.audit?.recordVersion || 0) + 1,
+  };
+  out.erasure = stamp;
+  return out;
+}
+
+function deactivation(data, stamp) {
+  return {
+    value: false,
+    changes: [
+      ...(data.account?.isActive?.changes || []),
+      {
+        value: false,
+        by: stamp.erasedBy,
+        when: stamp.erasedAt,
+        reason: `Erasure ${stamp.requestId}`,
+      },
+    ],
+  };
+}
+
+// Accounts stay (for referential integrity) but can't be used or traced
+function accountPatch(record, stamp) {
+  const { data } = record;
+  const patch = {
+    "account.isActive": deactivation(data, stamp),
+    erasure: stamp,
+  };
+  if (record.kind === "admin") {
+    patch["accessDetails.email"] = `erased-${record.ref.id}@erased.invalid`;
+    patch["accessDetails.password"] = null;
+    patch["accessDetails.lastLogin"] = null;
+  } else {
+    patch.title = ERASED;
+    patch.names = ERASED;
+    patch.surname = ERASED;
+    patch.subAddress = null;
+    patch["activationDetails.phoneNumber"] = null;
+    patch["activationDetails.pin"] = null;
+  }
+  return patch;
+}
+
+function serviceRequestPatch(stamp) {
+  return {
+    title: ERASED,
+    names: ERASED,
+    surname: ERASED,
+    company: ERASED,
+    role: ERASED,
+    message: ERASED,
+    contactInfo: { email: null, phoneNumber: null },
+    erasure: stamp,
+  };
+}
+
+// The event stays in the trail; the personal values in it don't
+function auditEventPatch(record, accountIds) {
+  const { data } = record;
+  const patch = {
+    changes: (data.changes || []).map((change) => ({
+      field: change.field,
+      before: change.before == null ? null : ERASED,
+      after: change.after == null ? null : ERASED,
+    })),
+  };
+  if (accountIds.has(data.actorId)) {
+    patch.actor = { ...data.actor, email: ERASED };
+  }
+  return patch;
+}
+
+async function eraseRecord(record, stamp, accountIds) {
+  switch (record.kind) {
+    case "person":
+      await record.ref.set(anonymisedPerson(record.data, stamp));
+      return "anonymised";
+    case "admin":
+    case "user":
+      await record.ref.update(accountPatch(record, stamp));
+      return "deactivated";
+    case "serviceRequest":
+      await record.ref.update(serviceRequestPatch(stamp));
+      return "anonymised";
+    case "consentEvent":
+      // Kept as proof of consent (POPIA s11(2)(a)); free-text notes go
+      await record.ref.update({ note: null });
+      return "retained";
+    case "personDocument":
+      // Copies go; the ID numbers FICA needs stay on the person record
+      await blobStore.delete(record.data.blobKey);
+      await record.ref.delete();
+      return "deleted";
+    case "personVersion":
+      // Earlier versions would undo the anonymisation
+      await record.ref.delete();
+      return "deleted";
+    case "personImport":
+      // The spreadsheets go; the import record (totals, person ids) stays
+      await runWithCountry(record.country, () =>
+        removePersonImportFiles(record.tenantId, record.data, {
+          by: stamp.erasedBy,
+          when: stamp.erasedAt,
+          reason: `Erasure ${stamp.requestId}`,
+        })
+      );
+      return "deleted";
+    default:
+      await record.ref.update(auditEventPatch(record, accountIds));
+      return "scrubbed";
+  }
+}
+
+function checksum(body) {
+  return crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex");
+}
+
+/**
+ * Run an approved erasure: anonymise every record of the subject, keep the
+ * legally required fields and issue an erasure certificate
+ * A failed erasure can be run again; records already erased are rewritten
+ * with the same result.
+ * @param {string} id - Request ID
+ * @param {Object} actor - Admin running the erasure
+ * @returns {Promise<Object>} The completed request
+ */
+export async function executeErasure(id, actor) {
+  const request = await loadRequest(id);
+  if (request.type !== DSR_TYPES.ERASURE) {
+    throw new ConflictError(`Request ${id} is not an erasure request`);
+  }
+  if (![APPROVED, FAILED].includes(request.status)) {
+    throw new ConflictError(
+      request.status === COMPLETED
+        ? `Request ${id} has already been carried out`
+        : `Request ${id} must be approved first`
+    );
+  }
+  if (runningErasures.has(id)) {
+    throw new ConflictError(`Erasure ${id} is running`);
+  }
+
+  runningErasures.add(id);
+  try {
+    const certificateId = newErasureCertificateId();
+    const stamp = {
+      requestId: id,
+      certificateId,
+      erasedAt: new Date().toISOString(),
+      erasedBy: actor?.id || "system",
+    };
+
+    const records = await locateSubjectRecords(request.subject);
+    const accountIds = new Set(
+      records
+        .filter((record) => record.kind === "admin" || record.kind === "user")
+        .map((record) => record.ref.id)
+    );
+    const erased = [];
+    for (const record of records) {
+      const action = await eraseRecord(record, stamp, accountIds);
+      erased.push({
+        kind: record.kind,
+        source: record.source,
+        path: record.path,
+        action,
+      });
+    }
+
+    const personIds = [
+      ...new Set(
+        records
+          .filter((record) => record.kind === "person")
+          .map((record) => record.ref.id)
+      ),
+    ];
+    const body = {
+      id: certificateId,
+      requestId: id,
+      subjectFingerprint: subjectFingerprint(request.subject),
+      personIds,
+      receivedAt: request.receivedAt,
+      dueAt: request.dueAt,
+      requestedBy: request.requestedBy,
+      approvedBy: request.approval?.by || null,
+      executedBy: actor,
+      issuedAt: stamp.erasedAt,
+      retainedFields: RETAINED_PERSON_FIELDS,
+      counts: countByKind(records),
+      records: erased,
+    };
+    const certificate = await createErasureCertificate({
+      ...body,
+      checksum: checksum(body),
+    });
+
+    await recordAuditEvent({
+      action: "erase",
+      resource: { type: "dataSubjectRequest", id },
+      actor,
+      details: { certificateId, counts: certificate.counts },
+    });
+
+    // The subject's identifiers go too; the fingerprint still ties the
+    // request to its certificate
+    return await saveRequest(
+      request,
+      step("erased", actor, { certificateId }),
+      {
+        status: COMPLETED,
+        completedAt: stamp.erasedAt,
+        certificateId,
+        subject: { personIds, fingerprint: certificate.subjectFingerprint },
+        error: null,
+      }
+    );
+  } catch (error) {
+    const entry = step("failed", actor, { error: error.message });
+    await saveRequest(request, entry, {
+      status: FAILED,
+      error: error.message,
+    });
+    throw error;
+  } finally {
+    runningErasures.delete(id);
+  }
+}
+
+/**
+ * The certificate issued for a completed erasure
+ * @param {string} id - Request ID
+ */
+export async function getErasureCertificate(id) {
+  const request = await loadRequest(id);
+  const certificate = request.certificateId
+    ? await getErasureCertificateById(request.certificateId)
+    : null;
+  if (!certificate) throw new NotFoundError("Erasure certificate");
+  return certificate;
+}
@@ -0,0 +1,110 @@
+import crypto from "crypto";
+import { z } from "zod";
+import {
+  EMAIL_REGEX,
+  VALIDATION_MESSAGES,
+} from "../../../utilities/validation-patterns.js";
+import {
+  getCountryPack,
+  isSupportedCountry,
+} from "../../../config/countries.config.js";
+import { getCurrentCountryPack } from "../../../utilities/country-context.util.js";
+import { isValidPhone } from "../../../utilities/country-validation.util.js";
+
+export const DSR_TYPES = { ACCESS: "access", ERASURE: "erasure" };
+
+export const DSR_STATUS = {
+  PENDING_APPROVAL: "pending_approval",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+export function newDataSubjectRequestId() {
+  return `DSR${Date.now()}${crypto.randomBytes(8).toString("hex")}`;
+}
+
+export function newErasureCertificateId() {
+  return `CERT${Date.now()}${crypto.randomBytes(8).toString("hex")}`;
+}
+
+// Accepts a date (2025-01-31) or a full ISO timestamp
+const dateBound = z
+  .string()
+  .refine((value) => !Number.isNaN(Date.parse(value)), {
+    message: "Must be an ISO date or timestamp",
+  });
+
+/**
+ * Who the request is about - any combination, at least one. The phone is
+ * in the format of `country` (key or ISO code, default the active country)
+ */
+const SubjectSchema = z
+  .object({
+    personId: z.string().min(1).optional(),
+    idNumber: z.string().min(6).max(20).optional(),
+    email: z.string().regex(EMAIL_REGEX, VALIDATION_MESSAGES.EMAIL).optional(),
+    phone: z.string().optional(),
+    country: z
+      .string()
+      .refine(isSupportedCountry, { message: "Unsupported country" })
+      .optional(),
+  })
+  .refine(
+    ({ personId, idNumber, email, phone }) =>
+      [personId, idNumber, email, phone].some(Boolean),
+    {
+      message:
+        "Identify the data subject by personId, idNumber, email or phone",
+    }
+  )
+  .superRefine((subject, ctx) => {
+    if (!subject.phone) return;
+    // An unsupported country is reported above
+    if (subject.country && !isSupportedCountry(subject.country)) return;
+    const pack = subject.country
+      ? getCountryPack(subject.country)
+      : getCurrentCountryPack();
+    if (!isValidPhone(subject.phone, pack)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["phone"],
+        message: pack.phone.message,
+      });
+    }
+  });
+
+/**
+ * Schema for logging a new data subject request
+ */
+export const CreateDataSubjectRequestSchema = z.object({
+  type: z.enum([DSR_TYPES.ACCESS, DSR_TYPES.ERASURE]),
+  subject: SubjectSchema,
+  // When the request reached us (the response deadline runs from here)
+  receivedAt: dateBound.optional(),
+  // How the requester's identity was verified, channel, reference, ...
+  notes: z.string().max(2000).optional(),
+});
+
+export const DataSubjectRequestDecisionSchema = z.object({
+  note: z.string().max(2000).optional(),
+});
+
+/**
+ * Schema for running an approved erasure
+ */
+export const ExecuteErasureSchema = z.object({
+  // Must repeat the request ID - erasure can't be undone
+  confirm: z.string().min(1, "Confirmation (the request ID) is required"),
+});
+
+export const DataSubjectRequestQuerySchema = z.object({
+  status: z.enum(Object.values(DSR_STATUS)).optional(),
+  type: z.enum([DSR_TYPES.ACCESS, DSR_TYPES.ERASURE]).optional(),
+  // Open requests past their deadline
+  overdue: z
+    .enum(["true", "false"])
+    .transform((value) => value === "true")
+    .optional(),
+});
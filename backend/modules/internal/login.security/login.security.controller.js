@@ -0,0 +1,72 @@
+import { z } from "zod";
+import { LoginHistoryQuerySchema } from "./login.security.validation.js";
+import {
+  getLoginSecurity,
+  listLoginHistory,
+  unlockAccount,
+} from "./login.security.service.js";
+import {
+  sendSuccess,
+  sendList,
+  handleZodError,
+} from "../../../utilities/response.util.js";
+
+/**
+ * Handlers for an admin's login security, the platform's
+ * (/internal/admins/:id/...) or a tenant's (/:tenantId/admins/:id/...)
+ */
+
+function actorFrom(req) {
+  const p = req.admin || req.user || {};
+  return p.id || p.email || "anonymous";
+}
+
+// Platform routes have no tenantId param
+function scopeOf(req) {
+  return req.params.tenantId || null;
+}
+
+// GET .../admins/:id/login-security - lockout status
+export async function getLoginSecurityHandler(req, res, next) {
+  try {
+    const status = await getLoginSecurity(scopeOf(req), req.params.id);
+    return sendSuccess(res, status, "Login security retrieved successfully");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET .../admins/:id/logins - login history, newest first
+export async function listLoginHistoryHandler(req, res, next) {
+  try {
+    const filters = LoginHistoryQuerySchema.parse(req.query || {});
+    const logins = await listLoginHistory(
+      scopeOf(req),
+      req.params.id,
+      filters
+    );
+    return sendList(
+      res,
+      logins,
+      { total: logins.length, limit: filters.limit },
+      "Login history retrieved successfully"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST .../admins/:id/unlock - lift a lockout
+export async function unlockAccountHandler(req, res, next) {
+  try {
+    const status = await unlockAccount(
+      scopeOf(req),
+      req.params.id,
+      actorFrom(req)
+    );
+    return sendSuccess(res, status, "Account unlocked");
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,79 @@
+import { db } from "../../../services/firestore.client.js";
+import {
+  platformPath,
+  tenantPath,
+} from "../../../utilities/country-context.util.js";
+
+/**
+ * Login security lives next to the accounts it belongs to, the platform's
+ * (internal admins, tenantId null) or a tenant's: one document per account
+ * in `loginSecurity` (failed-attempt counter, lockout, known devices and
+ * IP addresses; keyed by the account ID and kept out of the admin record),
+ * and one document per login attempt in `loginHistory`
+ */
+
+function scopedPath(tenantId, collection) {
+  return tenantId ? tenantPath(tenantId, collection) : platformPath(collection);
+}
+
+function stateDoc(tenantId, subjectId) {
+  return db.collection(scopedPath(tenantId, "loginSecurity")).doc(subjectId);
+}
+
+function historyCol(tenantId) {
+  return db.collection(scopedPath(tenantId, "loginHistory"));
+}
+
+export async function getLoginState(tenantId, subjectId) {
+  const snap = await stateDoc(tenantId, subjectId).get();
+  return snap.exists ? snap.data() : null;
+}
+
+/**
+ * Change an account's login state in a transaction, so concurrent attempts
+ * each count
+ * @param {Function} change - (current state or null) => fields to set
+ * @returns {Promise<Object>} The state after the change
+ */
+export async function updateLoginState(tenantId, subjectId, change) {
+  const ref = stateDoc(tenantId, subjectId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const current = snap.exists ? snap.data() : null;
+    const next = {
+      ...current,
+      ...change(current),
+      subjectId,
+      updatedAt: new Date().toISOString(),
+    };
+    tx.set(ref, next);
+    return next;
+  });
+}
+
+export async function addLoginEvent(tenantId, event) {
+  await historyCol(tenantId).doc(event.id).set(event);
+  return event;
+}
+
+/**
+ * An account's login attempts, newest first
+ * @param {Object} filters - { limit, outcome, suspicious }
+ */
+export async function listLoginEvents(
+  tenantId,
+  subjectId,
+  { limit = 50, outcome, suspicious } = {}
+) {
+  const snapshot = await historyCol(tenantId)
+    .where("subjectId", "==", subjectId)
+    .get();
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .filter((event) => !outcome || event.outcome === outcome)
+    .filter(
+      (event) => suspicious === undefined || event.suspicious === suspicious
+    )
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+}
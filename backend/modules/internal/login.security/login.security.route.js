@@ -0,0 +1,48 @@
+import express from "express";
+import { authenticateJWT } from "../../../middleware/auth.middleware.js";
+import { checkPermissions } from "../../../middleware/permission.middleware.js";
+import {
+  getLoginSecurityHandler,
+  listLoginHistoryHandler,
+  unlockAccountHandler,
+} from "./login.security.controller.js";
+import { getInternalAdminById } from "../admin/admin.firestore.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+
+/**
+ * Login Security Router
+ * Lockout status, login history and unlocking of the platform's admins
+ * (the tenant admin routes live in external/tenant/login.security)
+ */
+
+const router = express.Router();
+
+// GET /internal/admins/:id/login-security - An admin's lockout status
+router.get(
+  "/internal/admins/:id/login-security",
+  authenticateJWT,
+  checkPermissions("admin.read", "all.access"),
+  getLoginSecurityHandler
+);
+
+// GET /internal/admins/:id/logins - An admin's login history
+router.get(
+  "/internal/admins/:id/logins",
+  authenticateJWT,
+  checkPermissions("admin.read", "all.access"),
+  listLoginHistoryHandler
+);
+
+// POST /internal/admins/:id/unlock - Unlock an admin locked out
+router.post(
+  "/internal/admins/:id/unlock",
+  authenticateJWT,
+  checkPermissions("admin.update", "all.access"),
+  audit("admin", {
+    action: "unlock",
+    load: (id) => getInternalAdminById(id),
+  }),
+  unlockAccountHandler
+);
+
+export default router;
@@ -0,0 +1,229 @@
+import {
+  getLoginState,
+  updateLoginState,
+  addLoginEvent,
+  listLoginEvents,
+} from "./login.security.firestore.js";
+import {
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_MINUTES,
+  LOCKOUT_MAX_MINUTES,
+  KNOWN_CLIENTS_KEPT,
+  LOGIN_OUTCOMES,
+  SUSPICIOUS_FLAGS,
+  newLoginEventId,
+  deviceOf,
+} from "./login.security.validation.js";
+import { AccountLockedError } from "../../../utilities/error-handler.util.js";
+
+/**
+ * Login Security Service
+ * Every admin login attempt, the platform's (tenantId null) or a
+ * tenant's, goes into the login history with its IP address, user agent
+ * and outcome. Wrong passwords count per account: LOCKOUT_THRESHOLD in a
+ * row lock it, for longer each time, until the lock runs out or an admin
+ * unlocks it. A successful login from a device or IP address the account
+ * hasn't used before is flagged suspicious.
+ *
+ * An attempt is { tenantId, email, account (the admin record, when the
+ * email matched one), client: { ip, userAgent } }.
+ */
+
+// Lockouts double: 15, 30, 60 minutes... up to the maximum
+function lockMinutes(lockouts) {
+  return Math.min(LOCKOUT_MINUTES * 2 ** (lockouts - 1), LOCKOUT_MAX_MINUTES);
+}
+
+function isLocked(state, now = new Date()) {
+  return !!state?.lockedUntil && new Date(state.lockedUntil) > now;
+}
+
+function lockedError(lockedUntil) {
+  return new AccountLockedError(
+    lockedUntil,
+    "Account locked after too many failed logins; try again after " +
+      `${new Date(lockedUntil).toUTCString()} or ask an administrator to ` +
+      "unlock it"
+  );
+}
+
+// The latest value last, without repeats
+function remember(list, value) {
+  if (!value) return list || [];
+  return [...(list || []).filter((v) => v !== value), value].slice(
+    -KNOWN_CLIENTS_KEPT
+  );
+}
+
+async function recordAttempt({ tenantId, email, account, client }, fields) {
+  return addLoginEvent(tenantId, {
+    id: newLoginEventId(),
+    subjectId: account?.id || null,
+    email: account?.accessDetails?.email || email || null,
+    tenantId: tenantId || null,
+    ip: client?.ip || null,
+    userAgent: client?.userAgent || null,
+    at: new Date().toISOString(),
+    suspicious: false,
+    flags: [],
+    ...fields,
+  });
+}
+
+/**
+ * Refuse a login to a locked account, before its password is checked
+ * @param {Object} attempt - { tenantId, email, account, client }
+ * @throws {AccountLockedError}
+ */
+export async function assertNotLocked(attempt) {
+  const state = await getLoginState(attempt.tenantId, attempt.account.id);
+  if (!isLocked(state)) return;
+  await recordAttempt(attempt, { outcome: LOGIN_OUTCOMES.LOCKED });
+  throw lockedError(state.lockedUntil);
+}
+
+/**
+ * Record a failed login and return the error to answer with: the account
+ * locked if this wrong password was one too many, otherwise the error the
+ * login handlers already answer 401 to
+ * @param {Object} attempt - { tenantId, email, account, client }
+ * @param {string} outcome - LOGIN_OUTCOMES
+ * @returns {Promise<Error>}
+ */
+export async function loginFailure(attempt, outcome) {
+  const { tenantId, account } = attempt;
+  let state = null;
+  if (account && outcome === LOGIN_OUTCOMES.INVALID_PASSWORD) {
+    const now = new Date();
+    state = await updateLoginState(tenantId, account.id, (current) => {
+      const failedCount = (current?.failedCount || 0) + 1;
+      if (failedCount < LOCKOUT_THRESHOLD) {
+        return { failedCount, lastFailureAt: now.toISOString() };
+      }
+      const lockouts = (current?.lockouts || 0) + 1;
+      const lockedUntil = new Date(
+        now.getTime() + lockMinutes(lockouts) * 60 * 1000
+      ).toISOString();
+      return {
+        failedCount: 0,
+        lockouts,
+        lockedUntil,
+        lastFailureAt: now.toISOString(),
+      };
+    });
+  }
+
+  const locked = isLocked(state);
+  await recordAttempt(attempt, {
+    outcome,
+    ...(locked && { lockedUntil: state.lockedUntil }),
+  });
+  if (locked) {
+    console.log(
+      `🔒 ${account.accessDetails?.email} locked until ${state.lockedUntil}`
+    );
+    return lockedError(state.lockedUntil);
+  }
+  return new Error(
+    outcome === LOGIN_OUTCOMES.INACTIVE
+      ? "Account is not active"
+      : "Invalid credentials"
+  );
+}
+
+/**
+ * Record a successful login (the password was right; a two-factor step
+ * may follow): the failed-attempt count starts over, and the login is
+ * flagged if it comes from a device or IP address the account hasn't
+ * used before (the first login sets what is known)
+ * @param {Object} attempt - { tenantId, email, account, client }
+ * @returns {Promise<Object>} The history entry
+ */
+export async function recordLoginSuccess(attempt) {
+  const { tenantId, account, client } = attempt;
+  const ip = client?.ip || null;
+  const device = deviceOf(client?.userAgent);
+  const flags = [];
+
+  await updateLoginState(tenantId, account.id, (current) => {
+    flags.length = 0; // the transaction may run again
+    const knownIps = current?.knownIps || [];
+    const knownDevices = current?.knownDevices || [];
+    if (knownDevices.length && device && !knownDevices.includes(device)) {
+      flags.push(SUSPICIOUS_FLAGS.NEW_DEVICE);
+    }
+    if (knownIps.length && ip && !knownIps.includes(ip)) {
+      flags.push(SUSPICIOUS_FLAGS.NEW_IP);
+    }
+    return {
+      failedCount: 0,
+      lockouts: 0,
+      lockedUntil: null,
+      knownIps: remember(knownIps, ip),
+      knownDevices: remember(knownDevices, device),
+      lastSuccessAt: new Date().toISOString(),
+    };
+  });
+
+  if (flags.length) {
+    console.log(
+      `⚠️ Suspicious login of ${account.accessDetails?.email} (${flags})`
+    );
+  }
+  return recordAttempt(attempt, {
+    outcome: LOGIN_OUTCOMES.SUCCESS,
+    suspicious: flags.length > 0,
+    flags,
+  });
+}
+
+function summaryOf(state) {
+  const locked = isLocked(state);
+  return {
+    locked,
+    lockedUntil: locked ? state.lockedUntil : null,
+    failedCount: state?.failedCount || 0,
+    lockouts: state?.lockouts || 0,
+    lastFailureAt: state?.lastFailureAt || null,
+    lastSuccessAt: state?.lastSuccessAt || null,
+    knownDevices: state?.knownDevices?.length || 0,
+    knownIps: state?.knownIps?.length || 0,
+  };
+}
+
+/**
+ * An account's lockout status and what is known of its clients
+ * @param {string|null} tenantId
+ * @param {string} subjectId - Admin ID
+ */
+export async function getLoginSecurity(tenantId, subjectId) {
+  return summaryOf(await getLoginState(tenantId, subjectId));
+}
+
+/**
+ * An account's login history, newest first
+ * @param {Object} filters - { limit, outcome, suspicious }
+ */
+export async function listLoginHistory(tenantId, subjectId, filters) {
+  return listLoginEvents(tenantId, subjectId, filters);
+}
+
+/**
+ * Unlock an account (and start its lockouts over)
+ * @param {string|null} tenantId
+ * @param {string} subjectId - Admin ID
+ * @param {string} actor
+ */
+export async function unlockAccount(tenantId, subjectId, actor) {
+  const current = await getLoginState(tenantId, subjectId);
+  if (!current) return summaryOf(null);
+  const state = await updateLoginState(tenantId, subjectId, () => ({
+    failedCount: 0,
+    lockouts: 0,
+    lockedUntil: null,
+    unlockedBy: actor,
+    unlockedAt: new Date().toISOString(),
+  }));
+  console.log(`🔓 Login of ${subjectId} unlocked by ${actor}`);
+  return summaryOf(state);
+}
@@ -0,0 +1,64 @@
+import crypto from "crypto";
+import { z } from "zod";
+
+/**
+ * Lockout policy: LOGIN_LOCKOUT_THRESHOLD wrong passwords in a row lock
+ * an account for LOGIN_LOCKOUT_MINUTES. Each lockout that follows without
+ * a successful login in between doubles it, up to
+ * LOGIN_LOCKOUT_MAX_MINUTES.
+ */
+export const LOCKOUT_THRESHOLD =
+  Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+export const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+export const LOCKOUT_MAX_MINUTES =
+  Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+// Devices and IP addresses remembered per account, most recent last
+export const KNOWN_CLIENTS_KEPT = 20;
+
+// Timestamps kept in the admin record's accessDetails.lastLogin (the full
+// history is in loginHistory)
+export const LAST_LOGINS_KEPT = 10;
+
+export const LOGIN_OUTCOMES = {
+  SUCCESS: "success",
+  INVALID_PASSWORD: "invalid-password",
+  UNKNOWN_ACCOUNT: "unknown-account",
+  INACTIVE: "inactive",
+  LOCKED: "locked",
+};
+
+export const SUSPICIOUS_FLAGS = {
+  NEW_DEVICE: "new-device",
+  NEW_IP: "new-ip",
+};
+
+export function newLoginEventId() {
+  return `LOGIN${Date.now()}${crypto.randomBytes(6).toString("hex")}`;
+}
+
+/**
+ * A device, as far as logins can tell: its user agent without version
+ * numbers (browser updates aren't a new device), hashed
+ * @param {string|null} userAgent
+ * @returns {string|null}
+ */
+export function deviceOf(userAgent) {
+  if (!userAgent) return null;
+  const family = userAgent.replace(/[\d._]+/g, "").replace(/\s+/g, " ");
+  return crypto
+    .createHash("sha256")
+    .update(family.trim())
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// GET .../admins/:id/logins
+export const LoginHistoryQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  outcome: z.enum(Object.values(LOGIN_OUTCOMES)).optional(),
+  suspicious: z
+    .enum(["true", "false"])
+    .transform((value) => value === "true")
+    .optional(),
+});
@@ -11,6 +11,9 @@ import {
   bulkLookupCategoriesService,
   exportLookupCategoriesService,
   getLookupCategoriesStatsService,
+  listTrashedLookupCategoriesService,
+  restoreLookupCategoryService,
+  purgeLookupCategoryService,
 } from "./lookup.category.service.js";
 import {
   checkPermissions,
@@ -23,11 +26,21 @@ import {
 } from "./lookup.category.validation.js";
 import {
   sendSuccess,
+  sendList,
   sendError,
   sendValidationError,
   sendNotFound,
   handleZodError,
+  sendPreconditionFailed,
 } from "../../../utilities/response.util.js";
+import {
+  expectedVersionFrom,
+  setETag,
+} from "../../../utilities/concurrency.util.js";
+import {
+  APIError,
+  PreconditionFailedError,
+} from "../../../utilities/error-handler.util.js";
 
 // Define authorization roles for this module
 // Permissions defined in route handlers directly
@@ -104,6 +117,7 @@ export async function getLookupCategoryById(req, res) {
     }
 
     console.log(`✅ Controller: Retrieved lookup category ${id}`);
+    setETag(res, lookupCategory);
 
     return sendSuccess(
       res,
@@ -149,8 +163,10 @@ export async function updateLookupCategoryById(req, res) {
     const updatedLookupCategory = await updateLookupCategoryByIdService(
       id,
       updateData,
-      userId
+      userId,
+      expectedVersionFrom(req)
     );
+    setETag(res, updatedLookupCategory);
 
     console.log(`✅ Controller: Updated lookup category ${id}`);
 
@@ -162,6 +178,10 @@ export async function updateLookupCategoryById(req, res) {
   } catch (error) {
     console.error("❌ Controller error updating lookup category:", error);
 
+    if (error instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, error.message, error.details);
+    }
+
     if (error.message.includes("not found")) {
       return sendNotFound(res, "Lookup category not found");
     }
@@ -219,6 +239,84 @@ export async function deleteLookupCategoryById(req, res) {
   }
 }
 
+/**
+ * List trashed lookup categories
+ * GET /internal/lookup-categories/trash
+ */
+export async function listTrashedLookupCategoriesHandler(req, res) {
+  try {
+    const { items, nextCursor } = await listTrashedLookupCategoriesService(req.query);
+    return sendList(
+      res,
+      items,
+      { limit: items.length, nextCursor },
+      "Trashed lookup categories retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Controller error listing trashed lookup categories:", error);
+    return sendError(
+      res,
+      "FETCH_FAILED",
+      "Failed to get trashed lookup categories",
+      null,
+      500
+    );
+  }
+}
+
+/**
+ * Restore a trashed lookup category
+ * POST /internal/lookup-categories/:id/restore
+ */
+export async function restoreLookupCategoryHandler(req, res) {
+  try {
+    const userId = req.admin?.id || req.user?.id || req.user?.email || "system";
+    const restored = await restoreLookupCategoryService(req.params.id, userId);
+    setETag(res, restored);
+    return sendSuccess(res, restored, "Lookup category restored successfully");
+  } catch (error) {
+    console.error("❌ Controller error restoring lookup category:", error);
+    if (error instanceof APIError) {
+      return sendError(res, error.code, error.message, null, error.statusCode);
+    }
+    return sendError(
+      res,
+      "RESTORE_FAILED",
+      "Failed to restore lookup category",
+      null,
+      500
+    );
+  }
+}
+
+/**
+ * Permanently delete a trashed lookup category
+ * DELETE /internal/lookup-categories/trash/:id
+ */
+export async function purgeLookupCategoryHandler(req, res) {
+  try {
+    const userId = req.admin?.id || req.user?.id || req.user?.email || "system";
+    await purgeLookupCategoryService(req.params.id, userId);
+    return sendSuccess(
+      res,
+      { id: req.params.id },
+      "Lookup category permanently deleted"
+    );
+  } catch (error) {
+    console.error("❌ Controller error purging lookup category:", error);
+    if (error instanceof APIError) {
+      return sendError(res, error.code, error.message, null, error.statusCode);
+    }
+    return sendError(
+      res,
+      "PURGE_FAILED",
+      "Failed to permanently delete lookup category",
+      null,
+      500
+    );
+  }
+}
+
 /**
  * Partially update a lookup category by ID
  * @param {Object} req - Express request object
@@ -243,6 +341,7 @@ export async function patchLookupCategoryById(req, res) {
     }
 
     const validatedData = validationResult.data;
+    const userId = req.admin?.id || req.user?.id || req.user?.email || "system";
     console.log(
       `🔄 Controller: Partially updating lookup category ${id} with:`,
       validatedData
@@ -250,8 +349,11 @@ export async function patchLookupCategoryById(req, res) {
 
     const updatedLookupCategory = await updateLookupCategoryByIdService(
       id,
-      validatedData
+      validatedData,
+      userId,
+      expectedVersionFrom(req)
     );
+    setETag(res, updatedLookupCategory);
 
     if (!updatedLookupCategory) {
       return sendNotFound(res, `Lookup category with ID ${id} not found`);
@@ -272,6 +374,10 @@ export async function patchLookupCategoryById(req, res) {
       error
     );
 
+    if (error instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, error.message, error.details);
+    }
+
     return sendError(
       res,
       "UPDATE_FAILED",
@@ -1,7 +1,16 @@
 import { db } from "../../../services/firestore.client.js";
+import { platformPath } from "../../../utilities/country-context.util.js";
+import { updateWithVersion } from "../../../utilities/concurrency.util.js";
+import { APIError } from "../../../utilities/error-handler.util.js";
+import {
+  moveToTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  listTrash,
+} from "../../../utilities/soft-delete.util.js";
 import { newLookupCategoryId } from "./lookup.category.validation.js";
 
-const COLLECTION_PATH = "touchAfrica/southAfrica/lookupCategory";
+const COLLECTION_PATH = platformPath("lookupCategory");
 
 /**
  * Create a new lookup category
@@ -56,20 +65,18 @@ export async function getLookupCategoryById(id) {
  * Update lookup category by ID
  * @param {string} id - The lookup category ID
  * @param {Object} updateData - The data to update
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
  * @returns {Promise<Object>} Updated lookup category
  */
-export async function updateLookupCategoryById(id, updateData) {
+export async function updateLookupCategoryById(id, updateData, expectedVersion = null) {
   try {
     const docRef = db.collection(COLLECTION_PATH).doc(id);
 
-    // Check if document exists
-    const doc = await docRef.get();
-    if (!doc.exists) {
-      throw new Error(`Lookup category not found: ${id}`);
-    }
-
-    // Update the document
-    await docRef.update(updateData);
+    // Check the version and update the document in one transaction
+    await updateWithVersion(docRef, updateData, {
+      expected: expectedVersion,
+      resource: "Lookup category",
+    });
 
     // Get updated document
     const updatedDoc = await docRef.get();
@@ -79,33 +86,60 @@ export async function updateLookupCategoryById(id, updateData) {
     return updatedData;
   } catch (error) {
     console.error("❌ Error updating lookup category:", error);
+    if (error instanceof APIError) throw error;
     throw new Error(`Failed to update lookup category: ${error.message}`);
   }
 }
 
 /**
- * Delete lookup category by ID
+ * Delete lookup category by ID (soft delete - moves it to the trash)
  * @param {string} id - The lookup category ID
+ * @param {string} userId - The ID of the user deleting the lookup category
  * @returns {Promise<void>}
  */
-export async function deleteLookupCategoryById(id) {
+export async function deleteLookupCategoryById(id, userId) {
   try {
-    const docRef = db.collection(COLLECTION_PATH).doc(id);
-
-    // Check if document exists
-    const doc = await docRef.get();
-    if (!doc.exists) {
-      throw new Error(`Lookup category not found: ${id}`);
-    }
-
-    await docRef.delete();
-    console.log(`✅ Lookup category deleted: ${id}`);
+    await moveToTrash(COLLECTION_PATH, id, userId, {
+      resource: "Lookup category",
+    });
+    console.log(`✅ Lookup category moved to trash: ${id}`);
   } catch (error) {
     console.error("❌ Error deleting lookup category:", error);
+    if (error instanceof APIError) throw error;
     throw new Error(`Failed to delete lookup category: ${error.message}`);
   }
 }
 
+/**
+ * List trashed lookup categories, most recently deleted first
+ * @param {Object} options - { limit, cursor }
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export async function listTrashedLookupCategories(options = {}) {
+  return listTrash(COLLECTION_PATH, options);
+}
+
+/**
+ * Restore a trashed lookup category
+ * @param {string} id - The lookup category ID
+ * @param {string} userId - The ID of the user restoring the lookup category
+ * @returns {Promise<Object>} Restored lookup category
+ */
+export async function restoreLookupCategoryById(id, userId) {
+  return restoreFromTrash(COLLECTION_PATH, id, userId, {
+    resource: "Lookup category",
+  });
+}
+
+/**
+ * Permanently delete a trashed lookup category
+ * @param {string} id - The lookup category ID
+ * @returns {Promise<Object>} Purged lookup category
+ */
+export async function purgeLookupCategoryById(id) {
+  return purgeFromTrash(COLLECTION_PATH, id, { resource: "Lookup category" });
+}
+
 /**
  * Get all lookup categories
  * @returns {Promise<Array>} Array of all lookup categories
@@ -18,10 +18,23 @@ import {
   bulkLookupCategoriesHandler,
   exportLookupCategoriesHandler,
   getLookupCategoriesStatsHandler,
+  listTrashedLookupCategoriesHandler,
+  restoreLookupCategoryHandler,
+  purgeLookupCategoryHandler,
 } from "./lookup.category.controller.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+import {
+  getLookupCategoryById as loadLookupCategory,
+} from "./lookup.category.firestore.js";
 
 const router = express.Router();
 
+const auditLookupCategory = (action) =>
+  audit("lookupCategory", {
+    action,
+    load: (id) => loadLookupCategory(id),
+  });
+
 // ================================
 // LOOKUP CATEGORY ROUTES
 // ================================
@@ -37,6 +50,7 @@ router.post(
   "/internal/lookup-categories",
   authenticateJWT,
   checkPermissions("lookup.create"),
+  auditLookupCategory(),
   createLookupCategory
 );
 
@@ -80,6 +94,7 @@ router.post(
   "/internal/lookup-categories/bulk",
   authenticateJWT,
   checkPermissions("lookup.update"),
+  auditLookupCategory("bulk"),
   bulkLookupCategoriesHandler
 );
 
@@ -99,6 +114,50 @@ router.get(
   getLookupCategoriesStatsHandler
 );
 
+/**
+ * @route   GET /internal/lookup-categories/trash
+ * @desc    List soft-deleted lookup categories
+ * @access  Private (lookup.restore)
+ * @auth    JWT Token required
+ * @query   ?limit=50&cursor=lastId
+ */
+router.get(
+  "/internal/lookup-categories/trash",
+  authenticateJWT,
+  checkPermissions("lookup.restore"),
+  listTrashedLookupCategoriesHandler
+);
+
+/**
+ * @route   DELETE /internal/lookup-categories/trash/:id
+ * @desc    Permanently delete a trashed lookup category
+ * @access  Private (lookup.purge)
+ * @auth    JWT Token required
+ * @param   id - The lookup category ID
+ */
+router.delete(
+  "/internal/lookup-categories/trash/:id",
+  authenticateJWT,
+  checkPermissions("lookup.purge"),
+  auditLookupCategory("purge"),
+  purgeLookupCategoryHandler
+);
+
+/**
+ * @route   POST /internal/lookup-categories/:id/restore
+ * @desc    Restore a soft-deleted lookup category
+ * @access  Private (lookup.restore)
+ * @auth    JWT Token required
+ * @param   id - The lookup category ID
+ */
+router.post(
+  "/internal/lookup-categories/:id/restore",
+  authenticateJWT,
+  checkPermissions("lookup.restore"),
+  auditLookupCategory("restore"),
+  restoreLookupCategoryHandler
+);
+
 /**
  * @route   GET /internal/lookupCategory/:id
  * @desc    Get lookup category by ID
@@ -125,6 +184,7 @@ router.put(
   "/internal/lookup-categories/:id",
   authenticateJWT,
   checkPermissions("lookup.update"),
+  auditLookupCategory(),
   updateLookupCategoryById
 );
 
@@ -140,6 +200,7 @@ router.patch(
   "/internal/lookup-categories/:id",
   authenticateJWT,
   checkPermissions("lookup.update"),
+  auditLookupCategory(),
   patchLookupCategoryById
 );
 
@@ -154,6 +215,7 @@ router.delete(
   "/internal/lookup-categories/:id",
   authenticateJWT,
   checkPermissions("lookup.delete"),
+  auditLookupCategory(),
   deleteLookupCategoryById
 );
 
@@ -4,6 +4,9 @@ import {
   updateLookupCategoryById,
   deleteLookupCategoryById,
   getAllLookupCategories,
+  listTrashedLookupCategories,
+  restoreLookupCategoryById,
+  purgeLookupCategoryById,
 } from "./lookup.category.firestore.js";
 import {
   paginateArray,
@@ -76,9 +79,15 @@ export async function getLookupCategoryByIdService(id) {
  * @param {string} id - The lookup category ID
  * @param {Object} updateData - The data to update
  * @param {string} userId - The ID of the user updating the lookup category
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
  * @returns {Promise<Object>} Updated lookup category
  */
-export async function updateLookupCategoryByIdService(id, updateData, userId) {
+export async function updateLookupCategoryByIdService(
+  id,
+  updateData,
+  userId,
+  expectedVersion = null
+) {
   try {
     const updateDataWithMetadata = {
       ...updateData,
@@ -90,7 +99,8 @@ export async function updateLookupCategoryByIdService(id, updateData, userId) {
 
     const updatedLookupCategory = await updateLookupCategoryById(
       id,
-      updateDataWithMetadata
+      updateDataWithMetadata,
+      expectedVersion
     );
 
     console.log(`✅ Service: Updated lookup category ${id} by user ${userId}`);
@@ -109,7 +119,7 @@ export async function updateLookupCategoryByIdService(id, updateData, userId) {
  */
 export async function deleteLookupCategoryByIdService(id, userId) {
   try {
-    await deleteLookupCategoryById(id);
+    await deleteLookupCategoryById(id, userId);
 
     console.log(`✅ Service: Deleted lookup category ${id} by user ${userId}`);
   } catch (error) {
@@ -118,6 +128,41 @@ export async function deleteLookupCategoryByIdService(id, userId) {
   }
 }
 
+/**
+ * List trashed lookup categories
+ * @param {Object} queryParams - { limit, cursor }
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export async function listTrashedLookupCategoriesService(queryParams = {}) {
+  return await listTrashedLookupCategories({
+    limit: queryParams.limit,
+    cursor: queryParams.cursor,
+  });
+}
+
+/**
+ * Restore a lookup category from the trash
+ * @param {string} id - The lookup category ID
+ * @param {string} userId - The ID of the user restoring the lookup category
+ * @returns {Promise<Object>} Restored lookup category
+ */
+export async function restoreLookupCategoryService(id, userId) {
+  const restored = await restoreLookupCategoryById(id, userId);
+  console.log(`✅ Service: Restored lookup category ${id} by user ${userId}`);
+  return restored;
+}
+
+/**
+ * Permanently delete a trashed lookup category
+ * @param {string} id - The lookup category ID
+ * @param {string} userId - The ID of the user purging the lookup category
+ * @returns {Promise<void>}
+ */
+export async function purgeLookupCategoryService(id, userId) {
+  await purgeLookupCategoryById(id);
+  console.log(`✅ Service: Purged lookup category ${id} by user ${userId}`);
+}
+
 /**
  * Get all lookup categories
  * @returns {Promise<Array>} Array of all lookup categories
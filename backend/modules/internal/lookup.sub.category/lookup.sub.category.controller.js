@@ -11,6 +11,9 @@ import {
   bulkLookupSubCategoriesService,
   exportLookupSubCategoriesService,
   getLookupSubCategoriesStatsService,
+  listTrashedLookupSubCategoriesService,
+  restoreLookupSubCategoryService,
+  purgeLookupSubCategoryService,
 } from "./lookup.sub.category.service.js";
 import {
   checkPermissions,
@@ -23,11 +26,21 @@ import {
 } from "./lookup.sub.category.validation.js";
 import {
   sendSuccess,
+  sendList,
   sendError,
   sendValidationError,
   sendNotFound,
   handleZodError,
+  sendPreconditionFailed,
 } from "../../../utilities/response.util.js";
+import {
+  expectedVersionFrom,
+  setETag,
+} from "../../../utilities/concurrency.util.js";
+import {
+  APIError,
+  PreconditionFailedError,
+} from "../../../utilities/error-handler.util.js";
 
 // Define authorization roles for this module
 // Permissions defined in route handlers directly
@@ -98,6 +111,7 @@ export async function getLookupSubCategoryById(req, res) {
     }
 
     console.log(`✅ Controller: Retrieved lookup sub category ${id}`);
+    setETag(res, lookupSubCategory);
 
     return sendSuccess(
       res,
@@ -141,8 +155,10 @@ export async function updateLookupSubCategoryById(req, res) {
     const updatedLookupSubCategory = await updateLookupSubCategoryByIdService(
       id,
       updateData,
-      userId
+      userId,
+      expectedVersionFrom(req)
     );
+    setETag(res, updatedLookupSubCategory);
 
     console.log(`✅ Controller: Updated lookup sub category ${id}`);
 
@@ -154,6 +170,10 @@ export async function updateLookupSubCategoryById(req, res) {
   } catch (error) {
     console.error("❌ Controller error updating lookup sub category:", error);
 
+    if (error instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, error.message, error.details);
+    }
+
     if (error.message.includes("not found")) {
       return sendNotFound(res, "Lookup sub category not found");
     }
@@ -207,6 +227,84 @@ export async function deleteLookupSubCategoryById(req, res) {
   }
 }
 
+/**
+ * List trashed lookup sub categories
+ * GET /internal/lookup-sub-categories/trash
+ */
+export async function listTrashedLookupSubCategoriesHandler(req, res) {
+  try {
+    const { items, nextCursor } = await listTrashedLookupSubCategoriesService(req.query);
+    return sendList(
+      res,
+      items,
+      { limit: items.length, nextCursor },
+      "Trashed lookup sub categories retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Controller error listing trashed lookup sub categories:", error);
+    return sendError(
+      res,
+      "FETCH_FAILED",
+      "Failed to get trashed lookup sub categories",
+      null,
+      500
+    );
+  }
+}
+
+/**
+ * Restore a trashed lookup sub category
+ * POST /internal/lookup-sub-categories/:id/restore
+ */
+export async function restoreLookupSubCategoryHandler(req, res) {
+  try {
+    const userId = req.admin?.id || req.user?.id || req.user?.email || "system";
+    const restored = await restoreLookupSubCategoryService(req.params.id, userId);
+    setETag(res, restored);
+    return sendSuccess(res, restored, "Lookup sub category restored successfully");
+  } catch (error) {
+    console.error("❌ Controller error restoring lookup sub category:", error);
+    if (error instanceof APIError) {
+      return sendError(res, error.code, error.message, null, error.statusCode);
+    }
+    return sendError(
+      res,
+      "RESTORE_FAILED",
+      "Failed to restore lookup sub category",
+      null,
+      500
+    );
+  }
+}
+
+/**
+ * Permanently delete a trashed lookup sub category
+ * DELETE /internal/lookup-sub-categories/trash/:id
+ */
+export async function purgeLookupSubCategoryHandler(req, res) {
+  try {
+    const userId = req.admin?.id || req.user?.id || req.user?.email || "system";
+    await purgeLookupSubCategoryService(req.params.id, userId);
+    return sendSuccess(
+      res,
+      { id: req.params.id },
+      "Lookup sub category permanently deleted"
+    );
+  } catch (error) {
+    console.error("❌ Controller error purging lookup sub category:", error);
+    if (error instanceof APIError) {
+      return sendError(res, error.code, error.message, null, error.statusCode);
+    }
+    return sendError(
+      res,
+      "PURGE_FAILED",
+      "Failed to permanently delete lookup sub category",
+      null,
+      500
+    );
+  }
+}
+
 /**
  * Partially update a lookup sub category by ID
  * @param {Object} req - Express request object
@@ -231,6 +329,7 @@ export async function patchLookupSubCategoryById(req, res) {
     }
 
     const validatedData = validationResult.data;
+    const userId = req.admin?.id || req.user?.id || req.user?.email || "system";
     console.log(
       `🔄 Controller: Partially updating lookup sub category ${id} with:`,
       validatedData
@@ -238,8 +337,11 @@ export async function patchLookupSubCategoryById(req, res) {
 
     const updatedLookupSubCategory = await updateLookupSubCategoryByIdService(
       id,
-      validatedData
+      validatedData,
+      userId,
+      expectedVersionFrom(req)
     );
+    setETag(res, updatedLookupSubCategory);
 
     if (!updatedLookupSubCategory) {
       return sendNotFound(res, `Lookup sub category with ID ${id} not found`);
@@ -260,6 +362,10 @@ export async function patchLookupSubCategoryById(req, res) {
       error
     );
 
+    if (error instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, error.message, error.details);
+    }
+
     return sendError(
       res,
       "UPDATE_FAILED",
@@ -1,7 +1,16 @@
 import { db } from "../../../services/firestore.client.js";
+import { platformPath } from "../../../utilities/country-context.util.js";
+import { updateWithVersion } from "../../../utilities/concurrency.util.js";
+import { APIError } from "../../../utilities/error-handler.util.js";
+import {
+  moveToTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  listTrash,
+} from "../../../utilities/soft-delete.util.js";
 import { newLookupSubCategoryId } from "./lookup.sub.category.validation.js";
 
-const COLLECTION_PATH = "touchAfrica/southAfrica/lookupSubCategory";
+const COLLECTION_PATH = platformPath("lookupSubCategory");
 
 /**
  * Create a new lookup sub category
@@ -56,20 +65,18 @@ export async function getLookupSubCategoryById(id) {
  * Update lookup sub category by ID
  * @param {string} id - The lookup sub category ID
  * @param {Object} updateData - The data to update
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
  * @returns {Promise<Object>} Updated lookup sub category
  */
-export async function updateLookupSubCategoryById(id, updateData) {
+export async function updateLookupSubCategoryById(id, updateData, expectedVersion = null) {
   try {
     const docRef = db.collection(COLLECTION_PATH).doc(id);
 
-    // Check if document exists
-    const doc = await docRef.get();
-    if (!doc.exists) {
-      throw new Error(`Lookup sub category not found: ${id}`);
-    }
-
-    // Update the document
-    await docRef.update(updateData);
+    // Check the version and update the document in one transaction
+    await updateWithVersion(docRef, updateData, {
+      expected: expectedVersion,
+      resource: "Lookup sub category",
+    });
 
     // Get updated document
     const updatedDoc = await docRef.get();
@@ -79,33 +86,60 @@ export async function updateLookupSubCategoryById(id, updateData) {
     return updatedData;
   } catch (error) {
     console.error("❌ Error updating lookup sub category:", error);
+    if (error instanceof APIError) throw error;
     throw new Error(`Failed to update lookup sub category: ${error.message}`);
   }
 }
 
 /**
- * Delete lookup sub category by ID
+ * Delete lookup sub category by ID (soft delete - moves it to the trash)
  * @param {string} id - The lookup sub category ID
+ * @param {string} userId - The ID of the user deleting the lookup sub category
  * @returns {Promise<void>}
  */
-export async function deleteLookupSubCategoryById(id) {
+export async function deleteLookupSubCategoryById(id, userId) {
   try {
-    const docRef = db.collection(COLLECTION_PATH).doc(id);
-
-    // Check if document exists
-    const doc = await docRef.get();
-    if (!doc.exists) {
-      throw new Error(`Lookup sub category not found: ${id}`);
-    }
-
-    await docRef.delete();
-    console.log(`✅ Lookup sub category deleted: ${id}`);
+    await moveToTrash(COLLECTION_PATH, id, userId, {
+      resource: "Lookup sub category",
+    });
+    console.log(`✅ Lookup sub category moved to trash: ${id}`);
   } catch (error) {
     console.error("❌ Error deleting lookup sub category:", error);
+    if (error instanceof APIError) throw error;
     throw new Error(`Failed to delete lookup sub category: ${error.message}`);
   }
 }
 
+/**
+ * List trashed lookup sub categories, most recently deleted first
+ * @param {Object} options - { limit, cursor }
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export async function listTrashedLookupSubCategories(options = {}) {
+  return listTrash(COLLECTION_PATH, options);
+}
+
+/**
+ * Restore a trashed lookup sub category
+ * @param {string} id - The lookup sub category ID
+ * @param {string} userId - The ID of the user restoring the lookup sub category
+ * @returns {Promise<Object>} Restored lookup sub category
+ */
+export async function restoreLookupSubCategoryById(id, userId) {
+  return restoreFromTrash(COLLECTION_PATH, id, userId, {
+    resource: "Lookup sub category",
+  });
+}
+
+/**
+ * Permanently delete a trashed lookup sub category
+ * @param {string} id - The lookup sub category ID
+ * @returns {Promise<Object>} Purged lookup sub category
+ */
+export async function purgeLookupSubCategoryById(id) {
+  return purgeFromTrash(COLLECTION_PATH, id, { resource: "Lookup sub category" });
+}
+
 /**
  * Get all lookup sub categories
  * @returns {Promise<Array>} Array of all lookup sub categories
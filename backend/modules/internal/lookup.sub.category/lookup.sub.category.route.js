@@ -18,10 +18,23 @@ import {
   bulkLookupSubCategoriesHandler,
   exportLookupSubCategoriesHandler,
   getLookupSubCategoriesStatsHandler,
+  listTrashedLookupSubCategoriesHandler,
+  restoreLookupSubCategoryHandler,
+  purgeLookupSubCategoryHandler,
 } from "./lookup.sub.category.controller.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+import {
+  getLookupSubCategoryById as loadLookupSubCategory,
+} from "./lookup.sub.category.firestore.js";
 
 const router = express.Router();
 
+const auditLookupSubCategory = (action) =>
+  audit("lookupSubCategory", {
+    action,
+    load: (id) => loadLookupSubCategory(id),
+  });
+
 // ================================
 // LOOKUP SUB CATEGORY ROUTES
 // ================================
@@ -37,6 +50,7 @@ router.post(
   "/internal/lookup-sub-categories",
   authenticateJWT,
   checkPermissions("lookup.create"),
+  auditLookupSubCategory(),
   createLookupSubCategory
 );
 
@@ -80,6 +94,7 @@ router.post(
   "/internal/lookup-sub-categories/bulk",
   authenticateJWT,
   checkPermissions("lookup.update"),
+  auditLookupSubCategory("bulk"),
   bulkLookupSubCategoriesHandler
 );
 
@@ -99,6 +114,50 @@ router.get(
   getLookupSubCategoriesStatsHandler
 );
 
+/**
+ * @route   GET /internal/lookup-sub-categories/trash
+ * @desc    List soft-deleted lookup sub categories
+ * @access  Private (lookup.restore)
+ * @auth    JWT Token required
+ * @query   ?limit=50&cursor=lastId
+ */
+router.get(
+  "/internal/lookup-sub-categories/trash",
+  authenticateJWT,
+  checkPermissions("lookup.restore"),
+  listTrashedLookupSubCategoriesHandler
+);
+
+/**
+ * @route   DELETE /internal/lookup-sub-categories/trash/:id
+ * @desc    Permanently delete a trashed lookup sub category
+ * @access  Private (lookup.purge)
+ * @auth    JWT Token required
+ * @param   id - The lookup sub category ID
+ */
+router.delete(
+  "/internal/lookup-sub-categories/trash/:id",
+  authenticateJWT,
+  checkPermissions("lookup.purge"),
+  auditLookupSubCategory("purge"),
+  purgeLookupSubCategoryHandler
+);
+
+/**
+ * @route   POST /internal/lookup-sub-categories/:id/restore
+ * @desc    Restore a soft-deleted lookup sub category
+ * @access  Private (lookup.restore)
+ * @auth    JWT Token required
+ * @param   id - The lookup sub category ID
+ */
+router.post(
+  "/internal/lookup-sub-categories/:id/restore",
+  authenticateJWT,
+  checkPermissions("lookup.restore"),
+  auditLookupSubCategory("restore"),
+  restoreLookupSubCategoryHandler
+);
+
 /**
  * @route   GET /internal/lookupSubCategory/:id
  * @desc    Get lookup sub category by ID
@@ -125,6 +184,7 @@ router.put(
   "/internal/lookup-sub-categories/:id",
   authenticateJWT,
   checkPermissions("lookup.update"),
+  auditLookupSubCategory(),
   updateLookupSubCategoryById
 );
 
@@ -140,6 +200,7 @@ router.patch(
   "/internal/lookup-sub-categories/:id",
   authenticateJWT,
   checkPermissions("lookup.update"),
+  auditLookupSubCategory(),
   patchLookupSubCategoryById
 );
 
@@ -154,6 +215,7 @@ router.delete(
   "/internal/lookup-sub-categories/:id",
   authenticateJWT,
   checkPermissions("lookup.delete"),
+  auditLookupSubCategory(),
   deleteLookupSubCategoryById
 );
 
@@ -4,6 +4,9 @@ import {
   updateLookupSubCategoryById,
   deleteLookupSubCategoryById,
   getAllLookupSubCategories,
+  listTrashedLookupSubCategories,
+  restoreLookupSubCategoryById,
+  purgeLookupSubCategoryById,
 } from "./lookup.sub.category.firestore.js";
 import {
   paginateArray,
@@ -79,12 +82,14 @@ export async function getLookupSubCategoryByIdService(id) {
  * @param {string} id - The lookup sub category ID
  * @param {Object} updateData - The data to update
  * @param {string} userId - The ID of the user updating the lookup sub category
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
  * @returns {Promise<Object>} Updated lookup sub category
  */
 export async function updateLookupSubCategoryByIdService(
   id,
   updateData,
-  userId
+  userId,
+  expectedVersion = null
 ) {
   try {
     const updateDataWithMetadata = {
@@ -97,7 +102,8 @@ export async function updateLookupSubCategoryByIdService(
 
     const updatedLookupSubCategory = await updateLookupSubCategoryById(
       id,
-      updateDataWithMetadata
+      updateDataWithMetadata,
+      expectedVersion
     );
 
     console.log(
@@ -118,7 +124,7 @@ export async function updateLookupSubCategoryByIdService(
  */
 export async function deleteLookupSubCategoryByIdService(id, userId) {
   try {
-    await deleteLookupSubCategoryById(id);
+    await deleteLookupSubCategoryById(id, userId);
 
     console.log(
       `✅ Service: Deleted lookup sub category ${id} by user ${userId}`
@@ -129,6 +135,41 @@ export async function deleteLookupSubCategoryByIdService(id, userId) {
   }
 }
 
+/**
+ * List trashed lookup sub categories
+ * @param {Object} queryParams - { limit, cursor }
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export async function listTrashedLookupSubCategoriesService(queryParams = {}) {
+  return await listTrashedLookupSubCategories({
+    limit: queryParams.limit,
+    cursor: queryParams.cursor,
+  });
+}
+
+/**
+ * Restore a lookup sub category from the trash
+ * @param {string} id - The lookup sub category ID
+ * @param {string} userId - The ID of the user restoring the lookup sub category
+ * @returns {Promise<Object>} Restored lookup sub category
+ */
+export async function restoreLookupSubCategoryService(id, userId) {
+  const restored = await restoreLookupSubCategoryById(id, userId);
+  console.log(`✅ Service: Restored lookup sub category ${id} by user ${userId}`);
+  return restored;
+}
+
+/**
+ * Permanently delete a trashed lookup sub category
+ * @param {string} id - The lookup sub category ID
+ * @param {string} userId - The ID of the user purging the lookup sub category
+ * @returns {Promise<void>}
+ */
+export async function purgeLookupSubCategoryService(id, userId) {
+  await purgeLookupSubCategoryById(id);
+  console.log(`✅ Service: Purged lookup sub category ${id} by user ${userId}`);
+}
+
 /**
  * Get all lookup sub categories
  * @returns {Promise<Array>} Array of all lookup sub categories
@@ -9,6 +9,9 @@ import {
   bulkLookupsService,
   exportLookupsService,
   getLookupsStatsService,
+  listTrashedLookupsService,
+  restoreLookupService,
+  purgeLookupService,
 } from "./lookup.service.js";
 import {
   sendSuccess,
@@ -17,6 +20,10 @@ import {
   sendNotFound,
   sendValidationError,
 } from "../../../utilities/response.util.js";
+import {
+  expectedVersionFrom,
+  setETag,
+} from "../../../utilities/concurrency.util.js";
 
 // Create lookup
 export const createLookupController = async (req, res, next) => {
@@ -35,6 +42,7 @@ export const getLookupController = async (req, res, next) => {
     const { id } = req.params;
     const item = await getLookupService(id);
     if (!item) return sendNotFound(res, "Lookup", id);
+    setETag(res, item);
     return sendSuccess(res, item, "Lookup retrieved successfully");
   } catch (error) {
     next(error);
@@ -46,7 +54,13 @@ export const updateLookupController = async (req, res, next) => {
   try {
     const { id } = req.params;
     const actor = req.admin?.id || req.user?.id || req.user?.email || "system";
-    const updated = await updateLookupService(id, req.body, actor);
+    const updated = await updateLookupService(
+      id,
+      req.body,
+      actor,
+      expectedVersionFrom(req)
+    );
+    setETag(res, updated);
     return sendSuccess(res, updated, "Lookup updated successfully");
   } catch (error) {
     if (error?.message?.includes("not found"))
@@ -60,7 +74,13 @@ export const patchLookupController = async (req, res, next) => {
   try {
     const { id } = req.params;
     const actor = req.admin?.id || req.user?.id || req.user?.email || "system";
-    const updated = await updateLookupService(id, req.body, actor);
+    const updated = await updateLookupService(
+      id,
+      req.body,
+      actor,
+      expectedVersionFrom(req)
+    );
+    setETag(res, updated);
     return sendSuccess(res, updated, "Lookup updated successfully");
   } catch (error) {
     if (error?.message?.includes("not found"))
@@ -73,13 +93,53 @@ export const patchLookupController = async (req, res, next) => {
 export const deleteLookupController = async (req, res, next) => {
   try {
     const { id } = req.params;
-    await deleteLookupService(id);
+    const actor = req.admin?.id || req.user?.id || req.user?.email || "system";
+    await deleteLookupService(id, actor);
     return sendSuccess(res, { id }, "Lookup deleted successfully");
   } catch (error) {
     next(error);
   }
 };
 
+// List trashed lookups
+export const listTrashedLookupsController = async (req, res, next) => {
+  try {
+    const { items, nextCursor } = await listTrashedLookupsService(req.query);
+    return sendList(
+      res,
+      items,
+      { limit: items.length, nextCursor },
+      "Trashed lookups retrieved successfully"
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restore lookup from the trash
+export const restoreLookupController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const actor = req.admin?.id || req.user?.id || req.user?.email || "system";
+    const restored = await restoreLookupService(id, actor);
+    setETag(res, restored);
+    return sendSuccess(res, restored, "Lookup restored successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Permanently delete a trashed lookup
+export const purgeLookupController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await purgeLookupService(id);
+    return sendSuccess(res, { id }, "Lookup permanently deleted");
+  } catch (error) {
+    next(error);
+  }
+};
+
 // List lookups with pagination & sorting
 export const getAllLookupsController = async (req, res, next) => {
   try {
@@ -1,6 +1,15 @@
 import { db } from "../../../services/firestore.client.js";
+import { platformPath } from "../../../utilities/country-context.util.js";
+import { updateWithVersion } from "../../../utilities/concurrency.util.js";
+import { APIError } from "../../../utilities/error-handler.util.js";
+import {
+  moveToTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  listTrash,
+} from "../../../utilities/soft-delete.util.js";
 
-const COLLECTION_PATH = "touchAfrica/southAfrica/lookups";
+const COLLECTION_PATH = platformPath("lookups");
 
 /**
  * Create a new lookup
@@ -43,35 +52,69 @@ export async function getLookupById(id) {
  * Update a lookup by ID
  * @param {string} id - The lookup ID
  * @param {Object} updateData - The data to update
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
  * @returns {Promise<boolean>} - Success status
  */
-export async function updateLookupById(id, updateData) {
+export async function updateLookupById(id, updateData, expectedVersion = null) {
   try {
     const lookupRef = db.collection(COLLECTION_PATH).doc(id);
-    await lookupRef.update(updateData);
+    await updateWithVersion(lookupRef, updateData, {
+      expected: expectedVersion,
+      resource: "Lookup",
+    });
     return true;
   } catch (error) {
     console.error("Error updating lookup:", error);
+    if (error instanceof APIError) throw error;
     throw new Error("Failed to update lookup");
   }
 }
 
 /**
- * Delete a lookup by ID
+ * Delete a lookup by ID (soft delete - moves the lookup to the trash)
  * @param {string} id - The lookup ID
+ * @param {string} actor - The user deleting the lookup
  * @returns {Promise<boolean>} - Success status
  */
-export async function deleteLookupById(id) {
+export async function deleteLookupById(id, actor) {
   try {
-    const lookupRef = db.collection(COLLECTION_PATH).doc(id);
-    await lookupRef.delete();
+    await moveToTrash(COLLECTION_PATH, id, actor, { resource: "Lookup" });
     return true;
   } catch (error) {
     console.error("Error deleting lookup:", error);
+    if (error instanceof APIError) throw error;
     throw new Error("Failed to delete lookup");
   }
 }
 
+/**
+ * List trashed lookups, most recently deleted first
+ * @param {Object} options - { limit, cursor }
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export async function listTrashedLookups(options = {}) {
+  return listTrash(COLLECTION_PATH, options);
+}
+
+/**
+ * Restore a trashed lookup
+ * @param {string} id - The lookup ID
+ * @param {string} actor - The user restoring the lookup
+ * @returns {Promise<Object>} - The restored lookup
+ */
+export async function restoreLookupById(id, actor) {
+  return restoreFromTrash(COLLECTION_PATH, id, actor, { resource: "Lookup" });
+}
+
+/**
+ * Permanently delete a trashed lookup
+ * @param {string} id - The lookup ID
+ * @returns {Promise<Object>} - The purged lookup
+ */
+export async function purgeLookupById(id) {
+  return purgeFromTrash(COLLECTION_PATH, id, { resource: "Lookup" });
+}
+
 /**
  * Get all lookups
  * @returns {Promise<Array>} - Array of all lookups
@@ -91,3 +134,29 @@ export async function getAllLookups() {
     throw new Error("Failed to get lookups");
   }
 }
+
+/**
+ * Get the lookup for a category and sub category
+ * @param {string} category - e.g. "Person"
+ * @param {string} subCategory - e.g. "Document Types"
+ * @returns {Promise<Object|null>} - The lookup data or null if not found
+ */
+export async function getLookupByCategory(category, subCategory) {
+  try {
+    const snapshot = await db
+      .collection(COLLECTION_PATH)
+      .where("category", "==", category)
+      .where("subCategory", "==", subCategory)
+      .limit(1)
+      .get();
+    if (snapshot.empty) {
+      return null;
+    }
+
+    const doc = snapshot.docs[0];
+    return { id: doc.id, ...doc.data() };
+  } catch (error) {
+    console.error("Error getting lookup by category:", error);
+    throw new Error("Failed to get lookup");
+  }
+}
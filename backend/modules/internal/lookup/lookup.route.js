@@ -15,15 +15,27 @@ import {
   bulkLookupsController,
   exportLookupsController,
   getLookupsStatsController,
+  listTrashedLookupsController,
+  restoreLookupController,
+  purgeLookupController,
 } from "./lookup.controller.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+import { getLookupById } from "./lookup.firestore.js";
 
 const router = express.Router();
 
+const auditLookup = (action) =>
+  audit("lookup", {
+    action,
+    load: (id) => getLookupById(id),
+  });
+
 // POST /internal/lookups - Create new lookup
 router.post(
   "/internal/lookups",
   authenticateJWT,
   checkPermissions("lookup.create"),
+  auditLookup(),
   createLookupController
 );
 
@@ -56,6 +68,7 @@ router.post(
   "/internal/lookups/bulk",
   authenticateJWT,
   checkPermissions("lookup.update"),
+  auditLookup("bulk"),
   bulkLookupsController
 );
 
@@ -75,6 +88,32 @@ router.get(
   getLookupsStatsController
 );
 
+// Trash (soft-deleted lookups)
+router.get(
+  "/internal/lookups/trash",
+  authenticateJWT,
+  checkPermissions("lookup.restore"),
+  listTrashedLookupsController
+);
+
+// DELETE /internal/lookups/trash/:id - Permanently delete a trashed lookup
+router.delete(
+  "/internal/lookups/trash/:id",
+  authenticateJWT,
+  checkPermissions("lookup.purge"),
+  auditLookup("purge"),
+  purgeLookupController
+);
+
+// POST /internal/lookups/:id/restore - Restore a soft-deleted lookup
+router.post(
+  "/internal/lookups/:id/restore",
+  authenticateJWT,
+  checkPermissions("lookup.restore"),
+  auditLookup("restore"),
+  restoreLookupController
+);
+
 // GET /internal/lookups/:id - Get lookup by ID
 router.get(
   "/internal/lookups/:id",
@@ -88,6 +127,7 @@ router.put(
   "/internal/lookups/:id",
   authenticateJWT,
   checkPermissions("lookup.update"),
+  auditLookup(),
   updateLookupController
 );
 
@@ -96,6 +136,7 @@ router.patch(
   "/internal/lookups/:id",
   authenticateJWT,
   checkPermissions("lookup.update"),
+  auditLookup(),
   patchLookupController
 );
 
@@ -104,6 +145,7 @@ router.delete(
   "/internal/lookups/:id",
   authenticateJWT,
   checkPermissions("lookup.delete"),
+  auditLookup(),
   deleteLookupController
 );
 
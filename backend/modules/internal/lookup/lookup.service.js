@@ -4,6 +4,9 @@ import {
   updateLookupById,
   deleteLookupById,
   getAllLookups,
+  listTrashedLookups,
+  restoreLookupById,
+  purgeLookupById,
 } from "./lookup.firestore.js";
 import { newLookupId } from "./lookup.validation.js";
 import {
@@ -57,9 +60,15 @@ export async function getLookupService(id) {
  * @param {string} id - The lookup ID
  * @param {Object} updateData - The data to update
  * @param {string} actor - The user updating the lookup
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
  * @returns {Promise<Object>} - The updated lookup
  */
-export async function updateLookupService(id, updateData, actor) {
+export async function updateLookupService(
+  id,
+  updateData,
+  actor,
+  expectedVersion = null
+) {
   const now = new Date().toISOString();
 
   const updateWithMetadata = {
@@ -70,7 +79,7 @@ export async function updateLookupService(id, updateData, actor) {
     },
   };
 
-  await updateLookupById(id, updateWithMetadata);
+  await updateLookupById(id, updateWithMetadata, expectedVersion);
   return await getLookupById(id);
 }
 
@@ -79,8 +88,39 @@ export async function updateLookupService(id, updateData, actor) {
  * @param {string} id - The lookup ID
  * @returns {Promise<boolean>} - Success status
  */
-export async function deleteLookupService(id) {
-  return await deleteLookupById(id);
+export async function deleteLookupService(id, actor) {
+  return await deleteLookupById(id, actor);
+}
+
+/**
+ * List trashed lookups
+ * @param {Object} queryParams - { limit, cursor }
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export async function listTrashedLookupsService(queryParams = {}) {
+  return await listTrashedLookups({
+    limit: queryParams.limit,
+    cursor: queryParams.cursor,
+  });
+}
+
+/**
+ * Restore a lookup from the trash
+ * @param {string} id - The lookup ID
+ * @param {string} actor - The user restoring the lookup
+ * @returns {Promise<Object>} - The restored lookup
+ */
+export async function restoreLookupService(id, actor) {
+  return await restoreLookupById(id, actor);
+}
+
+/**
+ * Permanently delete a trashed lookup
+ * @param {string} id - The lookup ID
+ * @returns {Promise<Object>} - The purged lookup
+ */
+export async function purgeLookupService(id) {
+  return await purgeLookupById(id);
 }
 
 /**
@@ -263,7 +303,7 @@ export async function bulkLookupsService(operation, data = []) {
           try {
             const id = typeof item === "string" ? item : item?.id;
             if (!id) throw new Error("ID is required for delete operation");
-            await deleteLookupService(id);
+            await deleteLookupService(id, "bulk_operation");
             results.successful++;
             results.data.push({ index, id, status: "deleted" });
           } catch (err) {
@@ -1,6 +1,7 @@
 import { db } from "../../../services/firestore.client.js";
+import { platformPath } from "../../../utilities/country-context.util.js";
 
-const COLLECTION_PATH = "touchAfrica/southAfrica/permission";
+const COLLECTION_PATH = platformPath("permission");
 
 /**
  * Create a new internal permission in Firestore
@@ -92,7 +93,7 @@ export const deleteInternalPermissionById = async (permissionId) => {
  */
 export const getAllInternalPermissions = async () => {
   try {
-    const collectionRef = db.collection("touchAfrica/southAfrica/permission");
+    const collectionRef = db.collection(platformPath("permission"));
     const snapshot = await collectionRef.get();
 
     const internalPermissions = [];
@@ -16,9 +16,18 @@ import {
   exportInternalPermissionsController,
   getInternalPermissionsStatsController,
 } from "./permission.controller.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+import { getInternalPermissionById } from "./permission.firestore.js";
 
 const router = express.Router();
 
+const auditPermission = (action) =>
+  audit("permission", {
+    action,
+    idField: "permissionId",
+    load: (id) => getInternalPermissionById(id),
+  });
+
 // Authorization roles for internal permission operations
 // Permissions defined in route handlers directly
 
@@ -27,6 +36,7 @@ router.post(
   "/internal/permissions",
   authenticateJWT,
   checkPermissions("admin.create"),
+  auditPermission(),
   createInternalPermissionController
 );
 
@@ -51,6 +61,7 @@ router.post(
   "/internal/permissions/bulk",
   authenticateJWT,
   checkPermissions("admin.update"),
+  auditPermission("bulk"),
   bulkInternalPermissionsController
 );
 
@@ -83,6 +94,7 @@ router.put(
   "/internal/permissions/:id",
   authenticateJWT,
   checkPermissions("admin.update"),
+  auditPermission(),
   updateInternalPermissionController
 );
 
@@ -91,6 +103,7 @@ router.patch(
   "/internal/permissions/:id",
   authenticateJWT,
   checkPermissions("admin.update"),
+  auditPermission(),
   patchInternalPermissionController
 );
 
@@ -99,6 +112,7 @@ router.delete(
   "/internal/permissions/:id",
   authenticateJWT,
   checkPermissions("admin.delete"),
+  auditPermission(),
   deleteInternalPermissionController
 );
 
@@ -0,0 +1,148 @@
+import { z } from "zod";
+import {
+  UploadDocumentSchema,
+  ExpiringDocumentsQuerySchema,
+} from "./person.document.validation.js";
+import {
+  getDocumentTypes,
+  uploadPersonDocument,
+  listPersonDocuments,
+  getPersonDocumentRecord,
+  readPersonDocument,
+  deletePersonDocument,
+  listExpiringDocuments,
+} from "./person.document.service.js";
+import {
+  sendSuccess,
+  sendList,
+  handleZodError,
+} from "../../../utilities/response.util.js";
+
+/**
+ * Handlers for both the platform's people (/internal/persons/...) and a
+ * tenant's (/:tenantId/persons/...)
+ */
+
+function actorFrom(req) {
+  const p = req.admin || req.user || {};
+  return p.id || p.email || "anonymous";
+}
+
+// Platform routes have no tenantId param
+function scopeOf(req) {
+  return req.params.tenantId || null;
+}
+
+// GET .../persons/documents/types - types uploads may use
+export async function listDocumentTypesHandler(req, res, next) {
+  try {
+    const types = await getDocumentTypes();
+    return sendList(
+      res,
+      types,
+      { total: types.length },
+      "Document types retrieved successfully"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET .../persons/documents/expiring?withinDays=&documentType=
+export async function listExpiringDocumentsHandler(req, res, next) {
+  try {
+    const filters = ExpiringDocumentsQuerySchema.parse(req.query || {});
+    const documents = await listExpiringDocuments(scopeOf(req), filters);
+    return sendList(
+      res,
+      documents,
+      { total: documents.length },
+      "Expiring documents retrieved successfully"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST .../persons/:id/documents - upload (file base64 encoded in `data`)
+export async function uploadDocumentHandler(req, res, next) {
+  try {
+    const data = UploadDocumentSchema.parse(req.body || {});
+    const document = await uploadPersonDocument(
+      scopeOf(req),
+      req.params.id,
+      data,
+      actorFrom(req)
+    );
+    return sendSuccess(res, document, "Document uploaded", 201);
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET .../persons/:id/documents
+export async function listDocumentsHandler(req, res, next) {
+  try {
+    const documents = await listPersonDocuments(scopeOf(req), req.params.id);
+    return sendList(
+      res,
+      documents,
+      { total: documents.length },
+      "Documents retrieved successfully"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET .../persons/:id/documents/:documentId
+export async function getDocumentHandler(req, res, next) {
+  try {
+    const document = await getPersonDocumentRecord(
+      scopeOf(req),
+      req.params.id,
+      req.params.documentId
+    );
+    return sendSuccess(res, document, "Document retrieved");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET .../persons/:id/documents/:documentId/download - the file itself
+export async function downloadDocumentHandler(req, res, next) {
+  try {
+    const { document, content } = await readPersonDocument(
+      scopeOf(req),
+      req.params.id,
+      req.params.documentId
+    );
+    res.setHeader("Content-Type", document.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${document.fileName}"`
+    );
+    res.setHeader("Content-Length", content.length);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", "no-store");
+    return res.send(content);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE .../persons/:id/documents/:documentId
+export async function deleteDocumentHandler(req, res, next) {
+  try {
+    const document = await deletePersonDocument(
+      scopeOf(req),
+      req.params.id,
+      req.params.documentId
+    );
+    return sendSuccess(res, document, "Document deleted");
+  } catch (err) {
+    next(err);
+  }
+}
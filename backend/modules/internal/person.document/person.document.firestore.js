@@ -0,0 +1,86 @@
+import { db } from "../../../services/firestore.client.js";
+import { blobStore } from "../../../services/blob.client.js";
+import {
+  platformPath,
+  tenantPath,
+} from "../../../utilities/country-context.util.js";
+
+/**
+ * Document records live next to the people they belong to: the
+ * platform's (tenantId null) or a tenant's. The file itself is in the blob
+ * store, under the record's path.
+ */
+function scopedPath(tenantId, collection) {
+  return tenantId ? tenantPath(tenantId, collection) : platformPath(collection);
+}
+
+function documentsCol(tenantId) {
+  return db.collection(scopedPath(tenantId, "personDocuments"));
+}
+
+// Blob key of a document's file
+export function documentBlobKey(tenantId, id) {
+  return `${scopedPath(tenantId, "personDocuments")}/${id}`;
+}
+
+export async function getStoredPerson(tenantId, id) {
+  const snap = await db.collection(scopedPath(tenantId, "people")).doc(id).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+export async function savePersonDocument(tenantId, model) {
+  await documentsCol(tenantId).doc(model.id).set(model);
+  return model;
+}
+
+export async function getPersonDocumentById(tenantId, id) {
+  const snap = await documentsCol(tenantId).doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
+
+export async function deletePersonDocumentById(tenantId, id) {
+  await documentsCol(tenantId).doc(id).delete();
+}
+
+/**
+ * A person's documents, newest first
+ */
+export async function listDocumentsForPerson(tenantId, personId) {
+  const snapshot = await documentsCol(tenantId)
+    .where("personId", "==", personId)
+    .get();
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .sort((a, b) => b.created.when.localeCompare(a.created.when));
+}
+
+/**
+ * Remove a person's documents and their files (the person is purged)
+ * @returns {Promise<number>} Documents removed
+ */
+export async function deletePersonDocuments(tenantId, personId) {
+  const snapshot = await documentsCol(tenantId)
+    .where("personId", "==", personId)
+    .get();
+  for (const doc of snapshot.docs) {
+    await blobStore.delete(doc.data().blobKey);
+    await doc.ref.delete();
+  }
+  return snapshot.size;
+}
+
+/**
+ * Documents expiring before a date, soonest first
+ * @param {string|null} tenantId
+ * @param {Object} filters - { before: "YYYY-MM-DD" (exclusive),
+ *   from: "YYYY-MM-DD" to leave out earlier expiries, documentType }
+ */
+export async function listDocumentsExpiringBefore(tenantId, filters) {
+  let query = documentsCol(tenantId).where("expiryDate", "<", filters.before);
+  if (filters.from) query = query.where("expiryDate", ">=", filters.from);
+  if (filters.documentType) {
+    query = query.where("documentType", "==", filters.documentType);
+  }
+  const snapshot = await query.orderBy("expiryDate", "asc").get();
+  return snapshot.docs.map((doc) => doc.data());
+}
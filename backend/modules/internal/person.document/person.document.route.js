@@ -0,0 +1,93 @@
+import express from "express";
+import { authenticateJWT } from "../../../middleware/auth.middleware.js";
+import { checkPermissions } from "../../../middleware/permission.middleware.js";
+import {
+  listDocumentTypesHandler,
+  listExpiringDocumentsHandler,
+  uploadDocumentHandler,
+  listDocumentsHandler,
+  getDocumentHandler,
+  downloadDocumentHandler,
+  deleteDocumentHandler,
+} from "./person.document.controller.js";
+import { getPersonDocumentById } from "./person.document.firestore.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+
+/**
+ * Person Documents Router
+ * Document vault for the platform's people (mounted before the person
+ * router, so "documents" isn't taken for an id)
+ */
+
+const router = express.Router();
+
+const auditDocument = (options) =>
+  audit("personDocument", {
+    idParam: "documentId",
+    load: (id) => getPersonDocumentById(null, id),
+    ...options,
+  });
+
+// GET /internal/persons/documents/types - Types from the lookup
+router.get(
+  "/internal/persons/documents/types",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  listDocumentTypesHandler
+);
+
+// GET /internal/persons/documents/expiring - Expiry report (?withinDays)
+router.get(
+  "/internal/persons/documents/expiring",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  listExpiringDocumentsHandler
+);
+
+// GET /internal/persons/:id/documents - A person's documents
+router.get(
+  "/internal/persons/:id/documents",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  listDocumentsHandler
+);
+
+// POST /internal/persons/:id/documents - Upload a document
+router.post(
+  "/internal/persons/:id/documents",
+  authenticateJWT,
+  checkPermissions("person.documents.manage"),
+  auditDocument({
+    action: "create",
+    id: (req, body) => body?.data?.id || null,
+  }),
+  uploadDocumentHandler
+);
+
+// GET /internal/persons/:id/documents/:documentId - Document details
+router.get(
+  "/internal/persons/:id/documents/:documentId",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  getDocumentHandler
+);
+
+// GET /internal/persons/:id/documents/:documentId/download - The file
+router.get(
+  "/internal/persons/:id/documents/:documentId/download",
+  authenticateJWT,
+  checkPermissions("person.documents.read"),
+  auditDocument({ action: "download" }),
+  downloadDocumentHandler
+);
+
+// DELETE /internal/persons/:id/documents/:documentId - Delete with its file
+router.delete(
+  "/internal/persons/:id/documents/:documentId",
+  authenticateJWT,
+  checkPermissions("person.documents.manage"),
+  auditDocument(),
+  deleteDocumentHandler
+);
+
+export default router;
@@ -0,0 +1,251 @@
+import crypto from "crypto";
+import path from "path";
+import {
+  DOCUMENT_TYPE_LOOKUP,
+  DEFAULT_DOCUMENT_TYPES,
+  DOCUMENT_CONTENT_TYPES,
+  DOCUMENT_STATUS,
+  EXPIRY_WARNING_DAYS,
+  documentMaxBytes,
+  newPersonDocumentId,
+} from "./person.document.validation.js";
+import {
+  documentBlobKey,
+  getStoredPerson,
+  savePersonDocument,
+  getPersonDocumentById,
+  deletePersonDocumentById,
+  listDocumentsForPerson,
+  listDocumentsExpiringBefore,
+} from "./person.document.firestore.js";
+import { getLookupByCategory } from "../lookup/lookup.firestore.js";
+import { blobStore } from "../../../services/blob.client.js";
+import {
+  NotFoundError,
+  ValidationError,
+} from "../../../utilities/error-handler.util.js";
+
+/**
+ * Person Document Vault
+ * Copies of ID books, passports, work permits, proof of address and
+ * qualifications kept against the platform's people (tenantId null) or a
+ * tenant's. The record (type, dates, file name, checksum) is stored with
+ * the people; the file goes to the blob store (services/blob.client.js).
+ *
+ * Document types come from the "Person / Document Types" lookup, or
+ * DEFAULT_DOCUMENT_TYPES until it is configured. Files are checked against
+ * their declared content type and DOCUMENT_MAX_BYTES.
+ */
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+/**
+ * Expiry status of a document on a date
+ * @returns {string|null} valid, expiring or expired; null without expiry
+ */
+export function documentStatus(document, on = today()) {
+  if (!document.expiryDate) return null;
+  if (document.expiryDate < on) return DOCUMENT_STATUS.EXPIRED;
+  if (document.expiryDate < addDays(on, EXPIRY_WARNING_DAYS)) {
+    return DOCUMENT_STATUS.EXPIRING;
+  }
+  return DOCUMENT_STATUS.VALID;
+}
+
+// The record as returned by the API (the blob key stays internal)
+function documentResponse(document) {
+  const { blobKey, ...rest } = document;
+  return { ...rest, status: documentStatus(document) };
+}
+
+/**
+ * The document types uploads may use
+ * @returns {Promise<Array<string>>}
+ */
+export async function getDocumentTypes() {
+  const lookup = await getLookupByCategory(
+    DOCUMENT_TYPE_LOOKUP.category,
+    DOCUMENT_TYPE_LOOKUP.subCategory
+  );
+  return lookup?.items?.length ? lookup.items : DEFAULT_DOCUMENT_TYPES;
+}
+
+async function requirePerson(tenantId, personId) {
+  const person = await getStoredPerson(tenantId, personId);
+  if (!person) throw new NotFoundError(`Person with ID ${personId}`);
+  return person;
+}
+
+async function requireDocument(tenantId, personId, id) {
+  const document = await getPersonDocumentById(tenantId, id);
+  if (!document || document.personId !== personId) {
+    throw new NotFoundError("Document");
+  }
+  return document;
+}
+
+/**
+ * Decode an upload and check it is the file type it claims to be
+ * @returns {Buffer}
+ */
+function decodeFile(data, contentType) {
+  const content = Buffer.from(data, "base64");
+  const max = documentMaxBytes();
+  if (content.length === 0) {
+    throw new ValidationError("The file is empty", "data");
+  }
+  if (content.length > max) {
+    throw new ValidationError(
+      `The file is larger than ${Math.floor(max / 1024)} KB`,
+      "data",
+      content.length
+    );
+  }
+  const signatures = DOCUMENT_CONTENT_TYPES[contentType];
+  if (!signatures.some((s) => content.subarray(0, s.length).equals(s))) {
+    throw new ValidationError(
+      `The file is not a valid ${contentType} file`,
+      "contentType",
+      contentType
+    );
+  }
+  return content;
+}
+
+// Base name without control characters or quotes (used in downloads)
+function cleanFileName(fileName) {
+  const base = path.basename(fileName.replace(/\\/g, "/"));
+  return base.replace(/[\x00-\x1f\x7f"]/g, "").trim() || "document";
+}
+
+/**
+ * Store a document against a person
+ * @param {string|null} tenantId
+ * @param {string} personId
+ * @param {Object} data - See UploadDocumentSchema
+ * @param {string} actor - ID of user uploading it
+ * @returns {Promise<Object>} The document record
+ */
+export async function uploadPersonDocument(tenantId, personId, data, actor) {
+  await requirePerson(tenantId, personId);
+
+  const types = await getDocumentTypes();
+  const documentType = types.find(
+    (t) => t.toLowerCase() === data.documentType.toLowerCase()
+  );
+  if (!documentType) {
+    throw new ValidationError(
+      `Document type must be one of: ${types.join(", ")}`,
+      "documentType",
+      data.documentType
+    );
+  }
+  const content = decodeFile(data.data, data.contentType);
+
+  const id = newPersonDocumentId();
+  const blobKey = documentBlobKey(tenantId, id);
+  const document = {
+    id,
+    personId,
+    documentType,
+    documentNumber: data.documentNumber || null,
+    issueDate: data.issueDate || null,
+    expiryDate: data.expiryDate || null,
+    note: data.note || null,
+    fileName: cleanFileName(data.fileName),
+    contentType: data.contentType,
+    size: content.length,
+    sha256: crypto.createHash("sha256").update(content).digest("hex"),
+    blobKey,
+    created: { by: actor, when: new Date().toISOString() },
+  };
+
+  await blobStore.put(blobKey, content);
+  try {
+    await savePersonDocument(tenantId, document);
+  } catch (error) {
+    await blobStore.delete(blobKey);
+    throw error;
+  }
+  return documentResponse(document);
+}
+
+export async function listPersonDocuments(tenantId, personId) {
+  await requirePerson(tenantId, personId);
+  const documents = await listDocumentsForPerson(tenantId, personId);
+  return documents.map(documentResponse);
+}
+
+export async function getPersonDocumentRecord(tenantId, personId, id) {
+  return documentResponse(await requireDocument(tenantId, personId, id));
+}
+
+/**
+ * A document with its file
+ * @returns {Promise<{document: Object, content: Buffer}>}
+ */
+export async function readPersonDocument(tenantId, personId, id) {
+  const document = await requireDocument(tenantId, personId, id);
+  const content = await blobStore.get(document.blobKey);
+  if (!content) throw new NotFoundError("Document file");
+  return { document: documentResponse(document), content };
+}
+
+/**
+ * Delete a document and its file
+ */
+export async function deletePersonDocument(tenantId, personId, id) {
+  const document = await requireDocument(tenantId, personId, id);
+  await deletePersonDocumentById(tenantId, id);
+  await blobStore.delete(document.blobKey);
+  return documentResponse(document);
+}
+
+/**
+ * Documents expiring within a number of days (and those already expired),
+ * soonest first, with the person they belong to
+ * @param {string|null} tenantId
+ * @param {Object} filters - See ExpiringDocumentsQuerySchema
+ */
+export async function listExpiringDocuments(tenantId, filters = {}) {
+  const on = today();
+  const documents = await listDocumentsExpiringBefore(tenantId, {
+    before: addDays(on, (filters.withinDays ?? 30) + 1),
+    from: filters.includeExpired === false ? on : null,
+    documentType: filters.documentType,
+  });
+
+  const people = new Map();
+  const report = [];
+  for (const document of documents.slice(0, filters.limit || 100)) {
+    if (!people.has(document.personId)) {
+      people.set(
+        document.personId,
+        await getStoredPerson(tenantId, document.personId)
+      );
+    }
+    const person = people.get(document.personId);
+    report.push({
+      ...documentResponse(document),
+      daysToExpiry: daysBetween(on, document.expiryDate),
+      person: person && {
+        id: person.id,
+        firstName: person.firstName || null,
+        surname: person.surname || null,
+      },
+    });
+  }
+  return report;
+}
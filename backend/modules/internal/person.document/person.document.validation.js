@@ -0,0 +1,87 @@
+import crypto from "crypto";
+import { z } from "zod";
+
+// The managed lookup (internal/lookup) listing the document types
+export const DOCUMENT_TYPE_LOOKUP = {
+  category: "Person",
+  subCategory: "Document Types",
+};
+
+// Used until the lookup is configured
+export const DEFAULT_DOCUMENT_TYPES = [
+  "ID Book",
+  "Smart ID Card",
+  "Passport",
+  "Work Permit",
+  "Proof of Address",
+  "Qualification",
+  "Other",
+];
+
+/**
+ * Accepted file types, with the bytes their content starts with (checked
+ * so a renamed executable can't pass as a PDF)
+ */
+export const DOCUMENT_CONTENT_TYPES = {
+  "application/pdf": [Buffer.from("%PDF-")],
+  "image/jpeg": [Buffer.from([0xff, 0xd8, 0xff])],
+  "image/png": [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+};
+
+export const DOCUMENT_STATUS = {
+  VALID: "valid",
+  EXPIRING: "expiring",
+  EXPIRED: "expired",
+};
+
+// Documents expiring within this many days are flagged as expiring
+export const EXPIRY_WARNING_DAYS = 30;
+
+export function documentMaxBytes() {
+  return parseInt(process.env.DOCUMENT_MAX_BYTES, 10) || 5 * 1024 * 1024;
+}
+
+export function newPersonDocumentId() {
+  return `DOCUMENT${Date.now()}${crypto.randomBytes(3).toString("hex")}`;
+}
+
+const DateSchema = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Must be a date (YYYY-MM-DD)")
+  .refine((value) => !Number.isNaN(Date.parse(value)), "Invalid date");
+
+/**
+ * Schema for uploading a document; `data` is the file, base64 encoded
+ */
+export const UploadDocumentSchema = z
+  .object({
+    documentType: z.string().trim().min(2).max(50),
+    fileName: z.string().trim().min(1).max(200),
+    contentType: z.enum(Object.keys(DOCUMENT_CONTENT_TYPES)),
+    data: z
+      .string()
+      .min(1, "File content is required")
+      .regex(/^[A-Za-z0-9+/\r\n]+={0,2}$/, "Must be base64 encoded"),
+    documentNumber: z.string().trim().max(50).optional(),
+    issueDate: DateSchema.optional(),
+    expiryDate: DateSchema.optional(),
+    note: z.string().max(500).optional(),
+  })
+  .refine(
+    (doc) =>
+      !doc.issueDate || !doc.expiryDate || doc.expiryDate >= doc.issueDate,
+    { message: "Expiry date can't be before the issue date", path: ["expiryDate"] }
+  );
+
+/**
+ * Expiring documents report
+ */
+export const ExpiringDocumentsQuerySchema = z.object({
+  withinDays: z.coerce.number().int().min(0).max(365).default(30),
+  documentType: z.string().trim().min(2).max(50).optional(),
+  includeExpired: z
+    .enum(["true", "false"])
+    .default("true")
+    .transform((value) => value === "true"),
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+});
@@ -0,0 +1,119 @@
+import { z } from "zod";
+import {
+  DuplicateScanSchema,
+  DuplicateQuerySchema,
+  DismissDuplicateSchema,
+  MergeDuplicateSchema,
+} from "./person.duplicate.validation.js";
+import {
+  scanForDuplicates,
+  listDuplicateCandidateRecords,
+  getDuplicateCandidateRecord,
+  dismissDuplicateCandidate,
+  mergeDuplicatePersons,
+} from "./person.duplicate.service.js";
+import { hasPermission } from "../../../middleware/permission.middleware.js";
+import {
+  SENSITIVE_READ_PERMISSION,
+} from "../../../utilities/field-encryption.util.js";
+import {
+  sendSuccess,
+  sendList,
+  handleZodError,
+} from "../../../utilities/response.util.js";
+
+/**
+ * Handlers for both the platform's people (/internal/persons/duplicates)
+ * and a tenant's (/:tenantId/persons/duplicates)
+ */
+
+function actorFrom(req) {
+  const p = req.admin || req.user || {};
+  return p.id || p.email || "anonymous";
+}
+
+// Platform routes have no tenantId param
+function scopeOf(req) {
+  return req.params.tenantId || null;
+}
+
+// POST .../persons/duplicates/scan - refresh the review queue
+export async function scanDuplicatesHandler(req, res, next) {
+  try {
+    const options = DuplicateScanSchema.parse(req.body || {});
+    const summary = await scanForDuplicates(scopeOf(req), options);
+    return sendSuccess(res, summary, "Duplicate scan completed");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET .../persons/duplicates - review queue, best match first
+export async function listDuplicatesHandler(req, res, next) {
+  try {
+    const filters = DuplicateQuerySchema.parse(req.query || {});
+    const candidates = await listDuplicateCandidateRecords(
+      scopeOf(req),
+      filters
+    );
+    return sendList(
+      res,
+      candidates,
+      { total: candidates.length },
+      "Duplicate candidates retrieved successfully"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET .../persons/duplicates/:candidateId - both persons side by side
+export async function getDuplicateHandler(req, res, next) {
+  try {
+    const candidate = await getDuplicateCandidateRecord(
+      scopeOf(req),
+      req.params.candidateId,
+      { reveal: hasPermission(req, SENSITIVE_READ_PERMISSION) }
+    );
+    return sendSuccess(res, candidate, "Duplicate candidate retrieved");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST .../persons/duplicates/:candidateId/dismiss - not the same person
+export async function dismissDuplicateHandler(req, res, next) {
+  try {
+    const { note } = DismissDuplicateSchema.parse(req.body || {});
+    const candidate = await dismissDuplicateCandidate(
+      scopeOf(req),
+      req.params.candidateId,
+      actorFrom(req),
+      note
+    );
+    return sendSuccess(res, candidate, "Duplicate candidate dismissed");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST .../persons/duplicates/:candidateId/merge - merge into the survivor
+export async function mergeDuplicateHandler(req, res, next) {
+  try {
+    const data = MergeDuplicateSchema.parse(req.body || {});
+    const result = await mergeDuplicatePersons(
+      scopeOf(req),
+      req.params.candidateId,
+      data,
+      actorFrom(req),
+      { reveal: hasPermission(req, SENSITIVE_READ_PERMISSION) }
+    );
+    return sendSuccess(res, result, "Persons merged");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
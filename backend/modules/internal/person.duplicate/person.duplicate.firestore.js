@@ -0,0 +1,327 @@
+import { db } from "../../../services/firestore.client.js";
+import {
+  platformPath,
+  tenantPath,
+} from "../../../utilities/country-context.util.js";
+import {
+  iterateCollection,
+} from "../../../utilities/collection-tree.util.js";
+import {
+  deletionStamp,
+  trashCollectionPath,
+} from "../../../utilities/soft-delete.util.js";
+import { NotFoundError } from "../../../utilities/error-handler.util.js";
+import { recordPersonVersion } from "../person.history/person.history.firestore.js";
+import { VERSION_ACTIONS } from "../person.history/person.history.validation.js";
+import { relationshipId } from "../../external/tenant/person.relationship/person.relationship.validation.js";
+
+/**
+ * Duplicate candidates live next to the people they are about: the
+ * platform's (tenantId null) or a tenant's
+ */
+function scopedPath(tenantId, collection) {
+  return tenantId ? tenantPath(tenantId, collection) : platformPath(collection);
+}
+
+export function peoplePath(tenantId) {
+  return scopedPath(tenantId, "people");
+}
+
+function candidatesCol(tenantId) {
+  return db.collection(scopedPath(tenantId, "personDuplicates"));
+}
+
+// Records pointing at a person by `personId`, re-pointed on merge
+function referencingPaths(tenantId) {
+  return tenantId
+    ? ["admins", "users", "consentEvents", "personDocuments"].map((c) =>
+        tenantPath(tenantId, c)
+      )
+    : [platformPath("admins"), platformPath("personDocuments")];
+}
+
+// Relationships and households are kept for tenants' people only
+function tenantCol(tenantId, collection) {
+  return db.collection(tenantPath(tenantId, collection));
+}
+
+export async function saveDuplicateCandidate(tenantId, model) {
+  await candidatesCol(tenantId).doc(model.id).set(model);
+  return model;
+}
+
+export async function getDuplicateCandidateById(tenantId, id) {
+  const snap = await candidatesCol(tenantId).doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
+
+export async function updateDuplicateCandidateById(tenantId, id, data) {
+  await candidatesCol(tenantId).doc(id).update(data);
+}
+
+export async function deleteDuplicateCandidateById(tenantId, id) {
+  await candidatesCol(tenantId).doc(id).delete();
+}
+
+/**
+ * Candidates, best match first
+ * @param {string|null} tenantId
+ * @param {Object} filters - { status }
+ */
+export async function listDuplicateCandidates(tenantId, filters = {}) {
+  let query = candidatesCol(tenantId);
+  if (filters.status) query = query.where("status", "==", filters.status);
+  const snapshot = await query.orderBy("score", "desc").get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+export async function listCandidatesForPerson(tenantId, personId) {
+  const snapshot = await candidatesCol(tenantId)
+    .where("personIds", "array-contains", personId)
+    .get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+/**
+ * Every live person of the scope, read in pages
+ */
+export function iteratePersons(tenantId) {
+  return iterateCollection(db.collection(peoplePath(tenantId)));
+}
+
+export async function getStoredPerson(tenantId, id) {
+  const snap = await db.collection(peoplePath(tenantId)).doc(id).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+/**
+ * Admins, tenant users, consent events and documents that point at a
+ * person
+ * @returns {Promise<Array<FirebaseFirestore.DocumentSnapshot>>}
+ */
+export async function findPersonReferences(tenantId, personId) {
+  const docs = [];
+  for (const path of referencingPaths(tenantId)) {
+    const snapshot = await db
+      .collection(path)
+      .where("personId", "==", personId)
+      .get();
+    docs.push(...snapshot.docs);
+  }
+  return docs;
+}
+
+/**
+ * A tenant person's relationships, read from their side (the platform's
+ * people have none)
+ */
+export async function findPersonRelationships(tenantId, personId) {
+  if (!tenantId) return [];
+  const snapshot = await tenantCol(tenantId, "personRelationships")
+    .where("personId", "==", personId)
+    .get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+/**
+ * Read each of the duplicate's relationships with its reciprocal, and
+ * whether the survivor already has the same link
+ */
+async function readRelationshipMoves(tx, tenantId, merge) {
+  const col = tenantCol(tenantId, "personRelationships");
+  const moves = [];
+  for (const { id } of merge.relationships) {
+    const snap = await tx.get(col.doc(id));
+    if (!snap.exists) continue;
+    const forward = snap.data();
+    const reverseSnap = await tx.get(col.doc(forward.reciprocalId));
+    const reverse = reverseSnap.exists ? reverseSnap.data() : null;
+    // A link between the pair itself would relate the survivor to itself
+    if (forward.relatedPersonId === merge.survivorId) {
+      moves.push({ forward, reverse, keep: false });
+      continue;
+    }
+    const survivorLink = col.doc(
+      relationshipId(merge.survivorId, forward.type, forward.relatedPersonId)
+    );
+    const exists = (await tx.get(survivorLink)).exists;
+    moves.push({ forward, reverse, keep: !exists && !!reverse });
+  }
+  return moves;
+}
+
+/**
+ * Store the duplicate's relationships under the survivor: both sides are
+ * rewritten with the ids derived from the survivor, links the survivor
+ * already has are dropped
+ * @returns {Array<string>} IDs of the related persons
+ */
+function writeRelationshipMoves(tx, tenantId, survivorId, moves) {
+  const col = tenantCol(tenantId, "personRelationships");
+  const related = new Set();
+  for (const { forward, reverse, keep } of moves) {
+    tx.delete(col.doc(forward.id));
+    if (reverse) tx.delete(col.doc(reverse.id));
+    if (forward.relatedPersonId !== survivorId) {
+      related.add(forward.relatedPersonId);
+    }
+    if (!keep) continue;
+    const id = relationshipId(survivorId, forward.type, reverse.personId);
+    const reciprocalId = relationshipId(
+      reverse.personId,
+      reverse.type,
+      survivorId
+    );
+    tx.set(col.doc(id), {
+      ...forward,
+      id,
+      personId: survivorId,
+      reciprocalId,
+    });
+    tx.set(col.doc(reciprocalId), {
+      ...reverse,
+      id: reciprocalId,
+      relatedPersonId: survivorId,
+      reciprocalId: id,
+    });
+  }
+  return [...related];
+}
+
+/**
+ * The households either person of the pair belongs to
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function readMergeHouseholds(tx, tenantId, persons) {
+  const households = new Map();
+  if (!tenantId) return households;
+  const col = tenantCol(tenantId, "households");
+  for (const { householdId } of persons) {
+    if (!householdId || households.has(householdId)) continue;
+    const snap = await tx.get(col.doc(householdId));
+    if (snap.exists) households.set(householdId, snap.data());
+  }
+  return households;
+}
+
+/**
+ * The survivor takes the duplicate's place in the household the merged
+ * record names and leaves any other; a household left without members is
+ * deleted, one that loses its head gets the next member as head
+ */
+function writeMergeHouseholds(tx, tenantId, households, change) {
+  const col = tenantCol(tenantId, "households");
+  const { survivorId, duplicateId, householdId, updated } = change;
+  for (const [id, household] of households) {
+    let memberIds = household.memberIds.map((m) =>
+      m === duplicateId ? survivorId : m
+    );
+    if (id !== householdId) {
+      memberIds = memberIds.filter((m) => m !== survivorId);
+    } else if (!memberIds.includes(survivorId)) {
+      memberIds.push(survivorId);
+    }
+    memberIds = [...new Set(memberIds)];
+    let headPersonId =
+      household.headPersonId === duplicateId
+        ? survivorId
+        : household.headPersonId;
+    if (!memberIds.includes(headPersonId)) {
+      headPersonId = memberIds[0] || null;
+    }
+
+    if (memberIds.length === 0) {
+      tx.delete(col.doc(id));
+    } else {
+      tx.set(col.doc(id), { ...household, memberIds, headPersonId, updated });
+    }
+  }
+}
+
+/**
+ * Write a merge in one transaction: the survivor gets the merged record,
+ * the duplicate moves to the trash (stamped `mergedInto`), references,
+ * relationships and household membership are re-pointed and the candidate
+ * is closed
+ * @param {string|null} tenantId
+ * @param {Object} merge
+ * @param {string} merge.survivorId
+ * @param {string} merge.duplicateId
+ * @param {Function} merge.build - (survivor, duplicate) => merged record,
+ *   given both stored records as read in the transaction
+ * @param {Array<FirebaseFirestore.DocumentReference>} merge.references
+ * @param {Array<Object>} merge.relationships - The duplicate's, read from
+ *   its side
+ * @param {Object} merge.candidate - { id, patch }
+ * @param {Array<string>} merge.obsoleteIds - Pending candidates to drop
+ * @param {string} actor
+ * @returns {Promise<Object>} { merged: the survivor as stored,
+ *   relatedIds: persons whose relationships were re-pointed, households:
+ *   IDs of the households changed }
+ */
+export async function commitPersonMerge(tenantId, merge, actor) {
+  const people = db.collection(peoplePath(tenantId));
+  const trash = db.collection(trashCollectionPath(peoplePath(tenantId)));
+  const survivorRef = people.doc(merge.survivorId);
+  const duplicateRef = people.doc(merge.duplicateId);
+
+  return db.runTransaction(async (tx) => {
+    const [survivorSnap, duplicateSnap] = [
+      await tx.get(survivorRef),
+      await tx.get(duplicateRef),
+    ];
+    if (!survivorSnap.exists) {
+      throw new NotFoundError(`Person with ID ${merge.survivorId}`);
+    }
+    if (!duplicateSnap.exists) {
+      throw new NotFoundError(`Person with ID ${merge.duplicateId}`);
+    }
+    const moves = await readRelationshipMoves(tx, tenantId, merge);
+    const households = await readMergeHouseholds(tx, tenantId, [
+      survivorSnap.data(),
+      duplicateSnap.data(),
+    ]);
+
+    const merged = await merge.build(
+      { id: survivorSnap.id, ...survivorSnap.data() },
+      { id: duplicateSnap.id, ...duplicateSnap.data() }
+    );
+    await recordPersonVersion(tx, tenantId, merge.survivorId, {
+      before: survivorSnap.data(),
+      after: merged,
+      action: VERSION_ACTIONS.MERGE,
+      actor,
+      details: { mergedFrom: merge.duplicateId },
+    });
+    tx.set(survivorRef, merged);
+    tx.set(trash.doc(merge.duplicateId), {
+      ...duplicateSnap.data(),
+      deleted: deletionStamp(actor),
+      mergedInto: merge.survivorId,
+    });
+    tx.delete(duplicateRef);
+
+    for (const ref of merge.references) {
+      tx.update(ref, { personId: merge.survivorId });
+    }
+    const relatedIds = writeRelationshipMoves(
+      tx,
+      tenantId,
+      merge.survivorId,
+      moves
+    );
+    writeMergeHouseholds(tx, tenantId, households, {
+      survivorId: merge.survivorId,
+      duplicateId: merge.duplicateId,
+      householdId: merged.householdId || null,
+      updated: { by: actor, when: new Date().toISOString() },
+    });
+    tx.update(candidatesCol(tenantId).doc(merge.candidate.id), {
+      ...merge.candidate.patch,
+    });
+    for (const id of merge.obsoleteIds) {
+      tx.delete(candidatesCol(tenantId).doc(id));
+    }
+    return { merged, relatedIds, households: [...households.keys()] };
+  });
+}
@@ -0,0 +1,78 @@
+import express from "express";
+import { authenticateJWT } from "../../../middleware/auth.middleware.js";
+import { checkPermissions } from "../../../middleware/permission.middleware.js";
+import {
+  scanDuplicatesHandler,
+  listDuplicatesHandler,
+  getDuplicateHandler,
+  dismissDuplicateHandler,
+  mergeDuplicateHandler,
+} from "./person.duplicate.controller.js";
+import { getDuplicateCandidateById } from "./person.duplicate.firestore.js";
+import { getPersonById } from "../person/person.firestore.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+
+/**
+ * Person Duplicates Router
+ * Duplicate review queue and merges for the platform's people
+ * (mounted before the person router, so "duplicates" isn't taken for an id)
+ */
+
+const router = express.Router();
+
+// POST /internal/persons/duplicates/scan - Score pairs into the queue
+router.post(
+  "/internal/persons/duplicates/scan",
+  authenticateJWT,
+  checkPermissions("person.merge"),
+  scanDuplicatesHandler
+);
+
+// GET /internal/persons/duplicates - Review queue (?status, ?minScore)
+router.get(
+  "/internal/persons/duplicates",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  listDuplicatesHandler
+);
+
+// GET /internal/persons/duplicates/:candidateId - Both persons
+router.get(
+  "/internal/persons/duplicates/:candidateId",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  getDuplicateHandler
+);
+
+// POST /internal/persons/duplicates/:candidateId/dismiss - Not a duplicate
+router.post(
+  "/internal/persons/duplicates/:candidateId/dismiss",
+  authenticateJWT,
+  checkPermissions("person.merge"),
+  audit("personDuplicate", {
+    action: "dismiss",
+    idParam: "candidateId",
+    load: (id) => getDuplicateCandidateById(null, id),
+  }),
+  dismissDuplicateHandler
+);
+
+// POST /internal/persons/duplicates/:candidateId/merge - Merge the pair
+router.post(
+  "/internal/persons/duplicates/:candidateId/merge",
+  authenticateJWT,
+  checkPermissions("person.merge"),
+  audit("person", {
+    action: "merge",
+    id: (req) => req.body?.survivorId || null,
+    load: (id) => getPersonById(id),
+    details: (req, body) => ({
+      candidateId: req.params.candidateId,
+      duplicateId: body?.data?.duplicateId || null,
+      repointed: body?.data?.repointed || null,
+    }),
+  }),
+  mergeDuplicateHandler
+);
+
+export default router;
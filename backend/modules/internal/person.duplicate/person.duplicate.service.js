@@ -0,0 +1,372 @@
+import {
+  saveDuplicateCandidate,
+  getDuplicateCandidateById,
+  updateDuplicateCandidateById,
+  deleteDuplicateCandidateById,
+  listDuplicateCandidates,
+  listCandidatesForPerson,
+  iteratePersons,
+  getStoredPerson,
+  findPersonReferences,
+  commitPersonMerge,
+  findPersonRelationships,
+} from "./person.duplicate.firestore.js";
+import {
+  DUPLICATE_STATUS,
+  MERGE_SOURCES,
+  PROTECTED_MERGE_FIELDS,
+} from "./person.duplicate.validation.js";
+import { sanitizePersonResponse } from "../person/person.validation.js";
+import {
+  DEFAULT_MIN_SCORE,
+  findCandidatePairs,
+  matchProfile,
+} from "../../../utilities/person-match.util.js";
+import {
+  encryptFields,
+  keyScope,
+  revealFields,
+} from "../../../utilities/field-encryption.util.js";
+import { getVersion } from "../../../utilities/concurrency.util.js";
+import { PERSON_VERSION_FIELD } from "../person/person.firestore.js";
+import { recountDependents } from "../../external/tenant/person.relationship/person.relationship.firestore.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../../../utilities/error-handler.util.js";
+
+/**
+ * Person Duplicates
+ * Finds people captured more than once (typos, different phone formats,
+ * missing ID numbers) and merges them, for the platform's people (tenantId
+ * null) or a tenant's:
+ *   1. scan    - score candidate pairs (see person-match.util) into a
+ *                review queue, one entry per pair
+ *   2. review  - dismiss (not the same person) or merge
+ *   3. merge   - pick surviving field values, re-point admins, tenant users
+ *                and consent events to the survivor, trash the duplicate
+ */
+
+const { PENDING, DISMISSED, MERGED } = DUPLICATE_STATUS;
+
+export function candidateId(personIds) {
+  return [...personIds].sort().join("__");
+}
+
+async function loadCandidate(tenantId, id) {
+  const candidate = await getDuplicateCandidateById(tenantId, id);
+  if (!candidate) throw new NotFoundError("Duplicate candidate");
+  return candidate;
+}
+
+function assertPending(candidate) {
+  if (candidate.status !== PENDING) {
+    throw new ConflictError(
+      `Duplicate candidate ${candidate.id} is already ${candidate.status}`
+    );
+  }
+}
+
+/**
+ * Score every live person of the scope and refresh the review queue
+ * New pairs are queued, pending ones rescored and pending ones no longer
+ * found dropped; dismissed and merged pairs are left alone.
+ * @param {string|null} tenantId
+ * @param {Object} options - { minScore }
+ * @returns {Promise<Object>} { scanned, candidates, added, updated, removed }
+ */
+export async function scanForDuplicates(tenantId, options = {}) {
+  const minScore = options.minScore ?? DEFAULT_MIN_SCORE;
+  const profiles = [];
+  for await (const doc of iteratePersons(tenantId)) {
+    profiles.push(matchProfile({ id: doc.id, ...doc.data() }));
+  }
+  const pairs = findCandidatePairs(profiles, { minScore });
+
+  const queued = new Map(
+    (await listDuplicateCandidates(tenantId)).map((c) => [c.id, c])
+  );
+  const now = new Date().toISOString();
+  const summary = { added: 0, updated: 0, removed: 0 };
+  const found = new Set();
+
+  for (const { personIds, score, signals } of pairs) {
+    const id = candidateId(personIds);
+    const existing = queued.get(id);
+    found.add(id);
+    if (!existing) {
+      await saveDuplicateCandidate(tenantId, {
+        id,
+        personIds,
+        score,
+        signals,
+        status: PENDING,
+        review: null,
+        detectedAt: now,
+        updatedAt: now,
+      });
+      summary.added++;
+    } else if (existing.status === PENDING) {
+      await updateDuplicateCandidateById(tenantId, id, {
+        score,
+        signals,
+        updatedAt: now,
+      });
+      summary.updated++;
+    }
+  }
+
+  for (const candidate of queued.values()) {
+    if (candidate.status === PENDING && !found.has(candidate.id)) {
+      await deleteDuplicateCandidateById(tenantId, candidate.id);
+      summary.removed++;
+    }
+  }
+
+  return {
+    scanned: profiles.length,
+    candidates: pairs.length,
+    minScore,
+    ...summary,
+  };
+}
+
+/**
+ * The review queue, best match first
+ * @param {string|null} tenantId
+ * @param {Object} filters - See DuplicateQuerySchema
+ */
+export async function listDuplicateCandidateRecords(tenantId, filters = {}) {
+  const candidates = await listDuplicateCandidates(tenantId, filters);
+  if (filters.minScore === undefined) return candidates;
+  return candidates.filter((c) => c.score >= filters.minScore);
+}
+
+/**
+ * A candidate with both persons, side by side
+ * @param {Object} options - { reveal: decrypt sensitive fields }
+ */
+export async function getDuplicateCandidateRecord(
+  tenantId,
+  id,
+  { reveal = false } = {}
+) {
+  const candidate = await loadCandidate(tenantId, id);
+  const persons = [];
+  for (const personId of candidate.personIds) {
+    const person = await getStoredPerson(tenantId, personId);
+    persons.push(sanitizePersonResponse(person, { reveal }));
+  }
+  return { ...candidate, persons };
+}
+
+/**
+ * Mark a pending candidate as not the same person
+ */
+export async function dismissDuplicateCandidate(tenantId, id, actor, note) {
+  const candidate = await loadCandidate(tenantId, id);
+  assertPending(candidate);
+  const now = new Date().toISOString();
+  const patch = {
+    status: DISMISSED,
+    review: { by: actor, at: now, note: note || null, survivorId: null },
+    updatedAt: now,
+  };
+  await updateDuplicateCandidateById(tenantId, id, patch);
+  return { ...candidate, ...patch };
+}
+
+function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// The survivor's value, or the duplicate's where the survivor has none
+function fillBlanks(survivor, duplicate) {
+  if (isPlainObject(survivor) && isPlainObject(duplicate)) {
+    const out = { ...survivor };
+    for (const [key, value] of Object.entries(duplicate)) {
+      out[key] = fillBlanks(survivor[key], value);
+    }
+    return out;
+  }
+  return isBlank(survivor) ? duplicate : survivor;
+}
+
+function getField(record, field) {
+  return field
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+// Sets (or, for undefined, removes) a dotted field
+function setField(record, field, value) {
+  const keys = field.split(".");
+  let node = record;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = isPlainObject(node[key]) ? { ...node[key] } : {};
+    node = node[key];
+  }
+  const last = keys[keys.length - 1];
+  if (value === undefined) delete node[last];
+  else node[last] = value;
+}
+
+// Latest consent state per purpose
+function mergeConsents(survivor = {}, duplicate = {}) {
+  const out = { ...survivor };
+  for (const [purposeId, state] of Object.entries(duplicate)) {
+    if (!out[purposeId] || (state?.at || "") > (out[purposeId].at || "")) {
+      out[purposeId] = state;
+    }
+  }
+  return out;
+}
+
+/**
+ * Merge two person records (plaintext, see revealFields)
+ * @param {Object} survivor - The record that is kept
+ * @param {Object} duplicate - The record merged into it
+ * @param {Object} fields - { "<dotted path>": "survivor" | "duplicate" },
+ *   for fields that don't just keep the survivor's value
+ * @returns {Object} The merged record (audit and blind indexes not touched)
+ */
+export function mergePersonRecords(survivor, duplicate, fields = {}) {
+  const mergeable = Object.fromEntries(
+    Object.entries(duplicate).filter(
+      ([key]) => !PROTECTED_MERGE_FIELDS.includes(key)
+    )
+  );
+  const merged = fillBlanks(survivor, mergeable);
+
+  for (const [field, source] of Object.entries(fields)) {
+    const from = source === MERGE_SOURCES.DUPLICATE ? duplicate : survivor;
+    setField(merged, field, getField(from, field));
+  }
+
+  if (survivor.consents || duplicate.consents) {
+    merged.consents = mergeConsents(survivor.consents, duplicate.consents);
+  }
+  merged.mergedFrom = [
+    ...(survivor.mergedFrom || []),
+    duplicate.id,
+    ...(duplicate.mergedFrom || []),
+  ];
+  return merged;
+}
+
+/**
+ * Merge the duplicate of a pending candidate into the chosen survivor
+ * @param {string|null} tenantId
+ * @param {string} id - Candidate ID
+ * @param {Object} data - See MergeDuplicateSchema
+ * @param {string} actor - ID of the admin merging
+ * @param {Object} options - { reveal: decrypt sensitive fields }
+ * @returns {Promise<Object>} { survivor, duplicateId, candidateId, repointed }
+ */
+export async function mergeDuplicatePersons(
+  tenantId,
+  id,
+  data,
+  actor,
+  { reveal = false } = {}
+) {
+  const candidate = await loadCandidate(tenantId, id);
+  assertPending(candidate);
+  if (!candidate.personIds.includes(data.survivorId)) {
+    throw new ValidationError(
+      "Survivor must be one of the candidate's persons",
+      "survivorId",
+      data.survivorId
+    );
+  }
+  const duplicateId = candidate.personIds.find((p) => p !== data.survivorId);
+
+  const references = await findPersonReferences(tenantId, duplicateId);
+  const relationships = await findPersonRelationships(tenantId, duplicateId);
+  const obsoleteIds = (await listCandidatesForPerson(tenantId, duplicateId))
+    .filter((c) => c.id !== id && c.status === PENDING)
+    .map((c) => c.id);
+  const now = new Date().toISOString();
+  const scope = keyScope(tenantId);
+
+  const { relatedIds, households } = await commitPersonMerge(
+    tenantId,
+    {
+      survivorId: data.survivorId,
+      duplicateId,
+      references: references.map((doc) => doc.ref),
+      relationships,
+      obsoleteIds,
+      candidate: {
+        id,
+        patch: {
+          status: MERGED,
+          review: {
+            by: actor,
+            at: now,
+            note: data.note || null,
+            survivorId: data.survivorId,
+          },
+          updatedAt: now,
+        },
+      },
+      // Sensitive fields are decrypted to merge and encrypted again, so the
+      // blind indexes follow the values picked
+      build: (survivor, duplicate) => {
+        const merged = mergePersonRecords(
+          revealFields(survivor, true),
+          revealFields(duplicate, true),
+          data.fields
+        );
+        const { record, blindIndex } = encryptFields(merged, scope);
+        return {
+          ...record,
+          blindIndex,
+          audit: {
+            ...survivor.audit,
+            updatedAt: now,
+            recordVersion: getVersion(survivor, PERSON_VERSION_FIELD) + 1,
+          },
+        };
+      },
+    },
+    actor
+  );
+
+  // dependentsCount follows the relationships each side now has
+  if (relationships.length > 0) {
+    for (const personId of [data.survivorId, ...relatedIds]) {
+      await recountDependents(tenantId, personId);
+    }
+  }
+  const stored = await getStoredPerson(tenantId, data.survivorId);
+
+  const repointed = {};
+  for (const doc of references) {
+    const kind = doc.ref.parent.id;
+    repointed[kind] = (repointed[kind] || 0) + 1;
+  }
+  if (relationships.length > 0) {
+    repointed.personRelationships = relationships.length;
+  }
+  if (households.length > 0) repointed.households = households.length;
+  console.log(
+    `🔗 Person ${duplicateId} merged into ${data.survivorId} by ${actor}`
+  );
+  return {
+    survivor: sanitizePersonResponse(stored, { reveal }),
+    duplicateId,
+    candidateId: id,
+    repointed,
+  };
+}
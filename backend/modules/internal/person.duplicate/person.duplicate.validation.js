@@ -0,0 +1,61 @@
+import { z } from "zod";
+
+export const DUPLICATE_STATUS = {
+  PENDING: "pending",
+  DISMISSED: "dismissed",
+  MERGED: "merged",
+};
+
+// Which record a merged field's value comes from
+export const MERGE_SOURCES = { SURVIVOR: "survivor", DUPLICATE: "duplicate" };
+
+// Kept from the survivor (or combined) - never picked
+export const PROTECTED_MERGE_FIELDS = [
+  "id",
+  "personId",
+  "audit",
+  "blindIndex",
+  "consents",
+  "mergedFrom",
+  "deleted",
+];
+
+const minScore = z.coerce.number().min(0.3).max(1);
+
+export const DuplicateScanSchema = z.object({
+  minScore: minScore.optional(),
+});
+
+export const DuplicateQuerySchema = z.object({
+  status: z.enum(Object.values(DUPLICATE_STATUS)).optional(),
+  minScore: minScore.optional(),
+});
+
+export const DismissDuplicateSchema = z.object({
+  note: z.string().max(2000).optional(),
+});
+
+// Dotted path of a person field (e.g. "contact.mobile", "addresses")
+const FieldPathSchema = z
+  .string()
+  .regex(/^[A-Za-z]\w*(\.[A-Za-z]\w*)*$/, "Must be a dotted field path")
+  .refine(
+    (path) => !PROTECTED_MERGE_FIELDS.includes(path.split(".")[0]),
+    { message: `Can't pick ${PROTECTED_MERGE_FIELDS.join(", ")}` }
+  );
+
+/**
+ * Schema for merging a duplicate pair
+ * Fields not listed keep the survivor's value, or the duplicate's where the
+ * survivor has none.
+ */
+export const MergeDuplicateSchema = z.object({
+  survivorId: z.string().min(1, "Survivor person ID is required"),
+  fields: z
+    .record(
+      FieldPathSchema,
+      z.enum([MERGE_SOURCES.SURVIVOR, MERGE_SOURCES.DUPLICATE])
+    )
+    .default({}),
+  note: z.string().max(2000).optional(),
+});
@@ -0,0 +1,113 @@
+import { z } from "zod";
+import {
+  VersionParamSchema,
+  DiffQuerySchema,
+  RevertSchema,
+} from "./person.history.validation.js";
+import {
+  listPersonHistory,
+  getPersonVersionRecord,
+  diffPersonVersions,
+  revertPersonRecord,
+} from "./person.history.service.js";
+import { hasPermission } from "../../../middleware/permission.middleware.js";
+import { SENSITIVE_READ_PERMISSION } from "../../../utilities/field-encryption.util.js";
+import {
+  expectedVersionFrom,
+  setETag,
+} from "../../../utilities/concurrency.util.js";
+import {
+  sendSuccess,
+  sendList,
+  handleZodError,
+} from "../../../utilities/response.util.js";
+
+/**
+ * Handlers for both the platform's people (/internal/persons/:id/history)
+ * and a tenant's (/:tenantId/persons/:id/history)
+ */
+
+function actorFrom(req) {
+  const p = req.admin || req.user || {};
+  return p.id || p.email || "anonymous";
+}
+
+// Platform routes have no tenantId param
+function scopeOf(req) {
+  return req.params.tenantId || null;
+}
+
+function sensitiveAccess(req) {
+  return { reveal: hasPermission(req, SENSITIVE_READ_PERMISSION) };
+}
+
+// GET .../persons/:id/history - versions, newest first
+export async function listHistoryHandler(req, res, next) {
+  try {
+    const versions = await listPersonHistory(scopeOf(req), req.params.id);
+    return sendList(
+      res,
+      versions,
+      { total: versions.length },
+      "Person history retrieved successfully"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET .../persons/:id/history/diff?from=&to=
+export async function diffVersionsHandler(req, res, next) {
+  try {
+    const query = DiffQuerySchema.parse(req.query || {});
+    const diff = await diffPersonVersions(
+      scopeOf(req),
+      req.params.id,
+      query,
+      sensitiveAccess(req)
+    );
+    return sendSuccess(res, diff, "Person versions compared");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET .../persons/:id/history/:version - the person as it was
+export async function getVersionHandler(req, res, next) {
+  try {
+    const { version } = VersionParamSchema.parse(req.params);
+    const entry = await getPersonVersionRecord(
+      scopeOf(req),
+      req.params.id,
+      version,
+      sensitiveAccess(req)
+    );
+    return sendSuccess(res, entry, "Person version retrieved successfully");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST .../persons/:id/history/:version/revert (honours If-Match)
+export async function revertVersionHandler(req, res, next) {
+  try {
+    const { version } = VersionParamSchema.parse(req.params);
+    const data = RevertSchema.parse(req.body || {});
+    const person = await revertPersonRecord(
+      scopeOf(req),
+      req.params.id,
+      version,
+      data,
+      actorFrom(req),
+      expectedVersionFrom(req),
+      sensitiveAccess(req)
+    );
+    setETag(res, person, "audit.recordVersion");
+    return sendSuccess(res, person, `Person reverted to version ${version}`);
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
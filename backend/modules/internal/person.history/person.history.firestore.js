@@ -0,0 +1,229 @@
+import { db } from "../../../services/firestore.client.js";
+import {
+  platformPath,
+  tenantPath,
+} from "../../../utilities/country-context.util.js";
+import {
+  assertVersion,
+  getVersion,
+} from "../../../utilities/concurrency.util.js";
+import { diffRecords } from "../../../utilities/audit.util.js";
+import { revealFields } from "../../../utilities/field-encryption.util.js";
+import {
+  ConflictError,
+  NotFoundError,
+} from "../../../utilities/error-handler.util.js";
+import {
+  VERSION_ACTIONS,
+  REVERT_KEPT_FIELDS,
+  versionId,
+} from "./person.history.validation.js";
+
+/**
+ * Version snapshots live next to the people they belong to: the
+ * platform's (tenantId null) or a tenant's. Every write that bumps a
+ * person's audit.recordVersion stores the record as written, under
+ * `<personId>_v<version>`; snapshots are never changed afterwards.
+ */
+
+// Same field as the person modules' PERSON_VERSION_FIELD (they import this
+// module, so it is not imported from them)
+const VERSION_FIELD = "audit.recordVersion";
+
+function scopedPath(tenantId, collection) {
+  return tenantId ? tenantPath(tenantId, collection) : platformPath(collection);
+}
+
+function versionsCol(tenantId) {
+  return db.collection(scopedPath(tenantId, "personVersions"));
+}
+
+function peopleCol(tenantId) {
+  return db.collection(scopedPath(tenantId, "people"));
+}
+
+function getField(record, field) {
+  return field
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+// Copies the objects along the path; undefined removes the field
+function setField(record, field, value) {
+  const [key, ...rest] = field.split(".");
+  const out = { ...record };
+  if (rest.length) {
+    const child = out[key] && typeof out[key] === "object" ? out[key] : {};
+    out[key] = setField(child, rest.join("."), value);
+  } else if (value === undefined) {
+    delete out[key];
+  } else {
+    out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * The record a field-level update leaves (top-level keys and dotted paths
+ * replace what is there, as Firestore's update does)
+ */
+export function applyPatch(record, patch) {
+  return Object.entries(patch).reduce(
+    (out, [field, value]) =>
+      value === undefined ? out : setField(out, field, value),
+    record
+  );
+}
+
+/**
+ * Fields that differ between two stored records, compared on decrypted
+ * values (an encrypted value is re-encrypted, and so differs, whenever it
+ * is saved); audit bookkeeping is left out
+ */
+export function changedFields(before, after) {
+  return diffRecords(revealFields(before, true), revealFields(after, true))
+    .map((change) => change.field)
+    .filter((field) => field !== "audit" && !field.startsWith("audit."));
+}
+
+// The blind index isn't kept: a revert keeps the current one
+function snapshotOf(record) {
+  const { blindIndex, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Stage the version entry for a person write in a transaction
+ * Reads before writing, so call it before the transaction's own writes.
+ * A record changed for the first time since history has been kept also
+ * gets a baseline entry for the version it had.
+ * @param {FirebaseFirestore.Transaction} tx
+ * @param {string|null} tenantId
+ * @param {string} personId
+ * @param {Object} change - { before (null for a create), after (as
+ *   stored), action, actor, details (kept on the entry) }
+ */
+export async function recordPersonVersion(tx, tenantId, personId, change) {
+  const { before = null, after, action, actor = null, details } = change;
+  const col = versionsCol(tenantId);
+
+  if (before) {
+    const version = getVersion(before, VERSION_FIELD);
+    const ref = col.doc(versionId(personId, version));
+    if (!(await tx.get(ref)).exists) {
+      tx.set(ref, {
+        id: ref.id,
+        personId,
+        version,
+        action: VERSION_ACTIONS.BASELINE,
+        changedFields: null,
+        created: { by: null, when: before.audit?.updatedAt || null },
+        record: snapshotOf(before),
+      });
+    }
+  }
+
+  const version = getVersion(after, VERSION_FIELD);
+  const ref = col.doc(versionId(personId, version));
+  tx.set(ref, {
+    id: ref.id,
+    personId,
+    version,
+    action,
+    changedFields: before ? changedFields(before, after) : [],
+    ...details,
+    created: { by: actor, when: new Date().toISOString() },
+    record: snapshotOf(after),
+  });
+}
+
+export async function getStoredPerson(tenantId, id) {
+  const snap = await peopleCol(tenantId).doc(id).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+export async function getPersonVersion(tenantId, personId, version) {
+  const snap = await versionsCol(tenantId)
+    .doc(versionId(personId, version))
+    .get();
+  return snap.exists ? snap.data() : null;
+}
+
+/**
+ * A person's versions, newest first
+ */
+export async function listPersonVersions(tenantId, personId) {
+  const snapshot = await versionsCol(tenantId)
+    .where("personId", "==", personId)
+    .get();
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Remove a person's history (the person is purged or erased)
+ * @returns {Promise<number>} Versions removed
+ */
+export async function deletePersonVersions(tenantId, personId) {
+  const snapshot = await versionsCol(tenantId)
+    .where("personId", "==", personId)
+    .get();
+  for (const doc of snapshot.docs) await doc.ref.delete();
+  return snapshot.size;
+}
+
+/**
+ * Write a version's record back as a new version
+ * @param {string|null} tenantId
+ * @param {string} personId
+ * @param {number} target - Version to go back to
+ * @param {Object} options - { expected (If-Match versions), actor, reason }
+ * @returns {Promise<Object>} The person as stored
+ */
+export async function revertPerson(tenantId, personId, target, options) {
+  const { expected = null, actor = null, reason } = options;
+  const personRef = peopleCol(tenantId).doc(personId);
+  const targetRef = versionsCol(tenantId).doc(versionId(personId, target));
+
+  return db.runTransaction(async (tx) => {
+    const personSnap = await tx.get(personRef);
+    if (!personSnap.exists) {
+      throw new NotFoundError(`Person with ID ${personId}`);
+    }
+    const targetSnap = await tx.get(targetRef);
+    if (!targetSnap.exists) {
+      throw new NotFoundError(`Version ${target} of person ${personId}`);
+    }
+
+    const current = personSnap.data();
+    const currentVersion = getVersion(current, VERSION_FIELD);
+    assertVersion(currentVersion, expected);
+    if (target === currentVersion) {
+      throw new ConflictError(`Version ${target} is the current version`);
+    }
+
+    let reverted = targetSnap.data().record;
+    for (const field of REVERT_KEPT_FIELDS) {
+      const value = getField(current, field);
+      if (value !== undefined || getField(reverted, field) !== undefined) {
+        reverted = setField(reverted, field, value);
+      }
+    }
+    reverted.audit = {
+      ...current.audit,
+      updatedAt: new Date().toISOString(),
+      recordVersion: currentVersion + 1,
+    };
+
+    await recordPersonVersion(tx, tenantId, personId, {
+      before: current,
+      after: reverted,
+      action: VERSION_ACTIONS.REVERT,
+      actor,
+      details: { revertedTo: target, ...(reason && { reason }) },
+    });
+    tx.set(personRef, reverted);
+    return { id: personId, ...reverted };
+  });
+}
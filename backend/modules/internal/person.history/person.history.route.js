@@ -0,0 +1,56 @@
+import express from "express";
+import { authenticateJWT } from "../../../middleware/auth.middleware.js";
+import { checkPermissions } from "../../../middleware/permission.middleware.js";
+import {
+  listHistoryHandler,
+  diffVersionsHandler,
+  getVersionHandler,
+  revertVersionHandler,
+} from "./person.history.controller.js";
+import { getStoredPerson } from "./person.history.firestore.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+
+/**
+ * Person History Router
+ * Version history of the platform's people
+ */
+
+const router = express.Router();
+
+// GET /internal/persons/:id/history - Versions (who, when, what changed)
+router.get(
+  "/internal/persons/:id/history",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  listHistoryHandler
+);
+
+// GET /internal/persons/:id/history/diff - Compare versions (?from&to)
+router.get(
+  "/internal/persons/:id/history/diff",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  diffVersionsHandler
+);
+
+// GET /internal/persons/:id/history/:version - The person at a version
+router.get(
+  "/internal/persons/:id/history/:version",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  getVersionHandler
+);
+
+// POST /internal/persons/:id/history/:version/revert - Go back to a version
+router.post(
+  "/internal/persons/:id/history/:version/revert",
+  authenticateJWT,
+  checkPermissions("admin.update"),
+  audit("person", {
+    action: "revert",
+    load: (id) => getStoredPerson(null, id),
+  }),
+  revertVersionHandler
+);
+
+export default router;
@@ -0,0 +1,166 @@
+import {
+  getStoredPerson,
+  getPersonVersion,
+  listPersonVersions,
+  revertPerson,
+} from "./person.history.firestore.js";
+import { getVersion } from "../../../utilities/concurrency.util.js";
+import { diffRecords } from "../../../utilities/audit.util.js";
+import {
+  MASKED_VALUE,
+  PERSON_SENSITIVE_FIELDS,
+  revealFields,
+} from "../../../utilities/field-encryption.util.js";
+import { NotFoundError } from "../../../utilities/error-handler.util.js";
+
+/**
+ * Person History Service
+ * Version history of a person (the platform's when tenantId is null, a
+ * tenant's otherwise): who changed what and when, diffs between versions
+ * and reverts. Versions are recorded by the person writes themselves (see
+ * recordPersonVersion).
+ */
+
+const VERSION_FIELD = "audit.recordVersion";
+
+function isSensitive(field) {
+  return PERSON_SENSITIVE_FIELDS.some(
+    (sensitive) => field === sensitive || field.startsWith(`${sensitive}.`)
+  );
+}
+
+// As the person endpoints return a record
+function sanitizeRecord(record, reveal) {
+  const sanitized = revealFields(record, reveal);
+  delete sanitized.audit?.sourceSystem;
+  return sanitized;
+}
+
+// Everything but the snapshot itself
+function versionSummary(entry) {
+  const { record, ...summary } = entry;
+  return summary;
+}
+
+async function loadPerson(tenantId, personId) {
+  const person = await getStoredPerson(tenantId, personId);
+  if (!person) throw new NotFoundError(`Person with ID ${personId}`);
+  return person;
+}
+
+async function loadVersion(tenantId, personId, version) {
+  const entry = await getPersonVersion(tenantId, personId, version);
+  if (!entry) {
+    throw new NotFoundError(`Version ${version} of person ${personId}`);
+  }
+  return entry;
+}
+
+/**
+ * A person's versions, newest first (without the records)
+ * @param {string|null} tenantId
+ * @param {string} personId
+ * @returns {Promise<Array<Object>>} { version, action, changedFields,
+ *   created: { by, when }, ... }
+ */
+export async function listPersonHistory(tenantId, personId) {
+  await loadPerson(tenantId, personId);
+  const versions = await listPersonVersions(tenantId, personId);
+  return versions.map(versionSummary);
+}
+
+/**
+ * One version, with the person as it was
+ * @param {Object} options - { reveal: decrypt sensitive fields }
+ */
+export async function getPersonVersionRecord(
+  tenantId,
+  personId,
+  version,
+  { reveal = false } = {}
+) {
+  const entry = await loadVersion(tenantId, personId, version);
+  return {
+    ...versionSummary(entry),
+    record: sanitizeRecord(entry.record, reveal),
+  };
+}
+
+/**
+ * Field-level differences between two versions
+ * Sensitive values are compared decrypted but only shown with `reveal`.
+ * @param {Object} query - { from, to (default: the current version) }
+ * @param {Object} options - { reveal: decrypt sensitive fields }
+ * @returns {Promise<Object>} { from, to, changes: [{ field, before, after }] }
+ */
+export async function diffPersonVersions(
+  tenantId,
+  personId,
+  { from, to },
+  { reveal = false } = {}
+) {
+  const person = await loadPerson(tenantId, personId);
+  const current = getVersion(person, VERSION_FIELD);
+
+  // Records changed before history was kept have no entry for their
+  // current version yet; the record itself is that version
+  const load = async (version) =>
+    version === current
+      ? (await getPersonVersion(tenantId, personId, version)) || {
+          version,
+          record: person,
+        }
+      : loadVersion(tenantId, personId, version);
+  const older = await load(from);
+  const newer = await load(to ?? current);
+
+  const mask = (value) => (value == null ? null : MASKED_VALUE);
+  const changes = diffRecords(
+    revealFields(older.record, true),
+    revealFields(newer.record, true)
+  )
+    .filter(({ field }) => !field.startsWith("audit."))
+    .map((change) =>
+      reveal || !isSensitive(change.field)
+        ? change
+        : { ...change, before: mask(change.before), after: mask(change.after) }
+    );
+
+  return {
+    from: versionSummary(older),
+    to: versionSummary(newer),
+    changes,
+  };
+}
+
+/**
+ * Go back to a version: its record is written as a new version, so the
+ * revert itself shows up in the history (and can be reverted)
+ * @param {string|null} tenantId
+ * @param {string} personId
+ * @param {number} version - Version to go back to
+ * @param {Object} data - { reason }
+ * @param {string} actor - ID of user reverting
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions
+ * @param {Object} options - { reveal: decrypt sensitive fields }
+ * @returns {Promise<Object>} The person after the revert
+ */
+export async function revertPersonRecord(
+  tenantId,
+  personId,
+  version,
+  data,
+  actor,
+  expectedVersion = null,
+  { reveal = false } = {}
+) {
+  console.log(
+    `⏪ Reverting person ${personId} to version ${version} by ${actor}`
+  );
+  const person = await revertPerson(tenantId, personId, version, {
+    expected: expectedVersion,
+    actor,
+    reason: data.reason,
+  });
+  return sanitizeRecord(person, reveal);
+}
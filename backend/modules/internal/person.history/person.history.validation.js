@@ -0,0 +1,48 @@
+import { z } from "zod";
+
+export const VERSION_ACTIONS = {
+  // The record as it was before history was kept (first change since)
+  BASELINE: "baseline",
+  CREATE: "create",
+  UPDATE: "update",
+  MERGE: "merge",
+  REVERT: "revert",
+};
+
+/**
+ * Fields a revert leaves as they are: identifiers that can't change,
+ * links kept by other modules (households, relationships) and the erasure
+ * stamp
+ */
+export const REVERT_KEPT_FIELDS = [
+  "id",
+  "personId",
+  "demographics.idNumber",
+  "contact.email",
+  "blindIndex",
+  "householdId",
+  "demographics.dependentsCount",
+  "erasure",
+];
+
+export function versionId(personId, version) {
+  return `${personId}_v${version}`;
+}
+
+const VersionSchema = z.coerce.number().int().min(1);
+
+export const VersionParamSchema = z.object({ version: VersionSchema });
+
+/**
+ * Schema for a diff: `to` defaults to the current version
+ */
+export const DiffQuerySchema = z.object({
+  from: VersionSchema,
+  to: VersionSchema.optional(),
+});
+
+export const RevertSchema = z
+  .object({
+    reason: z.string().trim().max(500).optional(),
+  })
+  .strict();
@@ -0,0 +1,170 @@
+import { z } from "zod";
+import {
+  SaveMappingSchema,
+  PreviewImportSchema,
+  ImportListQuerySchema,
+} from "./person.import.validation.js";
+import {
+  getImportFields,
+  getColumnMapping,
+  saveColumnMapping,
+  previewPersonImport,
+  commitPersonImport,
+  listPersonImports,
+  getPersonImport,
+  readImportErrorFile,
+  deletePersonImportFiles,
+} from "./person.import.service.js";
+import { hasPermission } from "../../../middleware/permission.middleware.js";
+import { SENSITIVE_READ_PERMISSION } from "../../../utilities/field-encryption.util.js";
+import {
+  sendSuccess,
+  sendList,
+  handleZodError,
+} from "../../../utilities/response.util.js";
+
+/**
+ * Handlers for both the platform's people (/internal/persons/imports/...)
+ * and a tenant's (/:tenantId/persons/imports/...)
+ */
+
+function actorFrom(req) {
+  const p = req.admin || req.user || {};
+  return p.id || p.email || "anonymous";
+}
+
+// Platform routes have no tenantId param
+function scopeOf(req) {
+  return req.params.tenantId || null;
+}
+
+// GET .../persons/imports/fields - fields columns can be mapped to
+export async function listImportFieldsHandler(req, res, next) {
+  try {
+    const fields = getImportFields(scopeOf(req));
+    return sendList(
+      res,
+      fields,
+      { total: fields.length },
+      "Import fields retrieved successfully"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET .../persons/imports/mapping - the saved column mapping
+export async function getMappingHandler(req, res, next) {
+  try {
+    const mapping = await getColumnMapping(scopeOf(req));
+    return sendSuccess(res, mapping, "Column mapping retrieved");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PUT .../persons/imports/mapping
+export async function saveMappingHandler(req, res, next) {
+  try {
+    const { mapping } = SaveMappingSchema.parse(req.body || {});
+    const saved = await saveColumnMapping(
+      scopeOf(req),
+      mapping,
+      actorFrom(req)
+    );
+    return sendSuccess(res, saved, "Column mapping saved");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST .../persons/imports/preview - dry run (file base64 encoded in `data`)
+export async function previewImportHandler(req, res, next) {
+  try {
+    const upload = PreviewImportSchema.parse(req.body || {});
+    const preview = await previewPersonImport(
+      scopeOf(req),
+      upload,
+      actorFrom(req),
+      { reveal: hasPermission(req, SENSITIVE_READ_PERMISSION) }
+    );
+    return sendSuccess(res, preview, "Import preview ready", 201);
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST .../persons/imports/:importId/commit - create the valid rows
+export async function commitImportHandler(req, res, next) {
+  try {
+    const result = await commitPersonImport(
+      scopeOf(req),
+      req.params.importId,
+      actorFrom(req)
+    );
+    return sendSuccess(res, result, "Import completed");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET .../persons/imports?limit=
+export async function listImportsHandler(req, res, next) {
+  try {
+    const options = ImportListQuerySchema.parse(req.query || {});
+    const imports = await listPersonImports(scopeOf(req), options);
+    return sendList(
+      res,
+      imports,
+      { total: imports.length },
+      "Imports retrieved successfully"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET .../persons/imports/:importId
+export async function getImportHandler(req, res, next) {
+  try {
+    const record = await getPersonImport(scopeOf(req), req.params.importId);
+    return sendSuccess(res, record, "Import retrieved");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET .../persons/imports/:importId/errors - the rows not imported, as CSV
+export async function downloadErrorFileHandler(req, res, next) {
+  try {
+    const { fileName, content } = await readImportErrorFile(
+      scopeOf(req),
+      req.params.importId
+    );
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Content-Length", content.length);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", "no-store");
+    return res.send(content);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE .../persons/imports/:importId/files - the upload or the error file
+export async function deleteImportFilesHandler(req, res, next) {
+  try {
+    const record = await deletePersonImportFiles(
+      scopeOf(req),
+      req.params.importId,
+      actorFrom(req)
+    );
+    return sendSuccess(res, record, "Import files deleted");
+  } catch (err) {
+    next(err);
+  }
+}
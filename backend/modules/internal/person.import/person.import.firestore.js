@@ -0,0 +1,152 @@
+import { db } from "../../../services/firestore.client.js";
+import {
+  platformPath,
+  tenantPath,
+} from "../../../utilities/country-context.util.js";
+import {
+  blindIndex,
+  keyScope,
+} from "../../../utilities/field-encryption.util.js";
+import { iterateCollection } from "../../../utilities/collection-tree.util.js";
+import { ConflictError } from "../../../utilities/error-handler.util.js";
+import { IMPORT_STATUS } from "./person.import.validation.js";
+
+/**
+ * Import records and the saved column mapping live next to the people they
+ * are for: the platform's (tenantId null) or a tenant's. The uploaded file
+ * and the error file are in the blob store.
+ */
+function scopedPath(tenantId, ...segments) {
+  return tenantId
+    ? tenantPath(tenantId, ...segments)
+    : platformPath(...segments);
+}
+
+function importsCol(tenantId) {
+  return db.collection(scopedPath(tenantId, "personImports"));
+}
+
+function mappingDoc(tenantId) {
+  return db.doc(scopedPath(tenantId, "settings", "personImport"));
+}
+
+// Blob keys of an import's uploaded file and of its error file
+export function importBlobKey(tenantId, id) {
+  return `${scopedPath(tenantId, "personImports")}/${id}`;
+}
+
+export function errorFileBlobKey(tenantId, id) {
+  return `${scopedPath(tenantId, "personImportErrors")}/${id}`;
+}
+
+/**
+ * The files an import still has in the blob store
+ * @param {string|null} tenantId
+ * @param {Object} record - Import record
+ * @returns {Array<{key: string, format: string}>}
+ */
+export function importFilesOf(tenantId, record) {
+  const files = [];
+  if (record.blobKey) {
+    files.push({ key: record.blobKey, format: record.format });
+  }
+  if (record.errorFile) {
+    files.push({ key: errorFileBlobKey(tenantId, record.id), format: "csv" });
+  }
+  return files;
+}
+
+export async function getImportMapping(tenantId) {
+  const snap = await mappingDoc(tenantId).get();
+  return snap.exists ? snap.data() : null;
+}
+
+export async function saveImportMapping(tenantId, model) {
+  await mappingDoc(tenantId).set(model);
+  return model;
+}
+
+/**
+ * ID of the person with an ID number, looked up through the blind index
+ * @returns {Promise<string|null>}
+ */
+export async function findPersonIdByIdNumber(tenantId, idNumber) {
+  const snapshot = await db
+    .collection(scopedPath(tenantId, "people"))
+    .where(
+      "blindIndex.idNumber",
+      "==",
+      blindIndex(keyScope(tenantId), "idNumber", idNumber)
+    )
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : snapshot.docs[0].id;
+}
+
+export async function savePersonImport(tenantId, model) {
+  await importsCol(tenantId).doc(model.id).set(model);
+  return model;
+}
+
+export async function getPersonImportById(tenantId, id) {
+  const snap = await importsCol(tenantId).doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
+
+export async function updatePersonImportById(tenantId, id, data) {
+  await importsCol(tenantId).doc(id).update(data);
+  return getPersonImportById(tenantId, id);
+}
+
+/**
+ * Mark a previewed import as committing, so it only runs once
+ * @throws {ConflictError} The import has already been committed
+ */
+export async function claimPersonImport(tenantId, id, updated) {
+  const ref = importsCol(tenantId).doc(id);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const { status } = snap.data();
+    if (status === IMPORT_STATUS.DISCARDED) {
+      throw new ConflictError("This import's file has been deleted");
+    }
+    if (status !== IMPORT_STATUS.PREVIEWED) {
+      throw new ConflictError("This import has already been committed");
+    }
+    tx.update(ref, { status: IMPORT_STATUS.COMMITTING, updated });
+    return { ...snap.data(), status: IMPORT_STATUS.COMMITTING, updated };
+  });
+}
+
+/**
+ * Imports, newest first
+ */
+export async function listPersonImports(tenantId, { limit = 20 } = {}) {
+  const snapshot = await importsCol(tenantId)
+    .orderBy("created.when", "desc")
+    .limit(limit)
+    .get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+/**
+ * Every import of a scope, page by page
+ * @returns {AsyncGenerator<FirebaseFirestore.DocumentSnapshot>}
+ */
+export function iteratePersonImports(tenantId) {
+  return iterateCollection(importsCol(tenantId));
+}
+
+/**
+ * Imports of every scope and country previewed before the cutoff
+ * @param {string} cutoff - ISO timestamp
+ * @returns {Promise<Array<FirebaseFirestore.DocumentSnapshot>>}
+ */
+export async function listPersonImportsBefore(cutoff) {
+  const snapshot = await db
+    .collectionGroup("personImports")
+    .where("created.when", "<", cutoff)
+    .get();
+  return snapshot.docs;
+}
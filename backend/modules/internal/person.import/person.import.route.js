@@ -0,0 +1,123 @@
+import express from "express";
+import { authenticateJWT } from "../../../middleware/auth.middleware.js";
+import { checkPermissions } from "../../../middleware/permission.middleware.js";
+import {
+  listImportFieldsHandler,
+  getMappingHandler,
+  saveMappingHandler,
+  previewImportHandler,
+  commitImportHandler,
+  listImportsHandler,
+  getImportHandler,
+  downloadErrorFileHandler,
+  deleteImportFilesHandler,
+} from "./person.import.controller.js";
+import {
+  getPersonImportById,
+  getImportMapping,
+} from "./person.import.firestore.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+
+/**
+ * Person Import Router
+ * Spreadsheet imports of the platform's people (mounted before the person
+ * router, so "imports" isn't taken for an id)
+ */
+
+const router = express.Router();
+
+const auditImport = (options) =>
+  audit("personImport", {
+    idParam: "importId",
+    load: (id) => getPersonImportById(null, id),
+    ...options,
+  });
+
+// GET /internal/persons/imports/fields - Fields columns can map to
+router.get(
+  "/internal/persons/imports/fields",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  listImportFieldsHandler
+);
+
+// GET /internal/persons/imports/mapping - Saved column mapping
+router.get(
+  "/internal/persons/imports/mapping",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  getMappingHandler
+);
+
+// PUT /internal/persons/imports/mapping - Save the column mapping
+router.put(
+  "/internal/persons/imports/mapping",
+  authenticateJWT,
+  checkPermissions("admin.create"),
+  audit("personImportMapping", {
+    id: "mapping",
+    load: () => getImportMapping(null),
+  }),
+  saveMappingHandler
+);
+
+// POST /internal/persons/imports/preview - Dry run of a CSV/XLSX file
+router.post(
+  "/internal/persons/imports/preview",
+  authenticateJWT,
+  checkPermissions("admin.create"),
+  auditImport({
+    action: "create",
+    id: (req, body) => body?.data?.import?.id || null,
+  }),
+  previewImportHandler
+);
+
+// GET /internal/persons/imports - Recent imports
+router.get(
+  "/internal/persons/imports",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  listImportsHandler
+);
+
+// GET /internal/persons/imports/:importId - Import details
+router.get(
+  "/internal/persons/imports/:importId",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  getImportHandler
+);
+
+// POST /internal/persons/imports/:importId/commit - Create the valid rows
+router.post(
+  "/internal/persons/imports/:importId/commit",
+  authenticateJWT,
+  checkPermissions("admin.create"),
+  auditImport({
+    action: "commit",
+    details: (req, body) => body?.data?.import?.totals || null,
+  }),
+  commitImportHandler
+);
+
+// GET /internal/persons/imports/:importId/errors - Rows not imported (CSV)
+router.get(
+  "/internal/persons/imports/:importId/errors",
+  authenticateJWT,
+  checkPermissions("admin.create"),
+  auditImport({ action: "download" }),
+  downloadErrorFileHandler
+);
+
+// DELETE /internal/persons/imports/:importId/files - Delete the upload of
+// a preview or the error file of an import
+router.delete(
+  "/internal/persons/imports/:importId/files",
+  authenticateJWT,
+  checkPermissions("admin.create"),
+  auditImport(),
+  deleteImportFilesHandler
+);
+
+export default router;
@@ -0,0 +1,827 @@
+import crypto from "crypto";
+import path from "path";
+import {
+  IMPORT_STATUS,
+  ROW_STATUS,
+  IMPORT_MAX_BYTES,
+  IMPORT_MAX_ROWS,
+  ERROR_FILE_COLUMNS,
+  importFields,
+  newPersonImportId,
+  getImportFileRetentionDays,
+} from "./person.import.validation.js";
+import {
+  importBlobKey,
+  errorFileBlobKey,
+  importFilesOf,
+  getImportMapping,
+  saveImportMapping,
+  findPersonIdByIdNumber,
+  savePersonImport,
+  getPersonImportById,
+  updatePersonImportById,
+  claimPersonImport,
+  listPersonImports as listStoredImports,
+  iteratePersonImports,
+  listPersonImportsBefore,
+} from "./person.import.firestore.js";
+import { PersonSchema as PlatformPersonSchema } from "../person/person.validation.js";
+import {
+  createPersonRecord as createPlatformPerson,
+  validatePersonDataConsistency as checkPlatformPerson,
+} from "../person/person.service.js";
+import { PersonSchema as TenantPersonSchema } from "../../external/tenant/person/person.validation.js";
+import {
+  createPersonRecord as createTenantPerson,
+  validatePersonDataConsistency as checkTenantPerson,
+  getSAIdValidationMode,
+} from "../../external/tenant/person/person.service.js";
+import { normalizePersonAddresses } from "../../general/address/address.service.js";
+import { blobStore } from "../../../services/blob.client.js";
+import {
+  applySAIdCheck,
+  defaultSAIdValidationMode,
+} from "../../../utilities/sa-id.util.js";
+import { revealFields } from "../../../utilities/field-encryption.util.js";
+import {
+  getCurrentCountryPack,
+  runWithCountry,
+} from "../../../utilities/country-context.util.js";
+import { partitionScopeOf } from "../../../utilities/soft-delete.util.js";
+import {
+  spreadsheetFormat,
+  readSpreadsheet,
+  toCsv,
+  excelSerialToDate,
+} from "../../../utilities/spreadsheet.util.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../../../utilities/error-handler.util.js";
+
+/**
+ * Person Import
+ * Spreadsheet (CSV or XLSX) imports of people, for the platform (tenantId
+ * null) or a tenant:
+ *   1. preview - the file is stored and every row is mapped to a person,
+ *                validated with the scope's PersonSchema and business
+ *                checks, normalised (SA ID number, addresses) and checked
+ *                for ID numbers already on record or repeated in the file.
+ *                Nothing is created.
+ *   2. commit  - the stored file is checked again and the valid rows are
+ *                created through the person service. Rows that were not
+ *                imported go to an error file (the original columns plus
+ *                the row number and what was wrong) to fix and re-import.
+ *
+ * The uploaded file and the error file hold plaintext ID numbers, tax
+ * numbers and income: they are deleted on request, IMPORT_FILE_RETENTION_DAYS
+ * after the preview (see startImportFileExpirySchedule), when the tenant is
+ * offboarded and when they name a data subject whose data is erased.
+ *
+ * Columns map to person fields (dotted paths, see importFields) through the
+ * mapping sent with the preview, then the mapping saved for the scope, then
+ * the column names ("ID Number" -> demographics.idNumber).
+ */
+
+// What differs between the platform's people and a tenant's
+function personScope(tenantId) {
+  if (!tenantId) {
+    return {
+      schema: PlatformPersonSchema,
+      checkConsistency: checkPlatformPerson,
+      mode: async () => defaultSAIdValidationMode(),
+      usesSAIdNumbers: () => true,
+      create: (data, actor) => createPlatformPerson(data, actor),
+    };
+  }
+  return {
+    schema: TenantPersonSchema,
+    checkConsistency: checkTenantPerson,
+    mode: () => getSAIdValidationMode(tenantId),
+    usesSAIdNumbers: () => getCurrentCountryPack().key === "southAfrica",
+    create: (data, actor) => createTenantPerson(tenantId, data, actor),
+  };
+}
+
+function stamp(actor) {
+  return { by: actor, when: new Date().toISOString() };
+}
+
+// The record as returned by the API (blob keys stay internal)
+function importResponse(record) {
+  const { blobKey, ...rest } = record;
+  return { ...rest, mapping: mappingObject(rest.columns) };
+}
+
+/**
+ * The person fields columns can be mapped to
+ * @param {string|null} tenantId
+ * @returns {Array<Object>} See importFields
+ */
+export function getImportFields(tenantId) {
+  return importFields(personScope(tenantId).schema);
+}
+
+// --- Column mapping -------------------------------------------------------
+
+// Stored as [{ column, field }] (column names may contain dots)
+function mappingObject(columns = []) {
+  return Object.fromEntries(columns.map((c) => [c.column, c.field]));
+}
+
+function mappingColumns(mapping = {}) {
+  return Object.entries(mapping).map(([column, field]) => ({
+    column,
+    field: field || null,
+  }));
+}
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Column names that map to a field without a mapping: its path, or any
+ * tail of it that no other field shares ("ID Number", "Residential City")
+ * @returns {Map<string, string|null>} name -> field (null when ambiguous)
+ */
+function fieldAliases(fields) {
+  const owners = new Map();
+  for (const { field } of fields) {
+    const parts = field.split(".");
+    for (let i = 0; i < parts.length; i++) {
+      const alias = normalizeName(parts.slice(i).join(""));
+      const owner = owners.has(alias) ? owners.get(alias) : field;
+      owners.set(alias, owner === field ? field : null);
+    }
+  }
+  return owners;
+}
+
+function assertKnownFields(mapping, fields) {
+  const known = new Set(fields.map((f) => f.field));
+  for (const [column, field] of Object.entries(mapping)) {
+    if (field && !known.has(field)) {
+      throw new ValidationError(
+        `Column "${column}" is mapped to an unknown person field: ${field}`,
+        "mapping",
+        field
+      );
+    }
+  }
+}
+
+/**
+ * The field each column of a file maps to: the requested mapping, then the
+ * saved one, then the column's name (for fields not already taken)
+ * @returns {Object} column -> field, null for columns left out
+ */
+function resolveMapping(headers, fields, requested = {}, saved = {}) {
+  assertKnownFields(requested, fields);
+  const known = new Set(fields.map((f) => f.field));
+  const aliases = fieldAliases(fields);
+  const columns = headers.filter(Boolean);
+
+  const mapping = Object.create(null);
+  const mappedFrom = new Map();
+  const map = (column, field, explicit) => {
+    if (field && mappedFrom.has(field)) {
+      if (explicit) {
+        throw new ValidationError(
+          `Columns "${mappedFrom.get(field)}" and "${column}" are both ` +
+            `mapped to ${field}`,
+          "mapping",
+          field
+        );
+      }
+      field = null;
+    }
+    if (field) mappedFrom.set(field, column);
+    mapping[column] = field || null;
+  };
+
+  for (const column of columns) {
+    if (Object.hasOwn(requested, column)) {
+      map(column, requested[column], true);
+    }
+  }
+  for (const column of columns) {
+    if (Object.hasOwn(mapping, column) || !Object.hasOwn(saved, column)) {
+      continue;
+    }
+    map(column, known.has(saved[column]) ? saved[column] : null, false);
+  }
+  for (const column of columns) {
+    if (Object.hasOwn(mapping, column)) continue;
+    map(column, aliases.get(normalizeName(column)), false);
+  }
+  return Object.fromEntries(columns.map((c) => [c, mapping[c]]));
+}
+
+/**
+ * The saved column mapping of the platform (tenantId null) or a tenant
+ * @returns {Promise<Object>} { mapping: column -> field, updated }
+ */
+export async function getColumnMapping(tenantId) {
+  const saved = await getImportMapping(tenantId);
+  return {
+    mapping: mappingObject(saved?.columns),
+    updated: saved?.updated || null,
+  };
+}
+
+/**
+ * Save the column mapping used when a preview doesn't send one
+ * @param {string|null} tenantId
+ * @param {Object} mapping - column -> field (null to leave a column out)
+ * @param {string} actor
+ */
+export async function saveColumnMapping(tenantId, mapping, actor) {
+  assertKnownFields(mapping, getImportFields(tenantId));
+  const saved = await saveImportMapping(tenantId, {
+    columns: mappingColumns(mapping),
+    updated: stamp(actor),
+  });
+  return { mapping: mappingObject(saved.columns), updated: saved.updated };
+}
+
+// --- Rows -----------------------------------------------------------------
+
+function decodeFile(data) {
+  const content = Buffer.from(data, "base64");
+  if (content.length === 0) {
+    throw new ValidationError("The file is empty", "data");
+  }
+  if (content.length > IMPORT_MAX_BYTES) {
+    throw new ValidationError(
+      `The file is larger than ${Math.floor(IMPORT_MAX_BYTES / 1024)} KB`,
+      "data",
+      content.length
+    );
+  }
+  return content;
+}
+
+function isBlank(cells) {
+  return !cells.some((cell) => String(cell).trim() !== "");
+}
+
+/**
+ * The header row (the first row with anything in it) and the rows after it
+ * @returns {{headers: Array<string>, rows: Array<Object>}} rows are
+ *   { row: spreadsheet row number, cells }
+ */
+function readRows(content, format) {
+  const all = readSpreadsheet(content, format);
+  const headerAt = all.findIndex((cells) => !isBlank(cells));
+  if (headerAt < 0) {
+    throw new ValidationError("The file has no header row", "data");
+  }
+  const headers = all[headerAt].map((cell) => String(cell).trim());
+  const repeated = headers.find((h, i) => h && headers.indexOf(h) !== i);
+  if (repeated) {
+    throw new ValidationError(
+      `Column "${repeated}" appears more than once`,
+      "data",
+      repeated
+    );
+  }
+
+  const rows = all
+    .slice(headerAt + 1)
+    .map((cells, i) => ({ row: headerAt + i + 2, cells }))
+    .filter(({ cells }) => !isBlank(cells));
+  if (!rows.length) {
+    throw new ValidationError("The file has no rows to import", "data");
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw new ValidationError(
+      `A file can have at most ${IMPORT_MAX_ROWS} rows`,
+      "data",
+      rows.length
+    );
+  }
+  return { headers, rows };
+}
+
+// Dates as YYYY-MM-DD from Excel serial numbers, YYYY/MM/DD and DD/MM/YYYY
+function coerceDate(text) {
+  if (/^\d{1,7}(\.\d+)?$/.test(text)) return excelSerialToDate(text);
+  let m = /^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/.exec(text);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+  if (m) return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  return text;
+}
+
+/**
+ * Cell text as the value a field expects
+ * @returns {{value: *}|{error: string}} value undefined for an empty cell
+ */
+function coerceCell(raw, spec) {
+  const text = String(raw ?? "").trim();
+  if (text === "") return { value: undefined };
+  switch (spec.type) {
+    case "boolean":
+      if (/^(true|yes|y|1)$/i.test(text)) return { value: true };
+      if (/^(false|no|n|0)$/i.test(text)) return { value: false };
+      return { error: "Must be yes or no" };
+    case "number": {
+      const value = Number(text.replace(",", "."));
+      return Number.isFinite(value)
+        ? { value }
+        : { error: "Must be a number" };
+    }
+    case "list":
+      return { value: text.split(/[;,]|\s+/).filter(Boolean) };
+    case "date":
+      return { value: coerceDate(text) };
+    case "enum":
+      return {
+        value:
+          spec.options.find((o) => o.toLowerCase() === text.toLowerCase()) ??
+          text,
+      };
+    default:
+      return { value: text };
+  }
+}
+
+function setPath(target, field, value) {
+  const parts = field.split(".");
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    node[part] = node[part] || {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+// The person as it would be stored: SA ID details filled in, addresses
+// normalised (the same steps createPersonRecord takes)
+function normalizePerson(context, data) {
+  let out = data;
+  if (data.demographics && context.scope.usesSAIdNumbers()) {
+    const { demographics } = applySAIdCheck(data.demographics, context.mode);
+    out = { ...out, demographics };
+  }
+  if (data.addresses) {
+    out = { ...out, addresses: normalizePersonAddresses(data.addresses) };
+  }
+  return out;
+}
+
+/**
+ * Map, validate, normalise and duplicate-check one row
+ * @returns {Promise<Object>} { row, cells, status, errors, warnings,
+ *   duplicate, data (validated, for create), values (normalised) }
+ */
+async function evaluateRow(context, { row, cells }) {
+  const { headers, mapping, specs, columnOf } = context;
+  const person = {};
+  const errors = [];
+  const error = (field, message) =>
+    errors.push({ field, column: columnOf[field] || null, message });
+
+  headers.forEach((column, index) => {
+    const field = mapping[column];
+    if (!field) return;
+    const coerced = coerceCell(cells[index], specs.get(field));
+    if (coerced.error) error(field, coerced.error);
+    else if (coerced.value !== undefined) setPath(person, field, coerced.value);
+  });
+
+  const parsed = context.scope.schema.safeParse(person);
+  if (!parsed.success) {
+    for (const issue of parsed.error.issues) {
+      const field = issue.path.join(".");
+      if (!errors.some((e) => e.field === field)) error(field, issue.message);
+    }
+  }
+
+  let values = person;
+  let warnings = [];
+  if (!errors.length) {
+    const check = context.scope.checkConsistency(parsed.data, {
+      mode: context.mode,
+    });
+    check.errors.forEach((message) => error(null, message));
+    warnings = check.warnings || [];
+    if (!errors.length) {
+      try {
+        values = normalizePerson(context, parsed.data);
+      } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+        error(err.field, err.message);
+      }
+    }
+  }
+
+  let duplicate = null;
+  const idNumber = String(person.demographics?.idNumber || "").trim();
+  if (idNumber) {
+    if (context.seen.has(idNumber)) {
+      duplicate = { row: context.seen.get(idNumber) };
+    } else {
+      context.seen.set(idNumber, row);
+      const personId = await findPersonIdByIdNumber(
+        context.tenantId,
+        idNumber
+      );
+      if (personId) duplicate = { personId };
+    }
+  }
+
+  let status = ROW_STATUS.VALID;
+  if (errors.length) status = ROW_STATUS.INVALID;
+  else if (duplicate) status = ROW_STATUS.DUPLICATE;
+
+  return {
+    row,
+    cells,
+    status,
+    errors,
+    warnings,
+    duplicate,
+    data: status === ROW_STATUS.VALID ? parsed.data : null,
+    values,
+  };
+}
+
+/**
+ * Check every row of a file against a mapping
+ * @returns {Promise<Object>} { headers, mapping, missingFields, rows }
+ */
+async function evaluateFile(tenantId, content, format, mapping) {
+  const scope = personScope(tenantId);
+  const fields = importFields(scope.schema);
+  const { headers, rows } = readRows(content, format);
+  const resolved = resolveMapping(
+    headers,
+    fields,
+    mapping.requested,
+    mapping.saved
+  );
+
+  const columnOf = {};
+  for (const [column, field] of Object.entries(resolved)) {
+    if (field) columnOf[field] = column;
+  }
+  const context = {
+    tenantId,
+    scope,
+    headers,
+    mapping: resolved,
+    columnOf,
+    specs: new Map(fields.map((f) => [f.field, f])),
+    mode: await scope.mode(),
+    seen: new Map(),
+  };
+
+  const evaluated = [];
+  for (const row of rows) evaluated.push(await evaluateRow(context, row));
+  return {
+    headers,
+    mapping: resolved,
+    missingFields: fields
+      .filter((f) => f.required && !columnOf[f.field])
+      .map((f) => f.field),
+    rows: evaluated,
+  };
+}
+
+function countByStatus(rows) {
+  const totals = { rows: rows.length };
+  for (const status of Object.values(ROW_STATUS)) {
+    totals[status] = rows.filter((r) => r.status === status).length;
+  }
+  return totals;
+}
+
+// Base name without control characters or quotes (used in downloads)
+function cleanFileName(fileName) {
+  const base = path.basename(fileName.replace(/\\/g, "/"));
+  return base.replace(/[\x00-\x1f\x7f"]/g, "").trim() || "import.csv";
+}
+
+// --- Imports --------------------------------------------------------------
+
+/**
+ * Dry run: store the file and report what importing it would do
+ * @param {string|null} tenantId
+ * @param {Object} upload - See PreviewImportSchema
+ * @param {string} actor
+ * @param {Object} options - { reveal: show sensitive values in the rows }
+ * @returns {Promise<Object>} { import, columns, missingFields, rows }
+ */
+export async function previewPersonImport(
+  tenantId,
+  upload,
+  actor,
+  { reveal = false } = {}
+) {
+  const format = spreadsheetFormat(upload.fileName);
+  const content = decodeFile(upload.data);
+  const saved = mappingObject((await getImportMapping(tenantId))?.columns);
+  const report = await evaluateFile(tenantId, content, format, {
+    requested: upload.mapping || {},
+    saved,
+  });
+
+  const id = newPersonImportId();
+  const blobKey = importBlobKey(tenantId, id);
+  const record = {
+    id,
+    fileName: cleanFileName(upload.fileName),
+    format,
+    size: content.length,
+    sha256: crypto.createHash("sha256").update(content).digest("hex"),
+    columns: mappingColumns(report.mapping),
+    totals: countByStatus(report.rows),
+    status: IMPORT_STATUS.PREVIEWED,
+    blobKey,
+    created: stamp(actor),
+  };
+
+  await blobStore.put(blobKey, content);
+  try {
+    await savePersonImport(tenantId, record);
+  } catch (error) {
+    await blobStore.delete(blobKey);
+    throw error;
+  }
+  if (upload.saveMapping) {
+    await saveColumnMapping(tenantId, { ...saved, ...report.mapping }, actor);
+  }
+
+  return {
+    import: importResponse(record),
+    columns: record.columns,
+    missingFields: report.missingFields,
+    rows: report.rows.map((r) => ({
+      row: r.row,
+      status: r.status,
+      errors: r.errors,
+      warnings: r.warnings,
+      duplicate: r.duplicate,
+      values: revealFields(r.values, reveal),
+    })),
+  };
+}
+
+function describeProblems(row) {
+  const problems = row.errors.map((e) =>
+    e.column || e.field ? `${e.column || e.field}: ${e.message}` : e.message
+  );
+  if (row.duplicate?.row) {
+    problems.push(`Same ID number as row ${row.duplicate.row}`);
+  } else if (row.duplicate?.personId) {
+    problems.push(
+      `ID number already on record (person ${row.duplicate.personId})`
+    );
+  }
+  return problems.join("; ");
+}
+
+// The rows that were not imported, as CSV
+function errorFileContent(headers, rows) {
+  return Buffer.from(
+    toCsv([
+      [...headers, ...ERROR_FILE_COLUMNS],
+      ...rows.map((r) => [
+        ...headers.map((_, i) => r.cells[i] ?? ""),
+        r.row,
+        describeProblems(r),
+      ]),
+    ])
+  );
+}
+
+/**
+ * Import a previewed file: create the people on its valid rows
+ * The file is checked again, so rows that became duplicates since the
+ * preview are skipped. Runs once per import.
+ * @param {string|null} tenantId
+ * @param {string} id - Import ID
+ * @param {string} actor
+ * @returns {Promise<Object>} { import, rows } rows are { row, status,
+ *   personId, errors }
+ */
+export async function commitPersonImport(tenantId, id, actor) {
+  const job = await claimPersonImport(tenantId, id, stamp(actor));
+  if (!job) throw new NotFoundError("Import");
+  const scope = personScope(tenantId);
+
+  let report;
+  try {
+    const content = await blobStore.get(job.blobKey);
+    if (!content) throw new NotFoundError("Import file");
+    report = await evaluateFile(tenantId, content, job.format, {
+      requested: mappingObject(job.columns),
+    });
+
+    for (const row of report.rows) {
+      if (row.status !== ROW_STATUS.VALID) continue;
+      try {
+        const person = await scope.create(row.data, actor);
+        row.status = ROW_STATUS.CREATED;
+        row.personId = person.id;
+      } catch (error) {
+        row.status = ROW_STATUS.FAILED;
+        const field = error.field || error.details?.field || null;
+        row.errors.push({ field, column: null, message: error.message });
+      }
+    }
+  } catch (error) {
+    // Nothing was imported; leave it to be committed again
+    await updatePersonImportById(tenantId, id, {
+      status: IMPORT_STATUS.PREVIEWED,
+    });
+    throw error;
+  }
+
+  const notImported = report.rows.filter(
+    (r) => r.status !== ROW_STATUS.CREATED
+  );
+  let errorFile = null;
+  if (notImported.length) {
+    const content = errorFileContent(report.headers, notImported);
+    await blobStore.put(errorFileBlobKey(tenantId, id), content);
+    errorFile = {
+      fileName: `${path.parse(job.fileName).name}-errors.csv`,
+      rows: notImported.length,
+      size: content.length,
+    };
+  }
+  // The upload is no longer needed (the error file has what wasn't imported)
+  await blobStore.delete(job.blobKey);
+
+  const now = stamp(actor);
+  const record = await updatePersonImportById(tenantId, id, {
+    status: IMPORT_STATUS.COMMITTED,
+    blobKey: null,
+    totals: countByStatus(report.rows),
+    personIds: report.rows.filter((r) => r.personId).map((r) => r.personId),
+    errorFile,
+    committed: now,
+    updated: now,
+  });
+  return {
+    import: importResponse(record),
+    rows: report.rows.map((r) => ({
+      row: r.row,
+      status: r.status,
+      personId: r.personId || null,
+      errors: r.errors,
+      duplicate: r.duplicate,
+    })),
+  };
+}
+
+export async function listPersonImports(tenantId, options = {}) {
+  const imports = await listStoredImports(tenantId, options);
+  return imports.map(importResponse);
+}
+
+async function requireImport(tenantId, id) {
+  const record = await getPersonImportById(tenantId, id);
+  if (!record) throw new NotFoundError("Import");
+  return record;
+}
+
+export async function getPersonImport(tenantId, id) {
+  return importResponse(await requireImport(tenantId, id));
+}
+
+/**
+ * The error file of a committed import
+ * @returns {Promise<{fileName: string, content: Buffer}>}
+ */
+export async function readImportErrorFile(tenantId, id) {
+  const record = await requireImport(tenantId, id);
+  const content =
+    record.errorFile &&
+    (await blobStore.get(errorFileBlobKey(tenantId, id)));
+  if (!content) throw new NotFoundError("Error file");
+  return { fileName: record.errorFile.fileName, content };
+}
+
+/**
+ * Delete an import's files from the blob store; the record stays, without
+ * them. A preview can't be committed any more.
+ * @param {string|null} tenantId
+ * @param {Object} record - Import record
+ * @param {Object} deleted - { by, when, reason }
+ * @returns {Promise<Object>} The record as stored
+ */
+export async function removePersonImportFiles(tenantId, record, deleted) {
+  for (const file of importFilesOf(tenantId, record)) {
+    await blobStore.delete(file.key);
+  }
+  return updatePersonImportById(tenantId, record.id, {
+    status:
+      record.status === IMPORT_STATUS.PREVIEWED
+        ? IMPORT_STATUS.DISCARDED
+        : record.status,
+    blobKey: null,
+    errorFile: null,
+    filesDeleted: deleted,
+    updated: { by: deleted.by, when: deleted.when },
+  });
+}
+
+/**
+ * Delete the uploaded file of a preview, or the error file of a committed
+ * import
+ * @throws {ConflictError} The import is being committed
+ */
+export async function deletePersonImportFiles(tenantId, id, actor) {
+  const record = await requireImport(tenantId, id);
+  if (record.status === IMPORT_STATUS.COMMITTING) {
+    throw new ConflictError("This import is being committed");
+  }
+  const deleted = { ...stamp(actor), reason: "deleted" };
+  return importResponse(
+    await removePersonImportFiles(tenantId, record, deleted)
+  );
+}
+
+/**
+ * Delete the files of every import previewed more than `days` days ago, in
+ * the platform and every tenant of every country
+ * @param {Object} options
+ * @param {number} options.days - Default IMPORT_FILE_RETENTION_DAYS
+ * @param {Date} options.now - Reference time (tests)
+ * @returns {Promise<number>} Imports whose files were deleted
+ */
+export async function expirePersonImportFiles(options = {}) {
+  const { days = getImportFileRetentionDays(), now = new Date() } = options;
+  if (!days) return 0;
+
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  let expired = 0;
+  for (const doc of await listPersonImportsBefore(cutoff.toISOString())) {
+    const record = doc.data();
+    const { country, tenantId } = partitionScopeOf(doc.ref);
+    // Being committed: its upload goes when the commit finishes
+    if (record.status === IMPORT_STATUS.COMMITTING) continue;
+    if (!importFilesOf(tenantId, record).length) continue;
+    await runWithCountry(country, () =>
+      removePersonImportFiles(tenantId, record, {
+        ...stamp("system"),
+        reason: "expired",
+      })
+    );
+    expired++;
+  }
+  return expired;
+}
+
+/**
+ * Run expirePersonImportFiles once a day in the background
+ * @param {Object} logger
+ * @returns {NodeJS.Timeout|null} Timer (null when files are kept)
+ */
+export function startImportFileExpirySchedule(logger = console) {
+  if (!getImportFileRetentionDays()) return null;
+
+  const run = () =>
+    expirePersonImportFiles()
+      .then((expired) => {
+        if (expired > 0) {
+          logger.info(`🗑️ Deleted the files of ${expired} expired imports`);
+        }
+      })
+      .catch((error) =>
+        logger.error("Import file expiry failed:", error?.message || error)
+      );
+
+  run();
+  const timer = setInterval(run, 24 * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Imports of a scope whose stored files have a cell the predicate matches
+ * (e.g. a data subject's ID number, see data.subject.request)
+ * @param {string|null} tenantId
+ * @param {Function} matches - (cell text) => boolean
+ * @returns {Promise<Array<FirebaseFirestore.DocumentSnapshot>>}
+ */
+export async function findPersonImportsMentioning(tenantId, matches) {
+  const found = [];
+  for await (const doc of iteratePersonImports(tenantId)) {
+    for (const file of importFilesOf(tenantId, doc.data())) {
+      const content = await blobStore.get(file.key);
+      if (!content) continue;
+      const rows = readSpreadsheet(content, file.format);
+      if (rows.some((cells) => cells.some((c) => matches(String(c).trim())))) {
+        found.push(doc);
+        break;
+      }
+    }
+  }
+  return found;
+}
@@ -0,0 +1,133 @@
+import crypto from "crypto";
+import { z } from "zod";
+
+export const IMPORT_STATUS = {
+  PREVIEWED: "previewed",
+  COMMITTING: "committing",
+  COMMITTED: "committed",
+  // The file was deleted before the import was committed
+  DISCARDED: "discarded",
+};
+
+// Outcome of a row in a preview or an import
+export const ROW_STATUS = {
+  VALID: "valid",
+  INVALID: "invalid",
+  DUPLICATE: "duplicate",
+  CREATED: "created",
+  FAILED: "failed",
+};
+
+// Largest spreadsheet accepted, and the most people in one import
+export const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+export const IMPORT_MAX_ROWS = 5000;
+
+// Uploaded files and error files hold plaintext ID numbers: they are
+// deleted this many days after the preview
+export const DEFAULT_IMPORT_FILE_RETENTION_DAYS = 7;
+
+/**
+ * Days an import's files are kept (0 = until the import is deleted)
+ */
+export function getImportFileRetentionDays() {
+  const raw = process.env.IMPORT_FILE_RETENTION_DAYS;
+  if (raw === undefined || raw === "") {
+    return DEFAULT_IMPORT_FILE_RETENTION_DAYS;
+  }
+  const days = Number(raw);
+  return Number.isInteger(days) && days >= 0
+    ? days
+    : DEFAULT_IMPORT_FILE_RETENTION_DAYS;
+}
+
+// Person fields that are never imported (set by the server)
+export const IMPORT_EXCLUDED_FIELDS = ["id", "audit"];
+
+// Columns added to the error file (so it can be fixed and imported again)
+export const ERROR_FILE_COLUMNS = ["Import Row", "Import Errors"];
+
+export function newPersonImportId() {
+  return `IMPORT${Date.now()}${crypto.randomBytes(3).toString("hex")}`;
+}
+
+// Schema inside optional/default/refine wrappers
+function unwrap(schema) {
+  let inner = schema;
+  while (inner?._def?.innerType || inner?._def?.schema) {
+    inner = inner._def.innerType || inner._def.schema;
+  }
+  return inner;
+}
+
+function fieldType(schema) {
+  if (schema instanceof z.ZodBoolean) return { type: "boolean" };
+  if (schema instanceof z.ZodNumber) return { type: "number" };
+  if (schema instanceof z.ZodArray) return { type: "list" };
+  if (schema instanceof z.ZodEnum) {
+    return { type: "enum", options: [...schema.options] };
+  }
+  if (schema instanceof z.ZodString) {
+    const isDate = schema._def.checks.some((c) => c.kind === "date");
+    return { type: isDate ? "date" : "string" };
+  }
+  return { type: "string" };
+}
+
+/**
+ * The fields a spreadsheet column can be mapped to, read from a person
+ * schema (person.validation.js) so imports follow its rules
+ * @param {z.ZodObject} schema - PersonSchema of the scope
+ * @returns {Array<Object>} { field: dotted path, type, required, options }
+ */
+export function importFields(schema, prefix = "", parentRequired = true) {
+  const fields = [];
+  for (const [key, child] of Object.entries(unwrap(schema).shape)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (IMPORT_EXCLUDED_FIELDS.includes(field)) continue;
+    const inner = unwrap(child);
+    const required = parentRequired && !child.isOptional();
+    if (inner instanceof z.ZodObject) {
+      fields.push(...importFields(inner, field, required));
+    } else {
+      fields.push({ field, required, ...fieldType(inner) });
+    }
+  }
+  return fields;
+}
+
+// Spreadsheet column -> person field; an empty field leaves a column out
+const MappingSchema = z.record(
+  z.string().trim().min(1).max(200),
+  z.string().trim().max(100).nullable()
+);
+
+/**
+ * Saved column mapping of a tenant (or the platform)
+ */
+export const SaveMappingSchema = z.object({
+  mapping: MappingSchema,
+});
+
+/**
+ * Upload for a dry run; `data` is the CSV or XLSX file, base64 encoded.
+ * Columns missing from `mapping` use the saved mapping, then the columns'
+ * names.
+ */
+export const PreviewImportSchema = z.object({
+  fileName: z
+    .string()
+    .trim()
+    .min(1)
+    .max(200)
+    .regex(/\.(csv|xlsx)$/i, "Must be a .csv or .xlsx file"),
+  data: z
+    .string()
+    .min(1, "File content is required")
+    .regex(/^[A-Za-z0-9+/\r\n]+={0,2}$/, "Must be base64 encoded"),
+  mapping: MappingSchema.optional(),
+  saveMapping: z.boolean().default(false),
+});
+
+export const ImportListQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
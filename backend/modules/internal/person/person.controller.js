@@ -3,7 +3,11 @@ import { PersonSchema, PersonUpdateSchema } from "./person.validation.js";
 import {
   checkPermissions,
   checkAllPermissions,
+  hasPermission,
 } from "../../../middleware/permission.middleware.js";
+import {
+  SENSITIVE_READ_PERMISSION,
+} from "../../../utilities/field-encryption.util.js";
 import {
   createPersonRecord,
   getPersonRecord,
@@ -15,6 +19,10 @@ import {
   exportPersonRecords,
   getPersonStatistics,
   validatePersonDataConsistency,
+  listTrashedPersonRecords,
+  restorePersonRecord,
+  purgePersonRecord,
+  getPersonConsentRecord,
 } from "./person.service.js";
 import {
   sendSuccess,
@@ -23,8 +31,15 @@ import {
   sendValidationError,
   sendNotFound,
   sendConflict,
+  sendPreconditionFailed,
   handleZodError,
 } from "../../../utilities/response.util.js";
+import {
+  expectedVersionFrom,
+  setETag,
+} from "../../../utilities/concurrency.util.js";
+import { PreconditionFailedError } from "../../../utilities/error-handler.util.js";
+import { PERSON_VERSION_FIELD } from "./person.firestore.js";
 import {
   formatPaginatedResponse,
   createExportResponse,
@@ -50,6 +65,15 @@ function actorFrom(req) {
   return p.id || p.email || "anonymous";
 }
 
+/**
+ * Sensitive fields are only decrypted for holders of person.sensitive.read
+ * @param {Object} req - Express request object
+ * @returns {{reveal: boolean}} Service options
+ */
+function sensitiveAccess(req) {
+  return { reveal: hasPermission(req, SENSITIVE_READ_PERMISSION) };
+}
+
 /**
  * Create a new person
  * POST /internal/person
@@ -70,7 +94,11 @@ export async function createPersonHandler(req, res, next) {
     }
 
     const actor = actorFrom(req);
-    const data = await createPersonRecord(validatedData, actor);
+    const data = await createPersonRecord(
+      validatedData,
+      actor,
+      sensitiveAccess(req)
+    );
 
     return sendSuccess(res, data, "Person created successfully", 201);
   } catch (err) {
@@ -106,12 +134,13 @@ export async function getPersonByIdHandler(req, res, next) {
     }
 
     const actor = actorFrom(req);
-    const data = await getPersonRecord(id, actor);
+    const data = await getPersonRecord(id, actor, sensitiveAccess(req));
 
     if (!data) {
       return sendNotFound(res, `Person with ID ${id} not found`);
     }
 
+    setETag(res, data, PERSON_VERSION_FIELD);
     return sendSuccess(res, data, "Person retrieved successfully");
   } catch (err) {
     next(err);
@@ -144,10 +173,22 @@ export async function updatePersonHandler(req, res, next) {
     }
 
     const actor = actorFrom(req);
-    const data = await updatePersonRecord(id, validatedData, actor);
+    const data = await updatePersonRecord(
+      id,
+      validatedData,
+      actor,
+      expectedVersionFrom(req),
+      sensitiveAccess(req)
+    );
 
+    setETag(res, data, PERSON_VERSION_FIELD);
     return sendSuccess(res, data, "Person updated successfully");
   } catch (err) {
+    // Someone else saved first (stale If-Match)
+    if (err instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, err.message, err.details);
+    }
+
     if (err instanceof z.ZodError) {
       return handleZodError(res, err);
     }
@@ -206,6 +247,75 @@ export async function deletePersonHandler(req, res, next) {
   }
 }
 
+/**
+ * List trashed persons
+ * GET /internal/persons/trash
+ */
+export async function listTrashedPersonsHandler(req, res, next) {
+  try {
+    const { items, nextCursor } = await listTrashedPersonRecords(
+      req.query,
+      sensitiveAccess(req)
+    );
+    return sendList(
+      res,
+      items,
+      { limit: items.length, nextCursor },
+      "Trashed persons retrieved successfully"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Restore a trashed person
+ * POST /internal/persons/:id/restore
+ */
+export async function restorePersonHandler(req, res, next) {
+  try {
+    const person = await restorePersonRecord(
+      req.params.id,
+      actorFrom(req),
+      sensitiveAccess(req)
+    );
+    setETag(res, person, PERSON_VERSION_FIELD);
+    return sendSuccess(res, person, "Person restored successfully");
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Permanently delete a trashed person
+ * DELETE /internal/persons/trash/:id
+ */
+export async function purgePersonHandler(req, res, next) {
+  try {
+    await purgePersonRecord(req.params.id, actorFrom(req));
+    return sendSuccess(
+      res,
+      { id: req.params.id },
+      "Person permanently deleted"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * A person's POPIA consent and its history
+ * GET /internal/persons/:id/consents
+ */
+export async function getPersonConsentsHandler(req, res, next) {
+  try {
+    const data = await getPersonConsentRecord(req.params.id);
+    return sendSuccess(res, data, "Consent retrieved successfully");
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * Partially update person by ID
  * PATCH /internal/person/:id
@@ -222,14 +332,25 @@ export async function patchPersonHandler(req, res, next) {
     const parsed = PersonUpdateSchema.partial().parse(req.body);
     const actor = actorFrom(req);
 
-    const updatedPerson = await updatePersonRecord(id, parsed, actor);
+    const updatedPerson = await updatePersonRecord(
+      id,
+      parsed,
+      actor,
+      expectedVersionFrom(req),
+      sensitiveAccess(req)
+    );
 
+    setETag(res, updatedPerson, PERSON_VERSION_FIELD);
     return sendSuccess(
       res,
       updatedPerson,
       "Person partially updated successfully"
     );
   } catch (err) {
+    if (err instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, err.message, err.details);
+    }
+
     if (err instanceof z.ZodError) {
       return handleZodError(res, err);
     }
@@ -262,7 +383,11 @@ export async function patchPersonHandler(req, res, next) {
 export async function listPersonsHandler(req, res, next) {
   try {
     const actor = actorFrom(req);
-    const result = await getAllPersonRecords(req.parsedQuery, actor);
+    const result = await getAllPersonRecords(
+      req.parsedQuery,
+      actor,
+      sensitiveAccess(req)
+    );
 
     // Return flat list response (data array + pagination)
     return sendList(
@@ -283,7 +408,11 @@ export async function listPersonsHandler(req, res, next) {
 export async function searchPersonsHandler(req, res, next) {
   try {
     const actor = actorFrom(req);
-    const result = await searchPersonRecords(req.parsedQuery, actor);
+    const result = await searchPersonRecords(
+      req.parsedQuery,
+      actor,
+      sensitiveAccess(req)
+    );
 
     // Return flat list response (data array + pagination)
     return sendList(
@@ -322,7 +451,12 @@ export async function exportPersonsHandler(req, res, next) {
   try {
     const { format = "csv" } = req.query;
     const actor = actorFrom(req);
-    const result = await exportPersonRecords(req.parsedQuery, format, actor);
+    const result = await exportPersonRecords(
+      req.parsedQuery,
+      format,
+      actor,
+      sensitiveAccess(req)
+    );
 
     // Create export response
     const exportResponse = createExportResponse(result.data, format, "persons");
@@ -386,7 +520,8 @@ export async function validatePersonHandler(req, res, next) {
       data: {
         isValid: consistencyCheck.isValid,
         errors: consistencyCheck.errors,
-        warnings: [],
+        warnings: consistencyCheck.warnings,
+        derived: consistencyCheck.derived,
       },
     });
   } catch (err) {
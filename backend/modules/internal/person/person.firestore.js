@@ -1,14 +1,36 @@
 import { db } from "../../../services/firestore.client.js";
+import { platformPath } from "../../../utilities/country-context.util.js";
+import { updateWithVersion } from "../../../utilities/concurrency.util.js";
+import {
+  moveToTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  listTrash,
+} from "../../../utilities/soft-delete.util.js";
+import {
+  encryptFields,
+  blindIndex,
+  keyScope,
+} from "../../../utilities/field-encryption.util.js";
+import {
+  recordPersonVersion,
+  applyPatch,
+  deletePersonVersions,
+} from "../person.history/person.history.firestore.js";
+import { deletePersonDocuments } from "../person.document/person.document.firestore.js";
+import { VERSION_ACTIONS } from "../person.history/person.history.validation.js";
+import { ConflictError } from "../../../utilities/error-handler.util.js";
 import crypto from "crypto";
 
-const serviceId = "southAfrica";
+// Optimistic concurrency version (exposed as the ETag)
+export const PERSON_VERSION_FIELD = "audit.recordVersion";
 
 /**
  * Get reference to people collection
  * @returns {FirebaseFirestore.CollectionReference}
  */
 function peopleCol() {
-  return db.collection(`touchAfrica/${serviceId}/people`);
+  return db.collection(platformPath("people"));
 }
 
 /**
@@ -16,7 +38,32 @@ function peopleCol() {
  * @returns {FirebaseFirestore.DocumentReference}
  */
 function countersDoc() {
-  return db.doc(`touchAfrica/${serviceId}/counters/person`);
+  return db.doc(platformPath("counters", "person"));
+}
+
+/**
+ * Throw DUPLICATE_PERSON when another person has the same SA ID number
+ * (looked up through the blind index, the number itself is encrypted)
+ * @param {string} index - Blind index of the ID number
+ * @param {string} idNumber - Plaintext ID number (for the error)
+ * @param {string} [exceptId] - Person being updated
+ */
+async function assertUniqueIdNumber(index, idNumber, exceptId = null) {
+  const duplicateQuery = await peopleCol()
+    .where("blindIndex.idNumber", "==", index)
+    .limit(2) // Get up to 2 to check if any other than current
+    .get();
+
+  const duplicates = duplicateQuery.docs.filter((doc) => doc.id !== exceptId);
+  if (duplicates.length > 0) {
+    const error = new Error(
+      `Person with SA ID number ${idNumber} already exists`
+    );
+    error.code = "DUPLICATE_PERSON";
+    error.status = 409;
+    error.details = { field: "idNumber", value: idNumber };
+    throw error;
+  }
 }
 
 /**
@@ -40,28 +87,23 @@ async function nextPersonSequence() {
 
 /**
  * Create a new person record
+ * Sensitive fields are encrypted before the write (see field-encryption.util)
  * @param {Object} model - Person data model
- * @returns {Promise<Object>} Created person with ID
+ * @param {string} [actor] - ID of user creating the person (for the history)
+ * @returns {Promise<Object>} Created person with ID (as stored)
  */
-export async function createPerson(model) {
+export async function createPerson(model, actor = null) {
   try {
-    // Check for duplicate SA ID number if provided
-    if (model.idNumber) {
-      const duplicateQuery = await peopleCol()
-        .where("idNumber", "==", model.idNumber)
-        .limit(1)
-        .get();
+    const { record, blindIndex: index } = encryptFields(model, keyScope());
 
-      if (!duplicateQuery.empty) {
-        const error = new Error(
-          `Person with SA ID number ${model.idNumber} already exists`
-        );
-        error.code = "DUPLICATE_PERSON";
-        error.status = 409;
-        error.details = { field: "idNumber", value: model.idNumber };
-        throw error;
-      }
+    // Check for duplicate SA ID number if provided
+    if (index.idNumber) {
+      await assertUniqueIdNumber(
+        index.idNumber,
+        model.demographics?.idNumber || model.idNumber
+      );
     }
+    model = { ...record, blindIndex: index };
 
     // Passport number removed
 
@@ -79,9 +121,20 @@ export async function createPerson(model) {
       recordVersion: 1,
     };
 
-    // Create document with generated ID
+    // Create document with generated ID, and its first version
     const docRef = peopleCol().doc(model.id);
-    await docRef.set(model, { merge: true });
+    await db.runTransaction(async (tx) => {
+      // Never merge into someone already stored under the same id
+      if ((await tx.get(docRef)).exists) {
+        throw new ConflictError(`Person ${model.id} already exists`);
+      }
+      await recordPersonVersion(tx, null, model.id, {
+        after: model,
+        action: VERSION_ACTIONS.CREATE,
+        actor,
+      });
+      tx.set(docRef, model);
+    });
 
     console.log(`✅ Person created: ${model.id}`);
     return model;
@@ -115,9 +168,16 @@ export async function getPersonById(id) {
  * Update person by ID
  * @param {string} id - Person ID
  * @param {Object} data - Updated person data
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
+ * @param {string} [actor] - ID of user updating the person (for the history)
  * @returns {Promise<Object>} Updated person data
  */
-export async function updatePersonById(id, data) {
+export async function updatePersonById(
+  id,
+  data,
+  expectedVersion = null,
+  actor = null
+) {
   try {
     const docRef = peopleCol().doc(id);
 
@@ -127,40 +187,46 @@ export async function updatePersonById(id, data) {
       throw new Error(`Person with ID ${id} not found`);
     }
 
-    // Check for duplicate SA ID number if being updated
-    if (data.idNumber) {
-      const duplicateQuery = await peopleCol()
-        .where("idNumber", "==", data.idNumber)
-        .limit(2) // Get up to 2 to check if any other than current
-        .get();
+    const { record, blindIndex: index } = encryptFields(data, keyScope());
 
-      const duplicates = duplicateQuery.docs.filter((doc) => doc.id !== id);
-      if (duplicates.length > 0) {
-        const error = new Error(
-          `Person with SA ID number ${data.idNumber} already exists`
-        );
-        error.code = "DUPLICATE_PERSON";
-        error.status = 409;
-        error.details = { field: "idNumber", value: data.idNumber };
-        throw error;
-      }
+    // Check for duplicate SA ID number if being updated
+    if (index.idNumber) {
+      await assertUniqueIdNumber(
+        index.idNumber,
+        data.demographics?.idNumber || data.idNumber,
+        id
+      );
     }
 
     // Passport number removed
 
-    // Update audit information
-    const existingData = doc.data();
-    const currentVersion = existingData.audit?.recordVersion || 1;
-
-    data.audit = {
-      ...existingData.audit,
-      ...data.audit,
-      updatedAt: new Date().toISOString(),
-      recordVersion: currentVersion + 1,
-    };
-
-    // Update document
-    await docRef.update(data);
+    // Version check (If-Match), audit stamp and write in one transaction
+    await updateWithVersion(
+      docRef,
+      (existingData) => ({
+        ...record,
+        ...(Object.keys(index).length > 0 && {
+          blindIndex: { ...existingData.blindIndex, ...index },
+        }),
+        audit: {
+          ...existingData.audit,
+          ...data.audit,
+          updatedAt: new Date().toISOString(),
+        },
+      }),
+      {
+        expected: expectedVersion,
+        versionField: PERSON_VERSION_FIELD,
+        resource: "Person",
+        onWrite: (tx, { before, patch }) =>
+          recordPersonVersion(tx, null, id, {
+            before,
+            after: applyPatch(before, patch),
+            action: VERSION_ACTIONS.UPDATE,
+            actor,
+          }),
+      }
+    );
 
     // Return updated document
     const updatedDoc = await docRef.get();
@@ -175,24 +241,18 @@ export async function updatePersonById(id, data) {
 }
 
 /**
- * Delete person by ID
+ * Delete person by ID (soft delete - moves the person to the trash)
  * @param {string} id - Person ID
+ * @param {string} actor - ID of user deleting the person
  * @returns {Promise<boolean>} True if deleted successfully
  */
-export async function deletePersonById(id) {
+export async function deletePersonById(id, actor) {
   try {
-    const docRef = peopleCol().doc(id);
+    await moveToTrash(platformPath("people"), id, actor, {
+      resource: `Person with ID ${id}`,
+    });
 
-    // Check if document exists
-    const doc = await docRef.get();
-    if (!doc.exists) {
-      throw new Error(`Person with ID ${id} not found`);
-    }
-
-    // Delete the document
-    await docRef.delete();
-
-    console.log(`✅ Person deleted: ${id}`);
+    console.log(`✅ Person moved to trash: ${id}`);
     return true;
   } catch (error) {
     console.error(`❌ Failed to delete person ${id}:`, error);
@@ -200,6 +260,41 @@ export async function deletePersonById(id) {
   }
 }
 
+/**
+ * List trashed persons, most recently deleted first
+ * @param {Object} options - { limit, cursor }
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export async function listTrashedPersons(options = {}) {
+  return listTrash(platformPath("people"), options);
+}
+
+/**
+ * Restore a trashed person
+ * @param {string} id - Person ID
+ * @param {string} actor - ID of user restoring the person
+ * @returns {Promise<Object>} Restored person
+ */
+export async function restorePersonById(id, actor) {
+  return restoreFromTrash(platformPath("people"), id, actor, {
+    resource: `Person with ID ${id}`,
+  });
+}
+
+/**
+ * Permanently delete a trashed person, with its version history
+ * @param {string} id - Person ID
+ * @returns {Promise<Object>} Purged person
+ */
+export async function purgePersonById(id) {
+  const purged = await purgeFromTrash(platformPath("people"), id, {
+    resource: `Person with ID ${id}`,
+  });
+  await deletePersonVersions(null, id);
+  await deletePersonDocuments(null, id);
+  return purged;
+}
+
 /**
  * Get all persons with pagination
  * @param {Object} options - Query options
@@ -269,10 +364,14 @@ export async function searchPersons(criteria) {
   try {
     const results = [];
 
-    // Search by SA ID number
+    // Search by SA ID number (blind index)
     if (criteria.idNumber) {
       const snapshot = await peopleCol()
-        .where("idNumber", "==", criteria.idNumber)
+        .where(
+          "blindIndex.idNumber",
+          "==",
+          blindIndex(keyScope(), "idNumber", criteria.idNumber)
+        )
         .get();
 
       snapshot.docs.forEach((doc) => {
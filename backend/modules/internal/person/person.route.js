@@ -21,7 +21,13 @@ import {
   getPersonStatsHandler,
   validatePersonHandler,
   patchPersonHandler,
+  listTrashedPersonsHandler,
+  restorePersonHandler,
+  purgePersonHandler,
+  getPersonConsentsHandler,
 } from "./person.controller.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+import { getPersonById } from "./person.firestore.js";
 
 /**
  * Person Router
@@ -30,11 +36,18 @@ import {
 
 const router = express.Router();
 
+const auditPerson = (action) =>
+  audit("person", {
+    action,
+    load: (id) => getPersonById(id),
+  });
+
 // POST /internal/persons - Create new person
 router.post(
   "/internal/persons",
   authenticateJWT,
   checkPermissions("admin.create"),
+  auditPerson(),
   createPersonHandler
 );
 
@@ -54,7 +67,6 @@ router.get(
       "contactInfo.mobile",
       "address.city",
       "address.province",
-      "idNumber",
       // flat sorts
       "firstName",
       "lastName",
@@ -70,7 +82,6 @@ router.get(
       "personalInfo.fullName",
       "contactInfo.email",
       "contactInfo.mobile",
-      "idNumber",
       "address.province",
       "address.city",
       // flat shapes used by current data
@@ -103,6 +114,7 @@ router.get(
       "address.province",
       "contactInfo.email",
       "idNumber",
+      "passportNumber",
     ],
   }),
   exportPersonsHandler
@@ -121,6 +133,7 @@ router.post(
   "/internal/persons/bulk",
   authenticateJWT,
   checkPermissions("admin.create", "admin.update", "admin.delete"),
+  auditPerson("bulk"),
   bulkPersonsHandler
 );
 
@@ -148,7 +161,6 @@ router.get(
       "contactInfo.mobile",
       "address.city",
       "address.province",
-      "idNumber",
       // flat sorts
       "firstName",
       "lastName",
@@ -162,6 +174,7 @@ router.get(
       "address.province",
       "contactInfo.email",
       "idNumber",
+      "passportNumber",
     ],
     searchFields: [
       // nested shapes
@@ -170,7 +183,6 @@ router.get(
       "personalInfo.fullName",
       "contactInfo.email",
       "contactInfo.mobile",
-      "idNumber",
       "address.province",
       "address.city",
       // flat shapes used by current data
@@ -187,6 +199,32 @@ router.get(
   listPersonsHandler
 );
 
+// GET /internal/persons/trash - List soft-deleted persons
+router.get(
+  "/internal/persons/trash",
+  authenticateJWT,
+  checkPermissions("admin.restore"),
+  listTrashedPersonsHandler
+);
+
+// DELETE /internal/persons/trash/:id - Permanently delete a trashed person
+router.delete(
+  "/internal/persons/trash/:id",
+  authenticateJWT,
+  checkPermissions("admin.purge"),
+  auditPerson("purge"),
+  purgePersonHandler
+);
+
+// POST /internal/persons/:id/restore - Restore a soft-deleted person
+router.post(
+  "/internal/persons/:id/restore",
+  authenticateJWT,
+  checkPermissions("admin.restore"),
+  auditPerson("restore"),
+  restorePersonHandler
+);
+
 // GET /internal/persons/:id - Get person by ID
 router.get(
   "/internal/persons/:id",
@@ -195,11 +233,20 @@ router.get(
   getPersonByIdHandler
 );
 
+// GET /internal/persons/:id/consents - POPIA consent and its history
+router.get(
+  "/internal/persons/:id/consents",
+  authenticateJWT,
+  checkPermissions("admin.read"),
+  getPersonConsentsHandler
+);
+
 // PUT /internal/persons/:id - Update person by ID
 router.put(
   "/internal/persons/:id",
   authenticateJWT,
   checkPermissions("admin.update"),
+  auditPerson(),
   updatePersonHandler
 );
 
@@ -208,14 +255,16 @@ router.patch(
   "/internal/persons/:id",
   authenticateJWT,
   checkPermissions("admin.update"),
+  auditPerson(),
   patchPersonHandler
 );
 
-// DELETE /internal/persons/:id - Delete person by ID
+// DELETE /internal/persons/:id - Delete person by ID (moves it to the trash)
 router.delete(
   "/internal/persons/:id",
   authenticateJWT,
   checkPermissions("admin.delete"),
+  auditPerson(),
   deletePersonHandler
 );
 
@@ -1,9 +1,8 @@
 import crypto from "crypto";
 import {
   newPersonId,
-  // validateSAIdCheckDigit, // Commented out due to simplified SA ID validation
-  extractDateFromSAId,
   sanitizePersonResponse,
+  POPIA_CONSENT_PURPOSE,
 } from "./person.validation.js";
 import {
   createPerson,
@@ -12,16 +11,68 @@ import {
   deletePersonById,
   getAllPersons,
   searchPersons,
+  listTrashedPersons,
+  restorePersonById,
+  purgePersonById,
 } from "./person.firestore.js";
 import { db } from "../../../services/firestore.client.js";
+import { platformPath } from "../../../utilities/country-context.util.js";
 import {
-  buildFirestoreQuery,
-  applySearch,
-  applySorting,
+  applyFieldSelection,
   formatPaginatedResponse,
   createExportResponse,
-  createPaginationMeta,
+  convertToCSV,
+  convertToJSON,
 } from "../../../utilities/query.util.js";
+import { executeQuery } from "../../../utilities/query-planner.util.js";
+import { listPersonVersions } from "../person.history/person.history.firestore.js";
+import { NotFoundError } from "../../../utilities/error-handler.util.js";
+import {
+  blindIndexQuery,
+  keyScope,
+  revealFields,
+} from "../../../utilities/field-encryption.util.js";
+import { isValidNationalId } from "../../../utilities/country-validation.util.js";
+import {
+  ADDRESS_ISSUE_SEVERITY,
+  checkAddress,
+  normalizePersonAddresses,
+} from "../../general/address/address.service.js";
+import {
+  applySAIdCheck,
+  checkSAIdNumber,
+  defaultSAIdValidationMode,
+} from "../../../utilities/sa-id.util.js";
+
+// Query planner configuration for person lists
+const PERSON_QUERY_FIELD_MAP = {
+  createdAt: "audit.createdAt",
+  updatedAt: "audit.updatedAt",
+};
+const PERSON_NATIVE_SORT_FIELDS = [
+  "audit.createdAt",
+  "audit.updatedAt",
+  "firstName",
+  "surname",
+];
+const PERSON_SEARCH_FIELDS = [
+  // nested
+  "personalInfo.firstName",
+  "personalInfo.lastName",
+  "personalInfo.fullName",
+  "contactInfo.email",
+  "contactInfo.mobile",
+  "address.province",
+  "address.city",
+  // flat
+  "firstName",
+  "surname",
+  "email",
+  "contact.email",
+  "contact.mobile",
+  "addresses.residential.city",
+  "addresses.residential.province",
+];
 
 /**
  * Enhanced validation for editable fields in person updates
@@ -239,6 +290,20 @@ function validateEditableFields(data) {
   return errors;
 }
 
+/**
+ * Re-check a stored person's SA ID number against updated demographics
+ * @param {Object} existing - The person as stored
+ * @param {Object} demographics - Demographics being updated, if any
+ * @param {string} mode - See SA_ID_VALIDATION_MODES
+ * @returns {Object|null} The new idNumberCheck, null when nothing to check
+ * @throws {ValidationError} Strict mode and the demographics conflict
+ */
+function checkUpdatedDemographics(existing, demographics, mode) {
+  const idNumber = revealFields(existing, true).demographics?.idNumber;
+  if (!demographics || !idNumber) return null;
+  return applySAIdCheck({ ...demographics, idNumber }, mode).idNumberCheck;
+}
+
 /**
  * Person Service Layer
  * Handles business logic and data transformation for person management
@@ -248,34 +313,25 @@ function validateEditableFields(data) {
  * Create a new person record
  * @param {Object} data - Person data
  * @param {string} actor - ID of user creating the person
+ * @param {Object} options - { reveal: decrypt sensitive fields }
  * @returns {Promise<Object>} Created person record
  */
-export async function createPersonRecord(data, actor) {
+export async function createPersonRecord(data, actor, { reveal = false } = {}) {
   try {
     // Generate server-side ID
     const personId = newPersonId();
 
-    // SA ID validation simplified to format-only - check digit validation removed
-    // if (data.demographics?.idNumber && !validateSAIdCheckDigit(data.demographics.idNumber)) {
-    //   throw new Error("Invalid SA ID number check digit");
-    // }
-
-    // Auto-extract date of birth from SA ID if not provided (now in demographics)
-    if (data.demographics?.idNumber && !data.demographics?.dateOfBirth) {
-      const extractedDate = extractDateFromSAId(data.demographics.idNumber);
-      if (extractedDate) {
-        if (!data.demographics) data.demographics = {};
-        data.demographics.dateOfBirth = extractedDate;
-        console.log(`📅 Auto-extracted DOB from SA ID: ${extractedDate}`);
-      }
-    }
+    // Check the SA ID number and fill in what it encodes (date of birth,
+    // gender, citizenship status)
+    const { demographics, idNumberCheck } = applySAIdCheck(
+      data.demographics,
+      defaultSAIdValidationMode()
+    );
+    if (data.demographics) data = { ...data, demographics };
 
-    // Validate date consistency (now in demographics)
-    if (data.demographics?.idNumber && data.demographics?.dateOfBirth) {
-      const extractedDate = extractDateFromSAId(data.demographics.idNumber);
-      if (extractedDate && extractedDate !== data.demographics.dateOfBirth) {
-        throw new Error("Date of birth does not match SA ID number");
-      }
+    // Normalise addresses against the gazetteer (see address.service)
+    if (data.addresses) {
+      data = { ...data, addresses: normalizePersonAddresses(data.addresses) };
     }
 
     // Set audit metadata
@@ -291,6 +347,7 @@ export async function createPersonRecord(data, actor) {
     const personModel = {
       id: personId,
       ...data,
+      ...(idNumberCheck && { idNumberCheck }),
       audit: {
         ...data.audit,
         ...auditData,
@@ -298,9 +355,9 @@ export async function createPersonRecord(data, actor) {
     };
 
     console.log(`🏗️ Creating person: ${personId} by ${actor}`);
-    const created = await createPerson(personModel);
+    const created = await createPerson(personModel, actor);
 
-    return sanitizePersonResponse(created);
+    return sanitizePersonResponse(created, { reveal });
   } catch (error) {
     console.error(`❌ Service error creating person:`, error);
     throw error;
@@ -311,9 +368,10 @@ export async function createPersonRecord(data, actor) {
  * Get person by ID with business logic
  * @param {string} id - Person ID
  * @param {string} actor - ID of user requesting the person
+ * @param {Object} options - { reveal: decrypt sensitive fields }
  * @returns {Promise<Object|null>} Person record or null if not found
  */
-export async function getPersonRecord(id, actor) {
+export async function getPersonRecord(id, actor, { reveal = false } = {}) {
   try {
     console.log(`🔍 Getting person: ${id} for ${actor}`);
     const person = await getPersonById(id);
@@ -322,7 +380,7 @@ export async function getPersonRecord(id, actor) {
       return null;
     }
 
-    return sanitizePersonResponse(person);
+    return sanitizePersonResponse(person, { reveal });
   } catch (error) {
     console.error(`❌ Service error getting person ${id}:`, error);
     throw error;
@@ -334,9 +392,17 @@ export async function getPersonRecord(id, actor) {
  * @param {string} id - Person ID
  * @param {Object} data - Updated person data
  * @param {string} actor - ID of user updating the person
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
+ * @param {Object} options - { reveal: decrypt sensitive fields }
  * @returns {Promise<Object>} Updated person record
  */
-export async function updatePersonRecord(id, data, actor) {
+export async function updatePersonRecord(
+  id,
+  data,
+  actor,
+  expectedVersion = null,
+  { reveal = false } = {}
+) {
   try {
     // Get existing person to check current data FIRST
     const existing = await getPersonById(id);
@@ -379,47 +445,18 @@ export async function updatePersonRecord(id, data, actor) {
       }
     }
 
-    // SA ID validation simplified to format-only - check digit validation removed
-    // if (
-    //   sanitizedData.idNumber &&
-    //   !validateSAIdCheckDigit(sanitizedData.idNumber)
-    // ) {
-    //   throw new Error("Invalid SA ID number check digit");
-    // }
-
-    // Validate date consistency if both ID and DOB are being updated
-    if (sanitizedData.idNumber && sanitizedData.dateOfBirth) {
-      const extractedDate = extractDateFromSAId(sanitizedData.idNumber);
-      if (extractedDate && extractedDate !== sanitizedData.dateOfBirth) {
-        throw new Error("Date of birth does not match SA ID number");
-      }
-    }
-
-    // Legacy validation logic (should not be needed after sanitization but kept for safety)
-    if (
-      sanitizedData.idNumber &&
-      existing.dateOfBirth &&
-      !sanitizedData.dateOfBirth
-    ) {
-      const extractedDate = extractDateFromSAId(sanitizedData.idNumber);
-      if (extractedDate && extractedDate !== existing.dateOfBirth) {
-        throw new Error(
-          "New SA ID number does not match existing date of birth"
-        );
-      }
-    }
+    // The SA ID number can't change, but the demographics it encodes can
+    const idNumberCheck = checkUpdatedDemographics(
+      existing,
+      sanitizedData.demographics,
+      defaultSAIdValidationMode()
+    );
+    if (idNumberCheck) sanitizedData.idNumberCheck = idNumberCheck;
 
-    // Auto-extract DOB if new SA ID provided and no DOB exists (should not happen after sanitization)
-    if (
-      sanitizedData.idNumber &&
-      !existing.dateOfBirth &&
-      !sanitizedData.dateOfBirth
-    ) {
-      const extractedDate = extractDateFromSAId(sanitizedData.idNumber);
-      if (extractedDate) {
-        sanitizedData.dateOfBirth = extractedDate;
-        console.log(`📅 Auto-extracted DOB from new SA ID: ${extractedDate}`);
-      }
+    if (sanitizedData.addresses) {
+      sanitizedData.addresses = normalizePersonAddresses(
+        sanitizedData.addresses
+      );
     }
 
     console.log(
@@ -435,9 +472,14 @@ export async function updatePersonRecord(id, data, actor) {
       throw error;
     }
 
-    const updated = await updatePersonById(id, sanitizedData);
+    const updated = await updatePersonById(
+      id,
+      sanitizedData,
+      expectedVersion,
+      actor
+    );
 
-    return sanitizePersonResponse(updated);
+    return sanitizePersonResponse(updated, { reveal });
   } catch (error) {
     console.error(`❌ Service error updating person ${id}:`, error);
     throw error;
@@ -445,7 +487,7 @@ export async function updatePersonRecord(id, data, actor) {
 }
 
 /**
- * Delete person record
+ * Delete person record (soft delete - the person can be restored from the trash)
  * @param {string} id - Person ID
  * @param {string} actor - ID of user deleting the person
  * @returns {Promise<boolean>} True if deleted successfully
@@ -453,112 +495,166 @@ export async function updatePersonRecord(id, data, actor) {
 export async function deletePersonRecord(id, actor) {
   try {
     console.log(`🗑️ Deleting person: ${id} by ${actor}`);
-    return await deletePersonById(id);
+    return await deletePersonById(id, actor);
   } catch (error) {
     console.error(`❌ Service error deleting person ${id}:`, error);
     throw error;
   }
 }
 
+/**
+ * List trashed person records
+ * @param {Object} queryParams - { limit, cursor }
+ * @param {Object} options - { reveal: decrypt sensitive fields }
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export async function listTrashedPersonRecords(
+  queryParams = {},
+  { reveal = false } = {}
+) {
+  const { items, nextCursor } = await listTrashedPersons({
+    limit: queryParams.limit,
+    cursor: queryParams.cursor,
+  });
+  return {
+    items: items.map((person) => sanitizePersonResponse(person, { reveal })),
+    nextCursor,
+  };
+}
+
+/**
+ * Restore a person record from the trash
+ * @param {string} id - Person ID
+ * @param {string} actor - ID of user restoring the person
+ * @param {Object} options - { reveal: decrypt sensitive fields }
+ * @returns {Promise<Object>} Restored person record
+ */
+export async function restorePersonRecord(id, actor, { reveal = false } = {}) {
+  console.log(`♻️ Restoring person: ${id} by ${actor}`);
+  return sanitizePersonResponse(await restorePersonById(id, actor), {
+    reveal,
+  });
+}
+
+/**
+ * Permanently delete a trashed person record
+ * @param {string} id - Person ID
+ * @param {string} actor - ID of user purging the person
+ * @returns {Promise<boolean>} True if purged
+ */
+export async function purgePersonRecord(id, actor) {
+  console.log(`🔥 Purging person: ${id} by ${actor}`);
+  await purgePersonById(id);
+  return true;
+}
+
+/**
+ * A person's POPIA consent: the current state and its history, newest
+ * first, in the shape of a tenant person's consent events
+ * The platform records consent on the person (popia.consent and
+ * consentTimestamp), so each version that gave or withdrew it is an event.
+ * @param {string} id - Person ID
+ * @returns {Promise<{current: Object, history: Array}>}
+ */
+export async function getPersonConsentRecord(id) {
+  const person = await getPersonById(id);
+  if (!person) throw new NotFoundError(`Person with ID ${id}`);
+
+  const versions = (await listPersonVersions(null, id)).reverse();
+  // People stored before history was kept have no versions yet
+  const snapshots = versions.length
+    ? versions
+    : [{ id: null, record: person, created: { by: null, when: null } }];
+
+  const history = [];
+  let given = false;
+  let givenAt = null;
+  for (const { id: versionId, record, created } of snapshots) {
+    const popia = record?.popia || {};
+    const consent = popia.consent === true;
+    const at = popia.consentTimestamp || null;
+    if (consent === given && (!consent || at === givenAt)) continue;
+    given = consent;
+    givenAt = at;
+    history.push({
+      id: versionId,
+      personId: id,
+      purposeId: POPIA_CONSENT_PURPOSE,
+      action: consent ? "given" : "withdrawn",
+      at: (consent && at) || created.when,
+      channel: null,
+      evidence: null,
+      processingBasis: popia.processingBasis || null,
+      recordedBy: created.by,
+      recordedAt: created.when,
+    });
+  }
+  history.reverse();
+
+  const latest = history[0];
+  return {
+    current: latest
+      ? {
+          [POPIA_CONSENT_PURPOSE]: {
+            status: latest.action,
+            at: latest.at,
+            eventId: latest.id,
+          },
+        }
+      : {},
+    history,
+  };
+}
+
 /**
  * Get all person records with comprehensive query support
  * @param {Object} queryParams - Query parameters from request
  * @param {string} actor - ID of user requesting the list
+ * @param {Object} options - { reveal: decrypt sensitive fields }
  * @returns {Promise<Object>} Object with persons array and pagination info
  */
-export async function getAllPersonRecords(queryParams = {}, actor) {
+export async function getAllPersonRecords(
+  queryParams = {},
+  actor,
+  { reveal = false } = {}
+) {
   try {
     console.log(`📋 Getting all persons for ${actor} with query:`, queryParams);
-    console.log(`🔍 Sort parameters:`, {
-      sort: queryParams.sort,
-      sortBy: queryParams.sortBy,
-      order: queryParams.order,
-    });
 
-    // Build Firestore query against correct Firestore path
-    const firestoreQuery = buildFirestoreQuery(
-      "touchAfrica/southAfrica/people",
-      queryParams
+    // ID and passport numbers are encrypted: look them up by blind index
+    const plannedQuery = blindIndexQuery(
+      queryParams,
+      keyScope(),
+      isValidNationalId
     );
 
-    // Execute query
-    const snapshot = await firestoreQuery.get();
-    let persons = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-
-    // Apply search if specified
-    if (queryParams.search || queryParams.q) {
-      const searchObj = queryParams.search || {
-        query: String(queryParams.q || ""),
-        fields: [
-          // nested
-          "personalInfo.firstName",
-          "personalInfo.lastName",
-          "personalInfo.fullName",
-          "contactInfo.email",
-          "contactInfo.mobile",
-          "address.province",
-          "address.city",
-          // flat
-          "firstName",
-          "surname",
-          "email",
-          "contact.email",
-          "contact.mobile",
-          "addresses.residential.city",
-          "addresses.residential.province",
-          // identifiers
-          "idNumber",
-        ],
-      };
-      persons = applySearch(persons, searchObj);
-    }
+    // Plan the query: equality/range filters, sort and pagination are pushed
+    // down to Firestore; text search and unsupported filters run in memory.
+    const result = await executeQuery(
+      db.collection(platformPath("people")),
+      plannedQuery,
+      {
+        fieldMap: PERSON_QUERY_FIELD_MAP,
+        nativeSortFields: PERSON_NATIVE_SORT_FIELDS,
+        searchFields: PERSON_SEARCH_FIELDS,
+      }
+    );
+    console.log(
+      `📊 Query plan: ${result.plan.mode}${
+        result.plan.reasons.length ? ` (${result.plan.reasons.join("; ")})` : ""
+      }`
+    );
+
+    let persons = result.data;
 
     // Apply field selection when provided (parsed as { include, exclude })
     if (queryParams.fields) {
       persons = applyFieldSelection(persons, queryParams.fields);
     }
 
-    // Sanitize all person records
-    let sanitizedPersons = persons.map((person) =>
-      sanitizePersonResponse(person)
-    );
-
-    // Apply sorting (supports nested fields). parseQueryParams provides `sort`.
-    if (queryParams.sort) {
-      console.log(
-        `🔄 Applying sorting with parsed sort object:`,
-        queryParams.sort
-      );
-      sanitizedPersons = applySorting(sanitizedPersons, queryParams.sort);
-    } else if (queryParams.sortBy) {
-      console.log(
-        `🔄 Applying client-side sorting with sortBy:`,
-        queryParams.sortBy,
-        "order:",
-        queryParams.order
-      );
-      // Fallback: create sort object from sortBy/order
-      const sortObj = {
-        field: queryParams.sortBy,
-        order: queryParams.order || "asc",
-      };
-      sanitizedPersons = applySorting(sanitizedPersons, sortObj);
-    }
-
-    // Create pagination metadata using parsed query (expects { pagination: { page, limit } })
-    const pagination = createPaginationMeta(
-      sanitizedPersons.length,
-      queryParams
-    );
-
-    // Apply pagination to results
-    const startIndex = (pagination.page - 1) * pagination.limit;
-    const endIndex = startIndex + pagination.limit;
-    const paginatedPersons = sanitizedPersons.slice(startIndex, endIndex);
-
     return {
-      data: paginatedPersons,
-      pagination,
+      data: persons.map((person) => sanitizePersonResponse(person, { reveal })),
+      pagination: result.pagination,
     };
   } catch (error) {
     console.error(`❌ Service error getting all persons:`, error);
@@ -570,42 +666,30 @@ export async function getAllPersonRecords(queryParams = {}, actor) {
  * Search for persons by various criteria with comprehensive query support
  * @param {Object} queryParams - Query parameters including search criteria
  * @param {string} actor - ID of user performing the search
+ * @param {Object} options - { reveal: decrypt sensitive fields }
  * @returns {Promise<Object>} Object with search results and pagination
  */
-export async function searchPersonRecords(queryParams = {}, actor) {
+export async function searchPersonRecords(
+  queryParams = {},
+  actor,
+  options = {}
+) {
   try {
     console.log(`🔍 Searching persons for ${actor} with params:`, queryParams);
 
     // Ensure a proper search object exists for downstream processing
     const q = queryParams.q || queryParams.search?.query || "";
-    const fields = queryParams.search?.fields ||
-      queryParams.searchFields || [
-        // nested
-        "personalInfo.firstName",
-        "personalInfo.lastName",
-        "personalInfo.fullName",
-        "contactInfo.email",
-        "contactInfo.mobile",
-        "address.province",
-        "address.city",
-        // flat
-        "firstName",
-        "surname",
-        "email",
-        "contact.email",
-        "contact.mobile",
-        "addresses.residential.city",
-        "addresses.residential.province",
-        // identifiers
-        "idNumber",
-      ];
+    const fields =
+      queryParams.search?.fields ||
+      queryParams.searchFields ||
+      PERSON_SEARCH_FIELDS;
 
     const nextParams = {
       ...queryParams,
       search: q ? { query: q, fields } : null,
     };
 
-    return await getAllPersonRecords(nextParams, actor);
+    return await getAllPersonRecords(nextParams, actor, options);
   } catch (error) {
     console.error(`❌ Service error searching persons:`, error);
     throw error;
@@ -693,12 +777,14 @@ export async function bulkPersonRecords(operation, data, filters, actor) {
  * @param {Object} queryParams - Query parameters for export
  * @param {string} format - Export format (csv, json)
  * @param {string} actor - ID of user requesting export
+ * @param {Object} options - { reveal: decrypt sensitive fields }
  * @returns {Promise<Object>} Export data and metadata
  */
 export async function exportPersonRecords(
   queryParams = {},
   format = "csv",
-  actor
+  actor,
+  options = {}
 ) {
   try {
     console.log(`📤 Exporting persons in ${format} format for ${actor}`);
@@ -710,7 +796,7 @@ export async function exportPersonRecords(
       page: 1,
     };
 
-    const result = await getAllPersonRecords(exportParams, actor);
+    const result = await getAllPersonRecords(exportParams, actor, options);
 
     // Convert based on format
     let content;
@@ -749,30 +835,35 @@ export async function exportPersonRecords(
 /**
  * Validate person data consistency
  * @param {Object} data - Person data to validate
- * @returns {Object} Validation result with errors if any
+ * @param {Object} options - { mode: SA ID validation mode }
+ * @returns {Object} Validation result with errors, warnings (SA ID problems
+ *   in warn mode) and the values derived from the SA ID number
  */
-export function validatePersonDataConsistency(data) {
+export function validatePersonDataConsistency(
+  data,
+  { mode = defaultSAIdValidationMode() } = {}
+) {
   const errors = [];
+  const warnings = [];
+  let derived = null;
+  const demographics = data.demographics || data;
 
   try {
-    // Check SA ID consistency
-    if (data.idNumber) {
-      // SA ID validation simplified to format-only - check digit validation removed
-      // if (!validateSAIdCheckDigit(data.idNumber)) {
-      //   errors.push("SA ID number check digit is invalid");
-      // }
-
-      if (data.dateOfBirth) {
-        const extractedDate = extractDateFromSAId(data.idNumber);
-        if (extractedDate && extractedDate !== data.dateOfBirth) {
-          errors.push("Date of birth does not match SA ID number");
-        }
-      }
+    // Check SA ID: check digit, date of birth, gender and citizenship
+    if (demographics.idNumber) {
+      const check = checkSAIdNumber(
+        demographics.idNumber,
+        demographics,
+        mode
+      );
+      errors.push(...check.errors);
+      warnings.push(...check.warnings);
+      derived = check.derived;
     }
 
     // Check age consistency
-    if (data.dateOfBirth) {
-      const dob = new Date(data.dateOfBirth);
+    if (demographics.dateOfBirth) {
+      const dob = new Date(demographics.dateOfBirth);
       const today = new Date();
       const age = Math.floor((today - dob) / (365.25 * 24 * 60 * 60 * 1000));
 
@@ -785,16 +876,32 @@ export function validatePersonDataConsistency(data) {
       }
     }
 
+    // Postal code / province consistency and suggested corrections
+    for (const [kind, address] of Object.entries(data.addresses || {})) {
+      for (const found of checkAddress(address).issues) {
+        const message = `${kind} address: ${found.message}`;
+        if (found.severity === ADDRESS_ISSUE_SEVERITY.ERROR) {
+          errors.push(message);
+        } else {
+          warnings.push(message);
+        }
+      }
+    }
+
     // Nationality-based checks removed
 
     return {
       isValid: errors.length === 0,
       errors,
+      warnings,
+      derived,
     };
   } catch (error) {
     return {
       isValid: false,
       errors: [`Validation error: ${error.message}`],
+      warnings,
+      derived,
     };
   }
 }
@@ -809,7 +916,7 @@ export async function getPersonStatistics(queryParams = {}, actor) {
     console.log(`📊 Getting person statistics for ${actor}`);
 
     // For stats, we don't need sorting - just get all records
-    const firestoreQuery = db.collection("touchAfrica/southAfrica/people");
+    const firestoreQuery = db.collection(platformPath("people"));
     const snapshot = await firestoreQuery.get();
     const persons = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
 
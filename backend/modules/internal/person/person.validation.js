@@ -1,4 +1,7 @@
+import crypto from "crypto";
 import { z } from "zod";
+import { revealFields } from "../../../utilities/field-encryption.util.js";
+import { birthDateFrom } from "../../../utilities/sa-id.util.js";
 import {
   EMAIL_REGEX,
   SA_PHONE_REGEX,
@@ -292,51 +295,19 @@ export const PersonUpdateSchema = BasePersonSchema.extend({
   contact: ContactUpdateSchema, // Use contact schema with email preservation
 }).partial();
 
+// The platform's people consent to one purpose: processing under POPIA
+export const POPIA_CONSENT_PURPOSE = "popia_processing";
+
 /**
  * Generate new person ID
- * @returns {string} New person ID in format PERSON{timestamp}
+ * @returns {string} New person ID in format PERSON{timestamp}{random}
  */
 export function newPersonId() {
-  return `PERSON${Date.now()}`;
+  return `PERSON${Date.now()}${crypto.randomBytes(8).toString("hex")}`;
 }
 
 /**
- * SA ID Validation simplified to format-only (13 digits)
- * Previous implementation with Luhn algorithm check digit validation
- * has been commented out per user requirements for simplified validation.
- *
- * OLD IMPLEMENTATION (Commented out):
- * Validate SA ID number check digit (Luhn algorithm)
- * @param {string} idNumber - 13 digit SA ID number
- * @returns {boolean} True if check digit is valid
- */
-/*
-export function validateSAIdCheckDigit(idNumber) {
-  if (!idNumber || idNumber.length !== 13) {
-    return false;
-  }
-
-  const digits = idNumber.split("").map((d) => parseInt(d));
-  const checkDigit = digits[12];
-
-  // Luhn algorithm for SA ID numbers
-  let sum = 0;
-  for (let i = 0; i < 12; i++) {
-    if (i % 2 === 0) {
-      sum += digits[i];
-    } else {
-      const doubled = digits[i] * 2;
-      sum += doubled > 9 ? doubled - 9 : doubled;
-    }
-  }
-
-  const calculatedCheckDigit = (10 - (sum % 10)) % 10;
-  return calculatedCheckDigit === checkDigit;
-}
-*/
-
-/**
- * Extract date of birth from SA ID number
+ * Extract date of birth from SA ID number (see sa-id.util for the century)
  * @param {string} idNumber - 13 digit SA ID number
  * @returns {string|null} Date in YYYY-MM-DD format or null if invalid
  */
@@ -344,43 +315,22 @@ export function extractDateFromSAId(idNumber) {
   if (!idNumber || idNumber.length !== 13) {
     return null;
   }
-
-  const year = parseInt(idNumber.substring(0, 2));
-  const month = parseInt(idNumber.substring(2, 4));
-  const day = parseInt(idNumber.substring(4, 6));
-
-  // Determine century - use a more reasonable cutoff
-  // Years 00-30 are 2000s, years 31-99 are 1900s
-  const fullYear = year <= 30 ? 2000 + year : 1900 + year;
-
-  // Validate date using UTC to avoid timezone issues
-  const date = new Date(Date.UTC(fullYear, month - 1, day));
-  if (
-    date.getUTCFullYear() !== fullYear ||
-    date.getUTCMonth() !== month - 1 ||
-    date.getUTCDate() !== day
-  ) {
-    return null;
-  }
-
-  return date.toISOString().split("T")[0];
+  return birthDateFrom(idNumber);
 }
 
 /**
- * Sanitize person data for response (remove sensitive fields)
- * @param {Object} person - Person object
+ * Sanitize person data for response
+ * Sensitive fields (ID, passport, tax, UIF and medical aid numbers, income)
+ * are decrypted only for callers holding person.sensitive.read and masked
+ * for everyone else.
+ * @param {Object} person - Person object (as stored)
+ * @param {Object} options - { reveal: caller holds person.sensitive.read }
  * @returns {Object} Sanitized person object
  */
-export function sanitizePersonResponse(person) {
+export function sanitizePersonResponse(person, { reveal = false } = {}) {
   if (!person) return null;
 
-  // Remove sensitive fields but preserve ID numbers without masking
-  const sanitized = { ...person };
-
-  // ID numbers are now displayed without masking as requested
-  // Keep idNumber as-is for display purposes
-
-  // passportNumber removed
+  const sanitized = revealFields(person, reveal);
 
   // Remove system internal fields that shouldn't be exposed
   delete sanitized.audit?.sourceSystem;
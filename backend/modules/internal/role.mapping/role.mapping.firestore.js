@@ -1,6 +1,7 @@
 import { db } from "../../../services/firestore.client.js";
+import { platformPath } from "../../../utilities/country-context.util.js";
 
-const COLLECTION_PATH = "touchAfrica/southAfrica/roleMappings";
+const COLLECTION_PATH = platformPath("roleMappings");
 
 /**
  * Create a new role mapping in Firestore
@@ -15,9 +15,20 @@ import {
   updateRoleMappingById,
   patchRoleMappingById,
 } from "./role.mapping.controller.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+import {
+  getRoleMappingById as loadRoleMapping,
+} from "./role.mapping.firestore.js";
 
 const router = express.Router();
 
+const auditRoleMapping = (action) =>
+  audit("roleMapping", {
+    action,
+    idField: "mappingId",
+    load: (id) => loadRoleMapping(id),
+  });
+
 // Get current role mappings
 router.get(
   "/internal/role-mappings",
@@ -39,6 +50,7 @@ router.post(
   "/internal/role-mappings/bulk",
   authenticateJWT,
   checkPermissions("role.update", "system.manage"),
+  auditRoleMapping("bulk"),
   bulkRoleMappings
 );
 
@@ -63,6 +75,7 @@ router.put(
   "/internal/role-mappings",
   authenticateJWT,
   checkPermissions("role.update", "system.manage"),
+  auditRoleMapping("update"),
   updateRoleMappings
 );
 
@@ -71,6 +84,7 @@ router.post(
   "/internal/role-mappings/reload",
   authenticateJWT,
   checkPermissions("role.update", "system.manage"),
+  auditRoleMapping("reload"),
   reloadRoleMappings
 );
 
@@ -79,6 +93,7 @@ router.post(
   "/internal/role-mapping",
   authenticateJWT,
   checkPermissions("role.create"),
+  auditRoleMapping(),
   addRoleMapping
 );
 
@@ -95,6 +110,7 @@ router.put(
   "/internal/role-mapping/:id",
   authenticateJWT,
   checkPermissions("role.update"),
+  auditRoleMapping(),
   updateRoleMappingById
 );
 
@@ -103,6 +119,7 @@ router.patch(
   "/internal/role-mapping/:id",
   authenticateJWT,
   checkPermissions("role.update"),
+  auditRoleMapping(),
   patchRoleMappingById
 );
 
@@ -111,6 +128,7 @@ router.delete(
   "/internal/role-mapping/:roleName",
   authenticateJWT,
   checkPermissions("role.delete"),
+  audit("roleMapping", { idParam: "roleName" }),
   removeRoleMapping
 );
 
@@ -8,6 +8,7 @@ import {
 } from "./role.mapping.firestore.js";
 import { newRoleMappingId } from "./role.mapping.validation.js";
 import roleMappingConfig from "../../../config/role-mappings.config.js";
+import { invalidateRolePermissions } from "../../../utilities/permissions.util.js";
 import {
   paginateArray,
   sortArray,
@@ -43,7 +44,9 @@ export const createRoleMappingService = async (roleMappingData, actor) => {
   );
   await roleMappingConfig.saveToFile();
 
-  return await createRoleMapping(roleMappingWithMetadata);
+  const created = await createRoleMapping(roleMappingWithMetadata);
+  invalidateRolePermissions();
+  return created;
 };
 
 /**
@@ -86,6 +89,7 @@ export const updateRoleMappingByIdService = async (
       await roleMappingConfig.saveToFile();
     }
   }
+  invalidateRolePermissions();
 
   return result;
 };
@@ -104,6 +108,7 @@ export const deleteRoleMappingByIdService = async (mappingId) => {
     roleMappingConfig.removeMapping(mapping.roleName);
     await roleMappingConfig.saveToFile();
   }
+  invalidateRolePermissions();
 
   return result;
 };
@@ -35,6 +35,10 @@ import {
   formatPaginatedResponse,
   createExportResponse,
 } from "../../../utilities/query.util.js";
+import {
+  expectedVersionFrom,
+  setETag,
+} from "../../../utilities/concurrency.util.js";
 
 // Define authorization roles
 // Permissions defined in route handlers directly
@@ -97,6 +101,7 @@ export async function getInternalRoleByIdHandler(req, res, next) {
     }
 
     const role = await getInternalRoleByIdService(id);
+    setETag(res, role);
     const normalized = normalizeRolePermissions(role);
     return sendSuccess(res, normalized, "Internal role retrieved successfully");
   } catch (error) {
@@ -128,8 +133,10 @@ export async function updateInternalRoleByIdHandler(req, res, next) {
     const updatedRole = await updateInternalRoleByIdService(
       id,
       validatedData,
-      actor
+      actor,
+      expectedVersionFrom(req)
     );
+    setETag(res, updatedRole);
     const normalized = normalizeRolePermissions(updatedRole);
     return sendSuccess(res, normalized, "Internal role updated successfully");
   } catch (error) {
@@ -278,7 +285,13 @@ export async function patchInternalRoleHandler(req, res, next) {
     // Validate partial update data
     const parsed = InternalRoleUpdateSchema.partial().parse(req.body);
 
-    const updatedRole = await updateInternalRoleByIdService(id, parsed);
+    const updatedRole = await updateInternalRoleByIdService(
+      id,
+      parsed,
+      req.admin?.id || req.user?.id || "system",
+      expectedVersionFrom(req)
+    );
+    setETag(res, updatedRole);
     const normalized = normalizeRolePermissions(updatedRole);
     return sendSuccess(
       res,
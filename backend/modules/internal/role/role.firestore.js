@@ -4,8 +4,11 @@
  */
 
 import { db } from "../../../services/firestore.client.js";
+import { platformPath } from "../../../utilities/country-context.util.js";
+import { updateWithVersion } from "../../../utilities/concurrency.util.js";
+import { APIError } from "../../../utilities/error-handler.util.js";
 
-export const COLLECTION_PATH = "touchAfrica/southAfrica/roles";
+export const COLLECTION_PATH = platformPath("roles");
 
 /**
  * Create a new internal role in Firestore
@@ -54,26 +57,29 @@ export async function getInternalRoleById(roleId) {
  * Update an internal role by ID in Firestore
  * @param {string} roleId - Internal role ID to update
  * @param {Object} updateData - Data to update
+ * @param {null|"*"|number[]} expectedVersion - If-Match versions (null = unconditional)
  * @returns {Promise<Object>} Updated internal role data
  */
-export async function updateInternalRoleById(roleId, updateData) {
+export async function updateInternalRoleById(
+  roleId,
+  updateData,
+  expectedVersion = null
+) {
   try {
     const docRef = db.doc(`${COLLECTION_PATH}/${roleId}`);
 
-    // Check if role exists first
-    const doc = await docRef.get();
-    if (!doc.exists) {
-      throw new Error("Internal role not found");
-    }
-
-    // Update with merge to preserve existing data
-    await docRef.update(updateData);
+    // Version check + bump happen in one transaction
+    await updateWithVersion(docRef, updateData, {
+      expected: expectedVersion,
+      resource: "Internal role",
+    });
 
     // Return updated role data
     const updatedDoc = await docRef.get();
     return { roleId: updatedDoc.id, ...updatedDoc.data() };
   } catch (error) {
     console.error("Error updating internal role:", error);
+    if (error instanceof APIError) throw error;
     throw new Error(`Failed to update internal role: ${error.message}`);
   }
 }
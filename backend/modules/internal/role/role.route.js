@@ -23,9 +23,18 @@ import {
   exportInternalRolesHandler,
   getInternalRolesStatsHandler,
 } from "./role.controller.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+import { getInternalRoleById } from "./role.firestore.js";
 
 const router = express.Router();
 
+const auditRole = (action) =>
+  audit("role", {
+    action,
+    idField: "roleId",
+    load: (id) => getInternalRoleById(id),
+  });
+
 // Read operations - require authentication and role.read permission
 router.get(
   "/internal/roles",
@@ -76,6 +85,7 @@ router.post(
   "/internal/roles",
   authenticateJWT,
   checkPermissions("role.create", "all.access"),
+  auditRole(),
   createInternalRoleHandler
 );
 
@@ -84,6 +94,7 @@ router.post(
   authenticateJWT,
   checkPermissions("role.create", "all.access"),
   validateBulkOperation,
+  auditRole("bulk"),
   bulkInternalRolesHandler
 );
 
@@ -92,6 +103,7 @@ router.put(
   "/internal/roles/:id",
   authenticateJWT,
   checkPermissions("role.update", "all.access"),
+  auditRole(),
   updateInternalRoleByIdHandler
 );
 
@@ -100,6 +112,7 @@ router.patch(
   "/internal/roles/:id",
   authenticateJWT,
   checkPermissions("role.update", "all.access"),
+  auditRole(),
   patchInternalRoleHandler
 );
 
@@ -108,6 +121,7 @@ router.delete(
   "/internal/roles/:id",
   authenticateJWT,
   checkPermissions("role.delete", "all.access"),
+  auditRole(),
   deleteInternalRoleByIdHandler
 );
 
@@ -23,6 +23,10 @@ import {
   convertToCSV,
   convertToJSON,
 } from "../../../utilities/query.util.js";
+import {
+  getCachedRolePermissions,
+  invalidateRolePermissions,
+} from "../../../utilities/permissions.util.js";
 
 /**
  * Create internal role service
@@ -43,7 +47,9 @@ export async function createInternalRoleService(roleData, actor) {
     roleId,
   };
 
-  return await createInternalRole(roleWithDefaults, roleId);
+  const created = await createInternalRole(roleWithDefaults, roleId);
+  invalidateRolePermissions();
+  return created;
 }
 
 /**
@@ -60,7 +66,12 @@ export async function getInternalRoleByIdService(roleId) {
 /**
  * Update internal role service
  */
-export async function updateInternalRoleByIdService(roleId, updateData, actor) {
+export async function updateInternalRoleByIdService(
+  roleId,
+  updateData,
+  actor,
+  expectedVersion = null
+) {
   const existingRole = await getInternalRoleById(roleId);
   if (!existingRole) {
     throw new Error(`Internal role with ID ${roleId} not found`);
@@ -79,7 +90,15 @@ export async function updateInternalRoleByIdService(roleId, updateData, actor) {
     isSystem: existingRole.isSystem === true, // always preserve system flag
   };
 
-  return await updateInternalRoleById(roleId, updateWithMetadata);
+  const updated = await updateInternalRoleById(
+    roleId,
+    updateWithMetadata,
+    expectedVersion
+  );
+  // Tokens carry role codes, so the new permissions apply from the next
+  // request
+  invalidateRolePermissions();
+  return updated;
 }
 
 /**
@@ -95,7 +114,9 @@ export async function deleteInternalRoleByIdService(roleId) {
     throw new Error("System roles cannot be deleted");
   }
 
-  return await deleteInternalRoleById(roleId);
+  const deleted = await deleteInternalRoleById(roleId);
+  invalidateRolePermissions();
+  return deleted;
 }
 
 /**
@@ -414,9 +435,7 @@ export async function listInternalRolesServiceOriginal() {
  * Get permissions for a role
  */
 export async function getRolePermissionsService(roleCode) {
-  const roles = await getAllInternalRoles();
-  const role = roles.find((r) => r.roleCode === roleCode);
-  return role ? role.permissions : [];
+  return getCachedRolePermissions(roleCode);
 }
 
 /**
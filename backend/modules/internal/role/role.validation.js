@@ -35,6 +35,8 @@ export const InternalRoleSchema = z.object({
   isSystem: z.boolean().default(false),
   isActive: z.boolean().default(true),
   priority: z.number().int().min(0).max(100).default(50),
+  // Admins holding the role must use two-factor authentication
+  twoFactorRequired: z.boolean().default(false),
 });
 
 // Update schema (partial)
@@ -1,34 +1,29 @@
 import { db } from "../../../services/firestore.client.js";
-
-const serviceId = "southAfrica";
+import { servicePath } from "../../../utilities/country-context.util.js";
 
 export async function createServiceRequest(model) {
-  const ref = db
-    .collection(`touchAfrica/${serviceId}/serviceRequests`)
-    .doc(model.id);
+  const ref = db.collection(servicePath("serviceRequests")).doc(model.id);
   await ref.set(model, { merge: true });
   return model;
 }
 
 export async function getServiceRequestById(id) {
-  const ref = db.collection(`touchAfrica/${serviceId}/serviceRequests`).doc(id);
+  const ref = db.collection(servicePath("serviceRequests")).doc(id);
   const snap = await ref.get();
   return snap.exists ? snap.data() : null;
 }
 
 export async function updateServiceRequestById(id, data) {
-  const ref = db.collection(`touchAfrica/${serviceId}/serviceRequests`).doc(id);
+  const ref = db.collection(servicePath("serviceRequests")).doc(id);
   await ref.set(data, { merge: true });
 }
 
 export async function deleteServiceRequestById(id) {
-  const ref = db.collection(`touchAfrica/${serviceId}/serviceRequests`).doc(id);
+  const ref = db.collection(servicePath("serviceRequests")).doc(id);
   await ref.delete();
 }
 
 export async function getAllServiceRequests() {
-  const col = await db
-    .collection(`touchAfrica/${serviceId}/serviceRequests`)
-    .get();
+  const col = await db.collection(servicePath("serviceRequests")).get();
   return col.docs.map((d) => d.data());
 }
@@ -17,14 +17,23 @@ import {
   exportServiceRequestsHandler,
   getServiceRequestsStatsHandler,
 } from "./service.request.controller.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+import { getServiceRequestById } from "./service.request.firestore.js";
 
 const router = express.Router();
 
+const auditServiceRequest = (action) =>
+  audit("serviceRequest", {
+    action,
+    load: (id) => getServiceRequestById(id),
+  });
+
 // Write: everyone (rate limited)
 const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 150 });
 router.post(
   "/internal/service-requests",
   writeLimiter,
+  auditServiceRequest(),
   createServiceRequestHandler
 );
 
@@ -39,18 +48,21 @@ router.put(
   "/internal/service-requests/:id",
   authenticateJWT,
   checkPermissions("service.update"),
+  auditServiceRequest(),
   updateServiceRequestByIdHandler
 );
 router.delete(
   "/internal/service-requests/:id",
   authenticateJWT,
   checkPermissions("service.delete"),
+  auditServiceRequest(),
   deleteServiceRequestByIdHandler
 );
 router.patch(
   "/internal/service-requests/:id",
   authenticateJWT,
   checkPermissions("service.update"),
+  auditServiceRequest(),
   patchServiceRequestByIdHandler
 );
 router.get(
@@ -73,6 +85,7 @@ router.post(
   "/internal/service-requests/bulk",
   authenticateJWT,
   checkPermissions("service.update"),
+  auditServiceRequest("bulk"),
   bulkServiceRequestsHandler
 );
 
@@ -0,0 +1,165 @@
+import { z } from "zod";
+import { RefreshSchema, REVOKE_REASONS } from "./session.validation.js";
+import {
+  refreshSession,
+  endSession,
+  listAccountSessions,
+  revokeAccountSession,
+  revokeAccountSessions,
+} from "./session.service.js";
+import {
+  extractTokenFromRequest,
+  extractRefreshTokenFromRequest,
+  setSessionCookies,
+  clearSessionCookies,
+} from "../../../utilities/auth-enhanced.util.js";
+import { AuthenticationError } from "../../../utilities/error-handler.util.js";
+import {
+  sendSuccess,
+  sendList,
+  handleZodError,
+} from "../../../utilities/response.util.js";
+
+/**
+ * Handlers for the caller's own session (/auth/...) and for managing an
+ * admin's sessions, the platform's (/internal/admins/:id/sessions) or a
+ * tenant's (/:tenantId/admins/:id/sessions)
+ */
+
+function actorFrom(req) {
+  const p = req.admin || req.user || {};
+  return p.id || p.email || "anonymous";
+}
+
+// Platform routes have no tenantId param
+function scopeOf(req) {
+  return req.params.tenantId || null;
+}
+
+function clientOf(req) {
+  return { ip: req.ip || null, userAgent: req.get("user-agent") || null };
+}
+
+// The caller's account and the tenant it belongs to
+function principalOf(req) {
+  const p = req.admin || req.user || {};
+  return { tenantId: p.tenantId || null, id: p.id, sid: p.sid || null };
+}
+
+// POST /auth/refresh - swap a refresh token for a new token pair
+export async function refreshSessionHandler(req, res, next) {
+  try {
+    const body = RefreshSchema.parse(req.body || {});
+    const refreshToken =
+      body.refreshToken || extractRefreshTokenFromRequest(req);
+    if (!refreshToken) {
+      throw new AuthenticationError("Refresh token required");
+    }
+    const tokens = await refreshSession(refreshToken, clientOf(req));
+    setSessionCookies(res, tokens);
+    return sendSuccess(
+      res,
+      {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+        tokenType: tokens.tokenType,
+      },
+      "Session refreshed"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST /auth/logout - end the current session
+export async function logoutHandler(req, res, next) {
+  try {
+    await endSession({
+      refreshToken: extractRefreshTokenFromRequest(req),
+      accessToken: extractTokenFromRequest(req),
+    });
+    clearSessionCookies(res);
+    return sendSuccess(res, null, "Logged out successfully");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /auth/sessions - the caller's sessions
+export async function listMySessionsHandler(req, res, next) {
+  try {
+    const { tenantId, id, sid } = principalOf(req);
+    const sessions = await listAccountSessions(tenantId, id, sid);
+    return sendList(
+      res,
+      sessions,
+      { total: sessions.length },
+      "Sessions retrieved successfully"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /auth/logout-all - sign out everywhere (this session included)
+export async function logoutEverywhereHandler(req, res, next) {
+  try {
+    const { tenantId, id } = principalOf(req);
+    const revoked = await revokeAccountSessions(
+      tenantId,
+      id,
+      actorFrom(req),
+      REVOKE_REASONS.LOGOUT_ALL
+    );
+    clearSessionCookies(res);
+    return sendSuccess(res, { revoked }, "Signed out everywhere");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET .../admins/:id/sessions
+export async function listAdminSessionsHandler(req, res, next) {
+  try {
+    const sessions = await listAccountSessions(scopeOf(req), req.params.id);
+    return sendList(
+      res,
+      sessions,
+      { total: sessions.length },
+      "Admin sessions retrieved successfully"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE .../admins/:id/sessions/:sessionId
+export async function revokeAdminSessionHandler(req, res, next) {
+  try {
+    const session = await revokeAccountSession(
+      scopeOf(req),
+      req.params.id,
+      req.params.sessionId,
+      actorFrom(req)
+    );
+    return sendSuccess(res, session, "Session revoked");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE .../admins/:id/sessions - revoke all of an admin's sessions
+export async function revokeAdminSessionsHandler(req, res, next) {
+  try {
+    const revoked = await revokeAccountSessions(
+      scopeOf(req),
+      req.params.id,
+      actorFrom(req)
+    );
+    return sendSuccess(res, { revoked }, `${revoked} session(s) revoked`);
+  } catch (err) {
+    next(err);
+  }
+}
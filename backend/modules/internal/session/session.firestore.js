@@ -0,0 +1,144 @@
+import { db } from "../../../services/firestore.client.js";
+import {
+  platformPath,
+  tenantPath,
+} from "../../../utilities/country-context.util.js";
+import { REFRESH_REUSE_GRACE_MS } from "./session.validation.js";
+
+/**
+ * Sessions live with the accounts they belong to: the platform's (internal
+ * admins, tenantId null) or a tenant's (its admins and users)
+ */
+
+function scopedPath(tenantId, collection) {
+  return tenantId ? tenantPath(tenantId, collection) : platformPath(collection);
+}
+
+function sessionsCol(tenantId) {
+  return db.collection(scopedPath(tenantId, "sessions"));
+}
+
+export async function createSession(tenantId, session) {
+  await sessionsCol(tenantId).doc(session.id).set(session);
+  return session;
+}
+
+export async function getSession(tenantId, id) {
+  const snap = await sessionsCol(tenantId).doc(id).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+/**
+ * An account's sessions, newest first
+ */
+export async function listSessionsFor(tenantId, subjectId) {
+  const snapshot = await sessionsCol(tenantId)
+    .where("subjectId", "==", subjectId)
+    .get();
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Swap a session's refresh token for the next one
+ * The presented token must be the current one. A token rotated out within
+ * the grace period is a concurrent refresh ("concurrent"); any older one
+ * has been used twice, so the session is revoked ("reuse").
+ * @param {string|null} tenantId
+ * @param {string} id - Session ID
+ * @param {string} presentedHash - Hash of the refresh token presented
+ * @param {Object} next - { refreshTokenHash, expiresAt, ip, userAgent }
+ * @param {Object} revoked - Revocation stamp used on reuse
+ * @returns {Promise<Object>} { outcome: "rotated" | "missing" | "revoked" |
+ *   "expired" | "concurrent" | "reuse", session }
+ */
+export async function rotateSessionToken(
+  tenantId,
+  id,
+  presentedHash,
+  next,
+  revoked
+) {
+  const ref = sessionsCol(tenantId).doc(id);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return { outcome: "missing", session: null };
+    const session = { id: snap.id, ...snap.data() };
+    const now = new Date();
+
+    if (session.revoked) return { outcome: "revoked", session };
+    if (new Date(session.expiresAt) <= now) {
+      return { outcome: "expired", session };
+    }
+    if (presentedHash !== session.refreshTokenHash) {
+      const rotatedAgo = now - new Date(session.rotatedAt || 0);
+      if (
+        presentedHash === session.previousTokenHash &&
+        rotatedAgo < REFRESH_REUSE_GRACE_MS
+      ) {
+        return { outcome: "concurrent", session };
+      }
+      tx.update(ref, { revoked });
+      return { outcome: "reuse", session: { ...session, revoked } };
+    }
+
+    const update = {
+      refreshTokenHash: next.refreshTokenHash,
+      previousTokenHash: presentedHash,
+      rotatedAt: now.toISOString(),
+      lastUsedAt: now.toISOString(),
+      expiresAt: next.expiresAt,
+      rotations: (session.rotations || 0) + 1,
+      ip: next.ip ?? session.ip ?? null,
+      userAgent: next.userAgent ?? session.userAgent ?? null,
+    };
+    tx.update(ref, update);
+    return { outcome: "rotated", session: { ...session, ...update } };
+  });
+}
+
+/**
+ * Revoke one session (already revoked ones keep their stamp)
+ * @returns {Promise<boolean>} Whether the session was active
+ */
+export async function revokeSession(tenantId, id, revoked) {
+  const ref = sessionsCol(tenantId).doc(id);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().revoked) return false;
+    tx.update(ref, { revoked });
+    return true;
+  });
+}
+
+/**
+ * Merge a change into the claims of an account's active sessions, so the
+ * access tokens they issue from now on carry it
+ * @returns {Promise<number>} Sessions updated
+ */
+export async function updateSessionClaimsFor(tenantId, subjectId, claims) {
+  const sessions = await listSessionsFor(tenantId, subjectId);
+  let count = 0;
+  for (const session of sessions) {
+    if (session.revoked) continue;
+    await sessionsCol(tenantId)
+      .doc(session.id)
+      .update({ claims: { ...session.claims, ...claims } });
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Revoke an account's active sessions
+ * @returns {Promise<number>} Sessions revoked
+ */
+export async function revokeSessionsFor(tenantId, subjectId, revoked) {
+  const sessions = await listSessionsFor(tenantId, subjectId);
+  let count = 0;
+  for (const session of sessions) {
+    if (await revokeSession(tenantId, session.id, revoked)) count++;
+  }
+  return count;
+}
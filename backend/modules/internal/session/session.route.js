@@ -0,0 +1,65 @@
+import express from "express";
+import { authenticateJWT } from "../../../middleware/auth.middleware.js";
+import { checkPermissions } from "../../../middleware/permission.middleware.js";
+import {
+  refreshSessionHandler,
+  logoutHandler,
+  listMySessionsHandler,
+  logoutEverywhereHandler,
+  listAdminSessionsHandler,
+  revokeAdminSessionHandler,
+  revokeAdminSessionsHandler,
+} from "./session.controller.js";
+import { getInternalAdminById } from "../admin/admin.firestore.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+
+/**
+ * Session Router
+ * Refresh and logout for any account, and the platform's admins' sessions
+ * (the tenant admin routes live in external/tenant/session)
+ */
+
+const router = express.Router();
+
+const auditSessions = audit("admin", {
+  action: "revoke-sessions",
+  load: (id) => getInternalAdminById(id),
+});
+
+// Not protected: the refresh token is the credential
+router.post("/auth/refresh", refreshSessionHandler);
+router.post("/auth/logout", logoutHandler);
+
+// GET /auth/sessions - The caller's sessions
+router.get("/auth/sessions", authenticateJWT, listMySessionsHandler);
+
+// POST /auth/logout-all - Sign out everywhere
+router.post("/auth/logout-all", authenticateJWT, logoutEverywhereHandler);
+
+// GET /internal/admins/:id/sessions - An admin's sessions
+router.get(
+  "/internal/admins/:id/sessions",
+  authenticateJWT,
+  checkPermissions("admin.read", "all.access"),
+  listAdminSessionsHandler
+);
+
+// DELETE /internal/admins/:id/sessions - Revoke all of an admin's sessions
+router.delete(
+  "/internal/admins/:id/sessions",
+  authenticateJWT,
+  checkPermissions("admin.update", "all.access"),
+  auditSessions,
+  revokeAdminSessionsHandler
+);
+
+// DELETE /internal/admins/:id/sessions/:sessionId - Revoke one session
+router.delete(
+  "/internal/admins/:id/sessions/:sessionId",
+  authenticateJWT,
+  checkPermissions("admin.update", "all.access"),
+  auditSessions,
+  revokeAdminSessionHandler
+);
+
+export default router;
@@ -0,0 +1,282 @@
+import jwt from "jsonwebtoken";
+import {
+  createSession,
+  getSession,
+  listSessionsFor,
+  rotateSessionToken,
+  revokeSession,
+  revokeSessionsFor,
+  updateSessionClaimsFor,
+} from "./session.firestore.js";
+import {
+  ACCESS_TOKEN_TTL,
+  REVOKE_REASONS,
+  hashRefreshToken,
+  newSessionId,
+} from "./session.validation.js";
+import { generateToken, verifyToken } from "../../../utilities/auth.util.js";
+import { invalidateAccountRoles } from "../../../utilities/permissions.util.js";
+import {
+  generateRefreshToken,
+  verifyRefreshToken,
+} from "../../../utilities/auth-enhanced.util.js";
+import {
+  AuthenticationError,
+  NotFoundError,
+} from "../../../utilities/error-handler.util.js";
+
+/**
+ * Session Service
+ * A login starts a session: a short-lived access token carrying the
+ * session ID (`sid`) and a refresh token, stored only as a hash, that is
+ * swapped for a new pair on every refresh. Presenting a refresh token that
+ * was already swapped means it was copied, so the session is revoked.
+ * Revoked sessions are refused by authenticateJWT straight away.
+ */
+
+function expiryOf(token) {
+  return new Date(jwt.decode(token).exp * 1000).toISOString();
+}
+
+function issueRefreshToken(session) {
+  return generateRefreshToken({
+    userId: session.subjectId,
+    role: session.subjectType,
+    tenantId: session.tenantId,
+    sessionId: session.id,
+  });
+}
+
+function tokensFor(session, refreshToken) {
+  return {
+    accessToken: generateToken(
+      { ...session.claims, sid: session.id },
+      ACCESS_TOKEN_TTL
+    ),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    tokenType: "Bearer",
+    sessionId: session.id,
+  };
+}
+
+function revocation(actor, reason) {
+  return { at: new Date().toISOString(), by: actor || "system", reason };
+}
+
+function statusOf(session) {
+  if (session.revoked) return "revoked";
+  return new Date(session.expiresAt) <= new Date() ? "expired" : "active";
+}
+
+// What an account may see of a session (never the token hashes or claims)
+function sessionSummary(session, currentId = null) {
+  const { refreshTokenHash, previousTokenHash, claims, ...summary } = session;
+  return {
+    ...summary,
+    status: statusOf(session),
+    current: session.id === currentId,
+  };
+}
+
+/**
+ * Start a session after a successful login
+ * @param {Object} options
+ * @param {string|null} options.tenantId - Tenant the account belongs to
+ *   (null for internal admins)
+ * @param {Object} options.claims - Access token payload ({ id, type, ... })
+ * @param {Object} options.client - { ip, userAgent }
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn,
+ *   tokenType, sessionId }
+ */
+export async function startSession({ tenantId = null, claims, client = {} }) {
+  const now = new Date().toISOString();
+  const session = {
+    id: newSessionId(),
+    tenantId,
+    subjectId: claims.id,
+    subjectType: claims.type,
+    claims,
+    rotations: 0,
+    createdAt: now,
+    lastUsedAt: now,
+    rotatedAt: null,
+    ip: client.ip || null,
+    userAgent: client.userAgent || null,
+    revoked: null,
+  };
+  const refreshToken = issueRefreshToken(session);
+  await createSession(tenantId, {
+    ...session,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    previousTokenHash: null,
+    expiresAt: expiryOf(refreshToken),
+  });
+  return tokensFor(session, refreshToken);
+}
+
+/**
+ * Swap a refresh token for a new token pair
+ * @param {string} refreshToken
+ * @param {Object} client - { ip, userAgent }
+ * @returns {Promise<Object>} The new pair (see startSession)
+ */
+export async function refreshSession(refreshToken, client = {}) {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw new AuthenticationError(error.message);
+  }
+  const { sessionId, tenantId = null } = decoded;
+  if (!sessionId) throw new AuthenticationError("Invalid refresh token");
+
+  const stored = await getSession(tenantId, sessionId);
+  if (!stored) throw new AuthenticationError("Session not found");
+  const next = issueRefreshToken(stored);
+  const { outcome, session } = await rotateSessionToken(
+    tenantId,
+    sessionId,
+    hashRefreshToken(refreshToken),
+    {
+      refreshTokenHash: hashRefreshToken(next),
+      expiresAt: expiryOf(next),
+      ip: client.ip,
+      userAgent: client.userAgent,
+    },
+    revocation("system", REVOKE_REASONS.REUSE)
+  );
+
+  switch (outcome) {
+    case "rotated":
+      return tokensFor(session, next);
+    case "reuse":
+      console.warn(
+        `🚨 Refresh token reused for session ${sessionId} ` +
+          `(${session.subjectType} ${session.subjectId}); session revoked`
+      );
+      throw new AuthenticationError(
+        "Refresh token has already been used; please log in again"
+      );
+    case "concurrent":
+      throw new AuthenticationError("Refresh token has already been used");
+    default:
+      throw new AuthenticationError("Session has expired or been revoked");
+  }
+}
+
+/**
+ * Whether a session can still be used (authenticateJWT checks every
+ * access token carrying a session ID)
+ */
+export async function isSessionActive(tenantId, sessionId) {
+  const session = await getSession(tenantId, sessionId);
+  return !!session && statusOf(session) === "active";
+}
+
+/**
+ * End the session a logout request belongs to; the refresh token is
+ * preferred, an expired access token is still accepted
+ * @param {Object} tokens - { refreshToken, accessToken }
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+export async function endSession({ refreshToken, accessToken }) {
+  let ref = null;
+  try {
+    if (refreshToken) {
+      const { sessionId, tenantId, userId } =
+        verifyRefreshToken(refreshToken);
+      ref = { sessionId, tenantId, subjectId: userId };
+    }
+  } catch {
+    // Fall back to the access token
+  }
+  try {
+    if (!ref?.sessionId && accessToken) {
+      const { sid, tenantId, id } = verifyToken(accessToken, {
+        ignoreExpiration: true,
+      });
+      ref = { sessionId: sid, tenantId, subjectId: id };
+    }
+  } catch {
+    return false;
+  }
+  if (!ref?.sessionId) return false;
+
+  return revokeSession(
+    ref.tenantId || null,
+    ref.sessionId,
+    revocation(ref.subjectId, REVOKE_REASONS.LOGOUT)
+  );
+}
+
+/**
+ * An account's sessions, newest first
+ * @param {string|null} tenantId
+ * @param {string} subjectId - Admin or user ID
+ * @param {string} currentId - Session making the request (flagged current)
+ */
+export async function listAccountSessions(
+  tenantId,
+  subjectId,
+  currentId = null
+) {
+  const sessions = await listSessionsFor(tenantId, subjectId);
+  return sessions.map((session) => sessionSummary(session, currentId));
+}
+
+/**
+ * Revoke one of an account's sessions
+ * @returns {Promise<Object>} The session as revoked
+ */
+export async function revokeAccountSession(
+  tenantId,
+  subjectId,
+  sessionId,
+  actor,
+  reason = REVOKE_REASONS.ADMIN
+) {
+  const session = await getSession(tenantId, sessionId);
+  if (!session || session.subjectId !== subjectId) {
+    throw new NotFoundError(`Session ${sessionId}`);
+  }
+  const revoked = revocation(actor, reason);
+  if (await revokeSession(tenantId, sessionId, revoked)) {
+    session.revoked = revoked;
+  }
+  console.log(`🔒 Session ${sessionId} of ${subjectId} revoked by ${actor}`);
+  return sessionSummary(session);
+}
+
+/**
+ * Revoke all of an account's active sessions ("sign out everywhere",
+ * deactivation)
+ * @returns {Promise<number>} Sessions revoked
+ */
+export async function revokeAccountSessions(
+  tenantId,
+  subjectId,
+  actor,
+  reason = REVOKE_REASONS.ADMIN
+) {
+  const count = await revokeSessionsFor(
+    tenantId,
+    subjectId,
+    revocation(actor, reason)
+  );
+  console.log(`🔒 ${count} session(s) of ${subjectId} revoked (${reason})`);
+  return count;
+}
+
+/**
+ * An account's roles changed: tokens already issued resolve their
+ * permissions from the new roles, and so do the ones its sessions issue
+ * on refresh
+ * @param {string|null} tenantId
+ * @param {string} subjectId - Admin or user ID
+ * @param {string[]} roles - The account's roles now
+ */
+export async function reassignAccountRoles(tenantId, subjectId, roles) {
+  invalidateAccountRoles(tenantId, subjectId, roles);
+  await updateSessionClaimsFor(tenantId, subjectId, { roles });
+}
@@ -0,0 +1,46 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { z } from "zod";
+
+// Access tokens are short-lived; the refresh token keeps the session going
+export const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+
+// The same lifetime in milliseconds, read the way jsonwebtoken reads it
+export const ACCESS_TOKEN_TTL_MS = (() => {
+  const token = jwt.sign({}, "ttl", { expiresIn: ACCESS_TOKEN_TTL });
+  const { iat, exp } = jwt.decode(token);
+  return (exp - iat) * 1000;
+})();
+
+/**
+ * A refresh token that was rotated this recently is treated as a second
+ * tab refreshing at the same time, not as reuse of a stolen token: the
+ * request fails but the session is left alone
+ */
+export const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+export const REVOKE_REASONS = {
+  LOGOUT: "logout",
+  LOGOUT_ALL: "logout-all",
+  ADMIN: "revoked-by-admin",
+  DEACTIVATED: "account-deactivated",
+  REUSE: "refresh-token-reuse",
+  PASSWORD_RESET: "password-reset",
+};
+
+export function newSessionId() {
+  return `SESSION${Date.now()}${crypto.randomBytes(8).toString("hex")}`;
+}
+
+// Only the hash of a refresh token is stored
+export function hashRefreshToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Schema for a refresh or logout; the token may come from the
+ * refreshToken cookie instead
+ */
+export const RefreshSchema = z.object({
+  refreshToken: z.string().trim().min(1).optional(),
+});
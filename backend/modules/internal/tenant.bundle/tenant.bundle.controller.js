@@ -0,0 +1,53 @@
+import { z } from "zod";
+import { BundleImportSchema } from "./tenant.bundle.validation.js";
+import {
+  exportTenantBundle,
+  importTenantBundle,
+} from "./tenant.bundle.service.js";
+import {
+  sendSuccess,
+  handleZodError,
+} from "../../../utilities/response.util.js";
+
+function actorFrom(req) {
+  const p = req.admin || req.user || {};
+  return p.id || p.email || "anonymous";
+}
+
+// GET /internal/tenants/:id/bundle - download the tenant as one bundle
+export async function exportTenantBundleHandler(req, res, next) {
+  try {
+    const { id } = req.params;
+    const bundle = await exportTenantBundle(id, { actor: actorFrom(req) });
+    const stamp = bundle.manifest.exportedAt.replace(/[:.]/g, "-");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${id}-${stamp}.bundle.json"`
+    );
+    return res.status(200).json(bundle);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /internal/tenants/:id/bundle - import a bundle into this tenant id
+export async function importTenantBundleHandler(req, res, next) {
+  try {
+    const parsed = BundleImportSchema.parse(req.body || {});
+    const report = await importTenantBundle(req.params.id, parsed.bundle, {
+      strategy: parsed.strategy,
+      dryRun: parsed.dryRun,
+      actor: actorFrom(req),
+    });
+    const created = !report.dryRun && report.tenant === "created";
+    return sendSuccess(
+      res,
+      report,
+      report.dryRun ? "Bundle import dry run completed" : "Bundle imported",
+      created ? 201 : 200
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
@@ -0,0 +1,53 @@
+import { db } from "../../../services/firestore.client.js";
+import {
+  servicePath,
+  platformPath,
+  tenantPath,
+} from "../../../utilities/country-context.util.js";
+
+// The live tenant document (current country partition)
+export async function getTenantDocument(tenantId) {
+  const snap = await db.collection(servicePath("tenants")).doc(tenantId).get();
+  return snap.exists ? snap.data() : null;
+}
+
+// Subcollections under tenants/{tenantId} (people, users, roles, ...)
+export async function listTenantCollections(tenantId) {
+  return db.doc(tenantPath(tenantId)).listCollections();
+}
+
+// Create or replace the tenant document
+export async function writeTenantRecord(tenantId, data) {
+  await db.collection(servicePath("tenants")).doc(tenantId).set(data);
+}
+
+// Whether a document exists under the tenant (path relative to the tenant)
+export async function tenantDocumentExists(tenantId, relativePath) {
+  const snap = await db.doc(tenantPath(tenantId, relativePath)).get();
+  return snap.exists;
+}
+
+/**
+ * Write documents under a tenant in batches (Firestore allows 500 per batch)
+ * @param {string} tenantId
+ * @param {Array<{path: string, data: Object}>} documents - Relative paths
+ * @param {number} batchSize
+ */
+export async function writeTenantDocuments(tenantId, documents, batchSize) {
+  for (let i = 0; i < documents.length; i += batchSize) {
+    const batch = db.batch();
+    for (const { path, data } of documents.slice(i, i + batchSize)) {
+      batch.set(db.doc(tenantPath(tenantId, path)), data);
+    }
+    await batch.commit();
+  }
+}
+
+// Country recorded in the tenant directory, or null for unknown tenants
+export async function getDirectoryCountry(tenantId) {
+  const snap = await db
+    .collection(platformPath("tenantDirectory"))
+    .doc(tenantId)
+    .get();
+  return (snap.exists && snap.data()?.country) || null;
+}
@@ -0,0 +1,32 @@
+import express from "express";
+import { authenticateJWT } from "../../../middleware/auth.middleware.js";
+import { checkPermissions } from "../../../middleware/permission.middleware.js";
+import {
+  exportTenantBundleHandler,
+  importTenantBundleHandler,
+} from "./tenant.bundle.controller.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+
+const router = express.Router();
+
+// Export: manifest, tenant document and every document stored under it
+router.get(
+  "/internal/tenants/:id/bundle",
+  authenticateJWT,
+  checkPermissions("tenant.export", "all.access"),
+  exportTenantBundleHandler
+);
+
+// Import into a new or existing tenant id (strategy: skip|overwrite|rename)
+router.post(
+  "/internal/tenants/:id/bundle",
+  authenticateJWT,
+  checkPermissions("tenant.import", "all.access"),
+  audit("tenant", {
+    action: "import",
+    details: (req, body) => body?.data || null,
+  }),
+  importTenantBundleHandler
+);
+
+export default router;
@@ -0,0 +1,348 @@
+import crypto from "crypto";
+import {
+  getTenantDocument,
+  listTenantCollections,
+  tenantDocumentExists,
+  writeTenantDocuments,
+  writeTenantRecord,
+  getDirectoryCountry,
+} from "./tenant.bundle.firestore.js";
+import { BUNDLE_FORMAT, BUNDLE_VERSION } from "./tenant.bundle.validation.js";
+import {
+  getTenantCountry,
+  setTenantDirectoryEntry,
+} from "../tenant/tenant.firestore.js";
+import {
+  runWithCountry,
+  tenantPath,
+} from "../../../utilities/country-context.util.js";
+import {
+  PLATFORM_COUNTRY,
+  resolveCountryKey,
+} from "../../../config/countries.config.js";
+import {
+  getVersion,
+  withInitialVersion,
+} from "../../../utilities/concurrency.util.js";
+import { walkCollectionTree } from "../../../utilities/collection-tree.util.js";
+import {
+  encryptFields,
+  keyScope,
+  revealFields,
+} from "../../../utilities/field-encryption.util.js";
+import { PERSON_COLLECTIONS } from "../../../migrations/lib/person-encryption.js";
+import { invalidateRolePermissions } from "../../../utilities/permissions.util.js";
+import {
+  APIError,
+  NotFoundError,
+  ValidationError,
+} from "../../../utilities/error-handler.util.js";
+
+/**
+ * Tenant Bundles
+ * A bundle is a single JSON archive of one tenant: a manifest, the tenant
+ * document and every document stored under it (people, admins, users, roles,
+ * permissions, role mappings, ...) keyed by its path relative to the tenant.
+ *
+ * Importing restores a bundle into a new or existing tenant id. The source
+ * tenant id is remapped to the target everywhere it appears; documents that
+ * already exist are skipped, overwritten or imported under a new id.
+ *
+ * Person records (live, trashed and their versions) are encrypted under the
+ * tenant's own key: they travel decrypted, so a bundle opens in any tenant
+ * and environment, and are encrypted under the target's key, with its blind
+ * indexes, on import. A bundle holds plaintext ID numbers: keep it safe.
+ */
+
+// Firestore allows 500 writes per batch
+const WRITE_BATCH_SIZE = 400;
+
+// Person records in a bundled document: live and trashed people, and the
+// record in a version snapshot
+function mapPersonRecords(doc, { person, version }) {
+  const segments = doc.path.split("/");
+  if (segments.length !== 2) return doc;
+  if (PERSON_COLLECTIONS.includes(segments[0])) {
+    return { ...doc, data: person(doc.data) };
+  }
+  if (segments[0] === "personVersions" && doc.data.record) {
+    return { ...doc, data: { ...doc.data, record: version(doc.data.record) } };
+  }
+  return doc;
+}
+
+function decryptPersonRecords(doc) {
+  const decrypt = (record) => revealFields(record, true);
+  return mapPersonRecords(doc, { person: decrypt, version: decrypt });
+}
+
+// Bundles exported before person records travelled decrypted still carry
+// the source tenant's envelopes: they are opened first. Versions keep no
+// blind indexes (see person.history).
+function encryptPersonRecords(doc, tenantId) {
+  const encrypt = (record) =>
+    encryptFields(revealFields(record, true), keyScope(tenantId));
+  return mapPersonRecords(doc, {
+    person: (record) => {
+      const { record: encrypted, blindIndex } = encrypt(record);
+      return { ...encrypted, blindIndex };
+    },
+    version: (record) => encrypt(record).record,
+  });
+}
+
+// Checksum over the bundle content, so edited or truncated bundles are refused
+function checksumOf(tenant, documents) {
+  const hash = crypto.createHash("sha256");
+  hash.update(JSON.stringify({ tenant, documents }));
+  return `sha256:${hash.digest("hex")}`;
+}
+
+/**
+ * Export a tenant and all of its subcollections as one bundle
+ * @param {string} tenantId
+ * @param {Object} options
+ * @param {string} options.actor - User taking the export
+ * @returns {Promise<Object>} { manifest, tenant, documents }
+ */
+export async function exportTenantBundle(tenantId, options = {}) {
+  const { actor = "system" } = options;
+  const country = await getTenantCountry(tenantId);
+
+  return runWithCountry(country, async () => {
+    const tenant = await getTenantDocument(tenantId);
+    if (!tenant) throw new NotFoundError("Tenant");
+
+    const root = tenantPath(tenantId);
+    const documents = [];
+    const collections = {};
+    for (const collectionRef of await listTenantCollections(tenantId)) {
+      collections[collectionRef.id] = 0;
+      await walkCollectionTree(collectionRef, async (doc) => {
+        collections[collectionRef.id]++;
+        documents.push(
+          decryptPersonRecords({
+            path: doc.ref.path.slice(root.length + 1),
+            data: doc.data(),
+          })
+        );
+      });
+    }
+
+    return {
+      manifest: {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        tenantId,
+        tenantName: tenant.name || null,
+        country,
+        exportedAt: new Date().toISOString(),
+        exportedBy: actor,
+        collections,
+        documentCount: documents.length,
+        checksum: checksumOf(tenant, documents),
+      },
+      tenant,
+      documents,
+    };
+  });
+}
+
+/**
+ * Import a bundle into a new or existing tenant
+ * @param {string} targetId - Tenant id to import into
+ * @param {Object} bundle - A bundle produced by exportTenantBundle
+ * @param {Object} options
+ * @param {string} options.strategy - skip | overwrite | rename
+ * @param {boolean} options.dryRun - Report only, write nothing
+ * @param {string} options.actor - User running the import
+ * @returns {Promise<Object>} Import report
+ */
+export async function importTenantBundle(targetId, bundle, options = {}) {
+  const { strategy = "skip", dryRun = false, actor = "system" } = options;
+  const { manifest } = bundle;
+
+  if (checksumOf(bundle.tenant, bundle.documents) !== manifest.checksum) {
+    throw new ValidationError(
+      "Bundle checksum does not match its content",
+      "checksum"
+    );
+  }
+  if (manifest.documentCount !== bundle.documents.length) {
+    throw new ValidationError(
+      "Bundle document count does not match its manifest",
+      "documentCount"
+    );
+  }
+
+  const country = await resolveTargetCountry(targetId, manifest.country);
+
+  return runWithCountry(country, async () => {
+    const existing = await getTenantDocument(targetId);
+
+    // Source tenant id -> target, plus every id renamed on conflict
+    const idMap = new Map();
+    if (manifest.tenantId !== targetId) idMap.set(manifest.tenantId, targetId);
+
+    const counts = { created: 0, overwritten: 0, skipped: 0, renamed: 0 };
+    const renamed = {};
+    const planned = [];
+    const claimed = new Set();
+
+    // Parents before children, so a renamed parent takes its subtree along
+    const ordered = [...bundle.documents].sort(
+      (a, b) => a.path.split("/").length - b.path.split("/").length
+    );
+    for (const doc of ordered) {
+      let path = remapPath(doc.path, idMap);
+      const exists =
+        claimed.has(path) || (await tenantDocumentExists(targetId, path));
+
+      if (exists && strategy === "skip") {
+        counts.skipped++;
+        continue;
+      }
+      if (exists && strategy === "rename") {
+        const oldId = path.split("/").pop();
+        const newId = await freeDocumentId(targetId, path, claimed);
+        idMap.set(oldId, newId);
+        renamed[oldId] = newId;
+        path = `${path.slice(0, -oldId.length)}${newId}`;
+        counts.renamed++;
+      } else if (exists) {
+        counts.overwritten++;
+      } else {
+        counts.created++;
+      }
+      claimed.add(path);
+      planned.push(doc);
+    }
+
+    // Ids renamed later can still appear in earlier paths and in field
+    // values; person records are encrypted under the target's key
+    const writes = planned.map((doc) =>
+      encryptPersonRecords(
+        { path: remapPath(doc.path, idMap), data: remapValue(doc.data, idMap) },
+        targetId
+      )
+    );
+
+    const tenantAction = !existing
+      ? "created"
+      : strategy === "overwrite"
+      ? "overwritten"
+      : "skipped";
+
+    const report = {
+      dryRun,
+      tenantId: targetId,
+      sourceTenantId: manifest.tenantId,
+      country,
+      strategy,
+      tenant: tenantAction,
+      documents: counts,
+      renamed,
+    };
+    if (dryRun) return report;
+
+    await writeTenantDocuments(targetId, writes, WRITE_BATCH_SIZE);
+    // The bundle may have brought roles and role mappings with it
+    invalidateRolePermissions(targetId);
+
+    if (tenantAction !== "skipped") {
+      const now = new Date().toISOString();
+      const tenant = {
+        ...remapValue(bundle.tenant, idMap),
+        id: targetId,
+        country,
+        imported: {
+          by: actor,
+          when: now,
+          from: {
+            tenantId: manifest.tenantId,
+            exportedAt: manifest.exportedAt,
+          },
+        },
+      };
+      await writeTenantRecord(
+        targetId,
+        existing
+          ? { ...tenant, recordVersion: getVersion(existing) + 1 }
+          : withInitialVersion(tenant)
+      );
+      await setTenantDirectoryEntry(targetId, {
+        country,
+        name: tenant.name || null,
+        created: existing?.created || { by: actor, when: now },
+      });
+    }
+
+    console.log(
+      `✅ Bundle of tenant ${manifest.tenantId} imported into ${targetId}`
+    );
+    return report;
+  });
+}
+
+// Existing tenants keep their partition; new ones go to the bundle's country
+async function resolveTargetCountry(tenantId, bundleCountry) {
+  const listed = await getDirectoryCountry(tenantId);
+  if (listed) return listed;
+
+  // Tenants created before the directory live in the platform partition
+  const legacy = await runWithCountry(PLATFORM_COUNTRY, () =>
+    getTenantDocument(tenantId)
+  );
+  if (legacy) return PLATFORM_COUNTRY;
+
+  const country = resolveCountryKey(bundleCountry);
+  if (!country) {
+    throw new APIError(
+      `Bundle country "${bundleCountry}" is not supported here`,
+      400,
+      "UNSUPPORTED_COUNTRY"
+    );
+  }
+  return country;
+}
+
+// Replace remapped ids in a relative document path
+function remapPath(path, idMap) {
+  return path
+    .split("/")
+    .map((segment) => idMap.get(segment) ?? segment)
+    .join("/");
+}
+
+// Replace remapped ids wherever they appear as a whole string value
+function remapValue(value, idMap) {
+  if (typeof value === "string") return idMap.get(value) ?? value;
+  if (Array.isArray(value)) return value.map((v) => remapValue(v, idMap));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, remapValue(v, idMap)])
+    );
+  }
+  return value;
+}
+
+// A new id for a conflicting document: PERSON123 -> PERSON<now>, with a
+// new random part for ids generated with one (PERSON<time><hex>); other ids
+// get a numeric suffix. Checked against the tenant and this import's writes.
+async function freeDocumentId(tenantId, path, claimed) {
+  const parent = path.slice(0, path.lastIndexOf("/") + 1);
+  const oldId = path.slice(parent.length);
+  const generated = /^([A-Z_]+)\d+([0-9a-f]*)$/.exec(oldId);
+
+  for (let n = 1; ; n++) {
+    const random = generated?.[2] ? crypto.randomBytes(8).toString("hex") : "";
+    const candidate = generated
+      ? `${generated[1]}${Date.now() + n}${random}`
+      : `${oldId}_${n}`;
+    const candidatePath = `${parent}${candidate}`;
+    if (claimed.has(candidatePath)) continue;
+    if (!(await tenantDocumentExists(tenantId, candidatePath))) {
+      return candidate;
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import { z } from "zod";
+
+export const BUNDLE_FORMAT = "touchafrica.tenant-bundle";
+export const BUNDLE_VERSION = 1;
+
+/**
+ * What to do when a bundled document already exists in the target tenant
+ *   skip      - keep the existing document
+ *   overwrite - replace it with the bundled copy
+ *   rename    - import the bundled copy under a new id
+ */
+export const CONFLICT_STRATEGIES = ["skip", "overwrite", "rename"];
+
+// Paths are relative to the tenant: collection/doc[/collection/doc...]
+const DOCUMENT_PATH = /^[^/]+\/[^/]+(\/[^/]+\/[^/]+)*$/;
+
+export const TenantBundleSchema = z.object({
+  manifest: z
+    .object({
+      format: z.literal(BUNDLE_FORMAT),
+      version: z.literal(BUNDLE_VERSION),
+      tenantId: z.string().min(1),
+      country: z.string().min(1),
+      documentCount: z.number().int().nonnegative(),
+      checksum: z.string().min(1),
+    })
+    .passthrough(),
+  tenant: z.record(z.any()),
+  documents: z.array(
+    z.object({
+      path: z
+        .string()
+        .regex(DOCUMENT_PATH, "Document path must be collection/doc pairs")
+        .refine((p) => !p.split("/").some((s) => s === "." || s === ".."), {
+          message: "Document path must not contain . or .. segments",
+        }),
+      data: z.record(z.any()),
+    })
+  ),
+});
+
+/**
+ * Schema for importing a bundle into a (new or existing) tenant
+ */
+export const BundleImportSchema = z.object({
+  bundle: TenantBundleSchema,
+  strategy: z.enum(CONFLICT_STRATEGIES).default("skip"),
+  // Report what would be written without writing anything
+  dryRun: z.boolean().default(false),
+});
@@ -0,0 +1,73 @@
+import { z } from "zod";
+import { OffboardingRequestSchema } from "./tenant.offboarding.validation.js";
+import {
+  previewTenantOffboarding,
+  startTenantOffboarding,
+  getTenantOffboardingJob,
+  getTenantOffboardingExportFile,
+} from "./tenant.offboarding.service.js";
+import {
+  sendSuccess,
+  sendValidationError,
+  handleZodError,
+} from "../../../utilities/response.util.js";
+
+function actorFrom(req) {
+  const p = req.admin || req.user || {};
+  return p.id || p.email || "anonymous";
+}
+
+// GET /internal/tenants/:id/offboarding/preview - dry run report
+export async function previewTenantOffboardingHandler(req, res, next) {
+  try {
+    const data = await previewTenantOffboarding(req.params.id);
+    return sendSuccess(res, data, "Offboarding dry run completed");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /internal/tenants/:id/offboarding - start or resume the job
+export async function startTenantOffboardingHandler(req, res, next) {
+  try {
+    const { id } = req.params;
+    const parsed = OffboardingRequestSchema.parse(req.body || {});
+    if (parsed.confirm !== id) {
+      return sendValidationError(
+        res,
+        "Confirmation does not match the tenant ID",
+        { confirm: `Send "confirm": "${id}" to offboard this tenant` }
+      );
+    }
+
+    const job = await startTenantOffboarding(id, {
+      export: parsed.export,
+      actor: actorFrom(req),
+    });
+    return sendSuccess(res, job, "Tenant offboarding started", 202);
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET /internal/tenants/:id/offboarding - job status, progress and step log
+export async function getTenantOffboardingHandler(req, res, next) {
+  try {
+    const job = await getTenantOffboardingJob(req.params.id);
+    return sendSuccess(res, job, "Offboarding job retrieved successfully");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /internal/tenants/:id/offboarding/export - download the final export
+export async function downloadTenantOffboardingExportHandler(req, res, next) {
+  try {
+    const file = await getTenantOffboardingExportFile(req.params.id);
+    res.setHeader("Content-Type", "application/x-ndjson");
+    return res.download(file);
+  } catch (err) {
+    next(err);
+  }
+}
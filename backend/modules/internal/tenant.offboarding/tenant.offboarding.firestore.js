@@ -0,0 +1,54 @@
+import { db } from "../../../services/firestore.client.js";
+import {
+  servicePath,
+  platformPath,
+  tenantPath,
+} from "../../../utilities/country-context.util.js";
+import { trashCollectionPath } from "../../../utilities/soft-delete.util.js";
+
+// One job per tenant, platform-wide (offboardingJobs/{tenantId})
+function jobsCol() {
+  return db.collection(platformPath("offboardingJobs"));
+}
+
+export async function getOffboardingJob(tenantId) {
+  const snap = await jobsCol().doc(tenantId).get();
+  return snap.exists ? snap.data() : null;
+}
+
+export async function setOffboardingJob(tenantId, job) {
+  await jobsCol().doc(tenantId).set(job);
+  return job;
+}
+
+export async function updateOffboardingJob(tenantId, patch) {
+  await jobsCol().doc(tenantId).set(patch, { merge: true });
+}
+
+// The tenant document, live or in the trash (current country partition)
+export async function findTenantDocument(tenantId) {
+  const live = await db.collection(servicePath("tenants")).doc(tenantId).get();
+  if (live.exists) return { ...live.data(), trashed: false };
+
+  const trashed = await db
+    .collection(trashCollectionPath(servicePath("tenants")))
+    .doc(tenantId)
+    .get();
+  return trashed.exists ? { ...trashed.data(), trashed: true } : null;
+}
+
+// Subcollections under tenants/{tenantId} (people, users, roles, ...)
+export async function listTenantCollections(tenantId) {
+  return db.doc(tenantPath(tenantId)).listCollections();
+}
+
+// Remove the tenant document (live and trashed copies) and its directory entry
+export async function deleteTenantDocuments(tenantId) {
+  const batch = db.batch();
+  batch.delete(db.collection(servicePath("tenants")).doc(tenantId));
+  batch.delete(
+    db.collection(trashCollectionPath(servicePath("tenants"))).doc(tenantId)
+  );
+  batch.delete(db.collection(platformPath("tenantDirectory")).doc(tenantId));
+  await batch.commit();
+}
@@ -0,0 +1,50 @@
+import express from "express";
+import { authenticateJWT } from "../../../middleware/auth.middleware.js";
+import { checkPermissions } from "../../../middleware/permission.middleware.js";
+import {
+  previewTenantOffboardingHandler,
+  startTenantOffboardingHandler,
+  getTenantOffboardingHandler,
+  downloadTenantOffboardingExportHandler,
+} from "./tenant.offboarding.controller.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+
+const router = express.Router();
+
+// Dry run: subcollections and document counts that offboarding would remove
+router.get(
+  "/internal/tenants/:id/offboarding/preview",
+  authenticateJWT,
+  checkPermissions("tenant.offboard", "all.access"),
+  previewTenantOffboardingHandler
+);
+
+// Start (or resume) offboarding: optional final export, then batched deletion
+router.post(
+  "/internal/tenants/:id/offboarding",
+  authenticateJWT,
+  checkPermissions("tenant.offboard", "all.access"),
+  audit("tenant", {
+    action: "offboard",
+    details: (req) => ({ export: !!req.body?.export }),
+  }),
+  startTenantOffboardingHandler
+);
+
+// Job status, progress and the record of completed steps
+router.get(
+  "/internal/tenants/:id/offboarding",
+  authenticateJWT,
+  checkPermissions("tenant.offboard", "all.access"),
+  getTenantOffboardingHandler
+);
+
+// Final export taken before deletion (NDJSON)
+router.get(
+  "/internal/tenants/:id/offboarding/export",
+  authenticateJWT,
+  checkPermissions("tenant.offboard", "all.access"),
+  downloadTenantOffboardingExportHandler
+);
+
+export default router;
@@ -0,0 +1,379 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { once } from "events";
+import {
+  getOffboardingJob,
+  setOffboardingJob,
+  updateOffboardingJob,
+  findTenantDocument,
+  listTenantCollections,
+  deleteTenantDocuments,
+} from "./tenant.offboarding.firestore.js";
+import { OFFBOARDING_STATUS } from "./tenant.offboarding.validation.js";
+import { getTenantCountry } from "../tenant/tenant.firestore.js";
+import {
+  runWithCountry,
+  tenantPath,
+} from "../../../utilities/country-context.util.js";
+import {
+  countCollectionTree,
+  walkCollectionTree,
+  deleteCollectionTree,
+} from "../../../utilities/collection-tree.util.js";
+import {
+  APIError,
+  NotFoundError,
+  ConflictError,
+} from "../../../utilities/error-handler.util.js";
+import { blobStore } from "../../../services/blob.client.js";
+import { importFilesOf } from "../person.import/person.import.firestore.js";
+
+/**
+ * Tenant Offboarding
+ * Removes a tenant and everything stored under it, in four steps:
+ *   1. plan     - dry-run report of every subcollection and its document count
+ *   2. export   - optional final NDJSON export of all tenant data
+ *   3. delete   - subcollections deleted in batches, progress saved per batch
+ *   4. finalize - tenant document (live or trashed) and directory entry removed
+ *
+ * The job record (offboardingJobs/{tenantId}) logs each step. Every step is
+ * idempotent, so an interrupted job is resumed by starting it again.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const { PENDING, EXPORTING, DELETING, COMPLETED, FAILED } = OFFBOARDING_STATUS;
+
+// Jobs running in this process (guards against double starts)
+const runningJobs = new Map();
+
+// Blob store keys of a document's files, by the collection it is in
+const BLOB_KEYS_OF = {
+  personDocuments: (tenantId, record) => [record.blobKey].filter(Boolean),
+  personImports: (tenantId, record) =>
+    importFilesOf(tenantId, record).map((file) => file.key),
+};
+
+function batchSize() {
+  const size = parseInt(process.env.OFFBOARDING_BATCH_SIZE, 10);
+  return size > 0 && size <= 500 ? size : 200;
+}
+
+function exportDir() {
+  return (
+    process.env.OFFBOARDING_EXPORT_DIR ||
+    path.resolve(__dirname, "../../../.data/offboarding")
+  );
+}
+
+function step(action, detail = {}) {
+  return { action, ...detail, when: new Date().toISOString() };
+}
+
+async function appendStep(tenantId, job, entry, patch = {}) {
+  job.steps = [...(job.steps || []), entry];
+  Object.assign(job, patch, { updatedAt: entry.when });
+  await updateOffboardingJob(tenantId, {
+    ...patch,
+    steps: job.steps,
+    updatedAt: entry.when,
+  });
+}
+
+async function inTenantCountry(tenantId, fn) {
+  const job = await getOffboardingJob(tenantId);
+  const country = job?.country || (await getTenantCountry(tenantId));
+  return runWithCountry(country, () => fn(country));
+}
+
+/**
+ * Dry run: what offboarding would remove
+ * @param {string} tenantId
+ * @returns {Promise<Object>} Tenant summary, subcollections and document counts
+ */
+export async function previewTenantOffboarding(tenantId) {
+  return inTenantCountry(tenantId, (country) => buildPlan(tenantId, country));
+}
+
+async function buildPlan(tenantId, country) {
+  const tenant = await findTenantDocument(tenantId);
+  const collections = [];
+  for (const collectionRef of await listTenantCollections(tenantId)) {
+    collections.push({
+      name: collectionRef.id,
+      path: collectionRef.path,
+      documents: await countCollectionTree(collectionRef),
+    });
+  }
+
+  if (!tenant && collections.length === 0) throw new NotFoundError("Tenant");
+
+  return {
+    dryRun: true,
+    tenantId,
+    country,
+    tenant: tenant
+      ? {
+          name: tenant.name || null,
+          isActive: tenant.account?.isActive?.value ?? null,
+          trashed: tenant.trashed,
+        }
+      : null,
+    collections,
+    totalDocuments: collections.reduce((sum, c) => sum + c.documents, 0),
+  };
+}
+
+/**
+ * Start an offboarding job, or resume an interrupted one
+ * The job runs in the background; poll getTenantOffboardingJob for progress.
+ * @param {string} tenantId
+ * @param {Object} options
+ * @param {boolean} options.export - Take a final export before deleting
+ * @param {string} options.actor - User starting the job
+ * @returns {Promise<Object>} The job record
+ */
+export async function startTenantOffboarding(tenantId, options = {}) {
+  const { actor = "system" } = options;
+  if (runningJobs.has(tenantId)) {
+    throw new ConflictError(`Offboarding of tenant ${tenantId} is running`);
+  }
+  // Reserve the slot before the first await, so a second start arriving
+  // meanwhile is refused; the run replaces it once the job is set up
+  runningJobs.set(tenantId, null);
+  let run = null;
+  try {
+    const job = await prepareOffboardingJob(tenantId, options, actor);
+    run = runTenantOffboarding(tenantId)
+      .catch((error) =>
+        console.error(`❌ Offboarding of tenant ${tenantId} failed:`, error)
+      )
+      .finally(() => runningJobs.delete(tenantId));
+    runningJobs.set(tenantId, run);
+    return job;
+  } finally {
+    if (!run) runningJobs.delete(tenantId);
+  }
+}
+
+// The job record to run: an interrupted one, or a new one with its plan
+async function prepareOffboardingJob(tenantId, options, actor) {
+  const existing = await getOffboardingJob(tenantId);
+  if (existing?.status === COMPLETED) {
+    throw new ConflictError(`Tenant ${tenantId} has already been offboarded`);
+  }
+
+  if (existing) {
+    await appendStep(tenantId, existing, step("resumed", { by: actor }));
+    return existing;
+  }
+
+  const plan = await previewTenantOffboarding(tenantId);
+  const now = new Date().toISOString();
+  const job = {
+    tenantId,
+    country: plan.country,
+    status: PENDING,
+    options: { export: !!options.export },
+    plan: {
+      collections: plan.collections,
+      totalDocuments: plan.totalDocuments,
+    },
+    progress: { deleted: 0, total: plan.totalDocuments, collection: null },
+    export: null,
+    error: null,
+    requested: { by: actor, when: now },
+    updatedAt: now,
+    completedAt: null,
+    steps: [
+      step("planned", { by: actor, totalDocuments: plan.totalDocuments }),
+    ],
+  };
+  await setOffboardingJob(tenantId, job);
+  return job;
+}
+
+/**
+ * Run (or continue) a job until it completes or fails
+ * Exposed for tests and scripts; HTTP callers use startTenantOffboarding.
+ * @param {string} tenantId
+ * @returns {Promise<Object>} The final job record
+ */
+export async function runTenantOffboarding(tenantId) {
+  const job = await getOffboardingJob(tenantId);
+  if (!job) throw new NotFoundError("Offboarding job");
+
+  return runWithCountry(job.country, async () => {
+    try {
+      if (job.options?.export && !job.export) {
+        await appendStep(tenantId, job, step("export.started"), {
+          status: EXPORTING,
+        });
+        const exported = await exportTenantData(tenantId, job.country);
+        await appendStep(
+          tenantId,
+          job,
+          step("export.completed", { documents: exported.documents }),
+          { export: exported }
+        );
+      }
+
+      await appendStep(tenantId, job, step("delete.started"), {
+        status: DELETING,
+        error: null,
+      });
+      for (const collectionRef of await listTenantCollections(tenantId)) {
+        // Person document files and import spreadsheets are in the blob
+        // store, not under the tenant
+        const blobKeysOf = BLOB_KEYS_OF[collectionRef.id];
+        if (blobKeysOf) {
+          await walkCollectionTree(collectionRef, async (doc) => {
+            for (const key of blobKeysOf(tenantId, doc.data())) {
+              await blobStore.delete(key);
+            }
+          });
+        }
+        const deleted = await deleteCollectionTree(collectionRef, {
+          batchSize: batchSize(),
+          onBatch: async (count) => {
+            job.progress = {
+              ...job.progress,
+              deleted: (job.progress?.deleted || 0) + count,
+              collection: collectionRef.id,
+            };
+            await updateOffboardingJob(tenantId, {
+              progress: job.progress,
+              updatedAt: new Date().toISOString(),
+            });
+          },
+        });
+        await appendStep(
+          tenantId,
+          job,
+          step("collection.deleted", { collection: collectionRef.id, deleted })
+        );
+      }
+
+      await deleteTenantDocuments(tenantId);
+      const done = step("tenant.deleted");
+      await appendStep(tenantId, job, done, {
+        status: COMPLETED,
+        completedAt: done.when,
+        progress: { ...job.progress, collection: null },
+      });
+      console.log(`✅ Tenant ${tenantId} offboarded`);
+      return job;
+    } catch (error) {
+      await appendStep(
+        tenantId,
+        job,
+        step("failed", { error: error.message }),
+        { status: FAILED, error: error.message }
+      );
+      throw error;
+    }
+  });
+}
+
+// Final export: one JSON line per document, paths relative to the tenant
+async function exportTenantData(tenantId, country) {
+  const dir = exportDir();
+  fs.mkdirSync(dir, { recursive: true });
+  const takenAt = new Date().toISOString();
+  const file = path.join(
+    dir,
+    `${tenantId}-${takenAt.replace(/[:.]/g, "-")}.ndjson`
+  );
+  const out = fs.createWriteStream(file);
+  const write = async (record) => {
+    if (!out.write(`${JSON.stringify(record)}\n`)) await once(out, "drain");
+  };
+
+  const root = tenantPath(tenantId);
+  let documents = 0;
+  try {
+    await write({
+      type: "header",
+      tenantId,
+      country,
+      exportedAt: takenAt,
+      tenant: await findTenantDocument(tenantId),
+    });
+    for (const collectionRef of await listTenantCollections(tenantId)) {
+      await walkCollectionTree(collectionRef, async (doc) => {
+        documents++;
+        await write({
+          type: "document",
+          path: doc.ref.path.slice(root.length + 1),
+          data: doc.data(),
+        });
+      });
+    }
+  } finally {
+    out.end();
+    await once(out, "close");
+  }
+
+  return { file: path.basename(file), documents, takenAt };
+}
+
+/**
+ * Resolves once the tenant's background job (if any) has finished
+ */
+export async function waitForTenantOffboarding(tenantId) {
+  await runningJobs.get(tenantId);
+}
+
+/**
+ * Purge a trashed tenant: offboard it (without an export) and wait for the
+ * job, so nothing under tenants/{id} outlives the tenant document. Used by
+ * the tenant trash purge, by hand and on the schedule.
+ * @param {string} tenantId
+ * @param {string} actor - User purging the tenant
+ * @returns {Promise<Object>} The completed job record
+ */
+export async function purgeTrashedTenant(tenantId, actor = "system") {
+  const tenant = await inTenantCountry(tenantId, () =>
+    findTenantDocument(tenantId)
+  );
+  if (!tenant?.trashed) throw new NotFoundError("Tenant in trash");
+
+  await startTenantOffboarding(tenantId, { actor });
+  await waitForTenantOffboarding(tenantId);
+  const job = await getOffboardingJob(tenantId);
+  if (job.status !== COMPLETED) {
+    throw new APIError(
+      `Purge of tenant ${tenantId} failed: ${job.error}`,
+      500,
+      "TENANT_PURGE_FAILED"
+    );
+  }
+  return job;
+}
+
+/**
+ * Current job record for a tenant
+ */
+export async function getTenantOffboardingJob(tenantId) {
+  const job = await getOffboardingJob(tenantId);
+  if (!job) throw new NotFoundError("Offboarding job");
+  return { ...job, running: runningJobs.has(tenantId) };
+}
+
+/**
+ * Absolute path of a job's final export file
+ */
+export async function getTenantOffboardingExportFile(tenantId) {
+  const job = await getOffboardingJob(tenantId);
+  if (!job?.export?.file) throw new NotFoundError("Offboarding export");
+
+  const file = path.join(exportDir(), job.export.file);
+  if (!fs.existsSync(file)) {
+    throw new APIError(
+      "Offboarding export file is no longer available",
+      410,
+      "EXPORT_GONE"
+    );
+  }
+  return file;
+}
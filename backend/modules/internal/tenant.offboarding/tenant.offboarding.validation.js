@@ -0,0 +1,19 @@
+import { z } from "zod";
+
+/**
+ * Schema for starting (or resuming) a tenant offboarding job
+ */
+export const OffboardingRequestSchema = z.object({
+  // Must repeat the tenant ID - guards against offboarding the wrong tenant
+  confirm: z.string().min(1, "Confirmation (the tenant ID) is required"),
+  // Take a final export of all tenant data before anything is deleted
+  export: z.boolean().default(false),
+});
+
+export const OFFBOARDING_STATUS = {
+  PENDING: "pending",
+  EXPORTING: "exporting",
+  DELETING: "deleting",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
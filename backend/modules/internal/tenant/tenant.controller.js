@@ -13,6 +13,9 @@ import {
   serviceGetTenantsStats,
   serviceUpdateTenant,
   serviceDeleteTenant,
+  serviceListTrashedTenants,
+  serviceRestoreTenant,
+  servicePurgeTenant,
   serviceGetTenantNames,
   serviceGetTenantMinimal,
 } from "./tenant.service.js";
@@ -28,6 +31,10 @@ import {
   formatPaginatedResponse,
   createExportResponse,
 } from "../../../utilities/query.util.js";
+import {
+  expectedVersionFrom,
+  setETag,
+} from "../../../utilities/concurrency.util.js";
 
 // Permissions defined in route handlers directly
 
@@ -65,6 +72,7 @@ export async function getTenantByIdHandler(req, res, next) {
     const data = await serviceGetTenantById(req.params.id);
     if (!data) return sendNotFound(res, "Tenant not found");
     const exposed = { ...data, isActive: !!data?.account?.isActive?.value };
+    setETag(res, data);
     return sendSuccess(res, exposed, "Tenant retrieved successfully");
   } catch (err) {
     next(err);
@@ -149,7 +157,12 @@ export async function getTenantsStatsHandler(req, res, next) {
 
 export async function updateTenantHandler(req, res, next) {
   try {
-    const data = await serviceUpdateTenant(req.params.id, req.body);
+    const data = await serviceUpdateTenant(
+      req.params.id,
+      req.body,
+      expectedVersionFrom(req)
+    );
+    setETag(res, data);
     return sendSuccess(res, data, "Tenant updated successfully");
   } catch (err) {
     console.error("❌ Update tenant error:", err);
@@ -160,7 +173,7 @@ export async function updateTenantHandler(req, res, next) {
 
 export async function deleteTenantHandler(req, res, next) {
   try {
-    await serviceDeleteTenant(req.params.id);
+    await serviceDeleteTenant(req.params.id, actorFrom(req));
     return sendSuccess(
       res,
       { message: "Tenant deleted successfully" },
@@ -171,9 +184,51 @@ export async function deleteTenantHandler(req, res, next) {
   }
 }
 
+export async function listTrashedTenantsHandler(req, res, next) {
+  try {
+    const { items, nextCursor } = await serviceListTrashedTenants(req.query);
+    return sendList(
+      res,
+      items,
+      { limit: items.length, nextCursor },
+      "Trashed tenants retrieved successfully"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function restoreTenantHandler(req, res, next) {
+  try {
+    const data = await serviceRestoreTenant(req.params.id, actorFrom(req));
+    setETag(res, data);
+    return sendSuccess(res, data, "Tenant restored successfully");
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function purgeTenantHandler(req, res, next) {
+  try {
+    await servicePurgeTenant(req.params.id, actorFrom(req));
+    return sendSuccess(
+      res,
+      { id: req.params.id },
+      "Tenant permanently deleted"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
 export async function patchTenantHandler(req, res, next) {
   try {
-    const data = await serviceUpdateTenant(req.params.id, req.body);
+    const data = await serviceUpdateTenant(
+      req.params.id,
+      req.body,
+      expectedVersionFrom(req)
+    );
+    setETag(res, data);
     return sendSuccess(res, data, "Tenant partially updated successfully");
   } catch (err) {
     if (err instanceof z.ZodError) return handleZodError(res, err);
@@ -1,9 +1,25 @@
 import { db } from "../../../services/firestore.client.js";
+import {
+  servicePath,
+  platformPath,
+} from "../../../utilities/country-context.util.js";
+import { PLATFORM_COUNTRY } from "../../../config/countries.config.js";
+import { updateWithVersion } from "../../../utilities/concurrency.util.js";
+import {
+  moveToTrash,
+  restoreFromTrash,
+  listTrash,
+} from "../../../utilities/soft-delete.util.js";
 
-const serviceId = "southAfrica";
-
+// Tenants live in their country's partition: touchAfrica/{country}/tenants
 function tenantsCol() {
-  return db.collection(`touchAfrica/${serviceId}/tenants`);
+  return db.collection(servicePath("tenants"));
+}
+
+// Platform-wide index of tenantId -> country, used to route tenant-scoped
+// requests to the right partition
+function directoryCol() {
+  return db.collection(platformPath("tenantDirectory"));
 }
 
 export async function createTenant(model) {
@@ -17,15 +33,49 @@ export async function getTenantById(id) {
   return snap.exists ? snap.data() : null;
 }
 
-export async function updateTenantById(id, data) {
-  await tenantsCol().doc(id).set(data, { merge: true });
+// Bumps recordVersion; rejects with 412 when expectedVersion (If-Match) is stale
+export async function updateTenantById(id, data, expectedVersion = null) {
+  const { version } = await updateWithVersion(tenantsCol().doc(id), data, {
+    expected: expectedVersion,
+    method: "set",
+    resource: "Tenant",
+  });
+  return version;
 }
 
-export async function deleteTenantById(id) {
-  await tenantsCol().doc(id).delete();
+// Soft delete: moves the tenant document into the partition's tenantsTrash.
+// Subcollections (people, roles, ...) are left in place so a restore is lossless
+export async function deleteTenantById(id, actor) {
+  await moveToTrash(servicePath("tenants"), id, actor, { resource: "Tenant" });
+}
+
+export async function listTrashedTenants(options = {}) {
+  return listTrash(servicePath("tenants"), options);
+}
+
+export async function restoreTenantById(id, actor) {
+  return restoreFromTrash(servicePath("tenants"), id, actor, {
+    resource: "Tenant",
+  });
 }
 
 export async function listTenants() {
   const col = await tenantsCol().get();
   return col.docs.map((d) => d.data());
 }
+
+export async function setTenantDirectoryEntry(id, entry) {
+  await directoryCol().doc(id).set(entry, { merge: true });
+}
+
+/**
+ * Resolve the country a tenant belongs to
+ * Tenants created before multi-country support have no directory entry and
+ * live in the platform (South Africa) partition.
+ * @param {string} id - Tenant ID
+ * @returns {Promise<string>} Country key
+ */
+export async function getTenantCountry(id) {
+  const snap = await directoryCol().doc(id).get();
+  return (snap.exists && snap.data()?.country) || PLATFORM_COUNTRY;
+}
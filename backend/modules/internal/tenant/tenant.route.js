@@ -19,15 +19,26 @@ import {
   getTenantsStatsHandler,
   updateTenantHandler,
   deleteTenantHandler,
+  listTrashedTenantsHandler,
+  restoreTenantHandler,
+  purgeTenantHandler,
   activateTenantHandler,
   deactivateTenantHandler,
   patchTenantHandler,
   getTenantNamesPublicHandler,
   getTenantMinimalPublicHandler,
 } from "./tenant.controller.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+import { serviceGetTenantById } from "./tenant.service.js";
 
 const router = express.Router();
 
+const auditTenant = (action) =>
+  audit("tenant", {
+    action,
+    load: (id) => serviceGetTenantById(id),
+  });
+
 // Public, non-authenticated route for tenant names (for dropdowns)
 router.get("/tenants/names", getTenantNamesPublicHandler);
 // Public, minimal tenants list
@@ -37,6 +48,7 @@ router.post(
   "/internal/tenants",
   authenticateJWT,
   checkPermissions("tenant.create", "all.access"),
+  auditTenant(),
   createTenantHandler
 );
 
@@ -75,6 +87,7 @@ router.post(
     "tenant.delete",
     "all.access"
   ),
+  auditTenant("bulk"),
   bulkTenantsHandler
 );
 
@@ -91,6 +104,28 @@ router.get(
   listTenantsHandler
 );
 
+// Trash (soft-deleted tenants in the request's country partition)
+router.get(
+  "/internal/tenants/trash",
+  authenticateJWT,
+  checkPermissions("tenant.restore", "all.access"),
+  listTrashedTenantsHandler
+);
+router.delete(
+  "/internal/tenants/trash/:id",
+  authenticateJWT,
+  checkPermissions("tenant.purge", "all.access"),
+  auditTenant("purge"),
+  purgeTenantHandler
+);
+router.post(
+  "/internal/tenants/:id/restore",
+  authenticateJWT,
+  checkPermissions("tenant.restore", "all.access"),
+  auditTenant("restore"),
+  restoreTenantHandler
+);
+
 router.get(
   "/internal/tenants/:id",
   authenticateJWT,
@@ -101,18 +136,21 @@ router.put(
   "/internal/tenants/:id",
   authenticateJWT,
   checkPermissions("tenant.update", "all.access"),
+  auditTenant(),
   updateTenantHandler
 );
 router.patch(
   "/internal/tenants/:id",
   authenticateJWT,
   checkPermissions("tenant.update", "all.access"),
+  auditTenant(),
   patchTenantHandler
 );
 router.delete(
   "/internal/tenants/:id",
   authenticateJWT,
   checkPermissions("tenant.delete", "all.access"),
+  auditTenant(),
   deleteTenantHandler
 );
 
@@ -121,12 +159,14 @@ router.put(
   "/internal/tenants/:id/activate",
   authenticateJWT,
   checkPermissions("tenant.update", "all.access"),
+  auditTenant("activate"),
   activateTenantHandler
 );
 router.put(
   "/internal/tenants/:id/deactivate",
   authenticateJWT,
   checkPermissions("tenant.update", "all.access"),
+  auditTenant("deactivate"),
   deactivateTenantHandler
 );
 
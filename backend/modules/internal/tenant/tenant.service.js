@@ -8,38 +8,89 @@ import {
   getTenantById,
   updateTenantById,
   deleteTenantById,
+  listTrashedTenants,
+  restoreTenantById,
   listTenants,
+  setTenantDirectoryEntry,
+  getTenantCountry,
 } from "./tenant.firestore.js";
 import { db } from "../../../services/firestore.client.js";
 // Copy helpers will use external tenant Firestore modules for writes
 import { createExternalPermission } from "../../external/tenant/permission/permission.firestore.js";
 import { createExternalRole } from "../../external/tenant/role/role.firestore.js";
 import {
-  buildFirestoreQuery,
-  applySearch,
   applyFieldSelection,
-  createPaginationMeta,
   convertToCSV,
   convertToJSON,
 } from "../../../utilities/query.util.js";
+import { executeQuery } from "../../../utilities/query-planner.util.js";
+import {
+  runWithCountry,
+  getCurrentCountry,
+  servicePath,
+  platformPath,
+} from "../../../utilities/country-context.util.js";
+import { resolveCountryKey } from "../../../config/countries.config.js";
+import { APIError } from "../../../utilities/error-handler.util.js";
+import { purgeTrashedTenant } from "../tenant.offboarding/tenant.offboarding.service.js";
+
+// Query planner configuration for tenant lists
+const TENANT_QUERY_FIELD_MAP = {
+  createdAt: "created.when",
+  updatedAt: "updated.when",
+};
+const TENANT_NATIVE_SORT_FIELDS = ["name", "created.when", "updated.when"];
+const TENANT_SEARCH_FIELDS = [
+  "name", // Primary field
+  "title",
+  "slug",
+  "contact.email",
+  "contact.phoneNumber",
+  "contactEmail",
+  "contactPhone",
+  "email",
+  "phone",
+  "address.locality",
+  "address.city",
+  "address.province",
+  "activationResponseBlockName",
+  "description",
+];
 
 function sanitize(x) {
   return x; // nothing sensitive in tenant at present
 }
 
+// Run fn inside the country partition the tenant belongs to
+async function inTenantCountry(tenantId, fn) {
+  const country = await getTenantCountry(tenantId);
+  return runWithCountry(country, fn);
+}
+
 export async function serviceCreateTenant(payload, actor = "system") {
-  const parsed = TenantSchema.parse(payload);
-
-  const id = newTenantId();
-  const model = {
-    id,
-    ...parsed,
-    created: { by: actor, when: new Date().toISOString() },
-    // Ensure account structure with defaults from schema
-    account: parsed.account || { isActive: { value: true, changes: [] } },
-  };
-  const saved = await createTenant(model);
-  return sanitize(saved);
+  // Tenant country defaults to the request's country (X-Country header)
+  const country = resolveCountryKey(payload?.country) || getCurrentCountry();
+
+  return runWithCountry(country, async () => {
+    const parsed = TenantSchema.parse(payload);
+
+    const id = newTenantId();
+    const model = {
+      id,
+      ...parsed,
+      country,
+      created: { by: actor, when: new Date().toISOString() },
+      // Ensure account structure with defaults from schema
+      account: parsed.account || { isActive: { value: true, changes: [] } },
+    };
+    const saved = await createTenant(model);
+    await setTenantDirectoryEntry(id, {
+      country,
+      name: model.name,
+      created: model.created,
+    });
+    return sanitize(saved);
+  });
 }
 
 /**
@@ -54,12 +105,19 @@ export async function copyStandardPermissionsAndRolesToTenant(
   if (!tenantId)
     throw new Error("Tenant ID is required to copy permissions/roles");
 
+  // Standard templates are platform-wide; the copies land in the tenant's
+  // country partition
+  return inTenantCountry(tenantId, () =>
+    copyStandardsIntoTenant(tenantId, actor)
+  );
+}
+
+async function copyStandardsIntoTenant(tenantId, actor) {
   const now = new Date().toISOString();
 
-  // Firestore collection paths (must match existing modules; do not change)
-  const STANDARD_PERMISSIONS_PATH =
-    "touchAfrica/southAfrica/standardPermissions";
-  const STANDARD_ROLES_PATH = "touchAfrica/southAfrica/standardRoles";
+  // Platform-wide standard templates (must match the standard.* modules)
+  const STANDARD_PERMISSIONS_PATH = platformPath("standardPermissions");
+  const STANDARD_ROLES_PATH = platformPath("standardRoles");
 
   // 1) Copy Standard Permissions -> Tenant Permissions
   const stdPermSnapshot = await db.collection(STANDARD_PERMISSIONS_PATH).get();
@@ -110,108 +168,55 @@ export async function copyStandardPermissionsAndRolesToTenant(
 }
 
 export async function serviceGetTenantById(id) {
-  const data = await getTenantById(id);
-  return data ? sanitize(data) : null;
+  return inTenantCountry(id, async () => {
+    const data = await getTenantById(id);
+    return data ? sanitize(data) : null;
+  });
 }
 
 export async function serviceListTenants(queryParams = {}) {
   try {
     console.log("🏢 serviceListTenants called with queryParams:", queryParams);
 
-    // Parse query parameters to ensure proper structure for pagination
-    const parsedParams = {
-      page: parseInt(queryParams.page) || 1,
-      limit: parseInt(queryParams.limit) || 20,
-      q: queryParams.q || "",
-      search: queryParams.search,
-      searchFields: queryParams.searchFields,
-      fields: queryParams.fields,
-      exclude: queryParams.exclude,
-      pagination: {
-        page: parseInt(queryParams.page) || 1,
-        limit: parseInt(queryParams.limit) || 20,
-      },
-    };
+    // Filters, sort and pagination run natively in Firestore where possible;
+    // text search falls back to in-memory processing.
+    const collection = db.collection(servicePath("tenants"));
+    const result = await executeQuery(collection, queryParams, {
+      fieldMap: TENANT_QUERY_FIELD_MAP,
+      nativeSortFields: TENANT_NATIVE_SORT_FIELDS,
+      searchFields: TENANT_SEARCH_FIELDS,
+    });
+    console.log(
+      `📊 Query plan: ${result.plan.mode}${
+        result.plan.reasons.length ? ` (${result.plan.reasons.join("; ")})` : ""
+      }`
+    );
 
-    console.log("🔧 Parsed params for pagination:", parsedParams);
-
-    // Directly query the collection
-    const collection = db.collection("touchAfrica/southAfrica/tenants");
-    const snapshot = await collection.get();
-
-    let tenants = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-    console.log(`📊 Found ${tenants.length} total tenants before filtering`);
-
-    // Apply search if specified
-    const searchQuery = queryParams.search?.query || queryParams.q;
-    console.log(`🔍 Search query detected: "${searchQuery}"`);
-    console.log(`🔍 Full search object:`, queryParams.search);
-    if (searchQuery) {
-      const searchFields = queryParams.search?.fields ||
-        queryParams.searchFields || [
-          "name", // Primary field
-          "title",
-          "slug",
-          "contact.email",
-          "contact.phoneNumber",
-          "contactEmail",
-          "contactPhone",
-          "email",
-          "phone",
-          "address.locality",
-          "address.city",
-          "address.province",
-          "activationResponseBlockName",
-          "description",
-        ];
-
-      console.log(`🔍 Search fields:`, searchFields);
-      console.log(`🔍 Total tenants before search: ${tenants.length}`);
-
-      // Fix: applySearch expects a searchParams object with query and fields properties
-      const searchParams = {
-        query: searchQuery,
-        fields: searchFields,
-        type: "contains", // Default search type
-      };
-      console.log(`🔍 Search params:`, searchParams);
-
-      tenants = applySearch(tenants, searchParams);
-      console.log(`🔍 After search filtering: ${tenants.length} tenants found`);
-    } else {
-      console.log(`🔍 No search query provided`);
-    }
+    let tenants = result.data;
 
     // Apply field selection
-    if (queryParams.fields || queryParams.exclude) {
-      tenants = applyFieldSelection(tenants, queryParams);
+    if (queryParams.fields) {
+      tenants = applyFieldSelection(tenants, queryParams.fields);
     }
 
-    // Add isActive flag for compatibility
+    // Add isActive flag for compatibility; legacy tenants have no country
+    const country = getCurrentCountry();
     tenants = tenants.map((t) => ({
       ...t,
+      country: t.country || country,
       isActive: !!t?.account?.isActive?.value,
     }));
 
     // Apply sanitization
     tenants = tenants.map(sanitize);
 
-    // Create pagination metadata using the EXACT same pattern as person service
-    const pagination = createPaginationMeta(tenants.length, queryParams);
-    console.log("📊 Generated pagination metadata:", pagination);
-
-    // Apply pagination to results
-    const startIndex = (pagination.page - 1) * pagination.limit;
-    const endIndex = startIndex + pagination.limit;
-    const paginatedTenants = tenants.slice(startIndex, endIndex);
-
     console.log(
-      `✅ Returning ${paginatedTenants.length} tenants (page ${pagination.page} of ${pagination.pages})`
+      `✅ Returning ${tenants.length} tenants (page ${result.pagination.page} of ${result.pagination.pages})`
     );
 
     return {
-      data: paginatedTenants,
-      pagination,
+      data: tenants,
+      pagination: result.pagination,
     };
   } catch (error) {
     console.error("❌ Error in serviceListTenants:", error);
@@ -305,7 +310,7 @@ export async function serviceBulkTenants(operation, data, filters, actor) {
 
         for (const id of idsToDelete) {
           try {
-            await serviceDeleteTenant(id);
+            await serviceDeleteTenant(id, actor);
             results.success++;
           } catch (error) {
             results.failed++;
@@ -456,7 +461,14 @@ export async function serviceGetTenantsStats(queryParams = {}) {
   }
 }
 
-export async function serviceUpdateTenant(id, patch) {
+// expectedVersion: If-Match versions from the client (null = unconditional)
+export async function serviceUpdateTenant(id, patch, expectedVersion = null) {
+  return inTenantCountry(id, () =>
+    updateTenantInCountry(id, patch, expectedVersion)
+  );
+}
+
+async function updateTenantInCountry(id, patch, expectedVersion) {
   console.log("🔄 serviceUpdateTenant called with:", { id, patch });
 
   // Get current tenant data for merging
@@ -467,6 +479,19 @@ export async function serviceUpdateTenant(id, patch) {
     throw err;
   }
 
+  // A tenant's data lives in its country partition, so the country is fixed
+  const currentCountry = current.country || getCurrentCountry();
+  if (
+    patch.country !== undefined &&
+    resolveCountryKey(patch.country) !== currentCountry
+  ) {
+    throw new APIError(
+      "Tenant country cannot be changed",
+      400,
+      "COUNTRY_IMMUTABLE"
+    );
+  }
+
   // Handle partial contact updates by merging with existing contact data
   if (patch.contact && current.contact) {
     patch.contact = {
@@ -475,21 +500,50 @@ export async function serviceUpdateTenant(id, patch) {
     };
   }
 
+  if (patch.settings && current.settings) {
+    patch.settings = {
+      ...current.settings,
+      ...patch.settings,
+    };
+  }
+
   console.log("🔄 Merged patch:", patch);
 
   const parsed = TenantUpdateSchema.parse(patch);
   console.log("✅ Validation passed, updating tenant");
 
-  await updateTenantById(id, parsed);
+  await updateTenantById(id, parsed, expectedVersion);
   return await serviceGetTenantById(id);
 }
 
-export async function serviceDeleteTenant(id) {
-  await deleteTenantById(id);
+// Soft delete - the directory entry is kept so the tenant can be restored
+export async function serviceDeleteTenant(id, actor = "system") {
+  await inTenantCountry(id, () => deleteTenantById(id, actor));
+}
+
+// Trashed tenants in the request's country partition
+export async function serviceListTrashedTenants(queryParams = {}) {
+  return listTrashedTenants({
+    limit: queryParams.limit,
+    cursor: queryParams.cursor,
+  });
+}
+
+export async function serviceRestoreTenant(id, actor = "system") {
+  return inTenantCountry(id, () => restoreTenantById(id, actor));
+}
+
+// Permanently delete a trashed tenant with everything stored under it
+export async function servicePurgeTenant(id, actor = "system") {
+  await purgeTrashedTenant(id, actor);
 }
 
 // Activate a tenant (toggle account.isActive and append change history)
 export async function serviceActivateTenant(id, actor = "system") {
+  return inTenantCountry(id, () => activateTenantInCountry(id, actor));
+}
+
+async function activateTenantInCountry(id, actor) {
   const current = await getTenantById(id);
   if (!current) {
     const err = new Error("Tenant not found");
@@ -516,6 +570,10 @@ export async function serviceActivateTenant(id, actor = "system") {
 
 // Deactivate a tenant (toggle account.isActive and append change history)
 export async function serviceDeactivateTenant(id, actor = "system") {
+  return inTenantCountry(id, () => deactivateTenantInCountry(id, actor));
+}
+
+async function deactivateTenantInCountry(id, actor) {
   const current = await getTenantById(id);
   if (!current) {
     const err = new Error("Tenant not found");
@@ -544,7 +602,7 @@ export async function serviceDeactivateTenant(id, actor = "system") {
 // Public service: list tenant names only (no auth required via route)
 export async function serviceGetTenantNames() {
   // Directly query the collection for minimal data and build names list
-  const collection = db.collection("touchAfrica/southAfrica/tenants");
+  const collection = db.collection(servicePath("tenants"));
   const snapshot = await collection.get();
 
   const names = [];
@@ -568,7 +626,7 @@ export async function serviceGetTenantNames() {
 
 // Public service: list minimal tenant info { id, name }
 export async function serviceGetTenantMinimal() {
-  const collection = db.collection("touchAfrica/southAfrica/tenants");
+  const collection = db.collection(servicePath("tenants"));
   const snapshot = await collection.get();
 
   const items = [];
@@ -1,14 +1,26 @@
 import { z } from "zod";
 import {
   EMAIL_REGEX,
-  SA_PHONE_REGEX,
   VALIDATION_MESSAGES,
 } from "../../../utilities/validation-patterns.js";
+import {
+  isSupportedCountry,
+  resolveCountryKey,
+} from "../../../config/countries.config.js";
+import { countryPhoneSchema } from "../../../utilities/country-validation.util.js";
+import { SA_ID_VALIDATION_MODES } from "../../../utilities/sa-id.util.js";
+
+// Country key ("botswana") or ISO code ("BW"), stored as the country key
+const CountrySchema = z
+  .string()
+  .refine(isSupportedCountry, { message: "Unsupported country" })
+  .transform(resolveCountryKey);
 
 export const TenantSchema = z.object({
   name: z.string().min(3).max(50),
+  country: CountrySchema.optional(),
   contact: z.object({
-    phoneNumber: z.string().regex(SA_PHONE_REGEX, VALIDATION_MESSAGES.SA_PHONE),
+    phoneNumber: countryPhoneSchema(),
     email: z.string().regex(EMAIL_REGEX, VALIDATION_MESSAGES.EMAIL),
   }),
   account: z
@@ -19,15 +31,20 @@ export const TenantSchema = z.object({
       }),
     })
     .default({ isActive: { value: true, changes: [] } }),
+  settings: z
+    .object({
+      // strict rejects SA ID problems, warn keeps the person and flags them
+      saIdValidation: z
+        .enum(Object.values(SA_ID_VALIDATION_MODES))
+        .optional(),
+    })
+    .optional(),
 });
 
 export const TenantUpdateSchema = TenantSchema.partial().extend({
   contact: z
     .object({
-      phoneNumber: z
-        .string()
-        .regex(SA_PHONE_REGEX, VALIDATION_MESSAGES.SA_PHONE)
-        .optional(),
+      phoneNumber: countryPhoneSchema().optional(),
       email: z
         .string()
         .regex(EMAIL_REGEX, VALIDATION_MESSAGES.EMAIL)
@@ -4,8 +4,9 @@
  */
 
 import { db } from "../../../services/firestore.client.js";
+import { platformPath } from "../../../utilities/country-context.util.js";
 
-export const COLLECTION_PATH = "touchAfrica/southAfrica/todos";
+export const COLLECTION_PATH = platformPath("todos");
 
 /**
  * Create a new todo in Firestore
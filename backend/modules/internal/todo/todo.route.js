@@ -5,14 +5,27 @@
 
 import express from "express";
 import * as todoController from "./todo.controller.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+import { getTodoById } from "./todo.firestore.js";
 
 const router = express.Router();
 
+const auditTodo = (action) =>
+  audit("todo", {
+    action,
+    idField: "todoId",
+    load: (id) => getTodoById(id),
+  });
+
 // Statistics endpoint (must come before /:id to avoid conflict)
 router.get("/internal/todos/stats", todoController.getTodoStats);
 
 // Bulk operations endpoints
-router.patch("/internal/todos/bulk", todoController.bulkUpdateTodos);
+router.patch(
+  "/internal/todos/bulk",
+  auditTodo("bulk"),
+  todoController.bulkUpdateTodos
+);
 
 // Filter endpoints
 router.get("/internal/todos/completed", todoController.getCompletedTodos);
@@ -23,11 +36,15 @@ router.get(
 );
 
 // CRUD endpoints
-router.post("/internal/todos", todoController.createTodo);
+router.post("/internal/todos", auditTodo(), todoController.createTodo);
 router.get("/internal/todos", todoController.getAllTodos);
 router.get("/internal/todos/:id", todoController.getTodoById);
-router.put("/internal/todos/:id", todoController.updateTodo);
-router.patch("/internal/todos/:id/toggle", todoController.toggleTodoCompletion);
-router.delete("/internal/todos/:id", todoController.deleteTodo);
+router.put("/internal/todos/:id", auditTodo(), todoController.updateTodo);
+router.patch(
+  "/internal/todos/:id/toggle",
+  auditTodo("update"),
+  todoController.toggleTodoCompletion
+);
+router.delete("/internal/todos/:id", auditTodo(), todoController.deleteTodo);
 
 export default router;
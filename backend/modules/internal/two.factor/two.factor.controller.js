@@ -0,0 +1,217 @@
+import { z } from "zod";
+import {
+  TwoFactorCodeSchema,
+  ChallengeSchema,
+  ChallengeCodeSchema,
+  ChallengeVerifySchema,
+  TWO_FACTOR_ACCOUNT_TYPES,
+} from "./two.factor.validation.js";
+import {
+  verifyTwoFactorLogin,
+  startChallengeEnrollment,
+  confirmChallengeEnrollment,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetTwoFactor,
+} from "./two.factor.service.js";
+import { setSessionCookies } from "../../../utilities/auth-enhanced.util.js";
+import { AuthorizationError } from "../../../utilities/error-handler.util.js";
+import {
+  sendSuccess,
+  handleZodError,
+} from "../../../utilities/response.util.js";
+
+/**
+ * Handlers for the second login step (/auth/2fa/challenge/...), the
+ * caller's own two-factor settings (/auth/2fa/...) and resetting an
+ * admin's, the platform's (/internal/admins/:id/2fa) or a tenant's
+ * (/:tenantId/admins/:id/2fa)
+ */
+
+function actorFrom(req) {
+  const p = req.admin || req.user || {};
+  return p.id || p.email || "anonymous";
+}
+
+// Platform routes have no tenantId param
+function scopeOf(req) {
+  return req.params.tenantId || null;
+}
+
+function clientOf(req) {
+  return { ip: req.ip || null, userAgent: req.get("user-agent") || null };
+}
+
+// The caller's account; two-factor is for admins
+function accountOf(req) {
+  const p = req.admin || req.user || {};
+  if (!TWO_FACTOR_ACCOUNT_TYPES.includes(p.type)) {
+    throw new AuthorizationError(
+      "Two-factor authentication is only available to admins"
+    );
+  }
+  return {
+    tenantId: p.tenantId || null,
+    id: p.id,
+    email: p.email,
+    roles: p.roles || [],
+  };
+}
+
+// The session started by a passed challenge, shaped like a login response
+function sendLogin(res, { tokens, profile }, extra, message) {
+  setSessionCookies(res, tokens);
+  return sendSuccess(
+    res,
+    {
+      admin: profile,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      ...extra,
+    },
+    message
+  );
+}
+
+// POST /auth/2fa/challenge/verify - pass the second login step
+export async function verifyChallengeHandler(req, res, next) {
+  try {
+    const { challengeToken, code, recoveryCode } =
+      ChallengeVerifySchema.parse(req.body || {});
+    const result = await verifyTwoFactorLogin(
+      challengeToken,
+      { code, recoveryCode },
+      clientOf(req)
+    );
+    return sendLogin(
+      res,
+      result,
+      { recoveryCodesRemaining: result.recoveryCodesRemaining },
+      "Login successful"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST /auth/2fa/challenge/enroll - secret and QR code for required setup
+export async function enrollChallengeHandler(req, res, next) {
+  try {
+    const { challengeToken } = ChallengeSchema.parse(req.body || {});
+    const enrollment = await startChallengeEnrollment(challengeToken);
+    return sendSuccess(
+      res,
+      enrollment,
+      "Scan the QR code with your authenticator app"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST /auth/2fa/challenge/confirm - finish required setup and sign in
+export async function confirmChallengeHandler(req, res, next) {
+  try {
+    const { challengeToken, code } = ChallengeCodeSchema.parse(
+      req.body || {}
+    );
+    const result = await confirmChallengeEnrollment(
+      challengeToken,
+      code,
+      clientOf(req)
+    );
+    return sendLogin(
+      res,
+      result,
+      { recoveryCodes: result.recoveryCodes },
+      "Two-factor authentication enabled; login successful"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// GET /auth/2fa - the caller's two-factor status
+export async function getTwoFactorStatusHandler(req, res, next) {
+  try {
+    const status = await getTwoFactorStatus(accountOf(req));
+    return sendSuccess(res, status, "Two-factor status retrieved");
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /auth/2fa/enroll - start adding an authenticator app
+export async function startEnrollmentHandler(req, res, next) {
+  try {
+    const enrollment = await startEnrollment(accountOf(req));
+    return sendSuccess(
+      res,
+      enrollment,
+      "Scan the QR code with your authenticator app"
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /auth/2fa/confirm - finish adding it with a first code
+export async function confirmEnrollmentHandler(req, res, next) {
+  try {
+    const { code } = TwoFactorCodeSchema.parse(req.body || {});
+    const recoveryCodes = await confirmEnrollment(accountOf(req), code);
+    return sendSuccess(
+      res,
+      { enabled: true, recoveryCodes },
+      "Two-factor authentication enabled"
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST /auth/2fa/recovery-codes - replace the recovery codes
+export async function regenerateRecoveryCodesHandler(req, res, next) {
+  try {
+    const { code } = TwoFactorCodeSchema.parse(req.body || {});
+    const recoveryCodes = await regenerateRecoveryCodes(accountOf(req), code);
+    return sendSuccess(res, { recoveryCodes }, "Recovery codes replaced");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// POST /auth/2fa/disable - remove the authenticator app
+export async function disableTwoFactorHandler(req, res, next) {
+  try {
+    const { code } = TwoFactorCodeSchema.parse(req.body || {});
+    const status = await disableTwoFactor(accountOf(req), code);
+    return sendSuccess(res, status, "Two-factor authentication disabled");
+  } catch (err) {
+    if (err instanceof z.ZodError) return handleZodError(res, err);
+    next(err);
+  }
+}
+
+// DELETE .../admins/:id/2fa - reset an admin's two-factor (lost device)
+export async function resetTwoFactorHandler(req, res, next) {
+  try {
+    const status = await resetTwoFactor(
+      scopeOf(req),
+      req.params.id,
+      actorFrom(req)
+    );
+    return sendSuccess(res, status, "Two-factor authentication reset");
+  } catch (err) {
+    next(err);
+  }
+}
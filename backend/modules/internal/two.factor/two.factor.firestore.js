@@ -0,0 +1,123 @@
+import { db } from "../../../services/firestore.client.js";
+import {
+  platformPath,
+  tenantPath,
+} from "../../../utilities/country-context.util.js";
+import { MAX_CHALLENGE_ATTEMPTS } from "./two.factor.validation.js";
+
+/**
+ * Two-factor state lives next to the accounts it belongs to, the
+ * platform's (internal admins, tenantId null) or a tenant's: one document
+ * per account in `twoFactor` (keyed by the account ID, kept out of the
+ * admin record so it never shows up in admin responses), and the pending
+ * login steps in `twoFactorChallenges`
+ */
+
+function scopedPath(tenantId, collection) {
+  return tenantId ? tenantPath(tenantId, collection) : platformPath(collection);
+}
+
+function stateDoc(tenantId, subjectId) {
+  return db.collection(scopedPath(tenantId, "twoFactor")).doc(subjectId);
+}
+
+function challengeDoc(tenantId, id) {
+  return db.collection(scopedPath(tenantId, "twoFactorChallenges")).doc(id);
+}
+
+export async function getTwoFactor(tenantId, subjectId) {
+  const snap = await stateDoc(tenantId, subjectId).get();
+  return snap.exists ? snap.data() : null;
+}
+
+export async function saveTwoFactor(tenantId, subjectId, data) {
+  await stateDoc(tenantId, subjectId).set(
+    { ...data, subjectId, updatedAt: new Date().toISOString() },
+    { merge: true }
+  );
+}
+
+export async function deleteTwoFactor(tenantId, subjectId) {
+  await stateDoc(tenantId, subjectId).delete();
+}
+
+/**
+ * Record that an app code was used; each time step counts once, so a code
+ * seen over someone's shoulder can't be replayed
+ * @returns {Promise<boolean>} Whether the step was still unused
+ */
+export async function useTotpStep(tenantId, subjectId, step) {
+  const ref = stateDoc(tenantId, subjectId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return false;
+    const { lastUsedStep } = snap.data();
+    if (lastUsedStep != null && step <= lastUsedStep) return false;
+    tx.update(ref, { lastUsedStep: step });
+    return true;
+  });
+}
+
+/**
+ * Use up a recovery code
+ * @returns {Promise<number|null>} Codes left, or null if it isn't one
+ */
+export async function useRecoveryCode(tenantId, subjectId, codeHash) {
+  const ref = stateDoc(tenantId, subjectId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const codes = snap.exists ? snap.data().recoveryCodes || [] : [];
+    if (!codes.includes(codeHash)) return null;
+    const left = codes.filter((hash) => hash !== codeHash);
+    tx.update(ref, { recoveryCodes: left });
+    return left.length;
+  });
+}
+
+export async function createChallenge(tenantId, challenge) {
+  await challengeDoc(tenantId, challenge.id).set(challenge);
+  return challenge;
+}
+
+/**
+ * Open a login challenge, counting the attempt when a code is checked
+ * @param {string|null} tenantId
+ * @param {string} id - Challenge ID
+ * @param {Object} options - { count: false to only look }
+ * @returns {Promise<Object>} { outcome: "ok" | "missing" | "used" |
+ *   "locked", challenge }
+ */
+export async function claimChallengeAttempt(
+  tenantId,
+  id,
+  { count = true } = {}
+) {
+  const ref = challengeDoc(tenantId, id);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return { outcome: "missing" };
+    const challenge = snap.data();
+    if (challenge.completedAt) return { outcome: "used", challenge };
+    if ((challenge.attempts || 0) >= MAX_CHALLENGE_ATTEMPTS) {
+      return { outcome: "locked", challenge };
+    }
+    if (!count) return { outcome: "ok", challenge };
+    const attempts = (challenge.attempts || 0) + 1;
+    tx.update(ref, { attempts });
+    return { outcome: "ok", challenge: { ...challenge, attempts } };
+  });
+}
+
+/**
+ * Mark a login challenge as passed
+ * @returns {Promise<boolean>} False if it had already been used
+ */
+export async function completeChallenge(tenantId, id) {
+  const ref = challengeDoc(tenantId, id);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().completedAt) return false;
+    tx.update(ref, { completedAt: new Date().toISOString() });
+    return true;
+  });
+}
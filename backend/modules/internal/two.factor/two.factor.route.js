@@ -0,0 +1,63 @@
+import express from "express";
+import { authenticateJWT } from "../../../middleware/auth.middleware.js";
+import { checkPermissions } from "../../../middleware/permission.middleware.js";
+import {
+  verifyChallengeHandler,
+  enrollChallengeHandler,
+  confirmChallengeHandler,
+  getTwoFactorStatusHandler,
+  startEnrollmentHandler,
+  confirmEnrollmentHandler,
+  regenerateRecoveryCodesHandler,
+  disableTwoFactorHandler,
+  resetTwoFactorHandler,
+} from "./two.factor.controller.js";
+import { getInternalAdminById } from "../admin/admin.firestore.js";
+import { audit } from "../../../middleware/audit.middleware.js";
+
+/**
+ * Two-Factor Router
+ * The second login step and two-factor settings for any admin, and
+ * resetting the platform's admins' (the tenant admin route lives in
+ * external/tenant/two.factor)
+ */
+
+const router = express.Router();
+
+// Not protected: the challenge token from the login is the credential
+router.post("/auth/2fa/challenge/verify", verifyChallengeHandler);
+router.post("/auth/2fa/challenge/enroll", enrollChallengeHandler);
+router.post("/auth/2fa/challenge/confirm", confirmChallengeHandler);
+
+// GET /auth/2fa - The caller's two-factor status
+router.get("/auth/2fa", authenticateJWT, getTwoFactorStatusHandler);
+
+// POST /auth/2fa/enroll - Start adding an authenticator app
+router.post("/auth/2fa/enroll", authenticateJWT, startEnrollmentHandler);
+
+// POST /auth/2fa/confirm - Finish adding it with a first code
+router.post("/auth/2fa/confirm", authenticateJWT, confirmEnrollmentHandler);
+
+// POST /auth/2fa/recovery-codes - Replace the recovery codes
+router.post(
+  "/auth/2fa/recovery-codes",
+  authenticateJWT,
+  regenerateRecoveryCodesHandler
+);
+
+// POST /auth/2fa/disable - Remove the authenticator app
+router.post("/auth/2fa/disable", authenticateJWT, disableTwoFactorHandler);
+
+// DELETE /internal/admins/:id/2fa - Reset an admin's two-factor
+router.delete(
+  "/internal/admins/:id/2fa",
+  authenticateJWT,
+  checkPermissions("admin.update", "all.access"),
+  audit("admin", {
+    action: "reset-2fa",
+    load: (id) => getInternalAdminById(id),
+  }),
+  resetTwoFactorHandler
+);
+
+export default router;
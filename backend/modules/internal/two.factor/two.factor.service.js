@@ -0,0 +1,394 @@
+import {
+  getTwoFactor,
+  saveTwoFactor,
+  deleteTwoFactor,
+  useTotpStep,
+  useRecoveryCode,
+  createChallenge,
+  claimChallengeAttempt,
+  completeChallenge,
+} from "./two.factor.firestore.js";
+import {
+  TOTP_ISSUER,
+  TWO_FACTOR_REQUIRED_ROLES,
+  TWO_FACTOR_ACCOUNT_TYPES,
+  CHALLENGE_TTL,
+  CHALLENGE_STAGES,
+  newChallengeId,
+  newRecoveryCodes,
+  hashRecoveryCode,
+} from "./two.factor.validation.js";
+import { startSession } from "../session/session.service.js";
+import {
+  generateChallengeToken,
+  verifyChallengeToken,
+} from "../../../utilities/auth-enhanced.util.js";
+import {
+  generateTotpSecret,
+  otpauthUri,
+  verifyTotp,
+} from "../../../utilities/totp.util.js";
+import { qrDataUrl } from "../../../utilities/qr.util.js";
+import {
+  decryptValue,
+  encryptValue,
+  keyScope,
+} from "../../../utilities/field-encryption.util.js";
+import { resolveRoles } from "../../../utilities/permissions.util.js";
+import {
+  AuthenticationError,
+  AuthorizationError,
+  ConflictError,
+  ValidationError,
+} from "../../../utilities/error-handler.util.js";
+
+/**
+ * Two-Factor Authentication Service
+ * Admins (internal and tenant) can add an authenticator app (TOTP) to
+ * their account; admins holding a role that requires it must. When they
+ * have, the password alone no longer starts a session: the login returns
+ * a short-lived challenge token instead, and the session starts once the
+ * second step is passed with an app code or a one-time recovery code.
+ * Secrets are stored encrypted (field-encryption.util), recovery codes
+ * only as hashes.
+ */
+
+const INVALID_CHALLENGE =
+  "This sign-in attempt is no longer valid; please log in again";
+
+/**
+ * Whether any of the roles requires two-factor authentication: listed in
+ * TWO_FACTOR_REQUIRED_ROLES or flagged `twoFactorRequired`
+ * @param {string|null} tenantId
+ * @param {string[]} roles - Labels or codes, as on the admin record
+ */
+export async function isTwoFactorRequired(tenantId, roles) {
+  const resolved = await resolveRoles(roles, tenantId);
+  return resolved.some(
+    ({ roleCode, role }) =>
+      TWO_FACTOR_REQUIRED_ROLES.includes(roleCode) ||
+      role?.twoFactorRequired === true
+  );
+}
+
+function statusOf(state, required) {
+  return {
+    enabled: state?.enabled === true,
+    required,
+    enrolledAt: state?.enabled ? state.enrolledAt : null,
+    recoveryCodesRemaining: state?.enabled
+      ? (state.recoveryCodes || []).length
+      : 0,
+  };
+}
+
+// Check an app code; each code is accepted once
+async function checkAppCode(tenantId, subjectId, state, code) {
+  const step = verifyTotp(decryptValue(state.secret), code);
+  return step !== null && useTotpStep(tenantId, subjectId, step);
+}
+
+async function beginEnrollment(tenantId, subjectId, account) {
+  const state = await getTwoFactor(tenantId, subjectId);
+  if (state?.enabled) {
+    throw new ConflictError("Two-factor authentication is already enabled");
+  }
+  const secret = generateTotpSecret();
+  await saveTwoFactor(tenantId, subjectId, {
+    enabled: false,
+    pendingSecret: encryptValue(secret, keyScope(tenantId)),
+    pendingSince: new Date().toISOString(),
+  });
+  const uri = otpauthUri({
+    issuer: TOTP_ISSUER,
+    account: account || subjectId,
+    secret,
+  });
+  return { secret, otpauthUri: uri, qrCode: qrDataUrl(uri) };
+}
+
+async function completeEnrollment(tenantId, subjectId, code) {
+  const state = await getTwoFactor(tenantId, subjectId);
+  if (state?.enabled) {
+    throw new ConflictError("Two-factor authentication is already enabled");
+  }
+  if (!state?.pendingSecret) {
+    throw new ValidationError("Start the enrolment first", "code");
+  }
+  const step = verifyTotp(decryptValue(state.pendingSecret), code);
+  if (step === null) {
+    throw new ValidationError(
+      "Invalid code: check that your device's clock is correct",
+      "code"
+    );
+  }
+  const recoveryCodes = newRecoveryCodes();
+  await saveTwoFactor(tenantId, subjectId, {
+    enabled: true,
+    secret: state.pendingSecret,
+    pendingSecret: null,
+    pendingSince: null,
+    enrolledAt: new Date().toISOString(),
+    lastUsedStep: step,
+    recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+  });
+  console.log(`🔐 Two-factor authentication enabled for ${subjectId}`);
+  return recoveryCodes;
+}
+
+// --- Login ---
+
+/**
+ * Second login step, if the account needs one: called once the password
+ * checked out, instead of starting the session straight away
+ * @param {Object} options
+ * @param {string|null} options.tenantId
+ * @param {Object} options.claims - Access token claims for the session
+ * @param {Object} options.profile - What the login responds with besides
+ *   the tokens (the admin record)
+ * @returns {Promise<Object|null>} null when the session can start now,
+ *   otherwise { twoFactorRequired, stage, challengeToken, expiresIn }
+ */
+export async function beginTwoFactorLogin({
+  tenantId = null,
+  claims,
+  profile,
+}) {
+  if (!TWO_FACTOR_ACCOUNT_TYPES.includes(claims.type)) return null;
+
+  const state = await getTwoFactor(tenantId, claims.id);
+  let stage = null;
+  if (state?.enabled) {
+    stage = CHALLENGE_STAGES.VERIFY;
+  } else if (await isTwoFactorRequired(tenantId, claims.roles)) {
+    stage = CHALLENGE_STAGES.ENROLL;
+  }
+  if (!stage) return null;
+
+  const challenge = await createChallenge(tenantId, {
+    id: newChallengeId(),
+    tenantId,
+    subjectId: claims.id,
+    stage,
+    claims,
+    profile,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+  });
+  return {
+    twoFactorRequired: true,
+    stage,
+    challengeToken: generateChallengeToken(
+      { challengeId: challenge.id, tenantId },
+      CHALLENGE_TTL
+    ),
+    expiresIn: CHALLENGE_TTL,
+  };
+}
+
+async function openChallenge(token, stage, options) {
+  let decoded;
+  try {
+    decoded = verifyChallengeToken(token);
+  } catch (error) {
+    throw new AuthenticationError(error.message);
+  }
+  const tenantId = decoded.tenantId || null;
+  const { outcome, challenge } = await claimChallengeAttempt(
+    tenantId,
+    decoded.challengeId,
+    options
+  );
+  if (outcome === "locked") {
+    throw new AuthenticationError(
+      "Too many incorrect codes; please log in again"
+    );
+  }
+  if (outcome !== "ok" || challenge.stage !== stage) {
+    throw new AuthenticationError(INVALID_CHALLENGE);
+  }
+  return challenge;
+}
+
+async function finishLogin(challenge, client) {
+  if (!(await completeChallenge(challenge.tenantId, challenge.id))) {
+    throw new AuthenticationError(INVALID_CHALLENGE);
+  }
+  const tokens = await startSession({
+    tenantId: challenge.tenantId,
+    claims: challenge.claims,
+    client,
+  });
+  return { tokens, profile: challenge.profile };
+}
+
+/**
+ * Pass the second login step with an app code or a recovery code
+ * @param {string} challengeToken
+ * @param {Object} proof - { code } or { recoveryCode }
+ * @param {Object} client - { ip, userAgent }
+ * @returns {Promise<Object>} { tokens, profile, recoveryCodesRemaining }
+ */
+export async function verifyTwoFactorLogin(
+  challengeToken,
+  { code, recoveryCode },
+  client = {}
+) {
+  const challenge = await openChallenge(
+    challengeToken,
+    CHALLENGE_STAGES.VERIFY
+  );
+  const { tenantId, subjectId } = challenge;
+  const state = await getTwoFactor(tenantId, subjectId);
+  if (!state?.enabled) throw new AuthenticationError(INVALID_CHALLENGE);
+
+  let recoveryCodesRemaining = (state.recoveryCodes || []).length;
+  if (code) {
+    if (!(await checkAppCode(tenantId, subjectId, state, code))) {
+      throw new AuthenticationError("Invalid authentication code");
+    }
+  } else {
+    recoveryCodesRemaining = await useRecoveryCode(
+      tenantId,
+      subjectId,
+      hashRecoveryCode(recoveryCode)
+    );
+    if (recoveryCodesRemaining === null) {
+      throw new AuthenticationError("Invalid recovery code");
+    }
+    console.log(
+      `🔐 Recovery code used by ${subjectId} (${recoveryCodesRemaining} left)`
+    );
+  }
+
+  const result = await finishLogin(challenge, client);
+  return { ...result, recoveryCodesRemaining };
+}
+
+/**
+ * Enrolment required by the account's roles, during login: the secret and
+ * QR code to add to an authenticator app
+ */
+export async function startChallengeEnrollment(challengeToken) {
+  const challenge = await openChallenge(
+    challengeToken,
+    CHALLENGE_STAGES.ENROLL,
+    { count: false }
+  );
+  return beginEnrollment(
+    challenge.tenantId,
+    challenge.subjectId,
+    challenge.claims.email
+  );
+}
+
+/**
+ * Finish an enrolment during login with a first app code; the session
+ * starts and the recovery codes are returned (shown once)
+ * @returns {Promise<Object>} { tokens, profile, recoveryCodes }
+ */
+export async function confirmChallengeEnrollment(
+  challengeToken,
+  code,
+  client = {}
+) {
+  const challenge = await openChallenge(
+    challengeToken,
+    CHALLENGE_STAGES.ENROLL
+  );
+  const recoveryCodes = await completeEnrollment(
+    challenge.tenantId,
+    challenge.subjectId,
+    code
+  );
+  const result = await finishLogin(challenge, client);
+  return { ...result, recoveryCodes };
+}
+
+// --- Signed-in accounts ---
+
+/**
+ * @param {Object} account - { tenantId, id, roles }
+ * @returns {Promise<Object>} { enabled, required, enrolledAt,
+ *   recoveryCodesRemaining }
+ */
+export async function getTwoFactorStatus({ tenantId = null, id, roles }) {
+  const [state, required] = await Promise.all([
+    getTwoFactor(tenantId, id),
+    isTwoFactorRequired(tenantId, roles),
+  ]);
+  return statusOf(state, required);
+}
+
+/**
+ * Start adding an authenticator app
+ * @param {Object} account - { tenantId, id, email }
+ * @returns {Promise<Object>} { secret, otpauthUri, qrCode }
+ */
+export async function startEnrollment({ tenantId = null, id, email }) {
+  return beginEnrollment(tenantId, id, email);
+}
+
+/**
+ * Finish adding an authenticator app with a first code
+ * @returns {Promise<string[]>} Recovery codes (shown once)
+ */
+export async function confirmEnrollment({ tenantId = null, id }, code) {
+  return completeEnrollment(tenantId, id, code);
+}
+
+/**
+ * Replace the recovery codes (the old ones stop working)
+ * @returns {Promise<string[]>} The new codes
+ */
+export async function regenerateRecoveryCodes({ tenantId = null, id }, code) {
+  const state = await getTwoFactor(tenantId, id);
+  if (!state?.enabled) {
+    throw new ValidationError("Two-factor authentication is not enabled");
+  }
+  if (!(await checkAppCode(tenantId, id, state, code))) {
+    throw new ValidationError("Invalid authentication code", "code");
+  }
+  const recoveryCodes = newRecoveryCodes();
+  await saveTwoFactor(tenantId, id, {
+    recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+  });
+  return recoveryCodes;
+}
+
+/**
+ * Remove the authenticator app; refused while a role requires it
+ * @param {Object} account - { tenantId, id, roles }
+ * @param {string} code - A current app code
+ */
+export async function disableTwoFactor({ tenantId = null, id, roles }, code) {
+  if (await isTwoFactorRequired(tenantId, roles)) {
+    throw new AuthorizationError(
+      "Two-factor authentication is required for your role"
+    );
+  }
+  const state = await getTwoFactor(tenantId, id);
+  if (!state?.enabled) {
+    throw new ValidationError("Two-factor authentication is not enabled");
+  }
+  if (!(await checkAppCode(tenantId, id, state, code))) {
+    throw new ValidationError("Invalid authentication code", "code");
+  }
+  await deleteTwoFactor(tenantId, id);
+  console.log(`🔓 Two-factor authentication disabled by ${id}`);
+  return statusOf(null, false);
+}
+
+/**
+ * Remove another admin's authenticator app (a lost device). If a role
+ * requires two-factor, they enrol again at their next login.
+ * @param {string|null} tenantId
+ * @param {string} subjectId - Admin ID
+ * @param {string} actor
+ */
+export async function resetTwoFactor(tenantId, subjectId, actor) {
+  await deleteTwoFactor(tenantId, subjectId);
+  console.log(`🔓 Two-factor of ${subjectId} reset by ${actor}`);
+  return { enabled: false };
+}
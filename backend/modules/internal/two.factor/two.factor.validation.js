@@ -0,0 +1,77 @@
+import crypto from "crypto";
+import { z } from "zod";
+
+// Name authenticator apps show next to the account
+export const TOTP_ISSUER = process.env.TWO_FACTOR_ISSUER || "TouchAfrica";
+
+/**
+ * Role codes whose admins must use two-factor authentication, on top of
+ * roles flagged `twoFactorRequired` (system roles can't be edited, so
+ * their policy is set here). Comma-separated in TWO_FACTOR_REQUIRED_ROLES.
+ */
+export const TWO_FACTOR_REQUIRED_ROLES = (
+  process.env.TWO_FACTOR_REQUIRED_ROLES ?? "INTERNAL_ROOT_ADMIN"
+)
+  .split(",")
+  .map((code) => code.trim())
+  .filter(Boolean);
+
+// A login challenge is good for a few minutes and a few wrong codes
+export const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || "5m";
+export const MAX_CHALLENGE_ATTEMPTS = 5;
+
+export const RECOVERY_CODE_COUNT = 10;
+
+// Account types that can use two-factor authentication
+export const TWO_FACTOR_ACCOUNT_TYPES = ["internal_admin", "External_admin"];
+
+export const CHALLENGE_STAGES = {
+  VERIFY: "verify", // enrolled: enter a code
+  ENROLL: "enroll", // required but not enrolled: enrol first
+};
+
+export function newChallengeId() {
+  return `TFA${Date.now()}${crypto.randomBytes(8).toString("hex")}`;
+}
+
+// Recovery codes: 10 hex characters, shown as xxxxx-xxxxx
+export function newRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+// Only hashes of recovery codes are stored; dashes and case don't matter
+export function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+const CodeField = z
+  .string()
+  .trim()
+  .regex(
+    /^\d{6}$/,
+    "Code must be the 6 digits shown in your authenticator app"
+  );
+
+// A code from the authenticator app
+export const TwoFactorCodeSchema = z.object({ code: CodeField });
+
+// The login step's challenge token
+export const ChallengeSchema = z.object({
+  challengeToken: z.string().trim().min(1, "Challenge token is required"),
+});
+
+// Finishing an enrolment during login
+export const ChallengeCodeSchema = ChallengeSchema.extend({ code: CodeField });
+
+// The second login step: an app code or a recovery code
+export const ChallengeVerifySchema = ChallengeSchema.extend({
+  code: CodeField.optional(),
+  recoveryCode: z.string().trim().min(1).optional(),
+}).refine((data) => data.code || data.recoveryCode, {
+  message: "Enter the code from your authenticator app or a recovery code",
+  path: ["code"],
+});
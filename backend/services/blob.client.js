@@ -0,0 +1,38 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLocalBlobStore } from "./blob/local.blob.js";
+
+// Resolve __dirname in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Blob driver selection (files such as person documents)
+ *   disk   - files under BLOB_DIR (default)
+ *   memory - in-process, discarded on exit (default when NODE_ENV=test)
+ * A cloud bucket plugs in as another driver with the same interface (see
+ * blob/local.blob.js).
+ */
+export const BLOB_DRIVERS = ["disk", "memory"];
+
+export const blobDriver = (
+  process.env.BLOB_DRIVER ||
+  (process.env.NODE_ENV === "test" ? "memory" : "disk")
+).toLowerCase();
+
+if (!BLOB_DRIVERS.includes(blobDriver)) {
+  throw new Error(
+    `Unknown BLOB_DRIVER "${blobDriver}". Expected one of: ${BLOB_DRIVERS.join(", ")}`
+  );
+}
+
+function createBlobStore() {
+  if (blobDriver === "memory") return createLocalBlobStore();
+  return createLocalBlobStore({
+    dir: path.resolve(
+      process.env.BLOB_DIR || path.resolve(__dirname, "../.data/blobs")
+    ),
+  });
+}
+
+export const blobStore = createBlobStore();
@@ -0,0 +1,82 @@
+/**
+ * Local Blob Store
+ * Binary objects (person documents) kept by key, either in memory or as
+ * files under a directory. Cloud stores implement the same interface:
+ *   - put(key, buffer) -> { key, size }
+ *   - get(key) -> Buffer, or null when there is no such object
+ *   - delete(key) -> true when something was deleted
+ *
+ * Keys are slash-separated paths (e.g. the Firestore path of the record
+ * the object belongs to); segments are limited to safe characters so a key
+ * can't point outside the directory.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, rmSync, writeFileSync } from "fs";
+import path from "path";
+
+const SEGMENT = /^[A-Za-z0-9_.-]+$/;
+
+function checkKey(key) {
+  const segments = String(key || "").split("/");
+  if (
+    segments.length === 0 ||
+    segments.some((s) => !SEGMENT.test(s) || s === "." || s === "..")
+  ) {
+    throw new Error(`Invalid blob key: ${key}`);
+  }
+  return segments;
+}
+
+function createMemoryBlobStore() {
+  const objects = new Map();
+  return {
+    async put(key, buffer) {
+      checkKey(key);
+      objects.set(key, Buffer.from(buffer));
+      return { key, size: buffer.length };
+    },
+    async get(key) {
+      checkKey(key);
+      const buffer = objects.get(key);
+      return buffer ? Buffer.from(buffer) : null;
+    },
+    async delete(key) {
+      checkKey(key);
+      return objects.delete(key);
+    },
+  };
+}
+
+function createDiskBlobStore(dir) {
+  const fileOf = (key) => path.join(dir, ...checkKey(key));
+  return {
+    async put(key, buffer) {
+      const file = fileOf(key);
+      mkdirSync(path.dirname(file), { recursive: true });
+      // Write then rename, so readers never see half a file
+      const tmp = `${file}.${process.pid}.tmp`;
+      writeFileSync(tmp, buffer);
+      renameSync(tmp, file);
+      return { key, size: buffer.length };
+    },
+    async get(key) {
+      const file = fileOf(key);
+      return existsSync(file) ? readFileSync(file) : null;
+    },
+    async delete(key) {
+      const file = fileOf(key);
+      if (!existsSync(file)) return false;
+      rmSync(file);
+      return true;
+    },
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {string|null} options.dir - Directory for the objects; none keeps
+ *   them in memory
+ */
+export function createLocalBlobStore({ dir = null } = {}) {
+  return dir ? createDiskBlobStore(dir) : createMemoryBlobStore();
+}
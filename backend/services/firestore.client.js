@@ -1,22 +1,50 @@
-import admin from "firebase-admin";
 import path from "path";
 import { fileURLToPath } from "url";
-import { readFile } from "fs/promises";
 
 // Resolve __dirname in ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Absolute path from project root to serviceAccountKey.json
-const serviceAccountPath = path.resolve(
-  __dirname,
-  "../secrets/serviceAccountKey.json"
-);
+/**
+ * Storage driver selection
+ *   firestore - Cloud Firestore via firebase-admin (default)
+ *   memory    - in-process store, discarded on exit (default when NODE_ENV=test)
+ *   file      - in-process store persisted to STORAGE_FILE as JSON
+ */
+export const STORAGE_DRIVERS = ["firestore", "memory", "file"];
 
-const serviceAccount = JSON.parse(await readFile(serviceAccountPath, "utf8"));
+export const storageDriver = (
+  process.env.STORAGE_DRIVER ||
+  (process.env.NODE_ENV === "test" ? "memory" : "firestore")
+).toLowerCase();
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-});
+if (!STORAGE_DRIVERS.includes(storageDriver)) {
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${storageDriver}". Expected one of: ${STORAGE_DRIVERS.join(", ")}`
+  );
+}
 
-export const db = admin.firestore();
+async function createDb() {
+  if (storageDriver === "firestore") {
+    const { createFirestore } = await import("./storage/firestore.adapter.js");
+    return createFirestore();
+  }
+
+  const { createLocalFirestore } = await import("./storage/local.adapter.js");
+  const filePath =
+    storageDriver === "file"
+      ? path.resolve(
+          process.env.STORAGE_FILE ||
+            path.resolve(__dirname, "../.data/local-store.json")
+        )
+      : null;
+
+  if (process.env.NODE_ENV !== "test") {
+    console.log(
+      `🗄️  Using local ${storageDriver} storage${filePath ? ` (${filePath})` : ""}`
+    );
+  }
+  return createLocalFirestore({ filePath });
+}
+
+export const db = await createDb();
@@ -0,0 +1,62 @@
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLocalMailTransport } from "./mail/local.mail.js";
+
+// Resolve __dirname in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Mail transport selection (invitations, password resets)
+ *   outbox - .eml files under MAIL_OUTBOX_DIR, nothing is delivered
+ *            (default)
+ *   memory - in-process, discarded on exit (default when NODE_ENV=test)
+ * A delivering transport (SMTP, an email API) plugs in as another driver
+ * with the same interface (see mail/local.mail.js).
+ */
+export const MAIL_DRIVERS = ["outbox", "memory"];
+
+export const mailDriver = (
+  process.env.MAIL_DRIVER ||
+  (process.env.NODE_ENV === "test" ? "memory" : "outbox")
+).toLowerCase();
+
+if (!MAIL_DRIVERS.includes(mailDriver)) {
+  throw new Error(
+    `Unknown MAIL_DRIVER "${mailDriver}". ` +
+      `Expected one of: ${MAIL_DRIVERS.join(", ")}`
+  );
+}
+
+export const MAIL_FROM =
+  process.env.MAIL_FROM || "TouchAfrica <no-reply@touchafrica.co.za>";
+
+function createMailTransport() {
+  if (mailDriver === "memory") return createLocalMailTransport();
+  return createLocalMailTransport({
+    dir: path.resolve(
+      process.env.MAIL_OUTBOX_DIR || path.resolve(__dirname, "../.data/outbox")
+    ),
+  });
+}
+
+export const mailTransport = createMailTransport();
+
+/**
+ * Send a message through the configured transport
+ * @param {Object} message - { to, subject, text, html? }
+ * @returns {Promise<Object>} { id }
+ */
+export async function sendMail({ to, subject, text, html }) {
+  const now = new Date();
+  return mailTransport.send({
+    id: `MAIL${now.getTime()}${crypto.randomBytes(4).toString("hex")}`,
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+    date: now.toISOString(),
+  });
+}
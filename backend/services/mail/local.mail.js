@@ -0,0 +1,112 @@
+/**
+ * Local Mail Transports
+ * Outgoing mail kept on this machine instead of being delivered, either in
+ * memory or as .eml files in an outbox directory (open them with a mail
+ * client, or read them as text). Delivering transports implement the same
+ * interface:
+ *   - send(message) -> { id }
+ *     message: { id, from, to, subject, text, html?, date }
+ *
+ * Both local transports also offer list() -> the messages sent, newest
+ * last, for development tools and tests.
+ */
+
+import { mkdirSync, readdirSync, readFileSync, writeFileSync } from "fs";
+import path from "path";
+
+// Header values are single-line; non-ASCII ones are RFC 2047 encoded
+function header(value) {
+  const line = String(value).replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(line)
+    ? line
+    : `=?UTF-8?B?${Buffer.from(line).toString("base64")}?=`;
+}
+
+function base64Lines(text) {
+  return Buffer.from(text)
+    .toString("base64")
+    .replace(/.{76}/g, "$&\r\n");
+}
+
+// The message as an RFC 5322 document (text, plus HTML when given)
+export function toEml(message) {
+  const lines = [
+    `Message-ID: <${message.id}@touchafrica.co.za>`,
+    `Date: ${new Date(message.date).toUTCString()}`,
+    `From: ${header(message.from)}`,
+    `To: ${header([].concat(message.to).join(", "))}`,
+    `Subject: ${header(message.subject)}`,
+    "MIME-Version: 1.0",
+  ];
+  const part = (type, body) => [
+    `Content-Type: ${type}; charset=utf-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(body),
+  ];
+
+  if (!message.html) {
+    return [...lines, ...part("text/plain", message.text), ""].join("\r\n");
+  }
+  const boundary = `=_${message.id}`;
+  return [
+    ...lines,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    ...part("text/plain", message.text),
+    `--${boundary}`,
+    ...part("text/html", message.html),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+function createMemoryTransport() {
+  const sent = [];
+  return {
+    async send(message) {
+      sent.push({ ...message });
+      return { id: message.id };
+    },
+    async list() {
+      return sent.map((message) => ({ ...message }));
+    },
+  };
+}
+
+function createOutboxTransport(dir) {
+  return {
+    async send(message) {
+      mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${message.id}.eml`);
+      writeFileSync(file, toEml(message));
+      // The JSON copy is what list() reads back
+      writeFileSync(
+        file.replace(/\.eml$/, ".json"),
+        JSON.stringify(message, null, 2)
+      );
+      console.log(`📧 Mail to ${message.to} written to ${file}`);
+      return { id: message.id };
+    },
+    async list() {
+      let files = [];
+      try {
+        files = readdirSync(dir).filter((f) => f.endsWith(".json"));
+      } catch {
+        return [];
+      }
+      return files
+        .map((f) => JSON.parse(readFileSync(path.join(dir, f), "utf8")))
+        .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    },
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.dir - Outbox directory; in memory when omitted
+ */
+export function createLocalMailTransport({ dir } = {}) {
+  return dir ? createOutboxTransport(dir) : createMemoryTransport();
+}
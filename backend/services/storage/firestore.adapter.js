@@ -0,0 +1,32 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { readFile } from "fs/promises";
+
+// Resolve __dirname in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Absolute path from project root to serviceAccountKey.json
+const serviceAccountPath = path.resolve(
+  __dirname,
+  "../../secrets/serviceAccountKey.json"
+);
+
+/**
+ * Create a Cloud Firestore instance using the service account key.
+ * firebase-admin is imported lazily so local drivers never load it.
+ * @returns {Promise<import("firebase-admin").firestore.Firestore>}
+ */
+export async function createFirestore() {
+  const { default: admin } = await import("firebase-admin");
+
+  const serviceAccount = JSON.parse(await readFile(serviceAccountPath, "utf8"));
+
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+    });
+  }
+
+  return admin.firestore();
+}
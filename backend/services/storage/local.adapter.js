@@ -0,0 +1,627 @@
+/**
+ * Local Firestore Stand-in
+ * In-memory (optionally JSON-file backed) implementation of the subset of the
+ * Firestore Admin API used by the *.firestore.js modules:
+ *   - db.collection(path) / db.doc(path) / doc.collection(sub)
+ *   - get / set (with merge) / update (dotted paths) / delete / add
+ *   - where / orderBy / limit / offset / startAfter on queries
+ *   - collectionGroup queries across every collection with a given ID
+ *   - runTransaction and batch writes
+ *
+ * Documents are stored in a flat Map keyed by their full document path. When a
+ * file path is supplied, the whole store is rewritten after every committed
+ * write so developers keep their data between restarts.
+ */
+
+import crypto from "crypto";
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "fs";
+import path from "path";
+
+const AUTO_ID_CHARS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+function autoId() {
+  const bytes = crypto.randomBytes(20);
+  let id = "";
+  for (let i = 0; i < 20; i++) {
+    id += AUTO_ID_CHARS[bytes[i] % AUTO_ID_CHARS.length];
+  }
+  return id;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date)
+  );
+}
+
+function splitPath(p) {
+  return String(p || "")
+    .split("/")
+    .filter(Boolean);
+}
+
+function getField(data, field) {
+  return String(field)
+    .split(".")
+    .reduce((current, key) => current?.[key], data);
+}
+
+function setField(data, field, value) {
+  const keys = String(field).split(".");
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => {
+    if (!isPlainObject(current[key])) current[key] = {};
+    return current[key];
+  }, data);
+  target[last] = value;
+}
+
+function deepMerge(target, source) {
+  const out = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(source || {})) {
+    if (value === undefined) continue;
+    out[key] =
+      isPlainObject(value) && isPlainObject(out[key])
+        ? deepMerge(out[key], value)
+        : clone(value);
+  }
+  return out;
+}
+
+function stripUndefined(data) {
+  return JSON.parse(JSON.stringify(data ?? {}));
+}
+
+function notFoundError(docPath) {
+  const error = new Error(`5 NOT_FOUND: No document to update: ${docPath}`);
+  error.code = "not-found";
+  return error;
+}
+
+// Firestore ordering across types: null < boolean < number < string < others
+function typeRank(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === "boolean") return 1;
+  if (typeof value === "number") return 2;
+  if (typeof value === "string") return 3;
+  return 4;
+}
+
+function compareValues(a, b) {
+  const ra = typeRank(a);
+  const rb = typeRank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 4) {
+    const sa = JSON.stringify(a);
+    const sb = JSON.stringify(b);
+    return sa < sb ? -1 : sa > sb ? 1 : 0;
+  }
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+function valuesEqual(a, b) {
+  return compareValues(a, b) === 0;
+}
+
+function matchesFilter(data, { field, op, value }) {
+  const actual = getField(data, field);
+  switch (op) {
+    case "==":
+      return actual !== undefined && valuesEqual(actual, value);
+    case "!=":
+      return actual !== undefined && !valuesEqual(actual, value);
+    case "<":
+      return actual !== undefined && typeRank(actual) === typeRank(value) && compareValues(actual, value) < 0;
+    case "<=":
+      return actual !== undefined && typeRank(actual) === typeRank(value) && compareValues(actual, value) <= 0;
+    case ">":
+      return actual !== undefined && typeRank(actual) === typeRank(value) && compareValues(actual, value) > 0;
+    case ">=":
+      return actual !== undefined && typeRank(actual) === typeRank(value) && compareValues(actual, value) >= 0;
+    case "in":
+      return (
+        actual !== undefined &&
+        Array.isArray(value) &&
+        value.some((v) => valuesEqual(actual, v))
+      );
+    case "not-in":
+      return (
+        actual !== undefined &&
+        Array.isArray(value) &&
+        !value.some((v) => valuesEqual(actual, v))
+      );
+    case "array-contains":
+      return Array.isArray(actual) && actual.some((v) => valuesEqual(v, value));
+    case "array-contains-any":
+      return (
+        Array.isArray(actual) &&
+        Array.isArray(value) &&
+        actual.some((a) => value.some((v) => valuesEqual(a, v)))
+      );
+    default:
+      throw new Error(`Unsupported where operator in local store: ${op}`);
+  }
+}
+
+/**
+ * Snapshot of a single document
+ */
+export class LocalDocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? clone(getField(this._data, field)) : undefined;
+  }
+}
+
+/**
+ * Snapshot of a query result
+ */
+export class LocalQuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback, thisArg) {
+    this.docs.forEach(callback, thisArg);
+  }
+}
+
+/**
+ * Reference to a single document path
+ */
+export class LocalDocumentReference {
+  constructor(store, docPath) {
+    const segments = splitPath(docPath);
+    if (segments.length === 0 || segments.length % 2 !== 0) {
+      throw new Error(`Invalid document path: ${docPath}`);
+    }
+    this._store = store;
+    this.path = segments.join("/");
+    this.id = segments[segments.length - 1];
+  }
+
+  // Firestore API parity: the owning database (used for runTransaction)
+  get firestore() {
+    return this._store;
+  }
+
+  get parent() {
+    return new LocalCollectionReference(
+      this._store,
+      splitPath(this.path).slice(0, -1).join("/")
+    );
+  }
+
+  collection(subPath) {
+    return new LocalCollectionReference(this._store, `${this.path}/${subPath}`);
+  }
+
+  async listCollections() {
+    return this._store.listCollections(this.path);
+  }
+
+  async get() {
+    return new LocalDocumentSnapshot(this, this._store.read(this.path));
+  }
+
+  async set(data, options = {}) {
+    this._store.commit([{ type: "set", ref: this, data, options }]);
+  }
+
+  async create(data) {
+    if (this._store.read(this.path) !== undefined) {
+      const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${this.path}`);
+      error.code = "already-exists";
+      throw error;
+    }
+    await this.set(data);
+  }
+
+  async update(data) {
+    this._store.commit([{ type: "update", ref: this, data }]);
+  }
+
+  async delete() {
+    this._store.commit([{ type: "delete", ref: this }]);
+  }
+}
+
+/**
+ * Immutable query over a collection
+ */
+export class LocalQuery {
+  constructor(store, collectionPath, spec = {}) {
+    this._store = store;
+    this._collectionPath = collectionPath;
+    this._spec = {
+      filters: spec.filters || [],
+      orders: spec.orders || [],
+      limit: spec.limit ?? null,
+      offset: spec.offset ?? 0,
+      startAfter: spec.startAfter ?? null,
+      collectionGroup: spec.collectionGroup ?? false,
+    };
+  }
+
+  _with(patch) {
+    return new LocalQuery(this._store, this._collectionPath, {
+      ...this._spec,
+      ...patch,
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({
+      filters: [...this._spec.filters, { field: String(field), op, value }],
+    });
+  }
+
+  orderBy(field, direction = "asc") {
+    const dir = String(direction).toLowerCase() === "desc" ? "desc" : "asc";
+    return this._with({
+      orders: [...this._spec.orders, { field: String(field), direction: dir }],
+    });
+  }
+
+  limit(n) {
+    return this._with({ limit: Number(n) });
+  }
+
+  offset(n) {
+    return this._with({ offset: Number(n) });
+  }
+
+  startAfter(...cursor) {
+    const first = cursor[0];
+    const values =
+      first instanceof LocalDocumentSnapshot
+        ? { snapshot: first }
+        : { values: cursor };
+    return this._with({ startAfter: values });
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const snapshot = await this.get();
+        return { data: () => ({ count: snapshot.size }) };
+      },
+    };
+  }
+
+  _orderKey(id, data) {
+    return this._spec.orders.map(({ field }) =>
+      field === "__name__" ? id : getField(data, field)
+    );
+  }
+
+  _compare(a, b) {
+    for (let i = 0; i < this._spec.orders.length; i++) {
+      const { direction } = this._spec.orders[i];
+      const cmp = compareValues(a.key[i], b.key[i]);
+      if (cmp !== 0) return direction === "desc" ? -cmp : cmp;
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  }
+
+  async get() {
+    const source = this._spec.collectionGroup
+      ? this._store.listCollectionGroup(this._collectionPath)
+      : this._store.listDocuments(this._collectionPath);
+    let rows = source
+      .filter(({ data }) =>
+        this._spec.filters.every((f) => matchesFilter(data, f))
+      )
+      // Firestore omits documents that lack an orderBy field
+      .filter(({ data }) =>
+        this._spec.orders.every(
+          ({ field }) =>
+            field === "__name__" || getField(data, field) !== undefined
+        )
+      )
+      .map((row) => ({ ...row, key: this._orderKey(row.id, row.data) }));
+
+    rows.sort((a, b) => this._compare(a, b));
+
+    if (this._spec.startAfter) {
+      const { snapshot, values } = this._spec.startAfter;
+      const cursor = snapshot
+        ? {
+            id: snapshot.id,
+            key: this._orderKey(snapshot.id, snapshot._data || {}),
+          }
+        : {
+            id: "",
+            key: this._spec.orders.map((_, i) => values[i]),
+          };
+      rows = rows.filter((row) =>
+        snapshot
+          ? this._compare(row, cursor) > 0
+          : this._compareKeyOnly(row, cursor) > 0
+      );
+    }
+
+    if (this._spec.offset) rows = rows.slice(this._spec.offset);
+    if (this._spec.limit !== null) rows = rows.slice(0, this._spec.limit);
+
+    return new LocalQuerySnapshot(
+      rows.map(
+        ({ path: docPath, data }) =>
+          new LocalDocumentSnapshot(
+            new LocalDocumentReference(this._store, docPath),
+            data
+          )
+      )
+    );
+  }
+
+  _compareKeyOnly(a, b) {
+    for (let i = 0; i < this._spec.orders.length; i++) {
+      if (b.key[i] === undefined) continue;
+      const { direction } = this._spec.orders[i];
+      const cmp = compareValues(a.key[i], b.key[i]);
+      if (cmp !== 0) return direction === "desc" ? -cmp : cmp;
+    }
+    return 0;
+  }
+}
+
+/**
+ * Reference to a collection path
+ */
+export class LocalCollectionReference extends LocalQuery {
+  constructor(store, collectionPath) {
+    const segments = splitPath(collectionPath);
+    if (segments.length === 0 || segments.length % 2 !== 1) {
+      throw new Error(`Invalid collection path: ${collectionPath}`);
+    }
+    const normalized = segments.join("/");
+    super(store, normalized);
+    this.path = normalized;
+    this.id = segments[segments.length - 1];
+  }
+
+  doc(id) {
+    return new LocalDocumentReference(
+      this._store,
+      `${this.path}/${id || autoId()}`
+    );
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  async listDocuments() {
+    return this._store
+      .listDocuments(this.path)
+      .map(({ path: docPath }) => new LocalDocumentReference(this._store, docPath));
+  }
+}
+
+/**
+ * Write batch - buffers writes and applies them atomically on commit()
+ */
+export class LocalWriteBatch {
+  constructor(store) {
+    this._store = store;
+    this._writes = [];
+  }
+
+  set(ref, data, options = {}) {
+    this._writes.push({ type: "set", ref, data, options });
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push({ type: "update", ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push({ type: "delete", ref });
+    return this;
+  }
+
+  async commit() {
+    this._store.commit(this._writes);
+    this._writes = [];
+  }
+}
+
+/**
+ * Transaction - reads go straight to the store, writes are buffered and
+ * committed together once the update function resolves.
+ */
+export class LocalTransaction extends LocalWriteBatch {
+  async get(refOrQuery) {
+    return refOrQuery.get();
+  }
+}
+
+/**
+ * Local Firestore instance
+ */
+export class LocalFirestore {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.filePath - JSON file to persist to (null = memory only)
+   */
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this._docs = new Map();
+    this._txQueue = Promise.resolve();
+    this._load();
+  }
+
+  collection(collectionPath) {
+    return new LocalCollectionReference(this, collectionPath);
+  }
+
+  doc(docPath) {
+    return new LocalDocumentReference(this, docPath);
+  }
+
+  batch() {
+    return new LocalWriteBatch(this);
+  }
+
+  /** Query every collection named `collectionId`, at any depth */
+  collectionGroup(collectionId) {
+    return new LocalQuery(this, collectionId, { collectionGroup: true });
+  }
+
+  async listCollections(parentPath = "") {
+    const depth = splitPath(parentPath).length;
+    const prefix = parentPath ? `${parentPath}/` : "";
+    const ids = new Set();
+    for (const docPath of this._docs.keys()) {
+      if (!docPath.startsWith(prefix)) continue;
+      const segments = splitPath(docPath);
+      if (segments.length > depth + 1) ids.add(segments[depth]);
+    }
+    return [...ids].map((id) => this.collection(`${prefix}${id}`));
+  }
+
+  /**
+   * Transactions are serialized so concurrent read-modify-write cycles (e.g.
+   * sequence counters) behave like they would against Firestore.
+   */
+  async runTransaction(updateFunction) {
+    const run = this._txQueue.then(async () => {
+      const tx = new LocalTransaction(this);
+      const result = await updateFunction(tx);
+      this.commit(tx._writes);
+      return result;
+    });
+    this._txQueue = run.catch(() => {});
+    return run;
+  }
+
+  /** Remove every document (used by tests and `npm run` resets) */
+  reset() {
+    this._docs.clear();
+    this._persist();
+  }
+
+  // -------------------------------------------------------------------------
+  // Internal store operations
+  // -------------------------------------------------------------------------
+
+  read(docPath) {
+    return this._docs.get(docPath);
+  }
+
+  listDocuments(collectionPath) {
+    const depth = splitPath(collectionPath).length + 1;
+    const prefix = `${collectionPath}/`;
+    const rows = [];
+    for (const [docPath, data] of this._docs.entries()) {
+      if (!docPath.startsWith(prefix)) continue;
+      if (splitPath(docPath).length !== depth) continue;
+      rows.push({ path: docPath, id: docPath.slice(prefix.length), data });
+    }
+    return rows;
+  }
+
+  listCollectionGroup(collectionId) {
+    const rows = [];
+    for (const [docPath, data] of this._docs.entries()) {
+      const segments = splitPath(docPath);
+      if (segments[segments.length - 2] !== collectionId) continue;
+      rows.push({ path: docPath, id: segments[segments.length - 1], data });
+    }
+    return rows;
+  }
+
+  commit(writes) {
+    // Validate first so a failing write leaves the store untouched
+    const staged = new Map();
+    const current = (docPath) =>
+      staged.has(docPath) ? staged.get(docPath) : this._docs.get(docPath);
+
+    for (const write of writes) {
+      const docPath = write.ref.path;
+      if (write.type === "delete") {
+        staged.set(docPath, undefined);
+      } else if (write.type === "set") {
+        const data = stripUndefined(write.data);
+        const merge = write.options?.merge || write.options?.mergeFields;
+        staged.set(docPath, merge ? deepMerge(current(docPath), data) : data);
+      } else if (write.type === "update") {
+        const existing = current(docPath);
+        if (existing === undefined) throw notFoundError(docPath);
+        const next = clone(existing);
+        for (const [field, value] of Object.entries(write.data || {})) {
+          if (value === undefined) continue;
+          setField(next, field, clone(value));
+        }
+        staged.set(docPath, next);
+      }
+    }
+
+    for (const [docPath, data] of staged.entries()) {
+      if (data === undefined) this._docs.delete(docPath);
+      else this._docs.set(docPath, data);
+    }
+    if (staged.size > 0) this._persist();
+  }
+
+  _load() {
+    if (!this.filePath || !existsSync(this.filePath)) return;
+    try {
+      const raw = JSON.parse(readFileSync(this.filePath, "utf8"));
+      for (const [docPath, data] of Object.entries(raw.documents || {})) {
+        this._docs.set(docPath, data);
+      }
+    } catch (error) {
+      throw new Error(
+        `Failed to load local store from ${this.filePath}: ${error.message}`
+      );
+    }
+  }
+
+  _persist() {
+    if (!this.filePath) return;
+    mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.tmp`;
+    const documents = Object.fromEntries(
+      [...this._docs.entries()].sort(([a], [b]) => (a < b ? -1 : 1))
+    );
+    writeFileSync(tmp, JSON.stringify({ documents }, null, 2));
+    renameSync(tmp, this.filePath);
+  }
+}
+
+/**
+ * Create a local Firestore stand-in
+ * @param {Object} options
+ * @param {string|null} options.filePath - JSON file to persist to (omit for memory only)
+ * @returns {LocalFirestore}
+ */
+export function createLocalFirestore(options = {}) {
+  return new LocalFirestore(options);
+}
@@ -1,26 +1,12 @@
 import "dotenv/config";
 import { createPersonRecord } from "../modules/internal/person/person.service.js";
+import { generateSAIdNumber } from "../utilities/sa-id.util.js";
 
 // Simple PRNG helpers
 function randInt(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
-// Generate a valid 13-digit SA ID number based on a real date and Luhn check
-function generateSAIdNumber(date) {
-  // date: JS Date in UTC; use YYMMDD from UTC parts
-  const yy = String(date.getUTCFullYear()).slice(-2);
-  const mm = String(date.getUTCMonth() + 1).padStart(2, "0");
-  const dd = String(date.getUTCDate()).padStart(2, "0");
-  const first6 = `${yy}${mm}${dd}`;
-
-  // Next 7 digits arbitrary (simplified from previous 6 + checkdigit to just 7 random digits)
-  const next7 = Array.from({ length: 7 }, () => String(randInt(0, 9))).join("");
-
-  // Return 13-digit ID: 6 digits (date) + 7 random digits
-  return `${first6}${next7}`;
-}
-
 // Monotonic PERSON id generator matching pattern PERSON{13digits}
 let lastTs = 0;
 async function nextPersonId() {
@@ -115,7 +101,14 @@ function buildPerson(i) {
   const last = pick(surnames);
 
   const dobDate = randomDOB();
-  const idNumber = generateSAIdNumber(dobDate);
+  // The ID number only encodes male or female
+  const idNumber = generateSAIdNumber({
+    dateOfBirth: dobDate.toISOString().split("T")[0],
+    gender: ["Male", "Female"].includes(gender)
+      ? gender
+      : pick(["Male", "Female"]),
+    sequence: randInt(0, 4999),
+  });
 
   const email = randomSAEmail(first, last, i + 1);
   const mobile = randomMobile();
@@ -124,12 +117,14 @@ function buildPerson(i) {
   return {
     // Provide our own unique PERSON id to avoid collisions
     _customIdPromise: nextPersonId(),
-    idNumber,
     firstName: first,
     surname: last,
     preferredName: first,
-    gender,
-    citizenshipStatus: "South African",
+    demographics: {
+      idNumber,
+      gender,
+      citizenshipStatus: "South African",
+    },
     contact: {
       mobile,
       email,
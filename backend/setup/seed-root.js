@@ -18,6 +18,12 @@ import {
   updateInternalAdminByIdService,
 } from "../modules/internal/admin/admin.service.js";
 import { getInternalAdminByEmail } from "../modules/internal/admin/admin.firestore.js";
+import { getLookupByCategory } from "../modules/internal/lookup/lookup.firestore.js";
+import { createLookupService } from "../modules/internal/lookup/lookup.service.js";
+import {
+  DOCUMENT_TYPE_LOOKUP,
+  DEFAULT_DOCUMENT_TYPES,
+} from "../modules/internal/person.document/person.document.validation.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -127,6 +133,25 @@ async function main() {
       console.log("🔎 Title prefixes lookup already present");
     }
 
+    // Person document types lookup (managed under Lookups)
+    const documentTypes = await getLookupByCategory(
+      DOCUMENT_TYPE_LOOKUP.category,
+      DOCUMENT_TYPE_LOOKUP.subCategory
+    );
+    if (!documentTypes) {
+      await createLookupService(
+        {
+          ...DOCUMENT_TYPE_LOOKUP,
+          items: DEFAULT_DOCUMENT_TYPES,
+          description: "Types of documents kept against person records",
+        },
+        "setup-script"
+      );
+      console.log("✅ Seeded person document types lookup");
+    } else {
+      console.log("🔎 Person document types lookup already present");
+    }
+
     console.log("👤 Seeding sample person (idempotent)...");
     let personIdForAdmin;
     const existingPeople = await searchPersons({
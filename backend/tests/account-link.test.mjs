@@ -0,0 +1,166 @@
+import assert from "assert";
+import { db } from "../services/firestore.client.js";
+import { mailTransport } from "../services/mail.client.js";
+import { toEml } from "../services/mail/local.mail.js";
+import {
+  inviteAdmin,
+  resendInvitation,
+  requestPasswordReset,
+  acceptInvitation,
+  resetPassword,
+} from "../modules/internal/account.link/account.link.service.js";
+import { getLink } from "../modules/internal/account.link/account.link.firestore.js";
+import { hashLinkToken } from "../modules/internal/account.link/account.link.validation.js";
+import { getInternalAdminById } from "../modules/internal/admin/admin.firestore.js";
+import { getExternalAdminById } from "../modules/external/tenant/admin/admin.firestore.js";
+import { startSession, isSessionActive } from "../modules/internal/session/session.service.js";
+import { verifyPassword } from "../utilities/auth-enhanced.util.js";
+import { platformPath } from "../utilities/country-context.util.js";
+import {
+  ConflictError,
+  ValidationError,
+} from "../utilities/error-handler.util.js";
+
+process.env.JWT_SECRET = "account-link-test-secret-0123456789-0123456789";
+
+async function lastMailTo(email) {
+  return (await mailTransport.list()).filter((m) => m.to === email).at(-1);
+}
+
+// The token in the link of the last email sent to an address
+async function lastLinkTo(email) {
+  const mail = await lastMailTo(email);
+  const url = new URL(mail.text.match(/https?:\/\/\S+/)[0]);
+  return { mail, url, token: url.searchParams.get("token") };
+}
+
+const invite = (email, personId) => ({
+  roles: ["INTERNAL_ADMIN"],
+  personId,
+  accessDetails: { email },
+});
+
+// Tests for admin invitations and password resets by one-time links
+async function run() {
+  await db
+    .doc(platformPath("formats", "passwords"))
+    .set({ regex: "^(?=.*[A-Z])(?=.*[a-z])(?=.*\\d).{8,}$" });
+
+  // Messages are written out as RFC 5322
+  const eml = toEml({
+    id: "m1",
+    from: "A <a@x.io>",
+    to: "b@x.io",
+    subject: "Hi",
+    text: "Hello",
+    date: new Date(0).toISOString(),
+  });
+  assert.ok(eml.includes("Subject: Hi\r\n"));
+  assert.ok(eml.includes(Buffer.from("Hello").toString("base64")));
+
+  // An invited admin has no password and is inactive until they accept
+  const email = "invited@touchafrica.co.za";
+  const { admin, invitation } = await inviteAdmin(
+    null,
+    invite(email, "PERSON1000000000001"),
+    "ROOT"
+  );
+  assert.equal(invitation.sentTo, email);
+  assert.equal(admin.accessDetails.password, null);
+  assert.equal(admin.account.isActive.value, false);
+  const first = await lastLinkTo(email);
+  assert.equal(first.url.searchParams.get("account"), "invite");
+
+  // Only the token's hash is stored
+  const stored = await getLink(null, hashLinkToken(first.token));
+  assert.equal(stored.subjectId, admin.id);
+  assert.ok(!JSON.stringify(stored).includes(first.token));
+
+  // The same email can't be invited twice
+  await assert.rejects(
+    inviteAdmin(null, invite(email, "PERSON1000000000002"), "ROOT"),
+    ValidationError
+  );
+
+  // Sending it again withdraws the earlier link
+  await resendInvitation(null, admin.id, "ROOT");
+  const { token } = await lastLinkTo(email);
+  await assert.rejects(
+    acceptInvitation(null, first.token, "Secret123"),
+    ValidationError
+  );
+
+  // A password the policy refuses leaves the link usable
+  await assert.rejects(
+    acceptInvitation(null, token, "weakpassword"),
+    (err) => err instanceof ValidationError && err.field === "password"
+  );
+  assert.deepEqual(await acceptInvitation(null, token, "Secret123"), {
+    id: admin.id,
+    email,
+  });
+  const accepted = await getInternalAdminById(admin.id);
+  assert.ok(verifyPassword("Secret123", accepted.accessDetails.password));
+  assert.equal(accepted.account.isActive.value, true);
+
+  // A link works once; an accepted invitation can't be sent again
+  await assert.rejects(
+    acceptInvitation(null, token, "Secret123"),
+    ValidationError
+  );
+  await assert.rejects(resendInvitation(null, admin.id, "ROOT"), ConflictError);
+
+  // Forgot password says nothing about unknown addresses
+  const sent = (await mailTransport.list()).length;
+  await requestPasswordReset(null, "nobody@touchafrica.co.za");
+  assert.equal((await mailTransport.list()).length, sent);
+
+  // A reset sets the password and ends the account's sessions
+  const session = await startSession({
+    claims: { id: admin.id, email, type: "internal_admin" },
+  });
+  await requestPasswordReset(null, email);
+  const reset = await lastLinkTo(email);
+  assert.equal(reset.url.searchParams.get("account"), "reset");
+  await assert.rejects(
+    acceptInvitation(null, reset.token, "Another456"),
+    ValidationError
+  );
+  const result = await resetPassword(null, reset.token, "Another456");
+  assert.equal(result.sessionsRevoked, 1);
+  assert.ok(!(await isSessionActive(null, session.sessionId)));
+  const after = await getInternalAdminById(admin.id);
+  assert.ok(verifyPassword("Another456", after.accessDetails.password));
+  assert.match((await lastMailTo(email)).subject, /password was changed/);
+  await assert.rejects(
+    resetPassword(null, reset.token, "Third789x"),
+    ValidationError
+  );
+
+  // Tenant admins get links of their own tenant
+  const tenantEmail = "tenant.admin@touchafrica.co.za";
+  const tenantInvite = await inviteAdmin(
+    "TNT1000000000001",
+    { ...invite(tenantEmail, "PERSON1000000000003"), roles: ["TENANT_ADMIN"] },
+    "ROOT"
+  );
+  const tenantLink = await lastLinkTo(tenantEmail);
+  assert.equal(tenantLink.url.searchParams.get("tenant"), "TNT1000000000001");
+  await assert.rejects(
+    acceptInvitation(null, tenantLink.token, "Secret123"),
+    ValidationError
+  );
+  await acceptInvitation("TNT1000000000001", tenantLink.token, "Secret123");
+  const tenantAdmin = await getExternalAdminById(
+    tenantInvite.admin.id,
+    "TNT1000000000001"
+  );
+  assert.equal(tenantAdmin.account.isActive.value, true);
+
+  console.log("account-link tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+import assert from "assert";
+import { db } from "../services/firestore.client.js";
+import {
+  checkAddress,
+  normalizeProvince,
+  suggestAddresses,
+  titleCase,
+} from "../modules/general/address/address.service.js";
+import {
+  createPersonRecord,
+  validatePersonDataConsistency,
+} from "../modules/external/tenant/person/person.service.js";
+import { getCountryPack } from "../config/countries.config.js";
+import { ValidationError } from "../utilities/error-handler.util.js";
+
+const tenantId = "T1";
+
+function address(fields) {
+  return {
+    line1: "12 Vilakazi Street",
+    line2: "Orlando West",
+    streetName: "Vilakazi Street",
+    city: "Soweto",
+    ...fields,
+  };
+}
+
+// Tests for gazetteer checks, normalisation and autocomplete
+async function run() {
+  await db.doc(`touchAfrica/southAfrica/tenants/${tenantId}`).set({
+    id: tenantId,
+  });
+
+  // Capitalisation and province spelling
+  assert.equal(titleCase("  NORTH   riding "), "North Riding");
+  assert.equal(titleCase("kwa-thema"), "Kwa-Thema");
+  assert.equal(titleCase("VAN DER BIJL PARK"), "Van der Bijl Park");
+  assert.equal(normalizeProvince("kzn"), "KwaZulu-Natal");
+  assert.equal(normalizeProvince("kwazulu natal"), "KwaZulu-Natal");
+  assert.equal(normalizeProvince("Atlantis"), null);
+
+  // Consistent: canonical names, municipality and coordinates filled in
+  const ok = checkAddress(
+    address({ suburb: "ORLANDO", province: "gauteng", postalCode: "1804" })
+  );
+  assert.deepEqual(ok.issues, []);
+  assert.equal(ok.address.suburb, "Orlando");
+  assert.equal(ok.address.province, "Gauteng");
+  assert.equal(ok.address.municipality, "City of Johannesburg");
+  assert.ok(ok.address.geo.latitude < -26);
+
+  // Leading zeros dropped by spreadsheets, postal code in another province
+  const wrong = checkAddress(
+    address({ suburb: "Arcadia", province: "Western Cape", postalCode: 83 })
+  );
+  assert.equal(wrong.address.postalCode, "0083");
+  assert.equal(wrong.issues[0].severity, "error");
+  assert.equal(wrong.issues[0].field, "province");
+  assert.equal(wrong.issues[0].suggestion, "Gauteng");
+
+  // Suggested corrections: a typo, a suburb with another postal code
+  const typo = checkAddress(
+    address({ suburb: "Diepklof", postalCode: "1864" })
+  );
+  assert.deepEqual(
+    typo.issues.map((i) => [i.field, i.suggestion]),
+    [["suburb", "Diepkloof"]]
+  );
+  const moved = checkAddress(
+    address({ suburb: "Sandton", province: "Gauteng", postalCode: "2001" })
+  );
+  assert.deepEqual(
+    moved.issues.map((i) => [i.severity, i.field, i.suggestion]),
+    [["warning", "postalCode", "2196"]]
+  );
+
+  // Unknown postal codes aren't checked; a postal code in one
+  // municipality still fills it in
+  assert.deepEqual(checkAddress(address({ postalCode: "9999" })).issues, []);
+  const byCode = checkAddress(
+    address({ suburb: "Somewhere", postalCode: "4001" })
+  );
+  assert.equal(byCode.address.municipality, "eThekwini");
+  assert.equal(byCode.address.province, "KwaZulu-Natal");
+
+  // Countries without a gazetteer only get capitalisation
+  const botswana = checkAddress(
+    { suburb: "BROADHURST", postalCode: "0001" },
+    getCountryPack("botswana")
+  );
+  assert.equal(botswana.address.suburb, "Broadhurst");
+  assert.deepEqual(botswana.issues, []);
+
+  // Autocomplete by name, typo and postal code
+  assert.equal(suggestAddresses("sowe")[0].city, "Soweto");
+  assert.equal(suggestAddresses("Khayelitsa")[0].suburb, "Khayelitsha");
+  const codes = suggestAddresses("2196");
+  assert.deepEqual(codes.map((e) => e.suburb), ["Rosebank", "Sandton"]);
+  const westernCape = suggestAddresses("sea", { province: "WC" });
+  assert.ok(westernCape.every((e) => e.province === "Western Cape"));
+
+  // Person records: conflicts rejected, addresses stored normalised
+  await assert.rejects(
+    createPersonRecord(
+      tenantId,
+      {
+        firstName: "Thabo",
+        addresses: {
+          residential: address({
+            province: "Western Cape",
+            postalCode: "1804",
+          }),
+        },
+      },
+      "U1"
+    ),
+    (err) =>
+      err instanceof ValidationError &&
+      err.field === "addresses.residential.province"
+  );
+  const created = await createPersonRecord(
+    tenantId,
+    {
+      firstName: "Thabo",
+      addresses: {
+        residential: address({ suburb: "orlando", postalCode: "1804" }),
+      },
+    },
+    "U1"
+  );
+  assert.equal(created.addresses.residential.suburb, "Orlando");
+  assert.equal(created.addresses.residential.province, "Gauteng");
+
+  // The validate endpoint reports conflicts and suggestions
+  const check = validatePersonDataConsistency({
+    addresses: {
+      residential: address({ province: "Limpopo", postalCode: "1804" }),
+      postal: address({ suburb: "Sandton", postalCode: "2001" }),
+    },
+  });
+  assert.equal(check.errors.length, 1);
+  assert.match(check.errors[0], /^residential address: Postal code 1804/);
+  assert.equal(check.warnings.length, 1);
+
+  console.log("✅ address tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,153 @@
+import assert from "assert";
+import { EventEmitter } from "events";
+import { db } from "../services/firestore.client.js";
+import {
+  diffRecords,
+  flushAuditEvents,
+  REDACTED,
+} from "../utilities/audit.util.js";
+import { audit, auditLogin } from "../middleware/audit.middleware.js";
+import {
+  listAuditEvents,
+  getAuditEvent,
+  exportAuditEvents,
+} from "../modules/internal/audit.event/audit.event.service.js";
+import { NotFoundError } from "../utilities/error-handler.util.js";
+
+// Minimal req/res pair: run the middleware, the "handler", then finish
+async function runRoute(middleware, { req, status = 200, body, handler }) {
+  const res = new EventEmitter();
+  res.statusCode = status;
+  res.json = (payload) => payload;
+  const request = {
+    method: "PATCH",
+    params: {},
+    body: {},
+    headers: {},
+    originalUrl: "/api/v1/test?x=1",
+    ip: "10.0.0.1",
+    country: "southAfrica",
+    get(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    ...req,
+  };
+  await new Promise((resolve) => middleware(request, res, resolve));
+  if (handler) await handler();
+  res.json(body);
+  res.emit("finish");
+  await flushAuditEvents();
+}
+
+// Tests for the audit trail (diffs, middleware, queries and export)
+async function run() {
+  // Diffs: nested fields, ignored bookkeeping and redacted secrets
+  const changes = diffRecords(
+    {
+      name: "A",
+      contact: { email: "a@x.io", phone: "1" },
+      password: "old",
+      recordVersion: 1,
+    },
+    {
+      name: "B",
+      contact: { email: "a@x.io" },
+      password: "new",
+      recordVersion: 2,
+      tags: ["x"],
+    }
+  );
+  assert.deepEqual(changes, [
+    { field: "contact.phone", before: "1", after: null },
+    { field: "name", before: "A", after: "B" },
+    { field: "password", before: REDACTED, after: REDACTED },
+    { field: "tags", before: null, after: ["x"] },
+  ]);
+  assert.deepEqual(diffRecords(null, null), []);
+
+  // Update: before/after loaded around the handler
+  const store = { R1: { roleName: "Old", description: "d" } };
+  const load = async (id) => (store[id] ? { ...store[id] } : null);
+  await runRoute(audit("role", { load }), {
+    req: {
+      params: { id: "R1" },
+      admin: { id: "ADM1", email: "a@x.io", type: "internal_admin" },
+      headers: { "user-agent": "test-agent" },
+    },
+    handler: async () => {
+      store.R1.roleName = "New";
+    },
+  });
+
+  // Create: id read from the response, tenant from the route
+  await runRoute(audit("person", { load }), {
+    req: {
+      method: "POST",
+      params: { tenantId: "T1" },
+      user: { id: "U1", type: "tenant_user" },
+    },
+    status: 201,
+    body: { data: { id: "P1", firstName: "Thandi" } },
+  });
+
+  // Failed requests are skipped, failed logins are not
+  await runRoute(audit("role", { load }), {
+    req: { method: "DELETE", params: { id: "R1" } },
+    status: 404,
+  });
+  await runRoute(auditLogin("admin", "admin"), {
+    req: { method: "POST", body: { email: "who@x.io" } },
+    status: 401,
+  });
+
+  const roles = await listAuditEvents({ resourceType: "role" });
+  assert.equal(roles.items.length, 1);
+  const [update] = roles.items;
+  assert.equal(update.action, "update");
+  assert.equal(update.resource.id, "R1");
+  assert.equal(update.actor.email, "a@x.io");
+  assert.equal(update.request.path, "/api/v1/test");
+  assert.equal(update.request.userAgent, "test-agent");
+  assert.deepEqual(update.changes, [
+    { field: "roleName", before: "Old", after: "New" },
+  ]);
+  assert.deepEqual(await getAuditEvent(update.id), update);
+  await assert.rejects(getAuditEvent("AUDIT0"), NotFoundError);
+
+  const people = await listAuditEvents({ tenantId: "T1" });
+  assert.equal(people.items[0].action, "create");
+  assert.equal(people.items[0].resource.id, "P1");
+  assert.equal(people.items[0].changes.length, 2);
+
+  const logins = await listAuditEvents({ action: "login" });
+  assert.equal(logins.items[0].outcome, "failure");
+  assert.deepEqual(logins.items[0].details, { attempted: "who@x.io" });
+
+  // Filters and cursor pagination
+  assert.equal((await listAuditEvents({ actor: "ADM1" })).items.length, 1);
+  assert.equal((await listAuditEvents({ to: "2000-01-01" })).items.length, 0);
+  const page1 = await listAuditEvents({ limit: 2 });
+  assert.equal(page1.items.length, 2);
+  assert.ok(page1.nextCursor);
+  const page2 = await listAuditEvents({ limit: 2, cursor: page1.nextCursor });
+  assert.equal(page2.items.length, 1);
+  assert.equal(page2.nextCursor, null);
+  const seen = new Set([...page1.items, ...page2.items].map((e) => e.id));
+  assert.equal(seen.size, 3);
+
+  const exported = await exportAuditEvents({ outcome: "success" });
+  assert.equal(exported.events.length, 2);
+  assert.equal(exported.truncated, false);
+
+  const stored = await db
+    .collection("touchAfrica/southAfrica/auditEvents")
+    .get();
+  assert.equal(stored.size, 3);
+
+  console.log("✅ audit tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,63 @@
+import assert from "assert";
+import { createLocalFirestore } from "../services/storage/local.adapter.js";
+import {
+  parseIfMatch,
+  getVersion,
+  updateWithVersion,
+} from "../utilities/concurrency.util.js";
+import { PreconditionFailedError } from "../utilities/error-handler.util.js";
+
+// Tests for ETag / If-Match optimistic concurrency
+async function run() {
+  assert.equal(parseIfMatch(undefined), null);
+  assert.equal(parseIfMatch("*"), "*");
+  assert.deepEqual(parseIfMatch('"v3"'), [3]);
+  assert.deepEqual(parseIfMatch('W/"v2", "v4"'), [2, 4]);
+  assert.equal(getVersion({}), 1); // legacy docs start at v1
+
+  const db = createLocalFirestore();
+  const ref = db.doc("touchAfrica/southAfrica/roles/R1");
+  await ref.set({ roleName: "Clerk" });
+
+  // Matching version bumps it
+  const first = await updateWithVersion(ref, { roleName: "Clerk II" }, {
+    expected: [1],
+  });
+  assert.equal(first.version, 2);
+  assert.equal((await ref.get()).data().recordVersion, 2);
+
+  // Stale version is rejected and nothing is written
+  await assert.rejects(
+    updateWithVersion(ref, { roleName: "Stale" }, { expected: [1] }),
+    (err) =>
+      err instanceof PreconditionFailedError &&
+      err.statusCode === 412 &&
+      err.details.etag === '"v2"'
+  );
+  assert.equal((await ref.get()).data().roleName, "Clerk II");
+
+  // No If-Match (or *) still bumps the version
+  await updateWithVersion(ref, { roleName: "Clerk III" }, { expected: "*" });
+  assert.equal((await ref.get()).data().recordVersion, 3);
+
+  // Nested version field next to a replaced parent object
+  const person = db.doc("touchAfrica/southAfrica/people/P1");
+  await person.set({ audit: { createdBy: "a" } });
+  await updateWithVersion(
+    person,
+    (current) => ({ audit: { ...current.audit, updatedBy: "b" } }),
+    { versionField: "audit.recordVersion" }
+  );
+  assert.deepEqual((await person.get()).data().audit, {
+    createdBy: "a",
+    updatedBy: "b",
+    recordVersion: 2,
+  });
+
+  console.log("✅ concurrency tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,192 @@
+import assert from "assert";
+import { db } from "../services/firestore.client.js";
+import {
+  createConsentPurposeRecord,
+  updateConsentPurposeRecord,
+  recordConsent,
+  getPersonConsents,
+  getPurposeAudience,
+} from "../modules/external/tenant/consent/consent.service.js";
+import {
+  ConsentFilterSchema,
+  CreateConsentPurposeSchema,
+} from "../modules/external/tenant/consent/consent.validation.js";
+import {
+  createPersonRecord,
+  updatePersonRecord,
+  getAllPersonRecords,
+  exportPersonRecords,
+} from "../modules/external/tenant/person/person.service.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utilities/error-handler.util.js";
+
+const tenantId = "T1";
+
+function person(firstName, email) {
+  return {
+    firstName,
+    surname: "Nkosi",
+    contact: { mobile: "0821234567", email },
+  };
+}
+
+const ids = (people) => people.map((p) => p.id).sort();
+// Event order comes from millisecond timestamps
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+// Tests for consent purposes, consent events and their enforcement
+async function run() {
+  await db.doc(`touchAfrica/southAfrica/tenants/${tenantId}`).set({
+    id: tenantId,
+  });
+  const a = await createPersonRecord(tenantId, person("A", "a@x.io"), "U1");
+  const b = await createPersonRecord(tenantId, person("B", "b@x.io"), "U1");
+  const c = await createPersonRecord(tenantId, person("C", "c@x.io"), "U1");
+
+  // Purposes: opt-in marketing, opt-out partner sharing
+  const sms = await createConsentPurposeRecord(
+    tenantId,
+    CreateConsentPurposeSchema.parse({
+      id: "marketing_sms",
+      name: "Marketing SMS",
+    }),
+    "U1"
+  );
+  assert.equal(sms.basis, "opt_in");
+  assert.equal(sms.isActive, true);
+  await createConsentPurposeRecord(
+    tenantId,
+    CreateConsentPurposeSchema.parse({
+      id: "partner_sharing",
+      name: "Data sharing with programme partners",
+      basis: "opt_out",
+    }),
+    "U1"
+  );
+  assert.throws(() =>
+    CreateConsentPurposeSchema.parse({ id: "Bad Id", name: "Bad" })
+  );
+  await assert.rejects(
+    createConsentPurposeRecord(
+      tenantId,
+      { id: "marketing_sms", name: "Again" },
+      "U1"
+    ),
+    ConflictError
+  );
+
+  // Events: history kept, latest state on the person
+  await recordConsent(
+    tenantId,
+    a.id,
+    {
+      purposeId: "marketing_sms",
+      action: "given",
+      channel: "paper",
+      evidence: { type: "form", reference: "Signed form 17" },
+      at: "2025-01-10T08:00:00Z",
+    },
+    "U1"
+  );
+  await recordConsent(
+    tenantId,
+    b.id,
+    { purposeId: "marketing_sms", action: "given", channel: "sms" },
+    "U1"
+  );
+  await tick();
+  await recordConsent(
+    tenantId,
+    b.id,
+    { purposeId: "marketing_sms", action: "withdrawn", channel: "sms" },
+    "U1"
+  );
+  await recordConsent(
+    tenantId,
+    c.id,
+    { purposeId: "partner_sharing", action: "withdrawn", channel: "phone" },
+    "U1"
+  );
+  await assert.rejects(
+    recordConsent(
+      tenantId,
+      a.id,
+      { purposeId: "unknown", action: "given", channel: "web" },
+      "U1"
+    ),
+    NotFoundError
+  );
+
+  const consentsB = await getPersonConsents(tenantId, b.id);
+  assert.equal(consentsB.current.marketing_sms.status, "withdrawn");
+  assert.deepEqual(
+    consentsB.history.map((e) => e.action),
+    ["withdrawn", "given"]
+  );
+  const consentsA = await getPersonConsents(tenantId, a.id);
+  assert.equal(consentsA.history[0].at, "2025-01-10T08:00:00.000Z");
+  assert.equal(consentsA.history[0].evidence.reference, "Signed form 17");
+
+  // Person updates can't change consent
+  await updatePersonRecord(
+    tenantId,
+    b.id,
+    { surname: "Dube", consents: { marketing_sms: { status: "given" } } },
+    "U1"
+  );
+  const stillWithdrawn = await getPersonConsents(tenantId, b.id);
+  assert.equal(stillWithdrawn.current.marketing_sms.status, "withdrawn");
+
+  // Search by consent state
+  const filter = ConsentFilterSchema.parse("marketing_sms:withdrawn");
+  const withdrawn = await getAllPersonRecords(tenantId, {}, "U1", {
+    consent: filter,
+  });
+  assert.deepEqual(ids(withdrawn.data), [b.id]);
+  assert.throws(() => ConsentFilterSchema.parse("marketing_sms:maybe"));
+
+  // Enforcement: opt-in needs consent given, opt-out excludes withdrawals
+  assert.deepEqual(
+    ids(await getPurposeAudience(tenantId, "marketing_sms")),
+    [a.id]
+  );
+  assert.deepEqual(
+    ids(await getPurposeAudience(tenantId, "partner_sharing")),
+    [a.id, b.id].sort()
+  );
+  const exported = await exportPersonRecords(tenantId, {}, "csv", "U1", {
+    purposeId: "partner_sharing",
+  });
+  assert.deepEqual(ids(exported.data), [a.id, b.id].sort());
+  assert.ok(!exported.content.includes("c@x.io"));
+  const all = await exportPersonRecords(tenantId, {}, "csv", "U1");
+  assert.equal(all.data.length, 3);
+
+  // Inactive purposes reach no one and take no new consent
+  await updateConsentPurposeRecord(
+    tenantId,
+    "marketing_sms",
+    { isActive: false },
+    "U1"
+  );
+  assert.deepEqual(await getPurposeAudience(tenantId, "marketing_sms"), []);
+  await assert.rejects(
+    recordConsent(
+      tenantId,
+      c.id,
+      { purposeId: "marketing_sms", action: "given", channel: "web" },
+      "U1"
+    ),
+    ValidationError
+  );
+
+  console.log("✅ consent tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,77 @@
+import assert from "assert";
+import { resolveCountryKey, listCountries } from "../config/countries.config.js";
+import {
+  runWithCountry,
+  getCurrentCountry,
+  tenantPath,
+  platformPath,
+} from "../utilities/country-context.util.js";
+import { PersonSchema } from "../modules/external/tenant/person/person.validation.js";
+
+// Tests for country packs, the request country context and country-aware validation
+async function run() {
+  assert.equal(resolveCountryKey("BW"), "botswana");
+  assert.equal(resolveCountryKey("Namibia"), "namibia");
+  assert.equal(resolveCountryKey("XX"), null);
+  assert.equal(listCountries().length, 3);
+
+  // Default partition
+  assert.equal(getCurrentCountry(), "southAfrica");
+  assert.equal(
+    tenantPath("T1", "people"),
+    "touchAfrica/southAfrica/tenants/T1/people"
+  );
+
+  // Context survives async hops; platform paths stay put
+  await runWithCountry("BW", async () => {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    assert.equal(
+      tenantPath("T1", "people"),
+      "touchAfrica/botswana/tenants/T1/people"
+    );
+    assert.equal(platformPath("admins"), "touchAfrica/southAfrica/admins");
+  });
+  assert.equal(getCurrentCountry(), "southAfrica");
+
+  // Person address/phone/ID rules follow the country pack
+  const addressShape = PersonSchema.shape.addresses.shape.residential;
+  const saAddress = {
+    line1: "1 Main Rd",
+    line2: "Unit 1",
+    streetName: "Main Rd",
+    suburb: "Central",
+    city: "Cape Town",
+    province: "Western Cape",
+    postalCode: "8001",
+  };
+  assert.ok(addressShape.safeParse(saAddress).success);
+
+  const bwAddress = {
+    ...saAddress,
+    city: "Gaborone",
+    province: "South-East",
+    postalCode: undefined,
+  };
+  assert.ok(!addressShape.safeParse(bwAddress).success); // SA needs a postal code
+  runWithCountry("botswana", () => {
+    const parsed = addressShape.safeParse(bwAddress);
+    assert.ok(parsed.success);
+    assert.equal(parsed.data.countryCode, "BW");
+    assert.ok(!addressShape.safeParse(saAddress).success); // not a BW district
+  });
+
+  const demographics = PersonSchema.shape.demographics.shape;
+  assert.ok(demographics.idNumber.safeParse("8001015009087").success);
+  runWithCountry("namibia", () => {
+    assert.ok(!demographics.idNumber.safeParse("8001015009087").success);
+    assert.ok(demographics.idNumber.safeParse("80010150090").success);
+    assert.ok(demographics.citizenshipStatus.safeParse("Namibian").success);
+  });
+
+  console.log("✅ country-context tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
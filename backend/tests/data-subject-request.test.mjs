@@ -0,0 +1,273 @@
+import assert from "assert";
+import { db } from "../services/firestore.client.js";
+import {
+  createDataSubjectRequestRecord,
+  listDataSubjectRequestRecords,
+  approveDataSubjectRequest,
+  rejectDataSubjectRequest,
+  buildAccessReport,
+  executeErasure,
+  getErasureCertificate,
+  ERASED,
+} from "../modules/internal/data.subject.request/data.subject.request.service.js";
+import { CreateDataSubjectRequestSchema } from "../modules/internal/data.subject.request/data.subject.request.validation.js";
+import { createPersonRecord } from "../modules/internal/person/person.service.js";
+import {
+  createPerson as createTenantPerson,
+} from "../modules/external/tenant/person/person.firestore.js";
+import { recordAuditEvent } from "../utilities/audit.util.js";
+import { blobStore } from "../services/blob.client.js";
+import {
+  isEncryptedValue,
+  revealFields,
+} from "../utilities/field-encryption.util.js";
+import {
+  AuthorizationError,
+  ConflictError,
+} from "../utilities/error-handler.util.js";
+
+const root = "touchAfrica/southAfrica";
+const clerk = { id: "ADM1", email: "clerk@x.io", type: "internal_admin" };
+const officer = { id: "ADM2", email: "officer@x.io", type: "internal_admin" };
+
+function person(idNumber) {
+  return {
+    firstName: "Thandi",
+    surname: "Nkosi",
+    contact: { mobile: "0821234567", email: "thandi@x.io" },
+    demographics: { idNumber, gender: "Male" },
+    socioEconomic: { taxNumber: "0123456789" },
+  };
+}
+
+// Tests for POPIA access and erasure requests
+async function run() {
+  // Data about one subject spread over the platform and a tenant
+  const platformPerson = await createPersonRecord(
+    person("8001015009087"),
+    "ADM1"
+  );
+  await db.doc(`${root}/tenants/T1`).set({ id: "T1" });
+  await createTenantPerson({ id: "TP1", ...person("8001015009087") }, "T1");
+  await db.doc(`${root}/tenants/T1/admins/TADMIN1`).set({
+    id: "TADMIN1",
+    personId: "TP1",
+    accessDetails: { email: "thandi@x.io", password: "$2b$hash" },
+    account: { isActive: { value: true, changes: [] } },
+  });
+  await db.doc(`${root}/tenants/T1/users/TUSER1`).set({
+    id: "TUSER1",
+    names: "Thandi",
+    surname: "Nkosi",
+    activationDetails: { phoneNumber: "+27821234567", pin: "1234" },
+    account: { isActive: { value: true, changes: [] } },
+  });
+  await db.doc(`${root}/serviceRequests/SR1`).set({
+    id: "SR1",
+    names: "Thandi",
+    message: "Please call me",
+    contactInfo: { email: "thandi@x.io", phoneNumber: "0821234567" },
+  });
+  // Stored emails keep the case they were typed in
+  await db.doc(`${root}/serviceRequests/SR2`).set({
+    id: "SR2",
+    contactInfo: { email: " Thandi@X.io", phoneNumber: null },
+  });
+  await recordAuditEvent({
+    action: "update",
+    resource: { type: "person", id: platformPerson.id },
+    actor: clerk,
+    changes: [{ field: "surname", before: "Dube", after: "Nkosi" }],
+  });
+  await db.doc(`${root}/people/OTHER1`).set({ id: "OTHER1", firstName: "X" });
+  // Import spreadsheets: one with the subject in a row, one without
+  for (const [id, idNumber] of [
+    ["IMP1", "800101 5009087"],
+    ["IMP2", "7501015009087"],
+  ]) {
+    const blobKey = `${root}/tenants/T1/personImports/${id}`;
+    const file = `Name,ID Number\nX,${idNumber}\n`;
+    await db
+      .doc(blobKey)
+      .set({ id, format: "csv", blobKey, status: "previewed" });
+    await blobStore.put(blobKey, Buffer.from(file));
+  }
+
+  // Access: four-eyes approval, then the report completes the request
+  const access = await createDataSubjectRequestRecord(
+    { type: "access", subject: { idNumber: "800101 5009087" } },
+    clerk
+  );
+  assert.equal(access.status, "pending_approval");
+  assert.equal(access.overdue, false);
+  await assert.rejects(buildAccessReport(access.id, officer), ConflictError);
+  await assert.rejects(
+    approveDataSubjectRequest(access.id, clerk),
+    AuthorizationError
+  );
+  await approveDataSubjectRequest(access.id, officer, "ID verified");
+
+  const { report } = await buildAccessReport(access.id, officer);
+  assert.equal(report.counts.person, 2);
+  assert.equal(report.counts.admin, 1);
+  assert.equal(report.people[0].record.demographics.idNumber, "8001015009087");
+  assert.equal(report.accounts[0].record.accessDetails.password, "[REDACTED]");
+  assert.equal(report.auditEvents.length, 1);
+  assert.deepEqual(
+    report.imports.map((entry) => entry.record.id),
+    ["IMP1"]
+  );
+  assert.ok(!JSON.stringify(report).includes("OTHER1"));
+
+  // Deadlines and filters
+  const late = await createDataSubjectRequestRecord(
+    {
+      type: "access",
+      subject: { email: "late@x.io" },
+      receivedAt: "2020-01-01",
+    },
+    clerk
+  );
+  assert.equal(late.overdue, true);
+  assert.deepEqual(
+    (await listDataSubjectRequestRecords({ overdue: true })).map((r) => r.id),
+    [late.id]
+  );
+  await rejectDataSubjectRequest(late.id, officer, "Identity not verified");
+
+  // Requests logged in the same millisecond keep their own ids
+  const realNow = Date.now;
+  const frozen = realNow();
+  Date.now = () => frozen;
+  const twins = await Promise.all(
+    ["a@x.io", "b@x.io"].map((email) =>
+      createDataSubjectRequestRecord(
+        { type: "access", subject: { email } },
+        clerk
+      )
+    )
+  ).finally(() => {
+    Date.now = realNow;
+  });
+  assert.notEqual(twins[0].id, twins[1].id);
+  for (const twin of twins) {
+    await rejectDataSubjectRequest(twin.id, officer, "Duplicate");
+  }
+  assert.equal(
+    (await listDataSubjectRequestRecords({ status: "completed" })).length,
+    1
+  );
+
+  // Phones are matched with the dialling code of the subject's country:
+  // a Botswana number in Botswana's partition, local or international
+  const bw = "touchAfrica/botswana";
+  await db.doc(`${bw}/tenants/T2`).set({ id: "T2" });
+  await db.doc(`${bw}/tenants/T2/users/BWUSER1`).set({
+    id: "BWUSER1",
+    activationDetails: { phoneNumber: "71234567" },
+  });
+  await db.doc(`${bw}/serviceRequests/BWSR1`).set({
+    id: "BWSR1",
+    contactInfo: { email: null, phoneNumber: "+26771234567" },
+  });
+  const parses = (subject) =>
+    CreateDataSubjectRequestSchema.safeParse({ type: "access", subject })
+      .success;
+  assert.equal(parses({ phone: "71234567", country: "BW" }), true);
+  assert.equal(parses({ phone: "71234567" }), false);
+  assert.equal(parses({ phone: "71234567", country: "XX" }), false);
+  const botswana = await createDataSubjectRequestRecord(
+    { type: "access", subject: { phone: "+267 7123 4567", country: "BW" } },
+    clerk
+  );
+  assert.equal(botswana.subject.country, "botswana");
+  await approveDataSubjectRequest(botswana.id, officer);
+  const { report: bwReport } = await buildAccessReport(botswana.id, officer);
+  assert.deepEqual(
+    bwReport.accounts.map((account) => account.record.id),
+    ["BWUSER1"]
+  );
+  assert.deepEqual(
+    bwReport.serviceRequests.map((request) => request.record.id),
+    ["BWSR1"]
+  );
+
+  // Erasure by id number, email and phone
+  const erasure = await createDataSubjectRequestRecord(
+    {
+      type: "erasure",
+      subject: {
+        idNumber: "8001015009087",
+        email: "thandi@x.io",
+        phone: "0821234567",
+      },
+    },
+    clerk
+  );
+  await assert.rejects(executeErasure(erasure.id, officer), ConflictError);
+  await approveDataSubjectRequest(erasure.id, officer);
+  const done = await executeErasure(erasure.id, officer);
+  assert.equal(done.status, "completed");
+  assert.equal(done.subject.email, undefined);
+  assert.ok(done.subject.fingerprint);
+  await assert.rejects(executeErasure(erasure.id, officer), ConflictError);
+
+  // Retained: identification and tax numbers; everything else is gone
+  const erased = (
+    await db.doc(`${root}/people/${platformPerson.id}`).get()
+  ).data();
+  assert.equal(erased.firstName, ERASED);
+  assert.equal(erased.contact, undefined);
+  assert.ok(isEncryptedValue(erased.demographics.idNumber));
+  assert.equal(erased.demographics.gender, undefined);
+  assert.equal(
+    revealFields(erased, true).socioEconomic.taxNumber,
+    "0123456789"
+  );
+  assert.equal(erased.erasure.requestId, erasure.id);
+
+  const admin = (
+    await db.doc(`${root}/tenants/T1/admins/TADMIN1`).get()
+  ).data();
+  assert.equal(admin.account.isActive.value, false);
+  assert.equal(admin.accessDetails.password, null);
+  const user = (await db.doc(`${root}/tenants/T1/users/TUSER1`).get()).data();
+  assert.equal(user.names, ERASED);
+  assert.equal(user.activationDetails.phoneNumber, null);
+  const request = (await db.doc(`${root}/serviceRequests/SR1`).get()).data();
+  assert.deepEqual(request.contactInfo, { email: null, phoneNumber: null });
+  const mixedCase = (await db.doc(`${root}/serviceRequests/SR2`).get()).data();
+  assert.equal(mixedCase.contactInfo.email, null);
+  const events = await db
+    .collection(`${root}/auditEvents`)
+    .where("resourceId", "==", platformPerson.id)
+    .get();
+  assert.deepEqual(events.docs[0].data().changes, [
+    { field: "surname", before: ERASED, after: ERASED },
+  ]);
+  const untouched = (await db.doc(`${root}/people/OTHER1`).get()).data();
+  assert.equal(untouched.firstName, "X");
+  const imports = `${root}/tenants/T1/personImports`;
+  assert.equal(await blobStore.get(`${imports}/IMP1`), null);
+  const discarded = (await db.doc(`${imports}/IMP1`).get()).data();
+  assert.equal(discarded.status, "discarded");
+  assert.ok(await blobStore.get(`${imports}/IMP2`));
+
+  // Certificate: every record, who approved and ran it, checksum
+  const certificate = await getErasureCertificate(erasure.id);
+  assert.equal(certificate.counts.person, 2);
+  assert.equal(certificate.counts.user, 1);
+  assert.equal(certificate.counts.serviceRequest, 2);
+  assert.equal(certificate.counts.personImport, 1);
+  assert.equal(certificate.approvedBy.id, "ADM2");
+  assert.equal(certificate.subjectFingerprint, done.subject.fingerprint);
+  assert.match(certificate.checksum, /^[0-9a-f]{64}$/);
+  assert.ok(!JSON.stringify(certificate).includes("thandi@x.io"));
+
+  console.log("✅ data subject request tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,202 @@
+import assert from "assert";
+import { db } from "../services/firestore.client.js";
+import {
+  encryptValue,
+  decryptValue,
+  isEncryptedValue,
+  encryptFields,
+  revealFields,
+  rewrapFields,
+  rotateKey,
+  keyScope,
+  blindIndex,
+  MASKED_VALUE,
+} from "../utilities/field-encryption.util.js";
+import {
+  createPersonRecord,
+  getPersonRecord,
+  getAllPersonRecords,
+  exportPersonRecords,
+} from "../modules/internal/person/person.service.js";
+import { getAllPersonRecords as listTenantPersons } from "../modules/external/tenant/person/person.service.js";
+import { searchPersons } from "../modules/internal/person/person.firestore.js";
+import {
+  createPerson as createTenantPerson,
+  getPersonById as getTenantPerson,
+} from "../modules/external/tenant/person/person.firestore.js";
+import { applyMigrations } from "../utilities/migration.util.js";
+
+const quiet = () => {};
+
+function person(idNumber) {
+  return {
+    firstName: "Thandi",
+    surname: "Nkosi",
+    demographics: {
+      idNumber,
+      gender: "Male",
+      employment: { status: "Employed", monthlyIncome: "25000" },
+    },
+    socioEconomic: { taxNumber: "0123456789", employmentStatus: "Employed" },
+  };
+}
+
+// Tests for field-level encryption of sensitive person data
+async function run() {
+  const root = "touchAfrica/southAfrica";
+
+  // Envelopes round-trip and never contain the plaintext
+  const envelope = encryptValue("8001015009087", keyScope());
+  assert.ok(isEncryptedValue(envelope));
+  assert.ok(!JSON.stringify(envelope).includes("8001015009087"));
+  assert.equal(decryptValue(envelope), "8001015009087");
+  assert.equal(decryptValue("plain"), "plain");
+
+  // Blind indexes are stable per scope and differ between scopes
+  assert.equal(
+    blindIndex(keyScope(), "idNumber", "800101 5009087"),
+    blindIndex(keyScope(), "idNumber", "8001015009087")
+  );
+  assert.notEqual(
+    blindIndex(keyScope("T1"), "idNumber", "8001015009087"),
+    blindIndex(keyScope(), "idNumber", "8001015009087")
+  );
+
+  // Stored encrypted; revealed only on request
+  const created = await createPersonRecord(person("8001015009087"), "ADM1", {
+    reveal: true,
+  });
+  assert.equal(created.demographics.idNumber, "8001015009087");
+  assert.equal(created.blindIndex, undefined);
+
+  const stored = (await db.doc(`${root}/people/${created.id}`).get()).data();
+  assert.ok(isEncryptedValue(stored.demographics.idNumber));
+  assert.ok(isEncryptedValue(stored.demographics.employment.monthlyIncome));
+  assert.ok(isEncryptedValue(stored.socioEconomic.taxNumber));
+  assert.equal(stored.socioEconomic.employmentStatus, "Employed");
+  assert.equal(stored.demographics.gender, "Male");
+  assert.ok(stored.blindIndex.idNumber);
+
+  const masked = await getPersonRecord(created.id, "U1");
+  assert.equal(masked.demographics.idNumber, MASKED_VALUE);
+  assert.equal(masked.socioEconomic.taxNumber, MASKED_VALUE);
+  assert.equal(masked.firstName, "Thandi");
+  const revealed = await getPersonRecord(created.id, "ADM1", { reveal: true });
+  assert.equal(revealed.demographics.employment.monthlyIncome, "25000");
+
+  // Exports follow the same rule
+  const exported = await exportPersonRecords({}, "csv", "U1");
+  assert.ok(!exported.content.includes("8001015009087"));
+  assert.ok(!exported.content.includes("0123456789"));
+
+  // Duplicate checks and lookups go through the blind index
+  await assert.rejects(
+    createPersonRecord(person("8001015009087"), "ADM1"),
+    (err) => err.code === "DUPLICATE_PERSON"
+  );
+  const found = await searchPersons({ idNumber: "8001015009087" });
+  assert.deepEqual(
+    found.map((p) => p.id),
+    [created.id]
+  );
+
+  // Lists find encrypted numbers by filter or by an exact-ID query
+  const listedIds = async (query) =>
+    (await getAllPersonRecords(query, "U1")).data.map((p) => p.id);
+  await createPersonRecord(person("7501015009087"), "ADM1");
+  assert.deepEqual(
+    await listedIds({ filters: { idNumber: "8001015009087" } }),
+    [created.id]
+  );
+  assert.deepEqual(
+    await listedIds({
+      filters: { "demographics.idNumber": { in: ["8001015009087"] } },
+    }),
+    [created.id]
+  );
+  assert.deepEqual(await listedIds({ q: "800101 5009087" }), [created.id]);
+  assert.deepEqual(
+    await listedIds({ search: { query: "8001015009087" } }),
+    [created.id]
+  );
+  assert.equal((await listedIds({ q: "Thandi" })).length, 2);
+  await assert.rejects(
+    getAllPersonRecords({ filters: { idNumber: { gte: "8" } } }, "U1"),
+    /can only be filtered by exact value/
+  );
+
+  // Tenants use their own keys; duplicates are per tenant
+  await db.doc(`${root}/tenants/T1`).set({ id: "T1" });
+  const tenantPerson = await createTenantPerson(
+    { id: "TP1", ...person("8001015009087") },
+    "T1"
+  );
+  assert.ok(tenantPerson.demographics.idNumber.kid.startsWith("tenant:T1/"));
+  await assert.rejects(
+    createTenantPerson({ id: "TP2", ...person("8001015009087") }, "T1"),
+    (err) => err.code === "DUPLICATE_PERSON"
+  );
+
+  const tenantListed = await listTenantPersons(
+    "T1",
+    { q: "8001015009087" },
+    "U1"
+  );
+  assert.deepEqual(
+    tenantListed.data.map((p) => p.id),
+    ["TP1"]
+  );
+
+  // Rotation: old values stay readable, rewrap moves them to the new key
+  const before = await getTenantPerson("TP1", "T1");
+  const kid = rotateKey(keyScope("T1"));
+  assert.equal(kid, "tenant:T1/2");
+  assert.equal(
+    revealFields(before, true).demographics.idNumber,
+    "8001015009087"
+  );
+  const patch = rewrapFields(before, keyScope("T1"));
+  assert.equal(patch["demographics.idNumber"].kid, kid);
+  assert.equal(
+    patch["demographics.idNumber"].data,
+    before.demographics.idNumber.data
+  );
+  const rewrapped = patch["demographics.idNumber"];
+  const current = { demographics: { idNumber: rewrapped } };
+  assert.equal(decryptValue(rewrapped), "8001015009087");
+  assert.equal(rewrapFields(current, keyScope("T1")), null);
+
+  // Partial updates only encrypt what they carry
+  const { record, blindIndex: index } = encryptFields(
+    { surname: "Dube" },
+    keyScope()
+  );
+  assert.deepEqual(record, { surname: "Dube" });
+  assert.deepEqual(index, {});
+
+  // Migrations encrypt records written before encryption existed
+  await db.doc(`${root}/people/LEGACY1`).set({
+    id: "LEGACY1",
+    idNumber: "7001015009085",
+    socioEconomic: { uifNumber: "12345678" },
+  });
+  await applyMigrations({ log: quiet });
+  const legacy = (await db.doc(`${root}/people/LEGACY1`).get()).data();
+  assert.ok(isEncryptedValue(legacy.demographics.idNumber));
+  assert.ok(isEncryptedValue(legacy.socioEconomic.uifNumber));
+  assert.equal(
+    legacy.blindIndex.idNumber,
+    blindIndex(keyScope(), "idNumber", "7001015009085")
+  );
+  assert.equal(
+    revealFields(legacy, true).socioEconomic.uifNumber,
+    "12345678"
+  );
+
+  console.log("✅ field encryption tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,99 @@
+import assert from "assert";
+import { mkdtempSync, rmSync } from "fs";
+import os from "os";
+import path from "path";
+import { createLocalFirestore } from "../services/storage/local.adapter.js";
+
+// Unit tests for the local Firestore stand-in used by STORAGE_DRIVER=memory|file
+async function run() {
+  const db = createLocalFirestore();
+  const people = db.collection("touchAfrica/southAfrica/tenants/T1/people");
+
+  await people.doc("P1").set({ name: "Ann", age: 30, tags: ["a"] });
+  await people.doc("P2").set({ name: "Ben", age: 25, tags: ["b"] });
+  await people.doc("P3").set({ name: "Cat", age: 35 });
+
+  // where / orderBy / limit / startAfter
+  const adults = await people.where("age", ">=", 30).orderBy("age").get();
+  assert.deepEqual(
+    adults.docs.map((d) => d.id),
+    ["P1", "P3"]
+  );
+  const firstPage = await people.orderBy("age", "desc").limit(2).get();
+  assert.deepEqual(
+    firstPage.docs.map((d) => d.id),
+    ["P3", "P1"]
+  );
+  const nextPage = await people
+    .orderBy("age", "desc")
+    .startAfter(firstPage.docs[1])
+    .limit(2)
+    .get();
+  assert.deepEqual(
+    nextPage.docs.map((d) => d.id),
+    ["P2"]
+  );
+  const tagged = await people.where("tags", "array-contains", "b").get();
+  assert.equal(tagged.size, 1);
+
+  // merge / update with dotted paths / nested collections via doc refs
+  await people.doc("P1").set({ contact: { email: "a@x.co" } }, { merge: true });
+  await people.doc("P1").update({ "contact.phone": "0820000000" });
+  const p1 = (await people.doc("P1").get()).data();
+  assert.equal(p1.name, "Ann");
+  assert.deepEqual(p1.contact, { email: "a@x.co", phone: "0820000000" });
+  const nested = await db
+    .doc("touchAfrica/southAfrica")
+    .collection("tenants")
+    .doc("T1")
+    .collection("people")
+    .get();
+  assert.equal(nested.size, 3);
+
+  // update on a missing document behaves like Firestore
+  await assert.rejects(() => people.doc("NOPE").update({ a: 1 }), {
+    code: "not-found",
+  });
+
+  // returned data is a copy
+  p1.name = "Mutated";
+  assert.equal((await people.doc("P1").get()).data().name, "Ann");
+
+  // transactions serialize read-modify-write cycles
+  const counter = db.doc("touchAfrica/southAfrica/counters/people");
+  await Promise.all(
+    Array.from({ length: 5 }, () =>
+      db.runTransaction(async (tx) => {
+        const snap = await tx.get(counter);
+        tx.set(counter, { value: (snap.exists ? snap.data().value : 0) + 1 });
+      })
+    )
+  );
+  assert.equal((await counter.get()).data().value, 5);
+
+  // batches
+  const batch = db.batch();
+  batch.delete(people.doc("P2"));
+  batch.delete(people.doc("P3"));
+  await batch.commit();
+  assert.equal((await people.get()).size, 1);
+
+  // file persistence
+  const dir = mkdtempSync(path.join(os.tmpdir(), "local-store-"));
+  try {
+    const filePath = path.join(dir, "store.json");
+    const fileDb = createLocalFirestore({ filePath });
+    await fileDb.doc("a/b").set({ ok: true });
+    const reopened = createLocalFirestore({ filePath });
+    assert.deepEqual((await reopened.doc("a/b").get()).data(), { ok: true });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ local.adapter tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
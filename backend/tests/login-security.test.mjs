@@ -0,0 +1,163 @@
+import assert from "assert";
+import { db } from "../services/firestore.client.js";
+import {
+  assertNotLocked,
+  loginFailure,
+  recordLoginSuccess,
+  getLoginSecurity,
+  listLoginHistory,
+  unlockAccount,
+} from "../modules/internal/login.security/login.security.service.js";
+import {
+  LOCKOUT_THRESHOLD,
+  LOGIN_OUTCOMES,
+  deviceOf,
+} from "../modules/internal/login.security/login.security.validation.js";
+import { loginInternalAdminService } from "../modules/internal/admin/admin.service.js";
+import { hashPassword } from "../utilities/auth-enhanced.util.js";
+import { platformPath } from "../utilities/country-context.util.js";
+import { AccountLockedError } from "../utilities/error-handler.util.js";
+
+const FIREFOX = "Mozilla/5.0 (X11; Linux x86_64) Firefox/120.0";
+const client = (ip, userAgent = FIREFOX) => ({ ip, userAgent });
+
+const wrongPasswords = async (attempt, count) => {
+  const errors = [];
+  for (let i = 0; i < count; i++) {
+    errors.push(await loginFailure(attempt, LOGIN_OUTCOMES.INVALID_PASSWORD));
+  }
+  return errors;
+};
+
+// Tests for lockout, login history and suspicious-login flags
+async function run() {
+  // A browser update isn't a new device
+  assert.equal(deviceOf(FIREFOX), deviceOf(FIREFOX.replace("120", "121")));
+  assert.notEqual(deviceOf(FIREFOX), deviceOf("Mozilla/5.0 (iPhone) Safari"));
+
+  // Wrong passwords count until the threshold, then lock the account
+  const account = { id: "IADMIN1", accessDetails: { email: "a@x.io" } };
+  const attempt = { tenantId: null, email: "a@x.io", account };
+  const errors = await wrongPasswords(attempt, LOCKOUT_THRESHOLD);
+  assert.equal(errors[0].message, "Invalid credentials");
+  const locked = errors.at(-1);
+  assert.ok(locked instanceof AccountLockedError);
+  assert.equal(locked.statusCode, 423);
+  const firstLock =
+    new Date(locked.details.lockedUntil).getTime() - Date.now();
+  assert.ok(firstLock > 14 * 60 * 1000 && firstLock <= 15 * 60 * 1000);
+
+  // Locked: even the right password is refused, and that is recorded
+  await assert.rejects(assertNotLocked(attempt), AccountLockedError);
+  let status = await getLoginSecurity(null, "IADMIN1");
+  assert.equal(status.locked, true);
+  assert.equal(status.lockouts, 1);
+
+  // Unlocking lifts it and starts the lockouts over
+  assert.equal((await unlockAccount(null, "IADMIN1", "ROOT")).locked, false);
+  await assertNotLocked(attempt);
+  await wrongPasswords(attempt, LOCKOUT_THRESHOLD - 1);
+  const [again] = await wrongPasswords(attempt, 1);
+  const secondLock =
+    new Date(again.details.lockedUntil).getTime() - Date.now();
+  assert.ok(secondLock > 14 * 60 * 1000 && secondLock <= 15 * 60 * 1000);
+
+  // After a lockout runs out, without a login in between, the next one
+  // is twice as long
+  await db
+    .doc(`${platformPath("loginSecurity")}/IADMIN1`)
+    .update({ lockouts: 1, lockedUntil: null });
+  await wrongPasswords(attempt, LOCKOUT_THRESHOLD - 1);
+  const [doubled] = await wrongPasswords(attempt, 1);
+  const doubledLock =
+    new Date(doubled.details.lockedUntil).getTime() - Date.now();
+  assert.ok(doubledLock > 29 * 60 * 1000 && doubledLock <= 30 * 60 * 1000);
+  await unlockAccount(null, "IADMIN1", "ROOT");
+
+  // Unknown accounts and inactive ones don't count towards a lockout
+  const unknown = await loginFailure(
+    { tenantId: null, email: "ghost@x.io", account: null },
+    LOGIN_OUTCOMES.UNKNOWN_ACCOUNT
+  );
+  assert.equal(unknown.message, "Invalid credentials");
+  const inactive = await loginFailure(attempt, LOGIN_OUTCOMES.INACTIVE);
+  assert.equal(inactive.message, "Account is not active");
+  assert.equal((await getLoginSecurity(null, "IADMIN1")).failedCount, 0);
+
+  // The first login sets the known clients; new ones are flagged
+  const tenantAccount = { id: "EADMIN1", accessDetails: { email: "t@x.io" } };
+  const tenantAttempt = (c) => ({
+    tenantId: "TNT1",
+    email: "t@x.io",
+    account: tenantAccount,
+    client: c,
+  });
+  const first = await recordLoginSuccess(tenantAttempt(client("10.0.0.1")));
+  assert.equal(first.suspicious, false);
+  assert.equal(first.tenantId, "TNT1");
+  const same = await recordLoginSuccess(
+    tenantAttempt(client("10.0.0.1", FIREFOX.replace("120", "121")))
+  );
+  assert.equal(same.suspicious, false);
+  await new Promise((resolve) => setTimeout(resolve, 5)); // newest for sure
+  const elsewhere = await recordLoginSuccess(
+    tenantAttempt(client("196.25.1.1", "Mozilla/5.0 (iPhone) Safari/604.1"))
+  );
+  assert.equal(elsewhere.suspicious, true);
+  assert.deepEqual(elsewhere.flags, ["new-device", "new-ip"]);
+
+  // The history, newest first, with the client and the outcome
+  const history = await listLoginHistory("TNT1", "EADMIN1", { limit: 2 });
+  assert.equal(history.length, 2);
+  assert.equal(history[0].id, elsewhere.id);
+  assert.equal(history[0].ip, "196.25.1.1");
+  assert.equal(history[0].outcome, LOGIN_OUTCOMES.SUCCESS);
+  const flagged = await listLoginHistory("TNT1", "EADMIN1", {
+    suspicious: true,
+  });
+  assert.deepEqual(
+    flagged.map((event) => event.id),
+    [elsewhere.id]
+  );
+  const refused = await listLoginHistory(null, "IADMIN1", {
+    outcome: LOGIN_OUTCOMES.LOCKED,
+  });
+  assert.equal(refused.length, 1);
+
+  // Through the admin login: a success starts the count over, and only
+  // the last few timestamps stay in the admin record
+  await db.doc(`${platformPath("admins")}/IADMIN2`).set({
+    id: "IADMIN2",
+    roles: [],
+    accessDetails: {
+      email: "b@x.io",
+      password: hashPassword("Secret123"),
+      lastLogin: Array.from({ length: 12 }, (_, i) =>
+        new Date(Date.UTC(2024, 0, i + 1)).toISOString()
+      ),
+    },
+    account: { isActive: { value: true, changes: [] } },
+  });
+  await assert.rejects(
+    loginInternalAdminService("b@x.io", "wrong", client("10.0.0.2")),
+    /Invalid credentials/
+  );
+  assert.equal((await getLoginSecurity(null, "IADMIN2")).failedCount, 1);
+  const admin = await loginInternalAdminService(
+    "b@x.io",
+    "Secret123",
+    client("10.0.0.2")
+  );
+  assert.equal(admin.accessDetails.password, undefined);
+  assert.equal(admin.accessDetails.lastLogin.length, 10);
+  status = await getLoginSecurity(null, "IADMIN2");
+  assert.equal(status.failedCount, 0);
+  assert.equal(status.knownIps, 1);
+
+  console.log("login-security tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
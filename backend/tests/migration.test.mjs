@@ -0,0 +1,126 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { db } from "../services/firestore.client.js";
+import {
+  loadMigrations,
+  getMigrationStatus,
+  applyMigrations,
+  rollbackMigrations,
+  createMigrationFile,
+} from "../utilities/migration.util.js";
+
+const quiet = () => {};
+
+// Tests for the migration runner (ledger, dry run, per-tenant, rollback)
+async function run() {
+  const root = "touchAfrica/southAfrica";
+  await db.doc(`${root}/people/PERSON1`).set({
+    id: "PERSON1",
+    idNumber: "8001015009087",
+    dateOfBirth: "1980-01-01",
+  });
+  await db.doc(`${root}/tenants/T1`).set({ id: "T1" });
+  await db.doc(`${root}/tenants/T1/people/PERSON2`).set({
+    id: "PERSON2",
+    idNumber: "9001015009086",
+    demographics: { gender: "Male" },
+  });
+  await db.doc(`${root}/tenants/T2`).set({ id: "T2" });
+  await db.doc(`${root}/tenants/T2/people/PERSON3`).set({
+    id: "PERSON3",
+    idNumber: "7001015009085",
+  });
+
+  const migrations = await loadMigrations();
+  assert.deepEqual(
+    migrations.map((m) => [m.id, m.scope]),
+    [
+      ["001", "platform"],
+      ["002", "tenant"],
+      ["003", "platform"],
+      ["004", "tenant"],
+    ]
+  );
+
+  // The demographics reshape (001/002); encryption (003/004) is covered by
+  // field-encryption.test.mjs
+  const to = "002";
+
+  // Dry run counts writes and leaves data and ledger alone
+  const dry = await applyMigrations({ to, dryRun: true, log: quiet });
+  assert.equal(dry.length, 3);
+  assert.equal(dry.reduce((sum, r) => sum + r.writes, 0), 3);
+  const untouched = (await db.doc(`${root}/people/PERSON1`).get()).data();
+  assert.equal(untouched.idNumber, "8001015009087");
+  assert.equal((await db.collection(`${root}/migrations`).get()).size, 0);
+
+  // Per-tenant execution
+  const t1 = await applyMigrations({ to, tenantId: "T1", log: quiet });
+  assert.deepEqual(t1.map((r) => r.target), ["platform", "tenant:T1"]);
+  const p2 = (await db.doc(`${root}/tenants/T1/people/PERSON2`).get()).data();
+  assert.equal(p2.idNumber, undefined);
+  assert.deepEqual(p2.demographics, {
+    gender: "Male",
+    idNumber: "9001015009086",
+  });
+  const p3 = (await db.doc(`${root}/tenants/T2/people/PERSON3`).get()).data();
+  assert.equal(p3.idNumber, "7001015009085");
+
+  let status = await getMigrationStatus();
+  assert.equal(status[0].pending, 0);
+  assert.equal(status[1].applied, 1);
+  assert.equal(status[1].pending, 1);
+
+  // The rest, then nothing left to do
+  const rest = await applyMigrations({ to, log: quiet, actor: "ops" });
+  assert.deepEqual(rest.map((r) => r.target), ["tenant:T2"]);
+  assert.equal((await applyMigrations({ to, log: quiet })).length, 0);
+  const ledgerId = "002-tenant-person-demographics@tenant:T2";
+  const ledger = (await db.doc(`${root}/migrations/${ledgerId}`).get()).data();
+  assert.equal(ledger.status, "applied");
+  assert.equal(ledger.applied.by, "ops");
+
+  // Rollback of the latest migration reverses every tenant
+  const down = await rollbackMigrations({ log: quiet });
+  assert.equal(down.length, 2);
+  const flat = (await db.doc(`${root}/tenants/T2/people/PERSON3`).get()).data();
+  assert.equal(flat.idNumber, "7001015009085");
+  assert.equal(flat.demographics, undefined);
+  status = await getMigrationStatus();
+  assert.equal(status[1].applied, 0);
+  assert.equal(status[0].applied, 1);
+
+  // A failing migration is recorded and stops the run
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  try {
+    const file = createMigrationFile("Break things", {
+      scope: "platform",
+      dir,
+    });
+    assert.equal(path.basename(file), "001-break-things.js");
+    fs.writeFileSync(
+      path.join(dir, "002-fails.js"),
+      `export const scope = "platform";
+export async function up() { throw new Error("boom"); }
+export async function down() {}
+`
+    );
+    await assert.rejects(applyMigrations({ dir, log: quiet }), /boom/);
+    const failed = (
+      await db.doc(`${root}/migrations/002-fails@platform`).get()
+    ).data();
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.error, "boom");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ migration tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
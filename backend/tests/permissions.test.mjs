@@ -0,0 +1,161 @@
+import assert from "assert";
+import jwt from "jsonwebtoken";
+import { db } from "../services/firestore.client.js";
+import {
+  resolvePrincipalPermissions,
+  invalidateRolePermissions,
+} from "../utilities/permissions.util.js";
+import {
+  createInternalRoleService,
+  updateInternalRoleByIdService,
+  deleteInternalRoleByIdService,
+  getRolePermissionsService,
+} from "../modules/internal/role/role.service.js";
+import { createExternalRoleService } from "../modules/external/tenant/role/role.service.js";
+import { updateInternalAdminByIdService } from "../modules/internal/admin/admin.service.js";
+import {
+  startSession,
+  refreshSession,
+} from "../modules/internal/session/session.service.js";
+import { platformPath } from "../utilities/country-context.util.js";
+
+process.env.JWT_SECRET = "permissions-test-secret-0123456789-0123456789";
+
+const admin = (id, roles) => ({ id, type: "internal_admin", roles });
+const sorted = (list) => [...list].sort();
+
+// Tests for permissions resolved per request from the token's roles
+async function run() {
+  const support = await createInternalRoleService({
+    roleName: "Support",
+    roleCode: "INTERNAL_SUPPORT",
+    permissions: ["admin.read"],
+  });
+  await createInternalRoleService({
+    roleName: "Lookup Manager",
+    roleCode: "LOOKUP_MANAGER",
+    permissions: ["lookup.read", "lookup.update"],
+  });
+
+  // Codes and mapped labels both resolve
+  assert.deepEqual(
+    sorted(
+      await resolvePrincipalPermissions(
+        admin("ADM1", ["INTERNAL_SUPPORT", "Lookup Manager", "UNKNOWN"])
+      )
+    ),
+    ["admin.read", "lookup.read", "lookup.update"]
+  );
+  assert.deepEqual(await getRolePermissionsService("LOOKUP_MANAGER"), [
+    "lookup.read",
+    "lookup.update",
+  ]);
+
+  // Tokens without roles keep the permissions they were signed with
+  assert.deepEqual(
+    await resolvePrincipalPermissions({ id: "SVC", permissions: ["*"] }),
+    ["*"]
+  );
+
+  // Editing a role applies from the next request
+  await updateInternalRoleByIdService(support.roleId, {
+    permissions: ["admin.read", "admin.update"],
+  });
+  assert.deepEqual(
+    await resolvePrincipalPermissions(admin("ADM1", ["INTERNAL_SUPPORT"])),
+    ["admin.read", "admin.update"]
+  );
+
+  // Roles are cached: a write behind the services' back shows after an
+  // invalidation
+  await db
+    .doc(platformPath("roles", support.roleId))
+    .update({ permissions: ["audit.read"] });
+  assert.deepEqual(
+    await resolvePrincipalPermissions(admin("ADM1", ["INTERNAL_SUPPORT"])),
+    ["admin.read", "admin.update"]
+  );
+  invalidateRolePermissions();
+  assert.deepEqual(
+    await resolvePrincipalPermissions(admin("ADM1", ["INTERNAL_SUPPORT"])),
+    ["audit.read"]
+  );
+
+  // Tenant roles first, then the platform's
+  await createExternalRoleService(
+    {
+      roleName: "Clerk",
+      roleCode: "TENANT_CLERK",
+      permissions: ["person.read"],
+    },
+    "ADM1",
+    "T1"
+  );
+  const tenantAdmin = {
+    id: "TADM1",
+    type: "External_admin",
+    tenantId: "T1",
+    roles: ["TENANT_CLERK", "LOOKUP_MANAGER"],
+  };
+  assert.deepEqual(sorted(await resolvePrincipalPermissions(tenantAdmin)), [
+    "lookup.read",
+    "lookup.update",
+    "person.read",
+  ]);
+  assert.deepEqual(
+    await resolvePrincipalPermissions(admin("ADM1", ["TENANT_CLERK"])),
+    []
+  );
+
+  // Reassigning an admin's roles applies to tokens already issued, and to
+  // the ones its sessions issue on refresh
+  await db.doc(platformPath("admins", "ADM2")).set({
+    id: "ADM2",
+    roles: ["INTERNAL_SUPPORT"],
+    account: { isActive: { value: true, changes: [] } },
+    accessDetails: { email: "adm2@x.io", password: "x", lastLogin: [] },
+  });
+  const session = await startSession({
+    claims: admin("ADM2", ["INTERNAL_SUPPORT"]),
+  });
+  const issued = jwt.decode(session.accessToken);
+  await updateInternalAdminByIdService(
+    "ADM2",
+    { roles: ["LOOKUP_MANAGER"] },
+    "ADM1"
+  );
+  assert.deepEqual(await resolvePrincipalPermissions(issued), [
+    "lookup.read",
+    "lookup.update",
+  ]);
+  const refreshed = await refreshSession(session.refreshToken);
+  assert.deepEqual(jwt.decode(refreshed.accessToken).roles, [
+    "LOOKUP_MANAGER",
+  ]);
+
+  // ...only while tokens from before the change can still be valid
+  const realNow = Date.now;
+  Date.now = () => realNow() + 16 * 60 * 1000;
+  try {
+    assert.deepEqual(
+      await resolvePrincipalPermissions(issued),
+      await resolvePrincipalPermissions(admin("ADM9", ["INTERNAL_SUPPORT"]))
+    );
+  } finally {
+    Date.now = realNow;
+  }
+
+  // Deleting a role takes its permissions away
+  await deleteInternalRoleByIdService(support.roleId);
+  assert.deepEqual(
+    await resolvePrincipalPermissions(admin("ADM1", ["INTERNAL_SUPPORT"])),
+    []
+  );
+
+  console.log("✅ permissions tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,188 @@
+import assert from "assert";
+import { db } from "../services/firestore.client.js";
+import { blobStore } from "../services/blob.client.js";
+import { createLocalBlobStore } from "../services/blob/local.blob.js";
+import {
+  documentStatus,
+  getDocumentTypes,
+  uploadPersonDocument,
+  listPersonDocuments,
+  readPersonDocument,
+  deletePersonDocument,
+  listExpiringDocuments,
+} from "../modules/internal/person.document/person.document.service.js";
+import { UploadDocumentSchema } from "../modules/internal/person.document/person.document.validation.js";
+import { createLookupService } from "../modules/internal/lookup/lookup.service.js";
+import {
+  createPersonRecord,
+  deletePersonRecord,
+  purgePersonRecord,
+} from "../modules/external/tenant/person/person.service.js";
+import {
+  NotFoundError,
+  ValidationError,
+} from "../utilities/error-handler.util.js";
+
+const tenantId = "T1";
+
+const PDF = Buffer.from("%PDF-1.4\n% test document\n%%EOF\n");
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1]);
+
+function date(daysFromToday) {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() + daysFromToday);
+  return d.toISOString().slice(0, 10);
+}
+
+function upload(personId, fields) {
+  return uploadPersonDocument(
+    tenantId,
+    personId,
+    UploadDocumentSchema.parse({
+      documentType: "Passport",
+      fileName: "passport.pdf",
+      contentType: "application/pdf",
+      data: PDF.toString("base64"),
+      ...fields,
+    }),
+    "U1"
+  );
+}
+
+// Tests for the person document vault
+async function run() {
+  await db.doc(`touchAfrica/southAfrica/tenants/${tenantId}`).set({
+    id: tenantId,
+  });
+  const person = await createPersonRecord(
+    tenantId,
+    { firstName: "Thandi", surname: "Zulu" },
+    "U1"
+  );
+
+  // Keys can't leave the store's directory
+  const store = createLocalBlobStore();
+  await assert.rejects(store.put("a/../b", PDF), /Invalid blob key/);
+
+  // Types: defaults until the lookup exists, then the lookup's items
+  assert.ok((await getDocumentTypes()).includes("Work Permit"));
+  await createLookupService(
+    {
+      category: "Person",
+      subCategory: "Document Types",
+      items: ["Passport", "Work Permit", "Proof of Address"],
+      description: "Types of documents kept against person records",
+    },
+    "U1"
+  );
+  assert.deepEqual(await getDocumentTypes(), [
+    "Passport",
+    "Work Permit",
+    "Proof of Address",
+  ]);
+  await assert.rejects(
+    upload(person.id, { documentType: "Qualification" }),
+    (err) => err instanceof ValidationError && err.field === "documentType"
+  );
+
+  // Content must match its declared type
+  await assert.rejects(
+    upload(person.id, { data: PNG.toString("base64") }),
+    (err) => err instanceof ValidationError && err.field === "contentType"
+  );
+  process.env.DOCUMENT_MAX_BYTES = "16";
+  await assert.rejects(
+    upload(person.id, {}),
+    (err) => err instanceof ValidationError && err.field === "data"
+  );
+  delete process.env.DOCUMENT_MAX_BYTES;
+  await assert.rejects(upload("NOPE", {}), NotFoundError);
+  assert.throws(() =>
+    UploadDocumentSchema.parse({
+      documentType: "Passport",
+      fileName: "p.pdf",
+      contentType: "application/pdf",
+      data: "JVBERi0=",
+      issueDate: "2024-05-01",
+      expiryDate: "2020-05-01",
+    })
+  );
+
+  // Stored: record with the file in the blob store
+  const passport = await upload(person.id, {
+    documentType: "passport",
+    fileName: "C:\\scans\\passport.pdf",
+    documentNumber: "A1234567",
+    expiryDate: date(10),
+  });
+  assert.equal(passport.documentType, "Passport");
+  assert.equal(passport.fileName, "passport.pdf");
+  assert.equal(passport.size, PDF.length);
+  assert.equal(passport.status, "expiring");
+  assert.equal(passport.blobKey, undefined);
+  const permit = await upload(person.id, {
+    documentType: "Work Permit",
+    fileName: "permit.png",
+    contentType: "image/png",
+    data: PNG.toString("base64"),
+    expiryDate: date(-3),
+  });
+  await upload(person.id, {
+    documentType: "Proof of Address",
+    expiryDate: date(200),
+  });
+
+  const listed = await listPersonDocuments(tenantId, person.id);
+  assert.equal(listed.length, 3);
+  const { document, content } = await readPersonDocument(
+    tenantId,
+    person.id,
+    passport.id
+  );
+  assert.ok(content.equals(PDF));
+  assert.equal(document.contentType, "application/pdf");
+  await assert.rejects(
+    readPersonDocument(tenantId, "OTHER", passport.id),
+    NotFoundError
+  );
+
+  // Expiry report: soonest first, expired ones optional
+  const expiring = await listExpiringDocuments(tenantId, { withinDays: 30 });
+  assert.deepEqual(
+    expiring.map((d) => [d.id, d.status, d.daysToExpiry]),
+    [
+      [permit.id, "expired", -3],
+      [passport.id, "expiring", 10],
+    ]
+  );
+  assert.equal(expiring[0].person.surname, "Zulu");
+  const upcoming = await listExpiringDocuments(tenantId, {
+    withinDays: 30,
+    includeExpired: false,
+  });
+  assert.deepEqual(upcoming.map((d) => d.id), [passport.id]);
+  assert.equal(documentStatus({ expiryDate: date(31) }), "valid");
+  assert.equal(documentStatus({ expiryDate: null }), null);
+
+  // Deleting removes the file too
+  await deletePersonDocument(tenantId, person.id, passport.id);
+  assert.equal((await listPersonDocuments(tenantId, person.id)).length, 2);
+  const key =
+    `touchAfrica/southAfrica/tenants/${tenantId}/personDocuments/` +
+    passport.id;
+  assert.equal(await blobStore.get(key), null);
+
+  // Purging the person removes the rest, files included
+  await deletePersonRecord(tenantId, person.id, "U1");
+  await purgePersonRecord(tenantId, person.id, "U1");
+  const documents = key.slice(0, key.lastIndexOf("/"));
+  assert.equal((await db.collection(documents).get()).size, 0);
+  assert.equal(await blobStore.get(`${documents}/${permit.id}`), null);
+
+  console.log("✅ person document tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,237 @@
+import assert from "assert";
+import { db } from "../services/firestore.client.js";
+import {
+  scanForDuplicates,
+  listDuplicateCandidateRecords,
+  getDuplicateCandidateRecord,
+  dismissDuplicateCandidate,
+  mergeDuplicatePersons,
+} from "../modules/internal/person.duplicate/person.duplicate.service.js";
+import {
+  MergeDuplicateSchema,
+} from "../modules/internal/person.duplicate/person.duplicate.validation.js";
+import {
+  createPersonRecord,
+} from "../modules/external/tenant/person/person.service.js";
+import {
+  createRelationship,
+  getPersonHousehold,
+} from "../modules/external/tenant/person.relationship/person.relationship.service.js";
+import {
+  normalizeMobile,
+  scorePersonPair,
+} from "../utilities/person-match.util.js";
+import {
+  ConflictError,
+  ValidationError,
+} from "../utilities/error-handler.util.js";
+
+const tenantId = "T1";
+const root = `touchAfrica/southAfrica/tenants/${tenantId}`;
+
+async function person(firstName, surname, contact, demographics = {}) {
+  return createPersonRecord(
+    tenantId,
+    { firstName, surname, contact, demographics },
+    "U1"
+  );
+}
+
+// Tests for duplicate scoring, the review queue and merges
+async function run() {
+  await db.doc(root).set({ id: tenantId });
+
+  // Scoring: phone formats, typos and names the wrong way round
+  assert.equal(normalizeMobile("+27 82 123 4567"), "27821234567");
+  assert.equal(normalizeMobile("0821234567"), "27821234567");
+  const swapped = scorePersonPair(
+    { firstName: "Nkosi", surname: "Thabo", contact: {} },
+    { firstName: "Thabo", surname: "Nkosi", contact: {} }
+  );
+  assert.equal(swapped.signals.surname, 1);
+  const strangers = scorePersonPair(
+    { firstName: "Thabo", surname: "Nkosi", contact: {} },
+    { firstName: "Lindiwe", surname: "Dlamini", contact: {} }
+  );
+  assert.equal(strangers.score, 0);
+
+  const a = await person(
+    "Thabo",
+    "Nkosi",
+    { mobile: "0821234567", email: "thabo@x.io" },
+    { dateOfBirth: "1990-02-01", idNumber: "9002015800086" }
+  );
+  const b = await person(
+    "Tabo",
+    "Nkosi",
+    { mobile: "+27 82 123 4567" },
+    { dateOfBirth: "1990-02-01" }
+  );
+  const c = await person("Lindiwe", "Dlamini", {
+    mobile: "0730000001",
+    email: "lindiwe@x.io",
+  });
+  const d = await person("Lindiwe", "Dhlamini", {
+    mobile: "0730000002",
+    email: "lindiwe@x.io",
+  });
+  await person("Sipho", "Mokoena", { mobile: "0610000000" });
+
+  // Scan queues one entry per likely pair
+  const scan = await scanForDuplicates(tenantId);
+  assert.equal(scan.scanned, 5);
+  assert.equal(scan.added, 2);
+  const queue = await listDuplicateCandidateRecords(tenantId);
+  assert.deepEqual(
+    queue.map((entry) => entry.personIds),
+    [[a.id, b.id].sort(), [c.id, d.id].sort()]
+  );
+  const [ab, cd] = queue;
+  assert.equal(ab.signals.mobile, 1);
+  assert.ok(ab.score >= 0.55);
+
+  // Side by side, sensitive fields masked unless revealed
+  const detail = await getDuplicateCandidateRecord(tenantId, ab.id);
+  assert.equal(detail.persons.length, 2);
+  const masked = detail.persons.find((p) => p.id === a.id);
+  assert.equal(masked.demographics.idNumber, "********");
+
+  // Dismissed pairs stay dismissed on the next scan
+  await dismissDuplicateCandidate(tenantId, cd.id, "U1", "Sisters");
+  const rescan = await scanForDuplicates(tenantId);
+  assert.equal(rescan.added, 0);
+  assert.equal(
+    (await listDuplicateCandidateRecords(tenantId, { status: "dismissed" }))
+      .length,
+    1
+  );
+  await assert.rejects(
+    dismissDuplicateCandidate(tenantId, cd.id, "U1"),
+    ConflictError
+  );
+
+  // Admins, tenant users and consent events pointing at the duplicate
+  await db.doc(`${root}/admins/ADM1`).set({ id: "ADM1", personId: a.id });
+  await db.doc(`${root}/users/USER1`).set({ id: "USER1", personId: a.id });
+  await db
+    .doc(`${root}/consentEvents/CE1`)
+    .set({ id: "CE1", personId: a.id, purposeId: "marketing_sms" });
+
+  // A's child is also B's; A employs someone; A and B are recorded as
+  // spouses, which puts them in A's household
+  const child = await person("Zola", "Nkosi", { mobile: "0840000001" });
+  const worker = await person("Mandla", "Zulu", { mobile: "0840000002" });
+  const link = (from, type, to, household = true) =>
+    createRelationship(
+      tenantId,
+      from,
+      { relatedPersonId: to, type, household },
+      "U1"
+    );
+  await link(a.id, "child", child.id);
+  await link(b.id, "child", child.id, false);
+  await link(a.id, "employee", worker.id);
+  await link(b.id, "spouse", a.id);
+
+  assert.throws(() =>
+    MergeDuplicateSchema.parse({ survivorId: b.id, fields: { audit: "x" } })
+  );
+  assert.throws(() =>
+    MergeDuplicateSchema.parse({
+      survivorId: b.id,
+      fields: { blindIndex: "duplicate" },
+    })
+  );
+  await assert.rejects(
+    mergeDuplicatePersons(tenantId, ab.id, { survivorId: c.id }, "U1"),
+    ValidationError
+  );
+
+  // Merge A into B: B's values win, A fills the gaps, picks override
+  const merged = await mergeDuplicatePersons(
+    tenantId,
+    ab.id,
+    MergeDuplicateSchema.parse({
+      survivorId: b.id,
+      fields: { firstName: "duplicate", "contact.mobile": "duplicate" },
+    }),
+    "U1",
+    { reveal: true }
+  );
+  assert.equal(merged.duplicateId, a.id);
+  assert.deepEqual(merged.repointed, {
+    admins: 1,
+    users: 1,
+    consentEvents: 1,
+    personRelationships: 3,
+    households: 1,
+  });
+  const survivor = merged.survivor;
+  assert.equal(survivor.id, b.id);
+  assert.equal(survivor.firstName, "Thabo");
+  assert.equal(survivor.contact.mobile, "0821234567");
+  assert.equal(survivor.contact.email, "thabo@x.io");
+  assert.equal(survivor.demographics.idNumber, "9002015800086");
+  assert.deepEqual(survivor.mergedFrom, [a.id]);
+  assert.equal(survivor.audit.recordVersion, 2);
+
+  // Stored encrypted, with the ID number's blind index carried over
+  const stored = (await db.doc(`${root}/people/${b.id}`).get()).data();
+  assert.equal(typeof stored.demographics.idNumber, "object");
+  assert.ok(stored.blindIndex.idNumber);
+
+  // The duplicate is in the trash; references point at the survivor
+  assert.equal((await db.doc(`${root}/people/${a.id}`).get()).exists, false);
+  const trashed = (await db.doc(`${root}/peopleTrash/${a.id}`).get()).data();
+  assert.equal(trashed.mergedInto, b.id);
+  for (const path of ["admins/ADM1", "users/USER1", "consentEvents/CE1"]) {
+    const ref = (await db.doc(`${root}/${path}`).get()).data();
+    assert.equal(ref.personId, b.id);
+  }
+
+  // Relationships are re-pointed on both sides; links the survivor already
+  // had, or with the survivor itself, are dropped
+  const linksOf = async (field, id) =>
+    (
+      await db
+        .collection(`${root}/personRelationships`)
+        .where(field, "==", id)
+        .get()
+    ).docs.map((doc) => doc.data());
+  assert.deepEqual(await linksOf("personId", a.id), []);
+  assert.deepEqual(await linksOf("relatedPersonId", a.id), []);
+  const survivorLinks = await linksOf("personId", b.id);
+  assert.deepEqual(survivorLinks.map((r) => r.id).sort(), [
+    `${b.id}__child__${child.id}`,
+    `${b.id}__employee__${worker.id}`,
+  ]);
+  const [employs] = await linksOf("personId", worker.id);
+  assert.equal(employs.id, `${worker.id}__employer__${b.id}`);
+  assert.equal(employs.relatedPersonId, b.id);
+  assert.equal(employs.reciprocalId, `${b.id}__employee__${worker.id}`);
+  const childLinks = await linksOf("personId", child.id);
+  assert.deepEqual(childLinks.map((r) => r.relatedPersonId), [b.id]);
+  assert.equal(survivor.demographics.dependentsCount, 1);
+
+  // The survivor takes the duplicate's place, as head, in the household
+  const household = await getPersonHousehold(tenantId, b.id);
+  assert.deepEqual(household.memberIds, [b.id, child.id]);
+  assert.equal(household.headPersonId, b.id);
+
+  // Merged pairs are closed
+  await assert.rejects(
+    mergeDuplicatePersons(tenantId, ab.id, { survivorId: b.id }, "U1"),
+    ConflictError
+  );
+  const closed = await listDuplicateCandidateRecords(tenantId, {
+    status: "merged",
+  });
+  assert.equal(closed[0].review.survivorId, b.id);
+
+  console.log("✅ person duplicate tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
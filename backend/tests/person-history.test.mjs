@@ -0,0 +1,254 @@
+import assert from "assert";
+import { db } from "../services/firestore.client.js";
+import {
+  listPersonHistory,
+  getPersonVersionRecord,
+  diffPersonVersions,
+  revertPersonRecord,
+} from "../modules/internal/person.history/person.history.service.js";
+import {
+  createPersonRecord,
+  updatePersonRecord,
+  deletePersonRecord,
+  purgePersonRecord,
+} from "../modules/external/tenant/person/person.service.js";
+import {
+  createPersonRecord as createPlatformPerson,
+  updatePersonRecord as updatePlatformPerson,
+  deletePersonRecord as deletePlatformPerson,
+  getPersonConsentRecord,
+} from "../modules/internal/person/person.service.js";
+import { purgePersonById } from "../modules/internal/person/person.firestore.js";
+import { purgePersonById as purgeTenantPersonById } from "../modules/external/tenant/person/person.firestore.js";
+import { purgeExpiredTrash } from "../utilities/soft-delete.util.js";
+import { listPersonVersions } from "../modules/internal/person.history/person.history.firestore.js";
+import { MASKED_VALUE } from "../utilities/field-encryption.util.js";
+import {
+  ConflictError,
+  NotFoundError,
+  PreconditionFailedError,
+} from "../utilities/error-handler.util.js";
+
+const tenantId = "T1";
+const root = "touchAfrica/southAfrica";
+
+const address = (line1, city) => ({
+  residential: { line1, city, province: "Gauteng", postalCode: "2001" },
+});
+
+// Tests for person version history, diffs and reverts
+async function run() {
+  await db.doc(`${root}/tenants/${tenantId}`).set({ id: tenantId });
+
+  const person = await createPersonRecord(
+    tenantId,
+    {
+      firstName: "Thandi",
+      surname: "Zulu",
+      addresses: address("12 Main Road", "Johannesburg"),
+      demographics: { employment: { monthlyIncome: 15000 } },
+    },
+    "U1"
+  );
+  await updatePersonRecord(
+    tenantId,
+    person.id,
+    { addresses: address("4 Long Street", "Pretoria") },
+    "U2"
+  );
+  await updatePersonRecord(
+    tenantId,
+    person.id,
+    {
+      surname: "Dube",
+      demographics: { employment: { monthlyIncome: 20000 } },
+    },
+    "U3"
+  );
+
+  // Who, when and what, newest first
+  const history = await listPersonHistory(tenantId, person.id);
+  assert.deepEqual(
+    history.map((v) => [v.version, v.action, v.created.by]),
+    [
+      [3, "update", "U3"],
+      [2, "update", "U2"],
+      [1, "create", "U1"],
+    ]
+  );
+  assert.deepEqual(history[1].changedFields, [
+    "addresses.residential.city",
+    "addresses.residential.line1",
+  ]);
+  assert.ok(history[0].changedFields.includes("surname"));
+  assert.equal(history[0].record, undefined);
+
+  const first = await getPersonVersionRecord(tenantId, person.id, 1);
+  assert.equal(first.record.addresses.residential.city, "Johannesburg");
+  assert.equal(
+    first.record.demographics.employment.monthlyIncome,
+    MASKED_VALUE
+  );
+  assert.equal(first.record.blindIndex, undefined);
+
+  // Diffs: sensitive values compared decrypted, shown only with reveal
+  const diff = await diffPersonVersions(tenantId, person.id, { from: 1 });
+  assert.equal(diff.to.version, 3);
+  const change = (field, changes = diff.changes) =>
+    changes.find((c) => c.field === field);
+  assert.deepEqual(change("addresses.residential.city"), {
+    field: "addresses.residential.city",
+    before: "Johannesburg",
+    after: "Pretoria",
+  });
+  assert.equal(
+    change("demographics.employment.monthlyIncome").after,
+    MASKED_VALUE
+  );
+  const revealed = await diffPersonVersions(
+    tenantId,
+    person.id,
+    { from: 2, to: 3 },
+    { reveal: true }
+  );
+  assert.deepEqual(
+    change("demographics.employment.monthlyIncome", revealed.changes),
+    {
+      field: "demographics.employment.monthlyIncome",
+      before: 15000,
+      after: 20000,
+    }
+  );
+  assert.ok(!change("addresses.residential.city", revealed.changes));
+
+  // Revert: a new version; links kept by other modules stay
+  await db
+    .doc(`${root}/tenants/${tenantId}/people/${person.id}`)
+    .update({ "demographics.dependentsCount": 2 });
+  await assert.rejects(
+    revertPersonRecord(tenantId, person.id, 1, {}, "U4", [2]),
+    PreconditionFailedError
+  );
+  await assert.rejects(
+    revertPersonRecord(tenantId, person.id, 3, {}, "U4"),
+    ConflictError
+  );
+  await assert.rejects(
+    revertPersonRecord(tenantId, person.id, 9, {}, "U4"),
+    NotFoundError
+  );
+  const reverted = await revertPersonRecord(
+    tenantId,
+    person.id,
+    1,
+    { reason: "Address was correct last month" },
+    "U4",
+    [3],
+    { reveal: true }
+  );
+  assert.equal(reverted.audit.recordVersion, 4);
+  assert.equal(reverted.surname, "Zulu");
+  assert.equal(reverted.addresses.residential.city, "Johannesburg");
+  assert.equal(reverted.demographics.employment.monthlyIncome, 15000);
+  assert.equal(reverted.demographics.dependentsCount, 2);
+  const [latest] = await listPersonHistory(tenantId, person.id);
+  assert.equal(latest.action, "revert");
+  assert.equal(latest.revertedTo, 1);
+  assert.equal(latest.reason, "Address was correct last month");
+  assert.ok(latest.changedFields.includes("surname"));
+
+  // Records from before history was kept get a baseline version
+  await db.doc(`${root}/people/LEGACY1`).set({
+    id: "LEGACY1",
+    firstName: "Sipho",
+    surname: "Nkosi",
+    audit: { recordVersion: 4, updatedAt: "2024-01-01T00:00:00.000Z" },
+  });
+  const legacyDiff = await diffPersonVersions(null, "LEGACY1", { from: 4 });
+  assert.deepEqual(legacyDiff.changes, []);
+  await updatePlatformPerson("LEGACY1", { surname: "Mokoena" }, "ADM1");
+  const legacy = await listPersonHistory(null, "LEGACY1");
+  assert.deepEqual(
+    legacy.map((v) => [v.version, v.action]),
+    [
+      [5, "update"],
+      [4, "baseline"],
+    ]
+  );
+  assert.equal(legacy[1].created.when, "2024-01-01T00:00:00.000Z");
+  assert.deepEqual(legacy[0].changedFields, ["surname"]);
+  const platform = await createPlatformPerson({ firstName: "A" }, "ADM1");
+  assert.equal((await listPersonHistory(null, platform.id)).length, 1);
+
+  // Platform consent history: the versions that gave or withdrew it
+  const consenting = await createPlatformPerson(
+    {
+      firstName: "Lindiwe",
+      popia: {
+        consent: true,
+        consentTimestamp: "2025-03-01T08:00:00.000Z",
+        processingBasis: "consent",
+      },
+    },
+    "ADM1"
+  );
+  await updatePlatformPerson(consenting.id, { surname: "Dlamini" }, "ADM2");
+  await updatePlatformPerson(
+    consenting.id,
+    { popia: { consent: false, processingBasis: "consent" } },
+    "ADM3"
+  );
+  const consents = await getPersonConsentRecord(consenting.id);
+  assert.deepEqual(
+    consents.history.map((e) => [e.purposeId, e.action, e.recordedBy]),
+    [
+      ["popia_processing", "withdrawn", "ADM3"],
+      ["popia_processing", "given", "ADM1"],
+    ]
+  );
+  assert.equal(consents.history[1].at, "2025-03-01T08:00:00.000Z");
+  assert.equal(consents.current.popia_processing.status, "withdrawn");
+  assert.deepEqual((await getPersonConsentRecord("LEGACY1")).history, []);
+  await db.doc(`${root}/people/LEGACY2`).set({
+    id: "LEGACY2",
+    popia: { consent: true, consentTimestamp: "2023-05-05T00:00:00.000Z" },
+  });
+  const legacyConsent = await getPersonConsentRecord("LEGACY2");
+  assert.deepEqual(
+    legacyConsent.history.map((e) => [e.action, e.at]),
+    [["given", "2023-05-05T00:00:00.000Z"]]
+  );
+  await assert.rejects(getPersonConsentRecord("NOPE"), NotFoundError);
+
+  // Purging a person removes its history
+  await deletePersonRecord(tenantId, person.id, "U1");
+  await purgePersonRecord(tenantId, person.id, "U1");
+  assert.deepEqual(await listPersonVersions(tenantId, person.id), []);
+  await assert.rejects(listPersonHistory(tenantId, person.id), NotFoundError);
+
+  // So does the scheduled purge of expired trash
+  await deletePlatformPerson(platform.id, "ADM1");
+  await db
+    .doc(`${root}/peopleTrash/${platform.id}`)
+    .update({ deleted: { by: "ADM1", when: "2020-01-01T00:00:00.000Z" } });
+  const summary = await purgeExpiredTrash({
+    days: 30,
+    purgers: {
+      peopleTrash: ({ id, tenantId: scope }) =>
+        scope ? purgeTenantPersonById(id, scope) : purgePersonById(id),
+    },
+  });
+  assert.equal(summary.peopleTrash, 1);
+  assert.equal(
+    (await db.doc(`${root}/peopleTrash/${platform.id}`).get()).exists,
+    false
+  );
+  assert.deepEqual(await listPersonVersions(null, platform.id), []);
+
+  console.log("✅ person history tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
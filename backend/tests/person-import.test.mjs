@@ -0,0 +1,400 @@
+import assert from "assert";
+import zlib from "zlib";
+import { db } from "../services/firestore.client.js";
+import {
+  getImportFields,
+  getColumnMapping,
+  previewPersonImport,
+  commitPersonImport,
+  listPersonImports,
+  readImportErrorFile,
+  deletePersonImportFiles,
+  expirePersonImportFiles,
+} from "../modules/internal/person.import/person.import.service.js";
+import { importBlobKey } from "../modules/internal/person.import/person.import.firestore.js";
+import { blobStore } from "../services/blob.client.js";
+import { PreviewImportSchema } from "../modules/internal/person.import/person.import.validation.js";
+import { createPersonRecord } from "../modules/external/tenant/person/person.service.js";
+import {
+  createPerson,
+  getPersonById,
+} from "../modules/external/tenant/person/person.firestore.js";
+import { parseCsv, toCsv } from "../utilities/spreadsheet.util.js";
+import { generateSAIdNumber } from "../utilities/sa-id.util.js";
+import { MASKED_VALUE } from "../utilities/field-encryption.util.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utilities/error-handler.util.js";
+
+const tenantId = "T1";
+
+const THANDI_ID = generateSAIdNumber({
+  dateOfBirth: "1980-01-15",
+  gender: "Female",
+});
+const SIPHO_ID = generateSAIdNumber({
+  dateOfBirth: "1975-06-30",
+  gender: "Male",
+});
+
+// A complete person, by column name
+const PERSON = {
+  "First Name": "Thandi",
+  Surname: "Zulu",
+  "Preferred Name": "Thandi",
+  Cell: "0821234567",
+  "Contact Email": "thandi@example.com",
+  "Residential Line1": "12 Vilakazi Street",
+  "Residential Line2": "Orlando West",
+  "Residential Street Name": "Vilakazi Street",
+  "Residential Suburb": "ORLANDO",
+  "Residential City": "Soweto",
+  "Residential Province": "Gauteng",
+  "Residential Postal Code": "1804",
+  "Postal Line1": "PO Box 12",
+  "Postal Line2": "Orlando West",
+  "Postal Street Name": "Vilakazi Street",
+  "Postal Suburb": "Orlando",
+  "Postal City": "Soweto",
+  "Postal Province": "Gauteng",
+  "Postal Postal Code": "1804",
+  "ID Number": THANDI_ID,
+  "Date of Birth": "15/01/1980",
+  Gender: "female",
+  Nationality: "South African",
+  "Home Language": "isiZulu",
+  Race: "Black African",
+  "Marital Status": "single",
+  "Demographics Employment Status": "Employed",
+  Company: "Acme",
+  Position: "Clerk",
+  Industry: "Retail",
+  "Monthly Income": "15000",
+  "Education Level": "Matric/Grade 12",
+  Institution: "Orlando High",
+  "Field of Study": "General",
+  "Graduation Year": "1998",
+  "Has Disability": "No",
+  "Disability Type": "None",
+  "Assistance Required": "None",
+  "Next of Kin Name": "Sipho Zulu",
+  "Next of Kin Relationship": "Brother",
+  "Next of Kin Phone Number": "0831234567",
+  Consent: "Yes",
+  "Processing Basis": "consent",
+};
+
+const peopleCount = async () =>
+  (await db.collection(`touchAfrica/southAfrica/tenants/${tenantId}/people`)
+    .get()).size;
+
+function csvFile(rows) {
+  const headers = Object.keys(PERSON);
+  const lines = [headers, ...rows.map((r) => headers.map((h) => r[h] ?? ""))];
+  return Buffer.from(toCsv(lines)).toString("base64");
+}
+
+function preview(scope, fields) {
+  return previewPersonImport(
+    scope,
+    PreviewImportSchema.parse({ fileName: "people.csv", ...fields }),
+    "U1"
+  );
+}
+
+// Minimal XLSX workbook (stored zip entries; CRCs aren't checked)
+function xlsxFile(sharedStrings, sheetRows) {
+  const files = {
+    "xl/workbook.xml":
+      '<workbook><sheets><sheet name="People" sheetId="1" r:id="rId1"/>' +
+      "</sheets></workbook>",
+    "xl/_rels/workbook.xml.rels":
+      '<Relationships><Relationship Target="worksheets/sheet1.xml" ' +
+      'Id="rId1"/></Relationships>',
+    "xl/sharedStrings.xml": `<sst>${sharedStrings
+      .map((s) => `<si><t>${s}</t></si>`)
+      .join("")}</sst>`,
+    "xl/worksheets/sheet1.xml":
+      `<worksheet><sheetData>${sheetRows}</sheetData></worksheet>`,
+  };
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const data = zlib.deflateRawSync(Buffer.from(text));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt16LE(name.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, Buffer.from(name), data);
+    central.push(entry, Buffer.from(name));
+    offset += 30 + name.length + data.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]).toString("base64");
+}
+
+// Tests for spreadsheet imports of people
+async function run() {
+  await db.doc(`touchAfrica/southAfrica/tenants/${tenantId}`).set({
+    id: tenantId,
+  });
+
+  // CSV: quotes, semicolons, BOM; formulas neutralised on the way out
+  assert.deepEqual(parseCsv('\uFEFFa;b\r\n"x;1";"say ""hi"""\r\n\r\n3;\n'), [
+    ["a", "b"],
+    ["x;1", 'say "hi"'],
+    [],
+    ["3", ""],
+  ]);
+  assert.equal(
+    toCsv([["=1+1", "+27821234567", "a,b"]]),
+    `'=1+1,+27821234567,"a,b"\r\n`
+  );
+
+  const fields = getImportFields(tenantId);
+  const idField = fields.find((f) => f.field === "demographics.idNumber");
+  assert.equal(idField.required, true);
+  assert.ok(fields.every((f) => !f.field.startsWith("audit.")));
+
+  // Someone already on record
+  await createPersonRecord(
+    tenantId,
+    {
+      firstName: "Sipho",
+      surname: "Zulu",
+      demographics: { idNumber: SIPHO_ID },
+    },
+    "U1"
+  );
+
+  const file = csvFile([
+    PERSON,
+    { ...PERSON, "Contact Email": "not-an-email", Surname: "" },
+    { ...PERSON, "First Name": "Thandiwe" },
+    {
+      ...PERSON,
+      "ID Number": SIPHO_ID,
+      "Date of Birth": "30/06/1975",
+      Gender: "Male",
+    },
+  ]);
+
+  // "Cell" matches no field until it is mapped
+  const first = await preview(tenantId, { data: file });
+  assert.equal(first.columns.find((c) => c.column === "Cell").field, null);
+  assert.ok(first.missingFields.includes("contact.mobile"));
+  assert.equal(first.rows[0].status, "invalid");
+
+  await assert.rejects(
+    preview(tenantId, { data: file, mapping: { Cell: "contact.cell" } }),
+    (err) => err instanceof ValidationError && err.field === "mapping"
+  );
+  await assert.rejects(
+    preview(tenantId, {
+      data: file,
+      mapping: { Cell: "contact.mobile", Surname: "contact.mobile" },
+    }),
+    (err) => err instanceof ValidationError && err.field === "mapping"
+  );
+
+  // Mapped and saved for next time
+  await preview(tenantId, {
+    data: file,
+    mapping: { Cell: "contact.mobile" },
+    saveMapping: true,
+  });
+  assert.equal(
+    (await getColumnMapping(tenantId)).mapping.Cell,
+    "contact.mobile"
+  );
+  const report = await preview(tenantId, { data: file });
+  assert.deepEqual(report.missingFields, []);
+  assert.deepEqual(report.import.totals, {
+    rows: 4,
+    valid: 1,
+    invalid: 1,
+    duplicate: 2,
+    created: 0,
+    failed: 0,
+  });
+  const [valid, invalid, repeated, existing] = report.rows;
+
+  // Normalised the way a created person would be; ID number masked
+  assert.equal(valid.row, 2);
+  assert.equal(valid.status, "valid");
+  assert.equal(valid.values.demographics.gender, "Female");
+  assert.equal(valid.values.demographics.dateOfBirth, "1980-01-15");
+  assert.equal(valid.values.demographics.disability.hasDisability, false);
+  assert.equal(valid.values.addresses.residential.suburb, "Orlando");
+  assert.equal(valid.values.demographics.idNumber, MASKED_VALUE);
+
+  assert.equal(invalid.status, "invalid");
+  assert.deepEqual(
+    invalid.errors.map((e) => e.column).sort(),
+    ["Contact Email", "Surname"]
+  );
+  assert.deepEqual(repeated.duplicate, { row: 2 });
+  assert.ok(existing.duplicate.personId);
+
+  // Commit: valid rows created, the rest in the error file
+  const result = await commitPersonImport(tenantId, report.import.id, "U1");
+  assert.equal(result.import.status, "committed");
+  assert.equal(result.import.totals.created, 1);
+  const created = result.rows.find((r) => r.status === "created");
+  const stored = await getPersonById(created.personId, tenantId);
+  assert.equal(stored.firstName, "Thandi");
+  assert.equal(stored.demographics.maritalStatus, "Single");
+
+  const { fileName, content } = await readImportErrorFile(
+    tenantId,
+    report.import.id
+  );
+  assert.equal(fileName, "people-errors.csv");
+  const errorRows = parseCsv(content.toString("utf8"));
+  assert.deepEqual(errorRows[0].slice(-2), ["Import Row", "Import Errors"]);
+  assert.deepEqual(
+    errorRows.slice(1).map((r) => r[r.length - 2]),
+    ["3", "4", "5"]
+  );
+  assert.match(errorRows[2].at(-1), /Same ID number as row 2/);
+
+  await assert.rejects(
+    commitPersonImport(tenantId, report.import.id, "U1"),
+    ConflictError
+  );
+  const imports = await listPersonImports(tenantId);
+  assert.equal(imports.length, 3);
+  assert.equal(imports[0].blobKey, undefined);
+
+  // Many rows created in the same millisecond each get a person of their own
+  const batch = Array.from({ length: 30 }, (_, i) => {
+    const day = String(i + 1).padStart(2, "0");
+    return {
+      ...PERSON,
+      "First Name": `Person${i}`,
+      "ID Number": generateSAIdNumber({
+        dateOfBirth: `1990-03-${day}`,
+        gender: "Female",
+      }),
+      "Date of Birth": `${day}/03/1990`,
+    };
+  });
+  const many = await preview(tenantId, { data: csvFile(batch) });
+  assert.equal(many.import.totals.valid, 30);
+  const peopleBefore = await peopleCount();
+  const manyResult = await commitPersonImport(tenantId, many.import.id, "U1");
+  assert.equal(manyResult.import.totals.created, 30);
+  assert.equal(new Set(manyResult.import.personIds).size, 30);
+  assert.equal(await peopleCount(), peopleBefore + 30);
+  // An id already taken fails instead of overwriting that person
+  await assert.rejects(
+    createPerson(
+      { id: manyResult.import.personIds[0], firstName: "Other" },
+      tenantId
+    ),
+    ConflictError
+  );
+  const kept = await getPersonById(manyResult.import.personIds[0], tenantId);
+  assert.equal(kept.firstName, "Person0");
+
+  const headers = Object.keys(PERSON).map((h) => (h === "Cell" ? "Mobile" : h));
+  const values = Object.values(PERSON).map((v, i) =>
+    headers[i] === "Date of Birth" ? "29235" : v
+  );
+  const cellRow = (n, cells) =>
+    `<row r="${n}">${cells
+      .map((c, i) =>
+        i === headers.indexOf("Date of Birth") && n > 1
+          ? `<c r="${String.fromCharCode(65 + i)}${n}"><v>${c}</v></c>`
+          : `<c t="inlineStr"><is><t>${c}</t></is></c>`
+      )
+      .join("")}</row>`;
+  const workbook = xlsxFile([], cellRow(1, headers) + cellRow(3, values));
+  const platform = await previewPersonImport(
+    null,
+    PreviewImportSchema.parse({ fileName: "people.xlsx", data: workbook }),
+    "U1",
+    { reveal: true }
+  );
+  assert.equal(platform.rows.length, 1);
+  assert.equal(platform.rows[0].row, 3);
+  assert.deepEqual(platform.rows[0].errors, []);
+  assert.equal(platform.rows[0].values.demographics.dateOfBirth, "1980-01-15");
+  assert.equal(platform.rows[0].values.demographics.idNumber, THANDI_ID);
+
+  await assert.rejects(
+    previewPersonImport(
+      null,
+      { fileName: "people.xlsx", data: Buffer.from("nope").toString("base64") },
+      "U1"
+    ),
+    /not a valid XLSX workbook/
+  );
+
+  // Files can be deleted: a preview then can't be committed, and a
+  // committed import has no error file any more
+  const abandoned = await preview(tenantId, { data: file });
+  const discarded = await deletePersonImportFiles(
+    tenantId,
+    abandoned.import.id,
+    "U1"
+  );
+  assert.equal(discarded.status, "discarded");
+  assert.equal(discarded.filesDeleted.reason, "deleted");
+  assert.equal(
+    await blobStore.get(importBlobKey(tenantId, abandoned.import.id)),
+    null
+  );
+  await assert.rejects(
+    commitPersonImport(tenantId, abandoned.import.id, "U1"),
+    ConflictError
+  );
+  await deletePersonImportFiles(tenantId, report.import.id, "U1");
+  await assert.rejects(
+    readImportErrorFile(tenantId, report.import.id),
+    NotFoundError
+  );
+
+  // Files left behind expire IMPORT_FILE_RETENTION_DAYS after the preview
+  const left = await preview(tenantId, { data: file });
+  assert.ok(await blobStore.get(importBlobKey(tenantId, left.import.id)));
+  assert.equal(await expirePersonImportFiles({ days: 7 }), 0);
+  const later = new Date(Date.now() + 8 * 24 * 60 * 60 * 1000);
+  // The tenant's three previews and the platform's
+  assert.equal(await expirePersonImportFiles({ days: 7, now: later }), 4);
+  assert.equal(
+    await blobStore.get(importBlobKey(tenantId, left.import.id)),
+    null
+  );
+  assert.equal(
+    await blobStore.get(importBlobKey(null, platform.import.id)),
+    null
+  );
+  assert.equal(
+    (await listPersonImports(tenantId)).find((i) => i.id === left.import.id)
+      .status,
+    "discarded"
+  );
+
+  console.log("✅ person import tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,176 @@
+import assert from "assert";
+import { db } from "../services/firestore.client.js";
+import {
+  createRelationship,
+  listPersonRelationships,
+  deleteRelationship,
+  getPersonHousehold,
+  searchHouseholds,
+  createHouseholdRecord,
+  updateHouseholdRecord,
+  addHouseholdMember,
+  removeHouseholdMember,
+} from "../modules/external/tenant/person.relationship/person.relationship.service.js";
+import { CreateRelationshipSchema } from "../modules/external/tenant/person.relationship/person.relationship.validation.js";
+import {
+  createPersonRecord,
+  getPersonRecord,
+  updatePersonRecord,
+  deletePersonRecord,
+  purgePersonRecord,
+} from "../modules/external/tenant/person/person.service.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utilities/error-handler.util.js";
+
+const tenantId = "T1";
+
+async function person(firstName, surname) {
+  return createPersonRecord(tenantId, { firstName, surname }, "U1");
+}
+
+const link = (personId, relatedPersonId, type, extra = {}) =>
+  createRelationship(
+    tenantId,
+    personId,
+    CreateRelationshipSchema.parse({ relatedPersonId, type, ...extra }),
+    "U1"
+  );
+
+const dependents = async (id) =>
+  (await getPersonRecord(tenantId, id, "U1")).demographics.dependentsCount;
+
+// Tests for reciprocal relationships, households and dependentsCount
+async function run() {
+  await db.doc(`touchAfrica/southAfrica/tenants/${tenantId}`).set({
+    id: tenantId,
+  });
+  const thabo = await person("Thabo", "Mokoena");
+  const lerato = await person("Lerato", "Mokoena");
+  const kid = await person("Kagiso", "Mokoena");
+  const boss = await person("Ayanda", "Dube");
+
+  // A child link: stored both ways, grouped into a new household
+  const first = await link(thabo.id, kid.id, "child");
+  assert.equal(first.reciprocal.type, "parent");
+  assert.equal(first.reciprocal.personId, kid.id);
+  assert.equal(first.household.created, true);
+  assert.deepEqual(first.dependentsCount, { [thabo.id]: 1 });
+  const kidLinks = await listPersonRelationships(tenantId, kid.id);
+  assert.deepEqual(
+    kidLinks.map((r) => [r.type, r.relatedPerson.firstName]),
+    [["parent", "Thabo"]]
+  );
+
+  // Linked once per direction; never to oneself
+  await assert.rejects(link(thabo.id, kid.id, "child"), ConflictError);
+  await assert.rejects(link(thabo.id, thabo.id, "spouse"), ValidationError);
+  await assert.rejects(link(thabo.id, "NOPE", "spouse"), NotFoundError);
+
+  // The spouse joins the existing household; employers don't
+  await link(lerato.id, thabo.id, "spouse");
+  await link(lerato.id, kid.id, "child");
+  await link(boss.id, thabo.id, "employee");
+  const household = await getPersonHousehold(tenantId, kid.id);
+  assert.equal(household.name, "Mokoena household");
+  assert.equal(household.headPersonId, thabo.id);
+  assert.deepEqual(
+    household.members.map((m) => m.firstName),
+    ["Thabo", "Kagiso", "Lerato"]
+  );
+  // Relationships among members only (both directions)
+  assert.equal(household.relationships.length, 6);
+  assert.equal(await getPersonHousehold(tenantId, boss.id), null);
+
+  // dependentsCount is derived, whatever updates send
+  assert.equal(await dependents(lerato.id), 1);
+  await updatePersonRecord(
+    tenantId,
+    lerato.id,
+    { demographics: { dependentsCount: 7, race: "Other" } },
+    "U1"
+  );
+  assert.equal(await dependents(lerato.id), 1);
+  const removed = (await listPersonRelationships(tenantId, lerato.id)).find(
+    (r) => r.type === "child"
+  );
+  await deleteRelationship(tenantId, lerato.id, removed.id);
+  assert.equal(await dependents(lerato.id), 0);
+  assert.equal((await listPersonRelationships(tenantId, kid.id)).length, 1);
+  await assert.rejects(
+    deleteRelationship(tenantId, lerato.id, removed.id),
+    NotFoundError
+  );
+
+  // Search by name prefix, member and size
+  const dube = await createHouseholdRecord(
+    tenantId,
+    { name: "Dube household", headPersonId: boss.id, memberIds: [] },
+    "U1"
+  );
+  assert.deepEqual(
+    (await searchHouseholds(tenantId, { q: "mok" })).map((h) => h.id),
+    [household.id]
+  );
+  assert.equal(
+    (await searchHouseholds(tenantId, { memberId: boss.id }))[0].id,
+    dube.id
+  );
+  assert.equal((await searchHouseholds(tenantId, { minMembers: 2 })).length, 1);
+
+  // Moving the head out hands the household to the next member
+  await addHouseholdMember(tenantId, dube.id, thabo.id, "U1");
+  const mokoena = await getPersonHousehold(tenantId, kid.id);
+  assert.equal(mokoena.headPersonId, kid.id);
+  assert.deepEqual(mokoena.memberIds, [kid.id, lerato.id]);
+  await assert.rejects(
+    updateHouseholdRecord(tenantId, dube.id, { headPersonId: kid.id }, "U1"),
+    ValidationError
+  );
+
+  // A household left empty is deleted
+  await removeHouseholdMember(tenantId, mokoena.id, kid.id, "U1");
+  const gone = await removeHouseholdMember(
+    tenantId,
+    mokoena.id,
+    lerato.id,
+    "U1"
+  );
+  assert.equal(gone, null);
+  assert.equal(await getPersonHousehold(tenantId, lerato.id), null);
+  assert.deepEqual(await searchHouseholds(tenantId, { q: "mok" }), []);
+
+  // Purging a person removes both sides of their links and their place
+  // in households, and recounts the dependants of those related to them
+  await link(boss.id, thabo.id, "ward", { household: false });
+  await updateHouseholdRecord(
+    tenantId,
+    dube.id,
+    { headPersonId: thabo.id },
+    "U1"
+  );
+  assert.equal(await dependents(boss.id), 1);
+  await deletePersonRecord(tenantId, thabo.id, "U1");
+  await purgePersonRecord(tenantId, thabo.id, "U1");
+  for (const id of [kid.id, lerato.id, boss.id]) {
+    assert.deepEqual(await listPersonRelationships(tenantId, id), []);
+  }
+  const tenantRoot = `touchAfrica/southAfrica/tenants/${tenantId}`;
+  const relationships = await db
+    .collection(`${tenantRoot}/personRelationships`)
+    .get();
+  assert.equal(relationships.size, 0);
+  assert.equal(await dependents(boss.id), 0);
+  const left = await getPersonHousehold(tenantId, boss.id);
+  assert.deepEqual(left.memberIds, [boss.id]);
+  assert.equal(left.headPersonId, boss.id);
+
+  console.log("✅ person relationship tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
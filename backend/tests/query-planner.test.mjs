@@ -0,0 +1,94 @@
+import assert from "assert";
+import { createLocalFirestore } from "../services/storage/local.adapter.js";
+import { parseQueryParams } from "../utilities/query.util.js";
+import { planQuery, executeQuery } from "../utilities/query-planner.util.js";
+
+// Tests for pushing list queries down to Firestore (run against the local store)
+const options = {
+  fieldMap: { createdAt: "created.when" },
+  nativeSortFields: ["name", "created.when"],
+  searchFields: ["name"],
+};
+
+async function run() {
+  // Planning
+  const nativePlan = planQuery(
+    parseQueryParams({ status: "active", age_gte: "18", sortBy: "age" }),
+    { ...options, nativeSortFields: ["age"] }
+  );
+  assert.equal(nativePlan.mode, "native");
+  assert.deepEqual(
+    nativePlan.native.map((c) => `${c.field}${c.op}${c.value}`),
+    ["status==active", "age>=18"]
+  );
+
+  const searchPlan = planQuery(parseQueryParams({ q: "acme" }), options);
+  assert.equal(searchPlan.mode, "memory");
+
+  const twoRanges = planQuery(
+    parseQueryParams({ age_gte: "18", score_lt: "5", sortBy: "age" }),
+    { ...options, nativeSortFields: ["age"] }
+  );
+  assert.deepEqual(
+    twoRanges.residual.map((c) => c.field),
+    ["score"]
+  );
+
+  // Execution
+  const db = createLocalFirestore();
+  const tenants = db.collection("touchAfrica/southAfrica/tenants");
+  for (let i = 1; i <= 25; i++) {
+    await tenants.doc(`T${String(i).padStart(2, "0")}`).set({
+      name: `Tenant ${String(i).padStart(2, "0")}`,
+      status: i % 5 === 0 ? "inactive" : "active",
+      created: { when: new Date(Date.UTC(2024, 0, i)).toISOString() },
+    });
+  }
+
+  const firstPage = await executeQuery(
+    tenants,
+    parseQueryParams({ status: "active", limit: "8" }),
+    options
+  );
+  assert.equal(firstPage.plan.mode, "native");
+  assert.equal(firstPage.total, 20);
+  assert.equal(firstPage.data.length, 8);
+  assert.equal(firstPage.data[0].id, "T24"); // createdAt desc by default
+  assert.ok(firstPage.pagination.nextCursor);
+
+  const secondPage = await executeQuery(
+    tenants,
+    parseQueryParams({
+      status: "active",
+      limit: "8",
+      cursor: firstPage.pagination.nextCursor,
+    }),
+    options
+  );
+  assert.equal(secondPage.data[0].id, "T14");
+  assert.ok(
+    !secondPage.data.some((t) => firstPage.data.find((f) => f.id === t.id))
+  );
+
+  const searched = await executeQuery(
+    tenants,
+    parseQueryParams({ q: "Tenant 1", sortBy: "name", order: "asc" }),
+    options
+  );
+  assert.equal(searched.plan.mode, "memory");
+  assert.equal(searched.total, 10); // Tenant 10..19
+  assert.equal(searched.data[0].id, "T10");
+
+  await assert.rejects(
+    () =>
+      executeQuery(tenants, parseQueryParams({ cursor: "not-a-cursor" }), options),
+    { code: "INVALID_CURSOR" }
+  );
+
+  console.log("✅ query-planner tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+import assert from "assert";
+import { db } from "../services/firestore.client.js";
+import {
+  birthDateFrom,
+  checkSAIdNumber,
+  generateSAIdNumber,
+  hasValidCheckDigit,
+  parseSAIdNumber,
+} from "../utilities/sa-id.util.js";
+import {
+  createPersonRecord,
+  updatePersonRecord,
+  validatePersonDataConsistency,
+} from "../modules/external/tenant/person/person.service.js";
+import { ValidationError } from "../utilities/error-handler.util.js";
+
+const root = "touchAfrica/southAfrica/tenants";
+
+async function person(tenantId, demographics) {
+  return createPersonRecord(
+    tenantId,
+    { firstName: "Thabo", surname: "Nkosi", demographics },
+    "U1",
+    { reveal: true }
+  );
+}
+
+// Tests for SA ID number checks, derived demographics and tenant modes
+async function run() {
+  // Check digit
+  assert.ok(hasValidCheckDigit("8001015009087"));
+  assert.ok(!hasValidCheckDigit("8001015009088"));
+  assert.ok(!hasValidCheckDigit("800101500908"));
+
+  // Century: the latest one that isn't in the future
+  const today = new Date("2026-10-19T00:00:00Z");
+  assert.equal(birthDateFrom("2510015009087", today), "2025-10-01");
+  assert.equal(birthDateFrom("2612015009087", today), "1926-12-01");
+  assert.equal(birthDateFrom("8002305009087", today), null);
+
+  // Gender and citizenship
+  const male = parseSAIdNumber("8001015009087");
+  assert.deepEqual(
+    [male.valid, male.dateOfBirth, male.gender, male.citizenshipStatus],
+    [true, "1980-01-01", "Male", "South African"]
+  );
+  const resident = parseSAIdNumber(
+    generateSAIdNumber({
+      dateOfBirth: "1995-06-15",
+      gender: "Female",
+      citizenshipStatus: "Permanent Resident",
+    })
+  );
+  assert.equal(resident.valid, true);
+  assert.equal(resident.gender, "Female");
+  assert.equal(resident.citizenshipStatus, "Permanent Resident");
+
+  // Conflicts: errors in strict mode, warnings in warn mode
+  const supplied = { dateOfBirth: "1980-01-02", gender: "Female" };
+  const strict = checkSAIdNumber("8001015009087", supplied, "strict");
+  assert.equal(strict.valid, false);
+  assert.deepEqual(
+    strict.issues.map((issue) => issue.field),
+    ["dateOfBirth", "gender"]
+  );
+  const warn = checkSAIdNumber("8001015009087", supplied, "warn");
+  assert.equal(warn.valid, true);
+  assert.equal(warn.errors.length, 0);
+  assert.equal(warn.warnings.length, 2);
+  // "Other" isn't encoded, so it can't conflict
+  assert.equal(
+    checkSAIdNumber("8001015009087", { gender: "Other" }).issues.length,
+    0
+  );
+
+  // The validate endpoint's check reads nested demographics
+  const consistency = validatePersonDataConsistency({
+    demographics: { idNumber: "8001015009088" },
+  });
+  assert.equal(consistency.isValid, false);
+  assert.deepEqual(consistency.errors, [
+    "SA ID number has invalid check digit",
+  ]);
+
+  // Strict tenant (platform default): bad numbers are rejected
+  await db.doc(`${root}/T1`).set({ id: "T1" });
+  await assert.rejects(
+    person("T1", { idNumber: "8001015009088" }),
+    ValidationError
+  );
+  await assert.rejects(
+    person("T1", { idNumber: "8001015009087", gender: "Female" }),
+    (err) => err instanceof ValidationError && err.field === "gender"
+  );
+
+  // Missing values are derived from the number
+  const derived = await person("T1", { idNumber: "8001015009087" });
+  assert.equal(derived.demographics.dateOfBirth, "1980-01-01");
+  assert.equal(derived.demographics.gender, "Male");
+  assert.equal(derived.demographics.citizenshipStatus, "South African");
+  assert.equal(derived.idNumberCheck.status, "passed");
+
+  // Updates are checked against the stored number
+  await assert.rejects(
+    updatePersonRecord(
+      "T1",
+      derived.id,
+      { demographics: { gender: "Female" } },
+      "U1"
+    ),
+    ValidationError
+  );
+
+  // Warn tenant: kept and flagged
+  await db.doc(`${root}/T2`).set({
+    id: "T2",
+    settings: { saIdValidation: "warn" },
+  });
+  const flagged = await person("T2", {
+    idNumber: "8001015009087",
+    gender: "Female",
+  });
+  assert.equal(flagged.demographics.gender, "Female");
+  assert.equal(flagged.idNumberCheck.status, "flagged");
+  assert.equal(flagged.idNumberCheck.mode, "warn");
+  assert.deepEqual(flagged.idNumberCheck.issues, [
+    { field: "gender", message: "Gender does not match SA ID number" },
+  ]);
+
+  console.log("✅ SA ID tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
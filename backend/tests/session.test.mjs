@@ -0,0 +1,127 @@
+import assert from "assert";
+import jwt from "jsonwebtoken";
+import { db } from "../services/firestore.client.js";
+import {
+  startSession,
+  refreshSession,
+  isSessionActive,
+  endSession,
+  listAccountSessions,
+  revokeAccountSession,
+  revokeAccountSessions,
+} from "../modules/internal/session/session.service.js";
+import { deactivateInternalAdminService } from "../modules/internal/admin/admin.service.js";
+import { platformPath } from "../utilities/country-context.util.js";
+import {
+  AuthenticationError,
+  NotFoundError,
+} from "../utilities/error-handler.util.js";
+
+process.env.JWT_SECRET = "session-test-secret-0123456789-0123456789";
+
+const claims = (id, extra = {}) => ({
+  id,
+  email: `${id}@x.io`,
+  permissions: ["admin.read"],
+  type: "internal_admin",
+  ...extra,
+});
+
+// Tests for sessions: refresh rotation, reuse detection and revocation
+async function run() {
+  // A login gives a short-lived access token tied to the session
+  const first = await startSession({
+    claims: claims("ADM1"),
+    client: { ip: "10.0.0.1", userAgent: "test" },
+  });
+  const access = jwt.decode(first.accessToken);
+  assert.equal(access.sid, first.sessionId);
+  assert.equal(access.id, "ADM1");
+  assert.ok(access.exp - access.iat <= 15 * 60);
+  assert.ok(await isSessionActive(null, first.sessionId));
+
+  // Refreshing rotates the refresh token
+  const second = await refreshSession(first.refreshToken, { ip: "10.0.0.2" });
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(jwt.decode(second.accessToken).sid, first.sessionId);
+  const [summary] = await listAccountSessions(null, "ADM1", first.sessionId);
+  assert.equal(summary.rotations, 1);
+  assert.equal(summary.ip, "10.0.0.2");
+  assert.equal(summary.status, "active");
+  assert.equal(summary.current, true);
+  assert.equal(summary.refreshTokenHash, undefined);
+  assert.equal(summary.claims, undefined);
+
+  // A token rotated a moment ago: a concurrent refresh, the session stays
+  await assert.rejects(
+    refreshSession(first.refreshToken),
+    AuthenticationError
+  );
+  assert.ok(await isSessionActive(null, first.sessionId));
+
+  // An older token presented again: reuse, the session is revoked
+  const third = await refreshSession(second.refreshToken);
+  await assert.rejects(refreshSession(first.refreshToken), /already been used/);
+  assert.ok(!(await isSessionActive(null, first.sessionId)));
+  await assert.rejects(refreshSession(third.refreshToken), /revoked/);
+  const [reused] = await listAccountSessions(null, "ADM1");
+  assert.equal(reused.revoked.reason, "refresh-token-reuse");
+  await assert.rejects(refreshSession("not-a-token"), AuthenticationError);
+
+  // Logout ends the session, even with an expired access token
+  const tenantSession = await startSession({
+    tenantId: "T1",
+    claims: claims("TADM1", { type: "External_admin", tenantId: "T1" }),
+  });
+  assert.equal(await isSessionActive(null, tenantSession.sessionId), false);
+  assert.ok(await isSessionActive("T1", tenantSession.sessionId));
+  const expired = jwt.sign(
+    {
+      ...jwt.decode(tenantSession.accessToken),
+      exp: Math.floor(Date.now() / 1000) - 60,
+    },
+    process.env.JWT_SECRET
+  );
+  assert.equal(await endSession({ accessToken: expired }), true);
+  assert.ok(!(await isSessionActive("T1", tenantSession.sessionId)));
+  const [loggedOut] = await listAccountSessions("T1", "TADM1");
+  assert.deepEqual(
+    [loggedOut.revoked.by, loggedOut.revoked.reason],
+    ["TADM1", "logout"]
+  );
+
+  // Revoking another admin's sessions
+  const a = await startSession({ claims: claims("ADM2") });
+  const b = await startSession({ claims: claims("ADM2") });
+  await assert.rejects(
+    revokeAccountSession(null, "ADM1", a.sessionId, "ADM9"),
+    NotFoundError
+  );
+  const revoked = await revokeAccountSession(null, "ADM2", a.sessionId, "ADM9");
+  assert.equal(revoked.status, "revoked");
+  assert.equal(revoked.revoked.by, "ADM9");
+  assert.ok(await isSessionActive(null, b.sessionId));
+  assert.equal(await revokeAccountSessions(null, "ADM2", "ADM9"), 1);
+  assert.ok(!(await isSessionActive(null, b.sessionId)));
+
+  // Deactivating an admin ends their sessions straight away
+  await db.doc(platformPath("admins", "ADM3")).set({
+    id: "ADM3",
+    roles: ["INTERNAL_SUPPORT"],
+    account: { isActive: { value: true, changes: [] } },
+    accessDetails: { email: "adm3@x.io", password: "x", lastLogin: [] },
+  });
+  const c = await startSession({ claims: claims("ADM3") });
+  await deactivateInternalAdminService("ADM3", "ADM1");
+  assert.ok(!(await isSessionActive(null, c.sessionId)));
+  const [deactivated] = await listAccountSessions(null, "ADM3");
+  assert.equal(deactivated.revoked.reason, "account-deactivated");
+  await assert.rejects(refreshSession(c.refreshToken), /revoked/);
+
+  console.log("✅ session tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
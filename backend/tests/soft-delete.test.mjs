@@ -0,0 +1,69 @@
+import assert from "assert";
+import { db } from "../services/firestore.client.js";
+import {
+  moveToTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  listTrash,
+  purgeExpiredTrash,
+} from "../utilities/soft-delete.util.js";
+import {
+  NotFoundError,
+  ConflictError,
+} from "../utilities/error-handler.util.js";
+
+// Tests for soft delete, trash, restore and scheduled purge
+async function run() {
+  const people = "touchAfrica/southAfrica/people";
+  await db.doc(`${people}/P1`).set({ name: "Thandi" });
+  await db.doc(`${people}/P2`).set({ name: "Sipho" });
+
+  // Delete moves the record out of the live collection
+  const trashed = await moveToTrash(people, "P1", "admin-1");
+  assert.equal(trashed.deleted.by, "admin-1");
+  assert.equal((await db.doc(`${people}/P1`).get()).exists, false);
+  assert.equal((await db.collection(people).get()).size, 1);
+  await assert.rejects(moveToTrash(people, "P1", "admin-1"), NotFoundError);
+
+  // Trash listing, newest first, with cursor pagination
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await moveToTrash(people, "P2", "admin-2");
+  const page1 = await listTrash(people, { limit: 1 });
+  assert.deepEqual(page1.items.map((p) => p.id), ["P2"]);
+  const page2 = await listTrash(people, { limit: 1, cursor: page1.nextCursor });
+  assert.deepEqual(page2.items.map((p) => p.id), ["P1"]);
+  assert.equal(page2.nextCursor, null);
+
+  // Restore strips the deletion stamp; a live clash is a conflict
+  const restored = await restoreFromTrash(people, "P1", "admin-3");
+  assert.equal(restored.deleted, undefined);
+  assert.equal(restored.restored.by, "admin-3");
+  assert.equal((await db.doc(`${people}/P1`).get()).data().name, "Thandi");
+  await db.doc(`${people}/P2`).set({ name: "Sipho II" });
+  await assert.rejects(restoreFromTrash(people, "P2", "a"), ConflictError);
+
+  // Purge removes the trashed copy permanently
+  await purgeFromTrash(people, "P2");
+  await assert.rejects(purgeFromTrash(people, "P2"), NotFoundError);
+
+  // Scheduled purge only removes records older than the retention period
+  const tenantPeople = "touchAfrica/southAfrica/tenants/T1/people";
+  await db.doc(`${tenantPeople}Trash/OLD`).set({
+    deleted: { by: "x", when: "2020-01-01T00:00:00.000Z" },
+  });
+  await db.doc(`${tenantPeople}Trash/NEW`).set({
+    deleted: { by: "x", when: new Date().toISOString() },
+  });
+  const summary = await purgeExpiredTrash({ days: 30 });
+  assert.equal(summary.peopleTrash, 1);
+  assert.equal((await db.doc(`${tenantPeople}Trash/OLD`).get()).exists, false);
+  assert.equal((await db.doc(`${tenantPeople}Trash/NEW`).get()).exists, true);
+  assert.deepEqual(await purgeExpiredTrash({ days: 0 }), {});
+
+  console.log("✅ soft delete tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,170 @@
+import assert from "assert";
+import { db } from "../services/firestore.client.js";
+import {
+  exportTenantBundle,
+  importTenantBundle,
+} from "../modules/internal/tenant.bundle/tenant.bundle.service.js";
+import {
+  createPersonRecord,
+  getAllPersonRecords,
+} from "../modules/external/tenant/person/person.service.js";
+import { isEncryptedValue } from "../utilities/field-encryption.util.js";
+import {
+  NotFoundError,
+  ValidationError,
+} from "../utilities/error-handler.util.js";
+
+// Tests for tenant bundle export/import (manifest, id remapping, strategies)
+async function run() {
+  const root = "touchAfrica/southAfrica";
+  const tenant = `${root}/tenants/T1`;
+  await db.doc(tenant).set({ id: "T1", name: "Acme", recordVersion: 3 });
+  await db.doc(`${root}/tenantDirectory/T1`).set({ country: "southAfrica" });
+  await db
+    .doc(`${tenant}/people/PERSON1`)
+    .set({ id: "PERSON1", tenantId: "T1" });
+  await db.doc(`${tenant}/people/PERSON1/notes/N1`).set({ text: "nested" });
+  await db.doc(`${tenant}/roles/EROLE1`).set({ roleId: "EROLE1" });
+  await db.doc(`${tenant}/roleMappings/owner`).set({
+    personId: "PERSON1",
+    roles: ["EROLE1"],
+  });
+
+  await assert.rejects(exportTenantBundle("NOPE"), NotFoundError);
+
+  const bundle = await exportTenantBundle("T1", { actor: "admin-1" });
+  assert.equal(bundle.manifest.tenantId, "T1");
+  assert.equal(bundle.manifest.documentCount, 4);
+  assert.deepEqual(bundle.manifest.collections, {
+    people: 2,
+    roles: 1,
+    roleMappings: 1,
+  });
+  assert.ok(
+    bundle.documents.some((d) => d.path === "people/PERSON1/notes/N1")
+  );
+
+  // Tampered bundles are refused
+  const tampered = JSON.parse(JSON.stringify(bundle));
+  tampered.documents[0].data.id = "EVIL";
+  await assert.rejects(importTenantBundle("T9", tampered), ValidationError);
+
+  // Into a new tenant id: source id remapped, directory entry created
+  const dry = await importTenantBundle("T2", bundle, { dryRun: true });
+  assert.equal(dry.tenant, "created");
+  assert.equal(dry.documents.created, 4);
+  assert.equal((await db.doc(`${root}/tenants/T2`).get()).exists, false);
+
+  const created = await importTenantBundle("T2", bundle, { actor: "admin-2" });
+  assert.equal(created.tenant, "created");
+  const t2 = (await db.doc(`${root}/tenants/T2`).get()).data();
+  assert.equal(t2.id, "T2");
+  assert.equal(t2.recordVersion, 1);
+  assert.equal(t2.imported.from.tenantId, "T1");
+  const person = await db.doc(`${root}/tenants/T2/people/PERSON1`).get();
+  assert.equal(person.data().tenantId, "T2");
+  assert.equal(
+    (await db.doc(`${root}/tenantDirectory/T2`).get()).data().country,
+    "southAfrica"
+  );
+
+  // skip keeps existing documents; overwrite replaces them
+  await db.doc(`${root}/tenants/T2/roles/EROLE1`).set({ roleId: "local" });
+  const skipped = await importTenantBundle("T2", bundle);
+  assert.equal(skipped.tenant, "skipped");
+  assert.equal(skipped.documents.skipped, 4);
+  const overwritten = await importTenantBundle("T2", bundle, {
+    strategy: "overwrite",
+  });
+  assert.equal(overwritten.tenant, "overwritten");
+  assert.equal(overwritten.documents.overwritten, 4);
+  const role = await db.doc(`${root}/tenants/T2/roles/EROLE1`).get();
+  assert.equal(role.data().roleId, "EROLE1");
+  const t2v = (await db.doc(`${root}/tenants/T2`).get()).data();
+  assert.equal(t2v.recordVersion, 2);
+
+  // rename imports conflicting documents under new ids and remaps references
+  const renamed = await importTenantBundle("T2", bundle, {
+    strategy: "rename",
+  });
+  assert.equal(renamed.documents.renamed, 3);
+  assert.equal(renamed.documents.created, 1);
+  const newPerson = renamed.renamed.PERSON1;
+  const newRole = renamed.renamed.EROLE1;
+  assert.match(newPerson, /^PERSON\d+$/);
+  assert.equal(renamed.renamed.owner, "owner_1");
+  const p = await db.doc(`${root}/tenants/T2/people/${newPerson}`).get();
+  assert.equal(p.data().id, newPerson);
+  const note = await db
+    .doc(`${root}/tenants/T2/people/${newPerson}/notes/N1`)
+    .get();
+  assert.equal(note.data().text, "nested");
+  const mapping = await db.doc(`${root}/tenants/T2/roleMappings/owner_1`).get();
+  assert.deepEqual(mapping.data(), { personId: newPerson, roles: [newRole] });
+  const people = await db.collection(`${root}/tenants/T2/people`).get();
+  assert.equal(people.size, 2);
+
+  // Encrypted person records move to another tenant's key and blind index
+  await db.doc(`${root}/tenants/T5`).set({ id: "T5", name: "Source" });
+  await db.doc(`${root}/tenantDirectory/T5`).set({ country: "southAfrica" });
+  const thandi = {
+    firstName: "Thandi",
+    surname: "Nkosi",
+    demographics: { idNumber: "8001015009087" },
+  };
+  const source = await createPersonRecord("T5", thandi, "U1");
+  const sensitive = await exportTenantBundle("T5");
+  const bundled = sensitive.documents.find(
+    (d) => d.path === `people/${source.id}`
+  );
+  assert.equal(bundled.data.demographics.idNumber, "8001015009087");
+  assert.equal(bundled.data.blindIndex, undefined);
+  const version = sensitive.documents.find((d) =>
+    d.path.startsWith("personVersions/")
+  );
+  assert.equal(version.data.record.demographics.idNumber, "8001015009087");
+
+  await importTenantBundle("T6", sensitive);
+  const moved = (
+    await db.doc(`${root}/tenants/T6/people/${source.id}`).get()
+  ).data();
+  assert.ok(isEncryptedValue(moved.demographics.idNumber));
+  assert.match(moved.demographics.idNumber.kid, /^tenant:T6\//);
+  const byIdNumber = await getAllPersonRecords(
+    "T6",
+    { filters: { "demographics.idNumber": "8001015009087" } },
+    "U1"
+  );
+  assert.deepEqual(
+    byIdNumber.data.map((p) => p.id),
+    [source.id]
+  );
+  await assert.rejects(
+    createPersonRecord("T6", thandi, "U1"),
+    /already exists/
+  );
+  const movedVersions = await db
+    .collection(`${root}/tenants/T6/personVersions`)
+    .get();
+  assert.match(
+    movedVersions.docs[0].data().record.demographics.idNumber.kid,
+    /^tenant:T6\//
+  );
+
+  // A person renamed on import gets a fresh id in the generated format
+  const again = await importTenantBundle("T6", sensitive, {
+    strategy: "rename",
+  });
+  const renamedSource = again.renamed[source.id];
+  assert.match(renamedSource, /^PERSON\d+[0-9a-f]{16}$/);
+  assert.notEqual(renamedSource, source.id);
+  const copy = await db.doc(`${root}/tenants/T6/people/${renamedSource}`).get();
+  assert.equal(copy.data().id, renamedSource);
+
+  console.log("✅ tenant bundle tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,185 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), "offboarding-"));
+process.env.OFFBOARDING_EXPORT_DIR = exportDir;
+process.env.OFFBOARDING_BATCH_SIZE = "2";
+
+const { db } = await import("../services/firestore.client.js");
+const {
+  previewTenantOffboarding,
+  startTenantOffboarding,
+  runTenantOffboarding,
+  waitForTenantOffboarding,
+  getTenantOffboardingJob,
+  purgeTrashedTenant,
+} = await import(
+  "../modules/internal/tenant.offboarding/tenant.offboarding.service.js"
+);
+const { ConflictError, NotFoundError } = await import(
+  "../utilities/error-handler.util.js"
+);
+const { blobStore } = await import("../services/blob.client.js");
+const { moveToTrash, purgeExpiredTrash } = await import(
+  "../utilities/soft-delete.util.js"
+);
+
+// Tests for tenant offboarding (dry run, export, batched resumable deletion)
+async function run() {
+  const root = "touchAfrica/southAfrica";
+  const tenant = `${root}/tenants/T1`;
+  await db.doc(tenant).set({ id: "T1", name: "Acme" });
+  await db.doc(`${root}/tenantDirectory/T1`).set({ country: "southAfrica" });
+  for (const id of ["P1", "P2", "P3"]) {
+    await db.doc(`${tenant}/people/${id}`).set({ id });
+  }
+  await db.doc(`${tenant}/people/P1/notes/N1`).set({ text: "nested" });
+  await db.doc(`${tenant}/roles/R1`).set({ id: "R1" });
+  await db.doc(`${tenant}/counters/person`).set({ value: 3 });
+  await db.doc(`${root}/tenants/T2/people/X1`).set({ id: "X1" });
+
+  // Dry run counts every document, nested ones included, and deletes nothing
+  const plan = await previewTenantOffboarding("T1");
+  assert.equal(plan.tenant.name, "Acme");
+  assert.equal(plan.totalDocuments, 6);
+  assert.deepEqual(
+    Object.fromEntries(plan.collections.map((c) => [c.name, c.documents])),
+    { people: 4, roles: 1, counters: 1 }
+  );
+  assert.equal((await db.doc(`${tenant}/people/P1`).get()).exists, true);
+
+  // Full run with a final export
+  await startTenantOffboarding("T1", { export: true, actor: "admin-1" });
+  await assert.rejects(startTenantOffboarding("T1"), ConflictError);
+  await waitForTenantOffboarding("T1");
+
+  const job = await getTenantOffboardingJob("T1");
+  assert.equal(job.status, "completed");
+  assert.equal(job.progress.deleted, 6);
+  assert.equal(job.export.documents, 6);
+  assert.deepEqual(
+    job.steps.map((s) => s.action),
+    [
+      "planned",
+      "export.started",
+      "export.completed",
+      "delete.started",
+      "collection.deleted",
+      "collection.deleted",
+      "collection.deleted",
+      "tenant.deleted",
+    ]
+  );
+  const lines = fs
+    .readFileSync(path.join(exportDir, job.export.file), "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.equal(lines[0].type, "header");
+  assert.ok(lines.some((l) => l.path === "people/P1/notes/N1"));
+
+  assert.equal((await db.collection(`${tenant}/people`).get()).size, 0);
+  assert.equal((await db.doc(tenant).get()).exists, false);
+  assert.equal((await db.doc(`${root}/tenantDirectory/T1`).get()).exists, false);
+  assert.equal((await db.doc(`${root}/tenants/T2/people/X1`).get()).exists, true);
+  await assert.rejects(startTenantOffboarding("T1"), ConflictError);
+
+  // An interrupted job picks up where it stopped
+  const t3 = `${root}/tenants/T3`;
+  await db.doc(t3).set({ id: "T3", name: "Beta" });
+  await db.doc(`${t3}/people/A`).set({ id: "A" });
+  await db.doc(`${t3}/people/B`).set({ id: "B" });
+  await db.doc(`${root}/offboardingJobs/T3`).set({
+    tenantId: "T3",
+    country: "southAfrica",
+    status: "deleting",
+    options: { export: false },
+    progress: { deleted: 1, total: 3, collection: "people" },
+    export: null,
+    steps: [{ action: "planned" }, { action: "delete.started" }],
+  });
+  const resumed = await runTenantOffboarding("T3");
+  assert.equal(resumed.status, "completed");
+  assert.equal(resumed.progress.deleted, 3);
+  assert.equal((await db.doc(t3).get()).exists, false);
+
+  // Two starts at once: only one job runs
+  await db.doc(`${root}/tenants/T6`).set({ id: "T6", name: "Gamma" });
+  await db.doc(`${root}/tenants/T6/people/A`).set({ id: "A" });
+  const starts = await Promise.allSettled([
+    startTenantOffboarding("T6"),
+    startTenantOffboarding("T6"),
+  ]);
+  assert.deepEqual(
+    starts.map((s) => s.status),
+    ["fulfilled", "rejected"]
+  );
+  assert.ok(starts[1].reason instanceof ConflictError);
+  await waitForTenantOffboarding("T6");
+  const single = await getTenantOffboardingJob("T6");
+  assert.equal(single.status, "completed");
+  assert.equal(single.progress.deleted, 1);
+  assert.equal(
+    single.steps.filter((s) => s.action === "delete.started").length,
+    1
+  );
+
+  // Purging a trashed tenant, by hand or on the schedule, offboards it
+  const tenants = `${root}/tenants`;
+  for (const id of ["T4", "T5"]) {
+    await db.doc(`${tenants}/${id}`).set({ id });
+    await db
+      .doc(`${root}/tenantDirectory/${id}`)
+      .set({ country: "southAfrica" });
+    await db.doc(`${tenants}/${id}/people/P1`).set({ id: "P1" });
+    await db.doc(`${tenants}/${id}/sessions/S1`).set({ id: "S1" });
+  }
+  const blobKey = `${tenants}/T4/personDocuments/D1`;
+  await db.doc(blobKey).set({ id: "D1", personId: "P1", blobKey });
+  await blobStore.put(blobKey, Buffer.from("scan"));
+  // An import's upload and error file are in the blob store too
+  const uploadKey = `${tenants}/T4/personImports/I1`;
+  const errorsKey = `${tenants}/T4/personImportErrors/I1`;
+  await db.doc(uploadKey).set({
+    id: "I1",
+    format: "csv",
+    blobKey: uploadKey,
+    errorFile: { fileName: "people-errors.csv" },
+  });
+  await blobStore.put(uploadKey, Buffer.from("ID Number\n8001015009087"));
+  await blobStore.put(errorsKey, Buffer.from("ID Number\n8001015009087"));
+  await assert.rejects(purgeTrashedTenant("T4"), NotFoundError);
+  await moveToTrash(tenants, "T4", "admin-1");
+  const purged = await purgeTrashedTenant("T4", "admin-1");
+  assert.equal(purged.status, "completed");
+  assert.equal(purged.requested.by, "admin-1");
+  assert.equal((await db.doc(`${tenants}Trash/T4`).get()).exists, false);
+  assert.equal((await db.collection(`${tenants}/T4/people`).get()).size, 0);
+  assert.equal(await blobStore.get(blobKey), null);
+  assert.equal(await blobStore.get(uploadKey), null);
+  assert.equal(await blobStore.get(errorsKey), null);
+
+  await moveToTrash(tenants, "T5", "admin-1");
+  await db
+    .doc(`${tenants}Trash/T5`)
+    .update({ deleted: { by: "admin-1", when: "2020-01-01T00:00:00.000Z" } });
+  const summary = await purgeExpiredTrash({
+    days: 30,
+    purgers: { tenantsTrash: ({ id }) => purgeTrashedTenant(id) },
+  });
+  assert.equal(summary.tenantsTrash, 1);
+  assert.equal((await db.doc(`${tenants}Trash/T5`).get()).exists, false);
+  assert.equal((await db.collection(`${tenants}/T5/sessions`).get()).size, 0);
+  assert.equal((await db.doc(`${root}/tenantDirectory/T5`).get()).exists, false);
+
+  console.log("✅ tenant offboarding tests passed");
+}
+
+run()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(exportDir, { recursive: true, force: true }));
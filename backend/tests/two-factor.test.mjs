@@ -0,0 +1,201 @@
+import assert from "assert";
+import jwt from "jsonwebtoken";
+import {
+  base32Decode,
+  base32Encode,
+  totpCode,
+  totpStep,
+  verifyTotp,
+} from "../utilities/totp.util.js";
+import { qrMatrix } from "../utilities/qr.util.js";
+import {
+  beginTwoFactorLogin,
+  verifyTwoFactorLogin,
+  startChallengeEnrollment,
+  confirmChallengeEnrollment,
+  startEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  getTwoFactorStatus,
+} from "../modules/internal/two.factor/two.factor.service.js";
+import { getTwoFactor } from "../modules/internal/two.factor/two.factor.firestore.js";
+import { createInternalRoleService } from "../modules/internal/role/role.service.js";
+import {
+  AuthenticationError,
+  AuthorizationError,
+  ValidationError,
+} from "../utilities/error-handler.util.js";
+
+process.env.JWT_SECRET = "two-factor-test-secret-0123456789-0123456789";
+
+const claims = (id, roles = []) => ({
+  id,
+  email: `${id}@touchafrica.co.za`,
+  roles,
+  type: "internal_admin",
+});
+
+// Tests for TOTP two-factor: codes, QR encoding, login challenges, policy
+async function run() {
+  // RFC 6238 SHA-1 vectors (8 digits there; the last 6 here)
+  const rfcSecret = base32Encode(Buffer.from("12345678901234567890"));
+  assert.equal(totpCode(rfcSecret, totpStep(59 * 1000)), "287082");
+  assert.equal(totpCode(rfcSecret, totpStep(1111111109 * 1000)), "081804");
+  assert.equal(base32Decode(rfcSecret).toString(), "12345678901234567890");
+  assert.equal(verifyTotp(rfcSecret, "287082", { at: 59 * 1000 }), 1);
+  assert.equal(verifyTotp(rfcSecret, "000000", { at: 59 * 1000 }), null);
+
+  // QR: a square of 17 + 4 * version modules with the finder patterns
+  const uri = `otpauth://totp/TouchAfrica%3Aa%40b.co?secret=${rfcSecret}`;
+  const matrix = qrMatrix(uri);
+  assert.equal((matrix.length - 17) % 4, 0);
+  const edge = matrix.length - 7;
+  for (const [row, col] of [[0, 0], [0, edge], [edge, 0]]) {
+    assert.ok(matrix[row][col] && matrix[row + 6][col + 6]);
+    assert.ok(!matrix[row + 1][col + 1] && matrix[row + 3][col + 3]);
+  }
+  assert.deepEqual(qrMatrix(uri), matrix);
+
+  // No two-factor, no challenge
+  assert.equal(
+    await beginTwoFactorLogin({ claims: claims("ADM1"), profile: {} }),
+    null
+  );
+
+  // Self-service enrolment, then the login asks for a code
+  const setup = await startEnrollment({ id: "ADM1", email: "a@b.co" });
+  assert.ok(setup.otpauthUri.startsWith("otpauth://totp/"));
+  assert.ok(setup.qrCode.startsWith("data:image/svg+xml;base64,"));
+  await assert.rejects(
+    confirmEnrollment({ id: "ADM1" }, "000000"),
+    ValidationError
+  );
+  const recoveryCodes = await confirmEnrollment(
+    { id: "ADM1" },
+    totpCode(setup.secret)
+  );
+  assert.equal(recoveryCodes.length, 10);
+  const stored = await getTwoFactor(null, "ADM1");
+  assert.notEqual(stored.secret, setup.secret);
+  assert.ok(!stored.recoveryCodes.includes(recoveryCodes[0]));
+
+  const challenge = await beginTwoFactorLogin({
+    claims: claims("ADM1"),
+    profile: { id: "ADM1" },
+  });
+  assert.equal(challenge.stage, "verify");
+  const { challengeId } = jwt.decode(challenge.challengeToken);
+  assert.ok(challengeId);
+
+  // The code used to enrol can't be replayed; the next step's code works
+  await assert.rejects(
+    verifyTwoFactorLogin(challenge.challengeToken, {
+      code: totpCode(setup.secret),
+    }),
+    AuthenticationError
+  );
+  const login = await verifyTwoFactorLogin(challenge.challengeToken, {
+    code: totpCode(setup.secret, totpStep() + 1),
+  });
+  assert.equal(jwt.decode(login.tokens.accessToken).id, "ADM1");
+  assert.deepEqual(login.profile, { id: "ADM1" });
+
+  // A passed challenge can't be used twice
+  await assert.rejects(
+    verifyTwoFactorLogin(challenge.challengeToken, {
+      recoveryCode: recoveryCodes[0],
+    }),
+    AuthenticationError
+  );
+
+  // Recovery codes work once, whatever their case
+  const second = await beginTwoFactorLogin({
+    claims: claims("ADM1"),
+    profile: {},
+  });
+  const recovered = await verifyTwoFactorLogin(second.challengeToken, {
+    recoveryCode: recoveryCodes[1].toUpperCase(),
+  });
+  assert.equal(recovered.recoveryCodesRemaining, 9);
+  const third = await beginTwoFactorLogin({
+    claims: claims("ADM1"),
+    profile: {},
+  });
+  await assert.rejects(
+    verifyTwoFactorLogin(third.challengeToken, {
+      recoveryCode: recoveryCodes[1],
+    }),
+    AuthenticationError
+  );
+
+  // Wrong codes lock the challenge
+  for (let i = 0; i < 4; i++) {
+    await assert.rejects(
+      verifyTwoFactorLogin(third.challengeToken, { code: "000000" }),
+      AuthenticationError
+    );
+  }
+  await assert.rejects(
+    verifyTwoFactorLogin(third.challengeToken, {
+      recoveryCode: recoveryCodes[2],
+    }),
+    /Too many/
+  );
+
+  // A role flagged twoFactorRequired makes it mandatory: enrol at login
+  await createInternalRoleService({
+    roleName: "Finance",
+    roleCode: "INTERNAL_FINANCE",
+    permissions: ["admin.read"],
+    twoFactorRequired: true,
+  });
+  const required = await beginTwoFactorLogin({
+    claims: claims("ADM2", ["INTERNAL_FINANCE"]),
+    profile: {},
+  });
+  assert.equal(required.stage, "enroll");
+  await assert.rejects(
+    verifyTwoFactorLogin(required.challengeToken, { code: "123456" }),
+    AuthenticationError
+  );
+  const enrol = await startChallengeEnrollment(required.challengeToken);
+  const enrolled = await confirmChallengeEnrollment(
+    required.challengeToken,
+    totpCode(enrol.secret)
+  );
+  assert.equal(enrolled.recoveryCodes.length, 10);
+  assert.equal(jwt.decode(enrolled.tokens.accessToken).id, "ADM2");
+
+  const account = { id: "ADM2", roles: ["INTERNAL_FINANCE"] };
+  assert.deepEqual(await getTwoFactorStatus(account), {
+    enabled: true,
+    required: true,
+    enrolledAt: (await getTwoFactor(null, "ADM2")).enrolledAt,
+    recoveryCodesRemaining: 10,
+  });
+  await assert.rejects(
+    disableTwoFactor(account, totpCode(enrol.secret, totpStep() + 1)),
+    AuthorizationError
+  );
+
+  // Without the role it can be switched off again
+  await disableTwoFactor(
+    { id: "ADM2", roles: [] },
+    totpCode(enrol.secret, totpStep() + 1)
+  );
+  assert.equal(await getTwoFactor(null, "ADM2"), null);
+
+  // The root admin role is on the policy list
+  const root = await beginTwoFactorLogin({
+    claims: claims("ADM3", ["INTERNAL_ROOT_ADMIN"]),
+    profile: {},
+  });
+  assert.equal(root.stage, "enroll");
+
+  console.log("✅ two-factor tests passed");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+import "dotenv/config";
+import { program } from "commander";
+import { db } from "../services/firestore.client.js";
+import {
+  initKeyring,
+  getKeyringStatus,
+  rotateKey,
+  rewrapFields,
+  keyScope,
+} from "../utilities/field-encryption.util.js";
+import {
+  listMigrationTargets,
+  MIGRATION_SCOPES,
+} from "../utilities/migration.util.js";
+import {
+  runWithCountry,
+  tenantPath,
+  platformPath,
+} from "../utilities/country-context.util.js";
+import { iterateCollection } from "../utilities/collection-tree.util.js";
+import { PERSON_COLLECTIONS } from "../migrations/lib/person-encryption.js";
+
+// Run a command, report failures and exit with a status code
+function action(fn) {
+  return async (...args) => {
+    try {
+      await fn(...args);
+      process.exit(0);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  };
+}
+
+// Platform plus every tenant, or just the one asked for
+async function rewrapTargets(tenantId) {
+  if (tenantId) {
+    return listMigrationTargets(MIGRATION_SCOPES.TENANT, { tenantId });
+  }
+  return [
+    ...(await listMigrationTargets(MIGRATION_SCOPES.PLATFORM)),
+    ...(await listMigrationTargets(MIGRATION_SCOPES.TENANT)),
+  ];
+}
+
+// Re-wrap every person data key of one target under its active key
+async function rewrapTarget(target, dryRun) {
+  const scope = keyScope(target.tenantId);
+  const counts = { documents: 0, rewrapped: 0 };
+  await runWithCountry(target.country, async () => {
+    for (const collection of PERSON_COLLECTIONS) {
+      const collectionRef = db.collection(
+        target.tenantId
+          ? tenantPath(target.tenantId, collection)
+          : platformPath(collection)
+      );
+      for await (const doc of iterateCollection(collectionRef)) {
+        counts.documents++;
+        const patch = rewrapFields(doc.data(), scope);
+        if (!patch) continue;
+        counts.rewrapped++;
+        if (!dryRun) await doc.ref.update(patch);
+      }
+    }
+  });
+  return counts;
+}
+
+program
+  .name("keyring")
+  .description("Field encryption keys for sensitive person data")
+  .version("1.0.0");
+
+program
+  .command("init")
+  .description("Create the keyring file")
+  .action(
+    action(async () => {
+      const { file, created } = initKeyring();
+      console.log(
+        created ? `✅ Created ${file}` : `Keyring already exists: ${file}`
+      );
+    })
+  );
+
+program
+  .command("status")
+  .description("List key scopes with their active key")
+  .action(
+    action(async () => {
+      const rows = getKeyringStatus();
+      console.log("\n🔑 Keyring:");
+      console.log("===========");
+      for (const row of rows) {
+        console.log(
+          `  ${row.scope.padEnd(36)} ${row.activeKeyId.padEnd(24)} ` +
+            `${row.keys} key(s), active since ${row.rotatedAt}`
+        );
+      }
+      console.log("\nTotal scopes:", rows.length);
+    })
+  );
+
+program
+  .command("rotate")
+  .description("Add a new active key (platform, or one tenant)")
+  .option("-t, --tenant <id>", "Rotate this tenant's key")
+  .action(
+    action(async (options) => {
+      const kid = rotateKey(keyScope(options.tenant));
+      console.log(`✅ Active key is now ${kid}`);
+      console.log("   Run `keyring rewrap` to move existing values onto it");
+    })
+  );
+
+program
+  .command("rewrap")
+  .description("Re-wrap stored data keys under each scope's active key")
+  .option("-t, --tenant <id>", "Only this tenant")
+  .option("--dry-run", "Count what would be re-wrapped without writing")
+  .action(
+    action(async (options) => {
+      const dryRun = !!options.dryRun;
+      let total = 0;
+      for (const target of await rewrapTargets(options.tenant)) {
+        const counts = await rewrapTarget(target, dryRun);
+        total += counts.rewrapped;
+        console.log(
+          `  ${target.key.padEnd(36)} ${counts.rewrapped}/${counts.documents}`
+        );
+      }
+      console.log(
+        `\n${dryRun ? "🔍 Dry run:" : "✅ Done:"} ${total} document(s)` +
+          `${dryRun ? " would be" : ""} re-wrapped`
+      );
+    })
+  );
+
+program.parse();
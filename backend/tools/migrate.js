@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+import "dotenv/config";
+import os from "os";
+import { program } from "commander";
+import {
+  getMigrationStatus,
+  applyMigrations,
+  rollbackMigrations,
+  createMigrationFile,
+} from "../utilities/migration.util.js";
+
+const actor = () => process.env.MIGRATION_ACTOR || os.userInfo().username;
+
+// Run a command, report failures and exit with a status code
+function action(fn) {
+  return async (...args) => {
+    try {
+      await fn(...args);
+      process.exit(0);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  };
+}
+
+function summarize(results, dryRun) {
+  if (results.length === 0) {
+    console.log("\nNothing to do");
+    return;
+  }
+  const writes = results.reduce((sum, r) => sum + r.writes, 0);
+  console.log(
+    `\n${dryRun ? "🔍 Dry run:" : "✅ Done:"} ${results.length} run(s), ` +
+      `${writes} write(s)${dryRun ? " would be made" : ""}`
+  );
+}
+
+program
+  .name("migrate")
+  .description("Versioned data migrations for Firestore documents")
+  .version("1.0.0");
+
+program
+  .command("list")
+  .description("List migrations and where they have been applied")
+  .option("-t, --tenant <id>", "Only show this tenant")
+  .option("-v, --verbose", "Show every target")
+  .action(
+    action(async (options) => {
+      const rows = await getMigrationStatus({ tenantId: options.tenant });
+      console.log("\n📋 Migrations:");
+      console.log("==============");
+      for (const row of rows) {
+        const state = row.pending === 0 ? "applied" : "pending";
+        console.log(
+          `  ${row.id}  ${row.name.padEnd(36)} ${row.scope.padEnd(8)} ` +
+            `${state.padEnd(8)} ${row.applied}/${row.applied + row.pending}` +
+            `${row.modified ? "  ⚠️ modified since applied" : ""}`
+        );
+        if (options.verbose) {
+          for (const entry of row.targets) {
+            const when = entry.rolledBack?.when || entry.applied?.when || "";
+            console.log(
+              `      ${entry.target.padEnd(30)} ${entry.status} ${when}`
+            );
+          }
+        }
+      }
+      console.log("\nTotal migrations:", rows.length);
+    })
+  );
+
+program
+  .command("up")
+  .description("Apply pending migrations")
+  .option("--to <number>", "Stop after this migration")
+  .option("-t, --tenant <id>", "Only run tenant migrations for this tenant")
+  .option("--dry-run", "Report what would change without writing")
+  .action(
+    action(async (options) => {
+      const results = await applyMigrations({
+        to: options.to,
+        tenantId: options.tenant,
+        dryRun: !!options.dryRun,
+        actor: actor(),
+      });
+      summarize(results, options.dryRun);
+    })
+  );
+
+program
+  .command("down")
+  .description("Roll back applied migrations, newest first")
+  .option("--to <number>", "Roll back every migration after this one")
+  .option("--steps <n>", "Number of migrations to roll back", "1")
+  .option("-t, --tenant <id>", "Only roll back this tenant")
+  .option("--dry-run", "Report what would change without writing")
+  .action(
+    action(async (options) => {
+      const results = await rollbackMigrations({
+        to: options.to,
+        steps: parseInt(options.steps, 10) || 1,
+        tenantId: options.tenant,
+        dryRun: !!options.dryRun,
+        actor: actor(),
+      });
+      summarize(results, options.dryRun);
+    })
+  );
+
+program
+  .command("create <name>")
+  .description("Scaffold the next numbered migration")
+  .option("-s, --scope <scope>", "platform or tenant", "tenant")
+  .action(
+    action(async (name, options) => {
+      const file = createMigrationFile(name, { scope: options.scope });
+      console.log(`✅ Created ${file}`);
+    })
+  );
+
+program.parse();
@@ -0,0 +1,198 @@
+/**
+ * Audit Trail
+ * One central, append-only log of who did what: every create, update,
+ * delete, activation and login across internal and external modules is
+ * recorded in the platform `auditEvents` collection with the actor, tenant,
+ * resource, request origin (IP, user agent) and a field-level diff.
+ *
+ * Events are normally recorded by the audit() route middleware; call
+ * recordAuditEvent directly for changes made outside a request.
+ */
+
+import crypto from "crypto";
+import { db } from "../services/firestore.client.js";
+import { platformPath } from "./country-context.util.js";
+import { isEncryptedValue } from "./field-encryption.util.js";
+
+export const AUDIT_OUTCOMES = { SUCCESS: "success", FAILURE: "failure" };
+
+// Bookkeeping fields that change on every write and say nothing on their own
+const IGNORED_FIELDS = [
+  "updated",
+  "updatedAt",
+  "recordVersion",
+  "audit.recordVersion",
+  "audit.updatedAt",
+  "audit.updatedBy",
+  "blindIndex",
+];
+
+// Values never copied into the log, only reported as changed
+const SENSITIVE_FIELD = /password|secret|token|hash|salt|^otp$|^pin$/i;
+export const REDACTED = "[REDACTED]";
+
+// Writes still in flight (see flushAuditEvents)
+const pending = new Set();
+
+function auditCol() {
+  return db.collection(platformPath("auditEvents"));
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+// { a: { b: 1 } } -> { "a.b": 1 }; arrays, encrypted values and other
+// values are leaves
+function flatten(value, prefix = "", out = {}) {
+  for (const [key, child] of Object.entries(value || {})) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (
+      isPlainObject(child) &&
+      !isEncryptedValue(child) &&
+      Object.keys(child).length > 0
+    ) {
+      flatten(child, field, out);
+    } else {
+      out[field] = child;
+    }
+  }
+  return out;
+}
+
+function isIgnored(field) {
+  return IGNORED_FIELDS.some(
+    (ignored) => field === ignored || field.startsWith(`${ignored}.`)
+  );
+}
+
+function isSensitive(field) {
+  return field.split(".").some((segment) => SENSITIVE_FIELD.test(segment));
+}
+
+/**
+ * Field-level diff of two versions of a record
+ * Pass null as `before` for a create and as `after` for a delete.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{field: string, before: *, after: *}>} Sorted by field
+ */
+export function diffRecords(before, after) {
+  const a = flatten(before);
+  const b = flatten(after);
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+  const changes = [];
+  for (const field of [...fields].sort()) {
+    if (isIgnored(field)) continue;
+    if (JSON.stringify(a[field]) === JSON.stringify(b[field])) continue;
+
+    const sensitive =
+      isSensitive(field) ||
+      isEncryptedValue(a[field]) ||
+      isEncryptedValue(b[field]);
+    changes.push({
+      field,
+      before: field in a ? (sensitive ? REDACTED : a[field]) : null,
+      after: field in b ? (sensitive ? REDACTED : b[field]) : null,
+    });
+  }
+  return changes;
+}
+
+/**
+ * Copy of a record with secret fields (passwords, PINs, tokens) replaced by
+ * REDACTED, for reports that leave the platform
+ */
+export function redactSecrets(record) {
+  if (Array.isArray(record)) return record.map(redactSecrets);
+  if (!isPlainObject(record)) return record;
+  const out = {};
+  for (const [key, value] of Object.entries(record)) {
+    out[key] =
+      SENSITIVE_FIELD.test(key) && value != null
+        ? REDACTED
+        : redactSecrets(value);
+  }
+  return out;
+}
+
+/**
+ * Actor summary from an authenticated principal (req.admin / req.user)
+ */
+export function auditActor(principal) {
+  if (!principal) return { id: null, email: null, type: "anonymous" };
+  return {
+    id: principal.id || principal.userId || null,
+    email: principal.email || principal.accessDetails?.email || null,
+    type: principal.type || null,
+  };
+}
+
+function newAuditEventId() {
+  return `AUDIT${Date.now()}${crypto.randomBytes(3).toString("hex")}`;
+}
+
+/**
+ * Record one audit event
+ * @param {Object} event
+ * @param {string} event.action - create, update, delete, activate, login, ...
+ * @param {Object} event.resource - { type, id }
+ * @param {Object} event.actor - See auditActor
+ * @param {string} event.tenantId - Tenant the resource belongs to, if any
+ * @param {Object} event.request - { method, path, ip, userAgent, statusCode }
+ * @param {Array} event.changes - See diffRecords
+ * @param {Object} event.details - Extra, action-specific context
+ * @returns {Promise<Object>} The stored event
+ */
+export async function recordAuditEvent(event) {
+  const at = new Date().toISOString();
+  const stored = {
+    id: newAuditEventId(),
+    at,
+    action: event.action,
+    outcome: event.outcome || AUDIT_OUTCOMES.SUCCESS,
+    resource: {
+      type: event.resource?.type || null,
+      id: event.resource?.id || null,
+    },
+    tenantId: event.tenantId || null,
+    country: event.country || null,
+    actor: event.actor || auditActor(null),
+    request: event.request || null,
+    changes: event.changes || [],
+    details: event.details || null,
+    // Denormalised for equality filters (Firestore can't filter on maps well)
+    actorId: event.actor?.id || null,
+    resourceType: event.resource?.type || null,
+    resourceId: event.resource?.id || null,
+  };
+  await auditCol().doc(stored.id).set(stored);
+  return stored;
+}
+
+/**
+ * Run an audit write in the background; failures are logged, never thrown,
+ * so auditing can't break the request being audited
+ * @param {Function} write - async () => void
+ */
+export function trackAuditEvent(write) {
+  const promise = Promise.resolve()
+    .then(write)
+    .catch((error) => console.error("❌ Failed to record audit event:", error))
+    .finally(() => pending.delete(promise));
+  pending.add(promise);
+  return promise;
+}
+
+/**
+ * Resolves once every background audit write has finished (tests, shutdown)
+ */
+export async function flushAuditEvents() {
+  await Promise.all([...pending]);
+}
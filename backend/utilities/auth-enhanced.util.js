@@ -21,6 +21,11 @@ const getRefreshSecret = () => {
   return process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET + "_refresh";
 };
 
+// Challenge tokens are signed apart so they can never pass as access tokens
+const getChallengeSecret = () => {
+  return process.env.JWT_CHALLENGE_SECRET || getJWTSecret() + "_2fa";
+};
+
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "1h";
 const REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || "7d";
 
@@ -50,6 +55,7 @@ export function generateRefreshToken(payload) {
     userId: payload.userId,
     role: payload.role,
     tenantId: payload.tenantId,
+    sessionId: payload.sessionId,
     type: "refresh",
     iat: Math.floor(Date.now() / 1000),
     jti: crypto.randomUUID(),
@@ -107,6 +113,44 @@ export function verifyRefreshToken(token) {
   }
 }
 
+/**
+ * Generate a two-factor login challenge token: proof that the password was
+ * right, good only for the second login step
+ */
+export function generateChallengeToken(payload, expiresIn = "5m") {
+  return jwt.sign(
+    {
+      challengeId: payload.challengeId,
+      tenantId: payload.tenantId,
+      type: "2fa-challenge",
+    },
+    getChallengeSecret(),
+    { expiresIn }
+  );
+}
+
+/**
+ * Verify two-factor login challenge token
+ */
+export function verifyChallengeToken(token) {
+  try {
+    const decoded = jwt.verify(token, getChallengeSecret());
+
+    if (decoded.type !== "2fa-challenge") {
+      throw new Error("Invalid challenge token type");
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw new Error("Challenge expired; please log in again");
+    } else if (error.name === "JsonWebTokenError") {
+      throw new Error("Invalid challenge token");
+    }
+    throw error;
+  }
+}
+
 /**
  * Generate token pair (access + refresh)
  */
@@ -148,6 +192,59 @@ export function extractTokenFromRequest(req) {
   return null;
 }
 
+/**
+ * Extract refresh token from request (body or cookie)
+ */
+export function extractRefreshTokenFromRequest(req) {
+  const token = req.body?.refreshToken || req.cookies?.refreshToken;
+  if (typeof token === "string" && token.trim()) return token.trim();
+
+  if (req.headers.cookie) {
+    const cookieMatch = req.headers.cookie.match(/refreshToken=([^;]+)/);
+    if (cookieMatch) return cookieMatch[1].trim();
+  }
+
+  return null;
+}
+
+// Milliseconds until a signed token expires
+function msUntilExpiry(token) {
+  const { exp } = jwt.decode(token) || {};
+  return exp ? Math.max(exp * 1000 - Date.now(), 0) : undefined;
+}
+
+/**
+ * Set the session cookies for a token pair (the refresh token is never
+ * readable by scripts)
+ */
+export function setSessionCookies(res, { accessToken, refreshToken }) {
+  const secure = process.env.NODE_ENV === "production";
+  res.cookie("authToken", accessToken, {
+    httpOnly: false, // Read by the dashboards' client-side fallback
+    secure,
+    sameSite: "strict",
+    maxAge: msUntilExpiry(accessToken),
+    path: "/",
+  });
+  res.cookie("refreshToken", refreshToken, {
+    httpOnly: true,
+    secure,
+    sameSite: "strict",
+    maxAge: msUntilExpiry(refreshToken),
+    path: "/",
+  });
+}
+
+export function clearSessionCookies(res) {
+  const options = {
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    path: "/",
+  };
+  res.clearCookie("authToken", options);
+  res.clearCookie("refreshToken", { ...options, httpOnly: true });
+}
+
 /**
  * Hash password with salt
  */
@@ -13,12 +13,13 @@ const getJWTSecret = () => {
 
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "1d";
 
-export function generateToken(payload) {
+export function generateToken(payload, expiresIn = JWT_EXPIRES_IN) {
   const JWT_SECRET = getJWTSecret();
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+  return jwt.sign(payload, JWT_SECRET, { expiresIn });
 }
 
-export function verifyToken(token) {
+// options are passed to jwt.verify (e.g. ignoreExpiration for logout)
+export function verifyToken(token, options = {}) {
   const JWT_SECRET = getJWTSecret();
-  return jwt.verify(token, JWT_SECRET);
+  return jwt.verify(token, JWT_SECRET, options);
 }
@@ -0,0 +1,94 @@
+/**
+ * Collection Tree Utilities
+ * Walk a collection and every subcollection below it - used to count, export
+ * and delete everything stored under a tenant.
+ *
+ * Documents are read page by page so large tenants never have to fit in
+ * memory, and deletes are committed in batches (Firestore allows 500 writes
+ * per batch).
+ */
+
+import { db } from "../services/firestore.client.js";
+
+export const DEFAULT_PAGE_SIZE = 200;
+
+/**
+ * Iterate the documents of one collection, page by page
+ * @param {FirebaseFirestore.CollectionReference} collectionRef
+ * @param {number} pageSize
+ */
+export async function* iterateCollection(
+  collectionRef,
+  pageSize = DEFAULT_PAGE_SIZE
+) {
+  let last = null;
+  for (;;) {
+    let query = collectionRef.limit(pageSize);
+    if (last) query = query.startAfter(last);
+    const snapshot = await query.get();
+    for (const doc of snapshot.docs) yield doc;
+    if (snapshot.size < pageSize) return;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+/**
+ * Count the documents in a collection and all of its subcollections
+ * @param {FirebaseFirestore.CollectionReference} collectionRef
+ * @returns {Promise<number>}
+ */
+export async function countCollectionTree(collectionRef) {
+  let count = 0;
+  for await (const doc of iterateCollection(collectionRef)) {
+    count++;
+    for (const sub of await doc.ref.listCollections()) {
+      count += await countCollectionTree(sub);
+    }
+  }
+  return count;
+}
+
+/**
+ * Visit every document in a collection tree (parents before children)
+ * @param {FirebaseFirestore.CollectionReference} collectionRef
+ * @param {Function} visit - async (doc) => void
+ */
+export async function walkCollectionTree(collectionRef, visit) {
+  for await (const doc of iterateCollection(collectionRef)) {
+    await visit(doc);
+    for (const sub of await doc.ref.listCollections()) {
+      await walkCollectionTree(sub, visit);
+    }
+  }
+}
+
+/**
+ * Delete a collection tree in batches (children before parents)
+ * Safe to re-run after an interruption: it always deletes what is left.
+ * @param {FirebaseFirestore.CollectionReference} collectionRef
+ * @param {Object} options
+ * @param {number} options.batchSize - Documents per batch (max 500)
+ * @param {Function} options.onBatch - async (deletedInBatch, collectionPath)
+ * @returns {Promise<number>} Documents deleted
+ */
+export async function deleteCollectionTree(collectionRef, options = {}) {
+  const { batchSize = DEFAULT_PAGE_SIZE, onBatch } = options;
+  let deleted = 0;
+
+  for (;;) {
+    const snapshot = await collectionRef.limit(batchSize).get();
+    if (snapshot.empty) return deleted;
+
+    for (const doc of snapshot.docs) {
+      for (const sub of await doc.ref.listCollections()) {
+        deleted += await deleteCollectionTree(sub, options);
+      }
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+    if (onBatch) await onBatch(snapshot.size, collectionRef.path);
+  }
+}
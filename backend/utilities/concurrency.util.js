@@ -0,0 +1,160 @@
+/**
+ * Optimistic Concurrency Utilities
+ * ETag / If-Match support for mutable resources.
+ *
+ * Every versioned document carries an integer version (default field
+ * `recordVersion`; persons keep theirs in `audit.recordVersion`). Reads expose
+ * it as an ETag, writes accept `If-Match` and bump it inside a Firestore
+ * transaction so two editors can't silently overwrite each other.
+ */
+
+import {
+  NotFoundError,
+  PreconditionFailedError,
+} from "./error-handler.util.js";
+
+export const DEFAULT_VERSION_FIELD = "recordVersion";
+
+function getField(data, field) {
+  return String(field)
+    .split(".")
+    .reduce((current, key) => current?.[key], data);
+}
+
+// Copies nested objects on the way down so callers' objects aren't mutated
+function setField(data, field, value) {
+  const keys = String(field).split(".");
+  const last = keys.pop();
+  let target = data;
+  for (const key of keys) {
+    target[key] =
+      target[key] && typeof target[key] === "object" ? { ...target[key] } : {};
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+/**
+ * Current version of a document (records written before versioning are v1)
+ * @param {Object} data - Document data
+ * @param {string} versionField - Dotted path of the version field
+ * @returns {number}
+ */
+export function getVersion(data, versionField = DEFAULT_VERSION_FIELD) {
+  const version = Number(getField(data, versionField));
+  return Number.isInteger(version) && version > 0 ? version : 1;
+}
+
+/**
+ * Stamp the initial version on a new document
+ */
+export function withInitialVersion(data, versionField = DEFAULT_VERSION_FIELD) {
+  const out = { ...data };
+  setField(out, versionField, 1);
+  return out;
+}
+
+export function formatETag(version) {
+  return `"v${version}"`;
+}
+
+/**
+ * Parse an If-Match header
+ * @param {string} header - e.g. `"v3"`, `W/"v3"`, `"v3", "v4"` or `*`
+ * @returns {null|"*"|number[]} null when absent, "*" for any version
+ */
+export function parseIfMatch(header) {
+  if (header === undefined || header === null || header === "") return null;
+  if (String(header).trim() === "*") return "*";
+  return String(header)
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, "").replace(/"/g, ""))
+    .map((tag) => Number(tag.replace(/^v/, "")))
+    .filter((version) => Number.isInteger(version) && version > 0);
+}
+
+/**
+ * Expected version(s) from the request's If-Match header
+ */
+export function expectedVersionFrom(req) {
+  return parseIfMatch(req.get("If-Match"));
+}
+
+/**
+ * Set the ETag header for a document
+ */
+export function setETag(res, data, versionField = DEFAULT_VERSION_FIELD) {
+  if (data) res.set("ETag", formatETag(getVersion(data, versionField)));
+  return res;
+}
+
+/**
+ * Throw 412 unless the current version satisfies If-Match
+ * @param {number} currentVersion
+ * @param {null|"*"|number[]} expected - parseIfMatch() output
+ */
+export function assertVersion(currentVersion, expected) {
+  if (expected === null || expected === "*") return;
+  if (expected.includes(currentVersion)) return;
+  throw new PreconditionFailedError(
+    "Record has been modified since it was loaded",
+    { currentVersion, etag: formatETag(currentVersion) }
+  );
+}
+
+/**
+ * Check the version and write an update in one transaction
+ * @param {FirebaseFirestore.DocumentReference} docRef
+ * @param {Object|Function} update - Patch, or (current) => patch
+ * @param {Object} options
+ * @param {null|"*"|number[]} options.expected - parseIfMatch() output
+ * @param {string} options.versionField - Dotted path of the version field
+ * @param {"update"|"set"} options.method - `update` (dotted paths) or merge `set`
+ * @param {string} options.resource - Name used in not-found errors
+ * @param {Function} options.onWrite - (tx, { before, patch, version }),
+ *   called before the document is written; may read, then stage other
+ *   writes in the same transaction (e.g. a history entry)
+ * @returns {Promise<{before: Object, patch: Object, version: number}>}
+ */
+export async function updateWithVersion(docRef, update, options = {}) {
+  const {
+    expected = null,
+    versionField = DEFAULT_VERSION_FIELD,
+    method = "update",
+    resource = "Resource",
+    onWrite = null,
+  } = options;
+
+  return docRef.firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(docRef);
+    if (!snap.exists) throw new NotFoundError(resource);
+
+    const before = snap.data();
+    const currentVersion = getVersion(before, versionField);
+    assertVersion(currentVersion, expected);
+
+    const patch = {
+      ...(typeof update === "function" ? await update(before) : update),
+    };
+    const version = currentVersion + 1;
+
+    // A patch that replaces the version's parent object (e.g. `audit`) must
+    // carry the version inside it - Firestore rejects overlapping field paths
+    const [head] = versionField.split(".");
+    if (method === "set" || (head !== versionField && head in patch)) {
+      setField(patch, versionField, version);
+    } else {
+      patch[versionField] = version;
+    }
+
+    if (onWrite) await onWrite(tx, { before, patch, version });
+
+    if (method === "set") {
+      tx.set(docRef, patch, { merge: true });
+    } else {
+      tx.update(docRef, patch);
+    }
+
+    return { before, patch, version };
+  });
+}
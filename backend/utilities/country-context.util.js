@@ -0,0 +1,71 @@
+/**
+ * Country Context Utilities
+ * Carries the active country for the current request through async calls
+ * (AsyncLocalStorage) and builds Firestore paths for its partition, so
+ * firestore modules don't need a country argument threaded through every
+ * service signature.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import {
+  PLATFORM_SERVICE_ID,
+  getDefaultCountry,
+  getCountryPack,
+  resolveCountryKey,
+} from "../config/countries.config.js";
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a country context
+ * @param {string} country - Country key or ISO code
+ * @param {Function} fn
+ */
+export function runWithCountry(country, fn) {
+  const key = resolveCountryKey(country) || getDefaultCountry();
+  return storage.run({ country: key }, fn);
+}
+
+/**
+ * Switch the country of the current context (e.g. once a tenant's country
+ * is known). No-op outside a context.
+ */
+export function setCurrentCountry(country) {
+  const key = resolveCountryKey(country);
+  const store = storage.getStore();
+  if (store && key) store.country = key;
+  return key;
+}
+
+export function getCurrentCountry() {
+  return storage.getStore()?.country || getDefaultCountry();
+}
+
+export function getCurrentCountryPack() {
+  return getCountryPack(getCurrentCountry());
+}
+
+/**
+ * Path inside the current country's partition
+ * e.g. servicePath("tenants") -> "touchAfrica/botswana/tenants"
+ */
+export function servicePath(...segments) {
+  return ["touchAfrica", getCurrentCountryPack().serviceId, ...segments].join(
+    "/"
+  );
+}
+
+/**
+ * Path inside a tenant of the current country's partition
+ * e.g. tenantPath("TENANT1", "people") -> "touchAfrica/namibia/tenants/TENANT1/people"
+ */
+export function tenantPath(tenantId, ...segments) {
+  return servicePath("tenants", tenantId, ...segments);
+}
+
+/**
+ * Path inside the platform-wide partition (internal admins, roles, lookups)
+ */
+export function platformPath(...segments) {
+  return ["touchAfrica", PLATFORM_SERVICE_ID, ...segments].join("/");
+}
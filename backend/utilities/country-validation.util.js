@@ -0,0 +1,123 @@
+/**
+ * Country Validation Utilities
+ * Zod schemas and plain checks driven by the active country pack.
+ *
+ * Schemas resolve the pack at parse time (not at import time), so the same
+ * schema validates a Botswana tenant's people against Botswana rules when
+ * parsed inside that tenant's country context.
+ */
+
+import { z } from "zod";
+import { getCurrentCountryPack } from "./country-context.util.js";
+
+const normalizePhone = (value) => String(value).replace(/\s+/g, "");
+
+export function isValidPhone(value, pack = getCurrentCountryPack()) {
+  return !!value && pack.phone.pattern.test(normalizePhone(value));
+}
+
+export function isValidProvince(value, pack = getCurrentCountryPack()) {
+  return pack.provinces.includes(value);
+}
+
+export function isValidPostalCode(value, pack = getCurrentCountryPack()) {
+  if (value === undefined || value === null || value === "") {
+    return !pack.postalCode.required;
+  }
+  return pack.postalCode.pattern.test(String(value));
+}
+
+export function isValidNationalId(value, pack = getCurrentCountryPack()) {
+  return !!value && pack.nationalId.pattern.test(String(value));
+}
+
+/**
+ * Phone number in the active country's format
+ */
+export function countryPhoneSchema() {
+  return z.string().superRefine((value, ctx) => {
+    const pack = getCurrentCountryPack();
+    if (!isValidPhone(value, pack)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: pack.phone.message });
+    }
+  });
+}
+
+/**
+ * Province / region / district of the active country
+ */
+export function countryProvinceSchema() {
+  return z.string().superRefine((value, ctx) => {
+    const pack = getCurrentCountryPack();
+    if (!isValidProvince(value, pack)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Valid ${pack.name} ${pack.regionLabel} is required`,
+      });
+    }
+  });
+}
+
+/**
+ * Postal code - required or optional depending on the active country
+ */
+export function countryPostalCodeSchema() {
+  return z
+    .string()
+    .optional()
+    .superRefine((value, ctx) => {
+      const pack = getCurrentCountryPack();
+      if (!isValidPostalCode(value, pack)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: value ? pack.postalCode.message : "Postal code is required",
+        });
+      }
+    });
+}
+
+/**
+ * National ID number in the active country's format
+ */
+export function countryNationalIdSchema() {
+  return z.string().superRefine((value, ctx) => {
+    const pack = getCurrentCountryPack();
+    if (!value) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `${pack.nationalId.label} is required`,
+      });
+    } else if (!isValidNationalId(value, pack)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: pack.nationalId.message,
+      });
+    }
+  });
+}
+
+/**
+ * Citizenship status options of the active country
+ */
+export function countryCitizenshipSchema() {
+  return z.string().superRefine((value, ctx) => {
+    const pack = getCurrentCountryPack();
+    if (!pack.citizenshipStatuses.includes(value)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Citizenship status must be one of: ${pack.citizenshipStatuses.join(", ")}`,
+      });
+    }
+  });
+}
+
+/**
+ * ISO country code defaulting to the active country
+ */
+export function countryIsoCodeSchema() {
+  return z
+    .string()
+    .regex(/^[A-Z]{2}$/, "Country code must be 2 letter ISO code")
+    .optional()
+    .default(() => getCurrentCountryPack().isoCode);
+}
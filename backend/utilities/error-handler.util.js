@@ -48,12 +48,27 @@ export class ConflictError extends APIError {
   }
 }
 
+export class PreconditionFailedError extends APIError {
+  constructor(
+    message = "Record has been modified since it was loaded",
+    details = null
+  ) {
+    super(message, 412, "PRECONDITION_FAILED", details);
+  }
+}
+
 export class RateLimitError extends APIError {
   constructor(message = "Rate limit exceeded") {
     super(message, 429, "RATE_LIMIT_EXCEEDED");
   }
 }
 
+export class AccountLockedError extends APIError {
+  constructor(lockedUntil, message = "Account locked") {
+    super(message, 423, "ACCOUNT_LOCKED", { lockedUntil });
+  }
+}
+
 // Async wrapper to catch errors automatically
 export const asyncHandler = (fn) => {
   return (req, res, next) => {
@@ -81,6 +96,15 @@ export const globalErrorHandler = (err, req, res, next) => {
 
   // Handle different error types
   if (err instanceof APIError) {
+    // Stale If-Match: hand the client the current version's ETag
+    if (err instanceof PreconditionFailedError && err.details?.etag) {
+      res.set("ETag", err.details.etag);
+    }
+    // Locked account: tell the client when to try again
+    if (err instanceof AccountLockedError) {
+      const wait = new Date(err.details.lockedUntil).getTime() - Date.now();
+      res.set("Retry-After", String(Math.max(1, Math.ceil(wait / 1000))));
+    }
     return res.status(err.statusCode).json({
       error: {
         code: err.code,
@@ -0,0 +1,449 @@
+/**
+ * Field-level Encryption
+ * Sensitive person fields (ID and passport numbers, tax, UIF and medical aid
+ * numbers, income) are stored as envelopes instead of plaintext: every value
+ * is encrypted with its own random data key (AES-256-GCM), and that data key
+ * is wrapped with the key-encryption key of the record's scope (the platform,
+ * or one tenant).
+ *
+ * Key-encryption keys live in a local keyring file (FIELD_KEYRING_FILE,
+ * default backend/.data/keyring.json; kept in memory with the memory storage
+ * driver). Each scope has its own keys. Rotating a scope adds a new active
+ * key; older keys stay in the keyring to unwrap existing values until they
+ * are re-wrapped (see backend/tools/keyring.js).
+ *
+ * Encrypted values can't be queried, so lookups such as the duplicate ID
+ * check go through blind indexes: an HMAC of the normalized value, stored
+ * under `blindIndex`, keyed per scope. Index keys are never rotated.
+ *
+ * Only callers holding `person.sensitive.read` see decrypted values; everyone
+ * else gets a fixed mask (see revealFields).
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { storageDriver } from "../services/firestore.client.js";
+import { ValidationError } from "./error-handler.util.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SENSITIVE_READ_PERMISSION = "person.sensitive.read";
+
+export const PERSON_SENSITIVE_FIELDS = [
+  "idNumber", // flat records not yet migrated (see migrations 001/002)
+  "demographics.idNumber",
+  "demographics.passportNumber",
+  "demographics.employment.monthlyIncome",
+  "socioEconomic.taxNumber",
+  "socioEconomic.uifNumber",
+  "socioEconomic.medicalAidNumber",
+];
+
+// blindIndex key -> fields it is computed from (the first one present)
+export const PERSON_BLIND_INDEXES = {
+  idNumber: ["demographics.idNumber", "idNumber"],
+  passportNumber: ["demographics.passportNumber"],
+};
+
+export const PLATFORM_KEY_SCOPE = "platform";
+
+const ALGORITHM = "AES-256-GCM";
+const CIPHER = "aes-256-gcm";
+const KEYRING_VERSION = 1;
+
+let keyring = null;
+
+function keyringFile() {
+  return (
+    process.env.FIELD_KEYRING_FILE ||
+    path.resolve(__dirname, "../.data/keyring.json")
+  );
+}
+
+// Keys are only kept in memory when the data is too
+function persistent() {
+  return storageDriver !== "memory";
+}
+
+function newKey() {
+  return crypto.randomBytes(32).toString("base64");
+}
+
+function readKeyring() {
+  const file = keyringFile();
+  if (!persistent() || !fs.existsSync(file)) return null;
+  const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (parsed.version !== KEYRING_VERSION || !parsed.scopes) {
+    throw new Error(`Unsupported keyring format in ${file}`);
+  }
+  return parsed;
+}
+
+function saveKeyring() {
+  if (!persistent()) return;
+  const file = keyringFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(keyring, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Create the keyring file (no-op when it already exists)
+ * @returns {{file: string, created: boolean}}
+ */
+export function initKeyring() {
+  const existing = persistent() ? readKeyring() : keyring;
+  if (existing) {
+    keyring = existing;
+    return { file: keyringFile(), created: false };
+  }
+  keyring = { version: KEYRING_VERSION, scopes: {} };
+  saveKeyring();
+  return { file: keyringFile(), created: true };
+}
+
+// `reload` picks up changes made by other processes (CLI rotations)
+function loadKeyring({ reload = false } = {}) {
+  if (keyring && !(reload && persistent())) return keyring;
+  keyring = readKeyring();
+  if (!keyring) {
+    // Starting a production keyring by accident would strand the data
+    // encrypted under the real one
+    if (persistent() && process.env.NODE_ENV === "production") {
+      throw new Error(
+        `Keyring file ${keyringFile()} not found ` +
+          "(run: npm run keyring -- init)"
+      );
+    }
+    initKeyring();
+  }
+  return keyring;
+}
+
+/**
+ * Keyring scope for a record: "platform" or "tenant:<id>"
+ * @param {string} [tenantId]
+ */
+export function keyScope(tenantId) {
+  return tenantId ? `tenant:${tenantId}` : PLATFORM_KEY_SCOPE;
+}
+
+// Keys of a scope, created the first time the scope is used
+function scopeKeys(scope) {
+  const ring = loadKeyring();
+  if (!ring.scopes[scope]) {
+    const kid = `${scope}/1`;
+    ring.scopes[scope] = {
+      activeKeyId: kid,
+      indexKey: newKey(),
+      keys: { [kid]: { key: newKey(), createdAt: new Date().toISOString() } },
+    };
+    saveKeyring();
+  }
+  return ring.scopes[scope];
+}
+
+// Key ids are unique across scopes, so any value can be unwrapped by kid
+function keyById(kid) {
+  const find = () => {
+    const scope = kid.slice(0, kid.lastIndexOf("/"));
+    return keyring.scopes[scope]?.keys[kid]?.key;
+  };
+  loadKeyring();
+  let key = find();
+  if (!key) {
+    // Rotated by another process since the keyring was loaded
+    loadKeyring({ reload: true });
+    key = find();
+  }
+  if (!key) throw new Error(`Encryption key ${kid} not found in keyring`);
+  return Buffer.from(key, "base64");
+}
+
+/**
+ * Add a new active key to a scope; existing values stay readable
+ * @param {string} scope - See keyScope
+ * @returns {string} The new key id
+ */
+export function rotateKey(scope) {
+  const ring = loadKeyring({ reload: true });
+  // A scope's first key is created on first use
+  if (!ring.scopes[scope]) return scopeKeys(scope).activeKeyId;
+
+  const entry = ring.scopes[scope];
+  const next =
+    Math.max(
+      ...Object.keys(entry.keys).map((kid) => Number(kid.split("/").pop()))
+    ) + 1;
+  const kid = `${scope}/${next}`;
+  entry.keys[kid] = { key: newKey(), createdAt: new Date().toISOString() };
+  entry.activeKeyId = kid;
+  saveKeyring();
+  return kid;
+}
+
+/**
+ * Scopes with their active key and key count (no key material)
+ */
+export function getKeyringStatus() {
+  const ring = loadKeyring({ reload: true });
+  return Object.entries(ring.scopes).map(([scope, entry]) => ({
+    scope,
+    activeKeyId: entry.activeKeyId,
+    keys: Object.keys(entry.keys).length,
+    rotatedAt: entry.keys[entry.activeKeyId]?.createdAt || null,
+  }));
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function open(key, { iv, tag, data }) {
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    key,
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, "base64")),
+    decipher.final(),
+  ]);
+}
+
+function wrapDataKey(dataKey, scope) {
+  const kid = scopeKeys(scope).activeKeyId;
+  return { kid, key: seal(keyById(kid), dataKey) };
+}
+
+/**
+ * True for a stored envelope (as opposed to a plaintext value)
+ */
+export function isEncryptedValue(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    value.alg === ALGORITHM &&
+    typeof value.kid === "string" &&
+    typeof value.data === "string"
+  );
+}
+
+/**
+ * Encrypt one value under the scope's active key
+ * @param {*} value - Any JSON value
+ * @param {string} scope - See keyScope
+ * @returns {Object} Envelope { alg, kid, key, iv, tag, data }
+ */
+export function encryptValue(value, scope) {
+  const dataKey = crypto.randomBytes(32);
+  const { kid, key } = wrapDataKey(dataKey, scope);
+  return {
+    alg: ALGORITHM,
+    kid,
+    key,
+    ...seal(dataKey, Buffer.from(JSON.stringify(value), "utf8")),
+  };
+}
+
+/**
+ * Decrypt an envelope; plaintext (not yet migrated) values pass through
+ */
+export function decryptValue(value) {
+  if (!isEncryptedValue(value)) return value;
+  const dataKey = open(keyById(value.kid), value.key);
+  return JSON.parse(open(dataKey, value).toString("utf8"));
+}
+
+/**
+ * Re-wrap an envelope's data key under the scope's active key
+ * The value itself is not re-encrypted.
+ * @returns {Object|null} The new envelope, or null if already current
+ */
+export function rewrapValue(value, scope) {
+  if (!isEncryptedValue(value)) return null;
+  if (value.kid === scopeKeys(scope).activeKeyId) return null;
+  const dataKey = open(keyById(value.kid), value.key);
+  return { ...value, ...wrapDataKey(dataKey, scope) };
+}
+
+function normalizeForIndex(value) {
+  return String(value).replace(/\s+/g, "").toUpperCase();
+}
+
+/**
+ * Blind index of a value: equal inputs give equal hashes within a scope
+ * @param {string} scope - See keyScope
+ * @param {string} name - Index name (e.g. "idNumber")
+ * @param {*} value - Plaintext value
+ * @returns {string} Hex HMAC-SHA256
+ */
+export function blindIndex(scope, name, value) {
+  const key = Buffer.from(scopeKeys(scope).indexKey, "base64");
+  return crypto
+    .createHmac("sha256", key)
+    .update(`${name}:${normalizeForIndex(value)}`)
+    .digest("hex");
+}
+
+function getField(record, field) {
+  return field
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== null && typeof value === "object" ? value[key] : undefined,
+      record
+    );
+}
+
+// Copy-on-write set: only the objects along the path are cloned
+function withField(record, field, value) {
+  const [key, ...rest] = field.split(".");
+  const current = record?.[key];
+  return {
+    ...record,
+    [key]: rest.length
+      ? withField(
+          current && typeof current === "object" ? current : {},
+          rest.join("."),
+          value
+        )
+      : value,
+  };
+}
+
+function present(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+/**
+ * Encrypt the sensitive fields of a record and compute its blind indexes
+ * Only fields present in the record are touched, so partial updates work.
+ * @param {Object} record - Record (or patch) with plaintext values
+ * @param {string} scope - See keyScope
+ * @param {Object} options - { fields, indexes }
+ * @returns {{record: Object, blindIndex: Object}}
+ */
+export function encryptFields(
+  record,
+  scope,
+  { fields = PERSON_SENSITIVE_FIELDS, indexes = PERSON_BLIND_INDEXES } = {}
+) {
+  const blind = {};
+  for (const [name, sources] of Object.entries(indexes)) {
+    const value = sources
+      .map((field) => getField(record, field))
+      .find(present);
+    if (present(value) && !isEncryptedValue(value)) {
+      blind[name] = blindIndex(scope, name, value);
+    }
+  }
+
+  let out = record;
+  for (const field of fields) {
+    const value = getField(out, field);
+    if (present(value) && !isEncryptedValue(value)) {
+      out = withField(out, field, encryptValue(value, scope));
+    }
+  }
+  return { record: out, blindIndex: blind };
+}
+
+// Filter field (the index name or a field it is computed from) -> index
+const BLIND_INDEX_FILTERS = Object.fromEntries(
+  Object.entries(PERSON_BLIND_INDEXES).flatMap(([name, sources]) =>
+    [name, ...sources].map((field) => [field, name])
+  )
+);
+
+/**
+ * Rewrite a parsed list query (see parseQueryParams) for encrypted fields:
+ * equality and `in` filters on ID and passport numbers become lookups on
+ * their blind indexes, and so does a free-text query that is a whole ID
+ * number. Ciphertext can't be compared, so other operators are refused.
+ * @param {Object} parsedQuery
+ * @param {string} scope - See keyScope
+ * @param {Function} isExactId - (query) => the query is a whole ID number
+ * @returns {Object} The query to plan
+ * @throws {ValidationError}
+ */
+export function blindIndexQuery(parsedQuery, scope, isExactId = () => false) {
+  const filters = {};
+  for (const [field, spec] of Object.entries(parsedQuery.filters || {})) {
+    const name = BLIND_INDEX_FILTERS[field];
+    if (!name) {
+      filters[field] = spec;
+      continue;
+    }
+    const isObject = spec !== null && typeof spec === "object";
+    const operators = isObject && !Array.isArray(spec) ? Object.keys(spec) : [];
+    if (operators.some((operator) => operator !== "in")) {
+      throw new ValidationError(
+        `${field} is encrypted and can only be filtered by exact value`,
+        field
+      );
+    }
+    const values = [].concat(operators.length ? spec.in : spec);
+    const hashes = values.map((value) => blindIndex(scope, name, value));
+    filters[`blindIndex.${name}`] = hashes.length === 1 ? hashes[0] : hashes;
+  }
+
+  const query = String(parsedQuery.search?.query || parsedQuery.q || "");
+  const id = query.replace(/\s+/g, "");
+  if (!id || !isExactId(id)) {
+    return { ...parsedQuery, filters };
+  }
+  filters["blindIndex.idNumber"] = blindIndex(scope, "idNumber", id);
+  return { ...parsedQuery, filters, q: undefined, search: null };
+}
+
+// What callers without person.sensitive.read see instead of the value
+export const MASKED_VALUE = "********";
+
+/**
+ * Sensitive fields for a response: decrypted when `reveal` is set, masked
+ * (and never decrypted) otherwise. Blind indexes are internal and always
+ * removed.
+ * @param {Object} record - Stored record
+ * @param {boolean} reveal - Caller holds person.sensitive.read
+ * @param {Array<string>} fields
+ */
+export function revealFields(
+  record,
+  reveal = false,
+  fields = PERSON_SENSITIVE_FIELDS
+) {
+  if (!record) return record;
+  let out = { ...record };
+  delete out.blindIndex;
+  for (const field of fields) {
+    const value = getField(out, field);
+    if (!present(value)) continue;
+    out = withField(out, field, reveal ? decryptValue(value) : MASKED_VALUE);
+  }
+  return out;
+}
+
+/**
+ * Re-wrap every envelope in a record under the scope's active key
+ * @returns {Object|null} Patch with the re-wrapped fields, or null
+ */
+export function rewrapFields(record, scope, fields = PERSON_SENSITIVE_FIELDS) {
+  let patch = null;
+  for (const field of fields) {
+    const next = rewrapValue(getField(record, field), scope);
+    if (next) patch = { ...(patch || {}), [field]: next };
+  }
+  return patch;
+}
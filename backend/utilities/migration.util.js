@@ -0,0 +1,420 @@
+/**
+ * Data Migrations
+ * Numbered, repeatable reshapes of Firestore documents, replacing one-off
+ * patch scripts.
+ *
+ * A migration is a module in backend/migrations named NNN-some-name.js:
+ *
+ *   export const description = "Move idNumber into demographics";
+ *   export const scope = "tenant"; // or "platform"
+ *   export async function up(ctx) { ... }
+ *   export async function down(ctx) { ... }
+ *
+ * Platform migrations run once against the platform partition. Tenant
+ * migrations run once per tenant, inside the tenant's country partition.
+ * Every run is recorded in the migrations ledger (platform `migrations`
+ * collection, one document per migration and target), so each environment
+ * knows what has been applied to it.
+ *
+ * Writes go through the context (ctx.set/update/delete) so dry runs can count
+ * them without touching any data.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath, pathToFileURL } from "url";
+import { db, storageDriver } from "../services/firestore.client.js";
+import {
+  runWithCountry,
+  servicePath,
+  tenantPath,
+  platformPath,
+} from "./country-context.util.js";
+import { COUNTRY_PACKS, PLATFORM_COUNTRY } from "../config/countries.config.js";
+import { iterateCollection } from "./collection-tree.util.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_DIR = path.resolve(__dirname, "../migrations");
+
+export const MIGRATION_SCOPES = { PLATFORM: "platform", TENANT: "tenant" };
+
+export const MIGRATION_STATUS = {
+  APPLIED: "applied",
+  ROLLED_BACK: "rolled_back",
+  FAILED: "failed",
+};
+
+const FILE_PATTERN = /^(\d{3,})-([a-z0-9][a-z0-9-]*)\.js$/;
+
+function ledgerCol() {
+  return db.collection(platformPath("migrations"));
+}
+
+function ledgerId(migration, target) {
+  return `${migration.id}-${migration.name}@${target.key}`;
+}
+
+/**
+ * Load the migration modules in a directory, ordered by number
+ * @param {string} dir
+ * @returns {Promise<Array<Object>>} { id, name, file, description, scope,
+ *   up, down, checksum }
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = fs
+    .readdirSync(dir)
+    .filter((file) => FILE_PATTERN.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, id, name] = FILE_PATTERN.exec(file);
+    if (migrations.some((m) => m.id === id)) {
+      throw new Error(`Duplicate migration number ${id} (${file})`);
+    }
+
+    const fullPath = path.join(dir, file);
+    const mod = await import(pathToFileURL(fullPath).href);
+    if (typeof mod.up !== "function" || typeof mod.down !== "function") {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+    if (!Object.values(MIGRATION_SCOPES).includes(mod.scope)) {
+      throw new Error(
+        `Migration ${file} must export scope "platform" or "tenant"`
+      );
+    }
+
+    migrations.push({
+      id,
+      name,
+      file,
+      description: mod.description || name,
+      scope: mod.scope,
+      up: mod.up,
+      down: mod.down,
+      checksum: crypto
+        .createHash("sha256")
+        .update(fs.readFileSync(fullPath))
+        .digest("hex"),
+    });
+  }
+  return migrations;
+}
+
+/**
+ * Where a migration runs: the platform, or every tenant (optionally one)
+ * @param {string} scope
+ * @param {Object} options
+ * @param {string} options.tenantId - Restrict tenant migrations to one tenant
+ * @returns {Promise<Array<Object>>} { key, country, tenantId }
+ */
+export async function listMigrationTargets(scope, options = {}) {
+  if (scope === MIGRATION_SCOPES.PLATFORM) {
+    return [{ key: "platform", country: PLATFORM_COUNTRY, tenantId: null }];
+  }
+
+  const targets = [];
+  for (const country of Object.keys(COUNTRY_PACKS)) {
+    const snapshot = await runWithCountry(country, () =>
+      db.collection(servicePath("tenants")).get()
+    );
+    for (const doc of snapshot.docs) {
+      if (options.tenantId && doc.id !== options.tenantId) continue;
+      targets.push({ key: `tenant:${doc.id}`, country, tenantId: doc.id });
+    }
+  }
+  return targets;
+}
+
+async function getLedgerEntries() {
+  const snapshot = await ledgerCol().get();
+  return new Map(snapshot.docs.map((doc) => [doc.id, doc.data()]));
+}
+
+/**
+ * Ledger view of every migration and its targets
+ * @param {Object} options
+ * @param {string} options.tenantId - Only this tenant's entries
+ * @param {string} options.dir - Migrations directory
+ * @returns {Promise<Array<Object>>} One row per migration
+ */
+export async function getMigrationStatus(options = {}) {
+  const migrations = await loadMigrations(options.dir);
+  const ledger = await getLedgerEntries();
+
+  const rows = [];
+  for (const migration of migrations) {
+    const targets = await listMigrationTargets(migration.scope, options);
+    const entries = targets.map((target) => ({
+      target: target.key,
+      ...(ledger.get(ledgerId(migration, target)) || { status: "pending" }),
+    }));
+    rows.push({
+      id: migration.id,
+      name: migration.name,
+      scope: migration.scope,
+      description: migration.description,
+      applied: entries.filter((e) => e.status === MIGRATION_STATUS.APPLIED)
+        .length,
+      pending: entries.filter((e) => e.status !== MIGRATION_STATUS.APPLIED)
+        .length,
+      // Applied from a file that has since been edited
+      modified: entries.some(
+        (e) =>
+          e.status === MIGRATION_STATUS.APPLIED &&
+          e.checksum !== migration.checksum
+      ),
+      targets: entries,
+    });
+  }
+  return rows;
+}
+
+function createContext(migration, target, { dryRun, log }) {
+  const stats = { documents: 0, writes: 0 };
+  const prefix = `[${migration.id} ${target.key}]`;
+
+  return {
+    db,
+    dryRun,
+    scope: migration.scope,
+    country: target.country,
+    tenantId: target.tenantId,
+    stats,
+    // Path inside the target: the tenant for tenant migrations, else platform
+    path: (...segments) =>
+      target.tenantId
+        ? tenantPath(target.tenantId, ...segments)
+        : platformPath(...segments),
+    // Every document of a collection, page by page
+    async *documents(collectionPath) {
+      const collectionRef = db.collection(collectionPath);
+      for await (const doc of iterateCollection(collectionRef)) {
+        stats.documents++;
+        yield doc;
+      }
+    },
+    async set(ref, data) {
+      stats.writes++;
+      if (!dryRun) await ref.set(data);
+    },
+    async update(ref, data) {
+      stats.writes++;
+      if (!dryRun) await ref.set(data, { merge: true });
+    },
+    async delete(ref) {
+      stats.writes++;
+      if (!dryRun) await ref.delete();
+    },
+    log: (message) => log(`${prefix} ${message}`),
+  };
+}
+
+function runMetadata(actor) {
+  return {
+    by: actor,
+    when: new Date().toISOString(),
+    host: os.hostname(),
+    environment: process.env.NODE_ENV || "development",
+    storage: storageDriver,
+  };
+}
+
+async function runStep(migration, target, direction, options) {
+  const { dryRun, actor, log } = options;
+  const ctx = createContext(migration, target, { dryRun, log });
+  const started = Date.now();
+  const ref = ledgerCol().doc(ledgerId(migration, target));
+
+  try {
+    await runWithCountry(target.country, () => migration[direction](ctx));
+  } catch (error) {
+    if (!dryRun) {
+      await ref.set(
+        {
+          status: MIGRATION_STATUS.FAILED,
+          direction,
+          error: error.message,
+          failed: runMetadata(actor),
+        },
+        { merge: true }
+      );
+    }
+    error.message =
+      `Migration ${migration.file} ${direction} failed for ` +
+      `${target.key}: ${error.message}`;
+    throw error;
+  }
+
+  const result = {
+    id: migration.id,
+    name: migration.name,
+    target: target.key,
+    direction,
+    dryRun,
+    documents: ctx.stats.documents,
+    writes: ctx.stats.writes,
+    durationMs: Date.now() - started,
+  };
+
+  if (!dryRun) {
+    const run = runMetadata(actor);
+    await ref.set(
+      direction === "up"
+        ? {
+            migrationId: migration.id,
+            name: migration.name,
+            scope: migration.scope,
+            target: target.key,
+            tenantId: target.tenantId,
+            country: target.country,
+            status: MIGRATION_STATUS.APPLIED,
+            checksum: migration.checksum,
+            applied: run,
+            rolledBack: null,
+            error: null,
+            writes: result.writes,
+            durationMs: result.durationMs,
+          }
+        : {
+            status: MIGRATION_STATUS.ROLLED_BACK,
+            rolledBack: run,
+            error: null,
+          },
+      { merge: true }
+    );
+  }
+  const icon = dryRun ? "🔍" : "✅";
+  log(
+    `${icon} ${migration.file} ${direction} ${target.key}: ` +
+      `${result.writes} write(s)${dryRun ? " (dry run)" : ""}`
+  );
+  return result;
+}
+
+/**
+ * Apply pending migrations, in order, to every target
+ * @param {Object} options
+ * @param {string} options.to - Stop after this migration number
+ * @param {string} options.tenantId - Only this tenant (tenant migrations)
+ * @param {boolean} options.dryRun - Count writes, change nothing
+ * @param {string} options.actor - Who is running the migrations
+ * @param {string} options.dir - Migrations directory
+ * @param {Function} options.log
+ * @returns {Promise<Array<Object>>} One result per migration and target run
+ */
+export async function applyMigrations(options = {}) {
+  const { to, dryRun = false, actor = "system", log = console.log } = options;
+  const migrations = await loadMigrations(options.dir);
+  const ledger = await getLedgerEntries();
+
+  const results = [];
+  for (const migration of migrations) {
+    if (to && Number(migration.id) > Number(to)) break;
+    for (const target of await listMigrationTargets(migration.scope, options)) {
+      const entry = ledger.get(ledgerId(migration, target));
+      if (entry?.status === MIGRATION_STATUS.APPLIED) continue;
+      results.push(
+        await runStep(migration, target, "up", { dryRun, actor, log })
+      );
+    }
+  }
+  return results;
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} options
+ * @param {string} options.to - Roll back everything after this number
+ * @param {number} options.steps - Otherwise, how many migrations (default 1)
+ * @param {string} options.tenantId - Only this tenant (tenant migrations)
+ * @param {boolean} options.dryRun - Count writes, change nothing
+ * @param {string} options.actor
+ * @param {string} options.dir - Migrations directory
+ * @param {Function} options.log
+ * @returns {Promise<Array<Object>>} One result per migration and target run
+ */
+export async function rollbackMigrations(options = {}) {
+  const { to, steps = 1, dryRun = false, actor = "system" } = options;
+  const { log = console.log } = options;
+  const migrations = await loadMigrations(options.dir);
+  const ledger = await getLedgerEntries();
+
+  // Applied migrations (for the selected targets), newest first
+  const applied = [];
+  for (const migration of [...migrations].reverse()) {
+    const targets = (
+      await listMigrationTargets(migration.scope, options)
+    ).filter(
+      (target) =>
+        ledger.get(ledgerId(migration, target))?.status ===
+        MIGRATION_STATUS.APPLIED
+    );
+    if (targets.length > 0) applied.push({ migration, targets });
+  }
+
+  const selected = to
+    ? applied.filter(({ migration }) => Number(migration.id) > Number(to))
+    : applied.slice(0, steps);
+
+  const results = [];
+  for (const { migration, targets } of selected) {
+    for (const target of targets) {
+      results.push(
+        await runStep(migration, target, "down", { dryRun, actor, log })
+      );
+    }
+  }
+  return results;
+}
+
+/**
+ * Scaffold the next numbered migration file
+ * @param {string} name - kebab-case name
+ * @param {Object} options
+ * @param {string} options.scope - platform | tenant
+ * @param {string} options.dir
+ * @returns {string} Path of the new file
+ */
+export function createMigrationFile(name, options = {}) {
+  const { scope = MIGRATION_SCOPES.TENANT, dir = MIGRATIONS_DIR } = options;
+  const slug = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  if (!slug) throw new Error("Migration name is required");
+  if (!Object.values(MIGRATION_SCOPES).includes(scope)) {
+    throw new Error(`Unknown migration scope: ${scope}`);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const last = fs
+    .readdirSync(dir)
+    .map((file) => FILE_PATTERN.exec(file)?.[1])
+    .filter(Boolean)
+    .sort()
+    .pop();
+  const next = String((parseInt(last || "0", 10) || 0) + 1).padStart(3, "0");
+  const file = path.join(dir, `${next}-${slug}.js`);
+
+  fs.writeFileSync(
+    file,
+    `export const description = "${slug.replace(/-/g, " ")}";
+export const scope = "${scope}";
+
+export async function up(ctx) {
+  // for await (const doc of ctx.documents(ctx.path("people"))) { ... }
+}
+
+export async function down(ctx) {
+  // Reverse of up()
+}
+`
+  );
+  return file;
+}
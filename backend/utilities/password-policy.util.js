@@ -0,0 +1,36 @@
+import { db } from "../services/firestore.client.js";
+import { platformPath } from "./country-context.util.js";
+
+/**
+ * Password Policy
+ * Admin passwords must match the regex in the platform's
+ * formats/passwords lookup (seeded by setup/seed-root.js); there is no
+ * local fallback, so a missing lookup is an error rather than "anything
+ * goes".
+ */
+
+export const PASSWORD_POLICY_MESSAGE =
+  "Password does not meet organization policy (per formats/passwords lookup)";
+
+// Whether a password matches the policy
+export const validatePasswordFormat = async (password) => {
+  const formatDoc = await db
+    .doc(platformPath("formats", "passwords"))
+    .get();
+
+  if (!formatDoc.exists) {
+    throw new Error(
+      "Password policy lookup not found at touchAfrica/southAfrica/formats/passwords"
+    );
+  }
+
+  const data = formatDoc.data() || {};
+  if (!data.regex) {
+    throw new Error(
+      "Password policy 'regex' not defined in formats/passwords lookup"
+    );
+  }
+
+  const passwordRegex = new RegExp(data.regex);
+  return passwordRegex.test(password);
+};
@@ -2,44 +2,220 @@
  * Permission derivation utilities
  * Roles are treated strictly as containers of permissions.
  * This helper converts role labels/codes into a flattened unique permissions array.
+ *
+ * Access tokens carry an account's roles, not its permissions: the
+ * permissions behind them are resolved on every request from the current
+ * role definitions, so editing a role, a role mapping or an admin's roles
+ * takes effect straight away rather than at the next login. The role
+ * catalogues are cached per scope (the platform, or a tenant) and dropped
+ * by the role, role mapping and admin services whenever they change.
  */
 
 import roleMappingConfig from "../config/role-mappings.config.js";
-import { getRolePermissionsService } from "../modules/internal/role/role.service.js";
+import { getAllInternalRoles } from "../modules/internal/role/role.firestore.js";
+import { getAllExternalRoles } from "../modules/external/tenant/role/role.firestore.js";
+import { getAllRoleMappings } from "../modules/external/tenant/role.mapping/role.mapping.firestore.js";
+import { ACCESS_TOKEN_TTL_MS } from "../modules/internal/session/session.validation.js";
+
+// Catalogues are reloaded at least this often, so changes made through
+// another instance are picked up too
+const CATALOGUE_TTL = 5 * 60 * 1000; // 5 minutes
+
+const PLATFORM_SCOPE = "platform";
+
+// scope -> { entry: Promise<{ roles, mappings }>, loadedAt }; roles by code
+const catalogues = new Map();
+
+// "scope:subjectId" -> { roles, until }: roles assigned after the account's
+// tokens were issued, kept until those tokens have expired (from then on
+// every token carries the new roles)
+const assignedRoles = new Map();
+
+const scopeOf = (tenantId) => tenantId || PLATFORM_SCOPE;
+const accountKey = (tenantId, subjectId) => `${scopeOf(tenantId)}:${subjectId}`;
+
+function currentAssignedRoles(key) {
+  const assigned = assignedRoles.get(key);
+  if (assigned && assigned.until <= Date.now()) {
+    assignedRoles.delete(key);
+    return undefined;
+  }
+  return assigned?.roles;
+}
+
+function byCode(roles) {
+  return new Map(
+    roles
+      .filter((role) => role?.roleCode)
+      .map((role) => [
+        role.roleCode,
+        {
+          ...role,
+          permissions: Array.isArray(role.permissions) ? role.permissions : [],
+        },
+      ])
+  );
+}
+
+async function loadCatalogue(tenantId) {
+  if (!tenantId) {
+    return {
+      roles: byCode(await getAllInternalRoles()),
+      mappings: new Map(),
+    };
+  }
+  const [roles, mappings] = await Promise.all([
+    getAllExternalRoles(tenantId),
+    getAllRoleMappings(tenantId),
+  ]);
+  return {
+    roles: byCode(roles),
+    mappings: new Map(mappings.map((m) => [m.roleName, m.roleCode])),
+  };
+}
+
+// initialize() reloads the mappings from their source, so it runs once
+// here (reload() is the explicit way to pick up changes)
+let mappingsInitialized = null;
+function mappingsReady() {
+  mappingsInitialized ??= Promise.resolve(roleMappingConfig.initialize?.())
+    // ignore failures and fall back to defaults
+    .catch(() => {});
+  return mappingsInitialized;
+}
+
+// One load per scope at a time; a failed load is not cached
+function catalogueFor(tenantId) {
+  const scope = scopeOf(tenantId);
+  const cached = catalogues.get(scope);
+  if (cached && Date.now() - cached.loadedAt < CATALOGUE_TTL) {
+    return cached.entry;
+  }
+  const entry = loadCatalogue(tenantId);
+  catalogues.set(scope, { entry, loadedAt: Date.now() });
+  entry.catch(() => {
+    if (catalogues.get(scope)?.entry === entry) catalogues.delete(scope);
+  });
+  return entry;
+}
 
 /**
- * Derive permissions from role labels/codes.
- * - Maps friendly role names to role codes via roleMappingConfig
- * - Looks up each role's permissions from internalRoles (role.service)
- * - Returns a unique, flattened list of permissions
+ * Look up role labels/codes in the cached catalogues
+ * - Maps friendly role names to role codes (the tenant's role mappings,
+ *   then roleMappingConfig)
+ * - Finds each role: the tenant's roles first, then the platform's
+ *   (standard roles such as tenantUser are defined there)
  *
  * @param {string[]|undefined|null} roles
- * @returns {Promise<string[]>}
+ * @param {string|null} tenantId - Tenant whose roles apply (null: platform)
+ * @returns {Promise<Object[]>} [{ label, roleCode, role }], role null when
+ *   no document backs the code
  */
-export async function derivePermissionsFromRoles(roles) {
+export async function resolveRoles(roles, tenantId = null) {
   if (!Array.isArray(roles) || roles.length === 0) return [];
 
   // Ensure mappings are available (defaults if not initialized elsewhere)
-  try {
-    // initialize() is idempotent; ignore failures and fall back to defaults
-    await roleMappingConfig.initialize?.();
-  } catch {}
+  await mappingsReady();
+
+  const tenant = tenantId ? await catalogueFor(tenantId) : null;
+  const platform = await catalogueFor(null);
+
+  return roles.filter(Boolean).map((label) => {
+    // allow code passthrough
+    const roleCode =
+      tenant?.mappings.get(label) ||
+      roleMappingConfig.getMapping(label) ||
+      label;
+    const role =
+      tenant?.roles.get(roleCode) ?? platform.roles.get(roleCode) ?? null;
+    return { label, roleCode, role };
+  });
+}
 
+/**
+ * Derive permissions from role labels/codes (see resolveRoles)
+ * Returns a unique, flattened list of permissions.
+ *
+ * @param {string[]|undefined|null} roles
+ * @param {string|null} tenantId - Tenant whose roles apply (null: platform)
+ * @returns {Promise<string[]>}
+ */
+export async function derivePermissionsFromRoles(roles, tenantId = null) {
   const uniquePerms = new Set();
-  for (const r of roles) {
-    if (!r) continue;
-    const roleCode = roleMappingConfig.getMapping(r) || r; // allow code passthrough
-    try {
-      const perms = await getRolePermissionsService(roleCode);
-      if (Array.isArray(perms)) {
-        perms.filter(Boolean).forEach((p) => uniquePerms.add(p));
-      }
-    } catch (e) {
-      // If a role has no backing document, skip silently
+  for (const { role } of await resolveRoles(roles, tenantId)) {
+    // A role with no backing document grants nothing
+    for (const p of role?.permissions || []) {
+      if (p) uniquePerms.add(p);
     }
   }
-
   return Array.from(uniquePerms);
 }
 
-export default { derivePermissionsFromRoles };
+/**
+ * Permissions of one role (by code), from the cached catalogue
+ * @param {string} roleCode
+ * @param {string|null} tenantId - null for a platform role
+ * @returns {Promise<string[]>}
+ */
+export async function getCachedRolePermissions(roleCode, tenantId = null) {
+  const catalogue = await catalogueFor(tenantId);
+  return catalogue.roles.get(roleCode)?.permissions || [];
+}
+
+/**
+ * Permissions of an authenticated principal (a decoded access token).
+ * Tokens carrying `roles` are resolved against the current role
+ * definitions; tokens without roles (service and older tokens) keep the
+ * permissions claim they were signed with.
+ * @param {Object} principal - { id, type, tenantId, roles, permissions }
+ * @returns {Promise<string[]>}
+ */
+export async function resolvePrincipalPermissions(principal) {
+  const tenantId = principal.tenantId || null;
+  const roles =
+    currentAssignedRoles(accountKey(tenantId, principal.id)) ??
+    principal.roles;
+  if (!Array.isArray(roles)) {
+    return Array.isArray(principal.permissions) ? principal.permissions : [];
+  }
+  return derivePermissionsFromRoles(roles, tenantId);
+}
+
+/**
+ * Drop a scope's cached roles and role mappings (after a role or role
+ * mapping is created, changed or deleted)
+ * @param {string|null} tenantId - null for the platform
+ */
+export function invalidateRolePermissions(tenantId = null) {
+  catalogues.delete(scopeOf(tenantId));
+  console.log("🔧 Permission cache cleared for:", scopeOf(tenantId));
+}
+
+/**
+ * Record an account's new roles, so tokens issued before the change are
+ * resolved with them until they expire (by this instance; others see the
+ * roles once the account's sessions refresh its token)
+ * @param {string|null} tenantId
+ * @param {string} subjectId - Admin or user ID
+ * @param {string[]} roles
+ */
+export function invalidateAccountRoles(tenantId, subjectId, roles) {
+  const now = Date.now();
+  for (const [key, assigned] of assignedRoles) {
+    if (assigned.until <= now) assignedRoles.delete(key);
+  }
+  assignedRoles.set(accountKey(tenantId, subjectId), {
+    roles: [...(roles || [])],
+    until: now + ACCESS_TOKEN_TTL_MS,
+  });
+  console.log("🔧 Permission cache cleared for:", subjectId);
+}
+
+export default {
+  resolveRoles,
+  derivePermissionsFromRoles,
+  getCachedRolePermissions,
+  resolvePrincipalPermissions,
+  invalidateRolePermissions,
+  invalidateAccountRoles,
+};
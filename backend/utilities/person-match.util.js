@@ -0,0 +1,263 @@
+/**
+ * Person Matching Utilities
+ * Scores how likely two person records describe the same individual, from
+ * fuzzy first name and surname matching (Jaro-Winkler), date of birth,
+ * normalised mobile number and email. Records sharing an ID number (same
+ * blind index) always match.
+ *
+ * Only records sharing a blocking key (mobile, email, date of birth, ID
+ * number or the sound of the surname) are compared, so a scan doesn't have
+ * to score every pair in a collection.
+ */
+
+// Score weights; a pair matching on everything scores 1
+export const MATCH_WEIGHTS = {
+  firstName: 0.2,
+  surname: 0.2,
+  dateOfBirth: 0.2,
+  mobile: 0.2,
+  email: 0.2,
+};
+
+// Pairs scoring below this are not duplicate candidates: a full name alone
+// (namesakes) isn't enough, a full name with a typo plus a shared mobile,
+// email or date of birth is
+export const DEFAULT_MIN_SCORE = 0.55;
+
+// Names less similar than this count for nothing
+const NAME_FLOOR = 0.8;
+
+// Blocks bigger than this (a very common surname) are not compared
+const MAX_BLOCK_SIZE = 500;
+
+/**
+ * Lowercase letters only, accents removed ("Zoë-Ann " -> "zoeann")
+ */
+export function normalizeName(value) {
+  if (typeof value !== "string") return "";
+  return value
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+}
+
+/**
+ * Mobile number in international form without "+" (082 123 4567 ->
+ * 27821234567)
+ */
+export function normalizeMobile(value) {
+  if (typeof value !== "string") return "";
+  const digits = value.replace(/\D/g, "");
+  if (digits.length === 10 && digits.startsWith("0")) {
+    return `27${digits.slice(1)}`;
+  }
+  return digits;
+}
+
+export function normalizeEmail(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : "";
+}
+
+/**
+ * Jaro-Winkler similarity of two strings, 0 (nothing alike) to 1 (equal)
+ */
+export function jaroWinkler(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const longest = Math.max(a.length, b.length);
+  const window = Math.max(0, Math.floor(longest / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(b.length - 1, i + window);
+    for (let j = from; j <= to; j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+  const jaro =
+    (matches / a.length +
+      matches / b.length +
+      (matches - transpositions / 2) / matches) /
+    3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Soundex digit of each letter a-z (0 for vowels, h, w and y)
+const SOUNDEX_DIGITS = "01230120022455012623010202";
+
+function soundexDigit(char) {
+  return Number(SOUNDEX_DIGITS[char.charCodeAt(0) - 97]);
+}
+
+/**
+ * American Soundex code of a name ("Nkosi" -> "N220")
+ */
+export function soundex(value) {
+  const name = normalizeName(value);
+  if (!name) return "";
+  let code = name[0].toUpperCase();
+  let previous = soundexDigit(name[0]);
+  for (const char of name.slice(1)) {
+    const digit = soundexDigit(char);
+    if (digit && digit !== previous) code += digit;
+    // h and w don't separate letters with the same code
+    if (char !== "h" && char !== "w") previous = digit;
+    if (code.length === 4) break;
+  }
+  return code.padEnd(4, "0");
+}
+
+/**
+ * The fields of a person record used for matching, normalised
+ * @param {Object} person - Stored person record
+ */
+export function matchProfile(person) {
+  return {
+    id: person.id,
+    firstNames: [person.firstName, person.preferredName]
+      .map(normalizeName)
+      .filter(Boolean),
+    surname: normalizeName(person.surname),
+    dateOfBirth:
+      person.demographics?.dateOfBirth || person.demographics?.birthDate || "",
+    mobile: normalizeMobile(person.contact?.mobile),
+    email: normalizeEmail(person.contact?.email),
+    idIndex: person.blindIndex?.idNumber || "",
+  };
+}
+
+function bestSimilarity(names, others) {
+  let best = 0;
+  for (const name of names) {
+    for (const other of others) {
+      best = Math.max(best, jaroWinkler(name, other));
+    }
+  }
+  return best;
+}
+
+function nameScore(similarity) {
+  return similarity >= NAME_FLOOR ? similarity : 0;
+}
+
+// 1 for the same date, 0.5 for day and month swapped (01-02 vs 02-01)
+function dateScore(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const [ay, am, ad] = a.split("-");
+  const [by, bm, bd] = b.split("-");
+  return ay === by && am === bd && ad === bm ? 0.5 : 0;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Score two person records
+ * @param {Object} a - Person record or matchProfile()
+ * @param {Object} b - Person record or matchProfile()
+ * @returns {{score: number, signals: Object}} Score from 0 to 1, and the
+ *   similarity of each field (idNumber: true when the ID numbers are equal)
+ */
+export function scorePersonPair(a, b) {
+  const pa = a.firstNames ? a : matchProfile(a);
+  const pb = b.firstNames ? b : matchProfile(b);
+
+  // Names captured the wrong way round still match
+  const direct = {
+    firstName: bestSimilarity(pa.firstNames, pb.firstNames),
+    surname: bestSimilarity([pa.surname], [pb.surname]),
+  };
+  const swapped = {
+    firstName: bestSimilarity(pa.firstNames, [pb.surname]),
+    surname: bestSimilarity([pa.surname], pb.firstNames),
+  };
+  const names =
+    swapped.firstName + swapped.surname > direct.firstName + direct.surname
+      ? swapped
+      : direct;
+
+  const signals = {
+    firstName: round(nameScore(names.firstName)),
+    surname: round(nameScore(names.surname)),
+    dateOfBirth: dateScore(pa.dateOfBirth, pb.dateOfBirth),
+    mobile: pa.mobile && pa.mobile === pb.mobile ? 1 : 0,
+    email: pa.email && pa.email === pb.email ? 1 : 0,
+    idNumber: Boolean(pa.idIndex) && pa.idIndex === pb.idIndex,
+  };
+
+  const score = signals.idNumber
+    ? 1
+    : Object.entries(MATCH_WEIGHTS).reduce(
+        (sum, [field, weight]) => sum + weight * signals[field],
+        0
+      );
+  return { score: round(score), signals };
+}
+
+function blockingKeys(profile) {
+  return [
+    profile.idIndex && `id:${profile.idIndex}`,
+    profile.mobile && `mobile:${profile.mobile}`,
+    profile.email && `email:${profile.email}`,
+    profile.dateOfBirth && `dob:${profile.dateOfBirth}`,
+    profile.surname && `surname:${soundex(profile.surname)}`,
+  ].filter(Boolean);
+}
+
+/**
+ * Candidate duplicate pairs among a set of persons, best match first
+ * @param {Array<Object>} profiles - matchProfile() of each person
+ * @param {Object} options - { minScore }
+ * @returns {Array<{personIds: Array<string>, score: number, signals: Object}>}
+ *   personIds sorted, so a pair always has the same key
+ */
+export function findCandidatePairs(profiles, options = {}) {
+  const { minScore = DEFAULT_MIN_SCORE } = options;
+
+  const blocks = new Map();
+  for (const profile of profiles) {
+    for (const key of blockingKeys(profile)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(profile);
+    }
+  }
+
+  const pairs = new Map();
+  for (const members of blocks.values()) {
+    if (members.length < 2 || members.length > MAX_BLOCK_SIZE) continue;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const personIds = [members[i].id, members[j].id].sort();
+        const key = personIds.join("__");
+        if (personIds[0] === personIds[1] || pairs.has(key)) continue;
+        const { score, signals } = scorePersonPair(members[i], members[j]);
+        pairs.set(
+          key,
+          score >= minScore ? { personIds, score, signals } : null
+        );
+      }
+    }
+  }
+  return [...pairs.values()]
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,401 @@
+/**
+ * QR codes as SVG
+ * Enough of ISO/IEC 18004 for short texts such as otpauth:// URIs: byte
+ * mode, error correction level M, versions 1 to 10 (up to 213 bytes). The
+ * mask with the lowest penalty is chosen, as the standard describes.
+ */
+
+// Level M, by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const MAX_VERSION = 10;
+const FORMAT_BITS_M = 0; // level M's 2-bit indicator
+
+const QUIET_ZONE = 4; // modules
+
+// Modules available for data and error correction in a version
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(version) {
+  return (
+    Math.floor(rawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version]
+  );
+}
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+}
+
+// --- Reed-Solomon over GF(2^8), polynomial 0x11D ---
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+// Split into blocks, add each block's error correction, interleave
+function withErrorCorrection(data, version) {
+  const blockCount = ERROR_CORRECTION_BLOCKS[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = rsDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+    const block = data.slice(k, k + length);
+    k += length;
+    const ecc = rsRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks' padding byte is not part of the symbol
+      if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// --- Data encoding ---
+
+function encodeData(text) {
+  const bytes = [...Buffer.from(String(text), "utf8")];
+  let version = 1;
+  const bitsNeeded = (v) => 4 + (v < 10 ? 8 : 16) + bytes.length * 8;
+  while (bitsNeeded(version) > dataCodewords(version) * 8) {
+    if (++version > MAX_VERSION) {
+      throw new Error("Text is too long for a QR code");
+    }
+  }
+
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  append(0b0100, 4); // byte mode
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => append(byte, 8));
+
+  const capacity = dataCodewords(version) * 8;
+  append(0, Math.min(4, capacity - bits.length)); // terminator
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  }
+  return { version, codewords };
+}
+
+// --- Symbol layout ---
+
+class QrSymbol {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () =>
+      new Array(this.size).fill(false)
+    );
+    this.reserved = Array.from({ length: this.size }, () =>
+      new Array(this.size).fill(false)
+    );
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    const positions = alignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // The finder corners have none
+        const corner =
+          (i === 0 && j === 0) ||
+          (i === 0 && j === last) ||
+          (i === last && j === 0);
+        if (!corner) this.drawAlignment(x, y);
+      });
+    });
+
+    this.drawFormatBits(0); // placeholder, redrawn once the mask is chosen
+    this.drawVersion();
+  }
+
+  drawFinder(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunction(xx, yy, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignment(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunction(
+          x + dx,
+          y + dy,
+          Math.max(Math.abs(dx), Math.abs(dy)) !== 1
+        );
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const data = (FORMAT_BITS_M << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+    const { size } = this;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+    this.setFunction(8, size - 8, true); // always dark
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (this.version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  // Zigzag through the non-reserved modules, two columns at a time
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // skip the vertical timing pattern
+      const upward = ((right + 1) & 2) === 0;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.reserved[y][x] && i < codewords.length * 8) {
+            const byte = codewords[i >>> 3];
+            this.modules[y][x] = ((byte >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const conditions = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+      (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+      (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+    ];
+    const invert = conditions[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && invert(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Penalty rules N1-N4 of the standard
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+    for (const line of lines) {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += 3 + (run - 5);
+          run = 1;
+        }
+      }
+      const text = line.map((dark) => (dark ? "1" : "0")).join("");
+      for (const pattern of ["10111010000", "00001011101"]) {
+        for (let at = text.indexOf(pattern); at !== -1; ) {
+          score += 40;
+          at = text.indexOf(pattern, at + 1);
+        }
+      }
+    }
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (
+          x < size - 1 &&
+          y < size - 1 &&
+          modules[y][x] === modules[y][x + 1] &&
+          modules[y][x] === modules[y + 1][x] &&
+          modules[y][x] === modules[y + 1][x + 1]
+        ) {
+          score += 3;
+        }
+      }
+    }
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+/**
+ * The modules of a QR code for a text
+ * @param {string} text
+ * @returns {boolean[][]} Rows of modules, true = dark
+ */
+export function qrMatrix(text) {
+  const { version, codewords } = encodeData(text);
+  const symbol = new QrSymbol(version);
+  symbol.drawFunctionPatterns();
+  symbol.drawCodewords(withErrorCorrection(codewords, version));
+
+  let best = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    symbol.applyMask(mask);
+    symbol.drawFormatBits(mask);
+    const penalty = symbol.penalty();
+    if (penalty < bestPenalty) {
+      best = mask;
+      bestPenalty = penalty;
+    }
+    symbol.applyMask(mask); // undo (XOR)
+  }
+  symbol.applyMask(best);
+  symbol.drawFormatBits(best);
+  return symbol.modules;
+}
+
+/**
+ * A QR code as an SVG document (black on white, with the quiet zone)
+ * @param {string} text
+ * @param {Object} options
+ * @param {number} options.moduleSize - Pixels per module
+ */
+export function qrSvg(text, { moduleSize = 4 } = {}) {
+  const modules = qrMatrix(text);
+  const extent = modules.length + QUIET_ZONE * 2;
+  const path = [];
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path.push(`M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z`);
+    });
+  });
+  const pixels = extent * moduleSize;
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${pixels}" ` +
+    `height="${pixels}" viewBox="0 0 ${extent} ${extent}" ` +
+    `shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#fff"/>` +
+    `<path d="${path.join("")}" fill="#000"/></svg>`
+  );
+}
+
+/**
+ * A QR code as a data: URL, for an <img> src
+ * @param {string} text
+ */
+export function qrDataUrl(text) {
+  const svg = qrSvg(text);
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`;
+}
@@ -0,0 +1,483 @@
+/**
+ * Firestore Query Planner
+ * Turns `parseQueryParams` output into a native Firestore query (where /
+ * orderBy / limit / startAfter) and only falls back to in-memory processing
+ * for the parts Firestore cannot express:
+ *   - free-text search (`q` / `search`)
+ *   - `like` filters and unknown operators
+ *   - more than one inequality field, or a sort that conflicts with it
+ *   - `in` lists larger than Firestore allows
+ *   - sorts on fields not listed in `nativeSortFields`
+ *   - missing composite indexes (FAILED_PRECONDITION at execution time)
+ *
+ * In native mode only the requested page is read. Pagination meta gains a
+ * `nextCursor` token that clients can send back as `?cursor=` for stable,
+ * offset-free paging.
+ */
+
+import { applySearch, applySorting, createPaginationMeta } from "./query.util.js";
+import { APIError } from "./error-handler.util.js";
+
+const RANGE_OPERATORS = {
+  gt: ">",
+  gte: ">=",
+  min: ">=",
+  from: ">=",
+  lt: "<",
+  lte: "<=",
+  max: "<=",
+  to: "<=",
+};
+
+const INEQUALITY_OPS = new Set(["<", "<=", ">", ">=", "!=", "not-in"]);
+const MAX_IN_VALUES = 30;
+const MAX_NOT_IN_VALUES = 10;
+
+function getNestedValue(obj, path) {
+  return String(path)
+    .split(".")
+    .reduce((current, key) => current?.[key], obj);
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// ---------------------------------------------------------------------------
+// Cursor tokens
+// ---------------------------------------------------------------------------
+
+/**
+ * Encode a cursor token for the last document of a page
+ * @param {string} id - Document id to start after
+ * @returns {string} base64url token
+ */
+export function encodeCursor(id) {
+  return Buffer.from(JSON.stringify({ id }), "utf8").toString("base64url");
+}
+
+/**
+ * Decode a cursor token produced by encodeCursor
+ * @param {string} token
+ * @returns {{ id: string }}
+ */
+export function decodeCursor(token) {
+  try {
+    const decoded = JSON.parse(
+      Buffer.from(String(token), "base64url").toString("utf8")
+    );
+    if (!decoded || typeof decoded.id !== "string" || !decoded.id) {
+      throw new Error("missing id");
+    }
+    return decoded;
+  } catch {
+    throw new APIError("Invalid pagination cursor", 400, "INVALID_CURSOR");
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Planning
+// ---------------------------------------------------------------------------
+
+/**
+ * Flatten parsed filters / date range into { field, op, value } clauses
+ */
+function collectClauses(parsedQuery, fieldMap) {
+  const clauses = [];
+  const mapField = (field) => fieldMap[field] || field;
+
+  Object.entries(parsedQuery.filters || {}).forEach(([field, spec]) => {
+    const target = mapField(field);
+
+    if (spec !== null && typeof spec === "object" && !Array.isArray(spec)) {
+      Object.entries(spec).forEach(([operator, value]) => {
+        if (RANGE_OPERATORS[operator]) {
+          clauses.push({ field: target, op: RANGE_OPERATORS[operator], value });
+        } else if (operator === "ne") {
+          clauses.push({ field: target, op: "!=", value });
+        } else if (operator === "in") {
+          clauses.push({ field: target, op: "in", value: toArray(value) });
+        } else if (operator === "nin") {
+          clauses.push({ field: target, op: "not-in", value: toArray(value) });
+        } else {
+          // like / unknown operators are evaluated in memory
+          clauses.push({ field: target, op: operator, value, memoryOnly: true });
+        }
+      });
+      return;
+    }
+
+    if (Array.isArray(spec)) {
+      clauses.push({ field: target, op: "in", value: spec });
+    } else {
+      clauses.push({ field: target, op: "==", value: spec });
+    }
+  });
+
+  const { dateRange } = parsedQuery;
+  if (dateRange) {
+    const target = mapField(dateRange.field || "createdAt");
+    if (dateRange.start) {
+      clauses.push({
+        field: target,
+        op: ">=",
+        value: new Date(dateRange.start).toISOString(),
+      });
+    }
+    if (dateRange.end) {
+      clauses.push({
+        field: target,
+        op: "<=",
+        value: new Date(dateRange.end).toISOString(),
+      });
+    }
+  }
+
+  return clauses;
+}
+
+/**
+ * Build an execution plan for a parsed query
+ * @param {Object} parsedQuery - Output of parseQueryParams (req.parsedQuery)
+ * @param {Object} options
+ * @param {Object} options.fieldMap - API field -> stored field (e.g. { createdAt: "created.when" })
+ * @param {Object} options.defaultSort - Sort used when none is requested
+ * @param {string[]} options.nativeSortFields - Stored fields safe to orderBy natively
+ *   (documents missing an orderBy field are excluded by Firestore)
+ * @param {string[]} options.searchFields - Fields used for in-memory text search
+ * @returns {Object} plan
+ */
+export function planQuery(parsedQuery = {}, options = {}) {
+  const {
+    fieldMap = {},
+    defaultSort = null,
+    nativeSortFields = [],
+    searchFields = null,
+  } = options;
+
+  const reasons = [];
+  const native = [];
+  const residual = [];
+
+  // --- Filters -------------------------------------------------------------
+  const clauses = collectClauses(parsedQuery, fieldMap);
+
+  const requestedSort = parsedQuery.sort
+    ? toArray(parsedQuery.sort)
+    : defaultSort
+    ? toArray(defaultSort)
+    : [];
+  const sort = requestedSort
+    .filter((s) => s && s.field)
+    .map((s) => ({
+      field: fieldMap[s.field] || s.field,
+      order: s.order === "desc" ? "desc" : "asc",
+    }));
+
+  // Firestore allows inequality operators on a single field; prefer the
+  // primary sort field so the sort can stay native too.
+  const inequalityFields = [
+    ...new Set(
+      clauses
+        .filter((c) => !c.memoryOnly && INEQUALITY_OPS.has(c.op))
+        .map((c) => c.field)
+    ),
+  ];
+  const inequalityField = inequalityFields.includes(sort[0]?.field)
+    ? sort[0].field
+    : inequalityFields[0] || null;
+
+  let disjunctionUsed = false;
+  for (const clause of clauses) {
+    if (clause.memoryOnly) {
+      residual.push(clause);
+      reasons.push(`operator "${clause.op}" on ${clause.field}`);
+      continue;
+    }
+    if (INEQUALITY_OPS.has(clause.op) && clause.field !== inequalityField) {
+      residual.push(clause);
+      reasons.push(`second inequality field ${clause.field}`);
+      continue;
+    }
+    if (clause.op === "in" || clause.op === "not-in") {
+      const max = clause.op === "in" ? MAX_IN_VALUES : MAX_NOT_IN_VALUES;
+      if (disjunctionUsed || clause.value.length === 0 || clause.value.length > max) {
+        residual.push(clause);
+        reasons.push(`"${clause.op}" filter on ${clause.field}`);
+        continue;
+      }
+      disjunctionUsed = true;
+    }
+    native.push(clause);
+  }
+
+  // --- Sorting -------------------------------------------------------------
+  let nativeSort = sort.length > 0;
+  if (sort.some((s) => !nativeSortFields.includes(s.field))) {
+    nativeSort = false;
+    reasons.push(`sort on ${sort.map((s) => s.field).join(",")}`);
+  } else if (inequalityField && sort.length && sort[0].field !== inequalityField) {
+    nativeSort = false;
+    reasons.push(`sort conflicts with range filter on ${inequalityField}`);
+  }
+
+  // --- Search --------------------------------------------------------------
+  const search = resolveSearch(parsedQuery, searchFields);
+  if (search) reasons.push("text search");
+
+  const mode =
+    residual.length === 0 && !search && (nativeSort || sort.length === 0)
+      ? "native"
+      : "memory";
+
+  return {
+    mode,
+    reasons,
+    native,
+    residual,
+    sort,
+    nativeSort: mode === "native" && nativeSort,
+    search,
+    pagination: resolvePagination(parsedQuery),
+  };
+}
+
+/**
+ * Search may arrive parsed (`search: { query, fields }`) or, from older
+ * service wrappers, as top-level `q` / `searchFields`.
+ */
+function resolveSearch(parsedQuery, defaultFields) {
+  const query =
+    (parsedQuery.search && parsedQuery.search.query) || parsedQuery.q || "";
+  if (!query) return null;
+
+  const topLevelFields =
+    typeof parsedQuery.searchFields === "string"
+      ? parsedQuery.searchFields.split(",").filter(Boolean)
+      : parsedQuery.searchFields;
+
+  return {
+    query: String(query),
+    type: parsedQuery.search?.type || "contains",
+    fields:
+      parsedQuery.search?.fields ||
+      (topLevelFields && topLevelFields.length ? topLevelFields : null) ||
+      defaultFields,
+  };
+}
+
+/**
+ * Explicit top-level page/limit (used by export/stats wrappers) override the
+ * parsed pagination.
+ */
+function resolvePagination(parsedQuery) {
+  const base = parsedQuery.pagination || {};
+  const explicit = parsedQuery.limit !== undefined || parsedQuery.page !== undefined;
+  const limit = Number(parsedQuery.limit) || base.limit || 20;
+  const page = Number(parsedQuery.page) || base.page || 1;
+  return {
+    page,
+    limit,
+    offset: explicit ? (page - 1) * limit : base.offset ?? (page - 1) * limit,
+    ...((parsedQuery.cursor || base.cursor) && {
+      cursor: parsedQuery.cursor || base.cursor,
+    }),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Execution
+// ---------------------------------------------------------------------------
+
+function applyNativeClauses(query, clauses) {
+  return clauses.reduce((q, c) => q.where(c.field, c.op, c.value), query);
+}
+
+function matchesClause(item, { field, op, value }) {
+  const actual = getNestedValue(item, field);
+  switch (op) {
+    case "==":
+      return actual === value;
+    case "!=":
+      return actual !== undefined && actual !== value;
+    case ">":
+      return actual != null && actual > value;
+    case ">=":
+      return actual != null && actual >= value;
+    case "<":
+      return actual != null && actual < value;
+    case "<=":
+      return actual != null && actual <= value;
+    case "in":
+      return value.includes(actual);
+    case "not-in":
+      return actual !== undefined && !value.includes(actual);
+    case "like":
+      return (
+        actual != null &&
+        String(actual).toLowerCase().includes(String(value).toLowerCase())
+      );
+    default:
+      return true;
+  }
+}
+
+function isMissingIndexError(error) {
+  return (
+    error?.code === 9 ||
+    error?.code === "failed-precondition" ||
+    /FAILED_PRECONDITION|requires an index/i.test(error?.message || "")
+  );
+}
+
+async function countQuery(query, fallbackSnapshotQuery) {
+  if (typeof query.count === "function") {
+    const snapshot = await query.count().get();
+    return snapshot.data().count;
+  }
+  const snapshot = await fallbackSnapshotQuery.get();
+  return snapshot.size;
+}
+
+function buildPagination(total, parsedPagination, extras) {
+  const meta = createPaginationMeta(total, { pagination: parsedPagination });
+  return { ...meta, ...extras };
+}
+
+async function executeNative(collectionRef, plan) {
+  const { page, limit } = plan.pagination;
+  const offset = plan.pagination.offset ?? (page - 1) * limit;
+
+  let query = applyNativeClauses(collectionRef, plan.native);
+  const countBase = query;
+  plan.sort.forEach((s) => {
+    query = query.orderBy(s.field, s.order);
+  });
+
+  if (plan.pagination.cursor) {
+    const { id } = decodeCursor(plan.pagination.cursor);
+    const cursorDoc = await collectionRef.doc(id).get();
+    if (!cursorDoc.exists) {
+      throw new APIError(
+        "Pagination cursor no longer exists",
+        400,
+        "INVALID_CURSOR"
+      );
+    }
+    query = query.startAfter(cursorDoc);
+  } else if (offset > 0) {
+    query = query.offset(offset);
+  }
+
+  const [snapshot, total] = await Promise.all([
+    query.limit(limit + 1).get(),
+    countQuery(countBase, countBase),
+  ]);
+
+  const docs = snapshot.docs.slice(0, limit);
+  const hasMore = snapshot.docs.length > limit;
+  const data = docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+  return {
+    data,
+    total,
+    pagination: buildPagination(total, plan.pagination, {
+      hasNext: hasMore,
+      nextCursor: hasMore ? encodeCursor(docs[docs.length - 1].id) : null,
+    }),
+  };
+}
+
+async function executeInMemory(collectionRef, plan, { hydrate, nativeClauses }) {
+  const { page, limit } = plan.pagination;
+  const offset = plan.pagination.offset ?? (page - 1) * limit;
+
+  const snapshot = await applyNativeClauses(collectionRef, nativeClauses).get();
+  let items = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  if (hydrate) items = await hydrate(items);
+
+  const memoryClauses =
+    nativeClauses.length === plan.native.length
+      ? plan.residual
+      : [...plan.native, ...plan.residual];
+  if (memoryClauses.length) {
+    items = items.filter((item) =>
+      memoryClauses.every((clause) => matchesClause(item, clause))
+    );
+  }
+  if (plan.search) items = applySearch(items, plan.search);
+  if (plan.sort.length) items = applySorting(items, plan.sort);
+
+  let start = offset;
+  if (plan.pagination.cursor) {
+    const { id } = decodeCursor(plan.pagination.cursor);
+    const index = items.findIndex((item) => item.id === id);
+    start = index >= 0 ? index + 1 : offset;
+  }
+
+  const total = items.length;
+  const data = items.slice(start, start + limit);
+  const hasMore = start + limit < total;
+
+  return {
+    data,
+    total,
+    pagination: buildPagination(total, plan.pagination, {
+      hasNext: hasMore,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1].id) : null,
+    }),
+  };
+}
+
+/**
+ * Plan and execute a list query against a collection
+ * @param {Object} collectionRef - Firestore collection reference
+ * @param {Object} parsedQuery - Output of parseQueryParams (req.parsedQuery)
+ * @param {Object} options - planQuery options plus:
+ * @param {Function} options.hydrate - async (items) => items; enriches documents
+ *   before in-memory filtering/search, and the returned page in native mode
+ * @returns {Promise<{ data: Object[], total: number, pagination: Object, plan: Object }>}
+ */
+export async function executeQuery(collectionRef, parsedQuery = {}, options = {}) {
+  const plan = planQuery(parsedQuery, options);
+  const { hydrate } = options;
+
+  if (plan.mode === "native") {
+    try {
+      const result = await executeNative(collectionRef, plan);
+      if (hydrate) result.data = await hydrate(result.data);
+      return { ...result, plan };
+    } catch (error) {
+      if (!isMissingIndexError(error)) throw error;
+      console.warn(
+        `⚠️ Query planner: missing Firestore index for ${collectionRef.path}, falling back to in-memory processing`,
+        error.message
+      );
+      plan.mode = "memory";
+      plan.reasons.push("missing composite index");
+      const result = await executeInMemory(collectionRef, plan, {
+        hydrate,
+        nativeClauses: [],
+      });
+      return { ...result, plan };
+    }
+  }
+
+  console.log(
+    `🧮 Query planner: in-memory processing for ${collectionRef.path} (${plan.reasons.join("; ")})`
+  );
+  try {
+    const result = await executeInMemory(collectionRef, plan, {
+      hydrate,
+      nativeClauses: plan.native,
+    });
+    return { ...result, plan };
+  } catch (error) {
+    if (!isMissingIndexError(error) || plan.native.length === 0) throw error;
+    const result = await executeInMemory(collectionRef, plan, {
+      hydrate,
+      nativeClauses: [],
+    });
+    return { ...result, plan };
+  }
+}
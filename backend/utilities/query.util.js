@@ -35,6 +35,7 @@ export const QueryParamsSchema = z.object({
   page: z.string().regex(/^\d+$/).transform(Number).default("1"),
   limit: z.string().regex(/^\d+$/).transform(Number).default("20"),
   offset: z.string().regex(/^\d+$/).transform(Number).optional(),
+  cursor: z.string().optional(), // Opaque token from pagination.nextCursor
 
   // Sorting
   sortBy: z.string().optional(),
@@ -122,6 +123,7 @@ export function parseQueryParams(query, options = {}) {
         page,
         limit,
         offset,
+        ...(params.cursor && { cursor: params.cursor }),
       },
       sort,
       search,
@@ -193,6 +195,7 @@ function parseFilterParams(query, allowedFields = []) {
     "page",
     "limit",
     "offset",
+    "cursor",
     "sortBy",
     "order",
     "q",
@@ -271,8 +274,8 @@ function parseFilterValue(value) {
   if (value === "true") return true;
   if (value === "false") return false;
 
-  // Handle numbers
-  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  // Handle numbers (a leading zero means a code, e.g. an ID number)
+  if (/^(0|[1-9]\d*)$/.test(value)) return parseInt(value, 10);
   if (/^\d+\.\d+$/.test(value)) return parseFloat(value);
 
   // Handle null
@@ -132,6 +132,21 @@ export const sendConflict = (
   return sendError(res, "CONFLICT", message, details, 409);
 };
 
+/**
+ * Send a precondition failed (stale If-Match) response
+ * @param {Object} res - Express response object
+ * @param {string} message - Error message
+ * @param {*} details - Current version details, e.g. { currentVersion, etag }
+ */
+export const sendPreconditionFailed = (
+  res,
+  message = "Record has been modified since it was loaded",
+  details = null
+) => {
+  if (details?.etag) res.set("ETag", details.etag);
+  return sendError(res, "PRECONDITION_FAILED", message, details, 412);
+};
+
 /**
  * Handle Zod validation errors
  * @param {Object} res - Express response object
@@ -207,6 +222,7 @@ export default {
   sendUnauthorized,
   sendForbidden,
   sendConflict,
+  sendPreconditionFailed,
   handleZodError,
   createPagination,
 };
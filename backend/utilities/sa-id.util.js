@@ -0,0 +1,279 @@
+/**
+ * South African ID Number Utilities
+ * A 13-digit SA ID number reads YYMMDD SSSS C A Z:
+ *   YYMMDD - date of birth (the century isn't encoded, see birthDateFrom)
+ *   SSSS   - sequence: 0000-4999 female, 5000-9999 male
+ *   C      - citizenship: 0 citizen, 1 permanent resident, 2 refugee
+ *   A      - 8 or 9 (formerly race, no meaning today)
+ *   Z      - Luhn check digit over the first 12 digits
+ *
+ * checkSAIdNumber() validates a number, derives date of birth, gender and
+ * citizenship status, and flags conflicts with the values supplied. In
+ * strict mode problems are errors (the record is rejected); in warn mode
+ * they are warnings and the record is kept with the problems flagged.
+ */
+
+import { VALIDATION_MESSAGES } from "./validation-patterns.js";
+import { ValidationError } from "./error-handler.util.js";
+
+export const SA_ID_VALIDATION_MODES = { STRICT: "strict", WARN: "warn" };
+
+const CITIZENSHIP = { 0: "South African", 1: "Permanent Resident" };
+
+/**
+ * Platform default mode (SA_ID_VALIDATION_MODE), used unless a tenant
+ * chooses its own (tenant settings.saIdValidation)
+ */
+export function defaultSAIdValidationMode() {
+  const mode = process.env.SA_ID_VALIDATION_MODE;
+  return Object.values(SA_ID_VALIDATION_MODES).includes(mode)
+    ? mode
+    : SA_ID_VALIDATION_MODES.STRICT;
+}
+
+/**
+ * Luhn check digit for the first 12 digits of an ID number
+ * @param {string} first12
+ * @returns {number}
+ */
+export function luhnCheckDigit(first12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    const digit = Number(first12[i]);
+    if (i % 2 === 0) {
+      sum += digit;
+    } else {
+      const doubled = digit * 2;
+      sum += doubled > 9 ? doubled - 9 : doubled;
+    }
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+export function hasValidCheckDigit(idNumber) {
+  return (
+    /^\d{13}$/.test(idNumber) &&
+    luhnCheckDigit(idNumber) === Number(idNumber[12])
+  );
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Date of birth from the first six digits: the latest century that doesn't
+ * put the birth in the future (an ID issued today for "250101" is 2025 or,
+ * if that hasn't happened yet, 1925)
+ * @param {string} idNumber
+ * @param {Date} today
+ * @returns {string|null} YYYY-MM-DD, or null when not a real date
+ */
+export function birthDateFrom(idNumber, today = new Date()) {
+  if (!/^\d{6}/.test(idNumber || "")) return null;
+  const yy = Number(idNumber.slice(0, 2));
+  const month = Number(idNumber.slice(2, 4));
+  const day = Number(idNumber.slice(4, 6));
+  const todayIso = today.toISOString().split("T")[0];
+
+  const recent = isoDate(2000 + yy, month, day);
+  if (recent && recent <= todayIso) return recent;
+  return isoDate(1900 + yy, month, day);
+}
+
+/**
+ * Parse an ID number
+ * @param {string} idNumber
+ * @param {Object} options - { today }
+ * @returns {{valid: boolean, errors: Array<string>, dateOfBirth: ?string,
+ *   gender: ?string, citizenshipStatus: ?string}}
+ */
+export function parseSAIdNumber(idNumber, { today = new Date() } = {}) {
+  const value = String(idNumber ?? "").trim();
+  if (!/^\d{13}$/.test(value)) {
+    return {
+      valid: false,
+      errors: [VALIDATION_MESSAGES.SA_ID_NUMBER],
+      dateOfBirth: null,
+      gender: null,
+      citizenshipStatus: null,
+    };
+  }
+
+  const errors = [];
+  const dateOfBirth = birthDateFrom(value, today);
+  if (!dateOfBirth) errors.push("SA ID number has an invalid date of birth");
+  const citizenship = Number(value[10]);
+  if (citizenship > 2) {
+    errors.push("SA ID number has an invalid citizenship digit");
+  }
+  if (!hasValidCheckDigit(value)) {
+    errors.push(VALIDATION_MESSAGES.SA_ID_INVALID_CHECK);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    dateOfBirth,
+    gender: Number(value.slice(6, 10)) >= 5000 ? "Male" : "Female",
+    // Refugees (2) have no matching citizenshipStatus value
+    citizenshipStatus: CITIZENSHIP[citizenship] || null,
+  };
+}
+
+/**
+ * Differences between what an ID number encodes and the values supplied
+ * @param {Object} parsed - parseSAIdNumber() result
+ * @param {Object} supplied - { dateOfBirth, gender, citizenshipStatus }
+ * @returns {Array<{field: string, message: string, expected: string}>}
+ */
+export function findSAIdConflicts(parsed, supplied = {}) {
+  const conflicts = [];
+  const { dateOfBirth, gender, citizenshipStatus } = supplied;
+
+  if (parsed.dateOfBirth && dateOfBirth && dateOfBirth !== parsed.dateOfBirth) {
+    conflicts.push({
+      field: "dateOfBirth",
+      message: "Date of birth does not match SA ID number",
+      expected: parsed.dateOfBirth,
+    });
+  }
+  // The ID only encodes male or female
+  if (
+    ["Male", "Female"].includes(gender) &&
+    parsed.gender &&
+    gender !== parsed.gender
+  ) {
+    conflicts.push({
+      field: "gender",
+      message: "Gender does not match SA ID number",
+      expected: parsed.gender,
+    });
+  }
+  if (
+    parsed.citizenshipStatus &&
+    citizenshipStatus &&
+    citizenshipStatus !== parsed.citizenshipStatus
+  ) {
+    conflicts.push({
+      field: "citizenshipStatus",
+      message: "Citizenship status does not match SA ID number",
+      expected: parsed.citizenshipStatus,
+    });
+  }
+  return conflicts;
+}
+
+/**
+ * Validate an ID number against the person's demographics
+ * @param {string} idNumber
+ * @param {Object} demographics - { dateOfBirth, gender, citizenshipStatus }
+ * @param {string} mode - See SA_ID_VALIDATION_MODES
+ * @returns {{valid: boolean, errors: Array<string>, warnings: Array<string>,
+ *   issues: Array<{field: string, message: string}>, derived: Object}}
+ *   `valid` is false only when strict mode found problems; `derived` holds
+ *   the date of birth, gender and citizenship status read from the number
+ */
+export function checkSAIdNumber(
+  idNumber,
+  demographics = {},
+  mode = defaultSAIdValidationMode()
+) {
+  const parsed = parseSAIdNumber(idNumber);
+  const issues = [
+    ...parsed.errors.map((message) => ({ field: "idNumber", message })),
+    ...findSAIdConflicts(parsed, demographics).map(({ field, message }) => ({
+      field,
+      message,
+    })),
+  ];
+  const messages = issues.map((issue) => issue.message);
+  const strict = mode !== SA_ID_VALIDATION_MODES.WARN;
+
+  return {
+    valid: !strict || issues.length === 0,
+    errors: strict ? messages : [],
+    warnings: strict ? [] : messages,
+    issues,
+    derived: {
+      dateOfBirth: parsed.dateOfBirth,
+      gender: parsed.gender,
+      citizenshipStatus: parsed.citizenshipStatus,
+    },
+  };
+}
+
+/**
+ * Check the ID number of a person's demographics before it is stored
+ * Values the number encodes fill the gaps; in strict mode problems throw,
+ * in warn mode they are recorded on the returned check.
+ * @param {Object} demographics - Includes idNumber
+ * @param {string} mode - See SA_ID_VALIDATION_MODES
+ * @returns {{demographics: Object, idNumberCheck: ?Object}} idNumberCheck is
+ *   { status: "passed" | "flagged", mode, issues, checkedAt }, or null when
+ *   there is no ID number
+ * @throws {ValidationError} Strict mode and the number has problems
+ */
+export function applySAIdCheck(
+  demographics = {},
+  mode = defaultSAIdValidationMode()
+) {
+  if (!demographics.idNumber) return { demographics, idNumberCheck: null };
+
+  const result = checkSAIdNumber(demographics.idNumber, demographics, mode);
+  if (!result.valid) {
+    // The ID number itself is never echoed back
+    throw new ValidationError(
+      result.errors.join("; "),
+      result.issues[0].field,
+      result.issues[0].field === "idNumber"
+        ? null
+        : demographics[result.issues[0].field]
+    );
+  }
+
+  const filled = { ...demographics };
+  for (const [field, value] of Object.entries(result.derived)) {
+    if (value && !filled[field]) filled[field] = value;
+  }
+  return {
+    demographics: filled,
+    idNumberCheck: {
+      status: result.issues.length ? "flagged" : "passed",
+      mode,
+      issues: result.issues,
+      checkedAt: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * A valid ID number for the given details (seed and test data)
+ * @param {Object} details
+ * @param {string} details.dateOfBirth - YYYY-MM-DD
+ * @param {string} details.gender - "Male" or "Female" (default female)
+ * @param {string} details.citizenshipStatus - Default "South African"
+ * @param {number} details.sequence - 0-4999 (default random)
+ */
+export function generateSAIdNumber({
+  dateOfBirth,
+  gender,
+  citizenshipStatus = "South African",
+  sequence = Math.floor(Math.random() * 5000),
+}) {
+  const [year, month, day] = dateOfBirth.split("-");
+  const serial = (gender === "Male" ? 5000 : 0) + (sequence % 5000);
+  const citizenship = citizenshipStatus === "Permanent Resident" ? 1 : 0;
+  const first12 =
+    `${year.slice(-2)}${month}${day}` +
+    `${String(serial).padStart(4, "0")}${citizenship}8`;
+  return `${first12}${luhnCheckDigit(first12)}`;
+}
@@ -0,0 +1,259 @@
+/**
+ * Soft Delete Utilities
+ * Deleting a record moves it into a sibling trash collection (`people` ->
+ * `peopleTrash`) stamped with `deleted: { by, when }`. Keeping trashed records
+ * out of the live collection means list, search, export and stats queries
+ * never see them and cursor pagination stays exact.
+ *
+ * Trashed records can be restored or purged (deleted permanently). Records
+ * older than TRASH_RETENTION_DAYS are purged by purgeExpiredTrash(), which
+ * the server runs daily (see startTrashPurgeSchedule). Records that take
+ * more than their trashed document with them (a person's version history,
+ * a tenant's subcollections) are purged there by the same function as a
+ * manual purge.
+ */
+
+import { db } from "../services/firestore.client.js";
+import { NotFoundError, ConflictError } from "./error-handler.util.js";
+import { runWithCountry } from "./country-context.util.js";
+import { COUNTRY_PACKS } from "../config/countries.config.js";
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 200;
+
+// Trash collection IDs swept by purgeExpiredTrash (collection group queries)
+export const TRASH_COLLECTION_IDS = [
+  "peopleTrash",
+  "adminsTrash",
+  "tenantsTrash",
+  "lookupsTrash",
+  "lookupCategoryTrash",
+  "lookupSubCategoryTrash",
+  "templatesTrash",
+];
+
+/**
+ * Days a record stays in the trash before it is purged (0 = keep forever)
+ */
+export function getTrashRetentionDays() {
+  const raw = process.env.TRASH_RETENTION_DAYS;
+  if (raw === undefined || raw === "") return DEFAULT_TRASH_RETENTION_DAYS;
+  const days = Number(raw);
+  return Number.isInteger(days) && days >= 0
+    ? days
+    : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Trash collection for a live collection
+ * e.g. "touchAfrica/southAfrica/people" -> "touchAfrica/southAfrica/peopleTrash"
+ */
+export function trashCollectionPath(collectionPath) {
+  return `${collectionPath}Trash`;
+}
+
+/**
+ * Deletion metadata stamped on trashed records
+ */
+export function deletionStamp(actor) {
+  return { by: actor || "system", when: new Date().toISOString() };
+}
+
+/**
+ * Move a record into the trash
+ * @param {string} collectionPath - Live collection path
+ * @param {string} id - Document ID
+ * @param {string} actor - User deleting the record
+ * @param {Object} options
+ * @param {string} options.resource - Name used in not-found errors
+ * @returns {Promise<Object>} The trashed record
+ */
+export async function moveToTrash(collectionPath, id, actor, options = {}) {
+  const { resource = "Record" } = options;
+  const docRef = db.collection(collectionPath).doc(id);
+  const trashRef = db.collection(trashCollectionPath(collectionPath)).doc(id);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(docRef);
+    if (!snap.exists) throw new NotFoundError(resource);
+
+    const trashed = { ...snap.data(), deleted: deletionStamp(actor) };
+    tx.set(trashRef, trashed);
+    tx.delete(docRef);
+    return { id, ...trashed };
+  });
+}
+
+/**
+ * Move a trashed record back into its live collection
+ * @param {string} collectionPath - Live collection path
+ * @param {string} id - Document ID
+ * @param {string} actor - User restoring the record
+ * @param {Object} options
+ * @param {string} options.resource - Name used in error messages
+ * @returns {Promise<Object>} The restored record
+ */
+export async function restoreFromTrash(collectionPath, id, actor, options = {}) {
+  const { resource = "Record" } = options;
+  const docRef = db.collection(collectionPath).doc(id);
+  const trashRef = db.collection(trashCollectionPath(collectionPath)).doc(id);
+
+  return db.runTransaction(async (tx) => {
+    const trashSnap = await tx.get(trashRef);
+    if (!trashSnap.exists) throw new NotFoundError(`${resource} in trash`);
+
+    const liveSnap = await tx.get(docRef);
+    if (liveSnap.exists) {
+      throw new ConflictError(`${resource} with ID ${id} already exists`);
+    }
+
+    const { deleted: _deleted, ...data } = trashSnap.data();
+    const restored = { ...data, restored: deletionStamp(actor) };
+    tx.set(docRef, restored);
+    tx.delete(trashRef);
+    return { id, ...restored };
+  });
+}
+
+/**
+ * Permanently delete a trashed record
+ * @param {string} collectionPath - Live collection path
+ * @param {string} id - Document ID
+ * @param {Object} options
+ * @param {string} options.resource - Name used in not-found errors
+ * @returns {Promise<Object>} The purged record
+ */
+export async function purgeFromTrash(collectionPath, id, options = {}) {
+  const { resource = "Record" } = options;
+  const trashRef = db.collection(trashCollectionPath(collectionPath)).doc(id);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(trashRef);
+    if (!snap.exists) throw new NotFoundError(`${resource} in trash`);
+    tx.delete(trashRef);
+    return { id, ...snap.data() };
+  });
+}
+
+/**
+ * List trashed records, most recently deleted first
+ * @param {string} collectionPath - Live collection path
+ * @param {Object} options
+ * @param {number} options.limit - Page size (default 50, max 200)
+ * @param {string} options.cursor - ID of the last record of the previous page
+ * @returns {Promise<{items: Array, nextCursor: string|null}>}
+ */
+export async function listTrash(collectionPath, options = {}) {
+  const limit = Math.min(Math.max(Number(options.limit) || 50, 1), 200);
+  const trashCol = db.collection(trashCollectionPath(collectionPath));
+
+  let query = trashCol.orderBy("deleted.when", "desc").limit(limit + 1);
+  if (options.cursor) {
+    const cursorSnap = await trashCol.doc(options.cursor).get();
+    if (cursorSnap.exists) query = query.startAfter(cursorSnap);
+  }
+
+  const snapshot = await query.get();
+  const items = snapshot.docs
+    .slice(0, limit)
+    .map((doc) => ({ id: doc.id, ...doc.data() }));
+  const nextCursor =
+    snapshot.docs.length > limit ? items[items.length - 1].id : null;
+  return { items, nextCursor };
+}
+
+/**
+ * Country and tenant of a document found through a collection group (a
+ * trashed record, an import), from its path:
+ * touchAfrica/{serviceId}[/tenants/{tenantId}]/{collection}/{id}
+ * @param {FirebaseFirestore.DocumentReference} ref
+ * @returns {{country: string, tenantId: string|null}}
+ */
+export function partitionScopeOf(ref) {
+  const [, serviceId, parent, tenantId] = ref.path.split("/");
+  const pack = Object.values(COUNTRY_PACKS).find(
+    (p) => p.serviceId === serviceId
+  );
+  return {
+    country: pack?.key,
+    tenantId: parent === "tenants" ? tenantId : null,
+  };
+}
+
+/**
+ * Purge every trashed record deleted more than `days` days ago
+ * @param {Object} options
+ * @param {number} options.days - Retention in days (default TRASH_RETENTION_DAYS)
+ * @param {Date} options.now - Reference time (tests)
+ * @param {Object} options.purgers - Trash collection ID -> async ({ id,
+ *   tenantId, record }) that purges one record the way a manual purge does,
+ *   run in the record's country. Records of other collections just have
+ *   their trashed document deleted.
+ * @returns {Promise<Object>} Purged count per trash collection
+ */
+export async function purgeExpiredTrash(options = {}) {
+  const {
+    days = getTrashRetentionDays(),
+    now = new Date(),
+    purgers = {},
+  } = options;
+  const summary = {};
+  if (!days) return summary;
+
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  for (const collectionId of TRASH_COLLECTION_IDS) {
+    let purged = 0;
+    for (;;) {
+      const snapshot = await db
+        .collectionGroup(collectionId)
+        .where("deleted.when", "<", cutoff.toISOString())
+        .limit(PURGE_BATCH_SIZE)
+        .get();
+      if (snapshot.empty) break;
+
+      const purge = purgers[collectionId];
+      if (purge) {
+        for (const doc of snapshot.docs) {
+          const { country, tenantId } = partitionScopeOf(doc.ref);
+          await runWithCountry(country, () =>
+            purge({ id: doc.id, tenantId, record: doc.data() })
+          );
+        }
+      } else {
+        const batch = db.batch();
+        snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+        await batch.commit();
+      }
+      purged += snapshot.size;
+      if (snapshot.size < PURGE_BATCH_SIZE) break;
+    }
+    summary[collectionId] = purged;
+  }
+  return summary;
+}
+
+/**
+ * Run purgeExpiredTrash once a day in the background
+ * @param {Object} logger
+ * @param {Object} purgers - See purgeExpiredTrash
+ * @returns {NodeJS.Timeout|null} Timer (null when retention is disabled)
+ */
+export function startTrashPurgeSchedule(logger = console, purgers = {}) {
+  if (!getTrashRetentionDays()) return null;
+
+  const run = () =>
+    purgeExpiredTrash({ purgers })
+      .then((summary) => {
+        const total = Object.values(summary).reduce((a, b) => a + b, 0);
+        if (total > 0) logger.info(`🗑️ Purged ${total} expired trash records`);
+      })
+      .catch((error) =>
+        logger.error("Trash purge failed:", error?.message || error)
+      );
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,303 @@
+/**
+ * Spreadsheet Utilities
+ * Reads CSV and XLSX files into rows of cell text, and writes CSV, without
+ * a spreadsheet library:
+ *   - CSV: RFC 4180 quoting, comma or semicolon separated (Excel uses a
+ *     semicolon in locales with a decimal comma), UTF-8 or Windows-1252
+ *   - XLSX: the first worksheet of the workbook (a zip of XML parts). Cells
+ *     are read as stored, so dates come back as Excel serial numbers (see
+ *     excelSerialToDate) and formulas as their cached result.
+ *
+ * Rows keep their position: rows[i] is spreadsheet row i + 1, with empty
+ * rows left as [].
+ */
+
+import zlib from "zlib";
+import { ValidationError } from "./error-handler.util.js";
+
+export const SPREADSHEET_FORMATS = { CSV: "csv", XLSX: "xlsx" };
+
+// Largest part of a workbook that is unzipped (guards against zip bombs)
+const MAX_XLSX_PART_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Format of a file from its name
+ * @returns {string|null} See SPREADSHEET_FORMATS
+ */
+export function spreadsheetFormat(fileName = "") {
+  const extension = fileName.toLowerCase().split(".").pop();
+  return Object.values(SPREADSHEET_FORMATS).includes(extension)
+    ? extension
+    : null;
+}
+
+/**
+ * Read a spreadsheet file
+ * @param {Buffer} content
+ * @param {string} format - See SPREADSHEET_FORMATS
+ * @returns {Array<Array<string>>} Rows of cell text
+ * @throws {ValidationError} The file can't be read
+ */
+export function readSpreadsheet(content, format) {
+  if (format === SPREADSHEET_FORMATS.XLSX) return readXlsx(content);
+  return parseCsv(decodeText(content));
+}
+
+// UTF-8 unless that doesn't decode cleanly (older Excel CSV exports)
+function decodeText(content) {
+  const text = content.toString("utf8");
+  return text.includes("\uFFFD") ? content.toString("latin1") : text;
+}
+
+// Comma unless the header line has more semicolons
+function csvDelimiter(text) {
+  const header = text.slice(0, text.search(/\r|\n|$/));
+  const count = (ch) => header.split(ch).length;
+  return count(";") > count(",") ? ";" : ",";
+}
+
+/**
+ * Parse CSV text
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, "");
+  const delimiter = csvDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row.length === 1 && row[0] === "" ? [] : row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) {
+    throw new ValidationError("The CSV file has an unclosed quote", "data");
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Values a spreadsheet would run as a formula when the file is opened
+function looksLikeFormula(value) {
+  return /^[=@\t\r]/.test(value) || /^[+-](?![\d\s().]*$)/.test(value);
+}
+
+/**
+ * Write rows as CSV (quoted where needed; text that a spreadsheet would
+ * treat as a formula is prefixed with an apostrophe)
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  const cell = (value) => {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (looksLikeFormula(text)) text = `'${text}`;
+    return /[",\r\n]|^\s|\s$/.test(text)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  };
+  return rows.map((row) => row.map(cell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Date (YYYY-MM-DD) of an Excel serial day number (1900 date system)
+ * @returns {string|null}
+ */
+export function excelSerialToDate(serial) {
+  const days = Number(serial);
+  if (!Number.isFinite(days) || days < 1) return null;
+  const epoch = Date.UTC(1899, 11, 30);
+  return new Date(epoch + Math.floor(days) * 86400000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// --- XLSX -----------------------------------------------------------------
+
+function notAWorkbook() {
+  return new ValidationError("The file is not a valid XLSX workbook", "data");
+}
+
+/**
+ * Entries of a zip archive, read through its central directory
+ * @returns {Map<string, Function>} name -> () => Buffer
+ */
+function zipEntries(buffer) {
+  let end = -1;
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw notAWorkbook();
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let p = buffer.readUInt32LE(end + 16);
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(p) !== 0x02014b50) throw notAWorkbook();
+    const method = buffer.readUInt16LE(p + 10);
+    const size = buffer.readUInt32LE(p + 20);
+    const nameLength = buffer.readUInt16LE(p + 28);
+    const skip = nameLength + buffer.readUInt16LE(p + 30) +
+      buffer.readUInt16LE(p + 32);
+    const local = buffer.readUInt32LE(p + 42);
+    const name = buffer.toString("utf8", p + 46, p + 46 + nameLength);
+    p += 46 + skip;
+
+    entries.set(name, () => {
+      if (buffer.readUInt32LE(local) !== 0x04034b50) throw notAWorkbook();
+      const start = local + 30 + buffer.readUInt16LE(local + 26) +
+        buffer.readUInt16LE(local + 28);
+      const raw = buffer.subarray(start, start + size);
+      if (method === 0) return raw;
+      if (method !== 8) throw notAWorkbook();
+      return zlib.inflateRawSync(raw, {
+        maxOutputLength: MAX_XLSX_PART_BYTES,
+      });
+    });
+  }
+  return entries;
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const hex = e[1].toLowerCase() === "x";
+      return String.fromCodePoint(
+        hex ? parseInt(e.slice(2), 16) : Number(e.slice(1))
+      );
+    }
+    return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[e];
+  });
+}
+
+function attributes(tag) {
+  const out = {};
+  for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    out[name] = decodeXml(value);
+  }
+  return out;
+}
+
+// Text of the <t> elements of a string item (phonetic hints left out)
+function textOf(xml) {
+  return [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "")
+    .matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+    .map((m) => decodeXml(m[1]))
+    .join("");
+}
+
+// Column index of a cell reference ("C7" -> 2)
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref)?.[0] || "";
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function readPart(entries, name) {
+  const entry = entries.get(name);
+  // Element names without namespace prefixes (<x:row> -> <row>)
+  return entry ? entry().toString("utf8").replace(/<(\/?)\w+:/g, "<$1") : null;
+}
+
+// Path of the workbook's first worksheet
+function firstSheetPath(entries) {
+  const workbook = readPart(entries, "xl/workbook.xml");
+  const rels = readPart(entries, "xl/_rels/workbook.xml.rels");
+  const sheet = workbook && /<sheet\b[^>]*>/.exec(workbook);
+  if (sheet && rels) {
+    const rid = attributes(sheet[0])["r:id"];
+    const rel = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+      .map((m) => attributes(m[0]))
+      .find((a) => a.Id === rid);
+    if (rel?.Target) {
+      return rel.Target.startsWith("/")
+        ? rel.Target.slice(1)
+        : `xl/${rel.Target}`;
+    }
+  }
+  return "xl/worksheets/sheet1.xml";
+}
+
+/**
+ * Rows of the first worksheet of an XLSX workbook
+ * @param {Buffer} buffer
+ * @returns {Array<Array<string>>}
+ */
+export function readXlsx(buffer) {
+  let entries;
+  let sheet;
+  let shared;
+  try {
+    entries = zipEntries(buffer);
+    sheet = readPart(entries, firstSheetPath(entries));
+    shared = readPart(entries, "xl/sharedStrings.xml");
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+    throw notAWorkbook();
+  }
+  if (!sheet) throw notAWorkbook();
+
+  const strings = shared
+    ? [...shared.matchAll(/<si>([\s\S]*?)<\/si>|<si\/>/g)].map((m) =>
+        textOf(m[1] || "")
+      )
+    : [];
+
+  const rows = [];
+  const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  for (const [, rowAttrs, body = ""] of sheet.matchAll(rowPattern)) {
+    const number = Number(attributes(rowAttrs).r) || rows.length + 1;
+    while (rows.length < number - 1) rows.push([]);
+
+    const cells = [];
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    for (const [, cellAttrs, inner = ""] of body.matchAll(cellPattern)) {
+      const { r, t } = attributes(cellAttrs);
+      const v = /<v>([\s\S]*?)<\/v>/.exec(inner);
+      const raw = v ? decodeXml(v[1]) : "";
+      let value;
+      if (t === "s") value = strings[Number(raw)] ?? "";
+      else if (t === "inlineStr") value = textOf(inner);
+      else if (t === "b") value = raw === "1" ? "TRUE" : "FALSE";
+      else value = raw;
+
+      const index = r ? columnIndex(r) : cells.length;
+      while (cells.length < index) cells.push("");
+      cells[index] = value;
+    }
+    while (cells.length && cells[cells.length - 1] === "") cells.pop();
+    rows[number - 1] = cells;
+  }
+  return rows;
+}
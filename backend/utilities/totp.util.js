@@ -0,0 +1,117 @@
+import crypto from "crypto";
+
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 second
+ * steps: what authenticator apps expect from an otpauth:// URI)
+ * Secrets are exchanged in base32 (RFC 4648, no padding).
+ */
+
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD = 30; // seconds
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+export function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character '${char}'`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * A new random secret (160 bits, the HMAC-SHA1 block the RFC recommends)
+ * @returns {string} Base32
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// Time step a moment falls in
+export function totpStep(at = Date.now()) {
+  return Math.floor(at / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * The code for one time step
+ * @param {string} secret - Base32
+ * @param {number} step - See totpStep
+ */
+export function totpCode(secret, step = totpStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Check a code against the current step and its neighbours (clock drift)
+ * @param {string} secret - Base32
+ * @param {string} code
+ * @param {Object} options
+ * @param {number} options.window - Steps accepted either side of now
+ * @param {number} options.at - Time to check against (ms)
+ * @returns {number|null} The step the code belongs to, or null
+ */
+export function verifyTotp(secret, code, { window = 1, at = Date.now() } = {}) {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(candidate) || candidate.length !== TOTP_DIGITS) {
+    return null;
+  }
+  const now = totpStep(at);
+  for (let step = now - window; step <= now + window; step++) {
+    const expected = Buffer.from(totpCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) return step;
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {Object} options
+ * @param {string} options.issuer - Shown as the account's provider
+ * @param {string} options.account - Usually the email address
+ * @param {string} options.secret - Base32
+ */
+export function otpauthUri({ issuer, account, secret }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
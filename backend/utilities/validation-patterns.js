@@ -56,4 +56,6 @@ export const VALIDATION_MESSAGES = {
   EMAIL: SHARED_VALIDATION_MESSAGES.EMAIL,
   SA_PHONE: SHARED_VALIDATION_MESSAGES.SA_PHONE,
   SA_MOBILE: SHARED_VALIDATION_MESSAGES.SA_MOBILE,
+  SA_ID_NUMBER: SHARED_VALIDATION_MESSAGES.SA_ID_NUMBER,
+  SA_ID_INVALID_CHECK: SHARED_VALIDATION_MESSAGES.SA_ID_INVALID_CHECK,
 };
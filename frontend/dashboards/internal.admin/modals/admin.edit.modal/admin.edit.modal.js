@@ -3,6 +3,7 @@ import {
   FIELD_VALIDATORS,
   ValidationHelper,
 } from "/frontend/shared/js/modal-validation-helper.js";
+import { saveWithConflictPrompt } from "/frontend/shared/js/record-conflict-prompt.js";
 
 (function () {
   const containerId = "adminEditModal";
@@ -333,9 +334,14 @@ import {
 
       try {
         const api = await getApi();
-        const res = api.admins?.update
-          ? await api.admins.update(id, body)
-          : await api.put(`/api/v1/internal/admins/${id}`, { body });
+        const res = await saveWithConflictPrompt(
+          (opts) =>
+            api.admins?.update
+              ? api.admins.update(id, body, opts)
+              : api.put(`/api/v1/internal/admins/${id}`, { body, ...opts }),
+          { label: "admin", reload: () => open(id) }
+        );
+        if (!res) return; // reloaded or cancelled after a conflict
         await showToast("success", "Admin updated successfully");
         window.dispatchEvent(
           new CustomEvent("admin:updated", { detail: res?.data ?? res })
@@ -3,6 +3,7 @@
   const htmlPath =
     "/frontend/dashboards/internal.admin/modals/admin.view.modal/admin.view.modal.html";
   let apiInstance = null;
+  let currentAdminId = null;
 
   function qs(s, r = document) {
     return r.querySelector(s);
@@ -74,6 +75,8 @@
     });
     const btn = qs('[data-action="close"]', root);
     if (btn) btn.addEventListener("click", close);
+    const unlockBtn = qs('[data-action="unlock"]', root);
+    if (unlockBtn) unlockBtn.addEventListener("click", () => unlock(root));
   }
 
   function sanitizeText(v) {
@@ -169,9 +172,128 @@
     renderRoles(container, admin.roles);
   }
 
+  const LOGIN_OUTCOME_LABELS = {
+    success: "Signed in",
+    "invalid-password": "Wrong password",
+    "unknown-account": "Unknown account",
+    inactive: "Account inactive",
+    locked: "Refused: locked",
+  };
+
+  const LOGIN_FLAG_LABELS = {
+    "new-device": "New device",
+    "new-ip": "New IP address",
+  };
+
+  // Browser and system, roughly, from a user agent (Edge and Opera also
+  // name Chrome and Safari, so they are looked for first)
+  const BROWSERS = [
+    ["Edg/", "Edge"],
+    ["OPR/", "Opera"],
+    ["Firefox/", "Firefox"],
+    ["Chrome/", "Chrome"],
+    ["Safari/", "Safari"],
+  ];
+  const SYSTEMS = ["Windows", "Android", "iPhone", "iPad", "Mac OS X", "Linux"];
+
+  function describeDevice(userAgent) {
+    if (!userAgent) return "—";
+    const browser = BROWSERS.find(([token]) => userAgent.includes(token));
+    const system = SYSTEMS.find((name) => userAgent.includes(name));
+    const label = [browser?.[1], system].filter(Boolean).join(" on ");
+    return label || userAgent.slice(0, 40);
+  }
+
+  function renderLoginSecurity(root, status, logins) {
+    const lockEl = qs("#view_lockStatus", root);
+    if (lockEl) {
+      const failed = status?.failedCount || 0;
+      lockEl.value = status?.locked
+        ? `Locked until ${formatDate(status.lockedUntil)}`
+        : failed
+        ? `Not locked (${failed} wrong password(s) since the last login)`
+        : "Not locked";
+    }
+    const unlockBtn = qs('[data-action="unlock"]', root);
+    if (unlockBtn) unlockBtn.style.display = status?.locked ? "" : "none";
+
+    const suspicious = logins.filter((login) => login.suspicious);
+    const suspiciousEl = qs("#view_suspiciousLogins", root);
+    if (suspiciousEl) {
+      suspiciousEl.value = suspicious.length
+        ? `${suspicious.length} of the last ${logins.length} login attempts, ` +
+          `latest ${formatDate(suspicious[0].at)}`
+        : "None";
+    }
+
+    const body = qs("#adminView_logins tbody", root);
+    if (!body) return;
+    body.textContent = "";
+    if (logins.length === 0) {
+      const cell = body.insertRow().insertCell();
+      cell.colSpan = 5;
+      cell.textContent = "No logins";
+      return;
+    }
+    logins.forEach((login) => {
+      const row = body.insertRow();
+      [
+        formatDate(login.at),
+        LOGIN_OUTCOME_LABELS[login.outcome] || login.outcome,
+        login.ip || "—",
+        describeDevice(login.userAgent),
+      ].forEach((text) => {
+        row.insertCell().textContent = text;
+      });
+      const flags = row.insertCell();
+      (login.flags || []).forEach((flag) => {
+        const tag = document.createElement("span");
+        tag.className = "permission-tag";
+        tag.textContent = `⚠ ${LOGIN_FLAG_LABELS[flag] || flag}`;
+        flags.appendChild(tag);
+      });
+      if (login.userAgent) row.title = login.userAgent;
+    });
+  }
+
+  // Lockout status and the last logins (IP address, device, outcome)
+  async function loadLoginSecurity(root, api, adminId) {
+    let status = null;
+    let logins = [];
+    try {
+      const [statusRes, loginsRes] = await Promise.all([
+        api.admins.loginSecurity(adminId),
+        api.admins.logins(adminId, { limit: 20 }),
+      ]);
+      status = statusRes?.data ?? statusRes;
+      logins = loginsRes?.data || [];
+    } catch (e) {
+      console.warn("[AdminView] Login security failed:", e);
+    }
+    renderLoginSecurity(root, status, logins);
+  }
+
+  async function unlock(root) {
+    if (!currentAdminId) return;
+    if (!window.confirm("Unlock this admin's account?")) return;
+    try {
+      const api = await getApi();
+      await api.admins.unlock(currentAdminId);
+      await loadLoginSecurity(root, api, currentAdminId);
+      window.showToast?.("success", "Account unlocked");
+    } catch (e) {
+      console.warn("[AdminView] Unlock failed:", e);
+      const messages = {
+        403: "You don't have access to unlock admins",
+      };
+      window.showToast?.("error", messages[e.status] || "Failed to unlock");
+    }
+  }
+
   async function open(id) {
     const container = await ensureContainer();
     container.classList.add("show");
+    currentAdminId = id;
     try {
       console.log("[AdminView] Fetching admin with ID:", id);
       const api = await getApi();
@@ -182,6 +304,7 @@
 
       console.log("[AdminView] Fetched admin data:", adminData);
       fill(container, adminData || {});
+      await loadLoginSecurity(container, api, id);
     } catch (e) {
       console.error("[AdminView] fetch failed", e);
       // Show error in modal instead of failing silently
@@ -3,6 +3,7 @@ import {
   ValidationHelper,
   FIELD_VALIDATORS,
 } from "/frontend/shared/js/modal-validation-helper.js";
+import { saveWithConflictPrompt } from "/frontend/shared/js/record-conflict-prompt.js";
 
 (function () {
   const containerId = "lookupEditModal";
@@ -339,7 +340,12 @@ import {
       const btn = qs('button[type="submit"]', form);
       if (btn) btn.disabled = true;
       const api = await getApi();
-      await api.lookups.patch(currentId, payload);
+      const id = currentId;
+      const res = await saveWithConflictPrompt(
+        (opts) => api.lookups.patch(id, payload, opts),
+        { label: "lookup", reload: () => open(id) }
+      );
+      if (!res) return; // reloaded or cancelled after a conflict
       notify("success", "Lookup updated");
       const status = qs("#lookupEdit_lookupEditStatus", root);
       if (status) {
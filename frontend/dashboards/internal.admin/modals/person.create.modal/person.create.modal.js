@@ -5,6 +5,7 @@ import {
   ValidationHelper,
   FIELD_VALIDATORS,
 } from "/frontend/shared/js/modal-validation-helper.js";
+import { attachAddressAutocomplete } from "/frontend/shared/js/address-autocomplete.js";
 
 (function () {
   const containerId = "personCreateModal";
@@ -594,6 +595,25 @@ import {
       });
     }
 
+    // Suburb and postal code suggestions fill in the rest of each address
+    [
+      {
+        suburb: "#res_suburb",
+        city: "#res_city",
+        municipality: "#res_municipality",
+        province: "#res_province",
+        postalCode: "#res_postalCode",
+      },
+      {
+        suburb: "#personCreate_postal_suburb",
+        city: "#personCreate_postal_city",
+        province: "#personCreate_postal_province",
+        postalCode: "#personCreate_postal_postalCode",
+      },
+    ].forEach((selectors) =>
+      attachAddressAutocomplete(getApi, root, selectors)
+    );
+
     // Auto-fill DOB from SA ID when possible (if DOB is empty)
     const idField = qs("#demo_idNumber", root);
     const dobField = qs("#demo_birthDate", root);
@@ -4,6 +4,11 @@ import {
   ValidationHelper,
   FIELD_VALIDATORS,
 } from "/frontend/shared/js/modal-validation-helper.js";
+import {
+  isRecordConflict,
+  saveWithConflictPrompt,
+} from "/frontend/shared/js/record-conflict-prompt.js";
+import { attachAddressAutocomplete } from "/frontend/shared/js/address-autocomplete.js";
 
 (function () {
   const containerId = "personEditModal";
@@ -640,6 +645,26 @@ import {
     const btnCancel = qs('[data-action="cancel"]', form);
     if (btnCancel) btnCancel.addEventListener("click", () => close());
 
+    // Suburb and postal code suggestions fill in the rest of each address
+    [
+      {
+        suburb: "#personEdit_addr_suburb",
+        city: "#personEdit_addr_city",
+        municipality: "#personEdit_addr_municipality",
+        province: "#personEdit_addr_province",
+        postalCode: "#personEdit_addr_postalCode",
+      },
+      {
+        suburb: "#personEdit_postal_suburb",
+        city: "#personEdit_postal_city",
+        municipality: "#personEdit_postal_municipality",
+        province: "#personEdit_postal_province",
+        postalCode: "#personEdit_postal_postalCode",
+      },
+    ].forEach((selectors) =>
+      attachAddressAutocomplete(getApi, root, selectors)
+    );
+
     form.addEventListener("submit", async (e) => {
       e.preventDefault();
       let ok = true;
@@ -703,14 +728,28 @@ import {
             });
           }
         } catch {}
-        let res;
-        try {
-          // Full update first
-          res = await api.persons.update(id, payload);
-        } catch (putErr) {
-          if (DEBUG)
-            console.warn("[PersonEdit] PUT failed, fallback to PATCH", putErr);
-          res = await api.persons.patch(id, payload); // partial attempt
+        const res = await saveWithConflictPrompt(
+          async (opts) => {
+            try {
+              // Full update first
+              return await api.persons.update(id, payload, opts);
+            } catch (putErr) {
+              // Conflicts go to the reload/overwrite prompt, not to PATCH
+              if (isRecordConflict(putErr)) throw putErr;
+              if (DEBUG)
+                console.warn(
+                  "[PersonEdit] PUT failed, fallback to PATCH",
+                  putErr
+                );
+              // partial attempt
+              return await api.persons.patch(id, payload, opts);
+            }
+          },
+          { label: "person", reload: () => open(id) }
+        );
+        if (!res) {
+          setStatus("Changes not saved - record was changed elsewhere", "info");
+          return;
         }
         if (DEBUG) console.log("[PersonEdit] Update response", res);
         // toast
@@ -0,0 +1,334 @@
+(function () {
+  const containerId = "personImportModal";
+  // Build HTML path relative to this module for robustness
+  const htmlPath = (() => {
+    try {
+      const u = new URL("./person.import.modal.html", import.meta.url);
+      return u.href;
+    } catch (_) {
+      return "/frontend/dashboards/internal.admin/modals/person.import.modal/person.import.modal.html";
+    }
+  })();
+  let apiClientInstance = null;
+
+  // The wizard's progress: the file, the preview and what to do afterwards
+  let state = {};
+
+  const STATUS_LABELS = {
+    valid: "Ready",
+    invalid: "Has errors",
+    duplicate: "Duplicate",
+    created: "Imported",
+    failed: "Failed",
+  };
+
+  function qs(sel, root = document) {
+    return root.querySelector(sel);
+  }
+  function qsa(sel, root = document) {
+    return Array.from(root.querySelectorAll(sel));
+  }
+
+  function ensureOverlay() {
+    let el = qs("#" + containerId);
+    if (!el) {
+      el = document.createElement("div");
+      el.id = containerId;
+      el.className = "modal-overlay modal-lg modal-person-import";
+      document.body.appendChild(el);
+    }
+    return el;
+  }
+
+  async function ensureContainer() {
+    const container = ensureOverlay();
+    if (!container.dataset.loaded) {
+      try {
+        const res = await fetch(htmlPath, { cache: "no-store" });
+        if (!res.ok) throw new Error("Failed to load person import modal HTML");
+        container.innerHTML = await res.text();
+      } catch (e) {
+        console.error("[ImportModal] HTML load failed from", htmlPath, e);
+        // Minimal fallback UI so overlay is still visible
+        container.innerHTML =
+          '<div class="modal-dialog"><div class="modal-content"><div class="modal-header"><h2 class="modal-title">Import People</h2><button class="modal-close" aria-label="Close">&times;</button></div><div class="modal-body"><p>Unable to load modal content.</p><div class="form-actions"><button type="button" class="btn btn-secondary" data-action="close">Close</button></div></div></div></div>';
+      }
+      container.dataset.loaded = "1";
+      wire(container);
+    }
+    return container;
+  }
+
+  async function getApi() {
+    if (apiClientInstance) return apiClientInstance;
+    const clientPath =
+      (window.__API_CLIENT_PATH__ || "/integration/api-client.js") +
+      (window.__DISABLE_CACHE__ ? `?t=${Date.now()}` : "");
+    const mod = await import(clientPath);
+    const { TouchAfricaApiClient } = mod;
+    const baseUrl = window.__API_BASE_URL__ || window.location.origin;
+    const token = (localStorage.getItem("token") || "").trim() || null;
+    // Large files take a while to check and import
+    apiClientInstance = new TouchAfricaApiClient({
+      baseUrl,
+      token,
+      timeout: 120000,
+    });
+    return apiClientInstance;
+  }
+
+  // Import endpoints: the platform's people, or a tenant's when one is given
+  async function imports() {
+    const api = await getApi();
+    const { tenantId } = state;
+    if (!tenantId) return api.personImports;
+    const scoped = api.externalPersonImports;
+    return Object.fromEntries(
+      Object.entries(scoped).map(([name, call]) => [
+        name,
+        (...args) => call(tenantId, ...args),
+      ])
+    );
+  }
+
+  function showStep(root, step, visible = true) {
+    const el = qs(`[data-step="${step}"]`, root);
+    if (el) el.style.display = visible ? "" : "none";
+  }
+
+  function setFileError(root, message) {
+    const input = qs("#personImport_file", root);
+    const feedback = qs('[data-for="personImport_file"]', root);
+    if (input) input.classList.toggle("is-invalid", !!message);
+    if (feedback) feedback.textContent = message || "";
+  }
+
+  function errorMessage(e, fallback) {
+    return e?.data?.message || e?.data?.error?.message || fallback;
+  }
+
+  // The file's content, base64 encoded
+  function readFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  function renderMapping(root, preview) {
+    const body = qs("#personImport_mapping tbody", root);
+    if (!body) return;
+    body.textContent = "";
+    preview.columns.forEach(({ column, field }) => {
+      const row = body.insertRow();
+      row.insertCell().textContent = column;
+      const select = document.createElement("select");
+      select.className = "form-control";
+      select.dataset.column = column;
+      select.add(new Option("— Don't import —", ""));
+      state.fields.forEach((f) => {
+        const label = f.required ? `${f.field} *` : f.field;
+        select.add(new Option(label, f.field));
+      });
+      select.value = field || "";
+      row.insertCell().appendChild(select);
+    });
+
+    const missing = qs("#personImport_missing", root);
+    if (missing) {
+      missing.textContent = preview.missingFields.length
+        ? `Required fields no column holds: ${preview.missingFields.join(", ")}`
+        : "Every required field has a column.";
+    }
+  }
+
+  function describeProblems(row) {
+    const problems = row.errors.map((e) =>
+      e.column || e.field ? `${e.column || e.field}: ${e.message}` : e.message
+    );
+    if (row.duplicate?.row) {
+      problems.push(`Same ID number as row ${row.duplicate.row}`);
+    } else if (row.duplicate?.personId) {
+      problems.push("ID number already on record");
+    }
+    return problems.concat(row.warnings || []).join("; ") || "—";
+  }
+
+  function renderRows(root, preview) {
+    const { totals } = preview.import;
+    const summary = qs("#personImport_summary", root);
+    if (summary) {
+      summary.textContent =
+        `${totals.rows} rows: ${totals.valid} ready to import, ` +
+        `${totals.invalid} with errors, ${totals.duplicate} duplicates.`;
+    }
+    const body = qs("#personImport_rows tbody", root);
+    if (!body) return;
+    body.textContent = "";
+    preview.rows.forEach((row) => {
+      const tr = body.insertRow();
+      const name = [row.values?.firstName, row.values?.surname]
+        .filter(Boolean)
+        .join(" ");
+      [
+        row.row,
+        name || "—",
+        STATUS_LABELS[row.status] || row.status,
+        describeProblems(row),
+      ].forEach((text) => {
+        tr.insertCell().textContent = text;
+      });
+    });
+  }
+
+  // Current column choices (column -> field, null to leave out)
+  function chosenMapping(root) {
+    const mapping = {};
+    qsa("#personImport_mapping select", root).forEach((select) => {
+      mapping[select.dataset.column] = select.value || null;
+    });
+    return mapping;
+  }
+
+  // Dry run with the current file and columns
+  async function runPreview(root, mapping) {
+    const commitBtn = qs('[data-action="commit"]', root);
+    if (commitBtn) commitBtn.disabled = true;
+    setFileError(root, "");
+    try {
+      const api = await imports();
+      if (!state.fields) {
+        state.fields = (await api.fields())?.data || [];
+      }
+      const saveMapping = !!qs("#personImport_saveMapping", root)?.checked;
+      const res = await api.preview({
+        fileName: state.fileName,
+        data: state.data,
+        ...(mapping && { mapping }),
+        saveMapping,
+      });
+      state.preview = res?.data ?? res;
+      renderMapping(root, state.preview);
+      renderRows(root, state.preview);
+      showStep(root, "mapping");
+      showStep(root, "preview");
+      showStep(root, "result", false);
+      if (commitBtn) commitBtn.disabled = state.preview.import.totals.valid === 0;
+    } catch (e) {
+      console.warn("[ImportModal] Preview failed:", e);
+      setFileError(root, errorMessage(e, "The file could not be checked"));
+    }
+  }
+
+  async function commit(root) {
+    const commitBtn = qs('[data-action="commit"]', root);
+    if (!state.preview || !commitBtn) return;
+    commitBtn.disabled = true;
+    try {
+      const api = await imports();
+      const res = await api.commit(state.preview.import.id);
+      const result = res?.data ?? res;
+      state.result = result.import;
+      const { totals } = result.import;
+      const text = qs("#personImport_result", root);
+      if (text) {
+        text.textContent =
+          `${totals.created} people imported. ` +
+          `${totals.rows - totals.created} rows were not imported.`;
+      }
+      const errorsBtn = qs('[data-action="errors"]', root);
+      if (errorsBtn) errorsBtn.style.display = result.import.errorFile ? "" : "none";
+      showStep(root, "mapping", false);
+      showStep(root, "result");
+      renderRows(root, { import: state.preview.import, rows: result.rows });
+      window.showToast?.("success", `${totals.created} people imported`);
+      if (typeof state.onDone === "function") state.onDone(result.import);
+    } catch (e) {
+      console.warn("[ImportModal] Import failed:", e);
+      commitBtn.disabled = false;
+      window.showToast?.("error", errorMessage(e, "Import failed"));
+    }
+  }
+
+  // Save the error file (rows not imported, with what was wrong)
+  async function downloadErrors() {
+    if (!state.result?.errorFile) return;
+    try {
+      const api = await imports();
+      const blob = await api.errors(state.result.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = state.result.errorFile.fileName;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (e) {
+      console.warn("[ImportModal] Error file download failed:", e);
+      window.showToast?.("error", "Failed to download the error file");
+    }
+  }
+
+  function wire(root) {
+    if (root.dataset._wired) return;
+    root.dataset._wired = "1";
+    const closeBtn = qs(".modal-close", root);
+    if (closeBtn) closeBtn.addEventListener("click", () => close());
+    root.addEventListener("click", (e) => {
+      if (e.target === root) close();
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") close();
+    });
+
+    qs("#personImport_file", root)?.addEventListener("change", async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      state.fileName = file.name;
+      state.data = await readFile(file);
+      await runPreview(root);
+    });
+    qs('[data-action="recheck"]', root)?.addEventListener("click", () =>
+      runPreview(root, chosenMapping(root))
+    );
+    qs('[data-action="commit"]', root)?.addEventListener("click", () =>
+      commit(root)
+    );
+    qs('[data-action="errors"]', root)?.addEventListener("click", () =>
+      downloadErrors()
+    );
+    qs('[data-action="close"]', root)?.addEventListener("click", () =>
+      close()
+    );
+  }
+
+  /**
+   * Open the wizard
+   * @param {Object} options - { tenantId for a tenant's people,
+   *   onDone(importRecord) after an import }
+   */
+  async function open({ tenantId = null, onDone } = {}) {
+    const container = await ensureContainer();
+    // Fields differ between the platform and tenants (SA ID rules)
+    const fields = state.tenantId === tenantId ? state.fields : undefined;
+    state = { tenantId, onDone, fields };
+    ["mapping", "preview", "result"].forEach((step) =>
+      showStep(container, step, false)
+    );
+    container.classList.add("show");
+  }
+
+  function close() {
+    const container = qs("#" + containerId);
+    if (!container) return;
+    container.classList.remove("show");
+    const form = qs("#personImportForm", container);
+    if (form) form.reset();
+    setFileError(container, "");
+    const commitBtn = qs('[data-action="commit"]', container);
+    if (commitBtn) commitBtn.disabled = true;
+  }
+
+  window.openPersonImportModal = open;
+})();
@@ -299,6 +299,246 @@
     }
   }
 
+  const DOCUMENT_STATUS_LABELS = {
+    valid: "Valid",
+    expiring: "Expiring soon",
+    expired: "Expired",
+  };
+
+  // Save a document's file (needs person.documents.read)
+  async function downloadDocument(api, personId, doc) {
+    try {
+      const blob = await api.personDocuments.download(personId, doc.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = doc.fileName;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (e) {
+      console.warn("[PersonView] Download failed:", e);
+      window.showToast?.(
+        "error",
+        e.status === 403
+          ? "You don't have access to download documents"
+          : "Failed to download document"
+      );
+    }
+  }
+
+  // The person's documents, newest first
+  const CONSENT_PURPOSE_NAMES = {
+    popia_processing: "Processing of personal information",
+  };
+
+  // Consent given/withdrawn, newest first
+  function fillConsentHistory(root, history) {
+    const body = qs("#personView_consentHistory tbody", root);
+    if (!body) return;
+    // Basis labels as the POPIA section shows them
+    const basisLabel = (value) =>
+      qs(`#personView_processingBasis option[value="${value}"]`, root)
+        ?.textContent || value;
+
+    body.textContent = "";
+    if (!history || history.length === 0) {
+      const cell = body.insertRow().insertCell();
+      cell.colSpan = 5;
+      cell.textContent = "No consent recorded";
+      return;
+    }
+    history.forEach((event) => {
+      const row = body.insertRow();
+      [
+        CONSENT_PURPOSE_NAMES[event.purposeId] || event.purposeId,
+        event.action === "given" ? "Given" : "Withdrawn",
+        event.at ? new Date(event.at).toLocaleString() : "—",
+        event.processingBasis ? basisLabel(event.processingBasis) : "—",
+        event.recordedBy || "—",
+      ].forEach((text) => {
+        row.insertCell().textContent = text;
+      });
+    });
+  }
+
+  async function loadConsentHistory(root, api, personId) {
+    try {
+      const res = await api.persons.consents(personId);
+      fillConsentHistory(root, (res?.data ?? res)?.history);
+    } catch (e) {
+      // Consent history is optional: the rest of the view still shows
+      console.warn("[PersonView] Consent history failed:", e);
+      fillConsentHistory(root, []);
+    }
+  }
+
+  async function loadDocuments(root, api, personId) {
+    const body = qs("#personView_documents tbody", root);
+    if (!body) return;
+    let documents = [];
+    try {
+      documents = (await api.personDocuments.list(personId))?.data || [];
+    } catch (e) {
+      console.warn("[PersonView] Documents failed:", e);
+    }
+
+    body.textContent = "";
+    if (documents.length === 0) {
+      const cell = body.insertRow().insertCell();
+      cell.colSpan = 5;
+      cell.textContent = "No documents";
+      return;
+    }
+    documents.forEach((doc) => {
+      const row = body.insertRow();
+      [
+        doc.documentType,
+        doc.documentNumber || "—",
+        doc.expiryDate || "—",
+        DOCUMENT_STATUS_LABELS[doc.status] || "—",
+      ].forEach((text) => {
+        row.insertCell().textContent = text;
+      });
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "btn btn-link";
+      button.textContent = doc.fileName;
+      button.addEventListener("click", () =>
+        downloadDocument(api, personId, doc)
+      );
+      row.insertCell().appendChild(button);
+    });
+  }
+
+  const VERSION_ACTION_LABELS = {
+    baseline: "Before history was kept",
+    create: "Created",
+    update: "Updated",
+    merge: "Merged",
+    revert: "Reverted",
+  };
+
+  function describeVersion(version) {
+    if (version.action === "revert") {
+      return `Reverted to version ${version.revertedTo}`;
+    }
+    const label = VERSION_ACTION_LABELS[version.action] || version.action;
+    const fields = version.changedFields || [];
+    if (fields.length === 0) return label;
+    const shown = fields.slice(0, 3).join(", ");
+    const more = fields.length > 3 ? ` and ${fields.length - 3} more` : "";
+    return `${label}: ${shown}${more}`;
+  }
+
+  function formatValue(value) {
+    if (value == null || value === "") return "—";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+
+  // What changed between a version and the current one
+  async function showDiff(root, api, personId, version) {
+    const wrapper = qs("#personView_historyDiff", root);
+    const body = qs("#personView_historyDiff tbody", root);
+    if (!wrapper || !body) return;
+    try {
+      const res = await api.personHistory.diff(personId, { from: version });
+      const { changes } = res?.data ?? res;
+      qs("#personView_historyDiffTitle", root).textContent =
+        `Changes since version ${version}`;
+      body.textContent = "";
+      if (changes.length === 0) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = 3;
+        cell.textContent = "No changes";
+      }
+      changes.forEach((change) => {
+        const row = body.insertRow();
+        [change.field, formatValue(change.before), formatValue(change.after)]
+          .forEach((text) => {
+            row.insertCell().textContent = text;
+          });
+      });
+      wrapper.style.display = "";
+    } catch (e) {
+      console.warn("[PersonView] Diff failed:", e);
+      window.showToast?.("error", "Failed to compare versions");
+    }
+  }
+
+  // Write a version back (kept in the history as a new version)
+  async function revertTo(root, api, personId, version) {
+    const reason = window.prompt(
+      `Revert this person to version ${version}? Reason (optional):`,
+      ""
+    );
+    if (reason === null) return;
+    try {
+      const res = await api.personHistory.revert(
+        personId,
+        version,
+        reason.trim() ? { reason: reason.trim() } : {}
+      );
+      fillForm(root, res?.data ?? res, personId);
+      await loadHistory(root, api, personId);
+      window.reloadPeopleList?.();
+      window.showToast?.("success", `Reverted to version ${version}`);
+    } catch (e) {
+      console.warn("[PersonView] Revert failed:", e);
+      const messages = {
+        403: "You don't have access to revert people",
+        412: "Someone else changed this person; reopen it to see the latest",
+      };
+      window.showToast?.("error", messages[e.status] || "Failed to revert");
+    }
+  }
+
+  // Versions, newest first; earlier ones can be compared and reverted to
+  async function loadHistory(root, api, personId) {
+    const body = qs("#personView_history tbody", root);
+    if (!body) return;
+    let versions = [];
+    try {
+      versions = (await api.personHistory.list(personId))?.data || [];
+    } catch (e) {
+      console.warn("[PersonView] History failed:", e);
+    }
+
+    const diff = qs("#personView_historyDiff", root);
+    if (diff) diff.style.display = "none";
+    body.textContent = "";
+    if (versions.length === 0) {
+      const cell = body.insertRow().insertCell();
+      cell.colSpan = 5;
+      cell.textContent = "No history";
+      return;
+    }
+    versions.forEach((version, index) => {
+      const row = body.insertRow();
+      const when = version.created?.when;
+      [
+        version.version,
+        when ? new Date(when).toLocaleString() : "—",
+        version.created?.by || "—",
+        describeVersion(version),
+      ].forEach((text) => {
+        row.insertCell().textContent = text;
+      });
+      const actions = row.insertCell();
+      if (index === 0) return; // the current version
+      [
+        ["Compare", () => showDiff(root, api, personId, version.version)],
+        ["Revert", () => revertTo(root, api, personId, version.version)],
+      ].forEach(([label, onClick]) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "btn btn-link";
+        button.textContent = label;
+        button.addEventListener("click", onClick);
+        actions.appendChild(button);
+      });
+    });
+  }
+
   async function open(id) {
     const container = await ensureContainer();
     container.classList.add("show");
@@ -307,6 +547,9 @@
       const res = await api.persons.get(id);
       const person = res?.data ?? res;
       fillForm(container, person || {}, id);
+      await loadConsentHistory(container, api, id);
+      await loadDocuments(container, api, id);
+      await loadHistory(container, api, id);
     } catch (e) {
       console.error("Failed to load person for viewing", e);
       const ridEl = qs("#personView_recordIdDisplay", container);
@@ -4,6 +4,10 @@ import {
   FIELD_VALIDATORS,
   ValidationHelpers,
 } from "/frontend/shared/js/modal-validation-helper.js";
+import {
+  isRecordConflict,
+  saveWithConflictPrompt,
+} from "/frontend/shared/js/record-conflict-prompt.js";
 
 (function () {
   const containerId = "roleEditModal";
@@ -839,16 +843,28 @@ import {
       if (submitBtn) submitBtn.disabled = true;
       const api = await getApi();
 
-      try {
-        await api.roles.update(currentRoleData.roleId, payload);
-      } catch (e) {
-        console.warn("[RoleEdit] Internal API failed, trying CoreUtils:", e);
-        await CoreUtils.api.request(
-          "PUT",
-          `/internal/roles/${currentRoleData.roleId}`,
-          payload
-        );
-      }
+      const roleId = currentRoleData.roleId;
+      const res = await saveWithConflictPrompt(
+        async (opts) => {
+          try {
+            return await api.roles.update(roleId, payload, opts);
+          } catch (e) {
+            // Conflicts go to the reload/overwrite prompt, not the fallback
+            if (isRecordConflict(e)) throw e;
+            console.warn(
+              "[RoleEdit] Internal API failed, trying CoreUtils:",
+              e
+            );
+            return await CoreUtils.api.request(
+              "PUT",
+              `/internal/roles/${roleId}`,
+              payload
+            );
+          }
+        },
+        { label: "role", reload: () => open(roleId) }
+      );
+      if (!res) return; // reloaded or cancelled after a conflict
 
       window.TANotification?.success?.("Role updated successfully");
       close();
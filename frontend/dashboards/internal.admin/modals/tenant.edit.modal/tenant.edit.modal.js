@@ -4,6 +4,7 @@ import {
   ValidationHelper,
   FIELD_VALIDATORS,
 } from "/frontend/shared/js/modal-validation-helper.js";
+import { saveWithConflictPrompt } from "/frontend/shared/js/record-conflict-prompt.js";
 
 (function () {
   const containerId = "tenantEditModal";
@@ -257,8 +258,13 @@ import {
 
               if (DEBUG)
                 console.log("Updating tenant", currentTenantId, payload);
-              const result = await api.tenants.update(currentTenantId, payload);
+              const tenantId = currentTenantId;
+              const result = await saveWithConflictPrompt(
+                (opts) => api.tenants.update(tenantId, payload, opts),
+                { label: "tenant", reload: () => open(tenantId) }
+              );
               if (DEBUG) console.log("Tenant update response", result);
+              if (!result) return result; // reloaded or cancelled
 
               // Refresh list and close modal
               if (window.reloadTenantsList) window.reloadTenantsList();
@@ -349,7 +355,12 @@ import {
           return;
         }
 
-        const res = await api.tenants.update(currentTenantId, payload);
+        const tenantId = currentTenantId;
+        const res = await saveWithConflictPrompt(
+          (opts) => api.tenants.update(tenantId, payload, opts),
+          { label: "tenant", reload: () => open(tenantId) }
+        );
+        if (!res) return; // reloaded or cancelled after a conflict
         if (DEBUG) console.log("Tenant update response", res);
         await showToast("success", "Tenant updated successfully", {
           title: "Success",
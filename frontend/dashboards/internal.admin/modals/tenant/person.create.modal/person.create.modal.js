@@ -355,16 +355,6 @@ import {
     },
 
     // Optional fields
-    demo_dependentsCount: {
-      required: true,
-      validate: (v) => {
-        if (!v.trim()) return "Number of dependents is required";
-        const num = Number(v);
-        if (isNaN(num) || num < 0)
-          return "Number of dependents must be a non-negative number";
-        return true;
-      },
-    },
     demo_passportNumber: {
       required: false,
       validate: (v) => {
@@ -599,9 +589,6 @@ import {
       citizenshipStatus: get("citizenshipStatus") || undefined,
       race: get("demo_race"),
       maritalStatus: get("demo_maritalStatus"),
-      dependentsCount: get("demo_dependentsCount")
-        ? Number(get("demo_dependentsCount"))
-        : undefined,
       employment, // Required nested object
       education, // Required nested object
       disability, // Required nested object
@@ -476,6 +476,33 @@
     });
   }
 
+  // Import button: spreadsheet import wizard, list refreshed afterwards
+  function wireImportButton() {
+    const btn = document.getElementById("btn-import-people");
+    if (!btn || btn.dataset._wired) return;
+    btn.dataset._wired = "1";
+    btn.addEventListener("click", async () => {
+      try {
+        const scriptPath =
+          "/frontend/dashboards/internal.admin/modals/person.import.modal/person.import.modal.js" +
+          (window.__DISABLE_CACHE__ ? `?t=${Date.now()}` : "");
+        await import(scriptPath);
+        if (window.openPersonImportModal) {
+          window.openPersonImportModal({
+            onDone: () => window.reloadPeopleList(),
+          });
+        }
+      } catch (e) {
+        console.error("Failed to open Person Import modal", e);
+        if (window.TANotification) {
+          window.TANotification.error("Could not open modal", {
+            title: "Error",
+          });
+        }
+      }
+    });
+  }
+
   function initializePage() {
     loadStats();
 
@@ -574,6 +601,7 @@
     }
 
     wireNewPersonButton();
+    wireImportButton();
 
     // Initial load
     const initLimit = pageSizeSelect ? Number(pageSizeSelect.value) || 20 : 20;
@@ -45,6 +45,7 @@ document.addEventListener("DOMContentLoaded", function () {
   const pageRoot = document.getElementById("pageRoot");
   const routes = {
     dashboard: "./pages/dashboard.html",
+    people: "./pages/people.html",
     roles: "./pages/roles.html",
     settings: "./pages/settings.html",
   };
@@ -65,6 +66,7 @@ document.addEventListener("DOMContentLoaded", function () {
       }
       if (firstSection && !firstSection.classList.contains("active"))
         firstSection.classList.add("active");
+      if (key === "people") initPeoplePage();
       // Auto-close the drawer on mobile after navigating
       if (mql.matches) setSidebarOpenMobile(false);
       // Scroll to top for new page
@@ -75,6 +77,77 @@ document.addEventListener("DOMContentLoaded", function () {
     }
   }
 
+  // People page: recent imports and the import wizard
+  function currentTenantId() {
+    try {
+      return JSON.parse(localStorage.getItem("user") || "{}").tenantId || null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async function loadImports() {
+    const body = document.querySelector("#people-imports tbody");
+    const tenantId = currentTenantId();
+    if (!body || !tenantId) return;
+    try {
+      const { TouchAfricaApiClient } = await import(
+        "/integration/api-client.js"
+      );
+      const api = new TouchAfricaApiClient({
+        baseUrl: window.__API_BASE_URL__ || window.location.origin,
+        token: (localStorage.getItem("token") || "").trim() || null,
+      });
+      const res = await api.externalPersonImports.list(tenantId, {
+        limit: 20,
+      });
+      const imports = res?.data || [];
+      body.textContent = "";
+      if (!imports.length) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = 5;
+        cell.className = "text-muted";
+        cell.textContent = "No imports yet";
+        return;
+      }
+      imports.forEach((item) => {
+        const row = body.insertRow();
+        [
+          item.fileName,
+          new Date(item.created?.when).toLocaleString(),
+          item.status,
+          item.totals?.rows ?? 0,
+          item.totals?.created ?? 0,
+        ].forEach((text) => {
+          row.insertCell().textContent = text;
+        });
+      });
+    } catch (err) {
+      console.error("Failed to load imports", err);
+      body.innerHTML =
+        '<tr><td colspan="5" class="text-muted">Failed to load imports</td></tr>';
+    }
+  }
+
+  function initPeoplePage() {
+    loadImports();
+    document
+      .getElementById("btn-import-people")
+      ?.addEventListener("click", async () => {
+        try {
+          await import(
+            "/frontend/dashboards/internal.admin/modals/person.import.modal/person.import.modal.js"
+          );
+          window.openPersonImportModal?.({
+            tenantId: currentTenantId(),
+            onDone: loadImports,
+          });
+        } catch (err) {
+          console.error("Failed to open Person Import modal", err);
+        }
+      });
+  }
+
   function setActiveNav(key) {
     document.querySelectorAll(".nav-link").forEach((l) => {
       const k = l.getAttribute("data-section");
@@ -4,6 +4,8 @@ import {
   ValidationHelper,
   FIELD_VALIDATORS,
 } from "/frontend/shared/js/modal-validation-helper.js";
+import { saveWithConflictPrompt } from "/frontend/shared/js/record-conflict-prompt.js";
+import { attachAddressAutocomplete } from "/frontend/shared/js/address-autocomplete.js";
 
 (function () {
   const { showToast } = window.ToastUtils || {};
@@ -308,6 +310,26 @@ import {
       });
     }
 
+    // Suburb and postal code suggestions fill in the rest of each address
+    [
+      {
+        suburb: "#tenantPersonEdit_addr_suburb",
+        city: "#tenantPersonEdit_addr_city",
+        municipality: "#tenantPersonEdit_addr_municipality",
+        province: "#tenantPersonEdit_addr_province",
+        postalCode: "#tenantPersonEdit_addr_postalCode",
+      },
+      {
+        suburb: "#tenantPersonEdit_postal_suburb",
+        city: "#tenantPersonEdit_postal_city",
+        municipality: "#tenantPersonEdit_postal_municipality",
+        province: "#tenantPersonEdit_postal_province",
+        postalCode: "#tenantPersonEdit_postal_postalCode",
+      },
+    ].forEach((selectors) =>
+      attachAddressAutocomplete(getApi, root, selectors)
+    );
+
     // Setup real-time validation with custom rules aligned to backend PersonSchema
     if (setupRealtimeValidation) {
       setupRealtimeValidation(form, CUSTOM_VALIDATION_RULES);
@@ -501,12 +523,17 @@ import {
       // Set loading state
       if (setModalLoading) setModalLoading(form, true);
 
-      // Submit to API
+      // Submit to API (If-Match is sent from the ETag captured on load)
       const api = await getApi();
-      const result = await api.put(
-        `/tenants/${tenantId}/people/${personId}`,
-        data
+      const result = await saveWithConflictPrompt(
+        (opts) => api.externalPersons.update(tenantId, personId, data, opts),
+        { label: "person", reload: () => openModal(personId, tenantId) }
       );
+      if (!result) {
+        // Reloaded or cancelled after a conflict
+        if (setModalLoading) setModalLoading(form, false);
+        return;
+      }
 
       // Handle success
       if (setModalLoading) setModalLoading(form, false);
@@ -583,9 +610,8 @@ import {
       const api = await getApi();
 
       // Load person data from tenant-specific endpoint
-      const personData = await api.get(
-        `/tenants/${tenantId}/people/${personId}`
-      );
+      const personRes = await api.externalPersons.get(tenantId, personId);
+      const personData = personRes?.data ?? personRes;
       const tenantData = await api.get(`/tenants/${tenantId}`);
 
       fillForm(container, personData, personId, tenantData);
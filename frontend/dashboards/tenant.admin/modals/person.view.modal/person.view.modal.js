@@ -252,6 +252,269 @@
     });
   }
 
+  // Consent given/withdrawn events, newest first
+  function fillConsentHistory(root, history, purposes) {
+    const body = qs("#tenantPersonView_consentHistory tbody", root);
+    if (!body) return;
+    const names = {};
+    (purposes || []).forEach((p) => {
+      names[p.id] = p.name;
+    });
+
+    body.textContent = "";
+    if (!history || history.length === 0) {
+      const row = body.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 5;
+      cell.textContent = "No consent recorded";
+      return;
+    }
+
+    history.forEach((event) => {
+      const row = body.insertRow();
+      [
+        names[event.purposeId] || event.purposeId,
+        event.action === "given" ? "Given" : "Withdrawn",
+        event.at ? new Date(event.at).toLocaleString() : "—",
+        event.channel || "—",
+        event.evidence
+          ? `${event.evidence.type}: ${event.evidence.reference}`
+          : "—",
+      ].forEach((text) => {
+        row.insertCell().textContent = text;
+      });
+    });
+  }
+
+  async function loadConsentHistory(root, api, tenantId, personId) {
+    try {
+      const [consents, purposes] = await Promise.all([
+        api.get(`/api/v1/${tenantId}/persons/${personId}/consents`),
+        api.get(`/api/v1/${tenantId}/consent-purposes`),
+      ]);
+      fillConsentHistory(root, consents?.data?.history, purposes?.data);
+    } catch (error) {
+      // Consent history is optional: the rest of the view still shows
+      console.warn("[TenantPersonViewModal] Consent history failed:", error);
+      fillConsentHistory(root, [], []);
+    }
+  }
+
+  const DOCUMENT_STATUS_LABELS = {
+    valid: "Valid",
+    expiring: "Expiring soon",
+    expired: "Expired",
+  };
+
+  // Save a document's file (needs person.documents.read)
+  async function downloadDocument(api, tenantId, personId, doc) {
+    try {
+      const blob = await api.externalPersonDocuments.download(
+        tenantId,
+        personId,
+        doc.id
+      );
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = doc.fileName;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      console.warn("[TenantPersonViewModal] Download failed:", error);
+      window.showToast?.(
+        "error",
+        error.status === 403
+          ? "You don't have access to download documents"
+          : "Failed to download document"
+      );
+    }
+  }
+
+  // The person's documents, newest first
+  function fillDocuments(root, documents, onDownload) {
+    const body = qs("#tenantPersonView_documents tbody", root);
+    if (!body) return;
+
+    body.textContent = "";
+    if (!documents || documents.length === 0) {
+      const row = body.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 5;
+      cell.textContent = "No documents";
+      return;
+    }
+
+    documents.forEach((doc) => {
+      const row = body.insertRow();
+      [
+        doc.documentType,
+        doc.documentNumber || "—",
+        doc.expiryDate || "—",
+        DOCUMENT_STATUS_LABELS[doc.status] || "—",
+      ].forEach((text) => {
+        row.insertCell().textContent = text;
+      });
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "btn btn-link";
+      button.textContent = doc.fileName;
+      button.addEventListener("click", () => onDownload(doc));
+      row.insertCell().appendChild(button);
+    });
+  }
+
+  async function loadDocuments(root, api, tenantId, personId) {
+    try {
+      const documents = await api.externalPersonDocuments.list(
+        tenantId,
+        personId
+      );
+      fillDocuments(root, documents?.data, (doc) =>
+        downloadDocument(api, tenantId, personId, doc)
+      );
+    } catch (error) {
+      // Documents are optional: the rest of the view still shows
+      console.warn("[TenantPersonViewModal] Documents failed:", error);
+      fillDocuments(root, [], null);
+    }
+  }
+
+  const VERSION_ACTION_LABELS = {
+    baseline: "Before history was kept",
+    create: "Created",
+    update: "Updated",
+    merge: "Merged",
+    revert: "Reverted",
+  };
+
+  function describeVersion(version) {
+    if (version.action === "revert") {
+      return `Reverted to version ${version.revertedTo}`;
+    }
+    const label = VERSION_ACTION_LABELS[version.action] || version.action;
+    const fields = version.changedFields || [];
+    if (fields.length === 0) return label;
+    const shown = fields.slice(0, 3).join(", ");
+    const more = fields.length > 3 ? ` and ${fields.length - 3} more` : "";
+    return `${label}: ${shown}${more}`;
+  }
+
+  function formatValue(value) {
+    if (value == null || value === "") return "—";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+
+  // What changed between a version and the current one
+  async function showDiff(root, api, tenantId, personId, version) {
+    const wrapper = qs("#tenantPersonView_historyDiff", root);
+    const body = qs("#tenantPersonView_historyDiff tbody", root);
+    if (!wrapper || !body) return;
+    try {
+      const res = await api.externalPersonHistory.diff(tenantId, personId, {
+        from: version,
+      });
+      const { changes } = res?.data ?? res;
+      qs("#tenantPersonView_historyDiffTitle", root).textContent =
+        `Changes since version ${version}`;
+      body.textContent = "";
+      if (changes.length === 0) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = 3;
+        cell.textContent = "No changes";
+      }
+      changes.forEach((change) => {
+        const row = body.insertRow();
+        [change.field, formatValue(change.before), formatValue(change.after)]
+          .forEach((text) => {
+            row.insertCell().textContent = text;
+          });
+      });
+      wrapper.style.display = "";
+    } catch (e) {
+      console.warn("[TenantPersonViewModal] Diff failed:", e);
+      window.showToast?.("error", "Failed to compare versions");
+    }
+  }
+
+  // Write a version back (kept in the history as a new version)
+  async function revertTo(root, api, tenantId, personId, version) {
+    const reason = window.prompt(
+      `Revert this person to version ${version}? Reason (optional):`,
+      ""
+    );
+    if (reason === null) return;
+    try {
+      const res = await api.externalPersonHistory.revert(
+        tenantId,
+        personId,
+        version,
+        reason.trim() ? { reason: reason.trim() } : {}
+      );
+      const tenantData = await api.get(`/tenants/${tenantId}`);
+      fillForm(root, res?.data ?? res, personId, tenantData);
+      await loadHistory(root, api, tenantId, personId);
+      window.reloadPeopleList?.();
+      window.showToast?.("success", `Reverted to version ${version}`);
+    } catch (e) {
+      console.warn("[TenantPersonViewModal] Revert failed:", e);
+      const messages = {
+        403: "You don't have access to revert people",
+        412: "Someone else changed this person; reopen it to see the latest",
+      };
+      window.showToast?.("error", messages[e.status] || "Failed to revert");
+    }
+  }
+
+  // Versions, newest first; earlier ones can be compared and reverted to
+  async function loadHistory(root, api, tenantId, personId) {
+    const body = qs("#tenantPersonView_history tbody", root);
+    if (!body) return;
+    let versions = [];
+    try {
+      const res = await api.externalPersonHistory.list(tenantId, personId);
+      versions = res?.data || [];
+    } catch (e) {
+      console.warn("[TenantPersonViewModal] History failed:", e);
+    }
+
+    const diff = qs("#tenantPersonView_historyDiff", root);
+    if (diff) diff.style.display = "none";
+    body.textContent = "";
+    if (versions.length === 0) {
+      const cell = body.insertRow().insertCell();
+      cell.colSpan = 5;
+      cell.textContent = "No history";
+      return;
+    }
+    versions.forEach((version, index) => {
+      const row = body.insertRow();
+      const when = version.created?.when;
+      [
+        version.version,
+        when ? new Date(when).toLocaleString() : "—",
+        version.created?.by || "—",
+        describeVersion(version),
+      ].forEach((text) => {
+        row.insertCell().textContent = text;
+      });
+      const actions = row.insertCell();
+      if (index === 0) return; // the current version
+      const args = [root, api, tenantId, personId, version.version];
+      [
+        ["Compare", () => showDiff(...args)],
+        ["Revert", () => revertTo(...args)],
+      ].forEach(([label, onClick]) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "btn btn-link";
+        button.textContent = label;
+        button.addEventListener("click", onClick);
+        actions.appendChild(button);
+      });
+    });
+  }
+
   function close() {
     const overlay = qs("#" + containerId);
     if (!overlay) return;
@@ -278,6 +541,9 @@
       const tenantData = await api.get(`/tenants/${tenantId}`);
 
       fillForm(container, personData, personId, tenantData);
+      await loadConsentHistory(container, api, tenantId, personId);
+      await loadDocuments(container, api, tenantId, personId);
+      await loadHistory(container, api, tenantId, personId);
 
       container.classList.add("show");
       console.log("[TenantPersonViewModal] Modal opened successfully");
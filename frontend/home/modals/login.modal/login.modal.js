@@ -11,6 +11,12 @@ import {
   const containerId = "loginModal";
   const htmlPath = "/frontend/home/modals/login.modal/login.modal.html";
   let apiClientInstance = null; // cached TouchAfricaApiClient instance
+  // A login waiting on its two-factor step: { challengeToken, context }
+  let twoFactorLogin = null;
+  // The link from an invitation or reset email: { purpose, token, tenantId }
+  let accountLink = null;
+  // Where "Forgot password?" was clicked: { pane, tenantId }
+  let forgotFrom = null;
 
   function qs(sel, root = document) {
     return root.querySelector(sel);
@@ -103,6 +109,8 @@ import {
     } catch (e) {
       console.warn("Failed to populate tenant selects", e);
     }
+    const link = linkFromUrl();
+    if (link) showSetPassword(container, link);
     container.classList.add("show");
   }
 
@@ -116,15 +124,175 @@ import {
     container.classList.remove("show");
   }
 
+  const PANES = [
+    "#login_loginSelection",
+    "#login_internalLogin",
+    "#login_tenantAdminLogin",
+    "#login_tenantUserLogin",
+    "#login_twoFactorVerify",
+    "#login_twoFactorEnroll",
+    "#login_recoveryCodes",
+    "#login_forgotPassword",
+    "#login_setPassword",
+  ];
+
+  // Show one pane of the modal, hiding the others
+  function showPane(root, selector) {
+    PANES.forEach((id) => {
+      const pane = qs(id, root);
+      if (pane) pane.style.display = id === selector ? "block" : "none";
+    });
+  }
+
   function showSelection(root) {
-    const sel = qs("#login_loginSelection", root);
-    const i = qs("#login_internalLogin", root);
-    const ta = qs("#login_tenantAdminLogin", root);
-    const tu = qs("#login_tenantUserLogin", root);
-    if (sel) sel.style.display = "block";
-    if (i) i.style.display = "none";
-    if (ta) ta.style.display = "none";
-    if (tu) tu.style.display = "none";
+    twoFactorLogin = null;
+    accountLink = null;
+    forgotFrom = null;
+    showPane(root, "#login_loginSelection");
+  }
+
+  // Keep the session and go to the dashboard; context is
+  // { userRole, tenantId, dashboard }
+  async function finishLogin(client, payload, context) {
+    const token = payload?.token;
+    const admin = payload?.admin || payload?.user || null;
+    if (!token) throw new Error("Invalid server response: token missing");
+
+    // Persist token, role, user, and tenant context
+    try {
+      localStorage.setItem("token", token);
+      localStorage.setItem("userRole", context.userRole);
+      if (context.tenantId) localStorage.setItem("tenantId", context.tenantId);
+      if (admin) localStorage.setItem("user", JSON.stringify(admin));
+    } catch {}
+    try {
+      client.setToken(token);
+    } catch {}
+
+    // Close modal, toast, and redirect to the dashboard
+    close();
+    try {
+      await ensureNotifications();
+    } catch {}
+    setTimeout(() => {
+      if (window.TANotification) {
+        window.TANotification.success(
+          "Welcome back! Redirecting to dashboard...",
+          { title: "Login successful", duration: 2200 }
+        );
+      }
+      setTimeout(() => {
+        window.location.href = context.dashboard;
+      }, 500);
+    }, 200);
+  }
+
+  // Code field or recovery code field on the two-factor step
+  function setRecoveryMode(root, on) {
+    const form = qs("#twoFactorVerifyForm", root);
+    if (!form) return;
+    form.dataset.mode = on ? "recovery" : "code";
+    qsa(".form-group[data-mode]", form).forEach((group) => {
+      const active = group.dataset.mode === form.dataset.mode;
+      group.style.display = active ? "block" : "none";
+      const input = qs("input", group);
+      if (input) input.required = active;
+    });
+    const toggle = qs('[data-action="toggle-recovery"]', form);
+    if (toggle) {
+      toggle.textContent = on
+        ? "Use your authenticator app instead"
+        : "Use a recovery code instead";
+    }
+    const hint = qs("#login_twoFactorHint", root);
+    if (hint) {
+      hint.textContent = on
+        ? "Enter one of the recovery codes you saved at setup."
+        : "Enter the 6-digit code from your authenticator app.";
+    }
+  }
+
+  // The password checked out but the account uses two-factor: show the
+  // code step, or the setup its role requires first
+  async function startTwoFactor(root, challenge, context) {
+    twoFactorLogin = { challengeToken: challenge.challengeToken, context };
+    clearForms(root);
+    if (challenge.stage === "enroll") {
+      const client = await getApiClient();
+      const res = await client.twoFactor.enrollChallenge(
+        challenge.challengeToken
+      );
+      const setup = res && res.data ? res.data : res;
+      qs("#login_twoFactorQr", root).src = setup.qrCode;
+      qs("#login_twoFactorSecret", root).textContent = setup.secret;
+      showPane(root, "#login_twoFactorEnroll");
+      qs("#login_enrollCode", root)?.focus();
+      return;
+    }
+    setRecoveryMode(root, false);
+    showPane(root, "#login_twoFactorVerify");
+    qs("#login_twoFactorCode", root)?.focus();
+  }
+
+  // Recovery codes after a setup during login; Continue finishes the login
+  function showRecoveryCodes(root, codes, onContinue) {
+    const list = qs("#login_recoveryCodeList", root);
+    if (list) {
+      list.innerHTML = "";
+      for (const code of codes || []) {
+        const item = document.createElement("li");
+        item.textContent = code;
+        list.appendChild(item);
+      }
+    }
+    const pane = qs("#login_recoveryCodes", root);
+    const btn = pane && qs('[data-action="continue"]', pane);
+    if (btn) btn.onclick = onContinue;
+    showPane(root, "#login_recoveryCodes");
+  }
+
+  // ?account=invite|reset&token=...&tenant=... from an emailed link
+  function linkFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const purpose = params.get("account");
+    const token = params.get("token");
+    if (!token || !["invite", "reset"].includes(purpose)) return null;
+    return { purpose, token, tenantId: params.get("tenant") || null };
+  }
+
+  // The token works once: keep it out of the history and of reloads
+  function clearLinkFromUrl() {
+    const url = new URL(window.location.href);
+    ["account", "token", "tenant"].forEach((k) => url.searchParams.delete(k));
+    try {
+      window.history.replaceState(null, "", url.pathname + url.search);
+    } catch {}
+  }
+
+  // The admin login form of the platform or of a tenant (preselected)
+  function showAdminLogin(root, tenantId) {
+    if (!tenantId) return showPane(root, "#login_internalLogin");
+    const org = qs("#login_adminOrganization", root);
+    if (org) org.value = tenantId;
+    showPane(root, "#login_tenantAdminLogin");
+  }
+
+  function showForgotPassword(root, from) {
+    forgotFrom = from;
+    clearForms(root);
+    showPane(root, "#login_forgotPassword");
+    qs("#login_forgotEmail", root)?.focus();
+  }
+
+  function showSetPassword(root, link) {
+    accountLink = link;
+    clearForms(root);
+    const invite = link.purpose === "invite";
+    qs("#login_setPasswordTitle", root).textContent = invite
+      ? "Accept Your Invitation"
+      : "Choose a New Password";
+    showPane(root, "#login_setPassword");
+    qs("#login_newPassword", root)?.focus();
   }
 
   function wire(root) {
@@ -168,7 +336,41 @@ import {
     qsa('[data-action="back"]', root).forEach((btn) => {
       if (btn.dataset._wired) return;
       btn.dataset._wired = "1";
-      btn.addEventListener("click", () => showSelection(root));
+      btn.addEventListener("click", () => {
+        if (accountLink) clearLinkFromUrl();
+        showSelection(root);
+      });
+    });
+
+    // Forgot password: from the platform or the tenant admin form (the
+    // organization has to be chosen first)
+    qsa('[data-action="forgot"]', root).forEach((btn) => {
+      if (btn.dataset._wired) return;
+      btn.dataset._wired = "1";
+      btn.addEventListener("click", () => {
+        const form = btn.closest("form");
+        if (form?.id !== "tenantAdminForm") {
+          return showForgotPassword(root, { pane: "#login_internalLogin" });
+        }
+        const orgEl = qs("#login_adminOrganization", form);
+        const tenantId = (orgEl?.value || "").trim();
+        if (!tenantId) {
+          showFieldError(orgEl, "Select your organization first");
+          orgEl?.focus();
+          return;
+        }
+        showForgotPassword(root, {
+          pane: "#login_tenantAdminLogin",
+          tenantId,
+        });
+      });
+    });
+    qsa('[data-action="forgot-back"]', root).forEach((btn) => {
+      if (btn.dataset._wired) return;
+      btn.dataset._wired = "1";
+      btn.addEventListener("click", () =>
+        showAdminLogin(root, forgotFrom?.tenantId)
+      );
     });
 
     // Validation helpers
@@ -293,40 +495,17 @@ import {
 
               // Accept both standardized and raw structures
               const payload = res && res.data ? res.data : res;
-              const token = payload?.token;
-              const admin = payload?.admin || payload?.user || null;
-              if (!token)
-                throw new Error("Invalid server response: token missing");
-
-              // Persist token and minimal session state
-              localStorage.setItem("token", token);
-              localStorage.setItem("userRole", "internal_admin");
-              if (admin) {
-                try {
-                  localStorage.setItem("user", JSON.stringify(admin));
-                } catch {}
+              const context = {
+                userRole: "internal_admin",
+                dashboard: "/dashboards/internal.admin/dashboard.html",
+              };
+
+              // Accounts using two-factor authentication have a second step
+              if (payload?.twoFactorRequired) {
+                await startTwoFactor(root, payload, context);
+                return;
               }
-              try {
-                client.setToken(token);
-              } catch {}
-
-              // Close modal, then toast, then redirect to service admin dashboard
-              close();
-              try {
-                await ensureNotifications();
-              } catch {}
-              setTimeout(() => {
-                if (window.TANotification) {
-                  window.TANotification.success(
-                    "Welcome back! Redirecting to dashboard...",
-                    { title: "Login successful", duration: 2200 }
-                  );
-                }
-                setTimeout(() => {
-                  window.location.href =
-                    "/dashboards/internal.admin/dashboard.html";
-                }, 500);
-              }, 200);
+              await finishLogin(client, payload, context);
               return; // stop here for internal login
             } catch (err) {
               console.error("Service admin login failed", err);
@@ -409,47 +588,18 @@ import {
               });
 
               const payload = res && res.data ? res.data : res;
-              const token = payload?.token;
-              const admin = payload?.admin || payload?.user || null;
-              if (!token)
-                throw new Error("Invalid server response: token missing");
-
-              // Persist token, role, user, and tenant context
-              try {
-                localStorage.setItem("token", token);
-              } catch {}
-              try {
-                localStorage.setItem("userRole", "tenant_admin");
-              } catch {}
-              try {
-                localStorage.setItem("tenantId", tenantId);
-              } catch {}
-              if (admin) {
-                try {
-                  localStorage.setItem("user", JSON.stringify(admin));
-                } catch {}
+              const context = {
+                userRole: "tenant_admin",
+                tenantId,
+                dashboard: "/dashboards/tenant.admin/dashboard.html",
+              };
+
+              // Accounts using two-factor authentication have a second step
+              if (payload?.twoFactorRequired) {
+                await startTwoFactor(root, payload, context);
+                return;
               }
-              try {
-                client.setToken(token);
-              } catch {}
-
-              // Close modal, toast, and redirect to tenant admin dashboard
-              close();
-              try {
-                await ensureNotifications();
-              } catch {}
-              setTimeout(() => {
-                if (window.TANotification) {
-                  window.TANotification.success(
-                    "Welcome back! Redirecting to dashboard...",
-                    { title: "Login successful", duration: 2200 }
-                  );
-                }
-                setTimeout(() => {
-                  window.location.href =
-                    "/dashboards/tenant.admin/dashboard.html";
-                }, 500);
-              }, 200);
+              await finishLogin(client, payload, context);
               return; // stop here for tenant admin
             } catch (err) {
               console.error("Tenant admin login failed", err);
@@ -511,6 +661,231 @@ import {
         });
       }
     );
+    // Two-factor step: send the code, keep the session or start over when
+    // the challenge has expired or run out of attempts
+    const submitTwoFactor = async (form, field, request) => {
+      const submitBtn = qs('button[type="submit"]', form);
+      const origText = submitBtn?.textContent;
+      if (submitBtn) {
+        submitBtn.disabled = true;
+        submitBtn.textContent = "Verifying...";
+      }
+      try {
+        const client = await getApiClient();
+        await request(client);
+      } catch (err) {
+        console.error("Two-factor step failed", err);
+        const msg =
+          (err && (err.data?.error?.message || err.data?.message)) ||
+          "Verification failed. Please try again.";
+        showFieldError(field, msg);
+        field?.focus();
+        try {
+          await ensureNotifications();
+          if (window.TANotification) {
+            window.TANotification.error(msg, {
+              title: "Login failed",
+              duration: 4000,
+            });
+          }
+        } catch {}
+        if (err && err.status === 401 && /log in again/i.test(msg)) {
+          showSelection(root);
+        }
+      } finally {
+        if (submitBtn) {
+          submitBtn.disabled = false;
+          submitBtn.textContent = origText || "Verify";
+        }
+      }
+    };
+
+    const verifyForm = qs("#twoFactorVerifyForm", root);
+    if (verifyForm && !verifyForm.dataset._wired) {
+      verifyForm.dataset._wired = "1";
+      qs('[data-action="toggle-recovery"]', verifyForm)?.addEventListener(
+        "click",
+        () => setRecoveryMode(root, verifyForm.dataset.mode !== "recovery")
+      );
+      verifyForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        if (!twoFactorLogin) return showSelection(root);
+        const useRecovery = verifyForm.dataset.mode === "recovery";
+        const field = useRecovery
+          ? qs("#login_recoveryCode", verifyForm)
+          : qs("#login_twoFactorCode", verifyForm);
+        const value = (field?.value || "").trim();
+        clearFieldError(field);
+        if (!useRecovery && !/^\d{6}$/.test(value)) {
+          showFieldError(field, "Enter the 6-digit code from your app");
+          return;
+        }
+        if (useRecovery && !value) {
+          showFieldError(field, "Enter one of your recovery codes");
+          return;
+        }
+        const { challengeToken, context } = twoFactorLogin;
+        await submitTwoFactor(verifyForm, field, async (client) => {
+          const res = await client.twoFactor.verify({
+            challengeToken,
+            ...(useRecovery ? { recoveryCode: value } : { code: value }),
+          });
+          const payload = res && res.data ? res.data : res;
+          await finishLogin(client, payload, context);
+          if (useRecovery && window.TANotification) {
+            window.TANotification.warning(
+              `${payload.recoveryCodesRemaining} recovery code(s) left`,
+              { title: "Recovery code used", duration: 4000 }
+            );
+          }
+        });
+      });
+    }
+
+    const enrollForm = qs("#twoFactorEnrollForm", root);
+    if (enrollForm && !enrollForm.dataset._wired) {
+      enrollForm.dataset._wired = "1";
+      enrollForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        if (!twoFactorLogin) return showSelection(root);
+        const field = qs("#login_enrollCode", enrollForm);
+        const value = (field?.value || "").trim();
+        clearFieldError(field);
+        if (!/^\d{6}$/.test(value)) {
+          showFieldError(field, "Enter the 6-digit code from your app");
+          return;
+        }
+        const { challengeToken, context } = twoFactorLogin;
+        await submitTwoFactor(enrollForm, field, async (client) => {
+          const res = await client.twoFactor.confirmChallenge({
+            challengeToken,
+            code: value,
+          });
+          const payload = res && res.data ? res.data : res;
+          // The session has started; the codes are only shown this once
+          showRecoveryCodes(root, payload.recoveryCodes, () =>
+            finishLogin(client, payload, context)
+          );
+        });
+      });
+    }
+
+    // Notification after a forgot-password or set-password step
+    const notify = async (kind, msg, title) => {
+      try {
+        await ensureNotifications();
+        if (window.TANotification) {
+          window.TANotification[kind](msg, { title, duration: 4000 });
+        }
+      } catch {}
+    };
+    const errorMessage = (err, fallback) =>
+      (err && (err.data?.error?.message || err.data?.message)) || fallback;
+
+    const forgotForm = qs("#forgotPasswordForm", root);
+    if (forgotForm && !forgotForm.dataset._wired) {
+      forgotForm.dataset._wired = "1";
+      forgotForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const field = qs("#login_forgotEmail", forgotForm);
+        if (!validateField(field)) return field?.focus();
+        const submitBtn = qs('button[type="submit"]', forgotForm);
+        const origText = submitBtn?.textContent;
+        if (submitBtn) {
+          submitBtn.disabled = true;
+          submitBtn.textContent = "Sending...";
+        }
+        try {
+          const client = await getApiClient();
+          const body = { email: field.value.trim() };
+          const tenantId = forgotFrom?.tenantId;
+          const res = tenantId
+            ? await client.externalAdmins.forgotPassword(tenantId, body)
+            : await client.admins.forgotPassword(body);
+          // The same answer whether or not the email has an account
+          await notify(
+            "success",
+            res?.message || "Check your email for a reset link",
+            "Reset link sent"
+          );
+          showAdminLogin(root, tenantId);
+        } catch (err) {
+          console.error("Forgot password failed", err);
+          const msg = errorMessage(err, "Could not send the reset link.");
+          showFieldError(field, msg);
+          await notify("error", msg, "Reset failed");
+        } finally {
+          if (submitBtn) {
+            submitBtn.disabled = false;
+            submitBtn.textContent = origText || "Send Link";
+          }
+        }
+      });
+    }
+
+    const setPasswordForm = qs("#setPasswordForm", root);
+    if (setPasswordForm && !setPasswordForm.dataset._wired) {
+      setPasswordForm.dataset._wired = "1";
+      setPasswordForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        if (!accountLink) return showSelection(root);
+        const passEl = qs("#login_newPassword", setPasswordForm);
+        const confirmEl = qs("#login_confirmPassword", setPasswordForm);
+        clearFieldError(passEl);
+        clearFieldError(confirmEl);
+        const password = passEl?.value || "";
+        if (password.length < 8) {
+          showFieldError(passEl, "Use at least 8 characters");
+          return passEl?.focus();
+        }
+        if (password !== confirmEl?.value) {
+          showFieldError(confirmEl, "The passwords don't match");
+          return confirmEl?.focus();
+        }
+
+        const submitBtn = qs('button[type="submit"]', setPasswordForm);
+        const origText = submitBtn?.textContent;
+        if (submitBtn) {
+          submitBtn.disabled = true;
+          submitBtn.textContent = "Saving...";
+        }
+        const { purpose, token, tenantId } = accountLink;
+        try {
+          const client = await getApiClient();
+          const group = tenantId ? client.externalAdmins : client.admins;
+          const call =
+            purpose === "invite" ? group.acceptInvitation : group.resetPassword;
+          const body = { token, password };
+          const res = tenantId ? await call(tenantId, body) : await call(body);
+          clearLinkFromUrl();
+          accountLink = null;
+          clearForms(root);
+          showAdminLogin(root, tenantId);
+          if (res?.data?.email) {
+            const emailEl = tenantId
+              ? qs("#login_adminEmail", root)
+              : qs("#login_internalEmail", root);
+            if (emailEl) emailEl.value = res.data.email;
+          }
+          await notify(
+            "success",
+            res?.message || "Password saved; please log in",
+            purpose === "invite" ? "Welcome to TouchAfrica" : "Password reset"
+          );
+        } catch (err) {
+          console.error("Setting the password failed", err);
+          const msg = errorMessage(err, "Could not save the password.");
+          showFieldError(passEl, msg);
+          await notify("error", msg, "Password not saved");
+        } finally {
+          if (submitBtn) {
+            submitBtn.disabled = false;
+            submitBtn.textContent = origText || "Save Password";
+          }
+        }
+      });
+    }
+
     function clearForms(root) {
       // Reset all forms
       qsa("form", root).forEach((f) => {
@@ -586,4 +961,13 @@ import {
 
   // expose
   window.openLoginModal = open;
+
+  // Links in invitation and reset emails land on the home page
+  if (new URLSearchParams(window.location.search).get("token")) {
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => open());
+    } else {
+      open();
+    }
+  }
 })();
@@ -0,0 +1,137 @@
+/**
+ * Address Autocomplete
+ * Suggests suburbs and postal codes from the country's gazetteer
+ * (GET /general/addresses/suggest) as they are typed into a person modal's
+ * address fields; picking one fills in the rest of the address.
+ *
+ * Usage:
+ * import { attachAddressAutocomplete } from '/frontend/shared/js/address-autocomplete.js';
+ *
+ * attachAddressAutocomplete(getApi, root, {
+ *   suburb: "#res_suburb",
+ *   city: "#res_city",
+ *   municipality: "#res_municipality",
+ *   province: "#res_province",
+ *   postalCode: "#res_postalCode",
+ * });
+ */
+
+const SUGGEST_DELAY_MS = 250;
+const SUGGEST_MIN_LENGTH = 2;
+const SUGGEST_LIMIT = 8;
+
+// The fields a picked suggestion fills in, besides the one typed into
+const FILLED_FIELDS = [
+  "suburb",
+  "city",
+  "municipality",
+  "province",
+  "postalCode",
+];
+
+function suggestionLabel({ suburb, city, province, postalCode }) {
+  return `${suburb}, ${city} (${province}) ${postalCode}`;
+}
+
+// Set a field and let the modal's validation see the change
+function setFieldValue(field, value) {
+  if (!field || value == null || field.value === value) return;
+  if (
+    field.tagName === "SELECT" &&
+    !Array.from(field.options).some((o) => o.value === value)
+  ) {
+    return;
+  }
+  field.value = value;
+  field.dispatchEvent(new Event("input", { bubbles: true }));
+  field.dispatchEvent(new Event("change", { bubbles: true }));
+}
+
+/**
+ * Wire the suburb and postal code inputs of one address to the suggestions
+ * @param {Function} getApi - Resolves the modal's API client
+ * @param {HTMLElement} root - The modal
+ * @param {Object} selectors - { suburb, city, municipality, province,
+ *   postalCode }; fields that are missing are skipped
+ */
+export function attachAddressAutocomplete(getApi, root, selectors) {
+  const fields = {};
+  for (const name of FILLED_FIELDS) {
+    fields[name] = selectors[name] ? root.querySelector(selectors[name]) : null;
+  }
+
+  const fill = (entry, typedInto) => {
+    for (const name of FILLED_FIELDS) {
+      // A postal code is shared by several suburbs: keep one already typed
+      if (name === "suburb" && typedInto === "postalCode") {
+        if ((fields.suburb?.value || "").trim()) continue;
+      }
+      setFieldValue(fields[name], entry[name]);
+    }
+  };
+
+  for (const typedInto of ["suburb", "postalCode"]) {
+    const input = fields[typedInto];
+    if (!input || input.dataset.addressAutocomplete) continue;
+    input.dataset.addressAutocomplete = "1";
+
+    const list = document.createElement("datalist");
+    list.id = `${input.id}_suggestions`;
+    input.after(list);
+    input.setAttribute("list", list.id);
+    input.setAttribute("autocomplete", "off");
+
+    let suggestions = [];
+    let timer = null;
+    let sequence = 0;
+
+    const suggest = async () => {
+      const q = input.value.trim();
+      const current = ++sequence;
+      if (q.length < SUGGEST_MIN_LENGTH) {
+        suggestions = [];
+        list.textContent = "";
+        return;
+      }
+      try {
+        const api = await getApi();
+        const params = { q, limit: SUGGEST_LIMIT };
+        if (fields.province?.value) params.province = fields.province.value;
+        const res = await api.addresses.suggest(params);
+        if (current !== sequence) return; // a later keystroke won
+        suggestions = res?.data || [];
+      } catch (e) {
+        if (current !== sequence) return;
+        console.warn("[AddressAutocomplete] Suggestions failed:", e);
+        suggestions = [];
+      }
+      list.textContent = "";
+      suggestions.forEach((entry) => {
+        const option = document.createElement("option");
+        option.value = entry[typedInto];
+        option.label = suggestionLabel(entry);
+        list.appendChild(option);
+      });
+    };
+
+    // Picking a suggestion puts its value in the input
+    const pick = () => {
+      const value = input.value.trim().toLowerCase();
+      const entry = suggestions.find(
+        (s) => String(s[typedInto]).toLowerCase() === value
+      );
+      if (entry) fill(entry, typedInto);
+    };
+
+    input.addEventListener("input", (e) => {
+      // Chrome reports a picked option as a replacement, not typing
+      if (!e.inputType || e.inputType === "insertReplacementText") {
+        pick();
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(suggest, SUGGEST_DELAY_MS);
+    });
+    input.addEventListener("change", pick);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Record Conflict Prompt
+ * Shown by edit modals when a save is rejected with 412 Precondition Failed
+ * (someone else changed the record after it was loaded).
+ *
+ * Usage:
+ * import { saveWithConflictPrompt } from '/frontend/shared/js/record-conflict-prompt.js';
+ *
+ * const res = await saveWithConflictPrompt(
+ *   (opts) => api.persons.update(id, payload, opts),
+ *   { label: "person", reload: () => open(id) }
+ * );
+ * if (!res) return; // reloaded or cancelled
+ */
+
+const PROMPT_ID = "recordConflictPrompt";
+
+/**
+ * Whether an API client error is an optimistic concurrency conflict
+ * @param {Error} err - Error thrown by the API client
+ * @returns {boolean}
+ */
+export function isRecordConflict(err) {
+  return err?.status === 412;
+}
+
+/**
+ * Ask the user how to resolve a conflicting save
+ * @param {string} label - Record type for the message (e.g. "person")
+ * @returns {Promise<"reload"|"overwrite"|"cancel">}
+ */
+export function promptRecordConflict(label = "record") {
+  document.getElementById(PROMPT_ID)?.remove();
+
+  const overlay = document.createElement("div");
+  overlay.id = PROMPT_ID;
+  overlay.className = "modal-overlay show";
+  overlay.style.zIndex = "2147483000";
+  overlay.innerHTML = `
+    <div class="modal-dialog" role="alertdialog" aria-labelledby="${PROMPT_ID}Title">
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2 class="modal-title" id="${PROMPT_ID}Title">Record changed</h2>
+        </div>
+        <div class="modal-body">
+          <p>
+            This ${label} was changed by someone else after you opened it.
+            Reload to see their changes (your edits will be discarded), or
+            overwrite their changes with yours.
+          </p>
+          <div class="form-actions">
+            <button type="button" class="btn btn-secondary" data-choice="cancel">Cancel</button>
+            <button type="button" class="btn btn-secondary" data-choice="reload">Reload</button>
+            <button type="button" class="btn btn-primary" data-choice="overwrite">Overwrite</button>
+          </div>
+        </div>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  return new Promise((resolve) => {
+    overlay.addEventListener("click", (e) => {
+      const choice = e.target?.closest?.("[data-choice]")?.dataset.choice;
+      if (!choice) return;
+      overlay.remove();
+      resolve(choice);
+    });
+  });
+}
+
+/**
+ * Run a save; on a 412 conflict ask the user to reload or overwrite
+ * @param {Function} save - (opts) => Promise; opts carries `ifMatch` on overwrite
+ * @param {Object} options
+ * @param {string} options.label - Record type for the prompt message
+ * @param {Function} options.reload - Reloads the latest record into the form
+ * @returns {Promise<any|null>} Save result, or null when reloaded/cancelled
+ */
+export async function saveWithConflictPrompt(save, { label, reload } = {}) {
+  try {
+    return await save({});
+  } catch (err) {
+    if (!isRecordConflict(err)) throw err;
+
+    const choice = await promptRecordConflict(label);
+    if (choice === "overwrite") {
+      // Retry against the version the server reported as current
+      return await save({ ifMatch: err.etag || "*" });
+    }
+    if (choice === "reload" && reload) await reload();
+    return null;
+  }
+}
@@ -1,24 +1,127 @@
 // TouchAfrica Backend API Client (ESM)
 // Lightweight, dependency-free client using fetch. Works in Node 18+ and browsers.
 
+// Refreshes in flight, by refresh token: clients sharing a refresh token
+// share the request, so the token is only presented once
+const pendingRefreshes = new Map();
+
+// Responses that mean the access token is no longer accepted
+function isAuthFailure(err) {
+  return (
+    err.status === 401 ||
+    (err.status === 403 && err.data?.error?.code === "AUTHENTICATION_FAILED")
+  );
+}
+
 export class TouchAfricaApiClient {
-  constructor({ baseUrl, token, headers = {}, timeout = 30000 } = {}) {
+  constructor({
+    baseUrl,
+    token,
+    refreshToken,
+    storage,
+    headers = {},
+    timeout = 30000,
+  } = {}) {
     if (!baseUrl) throw new Error("baseUrl is required");
     this.baseUrl = baseUrl.replace(/\/$/, "");
     this.token = token || null;
+    this.refreshToken = refreshToken || null;
+    // Where the tokens are kept ("token", "refreshToken"); localStorage in
+    // browsers, so clients on a page pick up each other's refreshed tokens.
+    // Pass null to keep them on this client only.
+    this.storage =
+      storage === undefined ? globalThis.localStorage ?? null : storage;
     this.defaultHeaders = { Accept: "application/json", ...headers };
     this.timeout = timeout;
+    // Last ETag seen per resource path; sent back as If-Match on PUT/PATCH
+    // (other methods send one only when given `ifMatch`)
+    this.etags = new Map();
+  }
+
+  _stored(key) {
+    try {
+      return this.storage?.getItem(key) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  _store(key, value) {
+    try {
+      if (value) this.storage?.setItem(key, value);
+      else this.storage?.removeItem(key);
+    } catch {}
   }
 
   setToken(token) {
     this.token = token;
+    this._store("token", token);
+  }
+
+  // Tokens from a login or refresh ({ token, refreshToken })
+  setTokens({ token, refreshToken } = {}) {
+    this.setToken(token || null);
+    this.refreshToken = refreshToken || null;
+    this._store("refreshToken", refreshToken);
+  }
+
+  // Requests whose access token has expired (or whose session was revoked)
+  // are sent again once after a refresh; `noRefresh` opts out
+  async _request(method, path, opts = {}) {
+    try {
+      return await this._send(method, path, opts);
+    } catch (err) {
+      if (opts.noRefresh || !isAuthFailure(err)) throw err;
+      if (!(await this._refreshTokens())) throw err;
+      return this._send(method, path, opts);
+    }
+  }
+
+  // Swap the refresh token for a new pair
+  async _refreshTokens() {
+    const refreshToken = this._stored("refreshToken") || this.refreshToken;
+    if (!refreshToken) return false;
+    if (!pendingRefreshes.has(refreshToken)) {
+      const refresh = this._send("POST", "/api/v1/auth/refresh", {
+        body: { refreshToken },
+      }).finally(() => pendingRefreshes.delete(refreshToken));
+      pendingRefreshes.set(refreshToken, refresh);
+    }
+    try {
+      const res = await pendingRefreshes.get(refreshToken);
+      this.setTokens(res?.data ?? res);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Keep the tokens a login returns
+  async _startSession(login) {
+    const res = await login;
+    const data = res?.data ?? res;
+    if (data?.token) this.setTokens(data);
+    return res;
+  }
+
+  // Log out (the server revokes the session) and forget the tokens
+  async _endSession(path, opts = {}) {
+    const refreshToken = this._stored("refreshToken") || this.refreshToken;
+    try {
+      return await this.post(path, {
+        body: refreshToken ? { refreshToken } : undefined,
+        ...opts,
+      });
+    } finally {
+      this.setTokens({});
+    }
   }
 
   // Internal fetch wrapper with timeout and JSON handling
-  async _request(
+  async _send(
     method,
     path,
-    { params, body, headers = {}, responseType = "json" } = {}
+    { params, body, headers = {}, responseType = "json", ifMatch } = {}
   ) {
     const url = new URL(this.baseUrl + path);
     if (params && typeof params === "object") {
@@ -34,7 +137,14 @@ export class TouchAfricaApiClient {
     const to = setTimeout(() => controller.abort("timeout"), this.timeout);
 
     const hdrs = { ...this.defaultHeaders, ...headers };
-    if (this.token) hdrs["Authorization"] = `Bearer ${this.token}`;
+    const token = this._stored("token") || this.token;
+    if (token) hdrs["Authorization"] = `Bearer ${token}`;
+    if (method === "PUT" || method === "PATCH") {
+      const tag = ifMatch ?? this.etags.get(path);
+      if (tag) hdrs["If-Match"] = tag;
+    } else if (ifMatch) {
+      hdrs["If-Match"] = ifMatch;
+    }
     let payload;
     if (body !== undefined && body !== null) {
       if (body instanceof Blob || body instanceof ArrayBuffer) {
@@ -63,12 +173,15 @@ export class TouchAfricaApiClient {
     else if (responseType === "text") data = await res.text();
     else data = isJson ? await res.json().catch(() => null) : await res.text();
 
+    const etag = res.headers.get("etag");
     if (!res.ok) {
       const err = new Error(`HTTP ${res.status}`);
       err.status = res.status;
       err.data = data;
+      if (etag) err.etag = etag; // current version on 412 conflicts
       throw err;
     }
+    if (etag && method !== "DELETE") this.etags.set(path, etag);
     return data;
   }
 
@@ -89,6 +202,18 @@ export class TouchAfricaApiClient {
     return this._request("DELETE", path, opts);
   }
 
+  // Revert a person to a version, guarded by the person's last ETag; the
+  // person's ETag is then the one the revert returned
+  async _revertPerson(personPath, version, body) {
+    const path = `${personPath}/history/${version}/revert`;
+    const data = await this.post(path, {
+      body,
+      ifMatch: this.etags.get(personPath),
+    });
+    this.etags.set(personPath, this.etags.get(path));
+    return data;
+  }
+
   // ========================= Modules =========================
   // General: Service Info
   serviceInfo = {
@@ -108,10 +233,22 @@ export class TouchAfricaApiClient {
     features: () => this.get("/api/v1/general/service-info/features"),
   };
 
+  // General: Addresses (gazetteer lookups)
+  addresses = {
+    suggest: (params) =>
+      this.get("/api/v1/general/addresses/suggest", { params }),
+    normalize: (body) =>
+      this.post("/api/v1/general/addresses/normalize", { body }),
+  };
+
   // Internal: Admins
   admins = {
-    login: (body) => this.post("/api/v1/internal/admins/login", { body }),
-    logout: () => this.post("/api/v1/internal/admins/logout"),
+    login: (body) =>
+      this._startSession(
+        this.post("/api/v1/internal/admins/login", { body, noRefresh: true })
+      ),
+    logout: () =>
+      this._endSession("/api/v1/internal/admins/logout", { noRefresh: true }),
     create: (body) => this.post("/api/v1/internal/admins", { body }),
     me: () => this.get("/api/v1/internal/admins/me"),
     list: (params) => this.get("/api/v1/internal/admins", { params }),
@@ -120,11 +257,84 @@ export class TouchAfricaApiClient {
     export: (params) => this.get("/api/v1/internal/admins/export", { params }),
     stats: (params) => this.get("/api/v1/internal/admins/stats", { params }),
     get: (id) => this.get(`/api/v1/internal/admins/${id}`),
-    update: (id, body) => this.put(`/api/v1/internal/admins/${id}`, { body }),
-    patch: (id, body) => this.patch(`/api/v1/internal/admins/${id}`, { body }),
+    update: (id, body, opts) =>
+      this.put(`/api/v1/internal/admins/${id}`, { body, ...opts }),
+    patch: (id, body, opts) =>
+      this.patch(`/api/v1/internal/admins/${id}`, { body, ...opts }),
     remove: (id) => this.delete(`/api/v1/internal/admins/${id}`),
     activate: (id) => this.put(`/api/v1/internal/admins/${id}/activate`),
     deactivate: (id) => this.put(`/api/v1/internal/admins/${id}/deactivate`),
+    sessions: (id) => this.get(`/api/v1/internal/admins/${id}/sessions`),
+    revokeSession: (id, sessionId) =>
+      this.delete(`/api/v1/internal/admins/${id}/sessions/${sessionId}`),
+    revokeSessions: (id) =>
+      this.delete(`/api/v1/internal/admins/${id}/sessions`),
+    resetTwoFactor: (id) => this.delete(`/api/v1/internal/admins/${id}/2fa`),
+    loginSecurity: (id) =>
+      this.get(`/api/v1/internal/admins/${id}/login-security`),
+    logins: (id, params) =>
+      this.get(`/api/v1/internal/admins/${id}/logins`, { params }),
+    unlock: (id) => this.post(`/api/v1/internal/admins/${id}/unlock`),
+    invite: (body) =>
+      this.post("/api/v1/internal/admins/invitations", { body }),
+    resendInvitation: (id) =>
+      this.post(`/api/v1/internal/admins/${id}/invitation`),
+    // From the links in invitation and reset emails ({ token, password })
+    forgotPassword: (body) =>
+      this.post("/api/v1/internal/admins/password/forgot", {
+        body,
+        noRefresh: true,
+      }),
+    resetPassword: (body) =>
+      this.post("/api/v1/internal/admins/password/reset", {
+        body,
+        noRefresh: true,
+      }),
+    acceptInvitation: (body) =>
+      this.post("/api/v1/internal/admins/invitations/accept", {
+        body,
+        noRefresh: true,
+      }),
+  };
+
+  // Sessions: the caller's own (refresh, logout, sign out everywhere)
+  auth = {
+    refresh: () => this._refreshTokens(),
+    logout: () => this._endSession("/api/v1/auth/logout", { noRefresh: true }),
+    logoutAll: () => this._endSession("/api/v1/auth/logout-all"),
+    sessions: () => this.get("/api/v1/auth/sessions"),
+  };
+
+  // Two-factor: the login's second step ({ challengeToken, ... } from a
+  // login answering twoFactorRequired) and the caller's own settings
+  twoFactor = {
+    verify: (body) =>
+      this._startSession(
+        this.post("/api/v1/auth/2fa/challenge/verify", {
+          body,
+          noRefresh: true,
+        })
+      ),
+    enrollChallenge: (challengeToken) =>
+      this.post("/api/v1/auth/2fa/challenge/enroll", {
+        body: { challengeToken },
+        noRefresh: true,
+      }),
+    confirmChallenge: (body) =>
+      this._startSession(
+        this.post("/api/v1/auth/2fa/challenge/confirm", {
+          body,
+          noRefresh: true,
+        })
+      ),
+    status: () => this.get("/api/v1/auth/2fa"),
+    enroll: () => this.post("/api/v1/auth/2fa/enroll"),
+    confirm: (code) =>
+      this.post("/api/v1/auth/2fa/confirm", { body: { code } }),
+    regenerateRecoveryCodes: (code) =>
+      this.post("/api/v1/auth/2fa/recovery-codes", { body: { code } }),
+    disable: (code) =>
+      this.post("/api/v1/auth/2fa/disable", { body: { code } }),
   };
 
   // Internal: Permissions
@@ -155,8 +365,10 @@ export class TouchAfricaApiClient {
     stats: (params) => this.get("/api/v1/internal/roles/stats", { params }),
     get: (id) => this.get(`/api/v1/internal/roles/${id}`),
     bulk: (body) => this.post("/api/v1/internal/roles/bulk", { body }),
-    update: (id, body) => this.put(`/api/v1/internal/roles/${id}`, { body }),
-    patch: (id, body) => this.patch(`/api/v1/internal/roles/${id}`, { body }),
+    update: (id, body, opts) =>
+      this.put(`/api/v1/internal/roles/${id}`, { body, ...opts }),
+    patch: (id, body, opts) =>
+      this.patch(`/api/v1/internal/roles/${id}`, { body, ...opts }),
     remove: (id) => this.delete(`/api/v1/internal/roles/${id}`),
   };
 
@@ -169,8 +381,10 @@ export class TouchAfricaApiClient {
     export: (params) => this.get("/api/v1/internal/tenants/export", { params }),
     stats: (params) => this.get("/api/v1/internal/tenants/stats", { params }),
     get: (id) => this.get(`/api/v1/internal/tenants/${id}`),
-    update: (id, body) => this.put(`/api/v1/internal/tenants/${id}`, { body }),
-    patch: (id, body) => this.patch(`/api/v1/internal/tenants/${id}`, { body }),
+    update: (id, body, opts) =>
+      this.put(`/api/v1/internal/tenants/${id}`, { body, ...opts }),
+    patch: (id, body, opts) =>
+      this.patch(`/api/v1/internal/tenants/${id}`, { body, ...opts }),
     remove: (id) => this.delete(`/api/v1/internal/tenants/${id}`),
     names: () => this.get("/api/v1/tenants/names"), // public, no auth required
     minimal: () => this.get("/api/v1/tenants/minimal"), // public, no auth required
@@ -185,9 +399,78 @@ export class TouchAfricaApiClient {
     export: (params) => this.get("/api/v1/internal/persons/export", { params }),
     stats: (params) => this.get("/api/v1/internal/persons/stats", { params }),
     get: (id) => this.get(`/api/v1/internal/persons/${id}`),
-    update: (id, body) => this.put(`/api/v1/internal/persons/${id}`, { body }),
-    patch: (id, body) => this.patch(`/api/v1/internal/persons/${id}`, { body }),
+    update: (id, body, opts) =>
+      this.put(`/api/v1/internal/persons/${id}`, { body, ...opts }),
+    patch: (id, body, opts) =>
+      this.patch(`/api/v1/internal/persons/${id}`, { body, ...opts }),
     remove: (id) => this.delete(`/api/v1/internal/persons/${id}`),
+    consents: (id) => this.get(`/api/v1/internal/persons/${id}/consents`),
+  };
+
+  // Internal: Duplicate persons review queue and merges
+  personDuplicates = {
+    scan: (body) =>
+      this.post("/api/v1/internal/persons/duplicates/scan", { body }),
+    list: (params) =>
+      this.get("/api/v1/internal/persons/duplicates", { params }),
+    get: (id) => this.get(`/api/v1/internal/persons/duplicates/${id}`),
+    dismiss: (id, body) =>
+      this.post(`/api/v1/internal/persons/duplicates/${id}/dismiss`, { body }),
+    merge: (id, body) =>
+      this.post(`/api/v1/internal/persons/duplicates/${id}/merge`, { body }),
+  };
+
+  // Internal: Person documents (file base64 encoded in body.data)
+  personDocuments = {
+    types: () => this.get("/api/v1/internal/persons/documents/types"),
+    expiring: (params) =>
+      this.get("/api/v1/internal/persons/documents/expiring", { params }),
+    list: (personId) =>
+      this.get(`/api/v1/internal/persons/${personId}/documents`),
+    upload: (personId, body) =>
+      this.post(`/api/v1/internal/persons/${personId}/documents`, { body }),
+    get: (personId, id) =>
+      this.get(`/api/v1/internal/persons/${personId}/documents/${id}`),
+    download: (personId, id) =>
+      this.get(
+        `/api/v1/internal/persons/${personId}/documents/${id}/download`,
+        { responseType: "blob" }
+      ),
+    remove: (personId, id) =>
+      this.delete(`/api/v1/internal/persons/${personId}/documents/${id}`),
+  };
+
+  // Internal: Person spreadsheet imports (file base64 encoded in body.data)
+  personImports = {
+    fields: () => this.get("/api/v1/internal/persons/imports/fields"),
+    getMapping: () => this.get("/api/v1/internal/persons/imports/mapping"),
+    saveMapping: (body) =>
+      this.put("/api/v1/internal/persons/imports/mapping", { body }),
+    preview: (body) =>
+      this.post("/api/v1/internal/persons/imports/preview", { body }),
+    list: (params) =>
+      this.get("/api/v1/internal/persons/imports", { params }),
+    get: (id) => this.get(`/api/v1/internal/persons/imports/${id}`),
+    commit: (id) =>
+      this.post(`/api/v1/internal/persons/imports/${id}/commit`),
+    errors: (id) =>
+      this.get(`/api/v1/internal/persons/imports/${id}/errors`, {
+        responseType: "blob",
+      }),
+  };
+
+  // Internal: Person version history (who/when/what, diffs, revert)
+  personHistory = {
+    list: (personId) =>
+      this.get(`/api/v1/internal/persons/${personId}/history`),
+    get: (personId, version) =>
+      this.get(`/api/v1/internal/persons/${personId}/history/${version}`),
+    diff: (personId, params) =>
+      this.get(`/api/v1/internal/persons/${personId}/history/diff`, {
+        params,
+      }),
+    revert: (personId, version, body) =>
+      this._revertPerson(`/api/v1/internal/persons/${personId}`, version, body),
   };
 
   // External (Tenant-scoped): Persons (tenantId-first route pattern /:tenantId/persons)
@@ -205,13 +488,144 @@ export class TouchAfricaApiClient {
     stats: (tenantId, params) =>
       this.get(`/api/v1/${tenantId}/persons/stats`, { params }),
     get: (tenantId, id) => this.get(`/api/v1/${tenantId}/persons/${id}`),
-    update: (tenantId, id, body) =>
-      this.put(`/api/v1/${tenantId}/persons/${id}`, { body }),
-    patch: (tenantId, id, body) =>
-      this.patch(`/api/v1/${tenantId}/persons/${id}`, { body }),
+    update: (tenantId, id, body, opts) =>
+      this.put(`/api/v1/${tenantId}/persons/${id}`, { body, ...opts }),
+    patch: (tenantId, id, body, opts) =>
+      this.patch(`/api/v1/${tenantId}/persons/${id}`, { body, ...opts }),
     remove: (tenantId, id) => this.delete(`/api/v1/${tenantId}/persons/${id}`),
   };
 
+  // External (Tenant-scoped): Duplicate persons review queue and merges
+  externalPersonDuplicates = {
+    scan: (tenantId, body) =>
+      this.post(`/api/v1/${tenantId}/persons/duplicates/scan`, { body }),
+    list: (tenantId, params) =>
+      this.get(`/api/v1/${tenantId}/persons/duplicates`, { params }),
+    get: (tenantId, id) =>
+      this.get(`/api/v1/${tenantId}/persons/duplicates/${id}`),
+    dismiss: (tenantId, id, body) =>
+      this.post(`/api/v1/${tenantId}/persons/duplicates/${id}/dismiss`, {
+        body,
+      }),
+    merge: (tenantId, id, body) =>
+      this.post(`/api/v1/${tenantId}/persons/duplicates/${id}/merge`, {
+        body,
+      }),
+  };
+
+  // External (Tenant-scoped): Person documents
+  externalPersonDocuments = {
+    types: (tenantId) =>
+      this.get(`/api/v1/${tenantId}/persons/documents/types`),
+    expiring: (tenantId, params) =>
+      this.get(`/api/v1/${tenantId}/persons/documents/expiring`, { params }),
+    list: (tenantId, personId) =>
+      this.get(`/api/v1/${tenantId}/persons/${personId}/documents`),
+    upload: (tenantId, personId, body) =>
+      this.post(`/api/v1/${tenantId}/persons/${personId}/documents`, { body }),
+    get: (tenantId, personId, id) =>
+      this.get(`/api/v1/${tenantId}/persons/${personId}/documents/${id}`),
+    download: (tenantId, personId, id) =>
+      this.get(
+        `/api/v1/${tenantId}/persons/${personId}/documents/${id}/download`,
+        { responseType: "blob" }
+      ),
+    remove: (tenantId, personId, id) =>
+      this.delete(`/api/v1/${tenantId}/persons/${personId}/documents/${id}`),
+  };
+
+  // External (Tenant-scoped): Person spreadsheet imports
+  externalPersonImports = {
+    fields: (tenantId) =>
+      this.get(`/api/v1/${tenantId}/persons/imports/fields`),
+    getMapping: (tenantId) =>
+      this.get(`/api/v1/${tenantId}/persons/imports/mapping`),
+    saveMapping: (tenantId, body) =>
+      this.put(`/api/v1/${tenantId}/persons/imports/mapping`, { body }),
+    preview: (tenantId, body) =>
+      this.post(`/api/v1/${tenantId}/persons/imports/preview`, { body }),
+    list: (tenantId, params) =>
+      this.get(`/api/v1/${tenantId}/persons/imports`, { params }),
+    get: (tenantId, id) =>
+      this.get(`/api/v1/${tenantId}/persons/imports/${id}`),
+    commit: (tenantId, id) =>
+      this.post(`/api/v1/${tenantId}/persons/imports/${id}/commit`),
+    errors: (tenantId, id) =>
+      this.get(`/api/v1/${tenantId}/persons/imports/${id}/errors`, {
+        responseType: "blob",
+      }),
+  };
+
+  // External (Tenant-scoped): Person version history
+  externalPersonHistory = {
+    list: (tenantId, personId) =>
+      this.get(`/api/v1/${tenantId}/persons/${personId}/history`),
+    get: (tenantId, personId, version) =>
+      this.get(`/api/v1/${tenantId}/persons/${personId}/history/${version}`),
+    diff: (tenantId, personId, params) =>
+      this.get(`/api/v1/${tenantId}/persons/${personId}/history/diff`, {
+        params,
+      }),
+    revert: (tenantId, personId, version, body) =>
+      this._revertPerson(
+        `/api/v1/${tenantId}/persons/${personId}`,
+        version,
+        body
+      ),
+  };
+
+  // External (Tenant-scoped): Consent purposes and consent per person
+  externalConsents = {
+    createPurpose: (tenantId, body) =>
+      this.post(`/api/v1/${tenantId}/consent-purposes`, { body }),
+    listPurposes: (tenantId) =>
+      this.get(`/api/v1/${tenantId}/consent-purposes`),
+    getPurpose: (tenantId, purposeId) =>
+      this.get(`/api/v1/${tenantId}/consent-purposes/${purposeId}`),
+    updatePurpose: (tenantId, purposeId, body) =>
+      this.patch(`/api/v1/${tenantId}/consent-purposes/${purposeId}`, {
+        body,
+      }),
+    audience: (tenantId, purposeId) =>
+      this.get(`/api/v1/${tenantId}/consent-purposes/${purposeId}/audience`),
+    history: (tenantId, personId) =>
+      this.get(`/api/v1/${tenantId}/persons/${personId}/consents`),
+    record: (tenantId, personId, body) =>
+      this.post(`/api/v1/${tenantId}/persons/${personId}/consents`, { body }),
+  };
+
+  // External (Tenant-scoped): Person relationships and households
+  externalRelationships = {
+    list: (tenantId, personId) =>
+      this.get(`/api/v1/${tenantId}/persons/${personId}/relationships`),
+    create: (tenantId, personId, body) =>
+      this.post(`/api/v1/${tenantId}/persons/${personId}/relationships`, {
+        body,
+      }),
+    remove: (tenantId, personId, relationshipId) =>
+      this.delete(
+        `/api/v1/${tenantId}/persons/${personId}/relationships/${relationshipId}`
+      ),
+    personHousehold: (tenantId, personId) =>
+      this.get(`/api/v1/${tenantId}/persons/${personId}/household`),
+    searchHouseholds: (tenantId, params) =>
+      this.get(`/api/v1/${tenantId}/households`, { params }),
+    getHousehold: (tenantId, householdId) =>
+      this.get(`/api/v1/${tenantId}/households/${householdId}`),
+    createHousehold: (tenantId, body) =>
+      this.post(`/api/v1/${tenantId}/households`, { body }),
+    updateHousehold: (tenantId, householdId, body) =>
+      this.patch(`/api/v1/${tenantId}/households/${householdId}`, { body }),
+    addMember: (tenantId, householdId, personId) =>
+      this.post(`/api/v1/${tenantId}/households/${householdId}/members`, {
+        body: { personId },
+      }),
+    removeMember: (tenantId, householdId, personId) =>
+      this.delete(
+        `/api/v1/${tenantId}/households/${householdId}/members/${personId}`
+      ),
+  };
+
   // External (Tenant-scoped): Permissions
   externalPermissions = {
     create: (tenantId, body) =>
@@ -301,8 +715,10 @@ export class TouchAfricaApiClient {
     export: (params) => this.get("/api/v1/internal/lookups/export", { params }),
     stats: (params) => this.get("/api/v1/internal/lookups/stats", { params }),
     get: (id) => this.get(`/api/v1/internal/lookups/${id}`),
-    update: (id, body) => this.put(`/api/v1/internal/lookups/${id}`, { body }),
-    patch: (id, body) => this.patch(`/api/v1/internal/lookups/${id}`, { body }),
+    update: (id, body, opts) =>
+      this.put(`/api/v1/internal/lookups/${id}`, { body, ...opts }),
+    patch: (id, body, opts) =>
+      this.patch(`/api/v1/internal/lookups/${id}`, { body, ...opts }),
     remove: (id) => this.delete(`/api/v1/internal/lookups/${id}`),
   };
 
@@ -321,10 +737,10 @@ export class TouchAfricaApiClient {
       this.get("/api/v1/internal/lookup-categories/stats", { params }),
     get: (id) => this.get(`/api/v1/internal/lookup-categories/${id}`),
     exists: (id) => this.get(`/api/v1/internal/lookup-categories/${id}/exists`),
-    update: (id, body) =>
-      this.put(`/api/v1/internal/lookup-categories/${id}`, { body }),
-    patch: (id, body) =>
-      this.patch(`/api/v1/internal/lookup-categories/${id}`, { body }),
+    update: (id, body, opts) =>
+      this.put(`/api/v1/internal/lookup-categories/${id}`, { body, ...opts }),
+    patch: (id, body, opts) =>
+      this.patch(`/api/v1/internal/lookup-categories/${id}`, { body, ...opts }),
     remove: (id) => this.delete(`/api/v1/internal/lookup-categories/${id}`),
     bulk: (body) =>
       this.post("/api/v1/internal/lookup-categories/bulk", { body }),
@@ -347,10 +763,16 @@ export class TouchAfricaApiClient {
     get: (id) => this.get(`/api/v1/internal/lookup-sub-categories/${id}`),
     exists: (id) =>
       this.get(`/api/v1/internal/lookup-sub-categories/${id}/exists`),
-    update: (id, body) =>
-      this.put(`/api/v1/internal/lookup-sub-categories/${id}`, { body }),
-    patch: (id, body) =>
-      this.patch(`/api/v1/internal/lookup-sub-categories/${id}`, { body }),
+    update: (id, body, opts) =>
+      this.put(`/api/v1/internal/lookup-sub-categories/${id}`, {
+        body,
+        ...opts,
+      }),
+    patch: (id, body, opts) =>
+      this.patch(`/api/v1/internal/lookup-sub-categories/${id}`, {
+        body,
+        ...opts,
+      }),
     remove: (id) => this.delete(`/api/v1/internal/lookup-sub-categories/${id}`),
     bulk: (body) =>
       this.post("/api/v1/internal/lookup-sub-categories/bulk", { body }),
@@ -419,8 +841,16 @@ export class TouchAfricaApiClient {
   // External (tenant-scoped): Admins using /:tenantId/admins route pattern (preferred current backend pattern)
   externalAdmins = {
     login: (tenantId, body) =>
-      this.post(`/api/v1/${tenantId}/admins/login`, { body }),
-    logout: (tenantId) => this.post(`/api/v1/${tenantId}/admins/logout`),
+      this._startSession(
+        this.post(`/api/v1/${tenantId}/admins/login`, {
+          body,
+          noRefresh: true,
+        })
+      ),
+    logout: (tenantId) =>
+      this._endSession(`/api/v1/${tenantId}/admins/logout`, {
+        noRefresh: true,
+      }),
     create: (tenantId, body) =>
       this.post(`/api/v1/${tenantId}/admins`, { body }),
     me: (tenantId) => this.get(`/api/v1/${tenantId}/admins/me`),
@@ -444,12 +874,54 @@ export class TouchAfricaApiClient {
       this.put(`/api/v1/${tenantId}/admins/${id}/activate`),
     deactivate: (tenantId, id) =>
       this.put(`/api/v1/${tenantId}/admins/${id}/deactivate`),
+    sessions: (tenantId, id) =>
+      this.get(`/api/v1/${tenantId}/admins/${id}/sessions`),
+    revokeSession: (tenantId, id, sessionId) =>
+      this.delete(`/api/v1/${tenantId}/admins/${id}/sessions/${sessionId}`),
+    revokeSessions: (tenantId, id) =>
+      this.delete(`/api/v1/${tenantId}/admins/${id}/sessions`),
+    resetTwoFactor: (tenantId, id) =>
+      this.delete(`/api/v1/${tenantId}/admins/${id}/2fa`),
+    loginSecurity: (tenantId, id) =>
+      this.get(`/api/v1/${tenantId}/admins/${id}/login-security`),
+    logins: (tenantId, id, params) =>
+      this.get(`/api/v1/${tenantId}/admins/${id}/logins`, { params }),
+    unlock: (tenantId, id) =>
+      this.post(`/api/v1/${tenantId}/admins/${id}/unlock`),
+    invite: (tenantId, body) =>
+      this.post(`/api/v1/${tenantId}/admins/invitations`, { body }),
+    resendInvitation: (tenantId, id) =>
+      this.post(`/api/v1/${tenantId}/admins/${id}/invitation`),
+    forgotPassword: (tenantId, body) =>
+      this.post(`/api/v1/${tenantId}/admins/password/forgot`, {
+        body,
+        noRefresh: true,
+      }),
+    resetPassword: (tenantId, body) =>
+      this.post(`/api/v1/${tenantId}/admins/password/reset`, {
+        body,
+        noRefresh: true,
+      }),
+    acceptInvitation: (tenantId, body) =>
+      this.post(`/api/v1/${tenantId}/admins/invitations/accept`, {
+        body,
+        noRefresh: true,
+      }),
   };
 
   // External: Tenant Users
   tenantUsers = {
-    login: (body) => this.post("/api/v1/external/tenant-users/login", { body }),
-    logout: () => this.post("/api/v1/external/tenant-users/logout"),
+    login: (body) =>
+      this._startSession(
+        this.post("/api/v1/external/tenant-users/login", {
+          body,
+          noRefresh: true,
+        })
+      ),
+    logout: () =>
+      this._endSession("/api/v1/external/tenant-users/logout", {
+        noRefresh: true,
+      }),
     create: (body) => this.post("/api/v1/external/tenant-users", { body }),
     list: (params) => this.get("/api/v1/external/tenant-users", { params }),
     search: (params) =>